@@ -16,355 +16,469 @@
  * 11. health_check - System health monitoring
  * 12. load_monitor - Load monitoring and alerts
  * 13. capacity_plan - Capacity planning tools
+ *
+ * Metrics come from the time-series store in .swarm/metrics.db, which the
+ * hooks, the MCP server, hive-mind and this router write to. Reports over
+ * time take a range: ?from=now-7d&to=now&step=1h (see parseRange).
+ *
+ *   GET  /metrics              metric names, or ?name=... for one series
+ *   POST /metrics              record { points: [{ name, value, labels }] }
  */
 
-const express = require('express');
-const router = express.Router();
-const os = require('os');
-const { performance } = require('perf_hooks');
-
-// In-memory storage for metrics (replace with database in production)
-let metricsStore = {
-  performance: [],
-  tokens: [],
-  errors: [],
-  health: [],
-  load: [],
-  costs: [],
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import {
+  MetricsStore,
+  MetricsQueryError,
+  loadMetricsConfig,
+  parseRange,
+} from '../../memory/metrics-store.js';
+
+// USD per million tokens, matched against the model name. Cache reads cost
+// 10% of input and cache writes 125% unless a price sets cacheRead/cacheWrite.
+// Override or extend under claudeFlow.metrics.pricing in .claude/settings.json.
+export const DEFAULT_PRICING = {
+  opus: { input: 15, output: 75 },
+  sonnet: { input: 3, output: 15 },
+  haiku: { input: 0.8, output: 4 },
 };
 
-// Performance monitoring
-let performanceMetrics = {
-  responseTime: [],
-  throughput: [],
-  errorRate: 0,
-  startTime: Date.now(),
-  requestCount: 0,
-  errorCount: 0,
+const TOKEN_METRICS = {
+  input: 'tokens.input',
+  output: 'tokens.output',
+  cacheRead: 'tokens.cache_read',
+  cacheWrite: 'tokens.cache_write',
 };
 
-// Middleware to track request metrics
-router.use((req, res, next) => {
-  const startTime = performance.now();
+const DEFAULT_TREND_METRICS = ['api.response_time_ms', 'api.requests', 'api.errors'];
+const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count'];
+const STABLE_CHANGE = 5; // percent
+const RECENT = 5 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the analysis router.
+ *
+ * options: { metricsStore, pricing, cwd }. By default the store is the
+ * project's .swarm/metrics.db and prices come from .claude/settings.json.
+ */
+export function createAnalysisRouter(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = loadMetricsConfig(cwd);
+  const metrics =
+    options.metricsStore ||
+    new MetricsStore({ directory: path.join(cwd, '.swarm'), retention: config.retention });
+  const pricing = { ...DEFAULT_PRICING, ...(options.pricing || config.pricing) };
+  const startTime = Date.now();
+
+  const router = express.Router();
+
+  // Middleware to track request metrics
+  router.use((req, res, next) => {
+    const started = performance.now();
+
+    res.on('finish', () => {
+      const route = req.route?.path || 'unmatched';
+      const points = [
+        {
+          name: 'api.requests',
+          value: 1,
+          labels: { method: req.method, route, status: res.statusCode },
+        },
+        { name: 'api.response_time_ms', value: performance.now() - started, labels: { route } },
+      ];
+      if (res.statusCode >= 400) {
+        points.push({ name: 'api.errors', value: 1, labels: { route, status: res.statusCode } });
+      }
+      metrics.recordMany(points.map((point) => ({ ...point, source: 'api' }))).catch((error) => {
+        console.error(
+          `[${new Date().toISOString()}] WARN [analysis-api] Could not record request metrics: ${error.message}`,
+        );
+      });
+    });
 
-  res.on('finish', () => {
-    const duration = performance.now() - startTime;
-    performanceMetrics.responseTime.push(duration);
-    performanceMetrics.requestCount++;
+    next();
+  });
 
-    if (res.statusCode >= 400) {
-      performanceMetrics.errorCount++;
+  // 1. Performance Report
+  router.get('/performance-report', async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const performanceSummary = await summarizePerformance(metrics, range);
+
+      res.json({
+        timestamp: Date.now(),
+        range,
+        summary: 'System performance analysis completed',
+        metrics: {
+          ...performanceSummary,
+          uptime: formatUptime(Date.now() - startTime),
+        },
+        recommendations: generatePerformanceRecommendations(performanceSummary),
+        trends: {
+          responseTime: await series(metrics, 'api.response_time_ms', range),
+          throughput: await series(metrics, 'api.requests', range),
+          errorRate: await errorRateSeries(metrics, range),
+        },
+      });
+    } catch (error) {
+      sendError(res, error);
     }
+  });
 
-    // Keep only last 100 measurements
-    if (performanceMetrics.responseTime.length > 100) {
-      performanceMetrics.responseTime.shift();
+  // 2. Bottleneck Analysis
+  router.get('/bottleneck-analyze', async (req, res) => {
+    try {
+      const now = Date.now();
+      const recent = await metrics.totals('api.response_time_ms', { from: now - RECENT, to: now });
+      const bottlenecks = analyzeBottlenecks(recent.avg || 0);
+      const recommendations = generateBottleneckRecommendations(bottlenecks);
+
+      res.json({
+        timestamp: now,
+        bottlenecks,
+        recommendations,
+        summary: `Found ${bottlenecks.length} potential bottlenecks`,
+        impact: calculateBottleneckImpact(bottlenecks),
+      });
+    } catch (error) {
+      sendError(res, error);
     }
+  });
 
-    // Store metrics
-    metricsStore.performance.push({
-      timestamp: Date.now(),
-      responseTime: duration,
-      statusCode: res.statusCode,
-      method: req.method,
-      url: req.url,
-    });
+  // 3. Token Usage
+  router.get('/token-usage', async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const usage = await calculateTokenUsage(metrics, range, pricing);
+
+      res.json({
+        timestamp: Date.now(),
+        range,
+        ...usage,
+        efficiency: calculateTokenEfficiency(usage),
+        trends: await getTokenTrends(metrics, range),
+        recommendations: generateTokenRecommendations(usage),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-    // Keep only last 1000 metrics
-    if (metricsStore.performance.length > 1000) {
-      metricsStore.performance.shift();
+  // 4. Benchmark Run
+  router.get('/benchmark-run', async (req, res) => {
+    try {
+      const now = Date.now();
+      const range = { from: now - DAY, to: now };
+      const benchmarks = await runBenchmarks(metrics, range);
+
+      res.json({
+        timestamp: now,
+        range,
+        benchmarks,
+        summary: 'Benchmarks computed from the last 24 hours of API requests',
+        score: calculateOverallScore(benchmarks),
+        comparisons: generateBenchmarkComparisons(benchmarks),
+      });
+    } catch (error) {
+      sendError(res, error);
     }
   });
 
-  next();
-});
+  // 5. Metrics Collection
+  router.get('/metrics-collect', async (req, res) => {
+    try {
+      const systemMetrics = collectSystemMetrics();
+      await metrics.recordMany([
+        { name: 'system.load_1m', value: systemMetrics.cpu.usage, source: 'api' },
+        { name: 'system.memory_used_pct', value: systemMetrics.memory.usage, source: 'api' },
+      ]);
+
+      res.json({
+        timestamp: Date.now(),
+        metrics: systemMetrics,
+        summary: 'System metrics collected successfully',
+        alerts: generateMetricAlerts(systemMetrics),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 1. Performance Report
-router.get('/performance-report', (req, res) => {
-  try {
-    const now = Date.now();
-    const uptime = now - performanceMetrics.startTime;
-    const avgResponseTime =
-      performanceMetrics.responseTime.length > 0
-        ? performanceMetrics.responseTime.reduce((a, b) => a + b, 0) /
-          performanceMetrics.responseTime.length
-        : 0;
-
-    const throughput = performanceMetrics.requestCount / (uptime / 1000 / 60); // requests per minute
-    const errorRate =
-      performanceMetrics.requestCount > 0
-        ? (performanceMetrics.errorCount / performanceMetrics.requestCount) * 100
-        : 0;
-
-    const report = {
-      timestamp: now,
-      summary: 'System performance analysis completed',
-      metrics: {
-        averageResponseTime: Math.round(avgResponseTime),
-        throughput: Math.round(throughput),
-        errorRate: Math.round(errorRate * 100) / 100,
-        uptime: formatUptime(uptime),
-        totalRequests: performanceMetrics.requestCount,
-        totalErrors: performanceMetrics.errorCount,
-      },
-      recommendations: generatePerformanceRecommendations(avgResponseTime, throughput, errorRate),
-      trends: {
-        responseTime: performanceMetrics.responseTime.slice(-20),
-        throughput: calculateThroughputTrend(),
-        errorRate: calculateErrorRateTrend(),
-      },
-    };
-
-    res.json(report);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 2. Bottleneck Analysis
-router.get('/bottleneck-analyze', (req, res) => {
-  try {
-    const bottlenecks = analyzeBottlenecks();
-    const recommendations = generateBottleneckRecommendations(bottlenecks);
-
-    res.json({
-      timestamp: Date.now(),
-      bottlenecks,
-      recommendations,
-      summary: `Found ${bottlenecks.length} potential bottlenecks`,
-      impact: calculateBottleneckImpact(bottlenecks),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // 6. Trend Analysis
+  router.get('/trend-analysis', async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const names = req.query.metric
+        ? String(req.query.metric).split(',').filter(Boolean)
+        : DEFAULT_TREND_METRICS;
+      const aggregate = req.query.agg;
+      if (aggregate !== undefined && !AGGREGATES.includes(aggregate)) {
+        throw new MetricsQueryError(`Invalid agg: ${aggregate} (${AGGREGATES.join(', ')})`);
+      }
+
+      const trends = {};
+      for (const name of names) {
+        const values = await series(metrics, name, range, aggregate);
+        trends[name] = analyzeTrend(values, range);
+      }
+
+      res.json({
+        timestamp: Date.now(),
+        range,
+        trends,
+        predictions: generatePredictions(trends),
+        summary: 'Trend analysis completed',
+        insights: generateTrendInsights(trends),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 3. Token Usage
-router.get('/token-usage', (req, res) => {
-  try {
-    const usage = calculateTokenUsage();
-
-    res.json({
-      timestamp: Date.now(),
-      ...usage,
-      efficiency: calculateTokenEfficiency(usage),
-      trends: getTokenTrends(),
-      recommendations: generateTokenRecommendations(usage),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // 7. Cost Analysis
+  router.get('/cost-analysis', async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const costs = await analyzeCosts(metrics, range, pricing);
+
+      res.json({
+        timestamp: Date.now(),
+        range,
+        costs,
+        series: await costSeries(metrics, range, pricing, Object.keys(costs.current.byModel)),
+        summary: 'Cost analysis completed',
+        optimization: generateCostOptimizations(costs),
+        forecast: generateCostForecast(costs, range),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 4. Benchmark Run
-router.get('/benchmark-run', (req, res) => {
-  try {
-    const benchmarks = runBenchmarks();
-
-    res.json({
-      timestamp: Date.now(),
-      benchmarks,
-      summary: 'Benchmark suite completed',
-      score: calculateOverallScore(benchmarks),
-      comparisons: generateBenchmarkComparisons(benchmarks),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // 8. Quality Assessment
+  router.get('/quality-assess', (req, res) => {
+    try {
+      const quality = assessQuality();
+
+      res.json({
+        timestamp: Date.now(),
+        quality,
+        summary: 'Quality assessment completed',
+        score: calculateQualityScore(quality),
+        recommendations: generateQualityRecommendations(quality),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 5. Metrics Collection
-router.get('/metrics-collect', (req, res) => {
-  try {
-    const metrics = collectSystemMetrics();
+  // 9. Error Analysis
+  router.get('/error-analysis', async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const errors = await analyzeErrors(metrics, range);
+
+      res.json({
+        timestamp: Date.now(),
+        range,
+        errors,
+        summary: 'Error analysis completed',
+        patterns: identifyErrorPatterns(errors),
+        resolution: generateErrorResolutions(errors),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-    res.json({
-      timestamp: Date.now(),
-      metrics,
-      summary: 'System metrics collected successfully',
-      alerts: generateMetricAlerts(metrics),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // 10. Usage Statistics
+  router.get('/usage-stats', async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const stats = await calculateUsageStats(metrics, range);
+
+      res.json({
+        timestamp: Date.now(),
+        range,
+        stats,
+        summary: 'Usage statistics generated',
+        insights: generateUsageInsights(stats),
+        trends: {
+          toolCalls: await series(metrics, 'mcp.tool.calls', range),
+          hookRuns: await series(metrics, 'hooks.runs', range),
+          apiRequests: await series(metrics, 'api.requests', range),
+        },
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 6. Trend Analysis
-router.get('/trend-analysis', (req, res) => {
-  try {
-    const trends = analyzeTrends();
-
-    res.json({
-      timestamp: Date.now(),
-      trends,
-      predictions: generatePredictions(trends),
-      summary: 'Trend analysis completed',
-      insights: generateTrendInsights(trends),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // 11. Health Check
+  router.get('/health-check', async (req, res) => {
+    try {
+      const health = await performHealthCheck(metrics, cwd);
+
+      res.json({
+        timestamp: Date.now(),
+        health,
+        summary: 'System health check completed',
+        status: calculateOverallHealth(health),
+        alerts: generateHealthAlerts(health),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 7. Cost Analysis
-router.get('/cost-analysis', (req, res) => {
-  try {
-    const costs = analyzeCosts();
-
-    res.json({
-      timestamp: Date.now(),
-      costs,
-      summary: 'Cost analysis completed',
-      optimization: generateCostOptimizations(costs),
-      forecast: generateCostForecast(costs),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // 12. Load Monitor
+  router.get('/load-monitor', async (req, res) => {
+    try {
+      const load = await monitorLoad(metrics);
+
+      res.json({
+        timestamp: Date.now(),
+        load,
+        summary: 'Load monitoring completed',
+        alerts: generateLoadAlerts(load),
+        predictions: await predictLoadTrends(metrics),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 8. Quality Assessment
-router.get('/quality-assess', (req, res) => {
-  try {
-    const quality = assessQuality();
-
-    res.json({
-      timestamp: Date.now(),
-      quality,
-      summary: 'Quality assessment completed',
-      score: calculateQualityScore(quality),
-      recommendations: generateQualityRecommendations(quality),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // 13. Capacity Planning
+  router.get('/capacity-plan', (req, res) => {
+    try {
+      const capacity = planCapacity();
+
+      res.json({
+        timestamp: Date.now(),
+        capacity,
+        summary: 'Capacity planning completed',
+        recommendations: generateCapacityRecommendations(capacity),
+        timeline: generateCapacityTimeline(capacity),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 9. Error Analysis
-router.get('/error-analysis', (req, res) => {
-  try {
-    const errors = analyzeErrors();
-
-    res.json({
-      timestamp: Date.now(),
-      errors,
-      summary: 'Error analysis completed',
-      patterns: identifyErrorPatterns(errors),
-      resolution: generateErrorResolutions(errors),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // Raw metrics: list, query one series, or record points
+  router.get('/metrics', async (req, res) => {
+    try {
+      if (!req.query.name) {
+        res.json({ timestamp: Date.now(), metrics: await metrics.listMetrics() });
+        return;
+      }
+      const range = parseRange(req.query);
+      const labels = typeof req.query.labels === 'object' ? req.query.labels : undefined;
+      res.json(await metrics.query(String(req.query.name), { ...range, labels }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 10. Usage Statistics
-router.get('/usage-stats', (req, res) => {
-  try {
-    const stats = calculateUsageStats();
-
-    res.json({
-      timestamp: Date.now(),
-      stats,
-      summary: 'Usage statistics generated',
-      insights: generateUsageInsights(stats),
-      trends: calculateUsageTrends(stats),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  router.post('/metrics', express.json(), async (req, res) => {
+    try {
+      const points = Array.isArray(req.body) ? req.body : req.body?.points;
+      if (!Array.isArray(points) || points.length === 0) {
+        throw new MetricsQueryError('Expected { points: [{ name, value, labels, timestamp }] }');
+      }
+      const recorded = await metrics.recordMany(
+        points.map((point) => ({ ...point, source: point.source || 'api' })),
+      );
+      res.status(201).json({ recorded });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-// 11. Health Check
-router.get('/health-check', (req, res) => {
-  try {
-    const health = performHealthCheck();
-
-    res.json({
-      timestamp: Date.now(),
-      health,
-      summary: 'System health check completed',
-      status: calculateOverallHealth(health),
-      alerts: generateHealthAlerts(health),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // WebSocket endpoint for real-time metrics (needs express-ws on the app)
+  if (typeof router.ws === 'function') {
+    router.ws('/ws', (ws, req) => {
+      console.log('Analysis WebSocket connected');
+
+      const sendMetrics = async () => {
+        try {
+          const payload = await getCurrentMetrics(metrics, startTime, cwd);
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ type: 'metrics_update', payload }));
+          }
+        } catch (error) {
+          console.error('WebSocket metrics error:', error);
+        }
+      };
+
+      // Send initial metrics, then periodic updates
+      sendMetrics();
+      const interval = setInterval(sendMetrics, 5000);
+
+      ws.on('message', (message) => {
+        try {
+          const data = JSON.parse(message);
+          if (data.type === 'request_metrics') {
+            sendMetrics();
+          } else {
+            console.log('Unknown WebSocket message type:', data.type);
+          }
+        } catch (error) {
+          console.error('WebSocket message error:', error);
+        }
+      });
 
-// 12. Load Monitor
-router.get('/load-monitor', (req, res) => {
-  try {
-    const load = monitorLoad();
-
-    res.json({
-      timestamp: Date.now(),
-      load,
-      summary: 'Load monitoring completed',
-      alerts: generateLoadAlerts(load),
-      predictions: predictLoadTrends(load),
+      ws.on('close', () => {
+        clearInterval(interval);
+        console.log('Analysis WebSocket disconnected');
+      });
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
 
-// 13. Capacity Planning
-router.get('/capacity-plan', (req, res) => {
-  try {
-    const capacity = planCapacity();
-
-    res.json({
-      timestamp: Date.now(),
-      capacity,
-      summary: 'Capacity planning completed',
-      recommendations: generateCapacityRecommendations(capacity),
-      timeline: generateCapacityTimeline(capacity),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  return router;
+}
 
-// WebSocket endpoint for real-time metrics
-router.ws('/ws', (ws, req) => {
-  console.log('Analysis WebSocket connected');
+// Helper Functions
 
-  // Send initial metrics
-  ws.send(
-    JSON.stringify({
-      type: 'metrics_update',
-      payload: getCurrentMetrics(),
-    }),
-  );
+function sendError(res, error) {
+  res.status(error instanceof MetricsQueryError ? 400 : 500).json({ error: error.message });
+}
 
-  // Set up periodic updates
-  const interval = setInterval(() => {
-    if (ws.readyState === ws.OPEN) {
-      ws.send(
-        JSON.stringify({
-          type: 'metrics_update',
-          payload: getCurrentMetrics(),
-        }),
-      );
-    }
-  }, 5000);
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
 
-  ws.on('message', (message) => {
-    try {
-      const data = JSON.parse(message);
-      handleWebSocketMessage(ws, data);
-    } catch (error) {
-      console.error('WebSocket message error:', error);
-    }
-  });
+function percentChange(previous, current) {
+  if (!previous) return current ? null : 0;
+  return round(((current - previous) / Math.abs(previous)) * 100, 1);
+}
 
-  ws.on('close', () => {
-    clearInterval(interval);
-    console.log('Analysis WebSocket disconnected');
-  });
-});
+function formatChange(change) {
+  return change === null ? 'new' : `${change >= 0 ? '+' : ''}${change}%`;
+}
 
-// Helper Functions
+/**
+ * Durations, percentages and sizes average; everything else adds up
+ */
+function defaultAggregate(name) {
+  return /(_ms|_pct|_bytes|_1m)$/.test(name) ? 'avg' : 'sum';
+}
+
+/**
+ * One metric over the range as [{ timestamp, value }]
+ */
+async function series(metrics, name, range, aggregate = defaultAggregate(name), labels) {
+  const result = await metrics.query(name, { ...range, labels });
+  return result.points.map((point) => ({
+    timestamp: point.timestamp,
+    value: round(point[aggregate]),
+  }));
+}
 
 function formatUptime(milliseconds) {
   const seconds = Math.floor(milliseconds / 1000);
@@ -378,19 +492,43 @@ function formatUptime(milliseconds) {
   return `${seconds}s`;
 }
 
-function generatePerformanceRecommendations(avgResponseTime, throughput, errorRate) {
+async function summarizePerformance(metrics, range) {
+  const [responseTime, requests, errors] = await Promise.all([
+    metrics.totals('api.response_time_ms', range),
+    metrics.totals('api.requests', range),
+    metrics.totals('api.errors', range),
+  ]);
+  const minutes = (range.to - range.from) / 60000;
+
+  return {
+    averageResponseTime: Math.round(responseTime.avg || 0),
+    maxResponseTime: Math.round(responseTime.max || 0),
+    throughput: round(requests.sum / minutes), // requests per minute
+    errorRate: requests.sum > 0 ? round((errors.sum / requests.sum) * 100) : 0,
+    totalRequests: requests.sum,
+    totalErrors: errors.sum,
+  };
+}
+
+async function errorRateSeries(metrics, range) {
+  const requests = await series(metrics, 'api.requests', range);
+  const errors = new Map(
+    (await series(metrics, 'api.errors', range)).map((point) => [point.timestamp, point.value]),
+  );
+  return requests.map(({ timestamp, value }) => ({
+    timestamp,
+    value: round(((errors.get(timestamp) || 0) / value) * 100),
+  }));
+}
+
+function generatePerformanceRecommendations({ averageResponseTime, errorRate }) {
   const recommendations = [];
 
-  if (avgResponseTime > 1000) {
+  if (averageResponseTime > 1000) {
     recommendations.push('Consider implementing caching to reduce response times');
     recommendations.push('Optimize database queries and API calls');
   }
 
-  if (throughput < 100) {
-    recommendations.push('Consider scaling up server resources');
-    recommendations.push('Implement load balancing for better distribution');
-  }
-
   if (errorRate > 5) {
     recommendations.push('Investigate and fix recurring errors');
     recommendations.push('Implement better error handling and monitoring');
@@ -403,7 +541,7 @@ function generatePerformanceRecommendations(avgResponseTime, throughput, errorRa
   return recommendations;
 }
 
-function analyzeBottlenecks() {
+function analyzeBottlenecks(avgResponseTime) {
   const bottlenecks = [];
   const cpuUsage = os.loadavg()[0];
   const memoryUsage = ((os.totalmem() - os.freemem()) / os.totalmem()) * 100;
@@ -428,12 +566,6 @@ function analyzeBottlenecks() {
     });
   }
 
-  const avgResponseTime =
-    performanceMetrics.responseTime.length > 0
-      ? performanceMetrics.responseTime.reduce((a, b) => a + b, 0) /
-        performanceMetrics.responseTime.length
-      : 0;
-
   if (avgResponseTime > 500) {
     bottlenecks.push({
       component: 'API Response',
@@ -467,56 +599,138 @@ function generateBottleneckRecommendations(bottlenecks) {
   return recommendations;
 }
 
-function calculateTokenUsage() {
-  // Mock token usage calculation
-  const baseUsage = {
-    totalTokens: Math.floor(Math.random() * 1000000) + 500000,
-    inputTokens: Math.floor(Math.random() * 600000) + 300000,
-    outputTokens: Math.floor(Math.random() * 400000) + 200000,
-    cachedTokens: Math.floor(Math.random() * 100000) + 50000,
-  };
+/**
+ * Price per million tokens for a model; the longest matching key wins
+ */
+function priceFor(model, pricing) {
+  const name = String(model).toLowerCase();
+  const key = Object.keys(pricing)
+    .filter((candidate) => name.includes(candidate.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? pricing[key] : null;
+}
 
-  baseUsage.cost = baseUsage.totalTokens * 0.0001;
-  return baseUsage;
+function tokenCost(tokens, price) {
+  const cacheRead = price.cacheRead ?? price.input * 0.1;
+  const cacheWrite = price.cacheWrite ?? price.input * 1.25;
+  return (
+    (tokens.input * price.input +
+      tokens.output * price.output +
+      tokens.cacheRead * cacheRead +
+      tokens.cacheWrite * cacheWrite) /
+    1e6
+  );
+}
+
+async function calculateTokenUsage(metrics, range, pricing) {
+  const byModel = {};
+  for (const [kind, name] of Object.entries(TOKEN_METRICS)) {
+    for (const row of await metrics.totals(name, { ...range, groupBy: 'model' })) {
+      const model = row.model || 'unknown';
+      byModel[model] ??= { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+      byModel[model][kind] = row.sum;
+    }
+  }
+
+  const usage = {
+    totalTokens: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cachedTokens: 0,
+    cacheWriteTokens: 0,
+    cost: 0,
+    byModel,
+    unpriced: [],
+  };
+  for (const [model, tokens] of Object.entries(byModel)) {
+    usage.inputTokens += tokens.input;
+    usage.outputTokens += tokens.output;
+    usage.cachedTokens += tokens.cacheRead;
+    usage.cacheWriteTokens += tokens.cacheWrite;
+
+    const price = priceFor(model, pricing);
+    if (price) {
+      tokens.cost = round(tokenCost(tokens, price), 4);
+      usage.cost += tokens.cost;
+    } else {
+      tokens.cost = null;
+      usage.unpriced.push(model);
+    }
+  }
+  usage.totalTokens =
+    usage.inputTokens + usage.outputTokens + usage.cachedTokens + usage.cacheWriteTokens;
+  usage.cost = round(usage.cost, 4);
+  return usage;
 }
 
 function calculateTokenEfficiency(usage) {
-  const cacheHitRate = (usage.cachedTokens / usage.totalTokens) * 100;
-  const inputOutputRatio = usage.outputTokens / usage.inputTokens;
+  const promptTokens = usage.inputTokens + usage.cachedTokens + usage.cacheWriteTokens;
 
   return {
-    cacheHitRate: Math.round(cacheHitRate * 100) / 100,
-    inputOutputRatio: Math.round(inputOutputRatio * 100) / 100,
-    costPerToken: Math.round((usage.cost / usage.totalTokens) * 10000) / 10000,
+    // Share of prompt tokens served from the cache
+    cacheHitRate: promptTokens > 0 ? round((usage.cachedTokens / promptTokens) * 100) : 0,
+    inputOutputRatio: usage.outputTokens > 0 ? round(usage.inputTokens / usage.outputTokens) : 0,
+    costPerMillionTokens: usage.totalTokens > 0 ? round((usage.cost / usage.totalTokens) * 1e6) : 0,
   };
 }
 
-function runBenchmarks() {
+async function getTokenTrends(metrics, range) {
+  const trends = {};
+  for (const [kind, name] of Object.entries(TOKEN_METRICS)) {
+    trends[kind] = await series(metrics, name, range);
+  }
+  return trends;
+}
+
+function generateTokenRecommendations(usage) {
+  const recommendations = [];
+  const efficiency = calculateTokenEfficiency(usage);
+
+  if (usage.totalTokens === 0) {
+    return [
+      'No token usage in this range. The session-end hook records it from Claude Code transcripts (--stdin or --transcript).',
+    ];
+  }
+
+  if (efficiency.cacheHitRate < 20) {
+    recommendations.push('Implement better caching strategies to improve token efficiency');
+  }
+
+  if (efficiency.inputOutputRatio > 2) {
+    recommendations.push('Consider optimizing output generation to reduce token consumption');
+  }
+
+  if (usage.cost > 100) {
+    recommendations.push('Monitor token usage closely to control costs');
+  }
+
+  if (usage.unpriced.length > 0) {
+    recommendations.push(
+      `Add prices for ${usage.unpriced.join(', ')} under claudeFlow.metrics.pricing`,
+    );
+  }
+
+  return recommendations;
+}
+
+/**
+ * Benchmarks from the API requests recorded over the range. Scores are 100
+ * at or below the baseline; value and score are null without requests.
+ */
+async function runBenchmarks(metrics, range) {
+  const summary = await summarizePerformance(metrics, range);
+  const measured = summary.totalRequests > 0;
+  const benchmark = (name, value, unit, baseline) => ({
+    name,
+    value: measured ? value : null,
+    unit,
+    baseline,
+    score: !measured ? null : value <= baseline ? 100 : Math.round((baseline / value) * 100),
+  });
+
   return {
-    responseTime: {
-      name: 'Response Time',
-      score: Math.floor(Math.random() * 40) + 60,
-      unit: 'ms',
-      baseline: 100,
-    },
-    throughput: {
-      name: 'Throughput',
-      score: Math.floor(Math.random() * 30) + 70,
-      unit: 'req/s',
-      baseline: 1000,
-    },
-    errorRate: {
-      name: 'Error Rate',
-      score: Math.floor(Math.random() * 20) + 80,
-      unit: '%',
-      baseline: 1,
-    },
-    availability: {
-      name: 'Availability',
-      score: Math.floor(Math.random() * 5) + 95,
-      unit: '%',
-      baseline: 99.9,
-    },
+    responseTime: benchmark('Response Time', summary.averageResponseTime, 'ms', 100),
+    errorRate: benchmark('Error Rate', summary.errorRate, '%', 1),
   };
 }
 
@@ -545,93 +759,92 @@ function collectSystemMetrics() {
   };
 }
 
-function performHealthCheck() {
+/**
+ * Health scores from 0 (bad) to 100. A component without a source of
+ * data, such as the API before any request, scores null.
+ */
+async function performHealthCheck(metrics, cwd) {
   const memoryUsage = ((os.totalmem() - os.freemem()) / os.totalmem()) * 100;
   const cpuUsage = os.loadavg()[0] * 100;
+  const now = Date.now();
+
+  let disk = null;
+  try {
+    const stats = await fs.promises.statfs(cwd);
+    disk = round((stats.bavail / stats.blocks) * 100);
+  } catch {
+    // statfs is not available on every platform
+  }
+
+  const recent = await summarizePerformance(metrics, { from: now - RECENT, to: now });
+
+  // The metrics database is healthy when it answers a query
+  let database = 100;
+  try {
+    await metrics.listMetrics();
+  } catch {
+    database = 0;
+  }
 
   return {
     cpu: Math.max(0, 100 - cpuUsage),
     memory: Math.max(0, 100 - memoryUsage),
-    disk: Math.floor(Math.random() * 20) + 80,
-    network: Math.floor(Math.random() * 10) + 90,
-    api: Math.floor(Math.random() * 15) + 85,
-    database: Math.floor(Math.random() * 10) + 90,
+    disk,
+    api: recent.totalRequests > 0 ? round(100 - recent.errorRate) : null,
+    database,
   };
 }
 
-function monitorLoad() {
+/**
+ * Load averages. 1, 5 and 15 minutes come from the OS; 30 minutes, 1 hour
+ * and 24 hours average the samples in system.load_1m, which every call
+ * adds to. They are null until a sample falls in the window.
+ */
+async function monitorLoad(metrics) {
   const loadAvg = os.loadavg();
+  const now = Date.now();
+  await metrics.record('system.load_1m', loadAvg[0], { timestamp: now, source: 'api' });
+
+  const sampled = async (window) => {
+    const totals = await metrics.totals('system.load_1m', { from: now - window, to: now + 1 });
+    return totals.avg === null ? null : round(totals.avg);
+  };
+
   return {
     oneMin: loadAvg[0],
     fiveMin: loadAvg[1],
     fifteenMin: loadAvg[2],
-    thirtyMin: Math.random() * 2,
-    oneHour: Math.random() * 2,
-    twentyFourHour: Math.random() * 2,
+    thirtyMin: await sampled(30 * 60 * 1000),
+    oneHour: await sampled(60 * 60 * 1000),
+    twentyFourHour: await sampled(DAY),
     current: loadAvg[0],
     peak: Math.max(...loadAvg),
     average: loadAvg.reduce((a, b) => a + b, 0) / loadAvg.length,
   };
 }
 
-function getCurrentMetrics() {
-  const avgResponseTime =
-    performanceMetrics.responseTime.length > 0
-      ? performanceMetrics.responseTime.reduce((a, b) => a + b, 0) /
-        performanceMetrics.responseTime.length
-      : 0;
-
-  const throughput =
-    performanceMetrics.requestCount / ((Date.now() - performanceMetrics.startTime) / 1000);
-  const errorRate =
-    performanceMetrics.requestCount > 0
-      ? (performanceMetrics.errorCount / performanceMetrics.requestCount) * 100
-      : 0;
-
-  const uptime = Date.now() - performanceMetrics.startTime;
-  const tokenUsage = calculateTokenUsage();
-  const health = performHealthCheck();
-  const load = monitorLoad();
+async function getCurrentMetrics(metrics, startTime, cwd) {
+  const now = Date.now();
+  const recent = await summarizePerformance(metrics, { from: now - RECENT, to: now });
+  const tokens = await calculateTokenUsage(metrics, { from: now - DAY, to: now }, {});
 
   return {
     performance: {
-      responseTime: Math.round(avgResponseTime),
-      throughput: Math.round(throughput),
-      errorRate: Math.round(errorRate * 100) / 100,
-      uptime: formatUptime(uptime),
+      responseTime: recent.averageResponseTime,
+      throughput: recent.throughput,
+      errorRate: recent.errorRate,
+      uptime: formatUptime(now - startTime),
+    },
+    tokens: {
+      input: tokens.inputTokens,
+      output: tokens.outputTokens,
+      cached: tokens.cachedTokens,
     },
-    tokens: tokenUsage,
-    health,
-    load,
+    health: await performHealthCheck(metrics, cwd),
+    load: await monitorLoad(metrics),
   };
 }
 
-function handleWebSocketMessage(ws, data) {
-  switch (data.type) {
-    case 'request_metrics':
-      ws.send(
-        JSON.stringify({
-          type: 'metrics_update',
-          payload: getCurrentMetrics(),
-        }),
-      );
-      break;
-    default:
-      console.log('Unknown WebSocket message type:', data.type);
-  }
-}
-
-// Additional helper functions for other tools
-function calculateThroughputTrend() {
-  // Mock throughput trend calculation
-  return Array.from({ length: 20 }, (_, i) => Math.random() * 1000 + 500);
-}
-
-function calculateErrorRateTrend() {
-  // Mock error rate trend calculation
-  return Array.from({ length: 20 }, (_, i) => Math.random() * 5);
-}
-
 function calculateBottleneckImpact(bottlenecks) {
   const severityWeights = { low: 1, medium: 2, high: 3 };
   const totalImpact = bottlenecks.reduce((sum, b) => sum + severityWeights[b.severity], 0);
@@ -641,44 +854,24 @@ function calculateBottleneckImpact(bottlenecks) {
   };
 }
 
-function getTokenTrends() {
-  return {
-    daily: Array.from({ length: 7 }, () => Math.random() * 100000 + 50000),
-    hourly: Array.from({ length: 24 }, () => Math.random() * 10000 + 5000),
-  };
-}
-
-function generateTokenRecommendations(usage) {
-  const recommendations = [];
-  const efficiency = calculateTokenEfficiency(usage);
-
-  if (efficiency.cacheHitRate < 20) {
-    recommendations.push('Implement better caching strategies to improve token efficiency');
-  }
-
-  if (efficiency.inputOutputRatio > 2) {
-    recommendations.push('Consider optimizing output generation to reduce token consumption');
-  }
-
-  if (usage.cost > 100) {
-    recommendations.push('Monitor token usage closely to control costs');
-  }
-
-  return recommendations;
-}
-
 function calculateOverallScore(benchmarks) {
-  const scores = Object.values(benchmarks).map((b) => b.score);
+  const scores = Object.values(benchmarks)
+    .map((b) => b.score)
+    .filter((score) => score !== null);
+  if (scores.length === 0) return null;
   return Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
 }
 
+// Lower is better for every benchmark, so beating the baseline is positive
 function generateBenchmarkComparisons(benchmarks) {
-  return Object.entries(benchmarks).map(([key, value]) => ({
-    name: value.name,
-    current: value.score,
-    baseline: value.baseline,
-    improvement: (((value.score - value.baseline) / value.baseline) * 100).toFixed(1),
-  }));
+  return Object.values(benchmarks)
+    .filter((benchmark) => benchmark.value !== null)
+    .map((benchmark) => ({
+      name: benchmark.name,
+      current: benchmark.value,
+      baseline: benchmark.baseline,
+      improvement: (((benchmark.baseline - benchmark.value) / benchmark.baseline) * 100).toFixed(1),
+    }));
 }
 
 function generateMetricAlerts(metrics) {
@@ -703,79 +896,153 @@ function generateMetricAlerts(metrics) {
   return alerts;
 }
 
-function analyzeTrends() {
+/**
+ * Direction of a series: the second half of the range against the first,
+ * and a least-squares slope per step projected one step past the range
+ */
+function analyzeTrend(values, range) {
+  const trend = { series: values, trend: 'no data', change: null, slope: null, forecast: null };
+  if (values.length < 2) return trend;
+
+  const middle = range.from + (range.to - range.from) / 2;
+  const firstHalf = values.filter((point) => point.timestamp < middle);
+  const secondHalf = values.filter((point) => point.timestamp >= middle);
+  const mean = (points) =>
+    points.length > 0 ? points.reduce((sum, point) => sum + point.value, 0) / points.length : 0;
+  const change = percentChange(mean(firstHalf), mean(secondHalf));
+
+  const xs = values.map((point) => (point.timestamp - range.from) / range.step);
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = mean(values);
+  const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  const slope =
+    variance > 0
+      ? xs.reduce((sum, x, i) => sum + (x - meanX) * (values[i].value - meanY), 0) / variance
+      : 0;
+  const nextStep = Math.ceil((range.to - range.from) / range.step);
+
   return {
-    performance: {
-      trend: 'improving',
-      change: '+5.2%',
-      prediction: 'stable',
-    },
-    usage: {
-      trend: 'increasing',
-      change: '+12.3%',
-      prediction: 'continued growth',
-    },
-    errors: {
-      trend: 'decreasing',
-      change: '-8.1%',
-      prediction: 'stable',
-    },
+    ...trend,
+    trend:
+      change === null || change > STABLE_CHANGE
+        ? 'increasing'
+        : change < -STABLE_CHANGE
+          ? 'decreasing'
+          : 'stable',
+    change: formatChange(change),
+    slope: round(slope, 4),
+    forecast: round(Math.max(0, meanY + slope * (nextStep - meanX))),
   };
 }
 
 function generatePredictions(trends) {
-  return {
-    nextWeek: 'Performance expected to remain stable',
-    nextMonth: 'Usage likely to increase by 15-20%',
-    nextQuarter: 'Consider scaling resources to handle growth',
-  };
+  const predictions = {};
+  for (const [name, trend] of Object.entries(trends)) {
+    predictions[name] =
+      trend.forecast === null
+        ? 'Not enough data to predict'
+        : `About ${trend.forecast} in the next step (${trend.trend})`;
+  }
+  return predictions;
 }
 
 function generateTrendInsights(trends) {
-  return [
-    'System performance has improved by 5.2% this week',
-    'Usage patterns show steady growth indicating system adoption',
-    'Error rates are decreasing, suggesting improved stability',
-  ];
+  return Object.entries(trends).map(([name, trend]) =>
+    trend.change === null
+      ? `${name}: fewer than two data points in this range`
+      : `${name} is ${trend.trend} (${trend.change} second half vs first half)`,
+  );
 }
 
-function analyzeCosts() {
+async function analyzeCosts(metrics, range, pricing) {
+  const span = range.to - range.from;
+  const current = await calculateTokenUsage(metrics, range, pricing);
+  const previous = await calculateTokenUsage(
+    metrics,
+    { from: range.from - span, to: range.from },
+    pricing,
+  );
+
+  const byModel = (usage) =>
+    Object.fromEntries(Object.entries(usage.byModel).map(([model, { cost }]) => [model, cost]));
+  const models = new Set([...Object.keys(current.byModel), ...Object.keys(previous.byModel)]);
+
   return {
-    current: {
-      compute: 125.5,
-      storage: 45.2,
-      network: 23.1,
-      tokens: 89.4,
-    },
-    previous: {
-      compute: 118.3,
-      storage: 42.15,
-      network: 21.85,
-      tokens: 76.25,
-    },
+    current: { total: current.cost, byModel: byModel(current) },
+    previous: { total: previous.cost, byModel: byModel(previous) },
     change: {
-      compute: '+6.1%',
-      storage: '+7.2%',
-      network: '+5.7%',
-      tokens: '+17.2%',
+      total: formatChange(percentChange(previous.cost, current.cost)),
+      byModel: Object.fromEntries(
+        [...models].map((model) => [
+          model,
+          formatChange(
+            percentChange(previous.byModel[model]?.cost || 0, current.byModel[model]?.cost || 0),
+          ),
+        ]),
+      ),
     },
+    tokens: current,
+    unpriced: current.unpriced,
   };
 }
 
+/**
+ * Cost per step, from each model's token series
+ */
+async function costSeries(metrics, range, pricing, models) {
+  const buckets = new Map();
+  for (const model of models) {
+    const price = priceFor(model, pricing);
+    if (!price) continue;
+    for (const [kind, name] of Object.entries(TOKEN_METRICS)) {
+      for (const point of await series(metrics, name, range, 'sum', { model })) {
+        const tokens = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, [kind]: point.value };
+        buckets.set(
+          point.timestamp,
+          (buckets.get(point.timestamp) || 0) + tokenCost(tokens, price),
+        );
+      }
+    }
+  }
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([timestamp, cost]) => ({ timestamp, value: round(cost, 4) }));
+}
+
 function generateCostOptimizations(costs) {
-  return [
-    'Optimize token usage to reduce costs by ~15%',
-    'Implement better caching to reduce compute costs',
-    'Archive old data to reduce storage costs',
-  ];
+  const optimizations = [];
+  const { tokens } = costs;
+  const efficiency = calculateTokenEfficiency(tokens);
+
+  if (tokens.totalTokens > 0 && efficiency.cacheHitRate < 20) {
+    optimizations.push(
+      `Only ${efficiency.cacheHitRate}% of prompt tokens came from the cache; keep long system prompts and context stable to reuse it`,
+    );
+  }
+
+  const [topModel, topCost] = Object.entries(costs.current.byModel).sort(
+    ([, a], [, b]) => (b || 0) - (a || 0),
+  )[0] || [null, 0];
+  if (topModel && costs.current.total > 0 && topCost / costs.current.total > 0.5) {
+    optimizations.push(
+      `${topModel} accounts for ${Math.round((topCost / costs.current.total) * 100)}% of the cost; route routine tasks to a smaller model`,
+    );
+  }
+
+  if (costs.unpriced.length > 0) {
+    optimizations.push(`No price for ${costs.unpriced.join(', ')}; costs exclude those models`);
+  }
+
+  return optimizations;
 }
 
-function generateCostForecast(costs) {
-  const total = Object.values(costs.current).reduce((a, b) => a + b, 0);
+function generateCostForecast(costs, range) {
+  const perDay = costs.current.total / ((range.to - range.from) / DAY);
   return {
-    nextMonth: total * 1.1,
-    nextQuarter: total * 1.35,
-    nextYear: total * 1.8,
+    perDay: round(perDay, 4),
+    nextMonth: round(perDay * 30),
+    nextQuarter: round(perDay * 91),
+    nextYear: round(perDay * 365),
   };
 }
 
@@ -807,68 +1074,126 @@ function generateQualityRecommendations(quality) {
   return recommendations;
 }
 
-function analyzeErrors() {
+async function analyzeErrors(metrics, range) {
+  const [byStatus, byRoute, failedTools, failedTasks, failedCommands, errorSeries] =
+    await Promise.all([
+      metrics.totals('api.errors', { ...range, groupBy: 'status' }),
+      metrics.totals('api.errors', { ...range, groupBy: 'route' }),
+      metrics.totals('mcp.tool.calls', { ...range, labels: { status: 'error' }, groupBy: 'tool' }),
+      metrics.totals('hive.tasks.failed', range),
+      metrics.totals('commands.runs', { ...range, labels: { status: 'failed' } }),
+      series(metrics, 'api.errors', range),
+    ]);
+
+  const types = { '4xx': 0, '5xx': 0 };
+  for (const row of byStatus) {
+    types[`${String(row.status)[0]}xx`] = (types[`${String(row.status)[0]}xx`] || 0) + row.sum;
+  }
+  const toolErrors = failedTools.map((row) => ({ tool: row.tool, count: row.sum }));
+  const peak = errorSeries.reduce(
+    (top, point) => (point.value > (top?.value || 0) ? point : top),
+    null,
+  );
+
   return {
-    total: 24,
-    types: {
-      '4xx': 15,
-      '5xx': 9,
-    },
-    common: [
-      { code: 404, count: 8, message: 'Resource not found' },
-      { code: 500, count: 5, message: 'Internal server error' },
-      { code: 401, count: 4, message: 'Unauthorized access' },
-    ],
+    total:
+      Object.values(types).reduce((a, b) => a + b, 0) +
+      toolErrors.reduce((sum, row) => sum + row.count, 0) +
+      failedTasks.sum +
+      failedCommands.sum,
+    types,
+    common: byStatus.map((row) => ({ code: Number(row.status), count: row.sum })),
+    routes: byRoute.map((row) => ({ route: row.route, count: row.sum })),
+    tools: toolErrors,
+    failedTasks: failedTasks.sum,
+    failedCommands: failedCommands.sum,
+    peak: peak && { timestamp: peak.timestamp, count: peak.value },
   };
 }
 
 function identifyErrorPatterns(errors) {
-  return [
-    'Most errors occur during peak hours (12-2 PM)',
-    '404 errors primarily from deprecated API endpoints',
-    '500 errors correlate with database connection issues',
-  ];
+  const patterns = [];
+
+  if (errors.peak) {
+    patterns.push(
+      `API errors peaked at ${errors.peak.count} around ${new Date(errors.peak.timestamp).toISOString()}`,
+    );
+  }
+  if (errors.routes[0]) {
+    patterns.push(
+      `Most API errors come from ${errors.routes[0].route} (${errors.routes[0].count})`,
+    );
+  }
+  if (errors.tools[0]) {
+    patterns.push(`Most failed MCP tool calls: ${errors.tools[0].tool} (${errors.tools[0].count})`);
+  }
+  if (errors.failedTasks > 0) {
+    patterns.push(`${errors.failedTasks} hive-mind tasks failed`);
+  }
+  if (errors.failedCommands > 0) {
+    patterns.push(`${errors.failedCommands} shell commands exited with an error`);
+  }
+
+  return patterns.length > 0 ? patterns : ['No errors recorded in this range'];
 }
 
 function generateErrorResolutions(errors) {
-  return [
-    'Implement proper redirects for deprecated endpoints',
-    'Add database connection pooling and retry logic',
-    'Enhance authentication error handling',
-  ];
+  const resolutions = [];
+
+  if (errors.types['4xx'] > 0) {
+    resolutions.push('Check clients for outdated endpoints or invalid parameters (4xx)');
+  }
+  if (errors.types['5xx'] > 0) {
+    resolutions.push('Check the server logs around the error peak (5xx)');
+  }
+  for (const { tool } of errors.tools.slice(0, 3)) {
+    resolutions.push(`Review the arguments and logs of failing ${tool} calls`);
+  }
+  if (errors.failedTasks > 0) {
+    resolutions.push('Inspect failed hive-mind tasks with: claude-flow hive-mind status');
+  }
+
+  return resolutions;
 }
 
-function calculateUsageStats() {
+async function calculateUsageStats(metrics, range) {
+  const [apiRequests, toolCalls, tools, hookRuns, hooks, tasks, hiveTasks, commands] =
+    await Promise.all([
+      metrics.totals('api.requests', range),
+      metrics.totals('mcp.tool.calls', range),
+      metrics.totals('mcp.tool.calls', { ...range, groupBy: 'tool' }),
+      metrics.totals('hooks.runs', range),
+      metrics.totals('hooks.runs', { ...range, groupBy: 'hook' }),
+      metrics.totals('tasks.completed', range),
+      metrics.totals('hive.tasks.completed', range),
+      metrics.totals('commands.runs', range),
+    ]);
+
   return {
-    totalUsers: 1250,
-    activeUsers: 340,
-    totalSessions: 2890,
-    averageSessionDuration: 15.5,
-    topFeatures: [
-      { name: 'Analysis Tools', usage: 85 },
-      { name: 'Monitoring', usage: 78 },
-      { name: 'Reports', usage: 62 },
-    ],
+    apiRequests: apiRequests.sum,
+    toolCalls: toolCalls.sum,
+    hookRuns: hookRuns.sum,
+    sessions: hooks.find((row) => row.hook === 'session-end')?.sum || 0,
+    tasksCompleted: tasks.sum + hiveTasks.sum,
+    commandsRun: commands.sum,
+    topFeatures: tools.slice(0, 5).map((row) => ({ name: row.tool, usage: row.sum })),
+    topHooks: hooks.slice(0, 5).map((row) => ({ name: row.hook, usage: row.sum })),
   };
 }
 
 function generateUsageInsights(stats) {
-  return [
-    `${stats.activeUsers} active users out of ${stats.totalUsers} total users`,
-    `Average session duration is ${stats.averageSessionDuration} minutes`,
-    'Analysis Tools is the most popular feature',
+  const insights = [
+    `${stats.toolCalls} MCP tool calls, ${stats.hookRuns} hook runs and ${stats.apiRequests} API requests`,
+    `${stats.tasksCompleted} tasks completed over ${stats.sessions} sessions`,
   ];
-}
-
-function calculateUsageTrends(stats) {
-  return {
-    users: Array.from({ length: 30 }, () => Math.random() * 50 + stats.activeUsers - 25),
-    sessions: Array.from({ length: 30 }, () => Math.random() * 100 + stats.totalSessions - 50),
-  };
+  if (stats.topFeatures[0]) {
+    insights.push(`${stats.topFeatures[0].name} is the most used tool`);
+  }
+  return insights;
 }
 
 function calculateOverallHealth(health) {
-  const scores = Object.values(health);
+  const scores = Object.values(health).filter((score) => score !== null);
   const average = scores.reduce((a, b) => a + b, 0) / scores.length;
 
   if (average >= 90) return 'excellent';
@@ -881,7 +1206,7 @@ function generateHealthAlerts(health) {
   const alerts = [];
 
   Object.entries(health).forEach(([component, score]) => {
-    if (score < 70) {
+    if (score !== null && score < 70) {
       alerts.push({
         component,
         score,
@@ -914,12 +1239,14 @@ function generateLoadAlerts(load) {
   return alerts;
 }
 
-function predictLoadTrends(load) {
-  return {
-    nextHour: load.current * (0.9 + Math.random() * 0.2),
-    nextDay: load.current * (0.8 + Math.random() * 0.4),
-    nextWeek: load.current * (0.7 + Math.random() * 0.6),
-  };
+/**
+ * Next hour's load, projected from the hourly load samples of the last day
+ */
+async function predictLoadTrends(metrics) {
+  const now = Date.now();
+  const range = { from: now - DAY, to: now + 1, step: 60 * 60 * 1000 };
+  const trend = analyzeTrend(await series(metrics, 'system.load_1m', range), range);
+  return { nextHour: trend.forecast, trend: trend.trend };
 }
 
 function planCapacity() {
@@ -968,5 +1295,3 @@ function generateCapacityTimeline(capacity) {
     '6months': 'Review storage requirements',
   };
 }
-
-module.exports = router;
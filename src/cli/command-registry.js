@@ -113,6 +113,8 @@ First-time users should run: npx claude-flow@latest init --sparc`,
       'sparc modes                               # List available modes',
       'sparc run code "implement feature"        # Run specific mode',
       'sparc tdd "feature description"           # TDD workflow',
+      'sparc resume <run-id>                     # Continue a checkpointed run',
+      'sparc pipeline                            # Show pipeline phases and gates',
       'sparc info architect                      # Mode details',
     ],
   });
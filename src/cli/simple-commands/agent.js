@@ -1,183 +1,538 @@
 // agent.js - Agent management commands
+// Agents live in the registry in .swarm/memory.db (see memory/agent-registry.js),
+// shared with the MCP agent tools and SwarmMemory
 import { printSuccess, printError, printWarning } from '../utils.js';
-
-export async function agentCommand(subArgs, flags) {
+import { FallbackMemoryStore } from '../../memory/fallback-store.js';
+import { AgentRegistry, AgentRegistryError, AGENT_STATES } from '../../memory/agent-registry.js';
+import { TaskQueue } from '../../memory/task-queue.js';
+
+const REGISTRY_COMMANDS = {
+  spawn: spawnAgent,
+  list: listAgents,
+  info: showAgentInfo,
+  status: setAgentStatus,
+  heartbeat: recordHeartbeat,
+  terminate: terminateAgent,
+  hierarchy: manageHierarchy,
+  network: manageNetwork,
+  ecosystem: manageEcosystem,
+  provision: provisionAgent,
+};
+
+const STATUS_ICONS = {
+  active: '🟢',
+  idle: '⚪',
+  busy: '🟡',
+  paused: '⏸️',
+  stopped: '⏹️',
+  terminated: '🛑',
+};
+
+// Agent trees created by `agent hierarchy create <template>`
+const HIERARCHY_TEMPLATES = {
+  basic: { type: 'coordinator', children: [{ type: 'researcher' }, { type: 'coder' }] },
+  development: {
+    type: 'coordinator',
+    children: [
+      { type: 'architect', children: [{ type: 'coder' }, { type: 'tester' }] },
+      { type: 'reviewer' },
+    ],
+  },
+  enterprise: {
+    type: 'coordinator',
+    children: [
+      {
+        type: 'architect',
+        children: [{ type: 'coder' }, { type: 'coder' }, { type: 'tester' }],
+      },
+      { type: 'analyst', children: [{ type: 'researcher' }] },
+      { type: 'reviewer' },
+    ],
+  },
+};
+
+export async function agentCommand(subArgs, flags = {}) {
   const agentCmd = subArgs[0];
+  const command = REGISTRY_COMMANDS[agentCmd];
 
-  switch (agentCmd) {
-    case 'spawn':
-      await spawnAgent(subArgs, flags);
-      break;
+  if (!command) {
+    showAgentHelp();
+    return;
+  }
 
-    case 'list':
-      await listAgents(subArgs, flags);
-      break;
+  const store = new FallbackMemoryStore();
+  try {
+    await store.initialize();
+    await command(subArgs, flags, { store, registry: new AgentRegistry({ store }) });
+  } catch (err) {
+    fail(
+      flags,
+      err instanceof AgentRegistryError
+        ? err.message
+        : `Agent registry unavailable: ${err.message}`,
+    );
+  } finally {
+    store.close();
+  }
+}
 
-    case 'hierarchy':
-      await manageHierarchy(subArgs, flags);
-      break;
+function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
 
-    case 'network':
-      await manageNetwork(subArgs, flags);
-      break;
+function fail(flags, message) {
+  if (flags.json) {
+    printJson({ success: false, error: message });
+  } else {
+    printError(message);
+  }
+}
 
-    case 'ecosystem':
-      await manageEcosystem(subArgs, flags);
-      break;
+function splitList(value) {
+  if (!value || value === true) return [];
+  return String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
 
-    case 'provision':
-      await provisionAgent(subArgs, flags);
-      break;
+function flagValue(flags, name) {
+  return typeof flags[name] === 'string' ? flags[name] : undefined;
+}
 
-    case 'terminate':
-      await terminateAgent(subArgs, flags);
-      break;
+// Agents join the active swarm unless --swarm says otherwise
+async function resolveSwarmId(flags, store) {
+  if (typeof flags.swarm === 'string') return flags.swarm;
+  return (await store.retrieve('active_swarm', { namespace: 'system' })) || null;
+}
 
-    case 'info':
-      await showAgentInfo(subArgs, flags);
-      break;
+function agentLine(agent) {
+  const stale = agent.stale ? '  ⚠️ stale' : '';
+  return `${STATUS_ICONS[agent.status] || '❔'} ${agent.name} (${agent.id})  [${agent.status}]  ${agent.type}${stale}`;
+}
 
-    default:
-      showAgentHelp();
+function printAgent(agent, verbose = true) {
+  console.log(agentLine(agent));
+  if (!verbose) return;
+  if (agent.capabilities.length > 0) {
+    console.log(`   🧠 Capabilities: ${agent.capabilities.join(', ')}`);
+  }
+  if (agent.swarmId) console.log(`   🐝 Swarm: ${agent.swarmId}`);
+  if (agent.parentId) console.log(`   ⬆️  Parent: ${agent.parentId}`);
+  console.log(`   📅 Created: ${agent.createdAt}`);
+  if (agent.lastHeartbeat) console.log(`   💓 Last heartbeat: ${agent.lastHeartbeat}`);
+  if (agent.terminatedAt) {
+    console.log(`   🛑 Terminated: ${agent.terminatedAt} (${agent.terminationReason})`);
+  }
+}
+
+function printTree(nodes, indent = '') {
+  for (const node of nodes) {
+    console.log(`${indent}${agentLine(node)}`);
+    printTree(node.children, `${indent}   `);
   }
 }
 
-async function spawnAgent(subArgs, flags) {
+async function spawnAgent(subArgs, flags, { store, registry }) {
   const agentType = subArgs[1] || 'general';
-  const agentName = getFlag(subArgs, '--name') || flags.name || `agent-${Date.now()}`;
+  const agent = await registry.register({
+    type: agentType,
+    name: flagValue(flags, 'name') || getFlag(subArgs, '--name') || undefined,
+    capabilities: splitList(flags.capabilities),
+    parentId: flagValue(flags, 'parent'),
+    swarmId: await resolveSwarmId(flags, store),
+    metadata: { createdBy: 'cli' },
+  });
+
+  if (flags.json) {
+    printJson({ success: true, agent });
+    return;
+  }
 
-  printSuccess(`Spawning ${agentType} agent: ${agentName}`);
-  console.log('🤖 Agent would be created with the following configuration:');
-  console.log(`   Type: ${agentType}`);
-  console.log(`   Name: ${agentName}`);
-  console.log('   Capabilities: Research, Analysis, Code Generation');
-  console.log('   Status: Ready');
-  console.log('\n📋 Note: Full agent spawning requires orchestrator to be running');
+  printSuccess(`Spawned ${agentType} agent: ${agent.name}`);
+  printAgent(agent);
 }
 
-async function listAgents(subArgs, flags) {
-  printSuccess('Active agents:');
-  console.log('📋 No agents currently active (orchestrator not running)');
-  console.log('\nTo create agents:');
-  console.log('  claude-flow agent spawn researcher --name "ResearchBot"');
-  console.log('  claude-flow agent spawn coder --name "CodeBot"');
-  console.log('  claude-flow agent spawn analyst --name "DataBot"');
+async function listAgents(subArgs, flags, { registry }) {
+  const statuses = splitList(flags.status);
+  const agents = await registry.list({
+    swarmId: flagValue(flags, 'swarm'),
+    type: flagValue(flags, 'type'),
+    status: statuses.length > 0 ? statuses : undefined,
+    includeTerminated: Boolean(flags.all),
+  });
+
+  if (flags.json) {
+    printJson({ success: true, count: agents.length, agents });
+    return;
+  }
+
+  if (agents.length === 0) {
+    printWarning('No agents registered');
+    console.log('\nTo create agents:');
+    console.log('  claude-flow agent spawn researcher --name "ResearchBot"');
+    console.log('  claude-flow agent spawn coder --name "CodeBot"');
+    console.log('  claude-flow agent spawn analyst --name "DataBot"');
+    return;
+  }
+
+  printSuccess(`Agents (${agents.length}):`);
+  const verbose = Boolean(flags.verbose || flags.v);
+  for (const agent of agents) printAgent(agent, verbose);
 }
 
-async function manageHierarchy(subArgs, flags) {
+async function showAgentInfo(subArgs, flags, { registry }) {
+  const agentId = subArgs[1];
+
+  if (!agentId) {
+    fail(flags, 'Usage: agent info <agent-id>');
+    return;
+  }
+
+  const agent = await registry.get(agentId);
+  if (!agent) throw new AgentRegistryError(`Agent ${agentId} not found`);
+
+  const children = await registry.list({ parentId: agent.id });
+  const queue = new TaskQueue();
+  let tasks;
+  try {
+    tasks = (await queue.list()).filter((task) => task.agentId === agent.id);
+  } finally {
+    queue.close();
+  }
+
+  if (flags.json) {
+    printJson({ success: true, agent, children, tasks });
+    return;
+  }
+
+  printSuccess(`Agent information: ${agentId}`);
+  printAgent(agent);
+  if (children.length > 0) {
+    console.log(`   ⬇️  Children: ${children.map((child) => child.id).join(', ')}`);
+  }
+  console.log(`   📋 Tasks: ${tasks.length}`);
+  for (const task of tasks) {
+    console.log(`      ${task.id} [${task.status}] ${task.description}`);
+  }
+  console.log('   📜 History:');
+  for (const entry of agent.history || []) {
+    console.log(`      ${entry.at} ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}`);
+  }
+}
+
+async function setAgentStatus(subArgs, flags, { registry }) {
+  const [, agentId, status] = subArgs;
+
+  if (!agentId || !status) {
+    fail(flags, `Usage: agent status <agent-id> <${AGENT_STATES.join('|')}>`);
+    return;
+  }
+
+  const agent = await registry.setStatus(agentId, status, { reason: flagValue(flags, 'reason') });
+  if (flags.json) {
+    printJson({ success: true, agent });
+    return;
+  }
+  printSuccess(`Agent ${agentId} is now ${agent.status}`);
+}
+
+async function recordHeartbeat(subArgs, flags, { registry }) {
+  const agentId = subArgs[1];
+
+  if (!agentId) {
+    fail(flags, 'Usage: agent heartbeat <agent-id> [--status <state>]');
+    return;
+  }
+
+  const agent = await registry.heartbeat(agentId, { status: flagValue(flags, 'status') });
+  if (flags.json) {
+    printJson({ success: true, agent });
+    return;
+  }
+  printSuccess(`Heartbeat recorded for ${agentId} [${agent.status}]`);
+}
+
+async function terminateAgent(subArgs, flags, { registry }) {
+  const agentId = subArgs[1];
+
+  if (!agentId) {
+    fail(flags, 'Usage: agent terminate <agent-id> [--reason "<text>"] [--no-cascade]');
+    return;
+  }
+
+  const terminated = await registry.terminate(agentId, {
+    reason: flagValue(flags, 'reason'),
+    cascade: !flags['no-cascade'],
+  });
+
+  if (flags.json) {
+    printJson({ success: true, agentId, terminated: terminated.map((agent) => agent.id) });
+    return;
+  }
+
+  printSuccess(`Terminated agent: ${agentId}`);
+  if (terminated.length > 1) {
+    console.log(
+      `🛑 Also terminated its children: ${terminated
+        .slice(1)
+        .map((agent) => agent.id)
+        .join(', ')}`,
+    );
+  }
+}
+
+async function manageHierarchy(subArgs, flags, { store, registry }) {
   const hierarchyCmd = subArgs[1];
 
   switch (hierarchyCmd) {
-    case 'create':
+    case 'create': {
       const hierarchyType = subArgs[2] || 'basic';
-      printSuccess(`Creating ${hierarchyType} agent hierarchy`);
-      console.log('🏗️  Hierarchy structure would include:');
-      console.log('   - Coordinator Agent (manages workflow)');
-      console.log('   - Specialist Agents (domain-specific tasks)');
-      console.log('   - Worker Agents (execution tasks)');
+      const template = HIERARCHY_TEMPLATES[hierarchyType];
+      if (!template) {
+        throw new AgentRegistryError(
+          `Unknown hierarchy: ${hierarchyType} (${Object.keys(HIERARCHY_TEMPLATES).join(', ')})`,
+        );
+      }
+
+      const swarmId = await resolveSwarmId(flags, store);
+      const created = [];
+      const spawnTree = async (node, parentId) => {
+        const agent = await registry.register({
+          type: node.type,
+          parentId,
+          swarmId,
+          metadata: { createdBy: 'cli', hierarchy: hierarchyType },
+        });
+        created.push(agent);
+        for (const child of node.children || []) await spawnTree(child, agent.id);
+      };
+      await spawnTree(template, flagValue(flags, 'parent'));
+
+      if (flags.json) {
+        printJson({ success: true, hierarchy: hierarchyType, agents: created });
+        return;
+      }
+      printSuccess(`Created ${hierarchyType} agent hierarchy (${created.length} agents)`);
+      printTree(
+        await registry.hierarchy({ swarmId: swarmId || undefined, includeTerminated: false }),
+      );
       break;
-
-    case 'show':
+    }
+
+    case 'show': {
+      const roots = await registry.hierarchy({
+        swarmId: flagValue(flags, 'swarm'),
+        includeTerminated: Boolean(flags.all),
+      });
+      if (flags.json) {
+        printJson({ success: true, hierarchy: roots });
+        return;
+      }
+      if (roots.length === 0) {
+        printWarning('No agents registered');
+        return;
+      }
       printSuccess('Current agent hierarchy:');
-      console.log('📊 No hierarchy configured (orchestrator not running)');
+      printTree(roots);
       break;
+    }
 
     default:
       console.log('Hierarchy commands: create, show');
+      console.log(`Templates: ${Object.keys(HIERARCHY_TEMPLATES).join(', ')}`);
       console.log('Examples:');
       console.log('  claude-flow agent hierarchy create enterprise');
       console.log('  claude-flow agent hierarchy show');
   }
 }
 
-async function manageNetwork(subArgs, flags) {
+async function manageNetwork(subArgs, flags, { store, registry }) {
   const networkCmd = subArgs[1];
+  const agents = await registry.list({
+    swarmId: flagValue(flags, 'swarm'),
+    includeTerminated: false,
+  });
 
   switch (networkCmd) {
-    case 'topology':
+    case 'topology': {
+      const swarms = {};
+      for (const agent of agents) {
+        const swarmId = agent.swarmId || 'none';
+        if (!swarms[swarmId]) {
+          const swarm =
+            agent.swarmId && (await store.retrieve(`swarm:${swarmId}`, { namespace: 'swarms' }));
+          swarms[swarmId] = {
+            topology: (swarm && swarm.topology) || null,
+            agents: [],
+            links: [],
+          };
+        }
+        swarms[swarmId].agents.push(agent.id);
+        if (agent.parentId) swarms[swarmId].links.push([agent.parentId, agent.id]);
+      }
+
+      if (flags.json) {
+        printJson({ success: true, swarms });
+        return;
+      }
       printSuccess('Agent network topology:');
-      console.log('🌐 Network visualization would show agent connections');
+      for (const [swarmId, swarm] of Object.entries(swarms)) {
+        console.log(
+          `🌐 ${swarmId} (${swarm.topology || 'no topology'}): ${swarm.agents.length} agents`,
+        );
+        for (const [from, to] of swarm.links) console.log(`   ${from} → ${to}`);
+      }
       break;
-
-    case 'metrics':
+    }
+
+    case 'metrics': {
+      const now = Date.now();
+      const ages = agents
+        .filter((agent) => agent.lastHeartbeat)
+        .map((agent) => now - Date.parse(agent.lastHeartbeat));
+      const metrics = {
+        agents: agents.length,
+        reporting: ages.length,
+        stale: agents.filter((agent) => agent.stale).map((agent) => agent.id),
+        maxHeartbeatAgeMs: ages.length ? Math.max(...ages) : null,
+        byStatus: countBy(agents, 'status'),
+      };
+
+      if (flags.json) {
+        printJson({ success: true, metrics });
+        return;
+      }
       printSuccess('Network performance metrics:');
-      console.log('📈 Communication latency, throughput, reliability stats');
+      console.log(`📈 Agents: ${metrics.agents}, reporting heartbeats: ${metrics.reporting}`);
+      console.log(`   Stale: ${metrics.stale.length ? metrics.stale.join(', ') : 'none'}`);
+      if (metrics.maxHeartbeatAgeMs !== null) {
+        console.log(`   Oldest heartbeat: ${Math.round(metrics.maxHeartbeatAgeMs / 1000)}s ago`);
+      }
       break;
+    }
 
     default:
       console.log('Network commands: topology, metrics');
   }
 }
 
-async function manageEcosystem(subArgs, flags) {
+async function manageEcosystem(subArgs, flags, { registry }) {
   const ecosystemCmd = subArgs[1];
+  const agents = await registry.list({ includeTerminated: false });
 
   switch (ecosystemCmd) {
-    case 'status':
+    case 'status': {
+      const queue = new TaskQueue();
+      let tasks;
+      try {
+        await queue.reap();
+        tasks = await queue.counts();
+      } finally {
+        queue.close();
+      }
+      const status = {
+        agents: agents.length,
+        byStatus: countBy(agents, 'status'),
+        byType: countBy(agents, 'type'),
+        stale: agents.filter((agent) => agent.stale).length,
+        tasks,
+      };
+
+      if (flags.json) {
+        printJson({ success: true, ...status });
+        return;
+      }
       printSuccess('Agent ecosystem status:');
-      console.log('🌱 Ecosystem health: Not running');
-      console.log('   Active Agents: 0');
-      console.log('   Resource Usage: 0%');
-      console.log('   Task Queue: Empty');
+      console.log(`🌱 Active Agents: ${status.agents}`);
+      for (const [state, count] of Object.entries(status.byStatus)) {
+        console.log(`   ${STATUS_ICONS[state] || '❔'} ${state}: ${count}`);
+      }
+      console.log(`   Stale agents: ${status.stale}`);
+      console.log(`   Task Queue: ${tasks.queued} queued, ${tasks.running} running`);
       break;
-
-    case 'optimize':
+    }
+
+    case 'optimize': {
+      // Stale agents stopped reporting heartbeats; --apply terminates them
+      const stale = agents.filter((agent) => agent.stale);
+      const terminated = [];
+      if (flags.apply) {
+        for (const agent of stale) {
+          const current = await registry.get(agent.id);
+          if (current && current.status !== 'terminated') {
+            terminated.push(
+              ...(await registry.terminate(agent.id, { reason: 'missed heartbeats' })),
+            );
+          }
+        }
+      }
+
+      if (flags.json) {
+        printJson({
+          success: true,
+          stale: stale.map((agent) => agent.id),
+          terminated: terminated.map((agent) => agent.id),
+        });
+        return;
+      }
       printSuccess('Optimizing agent ecosystem...');
-      console.log('⚡ Optimization would include:');
-      console.log('   - Load balancing across agents');
-      console.log('   - Resource allocation optimization');
-      console.log('   - Communication path optimization');
+      if (stale.length === 0) {
+        console.log('⚡ No stale agents');
+      } else if (flags.apply) {
+        console.log(`🛑 Terminated ${terminated.length} agents that stopped reporting heartbeats`);
+      } else {
+        console.log(`⚠️  Stale agents: ${stale.map((agent) => agent.id).join(', ')}`);
+        console.log('   Run with --apply to terminate them');
+      }
       break;
+    }
 
     default:
       console.log('Ecosystem commands: status, optimize');
   }
 }
 
-async function provisionAgent(subArgs, flags) {
+async function provisionAgent(subArgs, flags, { store, registry }) {
   const provision = subArgs[1];
 
   if (!provision) {
-    printError('Usage: agent provision <count>');
+    fail(flags, 'Usage: agent provision <count> [--type <type>]');
     return;
   }
 
   const count = parseInt(provision);
   if (isNaN(count) || count < 1) {
-    printError('Count must be a positive number');
+    fail(flags, 'Count must be a positive number');
     return;
   }
 
-  printSuccess(`Provisioning ${count} agents...`);
-  console.log('🚀 Auto-provisioning would create:');
-  for (let i = 1; i <= count; i++) {
-    console.log(`   Agent ${i}: Type=general, Status=provisioning`);
+  const swarmId = await resolveSwarmId(flags, store);
+  const agents = [];
+  for (let i = 0; i < count; i++) {
+    agents.push(
+      await registry.register({
+        type: flagValue(flags, 'type') || 'general',
+        capabilities: splitList(flags.capabilities),
+        parentId: flagValue(flags, 'parent'),
+        swarmId,
+        metadata: { createdBy: 'cli', provisioned: true },
+      }),
+    );
   }
-}
-
-async function terminateAgent(subArgs, flags) {
-  const agentId = subArgs[1];
 
-  if (!agentId) {
-    printError('Usage: agent terminate <agent-id>');
+  if (flags.json) {
+    printJson({ success: true, agents });
     return;
   }
-
-  printSuccess(`Terminating agent: ${agentId}`);
-  console.log('🛑 Agent would be gracefully shut down');
+  printSuccess(`Provisioned ${count} agents`);
+  for (const agent of agents) printAgent(agent, false);
 }
 
-async function showAgentInfo(subArgs, flags) {
-  const agentId = subArgs[1];
-
-  if (!agentId) {
-    printError('Usage: agent info <agent-id>');
-    return;
-  }
-
-  printSuccess(`Agent information: ${agentId}`);
-  console.log('📊 Agent details would include:');
-  console.log('   Status, capabilities, current tasks, performance metrics');
+function countBy(items, field) {
+  const counts = {};
+  for (const item of items) counts[item[field]] = (counts[item[field]] || 0) + 1;
+  return counts;
 }
 
 function getFlag(args, flagName) {
@@ -187,14 +542,16 @@ function getFlag(args, flagName) {
 
 function showAgentHelp() {
   console.log('Agent commands:');
-  console.log('  spawn <type> [--name <name>]     Create new agent');
-  console.log('  list [--verbose]                 List active agents');
-  console.log('  terminate <id>                   Stop specific agent');
-  console.log('  info <id>                        Show agent details');
+  console.log('  spawn <type> [--name <name>]     Register a new agent');
+  console.log('  list [--verbose]                 List agents (--all includes terminated)');
+  console.log('  info <id>                        Show agent details, children and tasks');
+  console.log('  status <id> <state>              Move an agent to another state');
+  console.log('  heartbeat <id> [--status <s>]    Record that an agent is alive');
+  console.log('  terminate <id>                   Terminate an agent and its children');
   console.log('  hierarchy <create|show>          Manage agent hierarchies');
   console.log('  network <topology|metrics>       Agent network operations');
   console.log('  ecosystem <status|optimize>      Ecosystem management');
-  console.log('  provision <count>                Auto-provision agents');
+  console.log('  provision <count>                Register several agents at once');
   console.log();
   console.log('Agent Types:');
   console.log('  researcher    Research and information gathering');
@@ -203,9 +560,21 @@ function showAgentHelp() {
   console.log('  coordinator   Task coordination and management');
   console.log('  general       Multi-purpose agent');
   console.log();
+  console.log(`Agent States: ${AGENT_STATES.join(', ')}`);
+  console.log();
+  console.log('Options:');
+  console.log('  --swarm <id>                     Swarm to use (default: the active swarm)');
+  console.log('  --parent <id>                    Parent agent in the hierarchy');
+  console.log('  --capabilities <a,b>             Agent capabilities');
+  console.log('  --type <type>, --status <a,b>    Filter list output');
+  console.log('  --reason <text>                  Reason for a status change or termination');
+  console.log('  --no-cascade                     Terminate without terminating children');
+  console.log('  --json                           Print JSON output');
+  console.log();
   console.log('Examples:');
-  console.log('  claude-flow agent spawn researcher --name "DataBot"');
-  console.log('  claude-flow agent list --verbose');
+  console.log('  claude-flow agent spawn researcher --name "DataBot" --capabilities web,summarize');
+  console.log('  claude-flow agent list --swarm swarm-123 --json');
   console.log('  claude-flow agent hierarchy create enterprise');
+  console.log('  claude-flow agent terminate agent_123 --reason "done"');
   console.log('  claude-flow agent ecosystem status');
 }
@@ -38,6 +38,8 @@ import { CollectiveMemory } from './hive-mind/memory.js';
 import { SwarmCommunication } from './hive-mind/communication.js';
 import { HiveMindSessionManager } from './hive-mind/session-manager.js';
 import { createAutoSaveMiddleware } from './hive-mind/auto-save-middleware.js';
+import { HeadlessWorkerPool, resolveHeadlessOptions } from './hive-mind/headless.js';
+import { WorktreeManager, isolationMode } from './worktrees.js';
 
 function showHiveMindHelp() {
   console.log(`
@@ -53,6 +55,8 @@ ${chalk.bold('SUBCOMMANDS:')}
   ${chalk.green('resume')}       Resume a paused hive mind session
   ${chalk.green('stop')}         Stop a running hive mind session
   ${chalk.green('sessions')}     List all hive mind sessions
+  ${chalk.green('workers')}      Show headless worker runs of a session
+  ${chalk.green('integrate')}    Merge the worktrees of a session and report conflicts
   ${chalk.green('consensus')}    View consensus decisions
   ${chalk.green('memory')}       Manage collective memory
   ${chalk.green('metrics')}      View performance metrics
@@ -80,6 +84,14 @@ ${chalk.bold('EXAMPLES:')}
   ${chalk.gray('# Auto-spawn coordinated Claude Code instances')}
   claude-flow hive-mind spawn "Research AI trends" --auto-spawn --verbose
 
+  ${chalk.gray('# Run workers headless and record their activity')}
+  claude-flow hive-mind spawn "Add input validation" --headless --max-workers 2
+  claude-flow hive-mind workers session-1234567890-abc123 --events
+
+  ${chalk.gray('# Give each worker its own git worktree, then merge them back')}
+  claude-flow hive-mind spawn "Refactor the API" --claude --isolation worktree
+  claude-flow hive-mind integrate session-1234567890-abc123
+
   ${chalk.gray('# List all sessions')}
   claude-flow hive-mind sessions
 
@@ -103,12 +115,17 @@ ${chalk.bold('OPTIONS:')}
   --memory-size <mb>     Collective memory size in MB (default: 100)
   --auto-scale           Enable auto-scaling based on workload
   --encryption           Enable encrypted communication
+  --transport <type>     Agent message transport: memory (default), unix, tcp
   --monitor              Real-time monitoring dashboard
   --verbose              Detailed logging
   --claude               Generate Claude Code spawn commands with coordination
   --spawn                Alias for --claude
   --auto-spawn           Automatically spawn Claude Code instances
   --execute              Execute Claude Code spawn commands immediately
+  --headless             Run each worker as a non-interactive claude -p process
+  --worker-command <cmd> Headless worker command (default: claude -p --output-format stream-json)
+  --worker-timeout <s>   Stop headless workers still running after this many seconds
+  --isolation <mode>     none (default) or worktree: a git worktree and branch per worker
 
 ${chalk.bold('For more information:')}
 ${chalk.blue('https://github.com/ruvnet/claude-flow/tree/main/docs/hive-mind')}
@@ -461,6 +478,15 @@ async function spawnSwarm(args, flags) {
     return;
   }
 
+  // Validate isolation mode
+  let isolation;
+  try {
+    isolation = isolationMode(flags);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    return;
+  }
+
   const spinner = ora('Spawning Hive Mind swarm...').start();
 
   try {
@@ -705,6 +731,16 @@ async function spawnSwarm(args, flags) {
       });
     }
 
+    // Give every worker its own checkout so parallel edits cannot collide
+    if (isolation === 'worktree') {
+      spinner.text = 'Creating worker worktrees...';
+      const worktrees = new WorktreeManager();
+      for (const worker of workers) {
+        worker.worktree = await worktrees.create(swarmId, worker.id);
+        await sessionManager.saveWorktree(sessionId, worker.worktree);
+      }
+    }
+
     spinner.text = 'Initializing collective memory...';
 
     // Initialize collective memory
@@ -725,7 +761,12 @@ async function spawnSwarm(args, flags) {
     const communication = new SwarmCommunication({
       swarmId,
       encryption: hiveMind.config.encryption,
+      transport: flags.transport || 'memory',
     });
+    await communication.start();
+    if (communication.endpoint) {
+      memory.store('communication_endpoint', communication.endpoint, 'system');
+    }
 
     db.close();
 
@@ -743,6 +784,12 @@ async function spawnSwarm(args, flags) {
     console.log(chalk.cyan('Worker Types:'), workerTypes.join(', '));
     console.log(chalk.cyan('Consensus:'), hiveMind.config.consensusAlgorithm);
     console.log(chalk.cyan('Auto-scaling:'), hiveMind.config.autoScale ? 'Enabled' : 'Disabled');
+    if (isolation === 'worktree') {
+      console.log(chalk.cyan('Isolation:'), `git worktree per worker (.claude-flow/worktrees/${swarmId})`);
+    }
+    if (communication.endpoint) {
+      console.log(chalk.cyan('Message Hub:'), communication.endpoint);
+    }
     console.log(chalk.gray('─'.repeat(50)));
 
     // Launch monitoring if requested
@@ -757,6 +804,9 @@ async function spawnSwarm(args, flags) {
     console.log(chalk.gray('Session auto-save enabled - progress saved every 30 seconds'));
     console.log(chalk.blue('💡 To pause:') + ' Press Ctrl+C to safely pause and resume later');
     console.log(chalk.blue('💡 To resume:') + ' claude-flow hive-mind resume ' + sessionId);
+    if (isolation === 'worktree' && !flags.headless) {
+      console.log(chalk.blue('💡 To merge:') + ' claude-flow hive-mind integrate ' + sessionId);
+    }
 
     // Set up SIGINT handler for automatic session pausing
     let isExiting = false;
@@ -812,8 +862,23 @@ async function spawnSwarm(args, flags) {
     process.on('SIGTERM', sigintHandler);
 
     // Offer to spawn Claude Code instances with coordination instructions
-    if (flags.claude || flags.spawn) {
-      await spawnClaudeCodeInstances(swarmId, hiveMind.config.name, objective, workers, flags);
+    if (flags.claude || flags.spawn || flags.headless) {
+      await spawnClaudeCodeInstances(
+        swarmId,
+        hiveMind.config.name,
+        objective,
+        workers,
+        flags,
+        communication,
+      );
+      if (flags.headless) {
+        // Every worker has exited, so the swarm is done
+        process.off('SIGINT', sigintHandler);
+        process.off('SIGTERM', sigintHandler);
+        await autoSave.forceSave();
+        autoSave.stop();
+        exit(process.exitCode || 0);
+      }
     } else {
       console.log(
         '\n' +
@@ -1504,6 +1569,14 @@ export async function hiveMindCommand(args, flags) {
       await stopSession(subArgs, flags);
       break;
 
+    case 'workers':
+      await showWorkers(subArgs, flags);
+      break;
+
+    case 'integrate':
+      await integrateSession(subArgs, flags);
+      break;
+
     case 'consensus':
       await showConsensus(flags);
       break;
@@ -1880,7 +1953,14 @@ async function getActiveSessionId(swarmId) {
 /**
  * Spawn Claude Code with Hive Mind coordination instructions
  */
-async function spawnClaudeCodeInstances(swarmId, swarmName, objective, workers, flags) {
+async function spawnClaudeCodeInstances(
+  swarmId,
+  swarmName,
+  objective,
+  workers,
+  flags,
+  communication = null,
+) {
   console.log('\n' + chalk.bold('🚀 Launching Claude Code with Hive Mind Coordination'));
   console.log(chalk.gray('─'.repeat(60)));
 
@@ -1921,6 +2001,11 @@ async function spawnClaudeCodeInstances(swarmId, swarmName, objective, workers,
       await writeFile(promptFile, hiveMindPrompt, 'utf8');
       console.log(chalk.green(`\n✓ Hive Mind prompt saved to: ${promptFile}`));
 
+      // Headless mode: one non-interactive process per worker, recorded in the session DB
+      if (flags.headless) {
+        return await runHeadlessWorkers(swarmId, swarmName, objective, workers, flags, communication);
+      }
+
       // Check if claude command exists
       const { spawn: childSpawn, execSync } = await import('child_process');
       let claudeAvailable = false;
@@ -1951,9 +2036,11 @@ async function spawnClaudeCodeInstances(swarmId, swarmName, objective, workers,
 
         // Spawn claude with the prompt as the first argument
         // Use 'inherit' to allow interactive session
+        // Processes started from this session reach the message hub through the environment
         const claudeProcess = childSpawn('claude', claudeArgs, {
           stdio: 'inherit',
           shell: false,
+          env: { ...process.env, ...(communication?.getWorkerEnv('queen') || {}) },
         });
 
         // Track child process PID in session
@@ -2025,6 +2112,8 @@ async function spawnClaudeCodeInstances(swarmId, swarmName, objective, workers,
 
         // Handle process exit
         claudeProcess.on('exit', (code) => {
+          communication?.close();
+
           // Remove child PID from session
           if (sessionId && claudeProcess.pid) {
             sessionManager.removeChildPid(sessionId, claudeProcess.pid);
@@ -2085,6 +2174,187 @@ async function spawnClaudeCodeInstances(swarmId, swarmName, objective, workers,
   }
 }
 
+/**
+ * Run every worker as a headless process emitting stream-json and record
+ * its tool calls, messages, token usage and result in the session DB
+ */
+async function runHeadlessWorkers(swarmId, swarmName, objective, workers, flags, communication) {
+  const { command, timeoutMs } = resolveHeadlessOptions(flags);
+  const sessionId = await getActiveSessionId(swarmId);
+  if (!sessionId) {
+    throw new Error(`No active session for swarm ${swarmId}`);
+  }
+
+  console.log('\n' + chalk.bold(`🤖 Running ${workers.length} headless workers`));
+  console.log(chalk.gray(`Command: ${command.join(' ')}`));
+
+  const sessionManager = new HiveMindSessionManager();
+  const pool = new HeadlessWorkerPool({
+    sessionManager,
+    sessionId,
+    command,
+    timeoutMs,
+    cwd: (worker) => worker.worktree?.path || cwd(),
+    env: (worker) => communication?.getWorkerEnv(worker.id) || {},
+    onEvent: (worker, event) => {
+      if (!flags.verbose) return;
+      const tools = (event.message?.content || []).filter((block) => block.type === 'tool_use');
+      tools.forEach((tool) => console.log(chalk.gray(`  [${worker.name}] ${tool.name}`)));
+    },
+    onExit: (summary) => {
+      const worker = workers.find((w) => w.id === summary.workerId);
+      const tokens = summary.usage.input + summary.usage.output;
+      if (summary.status === 'completed') {
+        console.log(
+          chalk.green('✓') +
+            ` ${worker.name}: ${summary.toolCalls} tool calls, ${tokens} tokens` +
+            (summary.costUsd !== null ? `, $${summary.costUsd.toFixed(4)}` : ''),
+        );
+      } else {
+        console.log(chalk.red('✗') + ` ${worker.name}: ${summary.error}`);
+      }
+    },
+  });
+
+  const stopWorkers = () => pool.stop();
+  process.once('SIGINT', stopWorkers);
+  process.once('SIGTERM', stopWorkers);
+  let results;
+  try {
+    results = await pool.run(workers, (worker) =>
+      generateWorkerPrompt(swarmId, swarmName, objective, worker, workers, flags),
+    );
+  } finally {
+    process.off('SIGINT', stopWorkers);
+    process.off('SIGTERM', stopWorkers);
+    communication?.close();
+  }
+
+  const failed = results.filter((result) => result.status !== 'completed');
+
+  // Merge the work of the workers that finished; failed workers' worktrees stay for inspection
+  const finished = workers.filter(
+    (worker) => worker.worktree && !failed.some((result) => result.workerId === worker.id),
+  );
+  let unmerged = [];
+  if (finished.length > 0) {
+    const report = await integrateWorktrees(
+      sessionManager,
+      sessionId,
+      finished.map((worker) => worker.worktree),
+    );
+    printIntegrationReport(report);
+    unmerged = report.filter((entry) => entry.status === 'conflict' || entry.status === 'failed');
+  }
+
+  if (failed.length === 0 && unmerged.length === 0) {
+    sessionManager.completeSession(sessionId);
+    console.log(chalk.green(`\n✓ All ${results.length} headless workers completed`));
+  } else {
+    if (failed.length > 0) {
+      console.log(chalk.red(`\n✗ ${failed.length} of ${results.length} headless workers failed`));
+    }
+    if (unmerged.length > 0) {
+      console.log(chalk.red(`\n✗ ${unmerged.length} worktrees could not be merged`));
+      console.log(chalk.gray(`Resolve and retry: claude-flow hive-mind integrate ${sessionId}`));
+    }
+    process.exitCode = 1;
+  }
+  // Also lets the completion event logged above reach the database before it closes
+  await sessionManager.logSessionEvent(sessionId, 'info', 'Headless run finished', null, {
+    completed: results.length - failed.length,
+    failed: failed.length,
+    unmerged: unmerged.length,
+  });
+  sessionManager.close();
+  console.log(chalk.gray(`Worker activity: claude-flow hive-mind workers ${sessionId}`));
+  return results;
+}
+
+/**
+ * Generate the prompt for a single headless worker
+ */
+function generateWorkerPrompt(swarmId, swarmName, objective, worker, workers, flags) {
+  const teammates = workers
+    .filter((w) => w.id !== worker.id)
+    .map((w) => `• ${w.name} (${w.type})`)
+    .join('\n');
+
+  return `You are ${worker.name}, a ${worker.type} worker in the Hive Mind swarm "${swarmName}".
+
+📌 Swarm ID: ${swarmId}
+🆔 Worker ID: ${worker.id}
+🎯 Objective: ${objective}
+🤝 Consensus Algorithm: ${flags.consensus || 'majority'}
+
+YOUR RESPONSIBILITIES:
+${getWorkerTypeInstructions(worker.type)}
+${
+  worker.worktree
+    ? `
+You work in your own git worktree on branch ${worker.worktree.branch}. Commit your
+changes there; they are merged back when all workers have finished.
+`
+    : ''
+}
+OTHER WORKERS RUNNING ALONGSIDE YOU:
+${teammates || '• none'}
+
+You are running non-interactively: nobody will answer questions. Work on the part
+of the objective that fits your role, store progress and findings in the hive
+memory under "hive-mind-${swarmId}/${worker.type}/" with mcp__claude-flow__memory_usage,
+and finish with a short summary of what you did and what is left.`;
+}
+
+/**
+ * Merge agent worktrees into the current branch and record the outcome per agent
+ */
+async function integrateWorktrees(sessionManager, sessionId, worktrees) {
+  const report = await new WorktreeManager().integrate(worktrees, {
+    message: (worktree) => `${worktree.agentId}: work from hive-mind session ${sessionId}`,
+  });
+  for (const entry of report) {
+    await sessionManager.updateWorktree(sessionId, entry.agentId, entry);
+    await sessionManager.logSessionEvent(
+      sessionId,
+      entry.status === 'conflict' || entry.status === 'failed' ? 'warning' : 'info',
+      `Worktree ${entry.status}`,
+      entry.agentId,
+      {
+        branch: entry.branch,
+        commits: entry.commits,
+        files: entry.files,
+        conflicts: entry.conflicts,
+        error: entry.error,
+      },
+    );
+  }
+  return report;
+}
+
+/**
+ * Print the per-agent outcome of a worktree integration
+ */
+function printIntegrationReport(report) {
+  const icons = {
+    merged: chalk.green('✓'),
+    'no-changes': chalk.gray('–'),
+    conflict: chalk.red('✗'),
+    failed: chalk.red('✗'),
+  };
+
+  console.log('\n' + chalk.bold('🔀 Worktree Integration'));
+  console.log(chalk.gray('─'.repeat(60)));
+  for (const entry of report) {
+    console.log(
+      `${icons[entry.status]} ${entry.agentId}: ${entry.status}` +
+        chalk.gray(` (${entry.commits} commits, ${entry.files.length} files, ${entry.branch})`),
+    );
+    entry.conflicts.forEach((file) => console.log(chalk.red(`    conflict: ${file}`)));
+    if (entry.error) console.log(chalk.red(`    ${entry.error}`));
+  }
+}
+
 /**
  * Generate comprehensive Hive Mind prompt for Claude Code
  */
@@ -2110,7 +2380,19 @@ HIVE MIND CONFIGURATION:
 
 WORKER DISTRIBUTION:
 ${workerTypes.map((type) => `• ${type}: ${workerGroups[type].length} agents`).join('\n')}
-
+${
+  workers.some((worker) => worker.worktree)
+    ? `
+🌳 WORKTREE ISOLATION:
+Each worker has its own git worktree and branch. Do a worker's edits only in its directory:
+${workers
+  .filter((worker) => worker.worktree)
+  .map((worker) => `• ${worker.name}: ${worker.worktree.path} (${worker.worktree.branch})`)
+  .join('\n')}
+The branches are merged back with: claude-flow hive-mind integrate
+`
+    : ''
+}
 🔧 AVAILABLE MCP TOOLS FOR HIVE MIND COORDINATION:
 
 1️⃣ **COLLECTIVE INTELLIGENCE**
@@ -2552,6 +2834,20 @@ async function resumeSession(args, flags) {
       console.log(chalk.gray('Checkpoint data available for restoration'));
     }
 
+    // Bring back the worker worktrees; removed ones are recreated from their branches
+    if (resumedSession.worktrees && resumedSession.worktrees.length > 0) {
+      try {
+        const manager = new WorktreeManager();
+        for (const worktree of resumedSession.worktrees) {
+          const restored = await manager.create(resumedSession.swarm_id, worktree.agent_id);
+          await sessionManager.saveWorktree(sessionId, restored);
+        }
+        console.log('\n' + chalk.bold('🌳 Worktrees restored:'), resumedSession.worktrees.length);
+      } catch (error) {
+        console.log(chalk.yellow(`\n⚠️  Could not restore worktrees: ${error.message}`));
+      }
+    }
+
     sessionManager.close();
 
     // Offer to spawn Claude Code with restored context
@@ -2609,6 +2905,33 @@ async function stopSession(args, flags) {
     // Stop the session
     await sessionManager.stopSession(sessionId);
 
+    // Remove the worker worktrees; uncommitted work is committed to the
+    // worker's branch first and branches with unmerged work are kept
+    const worktrees = (await sessionManager.getWorktrees(sessionId)).filter(
+      (worktree) => worktree.status !== 'removed',
+    );
+    const keptBranches = [];
+    if (worktrees.length > 0) {
+      spinner.text = 'Removing worker worktrees...';
+      const manager = new WorktreeManager();
+      for (const worktree of worktrees) {
+        try {
+          const { removed, branchDeleted } = await manager.remove(worktree, {
+            message: `${worktree.agent_id}: uncommitted work from session ${sessionId}`,
+            force: Boolean(flags.force),
+          });
+          if (!branchDeleted) keptBranches.push(worktree.branch);
+          if (!removed) throw new Error(`git could not remove ${worktree.path}`);
+          await sessionManager.updateWorktree(sessionId, worktree.agent_id, {
+            ...worktree,
+            status: 'removed',
+          });
+        } catch (error) {
+          console.log(chalk.yellow(`\n⚠️  Kept worktree ${worktree.path}: ${error.message}`));
+        }
+      }
+    }
+
     spinner.succeed('Session stopped successfully!');
 
     // Display session summary
@@ -2621,6 +2944,10 @@ async function stopSession(args, flags) {
       chalk.cyan('Active Agents:'),
       session.statistics ? session.statistics.activeAgents : 0,
     );
+    if (worktrees.length > 0) {
+      console.log(chalk.cyan('Worktrees Removed:'), worktrees.length);
+      keptBranches.forEach((branch) => console.log(chalk.cyan('Unmerged Branch Kept:'), branch));
+    }
     console.log(chalk.gray('─'.repeat(50)));
 
     console.log('\n' + chalk.yellow('💡 Session has been stopped and all processes cleaned up.'));
@@ -2636,6 +2963,119 @@ async function stopSession(args, flags) {
   }
 }
 
+/**
+ * Merge the worktrees of a session that are not merged yet
+ */
+async function integrateSession(args, flags) {
+  const sessionId = args[0];
+
+  if (!sessionId) {
+    console.error(chalk.red('Error: Please provide a session ID'));
+    console.log('Usage: claude-flow hive-mind integrate <session-id> [--json]');
+    return;
+  }
+
+  const sessionManager = new HiveMindSessionManager();
+  try {
+    const pending = (await sessionManager.getWorktrees(sessionId)).filter(
+      (worktree) => worktree.status !== 'merged' && worktree.status !== 'removed',
+    );
+    if (pending.length === 0) {
+      console.log(chalk.gray(`No worktrees waiting to be merged for session ${sessionId}`));
+      return;
+    }
+
+    const report = await integrateWorktrees(
+      sessionManager,
+      sessionId,
+      pending.map((worktree) => ({
+        agentId: worktree.agent_id,
+        path: worktree.path,
+        branch: worktree.branch,
+      })),
+    );
+    if (flags.json) {
+      console.log(JSON.stringify({ sessionId, report }, null, 2));
+    } else {
+      printIntegrationReport(report);
+    }
+    if (report.some((entry) => entry.status === 'conflict' || entry.status === 'failed')) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    exit(1);
+  } finally {
+    sessionManager.close();
+  }
+}
+
+/**
+ * Show the headless worker runs of a session and, with --events, what they did
+ */
+async function showWorkers(args, flags) {
+  const sessionId = args[0];
+
+  if (!sessionId) {
+    console.error(chalk.red('Error: Please provide a session ID'));
+    console.log('Usage: claude-flow hive-mind workers <session-id> [--events] [--json]');
+    return;
+  }
+
+  const sessionManager = new HiveMindSessionManager();
+  try {
+    const runs = await sessionManager.getWorkerRuns(sessionId);
+    const events =
+      flags.events && !sessionManager.isInMemory
+        ? sessionManager
+            .getSessionLogs(sessionId, 10000)
+            .filter((log) => log.agent_id)
+            .sort((a, b) => a.id - b.id)
+        : [];
+
+    if (flags.json) {
+      console.log(JSON.stringify({ sessionId, workers: runs, events }, null, 2));
+      return;
+    }
+
+    if (runs.length === 0) {
+      console.log(chalk.gray(`No headless workers recorded for session ${sessionId}`));
+      return;
+    }
+
+    console.log(chalk.bold(`\n🤖 Headless Workers (${sessionId})\n`));
+    for (const run of runs) {
+      const statusColor =
+        run.status === 'completed' ? 'green' : run.status === 'failed' ? 'red' : 'yellow';
+      console.log(chalk.yellow('═'.repeat(60)));
+      console.log(`${chalk.bold(run.agent_id)} ${chalk.gray(`(${run.agent_type})`)}`);
+      console.log(chalk.cyan('Status:'), chalk[statusColor](run.status));
+      if (run.model) console.log(chalk.cyan('Model:'), run.model);
+      console.log(chalk.cyan('Tool Calls:'), run.tool_calls, chalk.cyan(' Messages:'), run.messages);
+      console.log(
+        chalk.cyan('Tokens:'),
+        `${run.input_tokens} in / ${run.output_tokens} out` +
+          ` (cache ${run.cache_read_tokens} read, ${run.cache_creation_tokens} written)`,
+      );
+      if (run.cost_usd !== null && run.cost_usd !== undefined) {
+        console.log(chalk.cyan('Cost:'), `$${Number(run.cost_usd).toFixed(4)}`);
+      }
+      if (run.result) console.log(chalk.cyan('Result:'), run.result);
+      if (run.error) console.log(chalk.cyan('Error:'), chalk.red(run.error));
+
+      for (const event of events.filter((e) => e.agent_id === run.agent_id)) {
+        console.log(chalk.gray(`  ${event.timestamp} ${event.log_level.padEnd(7)} ${event.message}`));
+      }
+    }
+    console.log(chalk.yellow('═'.repeat(60)) + '\n');
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    exit(1);
+  } finally {
+    sessionManager.close();
+  }
+}
+
 /**
  * Generate prompt for restored session
  */
@@ -2658,7 +3098,14 @@ SESSION DETAILS:
 ⏸️ Paused: ${new Date(session.paused_at).toLocaleString()}
 ▶️ Resumed: ${new Date().toLocaleString()}
 
-CURRENT STATUS:
+${
+  session.worktrees && session.worktrees.length > 0
+    ? `WORKTREES (one git checkout per worker; edit a worker's files only there):
+${session.worktrees.map((worktree) => `• ${worktree.agent_id}: ${worktree.path} (${worktree.branch})`).join('\n')}
+
+`
+    : ''
+}CURRENT STATUS:
 • Total Agents: ${session.statistics.totalAgents}
 • Active Agents: ${session.statistics.activeAgents}
 • Completed Tasks: ${session.statistics.completedTasks}/${session.statistics.totalTasks}
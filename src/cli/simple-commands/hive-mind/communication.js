@@ -5,6 +5,9 @@
 
 import EventEmitter from 'events';
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createTransport, HIVE_ENV } from './transport.js';
 
 /**
  * Message types and their priorities
@@ -42,8 +45,9 @@ export class SwarmCommunication extends EventEmitter {
 
     this.config = {
       swarmId: config.swarmId,
+      nodeId: config.nodeId || 'system',
       encryption: config.encryption || false,
-      maxRetries: config.maxRetries || 3,
+      maxRetries: config.maxRetries ?? 3,
       timeout: config.timeout || 5000,
       bufferSize: config.bufferSize || 1000,
       gossipFanout: config.gossipFanout || 3,
@@ -56,6 +60,9 @@ export class SwarmCommunication extends EventEmitter {
       channels: new Map(), // Communication channels
       messageBuffer: [], // Message queue
       messageHistory: new Map(), // Sent messages
+      pendingAcks: new Map(), // messageId -> retry timer for unacknowledged sends
+      seenMessages: new Set(), // Received ids, so retried deliveries run once
+      messageLog: [], // Recent delivery records (see getMessageLog)
       metrics: {
         sent: 0,
         received: 0,
@@ -65,15 +72,92 @@ export class SwarmCommunication extends EventEmitter {
       },
     };
 
-    this.encryptionKey = this.config.encryption ? crypto.randomBytes(32) : null;
+    // Processes on the same hive share the key through the worker environment
+    this.encryptionKey = this.config.encryption
+      ? this.config.encryptionKey
+        ? Buffer.from(this.config.encryptionKey, 'hex')
+        : crypto.randomBytes(32)
+      : null;
+
+    this.transport = createTransport(this.config);
+    this.messageLogPath = this._resolveMessageLogPath();
 
     this._initialize();
   }
 
+  /**
+   * Start the transport. Socket hubs begin listening, workers connect to their hub.
+   */
+  async start() {
+    await this.transport.start();
+    this.emit('communication:started', {
+      swarmId: this.config.swarmId,
+      transport: this.transport.kind,
+      endpoint: this.endpoint,
+    });
+    return this;
+  }
+
+  /**
+   * Endpoint workers connect to, or null for the in-process transport
+   */
+  get endpoint() {
+    return this.transport.endpoint || null;
+  }
+
+  /**
+   * Node id of the hub a worker is connected to
+   */
+  get hubId() {
+    return this.transport.hubId || 'system';
+  }
+
+  /**
+   * Environment for a worker process so connectToHive() can reach this hub
+   */
+  getWorkerEnv(agentId) {
+    const env = {
+      [HIVE_ENV.swarmId]: this.config.swarmId,
+    };
+    if (this.endpoint) env[HIVE_ENV.endpoint] = this.endpoint;
+    if (agentId) env[HIVE_ENV.agentId] = agentId;
+    if (this.transport.secret) env[HIVE_ENV.secret] = this.transport.secret;
+    if (this.encryptionKey) env[HIVE_ENV.key] = this.encryptionKey.toString('hex');
+    return env;
+  }
+
   /**
    * Initialize communication system
    */
   _initialize() {
+    this.transport.on('local', (envelope) => this._deliverLocally(envelope));
+    this.transport.on('message', (envelope) => this.handleMessage(envelope));
+    this.transport.on('undeliverable', (envelope) => this._log('out', 'undeliverable', envelope));
+    this.transport.on('error', (error) => {
+      console.error(
+        `[${new Date().toISOString()}] WARN [hive-mind] Transport error: ${error.message}`,
+      );
+    });
+
+    // Workers that reach the hub join the network automatically
+    this.transport.on('peer:connected', ({ agentId, metadata }) => {
+      const agent = this.state.agents.get(agentId);
+      if (agent) {
+        agent.status = 'online';
+        agent.lastSeen = Date.now();
+      } else {
+        this.registerAgent(agentId, metadata);
+      }
+    });
+
+    this.transport.on('peer:disconnected', ({ agentId }) => {
+      const agent = this.state.agents.get(agentId);
+      if (agent) {
+        agent.status = 'offline';
+        this.emit('agent:offline', { agentId });
+      }
+    });
+
     // Set up message processing
     this.messageProcessor = setInterval(() => {
       this._processMessageBuffer();
@@ -153,7 +237,7 @@ export class SwarmCommunication extends EventEmitter {
 
     const envelope = {
       id: messageId,
-      from: 'system', // Will be set by sender
+      from: this.config.nodeId,
       to: toAgentId,
       type,
       timestamp,
@@ -168,33 +252,69 @@ export class SwarmCommunication extends EventEmitter {
       this.state.metrics.encrypted++;
     }
 
-    // Add to buffer
+    return this._sendReliable(envelope);
+  }
+
+  /**
+   * Queue an envelope and resend it every `timeout` ms until the recipient
+   * acknowledges it or `maxRetries` resends have gone unanswered
+   */
+  _sendReliable(envelope) {
+    const messageId = envelope.id;
+
     this._addToBuffer(envelope);
 
     // Track message
-    this.state.messageHistory.set(messageId, {
-      ...envelope,
-      status: 'pending',
-      attempts: 0,
-    });
+    const history = { ...envelope, status: 'pending', attempts: 1 };
+    this.state.messageHistory.set(messageId, history);
 
     this.state.metrics.sent++;
 
     // Return promise that resolves when message is acknowledged
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Message timeout: ${messageId}`));
-      }, this.config.timeout);
+      const settle = () => {
+        clearTimeout(this.state.pendingAcks.get(messageId));
+        this.state.pendingAcks.delete(messageId);
+        this.removeListener(`ack:${messageId}`, onAck);
+        this.removeListener(`nack:${messageId}`, onNack);
+      };
 
-      this.once(`ack:${messageId}`, () => {
-        clearTimeout(timeout);
-        resolve({ messageId, delivered: true });
-      });
+      const onAck = () => {
+        settle();
+        history.status = 'acked';
+        this.state.metrics.latency.push(Date.now() - envelope.timestamp);
+        if (this.state.metrics.latency.length > 100) this.state.metrics.latency.shift();
+        this._log('out', 'acked', envelope, { attempts: history.attempts });
+        resolve({ messageId, delivered: true, attempts: history.attempts });
+      };
 
-      this.once(`nack:${messageId}`, (error) => {
-        clearTimeout(timeout);
+      const onNack = (error) => {
+        settle();
+        history.status = 'failed';
+        this.state.metrics.failed++;
         reject(error);
-      });
+      };
+
+      const onTimeout = () => {
+        if (history.attempts > this.config.maxRetries) {
+          settle();
+          history.status = 'failed';
+          this.state.metrics.failed++;
+          this._log('out', 'failed', envelope, { attempts: history.attempts });
+          this.emit('message:failed', { envelope, attempts: history.attempts });
+          reject(new Error(`Message timeout: ${messageId}`));
+          return;
+        }
+
+        history.attempts++;
+        this._log('out', 'retry', envelope, { attempts: history.attempts });
+        this._addToBuffer(envelope);
+        this.state.pendingAcks.set(messageId, setTimeout(onTimeout, this.config.timeout));
+      };
+
+      this.once(`ack:${messageId}`, onAck);
+      this.once(`nack:${messageId}`, onNack);
+      this.state.pendingAcks.set(messageId, setTimeout(onTimeout, this.config.timeout));
     });
   }
 
@@ -207,7 +327,7 @@ export class SwarmCommunication extends EventEmitter {
 
     const envelope = {
       id: messageId,
-      from: 'system',
+      from: this.config.nodeId,
       to: '*',
       type,
       timestamp,
@@ -234,7 +354,7 @@ export class SwarmCommunication extends EventEmitter {
 
     const envelopes = agentIds.map((agentId) => ({
       id: `${messageId}-${agentId}`,
-      from: 'system',
+      from: this.config.nodeId,
       to: agentId,
       type,
       timestamp,
@@ -264,7 +384,7 @@ export class SwarmCommunication extends EventEmitter {
     selected.forEach((agentId) => {
       const envelope = {
         id: `${messageId}-${agentId}`,
-        from: 'system',
+        from: this.config.nodeId,
         to: agentId,
         type,
         timestamp,
@@ -308,7 +428,7 @@ export class SwarmCommunication extends EventEmitter {
     validators.forEach((agentId) => {
       const envelope = {
         id: `${consensusId}-propose-${agentId}`,
-        from: 'system',
+        from: this.config.nodeId,
         to: agentId,
         type: 'consensus',
         timestamp,
@@ -320,22 +440,28 @@ export class SwarmCommunication extends EventEmitter {
         protocol: PROTOCOLS.consensus,
       };
 
-      this._addToBuffer(envelope);
+      // An unreachable validator simply counts as not having voted
+      this._sendReliable(envelope).catch(() => {});
 
       // Create promise for vote
       const votePromise = new Promise((resolve) => {
-        this.once(`vote:${consensusId}:${agentId}`, (vote) => {
+        const voteEvent = `vote:${consensusId}:${agentId}`;
+        const onVote = (vote) => {
+          clearTimeout(timer);
           votes.set(agentId, vote);
           resolve({ agentId, vote });
-        });
+        };
 
         // Timeout for vote
-        setTimeout(() => {
+        const timer = setTimeout(() => {
+          this.removeListener(voteEvent, onVote);
           if (!votes.has(agentId)) {
             votes.set(agentId, null);
             resolve({ agentId, vote: null });
           }
         }, this.config.timeout);
+
+        this.once(voteEvent, onVote);
       });
 
       votePromises.push(votePromise);
@@ -387,19 +513,60 @@ export class SwarmCommunication extends EventEmitter {
     return result;
   }
 
+  /**
+   * Vote on a proposal received through the 'consensus:proposal' event
+   */
+  vote(proposalEnvelope, vote) {
+    const { consensusId } = proposalEnvelope.message;
+
+    return this._sendReliable({
+      id: `${consensusId}-vote-${this.config.nodeId}`,
+      from: this.config.nodeId,
+      to: proposalEnvelope.from,
+      type: 'consensus',
+      timestamp: Date.now(),
+      message: {
+        phase: 'vote',
+        consensusId,
+        vote,
+      },
+      protocol: PROTOCOLS.consensus,
+    });
+  }
+
   /**
    * Handle incoming message
    */
   handleMessage(envelope) {
-    this.state.metrics.received++;
+    // Acks settle the sender's pending message and are never acknowledged themselves
+    if (envelope.type === 'ack') {
+      this.emit(`ack:${envelope.message.originalId}`, envelope);
+      return;
+    }
 
     // Update agent last seen
     const agent = this.state.agents.get(envelope.from);
     if (agent) {
       agent.lastSeen = Date.now();
+      agent.status = 'online';
       agent.messageCount++;
     }
 
+    const reliable = this._requiresAck(envelope);
+    if (reliable) {
+      this._sendAck(envelope.id, envelope.from);
+    }
+
+    // A retry whose ack was lost in flight is acknowledged again but not re-processed
+    if (this.state.seenMessages.has(envelope.id)) {
+      this._log('in', 'duplicate', envelope);
+      return;
+    }
+    this._rememberMessage(envelope.id);
+
+    this.state.metrics.received++;
+    this._log('in', 'received', envelope);
+
     // Decrypt if needed
     if (envelope.encrypted && this.config.encryption) {
       try {
@@ -444,9 +611,6 @@ export class SwarmCommunication extends EventEmitter {
    * Handle direct message
    */
   _handleDirectMessage(envelope) {
-    // Send acknowledgment
-    this._sendAck(envelope.id, envelope.from);
-
     // Emit specific event for message type
     this.emit(`message:${envelope.type}`, envelope);
   }
@@ -457,15 +621,17 @@ export class SwarmCommunication extends EventEmitter {
   _handleBroadcastMessage(envelope) {
     // No ack for broadcasts
     this.emit(`broadcast:${envelope.type}`, envelope);
+
+    // Consensus results are announced to everyone
+    if (envelope.type === 'consensus') {
+      this._handleConsensusMessage(envelope);
+    }
   }
 
   /**
    * Handle multicast message
    */
   _handleMulticastMessage(envelope) {
-    // Send ack to original sender
-    this._sendAck(envelope.groupId, envelope.from);
-
     this.emit(`multicast:${envelope.type}`, envelope);
   }
 
@@ -538,7 +704,7 @@ export class SwarmCommunication extends EventEmitter {
   _sendAck(messageId, toAgent) {
     const ack = {
       id: `ack-${messageId}`,
-      from: this.config.swarmId,
+      from: this.config.nodeId,
       to: toAgent,
       type: 'ack',
       timestamp: Date.now(),
@@ -549,6 +715,90 @@ export class SwarmCommunication extends EventEmitter {
     this._addToBuffer(ack);
   }
 
+  /**
+   * Reliable message types sent point-to-point are acknowledged on receipt
+   */
+  _requiresAck(envelope) {
+    return envelope.protocol !== PROTOCOLS.broadcast && !!MESSAGE_TYPES[envelope.type]?.reliable;
+  }
+
+  /**
+   * Remember a received id, keeping at most bufferSize of them
+   */
+  _rememberMessage(messageId) {
+    const seen = this.state.seenMessages;
+    seen.add(messageId);
+    if (seen.size > this.config.bufferSize) {
+      seen.delete(seen.values().next().value);
+    }
+  }
+
+  /**
+   * Message log location. Socket transports log to
+   * .hive-mind/messages/<swarmId>.jsonl unless messageLog is false.
+   */
+  _resolveMessageLogPath() {
+    if (this.config.messageLog === false) return null;
+    if (typeof this.config.messageLog === 'string') return this.config.messageLog;
+    if (this.transport.kind === 'memory') return null;
+
+    return path.join(
+      process.cwd(),
+      '.hive-mind',
+      'messages',
+      `${this.config.swarmId || 'default'}.jsonl`,
+    );
+  }
+
+  /**
+   * Record a delivery event in memory and, if configured, in the JSONL log
+   */
+  _log(direction, status, envelope, extra = {}) {
+    if (envelope.type === 'heartbeat') return;
+
+    const record = {
+      timestamp: new Date().toISOString(),
+      node: this.config.nodeId,
+      direction,
+      status,
+      id: envelope.id,
+      from: envelope.from,
+      to: envelope.to,
+      type: envelope.type,
+      protocol: envelope.protocol,
+      ...extra,
+    };
+
+    this.state.messageLog.push(record);
+    if (this.state.messageLog.length > this.config.bufferSize) {
+      this.state.messageLog.shift();
+    }
+
+    if (this.messageLogPath) {
+      try {
+        fs.mkdirSync(path.dirname(this.messageLogPath), { recursive: true });
+        fs.appendFileSync(this.messageLogPath, JSON.stringify(record) + '\n');
+      } catch (error) {
+        console.error(
+          `[${new Date().toISOString()}] WARN [hive-mind] Could not write message log: ${error.message}`,
+        );
+        this.messageLogPath = null;
+      }
+    }
+  }
+
+  /**
+   * Recent delivery records, optionally filtered by message id, status or direction
+   */
+  getMessageLog(filter = {}) {
+    return this.state.messageLog.filter(
+      (record) =>
+        (!filter.id || record.id === filter.id) &&
+        (!filter.status || record.status === filter.status) &&
+        (!filter.direction || record.direction === filter.direction),
+    );
+  }
+
   /**
    * Create communication channel
    */
@@ -590,28 +840,38 @@ export class SwarmCommunication extends EventEmitter {
     const toProcess = this.state.messageBuffer.splice(0, 10);
 
     toProcess.forEach((envelope) => {
-      // Simulate network delay
-      setTimeout(() => {
-        if (envelope.to === '*') {
-          // Broadcast to all agents
-          this.state.agents.forEach((agent) => {
-            this.emit(`deliver:${agent.id}`, envelope);
-          });
-        } else {
-          // Direct delivery
-          this.emit(`deliver:${envelope.to}`, envelope);
-        }
+      const sent = this.transport.send(envelope);
 
-        // Update message history
-        const history = this.state.messageHistory.get(envelope.id);
-        if (history) {
-          history.status = 'sent';
-          history.sentAt = Date.now();
-        }
-      }, Math.random() * 100);
+      // Unsent reliable messages are picked up again by their retry timer
+      const history = this.state.messageHistory.get(envelope.id);
+      if (history && sent && history.status === 'pending') {
+        history.status = 'sent';
+        history.sentAt = Date.now();
+      }
+      if (envelope.type !== 'ack') {
+        this._log('out', sent ? 'sent' : 'unsent', envelope);
+      }
     });
   }
 
+  /**
+   * In-process delivery through deliver:<agentId> events
+   */
+  _deliverLocally(envelope) {
+    // Simulate network delay
+    setTimeout(() => {
+      if (envelope.to === '*') {
+        // Broadcast to all agents
+        this.state.agents.forEach((agent) => {
+          this.emit(`deliver:${agent.id}`, envelope);
+        });
+      } else {
+        // Direct delivery
+        this.emit(`deliver:${envelope.to}`, envelope);
+      }
+    }, Math.random() * 100);
+  }
+
   /**
    * Send heartbeats to all agents
    */
@@ -619,6 +879,11 @@ export class SwarmCommunication extends EventEmitter {
     const now = Date.now();
 
     this.state.agents.forEach((agent, agentId) => {
+      // An open socket to the hub counts as a sign of life
+      if (this.transport.hasPeer?.(agentId)) {
+        agent.lastSeen = now;
+      }
+
       // Check if agent is still responsive
       if (now - agent.lastSeen > 30000) {
         agent.status = 'offline';
@@ -628,7 +893,7 @@ export class SwarmCommunication extends EventEmitter {
       // Send heartbeat
       const heartbeat = {
         id: `heartbeat-${now}-${agentId}`,
-        from: 'system',
+        from: this.config.nodeId,
         to: agentId,
         type: 'heartbeat',
         timestamp: now,
@@ -732,9 +997,52 @@ export class SwarmCommunication extends EventEmitter {
     if (this.messageProcessor) clearInterval(this.messageProcessor);
     if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
 
+    // Hand queued envelopes (acks, results) to the transport before it closes
+    while (this.state.messageBuffer.length > 0) {
+      this._processMessageBuffer();
+    }
+
+    // Fail anything still waiting for an ack
+    for (const messageId of Array.from(this.state.pendingAcks.keys())) {
+      this.emit(`nack:${messageId}`, new Error(`Communication closed: ${messageId}`));
+    }
+
     // Close all channels
     this.state.channels.forEach((channel) => channel.close());
 
     this.emit('communication:closed');
+
+    return this.transport.close();
+  }
+}
+
+/**
+ * Connect a worker process to its hive using the environment set by the
+ * hive (see SwarmCommunication#getWorkerEnv)
+ */
+export async function connectToHive(options = {}) {
+  const env = options.env || process.env;
+  const endpoint = options.endpoint || env[HIVE_ENV.endpoint];
+  if (!endpoint) {
+    throw new Error(`${HIVE_ENV.endpoint} is not set; is this process running inside a hive?`);
+  }
+
+  const key = options.encryptionKey || env[HIVE_ENV.key];
+  const communication = new SwarmCommunication({
+    swarmId: env[HIVE_ENV.swarmId],
+    nodeId: env[HIVE_ENV.agentId] || `worker-${process.pid}`,
+    encryption: !!key,
+    encryptionKey: key,
+    secret: env[HIVE_ENV.secret],
+    ...options,
+    endpoint,
+  });
+
+  try {
+    await communication.start();
+  } catch (error) {
+    communication.close();
+    throw error;
   }
+  return communication;
 }
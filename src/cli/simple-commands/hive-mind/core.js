@@ -6,6 +6,7 @@
 import EventEmitter from 'events';
 import { MCPToolWrapper } from './mcp-wrapper.js';
 import { PerformanceOptimizer } from './performance-optimizer.js';
+import { MetricsStore, loadMetricsConfig } from '../../../memory/metrics-store.js';
 
 /**
  * HiveMindCore - Main orchestration class
@@ -58,6 +59,8 @@ export class HiveMindCore extends EventEmitter {
       metricsInterval: 30000,
     });
 
+    this.metricsStore = null; // opened on first use, see _recordMetrics
+
     this._initializeEventHandlers();
     this._initializePerformanceMonitoring();
   }
@@ -74,11 +77,21 @@ export class HiveMindCore extends EventEmitter {
     this.on('task:completed', (task) => {
       this.state.metrics.tasksCompleted++;
       this._updatePerformanceMetrics();
+
+      const labels = { swarm: this.state.swarmId };
+      const points = [{ name: 'hive.tasks.completed', value: 1, labels }];
+      if (Number.isFinite(task.actualDuration)) {
+        points.push({ name: 'hive.task.duration_ms', value: task.actualDuration, labels });
+      }
+      this._recordMetrics(points);
     });
 
     this.on('task:failed', (data) => {
       console.warn(`Task failed: ${data.task.id}`, data.error);
       this._handleTaskFailure(data.task, data.error);
+      this._recordMetrics([
+        { name: 'hive.tasks.failed', value: 1, labels: { swarm: this.state.swarmId } },
+      ]);
     });
 
     this.on('decision:reached', (decision) => {
@@ -95,6 +108,27 @@ export class HiveMindCore extends EventEmitter {
     });
   }
 
+  /**
+   * Record points in the project's metrics store (best effort). The store
+   * stays open until shutdown rather than being reopened for every event.
+   */
+  _recordMetrics(points) {
+    const warn = (error) =>
+      console.error(
+        `[${new Date().toISOString()}] WARN [hive-mind] Could not record metrics: ${error.message}`,
+      );
+    try {
+      if (!this.metricsStore) {
+        this.metricsStore = new MetricsStore({ retention: loadMetricsConfig().retention });
+      }
+      this.metricsStore
+        .recordMany(points.map((point) => ({ source: 'hive-mind', ...point })))
+        .catch(warn);
+    } catch (error) {
+      warn(error);
+    }
+  }
+
   /**
    * Initialize performance monitoring
    */
@@ -1010,6 +1044,8 @@ export class HiveMindCore extends EventEmitter {
 
       // Close performance optimizer
       await this.performanceOptimizer.close();
+      this.metricsStore?.close();
+      this.metricsStore = null;
 
       // Destroy swarm
       await this.mcpWrapper.destroySwarm(this.state.swarmId);
@@ -0,0 +1,443 @@
+/**
+ * Headless hive-mind workers
+ *
+ * Runs every worker as a non-interactive process whose stdout is a stream
+ * of JSON lines in Claude Code's `--output-format stream-json` format:
+ *
+ *   {"type":"system","subtype":"init","session_id":...,"model":...}
+ *   {"type":"assistant","message":{"id":...,"content":[text | tool_use],"usage":...}}
+ *   {"type":"user","message":{"content":[tool_result]}}
+ *   {"type":"result","subtype":"success","result":...,"usage":...,"total_cost_usd":...}
+ *
+ * Tool calls, messages, token usage and the final result of each worker are
+ * recorded in the hive-mind session database: one session_workers row per
+ * worker and session_logs entries for its events. Any command that writes
+ * the same format can stand in for `claude`.
+ */
+
+import { spawn } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { tokenize } from '../hooks/shell-parser.js';
+
+export const DEFAULT_WORKER_COMMAND = [
+  'claude',
+  '-p',
+  '--output-format',
+  'stream-json',
+  '--verbose',
+];
+
+// Longest text kept for a message, tool input field or tool result
+const TEXT_LIMIT = 2000;
+const STDERR_LIMIT = 4000;
+
+export class HeadlessWorkerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HeadlessWorkerError';
+  }
+}
+
+function clip(text, limit = TEXT_LIMIT) {
+  if (typeof text !== 'string' || text.length <= limit) return text;
+  return `${text.slice(0, limit)}… (${text.length - limit} more characters)`;
+}
+
+// Tool inputs can carry whole files; keep their shape but clip long strings
+function clipInput(input) {
+  if (!input || typeof input !== 'object') return clip(input);
+  if (Array.isArray(input)) return input.map(clipInput);
+  return Object.fromEntries(Object.entries(input).map(([key, value]) => [key, clipInput(value)]));
+}
+
+// tool_result content is a string or a list of content blocks
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map((block) => (block.type === 'text' ? block.text : `[${block.type}]`))
+    .join('\n');
+}
+
+/**
+ * Split a worker command given as a string or an argv array. Strings are
+ * split into words as a shell would; pipes, redirections and command lists
+ * are refused because the command runs without a shell.
+ */
+export function parseWorkerCommand(command) {
+  const argv = Array.isArray(command)
+    ? command.map(String)
+    : tokenize(String(command ?? '')).map((token) => {
+        if (token.type !== 'word') {
+          const op = token.value || token.op;
+          throw new HeadlessWorkerError(
+            `Worker command cannot contain "${op}": it runs without a shell`,
+          );
+        }
+        return token.value;
+      });
+  if (argv.length === 0 || !argv[0]) {
+    throw new HeadlessWorkerError('Worker command is empty');
+  }
+  return argv;
+}
+
+/**
+ * Work out the worker command and timeout from the flags
+ * (--worker-command, --worker-timeout <s>), the `headless` section of
+ * .hive-mind/config.json, or the default `claude -p` invocation.
+ */
+export function resolveHeadlessOptions(
+  flags = {},
+  hiveMindDir = path.join(process.cwd(), '.hive-mind'),
+) {
+  let config = {};
+  const configPath = path.join(hiveMindDir, 'config.json');
+  if (existsSync(configPath)) {
+    try {
+      config = JSON.parse(readFileSync(configPath, 'utf8')).headless || {};
+    } catch (error) {
+      throw new HeadlessWorkerError(`Cannot read ${configPath}: ${error.message}`);
+    }
+  }
+
+  const custom = flags['worker-command'] || flags.workerCommand || config.command;
+  const command = custom ? parseWorkerCommand(custom) : [...DEFAULT_WORKER_COMMAND];
+  // Nobody can answer permission prompts in print mode
+  if (!custom && flags['dangerously-skip-permissions'] !== false && !flags['no-auto-permissions']) {
+    command.push('--dangerously-skip-permissions');
+  }
+
+  const seconds = flags['worker-timeout'] ?? flags.workerTimeout;
+  const timeoutMs = seconds !== undefined ? Number(seconds) * 1000 : Number(config.timeoutMs || 0);
+  if (!Number.isFinite(timeoutMs) || timeoutMs < 0) {
+    throw new HeadlessWorkerError(`Invalid worker timeout: ${seconds ?? config.timeoutMs}`);
+  }
+  return { command, timeoutMs };
+}
+
+/**
+ * Parse one line of worker output. Returns null for blank lines and
+ * { type: 'unparsed', line } for anything that is not a JSON object.
+ */
+export function parseStreamJsonLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+  try {
+    const event = JSON.parse(trimmed);
+    if (event && typeof event === 'object' && !Array.isArray(event)) return event;
+  } catch {
+    // fall through
+  }
+  return { type: 'unparsed', line: trimmed };
+}
+
+/**
+ * State of one worker run, built up from its events and written to the
+ * session database as they arrive.
+ */
+class WorkerRun {
+  constructor(pool, worker, runId) {
+    this.pool = pool;
+    this.worker = worker;
+    this.runId = runId;
+    this.model = null;
+    this.claudeSessionId = null;
+    this.toolCalls = 0;
+    this.messages = 0;
+    this.toolNames = new Map();
+    // Every content block of an assistant message repeats the message usage
+    this.messageUsage = new Map();
+    this.result = null;
+    this.stderr = '';
+  }
+
+  log(level, message, data) {
+    const { sessionManager, sessionId } = this.pool;
+    return sessionManager.logSessionEvent(sessionId, level, message, this.worker.id, data);
+  }
+
+  async handle(event) {
+    this.pool.onEvent?.(this.worker, event);
+    switch (event.type) {
+      case 'system':
+        if (event.subtype !== 'init') return;
+        this.model = event.model || null;
+        this.claudeSessionId = event.session_id || null;
+        await this.pool.sessionManager.updateWorkerRun(this.runId, {
+          model: this.model,
+          claude_session_id: this.claudeSessionId,
+        });
+        await this.log('info', 'Worker initialized', {
+          model: this.model,
+          claudeSessionId: this.claudeSessionId,
+          tools: Array.isArray(event.tools) ? event.tools.length : undefined,
+        });
+        return;
+      case 'assistant':
+        return this.handleAssistant(event.message || {});
+      case 'user':
+        return this.handleToolResults(event.message || {});
+      case 'result':
+        this.result = event;
+        return this.log(event.is_error ? 'error' : 'info', 'Worker result', {
+          subtype: event.subtype,
+          result: clip(event.result),
+          numTurns: event.num_turns,
+          durationMs: event.duration_ms,
+          costUsd: event.total_cost_usd,
+        });
+      case 'unparsed':
+        return this.log('warning', 'Unparsed worker output', { line: clip(event.line) });
+      default:
+        return undefined;
+    }
+  }
+
+  async handleAssistant(message) {
+    if (message.usage) this.messageUsage.set(message.id || this.messageUsage.size, message.usage);
+    for (const block of message.content || []) {
+      if (block.type === 'text' && block.text) {
+        this.messages++;
+        await this.log('info', 'Worker message', { text: clip(block.text) });
+      } else if (block.type === 'tool_use') {
+        this.toolCalls++;
+        this.toolNames.set(block.id, block.name);
+        await this.log('info', `Tool call: ${block.name}`, {
+          toolUseId: block.id,
+          tool: block.name,
+          input: clipInput(block.input),
+        });
+      }
+    }
+  }
+
+  async handleToolResults(message) {
+    if (!Array.isArray(message.content)) return;
+    for (const block of message.content) {
+      if (block.type !== 'tool_result') continue;
+      const tool = this.toolNames.get(block.tool_use_id) || 'unknown';
+      await this.log(block.is_error ? 'warning' : 'info', `Tool result: ${tool}`, {
+        toolUseId: block.tool_use_id,
+        tool,
+        isError: Boolean(block.is_error),
+        content: clip(resultText(block.content)),
+      });
+    }
+  }
+
+  /**
+   * Token totals: the result event's usage when there is one, otherwise
+   * the sum over the assistant messages seen.
+   */
+  usage() {
+    const sources = this.result?.usage ? [this.result.usage] : [...this.messageUsage.values()];
+    const total = { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+    for (const usage of sources) {
+      total.input += usage.input_tokens || 0;
+      total.output += usage.output_tokens || 0;
+      total.cacheCreation += usage.cache_creation_input_tokens || 0;
+      total.cacheRead += usage.cache_read_input_tokens || 0;
+    }
+    return total;
+  }
+
+  summary({ exitCode, signal, error }) {
+    const failure =
+      error ||
+      (this.result?.is_error && (this.result.result || this.result.subtype || 'Worker failed')) ||
+      (!this.result && exitCode === 0 && 'Worker exited without a result') ||
+      (exitCode !== 0 &&
+        `Worker exited with ${signal ? `signal ${signal}` : `code ${exitCode}`}` +
+          (this.stderr.trim() ? `: ${clip(this.stderr.trim(), 500)}` : '')) ||
+      null;
+    return {
+      runId: this.runId,
+      workerId: this.worker.id,
+      workerType: this.worker.type,
+      status: failure ? 'failed' : 'completed',
+      exitCode,
+      model: this.model,
+      claudeSessionId: this.claudeSessionId,
+      toolCalls: this.toolCalls,
+      messages: this.messages,
+      usage: this.usage(),
+      costUsd: this.result?.total_cost_usd ?? null,
+      numTurns: this.result?.num_turns ?? null,
+      durationMs: this.result?.duration_ms ?? null,
+      result: this.result && !this.result.is_error ? (this.result.result ?? null) : null,
+      error: failure,
+    };
+  }
+}
+
+/**
+ * Runs a set of workers side by side and records what they do.
+ *
+ * options: { sessionManager, sessionId, command, cwd (or cwd(worker)),
+ *            env(worker), timeoutMs, onEvent(worker, event), onExit(summary) }
+ */
+export class HeadlessWorkerPool {
+  constructor(options = {}) {
+    if (!options.sessionManager || !options.sessionId) {
+      throw new HeadlessWorkerError('HeadlessWorkerPool needs a session manager and session id');
+    }
+    this.sessionManager = options.sessionManager;
+    this.sessionId = options.sessionId;
+    this.command = parseWorkerCommand(options.command || DEFAULT_WORKER_COMMAND);
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || (() => ({}));
+    this.timeoutMs = options.timeoutMs || 0;
+    this.onEvent = options.onEvent;
+    this.onExit = options.onExit;
+    this.children = new Set();
+    this.stopOnExit = () => this.stop();
+  }
+
+  /**
+   * Start one process per worker, with promptFor(worker) as its last
+   * argument, and resolve with a summary of each once all have exited.
+   */
+  async run(workers, promptFor) {
+    await this.sessionManager.ensureInitialized();
+    process.on('exit', this.stopOnExit);
+    let finished = 0;
+    try {
+      return await Promise.all(
+        workers.map(async (worker) => {
+          const summary = await this.runWorker(worker, promptFor(worker));
+          finished++;
+          await this.sessionManager.updateSessionProgress(
+            this.sessionId,
+            Math.round((finished / workers.length) * 100),
+          );
+          this.onExit?.(summary);
+          return summary;
+        }),
+      );
+    } finally {
+      process.off('exit', this.stopOnExit);
+    }
+  }
+
+  async runWorker(worker, prompt) {
+    const [file, ...args] = this.command;
+    const runId = await this.sessionManager.startWorkerRun(this.sessionId, {
+      agentId: worker.id,
+      agentType: worker.type,
+      command: this.command.join(' '),
+    });
+    const run = new WorkerRun(this, worker, runId);
+
+    const outcome = await new Promise((resolve) => {
+      let child;
+      try {
+        child = spawn(file, [...args, prompt], {
+          cwd: typeof this.cwd === 'function' ? this.cwd(worker) : this.cwd,
+          env: {
+            ...process.env,
+            ...this.env(worker),
+            CLAUDE_FLOW_SESSION_ID: this.sessionId,
+            CLAUDE_FLOW_WORKER_ID: worker.id,
+            CLAUDE_FLOW_WORKER_TYPE: worker.type,
+          },
+          stdio: ['ignore', 'pipe', 'pipe'],
+          shell: false,
+        });
+      } catch (error) {
+        resolve({ exitCode: null, error: error.message });
+        return;
+      }
+
+      this.children.add(child);
+      let pending = Promise.resolve();
+      let spawnError = null;
+      let timedOut = false;
+      const timer =
+        this.timeoutMs > 0
+          ? setTimeout(() => {
+              timedOut = true;
+              child.kill('SIGTERM');
+            }, this.timeoutMs)
+          : null;
+
+      // Child pids live in SQLite only; stopSession uses them to clean up
+      const trackPid = Boolean(child.pid && this.sessionManager.db);
+      if (child.pid) {
+        pending = pending.then(() =>
+          this.sessionManager.updateWorkerRun(runId, { pid: child.pid }),
+        );
+      }
+      if (trackPid) this.sessionManager.addChildPid(this.sessionId, child.pid);
+
+      // Events are recorded one at a time, in the order they were written
+      readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        const event = parseStreamJsonLine(line);
+        if (!event) return;
+        pending = pending
+          .then(() => run.handle(event))
+          .catch((error) => {
+            console.error(
+              `[${new Date().toISOString()}] ERROR [hive-mind] Failed to record event from ${worker.id}: ${error.message}`,
+            );
+          });
+      });
+      child.stderr.on('data', (chunk) => {
+        run.stderr = (run.stderr + chunk).slice(-STDERR_LIMIT);
+      });
+
+      child.on('error', (error) => {
+        spawnError = error;
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        this.children.delete(child);
+        if (trackPid) this.sessionManager.removeChildPid(this.sessionId, child.pid);
+        pending.then(() =>
+          resolve({
+            exitCode: code,
+            signal,
+            error:
+              (spawnError && `Cannot start ${file}: ${spawnError.message}`) ||
+              (timedOut && `Timed out after ${this.timeoutMs / 1000}s`) ||
+              null,
+          }),
+        );
+      });
+    });
+
+    const summary = run.summary(outcome);
+    await this.sessionManager.updateWorkerRun(runId, {
+      status: summary.status,
+      exit_code: summary.exitCode,
+      tool_calls: summary.toolCalls,
+      messages: summary.messages,
+      input_tokens: summary.usage.input,
+      output_tokens: summary.usage.output,
+      cache_creation_tokens: summary.usage.cacheCreation,
+      cache_read_tokens: summary.usage.cacheRead,
+      cost_usd: summary.costUsd,
+      num_turns: summary.numTurns,
+      duration_ms: summary.durationMs,
+      result: summary.result,
+      error: summary.error,
+      completed_at: new Date().toISOString(),
+    });
+    await run.log(summary.status === 'completed' ? 'info' : 'error', `Worker ${summary.status}`, {
+      exitCode: summary.exitCode,
+      error: summary.error,
+    });
+    return summary;
+  }
+
+  /**
+   * Terminate every worker that is still running.
+   */
+  stop(signal = 'SIGTERM') {
+    for (const child of this.children) {
+      if (child.exitCode === null && !child.killed) child.kill(signal);
+    }
+  }
+}
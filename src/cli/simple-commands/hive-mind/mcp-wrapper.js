@@ -4,6 +4,8 @@
  */
 
 import { spawn } from 'child_process';
+import { createToolValidator } from '../../../mcp/tool-validator.js';
+import { getToolDefinitions } from '../../../mcp/tool-definitions.js';
 
 /**
  * MCP Tool categories and their methods
@@ -122,12 +124,14 @@ export class MCPToolWrapper {
       parallel: true,
       timeout: 60000,
       retryCount: 3,
+      validateParams: true,
       ...config,
     };
 
     this.toolStats = new Map();
     this.parallelQueue = [];
     this.executing = false;
+    this.toolValidator = null;
 
     /** @type {import('better-sqlite3').Database | null} */
     this.memoryDb = null;
@@ -204,6 +208,16 @@ https://github.com/ruvnet/claude-code-flow/docs/windows-installation.md
     const startTime = Date.now();
     let lastError = null;
 
+    if (this.config.validateParams) {
+      // Invalid arguments fail fast; retrying cannot fix them
+      try {
+        params = await this.validateToolParams(toolName, params);
+      } catch (error) {
+        this._trackToolUsage(toolName, Date.now() - startTime, false);
+        throw error;
+      }
+    }
+
     for (let attempt = 1; attempt <= this.config.retryCount; attempt++) {
       try {
         const result = await this._executeToolInternal(toolName, params);
@@ -231,6 +245,16 @@ https://github.com/ruvnet/claude-code-flow/docs/windows-installation.md
     );
   }
 
+  /**
+   * Check params against the MCP server's declared input schema and apply its
+   * defaults. Throws a ToolValidationError (code -32602) with field-level
+   * errors; tools the server does not declare are passed through unchecked.
+   */
+  async validateToolParams(toolName, params) {
+    this.toolValidator ||= createToolValidator(getToolDefinitions());
+    return this.toolValidator.validate(toolName, params);
+  }
+
   /**
    * Execute multiple tools in parallel with optimized batching
    */
@@ -428,6 +452,16 @@ https://github.com/ruvnet/claude-code-flow/docs/windows-installation.md
     return mockResponse;
   }
 
+  /**
+   * Map the hive-mind's numeric 1-10 priority onto task_orchestrate's levels
+   */
+  _priorityLabel(priority) {
+    if (priority >= 9) return 'critical';
+    if (priority >= 7) return 'high';
+    if (priority >= 4) return 'medium';
+    return 'low';
+  }
+
   /**
    * Get tool category
    */
@@ -1015,7 +1049,7 @@ https://github.com/ruvnet/claude-code-flow/docs/windows-installation.md
           task,
           strategy,
           taskId,
-          priority: metadata.priority || 5,
+          priority: this._priorityLabel(metadata.priority || 5),
           estimatedDuration: metadata.estimatedDuration || 30000,
         },
       },
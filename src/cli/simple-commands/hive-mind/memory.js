@@ -8,6 +8,13 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import { performance } from 'perf_hooks';
 import { Worker } from 'worker_threads';
+import {
+  getDefaultEmbedder,
+  textForEmbedding,
+  serializeVector,
+  deserializeVector,
+  rankBySimilarity,
+} from '../../../memory/embeddings.js';
 
 /**
  * Memory types and their characteristics
@@ -284,6 +291,8 @@ export class CollectiveMemory extends EventEmitter {
         GROUP BY swarm_id, type;
       `);
 
+      this._ensureEmbeddingColumns();
+
       // Prepare optimized statements
       this._prepareStatements();
 
@@ -312,6 +321,22 @@ export class CollectiveMemory extends EventEmitter {
     }
   }
 
+  /**
+   * Add the vector columns used by semantic search to existing databases
+   */
+  _ensureEmbeddingColumns() {
+    const columns = this.db
+      .prepare('PRAGMA table_info(collective_memory)')
+      .all()
+      .map((column) => column.name);
+    if (!columns.includes('embedding')) {
+      this.db.exec('ALTER TABLE collective_memory ADD COLUMN embedding BLOB');
+    }
+    if (!columns.includes('embedding_model')) {
+      this.db.exec('ALTER TABLE collective_memory ADD COLUMN embedding_model TEXT');
+    }
+  }
+
   /**
    * Prepare optimized SQL statements
    */
@@ -463,7 +488,7 @@ export class CollectiveMemory extends EventEmitter {
           UPDATE collective_memory 
           SET value = ?, type = ?, confidence = ?, 
               accessed_at = CURRENT_TIMESTAMP, access_count = access_count + 1,
-              compressed = ?, size = ?
+              compressed = ?, size = ?, embedding = NULL, embedding_model = NULL
           WHERE swarm_id = ? AND key = ?
         `,
           )
@@ -592,6 +617,10 @@ export class CollectiveMemory extends EventEmitter {
    * Search collective memory
    */
   async search(pattern, options = {}) {
+    if (options.semantic) {
+      return this._semanticSearch(pattern, options);
+    }
+
     try {
       const limit = options.limit || 50;
       const type = options.type || null;
@@ -626,6 +655,65 @@ export class CollectiveMemory extends EventEmitter {
     }
   }
 
+  /**
+   * Rank memories by embedding similarity to the query. Vectors are computed
+   * on first use and kept in the row until its value changes.
+   */
+  async _semanticSearch(query, options = {}) {
+    try {
+      const limit = options.limit || 10;
+      const embedder = options.embedder || getDefaultEmbedder();
+
+      let sql = `
+        SELECT key, value, type, confidence, created_at, accessed_at, access_count,
+               embedding, embedding_model
+        FROM collective_memory
+        WHERE swarm_id = ? AND confidence >= ?
+      `;
+      const params = [this.config.swarmId, options.minConfidence || 0];
+      if (options.type) {
+        sql += ' AND type = ?';
+        params.push(options.type);
+      }
+
+      const saveEmbedding = this.db.prepare(`
+        UPDATE collective_memory SET embedding = ?, embedding_model = ?
+        WHERE swarm_id = ? AND key = ?
+      `);
+
+      const candidates = [];
+      for (const row of this.db.prepare(sql).all(...params)) {
+        let vector = row.embedding_model === embedder.id ? deserializeVector(row.embedding) : null;
+        if (!vector) {
+          vector = await embedder.embed(textForEmbedding(row.key, String(row.value)));
+          saveEmbedding.run(serializeVector(vector), embedder.id, this.config.swarmId, row.key);
+        }
+        candidates.push({ row, vector });
+      }
+
+      const ranked = await rankBySimilarity(query, candidates, {
+        embedder,
+        limit,
+        minScore: options.minScore,
+      });
+
+      this._trackAccess(`search:${query}`, 'search');
+
+      return ranked.map(({ row, score }) => ({
+        key: row.key,
+        type: row.type,
+        confidence: row.confidence,
+        created_at: row.created_at,
+        accessed_at: row.accessed_at,
+        access_count: row.access_count,
+        score,
+      }));
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
   /**
    * Get related memories using association
    */
@@ -10,6 +10,27 @@ import chalk from 'chalk';
 import { cwd } from '../../node-compat.js';
 import { createDatabase, isSQLiteAvailable, isWindows } from '../../../memory/sqlite-wrapper.js';
 
+// Columns of session_workers that updateWorkerRun may set
+const WORKER_RUN_COLUMNS = [
+  'pid',
+  'status',
+  'model',
+  'claude_session_id',
+  'tool_calls',
+  'messages',
+  'input_tokens',
+  'output_tokens',
+  'cache_creation_tokens',
+  'cache_read_tokens',
+  'cost_usd',
+  'num_turns',
+  'duration_ms',
+  'exit_code',
+  'result',
+  'error',
+  'completed_at',
+];
+
 export class HiveMindSessionManager {
   constructor(hiveMindDir = null) {
     this.hiveMindDir = hiveMindDir || path.join(cwd(), '.hive-mind');
@@ -65,7 +86,9 @@ export class HiveMindSessionManager {
     this.memoryStore = {
       sessions: new Map(),
       checkpoints: new Map(),
-      logs: new Map()
+      logs: new Map(),
+      workers: new Map(),
+      worktrees: new Map()
     };
     
     if (isWindows()) {
@@ -129,6 +152,49 @@ To enable persistence, see: https://github.com/ruvnet/claude-code-flow/docs/wind
         data TEXT,
         FOREIGN KEY (session_id) REFERENCES sessions(id)
       );
+
+      CREATE TABLE IF NOT EXISTS session_workers (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        agent_type TEXT,
+        command TEXT,
+        pid INTEGER,
+        status TEXT DEFAULT 'running',
+        model TEXT,
+        claude_session_id TEXT,
+        tool_calls INTEGER DEFAULT 0,
+        messages INTEGER DEFAULT 0,
+        input_tokens INTEGER DEFAULT 0,
+        output_tokens INTEGER DEFAULT 0,
+        cache_creation_tokens INTEGER DEFAULT 0,
+        cache_read_tokens INTEGER DEFAULT 0,
+        cost_usd REAL,
+        num_turns INTEGER,
+        duration_ms INTEGER,
+        exit_code INTEGER,
+        result TEXT,
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (session_id) REFERENCES sessions(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS session_worktrees (
+        session_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        path TEXT NOT NULL,
+        branch TEXT NOT NULL,
+        base_commit TEXT,
+        status TEXT DEFAULT 'active',
+        commits INTEGER DEFAULT 0,
+        conflicts TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, agent_id),
+        FOREIGN KEY (session_id) REFERENCES sessions(id)
+      );
     `);
 
     // Run migrations to add new columns
@@ -351,6 +417,8 @@ To enable persistence, see: https://github.com/ruvnet/claude-code-flow/docs/wind
         tasks: [], // Not available in memory mode
         checkpoints: this.memoryStore.checkpoints.get(sessionId) || [],
         recentLogs: this.memoryStore.logs.get(sessionId) || [],
+        workers: await this.getWorkerRuns(sessionId),
+        worktrees: await this.getWorktrees(sessionId),
         statistics: {
           totalAgents: 0,
           activeAgents: 0,
@@ -425,6 +493,12 @@ To enable persistence, see: https://github.com/ruvnet/claude-code-flow/docs/wind
       )
       .all(sessionId);
 
+    // Get headless worker runs
+    const workers = await this.getWorkerRuns(sessionId);
+
+    // Get agent worktrees
+    const worktrees = await this.getWorktrees(sessionId);
+
     return {
       ...session,
       metadata: session.metadata ? JSON.parse(session.metadata) : {},
@@ -437,6 +511,8 @@ To enable persistence, see: https://github.com/ruvnet/claude-code-flow/docs/wind
         checkpoint_data: JSON.parse(cp.checkpoint_data),
       })),
       recentLogs,
+      workers,
+      worktrees,
       statistics: {
         totalAgents: agents.length,
         activeAgents: agents.filter((a) => a.status === 'active' || a.status === 'busy').length,
@@ -502,7 +578,7 @@ To enable persistence, see: https://github.com/ruvnet/claude-code-flow/docs/wind
    * Resume any previous session (paused, stopped, or inactive)
    */
   async resumeSession(sessionId) {
-    const session = this.getSession(sessionId);
+    const session = await this.getSession(sessionId);
 
     if (!session) {
       throw new Error(`Session ${sessionId} not found`);
@@ -669,6 +745,192 @@ To enable persistence, see: https://github.com/ruvnet/claude-code-flow/docs/wind
     }));
   }
 
+  /**
+   * Record the start of a headless worker process
+   */
+  async startWorkerRun(sessionId, { agentId, agentType = null, command = null, pid = null }) {
+    await this.ensureInitialized();
+
+    const runId = `run-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+
+    if (this.isInMemory) {
+      // Use in-memory storage
+      this.memoryStore.workers.set(runId, {
+        id: runId,
+        session_id: sessionId,
+        agent_id: agentId,
+        agent_type: agentType,
+        command,
+        pid,
+        status: 'running',
+        tool_calls: 0,
+        messages: 0,
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_creation_tokens: 0,
+        cache_read_tokens: 0,
+        started_at: new Date().toISOString()
+      });
+    } else {
+      // Use SQLite
+      const stmt = this.db.prepare(`
+        INSERT INTO session_workers (id, session_id, agent_id, agent_type, command, pid, started_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run(runId, sessionId, agentId, agentType, command, pid, new Date().toISOString());
+    }
+
+    await this.logSessionEvent(sessionId, 'info', 'Worker started', agentId, { runId, command });
+
+    return runId;
+  }
+
+  /**
+   * Update a headless worker run; fields are session_workers columns
+   */
+  async updateWorkerRun(runId, fields) {
+    await this.ensureInitialized();
+
+    const columns = Object.keys(fields).filter((column) => WORKER_RUN_COLUMNS.includes(column));
+    if (columns.length === 0) return;
+
+    if (this.isInMemory) {
+      // Use in-memory storage
+      const run = this.memoryStore.workers.get(runId);
+      if (run) {
+        columns.forEach((column) => {
+          run[column] = fields[column];
+        });
+      }
+    } else {
+      // Use SQLite
+      const stmt = this.db.prepare(`
+        UPDATE session_workers
+        SET ${columns.map((column) => `${column} = ?`).join(', ')}
+        WHERE id = ?
+      `);
+
+      stmt.run(...columns.map((column) => fields[column] ?? null), runId);
+    }
+  }
+
+  /**
+   * Get the headless worker runs of a session
+   */
+  async getWorkerRuns(sessionId) {
+    await this.ensureInitialized();
+
+    if (this.isInMemory) {
+      // Use in-memory storage
+      return [...this.memoryStore.workers.values()].filter((run) => run.session_id === sessionId);
+    }
+
+    return this.db
+      .prepare(
+        `
+      SELECT * FROM session_workers
+      WHERE session_id = ?
+      ORDER BY started_at, rowid
+    `,
+      )
+      .all(sessionId);
+  }
+
+  /**
+   * Record the git worktree an agent works in (see ../worktrees.js)
+   */
+  async saveWorktree(sessionId, worktree) {
+    await this.ensureInitialized();
+
+    if (this.isInMemory) {
+      // Use in-memory storage
+      const key = `${sessionId}:${worktree.agentId}`;
+      const existing = this.memoryStore.worktrees.get(key);
+      this.memoryStore.worktrees.set(key, {
+        commits: 0,
+        conflicts: null,
+        error: null,
+        created_at: new Date().toISOString(),
+        ...existing,
+        session_id: sessionId,
+        agent_id: worktree.agentId,
+        path: worktree.path,
+        branch: worktree.branch,
+        base_commit: worktree.baseCommit || null,
+        status: 'active',
+        updated_at: new Date().toISOString()
+      });
+    } else {
+      // Use SQLite
+      const stmt = this.db.prepare(`
+        INSERT INTO session_worktrees (session_id, agent_id, path, branch, base_commit)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(session_id, agent_id) DO UPDATE SET
+          path = excluded.path,
+          branch = excluded.branch,
+          base_commit = excluded.base_commit,
+          status = 'active',
+          updated_at = CURRENT_TIMESTAMP
+      `);
+
+      stmt.run(sessionId, worktree.agentId, worktree.path, worktree.branch, worktree.baseCommit || null);
+    }
+
+    await this.logSessionEvent(sessionId, 'info', 'Worktree ready', worktree.agentId, {
+      path: worktree.path,
+      branch: worktree.branch,
+    });
+  }
+
+  /**
+   * Update the status of an agent's worktree after integration or removal
+   */
+  async updateWorktree(sessionId, agentId, { status, commits = 0, conflicts = [], error = null }) {
+    await this.ensureInitialized();
+
+    if (this.isInMemory) {
+      // Use in-memory storage
+      const worktree = this.memoryStore.worktrees.get(`${sessionId}:${agentId}`);
+      if (worktree) {
+        Object.assign(worktree, {
+          status,
+          commits,
+          conflicts: JSON.stringify(conflicts),
+          error,
+          updated_at: new Date().toISOString()
+        });
+      }
+    } else {
+      // Use SQLite
+      const stmt = this.db.prepare(`
+        UPDATE session_worktrees
+        SET status = ?, commits = ?, conflicts = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE session_id = ? AND agent_id = ?
+      `);
+
+      stmt.run(status, commits, JSON.stringify(conflicts), error, sessionId, agentId);
+    }
+  }
+
+  /**
+   * Get the git worktrees of a session
+   */
+  async getWorktrees(sessionId) {
+    await this.ensureInitialized();
+
+    const rows = this.isInMemory
+      ? [...this.memoryStore.worktrees.values()].filter((w) => w.session_id === sessionId)
+      : this.db
+          .prepare('SELECT * FROM session_worktrees WHERE session_id = ? ORDER BY rowid')
+          .all(sessionId);
+
+    return rows.map((row) => ({
+      ...row,
+      conflicts: row.conflicts ? JSON.parse(row.conflicts) : [],
+    }));
+  }
+
   /**
    * Update session progress
    */
@@ -0,0 +1,429 @@
+/**
+ * Transports for SwarmCommunication
+ * Moves message envelopes between the hive (hub) and worker processes
+ */
+
+import EventEmitter from 'events';
+import crypto from 'crypto';
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Environment variables handed to worker processes so they can reach the hub
+ */
+export const HIVE_ENV = {
+  endpoint: 'CLAUDE_FLOW_HIVE_ENDPOINT',
+  swarmId: 'CLAUDE_FLOW_SWARM_ID',
+  agentId: 'CLAUDE_FLOW_AGENT_ID',
+  key: 'CLAUDE_FLOW_HIVE_KEY',
+  secret: 'CLAUDE_FLOW_HIVE_SECRET',
+};
+
+/**
+ * Split a socket stream into newline-delimited JSON frames
+ */
+function createFrameParser(onFrame, onError) {
+  let buffered = '';
+
+  return (chunk) => {
+    buffered += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, newline);
+      buffered = buffered.slice(newline + 1);
+      if (!line.trim()) continue;
+
+      try {
+        onFrame(JSON.parse(line));
+      } catch (error) {
+        onError(error);
+      }
+    }
+  };
+}
+
+function writeFrame(socket, frame) {
+  if (!socket || socket.destroyed || !socket.writable) return false;
+  socket.write(JSON.stringify(frame) + '\n');
+  return true;
+}
+
+/**
+ * Proof that a worker holds the hub's secret: an HMAC over the hub's
+ * one-time challenge and the agent id the worker claims
+ */
+export function helloProof(secret, nonce, agentId) {
+  return crypto.createHmac('sha256', secret).update(`${nonce}:${agentId}`).digest('hex');
+}
+
+function proofMatches(proof, expected) {
+  const a = Buffer.from(String(proof || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse "unix:/path/to.sock" or "tcp://host:port" into connect options
+ */
+export function parseEndpoint(endpoint) {
+  if (endpoint.startsWith('unix:')) {
+    return { path: endpoint.slice('unix:'.length) };
+  }
+
+  const match = /^tcp:\/\/([^:]+):(\d+)$/.exec(endpoint);
+  if (!match) {
+    throw new Error(`Invalid hive endpoint: ${endpoint}`);
+  }
+  return { host: match[1], port: Number(match[2]) };
+}
+
+/**
+ * Default transport: delivery stays inside this process
+ */
+export class InProcessTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.kind = 'memory';
+  }
+
+  async start() {}
+
+  /**
+   * Hands the envelope back to the owning SwarmCommunication for local delivery
+   */
+  send(envelope) {
+    this.emit('local', envelope);
+    return true;
+  }
+
+  async close() {
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Hub side of the socket transport. Listens on a Unix domain socket or a
+ * localhost TCP port. Each connection gets a challenge; workers answer with
+ * a hello frame that proves they hold the hub's secret (see helloProof), and
+ * connections that fail the check are closed. Envelopes addressed to another
+ * worker are relayed to it, '*' goes to everyone but the sender.
+ */
+export class SocketHubTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.kind = options.path ? 'unix' : 'tcp';
+    this.nodeId = options.nodeId || 'system';
+    // Handed to workers through their environment (HIVE_ENV.secret)
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+    this.options = {
+      path: options.path,
+      host: options.host || '127.0.0.1',
+      port: options.port || 0,
+    };
+    this.peers = new Map(); // agentId -> socket
+    this.server = null;
+  }
+
+  async start() {
+    if (this.server) return;
+
+    if (this.options.path) {
+      fs.mkdirSync(path.dirname(this.options.path), { recursive: true });
+      // A socket file left behind by a crashed hive blocks listen()
+      if (fs.existsSync(this.options.path)) {
+        fs.unlinkSync(this.options.path);
+      }
+    }
+
+    this.server = net.createServer((socket) => this._accept(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      const onListening = () => {
+        this.server.off('error', reject);
+        this.server.on('error', (error) => this.emit('error', error));
+        resolve();
+      };
+      if (this.options.path) {
+        this.server.listen(this.options.path, onListening);
+      } else {
+        this.server.listen(this.options.port, this.options.host, onListening);
+      }
+    });
+  }
+
+  /**
+   * Endpoint string workers pass to connect (see parseEndpoint)
+   */
+  get endpoint() {
+    if (this.options.path) return `unix:${this.options.path}`;
+    const address = this.server?.address();
+    return address ? `tcp://${this.options.host}:${address.port}` : null;
+  }
+
+  send(envelope) {
+    if (envelope.to === '*') {
+      for (const socket of this.peers.values()) {
+        writeFrame(socket, { kind: 'envelope', envelope });
+      }
+      return true;
+    }
+    return writeFrame(this.peers.get(envelope.to), { kind: 'envelope', envelope });
+  }
+
+  hasPeer(agentId) {
+    return this.peers.has(agentId);
+  }
+
+  _accept(socket) {
+    let agentId = null;
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    socket.on(
+      'data',
+      createFrameParser(
+        (frame) => {
+          if (frame.kind === 'hello' && !agentId) {
+            if (
+              typeof frame.agentId !== 'string' ||
+              !proofMatches(frame.proof, helloProof(this.secret, nonce, frame.agentId))
+            ) {
+              writeFrame(socket, { kind: 'rejected', reason: 'authentication failed' });
+              socket.end();
+              this.emit('peer:rejected', { agentId: frame.agentId });
+              return;
+            }
+            agentId = frame.agentId;
+            // A reconnecting worker replaces its stale socket
+            const previous = this.peers.get(agentId);
+            if (previous && previous !== socket) previous.destroy();
+            this.peers.set(agentId, socket);
+            writeFrame(socket, { kind: 'welcome', hubId: this.nodeId });
+            this.emit('peer:connected', { agentId, metadata: frame.metadata || {} });
+            return;
+          }
+
+          if (frame.kind === 'envelope' && agentId) {
+            this._route({ ...frame.envelope, from: agentId });
+          }
+        },
+        (error) => this.emit('error', error),
+      ),
+    );
+    writeFrame(socket, { kind: 'challenge', nonce });
+
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      if (agentId && this.peers.get(agentId) === socket) {
+        this.peers.delete(agentId);
+        this.emit('peer:disconnected', { agentId });
+      }
+    });
+  }
+
+  _route(envelope) {
+    if (envelope.to === this.nodeId) {
+      this.emit('message', envelope);
+      return;
+    }
+
+    if (envelope.to === '*') {
+      for (const [peerId, socket] of this.peers) {
+        if (peerId !== envelope.from) writeFrame(socket, { kind: 'envelope', envelope });
+      }
+      this.emit('message', envelope);
+      return;
+    }
+
+    // Unknown recipients are dropped; the sender's retries cover late joiners
+    if (!writeFrame(this.peers.get(envelope.to), { kind: 'envelope', envelope })) {
+      this.emit('undeliverable', envelope);
+    }
+  }
+
+  async close() {
+    // end() lets frames already written reach the workers; destroy stragglers
+    for (const socket of this.peers.values()) {
+      socket.end();
+      setTimeout(() => socket.destroy(), 1000).unref();
+    }
+    this.peers.clear();
+
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(() => resolve()));
+      this.server = null;
+    }
+    if (this.options.path && fs.existsSync(this.options.path)) {
+      fs.unlinkSync(this.options.path);
+    }
+  }
+}
+
+/**
+ * Worker side of the socket transport. Answers the hub's challenge with the
+ * shared secret and reconnects with backoff until closed or rejected.
+ */
+export class SocketClientTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.nodeId = options.nodeId;
+    this.secret = options.secret || '';
+    this.metadata = options.metadata || {};
+    this.connectOptions = options.endpoint
+      ? parseEndpoint(options.endpoint)
+      : { path: options.path, host: options.host || '127.0.0.1', port: options.port };
+    this.kind = this.connectOptions.path ? 'unix' : 'tcp';
+    this.reconnectDelay = options.reconnectDelay || 250;
+    this.maxReconnectDelay = options.maxReconnectDelay || 5000;
+    this.socket = null;
+    this.connected = false;
+    this.closing = false;
+    this.reconnectTimer = null;
+  }
+
+  async start() {
+    this.closing = false;
+    await this._connect();
+  }
+
+  send(envelope) {
+    if (!this.connected) return false;
+    return writeFrame(this.socket, { kind: 'envelope', envelope });
+  }
+
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions);
+      let settled = false;
+
+      socket.on(
+        'data',
+        createFrameParser(
+          (frame) => {
+            if (frame.kind === 'challenge') {
+              writeFrame(socket, {
+                kind: 'hello',
+                agentId: this.nodeId,
+                metadata: this.metadata,
+                proof: helloProof(this.secret, frame.nonce, this.nodeId),
+              });
+            } else if (frame.kind === 'rejected') {
+              // A wrong secret will not get better on retry
+              this.closing = true;
+              const error = new Error(`Hive hub rejected ${this.nodeId}: ${frame.reason}`);
+              if (!settled) {
+                settled = true;
+                reject(error);
+              } else {
+                this.emit('error', error);
+              }
+            } else if (frame.kind === 'welcome') {
+              this.connected = true;
+              this.hubId = frame.hubId;
+              this.reconnectDelay = 250;
+              this.emit('connected', { hubId: frame.hubId });
+              if (!settled) {
+                settled = true;
+                resolve();
+              }
+            } else if (frame.kind === 'envelope') {
+              this.emit('message', frame.envelope);
+            }
+          },
+          (error) => this.emit('error', error),
+        ),
+      );
+
+      socket.on('error', (error) => {
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+      });
+
+      socket.on('close', () => {
+        const wasConnected = this.connected;
+        this.connected = false;
+        if (wasConnected) this.emit('disconnected');
+        if (!this.closing && settled) this._scheduleReconnect();
+      });
+
+      this.socket = socket;
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this._connect();
+      } catch {
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+        this._scheduleReconnect();
+      }
+    }, this.reconnectDelay);
+  }
+
+  async close() {
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+    this.connected = false;
+  }
+}
+
+/**
+ * Build a transport from SwarmCommunication config:
+ *   { transport: 'memory' }                              (default)
+ *   { transport: 'unix', socketPath, role: 'hub', secret }
+ *   { transport: 'tcp', host, port, role: 'hub', secret }
+ *   { endpoint: 'unix:/path' | 'tcp://host:port', secret } (worker)
+ */
+export function createTransport(config = {}) {
+  if (config.transport && typeof config.transport === 'object') {
+    return config.transport;
+  }
+
+  if (config.endpoint) {
+    return new SocketClientTransport({
+      endpoint: config.endpoint,
+      nodeId: config.nodeId,
+      metadata: config.metadata,
+      secret: config.secret,
+    });
+  }
+
+  switch (config.transport || 'memory') {
+    case 'memory':
+      return new InProcessTransport();
+
+    case 'unix':
+      return new SocketHubTransport({
+        path:
+          config.socketPath ||
+          path.join(process.cwd(), '.hive-mind', 'sockets', `${config.swarmId}.sock`),
+        nodeId: config.nodeId,
+        secret: config.secret,
+      });
+
+    case 'tcp':
+      return new SocketHubTransport({
+        host: config.host,
+        port: config.port,
+        nodeId: config.nodeId,
+        secret: config.secret,
+      });
+
+    default:
+      throw new Error(`Unknown communication transport: ${config.transport}`);
+  }
+}
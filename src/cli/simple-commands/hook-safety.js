@@ -7,7 +7,7 @@
  * Critical protections:
  * - Environment variable context detection
  * - Recursive call prevention
- * - Circuit breaker for Stop hooks
+ * - Circuit breaker shared by all hook processes
  * - Configuration validation
  * - Emergency override flags
  */
@@ -15,6 +15,18 @@
 import { printError, printWarning, printSuccess } from '../utils.js';
 import { existsSync, readFileSync } from 'fs';
 import path from 'path';
+import {
+  CircuitStateFile,
+  DEFAULT_LIMITS,
+  DEFAULT_STATE_FILE,
+  formatWindow,
+  loadCircuitLimits,
+  mergeLimits,
+  recordExecution,
+  resetState,
+  resolveSession,
+  summarizeState,
+} from './hooks/circuit-state.js';
 
 /**
  * Hook Safety Configuration
@@ -23,11 +35,7 @@ const HOOK_SAFETY_CONFIG = {
   // Maximum hook execution depth before blocking
   MAX_HOOK_DEPTH: 3,
 
-  // Maximum Stop hook executions per session
-  MAX_STOP_HOOK_EXECUTIONS: 2,
-
-  // Circuit breaker timeout (milliseconds)
-  CIRCUIT_BREAKER_TIMEOUT: 60000, // 1 minute
+  // Circuit breaker limits live in hooks/circuit-state.js (DEFAULT_LIMITS)
 
   // Environment variables for context detection
   ENV_VARS: {
@@ -39,47 +47,8 @@ const HOOK_SAFETY_CONFIG = {
   },
 };
 
-/**
- * Global hook execution tracking
- */
-class HookExecutionTracker {
-  constructor() {
-    this.executions = new Map();
-    this.sessionId = this.generateSessionId();
-    this.resetTimeout = null;
-  }
-
-  generateSessionId() {
-    return `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  }
-
-  track(hookType) {
-    const key = `${this.sessionId}:${hookType}`;
-    const count = this.executions.get(key) || 0;
-    this.executions.set(key, count + 1);
-
-    // Auto-reset after timeout
-    if (this.resetTimeout) clearTimeout(this.resetTimeout);
-    this.resetTimeout = setTimeout(() => {
-      this.executions.clear();
-    }, HOOK_SAFETY_CONFIG.CIRCUIT_BREAKER_TIMEOUT);
-
-    return count + 1;
-  }
-
-  getExecutionCount(hookType) {
-    const key = `${this.sessionId}:${hookType}`;
-    return this.executions.get(key) || 0;
-  }
-
-  reset() {
-    this.executions.clear();
-    this.sessionId = this.generateSessionId();
-  }
-}
-
-// Global instance
-const executionTracker = new HookExecutionTracker();
+// Circuit breaker overrides set by HookCircuitBreaker.configure()
+let breakerOptions = {};
 
 /**
  * Hook Context Manager - Tracks hook execution context
@@ -88,7 +57,9 @@ export class HookContextManager {
   static setContext(hookType, depth = 1) {
     process.env[HOOK_SAFETY_CONFIG.ENV_VARS.CONTEXT] = hookType;
     process.env[HOOK_SAFETY_CONFIG.ENV_VARS.DEPTH] = depth.toString();
-    process.env[HOOK_SAFETY_CONFIG.ENV_VARS.SESSION_ID] = executionTracker.sessionId;
+    // Nested hook processes count against the same circuit breaker session
+    const sessionId = HookCircuitBreaker.currentSession();
+    if (sessionId) process.env[HOOK_SAFETY_CONFIG.ENV_VARS.SESSION_ID] = sessionId;
   }
 
   static getContext() {
@@ -220,54 +191,113 @@ export class HookCommandValidator {
 
 /**
  * Circuit Breaker - Prevents runaway hook execution
+ *
+ * Each hook runs as a fresh process, so counts are kept in a state file
+ * shared by all of them (.swarm/hook-circuit.json, see
+ * hooks/circuit-state.js). Limits use sliding windows per hook type,
+ * budgets per session and caps on the cost of hooks that start claude.
  */
 export class HookCircuitBreaker {
   /**
-   * Check if hook execution should be allowed
+   * Override the state file, project directory or limits (mainly for tests)
    */
-  static checkExecution(hookType) {
-    const executionCount = executionTracker.track(hookType);
+  static configure(options = {}) {
+    breakerOptions = { ...options };
+  }
 
-    // Stop hook protection - maximum 2 executions per session
-    if (hookType === 'Stop' && executionCount > HOOK_SAFETY_CONFIG.MAX_STOP_HOOK_EXECUTIONS) {
-      throw new Error(
-        `🚨 CIRCUIT BREAKER ACTIVATED!\n` +
-          `Stop hook has executed ${executionCount} times in this session.\n` +
-          `This indicates a potential infinite loop that could cost thousands of dollars.\n` +
-          `Execution blocked for financial protection.\n\n` +
-          `To reset: Use --reset-circuit-breaker flag or restart your session.`,
-      );
-    }
+  static _stateFile() {
+    return new CircuitStateFile(
+      breakerOptions.stateFile ||
+        path.join(breakerOptions.cwd || process.cwd(), DEFAULT_STATE_FILE),
+    );
+  }
+
+  static _limits() {
+    return breakerOptions.limits
+      ? mergeLimits(DEFAULT_LIMITS, breakerOptions.limits)
+      : loadCircuitLimits(breakerOptions.cwd || process.cwd());
+  }
+
+  /**
+   * Check if hook execution should be allowed, and count it when it is.
+   * options: { sessionId, cost }
+   */
+  static checkExecution(hookType, options = {}) {
+    const limits = this._limits();
+    const result = this._stateFile().update((state) =>
+      recordExecution(state, limits, {
+        hookType,
+        sessionId:
+          options.sessionId ||
+          process.env[HOOK_SAFETY_CONFIG.ENV_VARS.SESSION_ID] ||
+          process.env.CLAUDE_FLOW_SESSION_ID,
+        cost: options.cost || 0,
+        now: Date.now(),
+      }),
+    );
+
+    if (!result.allowed) {
+      // Stop hook protection - the per-session Stop budget
+      if (hookType === 'Stop' && result.trip.kind === 'session') {
+        throw new Error(
+          `🚨 CIRCUIT BREAKER ACTIVATED!\n` +
+            `Stop hook has executed ${result.count} times in this session.\n` +
+            `This indicates a potential infinite loop that could cost thousands of dollars.\n` +
+            `Execution blocked for financial protection.\n\n` +
+            `To reset: Run 'claude-flow hook-safety reset' or start a new session.`,
+        );
+      }
 
-    // General protection for any hook type
-    if (executionCount > 20) {
       throw new Error(
-        `🚨 CIRCUIT BREAKER: ${hookType} hook executed ${executionCount} times!\n` +
+        `🚨 CIRCUIT BREAKER: ${result.reason}\n` +
           `This is highly unusual and indicates a potential problem.\n` +
-          `Execution blocked to prevent system overload.`,
+          `Execution blocked until ${new Date(result.trip.until).toISOString()}.\n` +
+          `To reset: Run 'claude-flow hook-safety reset'.`,
       );
     }
 
     // Log warnings for concerning patterns
-    if (hookType === 'Stop' && executionCount > 1) {
-      printWarning(`⚠️  Stop hook execution #${executionCount} detected. Monitor for recursion.`);
+    if (hookType === 'Stop' && result.count > 1) {
+      printWarning(`⚠️  Stop hook execution #${result.count} detected. Monitor for recursion.`);
     }
 
     return true;
   }
 
-  static reset() {
-    executionTracker.reset();
+  /**
+   * Cost charged for running a command from a hook (claude runs cost money)
+   */
+  static commandCost(command) {
+    return HookCommandValidator.isClaudeCommand(command) ? this._limits().costs.claude || 0 : 0;
+  }
+
+  /**
+   * The active breaker session, or null when none is active
+   */
+  static currentSession() {
+    const limits = this._limits();
+    const state = this._stateFile().read();
+    const now = Date.now();
+    const current = state.currentSession;
+    return current && resolveSession(state, limits, now) === current.id ? current.id : null;
+  }
+
+  /**
+   * Clear counters and open breakers; filter: { sessionId, hookType }
+   */
+  static reset(filter = {}) {
+    this._stateFile().update((state) => resetState(state, filter));
     printSuccess('Circuit breaker reset successfully.');
   }
 
   static getStatus() {
+    const summary = summarizeState(this._stateFile().read(), this._limits(), Date.now());
     return {
-      sessionId: executionTracker.sessionId,
-      executions: Array.from(executionTracker.executions.entries()).map(([key, count]) => {
-        const [sessionId, hookType] = key.split(':');
-        return { hookType, count };
-      }),
+      ...summary,
+      executions: Object.entries(summary.session?.counts || {}).map(([hookType, count]) => ({
+        hookType,
+        count,
+      })),
     };
   }
 }
@@ -419,7 +449,9 @@ export class SafeHookExecutor {
       }
 
       // Circuit breaker check
-      HookCircuitBreaker.checkExecution(hookType);
+      HookCircuitBreaker.checkExecution(hookType, {
+        cost: HookCircuitBreaker.commandCost(command),
+      });
 
       // Command validation
       const validation = HookCommandValidator.validateCommand(command, hookType);
@@ -528,6 +560,11 @@ async function statusCommand(subArgs, flags) {
   const context = HookContextManager.getContext();
   const circuitStatus = HookCircuitBreaker.getStatus();
 
+  if (flags.json) {
+    console.log(JSON.stringify({ context, circuitBreaker: circuitStatus }, null, 2));
+    return;
+  }
+
   console.log('🔗 Hook Safety Status\n');
 
   console.log('📊 Current Context:');
@@ -542,26 +579,70 @@ async function statusCommand(subArgs, flags) {
   }
 
   console.log('\n⚡ Circuit Breaker Status:');
-  console.log(`  🆔 Session: ${circuitStatus.sessionId}`);
+  if (circuitStatus.sessionId) {
+    const state = circuitStatus.session?.active ? 'active' : 'idle';
+    console.log(`  🆔 Session: ${circuitStatus.sessionId} (${state})`);
+  } else {
+    console.log('  🆔 Session: none');
+  }
 
   if (circuitStatus.executions.length > 0) {
     console.log('  📊 Hook Executions:');
     for (const exec of circuitStatus.executions) {
-      console.log(`    • ${exec.hookType}: ${exec.count} times`);
+      const limit =
+        circuitStatus.limits.session[exec.hookType] ?? circuitStatus.limits.session['*'];
+      console.log(`    • ${exec.hookType}: ${exec.count} times (session limit ${limit})`);
     }
   } else {
     console.log('  ✅ No hook executions in current session');
   }
+
+  if (circuitStatus.rates.length > 0) {
+    console.log('  ⏱️  Recent Rate:');
+    for (const rate of circuitStatus.rates) {
+      console.log(
+        `    • ${rate.hookType}: ${rate.count}/${rate.max} per ${formatWindow(rate.windowMs)}`,
+      );
+    }
+  }
+
+  const { cost } = circuitStatus;
+  console.log(
+    `  💰 Cost: ${cost.window}/${cost.max} per ${formatWindow(cost.windowMs)}, ` +
+      `${cost.session}/${cost.perSession} this session`,
+  );
+
+  if (circuitStatus.trips.length > 0) {
+    console.log('\n🚨 Open Breakers:');
+    for (const trip of circuitStatus.trips) {
+      console.log(`  • ${trip.reason}`);
+      console.log(
+        `    open until ${new Date(trip.until).toISOString()}, ${trip.blocked} run(s) blocked`,
+      );
+    }
+  } else {
+    console.log('  ✅ No open breakers');
+  }
 }
 
 async function resetCommand(subArgs, flags) {
+  const filter = { sessionId: flags.session, hookType: flags.hook };
+  const scope = [
+    filter.sessionId && `session ${filter.sessionId}`,
+    filter.hookType && `${filter.hookType} hooks`,
+  ].filter(Boolean);
+
   console.log('🔄 Resetting hook safety systems...\n');
 
-  HookCircuitBreaker.reset();
+  HookCircuitBreaker.reset(filter);
   HookContextManager.clearContext();
 
-  printSuccess('✅ Hook safety systems reset successfully!');
-  console.log('All execution counters and context cleared.');
+  if (scope.length > 0) {
+    printSuccess(`✅ Hook safety counters reset for ${scope.join(', ')}.`);
+  } else {
+    printSuccess('✅ Hook safety systems reset successfully!');
+    console.log('All execution counters and context cleared.');
+  }
 }
 
 async function safeModeCommand(subArgs, flags) {
@@ -598,6 +679,13 @@ COMMANDS:
 VALIDATE OPTIONS:
   --config, -c <path>     Path to Claude Code settings.json
 
+STATUS OPTIONS:
+  --json                  Output the shared circuit breaker state as JSON
+
+RESET OPTIONS:
+  --session <id>          Only reset counters and breakers for this session
+  --hook <type>           Only reset counters and breakers for this hook type
+
 SAFE-MODE OPTIONS:
   --disable, --off        Disable safe mode
 
@@ -614,6 +702,9 @@ EXAMPLES:
   # Reset if circuit breaker is triggered
   claude-flow hook-safety reset
 
+  # Reset only the Stop hook budget
+  claude-flow hook-safety reset --hook Stop
+
   # Enable safe mode (skips all hooks)
   claude-flow hook-safety safe-mode
 
@@ -632,6 +723,11 @@ SAFE ALTERNATIVES:
 • Use 'claude --skip-hooks' for manual updates
 • Create conditional execution scripts
 
+CIRCUIT BREAKER:
+Counts are shared by every hook process in .swarm/hook-circuit.json.
+Limits (rate windows, session budgets, cost caps) can be set under
+claudeFlow.hookSafety in .claude/settings.json.
+
 For more information: https://github.com/ruvnet/claude-flow/issues/166
 `);
 }
@@ -6,6 +6,43 @@ import {
   checkRuvSwarmAvailable,
 } from '../utils.js';
 import { SqliteMemoryStore } from '../../memory/sqlite-store.js';
+import {
+  evaluateBashCommand,
+  loadBashPolicy,
+  toPreToolUseOutput,
+  DEFAULT_POLICY_FILE,
+} from './hooks/bash-policy.js';
+import { formatEditedFile } from './hooks/formatters.js';
+import {
+  resolveHookContext,
+  recordHookEvent,
+  listHookEvents,
+  getCurrentSession,
+  setCurrentSession,
+  latestSession,
+  buildTimeline,
+  formatTimeline,
+  formatDuration,
+  replayBashCommands,
+} from './hooks/journal.js';
+import {
+  loadHookPlugins,
+  runHookPlugins,
+  pluginsFor,
+  normalizeEvent,
+  PLUGIN_DIR,
+} from './hooks/plugins.js';
+import { recordTranscriptUsage } from './hooks/token-usage.js';
+import {
+  findReadOnlySession,
+  recordReadOnlyViolation,
+  listReadOnlyViolations,
+  checkReadOnlyCommand,
+  hasReadOnlySettings,
+} from './hooks/read-only.js';
+import { HookCircuitBreaker, HookContextManager } from './hook-safety.js';
+import { recordMetrics } from '../../memory/metrics-store.js';
+import { TaskQueue } from '../../memory/task-queue.js';
 
 // Initialize memory store
 let memoryStore = null;
@@ -18,6 +55,45 @@ async function getMemoryStore() {
   return memoryStore;
 }
 
+// Safety labels stored with each pre-bash decision
+const SAFETY_BY_DECISION = { allow: 'safe', ask: 'needs-approval', deny: 'dangerous' };
+
+// Subcommands that inspect hooks rather than fire an event
+const TOOL_COMMANDS = new Set(['timeline', 'replay', 'plugins']);
+
+// Built-in hook events; each run is counted by the circuit breaker
+const HOOK_COMMANDS = new Set([
+  'pre-task',
+  'pre-edit',
+  'pre-bash',
+  'pre-command',
+  'post-task',
+  'post-edit',
+  'post-bash',
+  'post-command',
+  'post-search',
+  'mcp-initialized',
+  'agent-spawned',
+  'task-orchestrated',
+  'neural-trained',
+  'session-end',
+  'session-restore',
+  'notify',
+]);
+
+// PreToolUse hooks; their plugins run first so that a block becomes part of the decision
+const PRE_TOOL_COMMANDS = new Set(['pre-edit', 'pre-bash', 'pre-command']);
+
+// Claude Code events that end a turn; each has its own breaker budget
+const STOP_EVENTS = new Set(['Stop', 'SubagentStop']);
+
+// Metric points for this hook run, written to .swarm/metrics.db once it ends
+const pendingMetrics = [];
+
+function queueMetric(name, value, labels = {}) {
+  pendingMetrics.push({ name, value, labels, source: 'hooks' });
+}
+
 // Simple ID generator
 function generateId(prefix = 'id') {
   return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -32,18 +108,39 @@ export async function hooksAction(subArgs, flags) {
     return;
   }
 
+  const startedAt = Date.now();
   try {
+    const hookInput = HOOK_COMMANDS.has(subcommand) && flags.stdin ? await readHookInput() : null;
+    if (HOOK_COMMANDS.has(subcommand) && !circuitAllows(subcommand, flags, hookInput)) {
+      await recordMetrics([{ name: 'hooks.skipped', value: 1, labels: { hook: subcommand } }]);
+      return;
+    }
+
+    let pluginOutcome = null;
+    if (PRE_TOOL_COMMANDS.has(subcommand)) {
+      try {
+        pluginOutcome = await runPluginHooks(subcommand, subArgs, flags, {
+          checkCircuit: false,
+          reportBlock: false,
+        });
+      } catch (err) {
+        // Like an unreadable breaker state, plugins that cannot run deny the tool call
+        blockToolCall(subcommand, `Hook plugins could not run: ${err.message}`);
+        return;
+      }
+    }
+
     switch (subcommand) {
       // Pre-Operation Hooks
       case 'pre-task':
         await preTaskCommand(subArgs, flags);
         break;
       case 'pre-edit':
-        await preEditCommand(subArgs, flags);
+        await preEditCommand(subArgs, flags, pluginOutcome);
         break;
       case 'pre-bash':
       case 'pre-command': // Support both names for compatibility
-        await preBashCommand(subArgs, flags);
+        await preBashCommand(subArgs, flags, pluginOutcome);
         break;
 
       // Post-Operation Hooks
@@ -86,15 +183,85 @@ export async function hooksAction(subArgs, flags) {
         await notifyCommand(subArgs, flags);
         break;
 
+      // Journal
+      case 'timeline':
+        await timelineCommand(subArgs, flags);
+        break;
+      case 'replay':
+        await replayCommand(subArgs, flags);
+        break;
+      case 'plugins':
+        await pluginsCommand(subArgs, flags);
+        break;
+
       default:
-        printError(`Unknown hooks command: ${subcommand}`);
-        showHooksHelp();
+        // Custom events exist only through the project's plugin handlers
+        if (!(await runPluginHooks(subcommand, subArgs, flags, { custom: true }))) {
+          printError(`Unknown hooks command: ${subcommand}`);
+          showHooksHelp();
+        }
+        return;
+    }
+
+    if (!TOOL_COMMANDS.has(subcommand)) {
+      // Already counted by circuitAllows above
+      if (!PRE_TOOL_COMMANDS.has(subcommand)) {
+        await runPluginHooks(subcommand, subArgs, flags, { checkCircuit: false });
+      }
+
+      queueMetric('hooks.runs', 1, { hook: subcommand });
+      queueMetric('hooks.duration_ms', Date.now() - startedAt, { hook: subcommand });
+      await recordMetrics(pendingMetrics.splice(0));
     }
   } catch (err) {
+    if (err instanceof HookInputError && blockToolCall(subcommand, err.message)) return;
     printError(`Hooks command failed: ${err.message}`);
   }
 }
 
+/**
+ * A PreToolUse hook that cannot read its input blocks the tool call rather
+ * than let it through unchecked. Returns false for other hooks.
+ */
+function blockToolCall(subcommand, reason) {
+  if (subcommand === 'pre-bash' || subcommand === 'pre-command') {
+    console.log(JSON.stringify(toPreToolUseOutput({ decision: 'deny', explicit: true, reason })));
+    return true;
+  }
+  if (subcommand === 'pre-edit') {
+    console.error(`pre-edit blocked: ${reason}`);
+    process.exitCode = 2;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Count this hook run against the shared circuit breaker. An open breaker
+ * skips the hook with exit code 0: blocking would keep a runaway Stop or
+ * tool loop going, skipping lets it end. PreToolUse hooks are never
+ * skipped, since that would let the tool call through unchecked; they deny
+ * it instead, also when the breaker's state or limits cannot be read.
+ * Claude Code's Stop hooks run a regular subcommand (usually session-end),
+ * so they are counted by the event named in their stdin payload, against
+ * the payload's session.
+ */
+function circuitAllows(subcommand, flags, hookInput) {
+  const event = hookInput?.hook_event_name;
+  try {
+    HookCircuitBreaker.checkExecution(
+      STOP_EVENTS.has(event) ? event : normalizeEvent(subcommand),
+      { sessionId: flags['session-id'] || flags.sessionId || hookInput?.session_id },
+    );
+    return true;
+  } catch (err) {
+    if (!blockToolCall(subcommand, err.message)) {
+      console.error(`⏭️  Skipping ${subcommand} hook\n${err.message}`);
+    }
+    return false;
+  }
+}
+
 // ===== PRE-OPERATION HOOKS =====
 
 async function preTaskCommand(subArgs, flags) {
@@ -111,7 +278,9 @@ async function preTaskCommand(subArgs, flags) {
 
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'pre-task', flags, { subject: taskId });
     const taskData = {
+      ...context,
       taskId,
       description,
       agentId,
@@ -124,6 +293,11 @@ async function preTaskCommand(subArgs, flags) {
       namespace: 'hooks:pre-task',
       metadata: { hookType: 'pre-task', agentId },
     });
+    await recordHookEvent(store, 'pre-task', context, {
+      subject: taskId,
+      summary: description,
+      record: { key: `task:${taskId}`, namespace: 'hooks:pre-task' },
+    });
 
     await store.store(
       `task-index:${Date.now()}`,
@@ -168,9 +342,17 @@ async function preTaskCommand(subArgs, flags) {
   }
 }
 
-async function preEditCommand(subArgs, flags) {
+async function preEditCommand(subArgs, flags, pluginOutcome = null) {
   const options = flags;
-  const file = options.file || 'unknown-file';
+  // --stdin: invoked by Claude Code as a PreToolUse hook with the tool call as JSON on stdin
+  const hookInput = options.stdin ? await readHookInput() : null;
+  const toolInput = hookInput?.tool_input || {};
+  const file =
+    toolInput.file_path ||
+    toolInput.notebook_path ||
+    toolInput.path ||
+    options.file ||
+    'unknown-file';
   const operation = options.operation || 'edit';
   const autoAssignAgents = options['auto-assign-agents'] || false;
   const loadContext = options['load-context'] || false;
@@ -181,8 +363,49 @@ async function preEditCommand(subArgs, flags) {
   if (autoAssignAgents) console.log(`🤖 Auto-assign agents: ENABLED`);
   if (loadContext) console.log(`🔄 Load context: ENABLED`);
 
+  let readOnlyChecked = false;
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'pre-edit', flags, {
+      subject: file,
+      hookInput,
+    });
+
+    // Read-only sessions may not touch files; exit code 2 blocks the tool call
+    const readOnly = await findReadOnlySession(store, context.sessionId);
+    readOnlyChecked = true;
+    if (readOnly) {
+      const reason = `Read-only session: ${operation} of ${file} is not allowed`;
+      await recordReadOnlyViolation(store, readOnly.sessionId, {
+        tool: hookInput?.tool_name || operation,
+        target: file,
+        reason,
+        agentId: context.agentId,
+      });
+      await recordHookEvent(store, 'pre-edit', context, {
+        subject: file,
+        summary: file,
+        status: 'deny',
+        data: { file, operation, decision: 'deny' },
+      });
+      console.log(`  🔒 Blocked: ${reason}`);
+      console.error(`pre-edit blocked: ${reason}`);
+      process.exitCode = 2;
+      return;
+    }
+
+    if (pluginOutcome?.blocked) {
+      await recordHookEvent(store, 'pre-edit', context, {
+        subject: file,
+        summary: file,
+        status: 'deny',
+        data: { file, operation, decision: 'deny', reason: pluginOutcome.reason },
+      });
+      console.log(`  🔌 Blocked by hook plugin: ${pluginOutcome.reason}`);
+      console.error(`pre-edit blocked: ${pluginOutcome.reason}`);
+      process.exitCode = 2;
+      return;
+    }
 
     // Auto-assign agents based on file type
     let assignedAgentType = 'general';
@@ -264,6 +487,7 @@ async function preEditCommand(subArgs, flags) {
     }
 
     const editData = {
+      ...context,
       file,
       operation,
       timestamp: new Date().toISOString(),
@@ -279,6 +503,12 @@ async function preEditCommand(subArgs, flags) {
       namespace: 'hooks:pre-edit',
       metadata: { hookType: 'pre-edit', file, agentType: assignedAgentType },
     });
+    await recordHookEvent(store, 'pre-edit', context, {
+      subject: file,
+      summary: file,
+      data: { file, operation },
+      record: { key: `edit:${editData.editId}:pre`, namespace: 'hooks:pre-edit' },
+    });
 
     // Store agent recommendation if enabled
     if (autoAssignAgents && recommendedAgent) {
@@ -291,101 +521,251 @@ async function preEditCommand(subArgs, flags) {
     console.log(`  💾 Pre-edit state saved to .swarm/memory.db`);
     printSuccess(`✅ Pre-edit hook completed`);
   } catch (err) {
+    if (pluginOutcome?.blocked) {
+      console.error(`pre-edit blocked: ${pluginOutcome.reason}`);
+      process.exitCode = 2;
+      return;
+    }
+    // A read-only session whose flag cannot be checked still blocks the edit
+    if (!readOnlyChecked && hasReadOnlySettings(options['session-id'] || hookInput?.session_id)) {
+      const reason = `Read-only session: ${operation} of ${file} is not allowed`;
+      console.error(`pre-edit blocked: ${reason} (${err.message})`);
+      process.exitCode = 2;
+      return;
+    }
     printError(`Pre-edit hook failed: ${err.message}`);
   }
 }
 
-async function preBashCommand(subArgs, flags) {
+async function preBashCommand(subArgs, flags, pluginOutcome = null) {
   const options = flags;
-  const command = options.command || subArgs.slice(1).join(' ') || '';
-  const workingDir = options.cwd || process.cwd();
-  const validateSafety = options['validate-safety'] === true || options['validate-safety'] === 'true' || options.validate === true || options.validate === 'true' || false;
+  // --stdin: invoked by Claude Code as a PreToolUse hook with the tool call as JSON on stdin
+  const hookInput = options.stdin ? await readHookInput() : null;
+  const command =
+    hookInput?.tool_input?.command || options.command || subArgs.slice(1).join(' ') || '';
+  const workingDir = hookInput?.cwd || options.cwd || process.cwd();
+  const jsonOutput = hookInput !== null || options.json === true || options.json === 'true';
+  const validateSafety = jsonOutput || options['validate-safety'] === true || options['validate-safety'] === 'true' || options.validate === true || options.validate === 'true' || false;
   const prepareResources = options['prepare-resources'] === true || options['prepare-resources'] === 'true' || false;
 
-  console.log(`🔧 Executing pre-bash hook...`);
-  console.log(`📜 Command: ${command}`);
-  console.log(`📁 Working dir: ${workingDir}`);
-  if (validateSafety) console.log(`🔒 Safety validation: ENABLED`);
-  if (prepareResources) console.log(`🛠️  Resource preparation: ENABLED`);
+  // JSON modes keep stdout for the decision alone
+  const log = jsonOutput ? () => {} : console.log;
+
+  log(`🔧 Executing pre-bash hook...`);
+  log(`📜 Command: ${command}`);
+  log(`📁 Working dir: ${workingDir}`);
+  if (validateSafety) log(`🔒 Safety validation: ENABLED`);
+  if (prepareResources) log(`🛠️  Resource preparation: ENABLED`);
+
+  let evaluation = null;
+  let safetyResult = 'skipped';
+
+  if (validateSafety) {
+    try {
+      evaluation = evaluateBashCommand(command, {
+        cwd: workingDir,
+        policy: loadBashPolicy({ policyFile: options.policy }),
+      });
+    } catch (err) {
+      // A broken policy file must not silently allow everything
+      evaluation = {
+        decision: 'ask',
+        reason: `Bash policy could not be loaded: ${err.message}`,
+        explicit: true,
+        policy: options.policy || DEFAULT_POLICY_FILE,
+        commands: [],
+        errors: [err.message],
+      };
+    }
+    safetyResult = SAFETY_BY_DECISION[evaluation.decision];
+  }
+
+  // A blocking plugin handler denies the command whatever the policy decided
+  if (pluginOutcome?.blocked) {
+    evaluation = {
+      decision: 'deny',
+      reason: pluginOutcome.reason,
+      explicit: true,
+      policy: 'plugins',
+      commands: [],
+    };
+    safetyResult = SAFETY_BY_DECISION.deny;
+  }
 
+  const bashId = generateId('bash');
+
+  let readOnlyChecked = false;
   try {
     const store = await getMemoryStore();
-    let safetyResult = 'skipped';
-
-    if (validateSafety) {
-      // Basic safety validation
-      const dangerousCommands = [
-        'rm -rf /',
-        'rm -rf .',
-        'rm -rf *',
-        'format',
-        'fdisk',
-        'mkfs',
-        'curl * | bash',
-        'wget * | sh',
-        'eval',
-        'exec',
-        'chmod 777',
-      ];
-
-      const isDangerous = command && typeof command === 'string' && command.length > 0 
-        ? dangerousCommands.some((dangerous) =>
-            command.toLowerCase().includes(dangerous.toLowerCase()),
-          )
-        : false;
-
-      safetyResult = isDangerous ? 'dangerous' : 'safe';
-
-      if (isDangerous) {
-        console.log(`  ⚠️  Safety check: DANGEROUS COMMAND DETECTED`);
-        console.log(`  🚫 Command blocked for safety`);
-        printError(`Command blocked due to safety validation: ${command}`);
-        return;
+    const context = await resolveHookContext(store, 'pre-bash', flags, {
+      subject: command,
+      hookInput,
+    });
+
+    // Read-only sessions only run commands that leave files alone
+    const readOnly = await findReadOnlySession(store, context.sessionId);
+    readOnlyChecked = true;
+    if (readOnly) {
+      const check = checkReadOnlyCommand(command, { cwd: workingDir });
+      if (check.decision === 'deny') {
+        await recordReadOnlyViolation(store, readOnly.sessionId, {
+          tool: 'Bash',
+          target: command,
+          reason: check.reason,
+          agentId: context.agentId,
+        });
+      }
+      // The stricter decision wins; an explicit allow spares the permission prompt
+      if (check.decision === 'deny' || !evaluation || evaluation.decision === 'allow') {
+        evaluation = check;
+        safetyResult = SAFETY_BY_DECISION[evaluation.decision];
+      }
+    }
+
+    const bashData = {
+      command,
+      workingDir,
+      timestamp: new Date().toISOString(),
+      bashId,
+      safety: safetyResult,
+      validationEnabled: validateSafety,
+      resourcesPrepped: prepareResources,
+      readOnly: !!readOnly,
+      ...(evaluation && {
+        decision: evaluation.decision,
+        reason: evaluation.reason,
+        policy: evaluation.policy,
+        commands: evaluation.commands.map(({ rule, ...entry }) => entry),
+      }),
+    };
+
+    if (evaluation) {
+      for (const entry of evaluation.commands) {
+        if (entry.decision !== 'allow') {
+          log(`  ${entry.decision === 'deny' ? '🚫' : '❓'} ${entry.command}: ${entry.reason}`);
+        }
       }
     }
 
-    if (prepareResources) {
+    if (prepareResources && evaluation?.decision !== 'deny') {
       // Resource preparation - create working directory if needed
       const fs = await import('fs');
-      const path = await import('path');
 
       if (!fs.existsSync(workingDir)) {
         fs.mkdirSync(workingDir, { recursive: true });
-        console.log(`  📁 Created working directory: ${workingDir}`);
+        log(`  📁 Created working directory: ${workingDir}`);
       }
 
       // Check available disk space
       try {
-        const stats = fs.statSync(workingDir);
-        console.log(`  💾 Working directory prepared`);
+        fs.statSync(workingDir);
+        log(`  💾 Working directory prepared`);
       } catch (err) {
-        console.log(`  ⚠️  Warning: Could not check working directory`);
+        log(`  ⚠️  Warning: Could not check working directory`);
       }
     }
 
-    const bashData = {
-      command,
-      workingDir,
-      timestamp: new Date().toISOString(),
-      bashId: generateId('bash'),
-      safety: safetyResult,
-      validationEnabled: validateSafety,
-      resourcesPrepped: prepareResources,
-    };
-
-    await store.store(`bash:${bashData.bashId}:pre`, bashData, {
+    // Every decision is logged, blocked commands included
+    await store.store(`bash:${bashId}:pre`, { ...context, ...bashData }, {
       namespace: 'hooks:pre-bash',
-      metadata: { hookType: 'pre-bash', command, safety: safetyResult },
+      metadata: {
+        hookType: 'pre-bash',
+        command,
+        safety: safetyResult,
+        decision: evaluation?.decision,
+      },
     });
-
-    console.log(`  💾 Command logged to .swarm/memory.db`);
-    console.log(`  🔒 Safety check: ${safetyResult.toUpperCase()}`);
-    printSuccess(`✅ Pre-bash hook completed`);
+    await recordHookEvent(store, 'pre-bash', context, {
+      subject: command,
+      summary: command,
+      status: evaluation?.decision,
+      data: { command, workingDir, decision: evaluation?.decision || null },
+      record: { key: `bash:${bashId}:pre`, namespace: 'hooks:pre-bash' },
+    });
+    log(`  💾 Command logged to .swarm/memory.db`);
   } catch (err) {
-    printError(`Pre-bash hook failed: ${err.message}`);
+    // A read-only session whose flag cannot be checked denies every command
+    if (!readOnlyChecked && hasReadOnlySettings(options['session-id'] || hookInput?.session_id)) {
+      evaluation = {
+        decision: 'deny',
+        reason: `Read-only session: the command could not be checked (${err.message})`,
+        explicit: true,
+        policy: 'read-only',
+        commands: [],
+      };
+      safetyResult = SAFETY_BY_DECISION.deny;
+    } else if (!jsonOutput) {
+      printError(`Pre-bash hook failed: ${err.message}`);
+      return;
+    }
+    console.error(`Pre-bash hook could not log the decision: ${err.message}`);
+  }
+
+  if (hookInput) {
+    console.log(JSON.stringify(toPreToolUseOutput(evaluation)));
+    return;
+  }
+  // Without a JSON decision to carry it, a plugin block exits with code 2
+  if (pluginOutcome?.blocked) process.exitCode = 2;
+  if (jsonOutput) {
+    console.log(JSON.stringify({ bashId, command, ...evaluation }, null, 2));
+    return;
+  }
+
+  if (evaluation?.policy === 'plugins') {
+    console.log(`  🔌 Command blocked by hook plugin`);
+    printError(evaluation.reason);
+    return;
+  }
+  if (evaluation?.decision === 'deny' && evaluation.policy === 'read-only') {
+    console.log(`  🔒 Command blocked: read-only session`);
+    printError(evaluation.reason);
+    return;
+  }
+  if (evaluation?.decision === 'deny') {
+    console.log(`  ⚠️  Safety check: DANGEROUS COMMAND DETECTED`);
+    console.log(`  🚫 Command blocked for safety`);
+    printError(`Command blocked due to safety validation: ${evaluation.reason}`);
+    return;
+  }
+
+  console.log(`  🔒 Safety check: ${safetyResult.toUpperCase()}`);
+  printSuccess(`✅ Pre-bash hook completed`);
+}
+
+class HookInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HookInputError';
   }
 }
 
+let hookInputRead = null;
+
+/**
+ * Read the JSON a Claude Code hook receives on stdin. stdin can only be
+ * read once, so the result is shared by everything that asks for it.
+ * Malformed input rejects with a HookInputError.
+ */
+function readHookInput() {
+  hookInputRead ||= (async () => {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8').trim();
+    if (!text) return {};
+    try {
+      const input = JSON.parse(text);
+      if (input && typeof input === 'object' && !Array.isArray(input)) return input;
+      throw new Error('expected a JSON object');
+    } catch (err) {
+      throw new HookInputError(`Hook input on stdin is not valid: ${err.message}`);
+    }
+  })();
+  return hookInputRead;
+}
+
 // ===== POST-OPERATION HOOKS =====
 
 async function postTaskCommand(subArgs, flags) {
@@ -401,9 +781,16 @@ async function postTaskCommand(subArgs, flags) {
     const taskData = await store.retrieve(`task:${taskId}`, {
       namespace: 'hooks:pre-task',
     });
+    const context = await resolveHookContext(
+      store,
+      'post-task',
+      { ...flags, 'task-id': taskId },
+      { subject: taskId },
+    );
 
     const completedData = {
       ...(taskData || {}),
+      ...context,
       status: 'completed',
       completedAt: new Date().toISOString(),
       duration: taskData ? Date.now() - new Date(taskData.startedAt).getTime() : null,
@@ -413,6 +800,17 @@ async function postTaskCommand(subArgs, flags) {
       namespace: 'hooks:post-task',
       metadata: { hookType: 'post-task' },
     });
+    await recordHookEvent(store, 'post-task', context, {
+      subject: taskId,
+      summary: taskData?.description,
+      status: 'completed',
+      durationMs: completedData.duration,
+      record: { key: `task:${taskId}:completed`, namespace: 'hooks:post-task' },
+    });
+
+    queueMetric('tasks.completed', 1, { agent: context.agentId });
+    if (completedData.duration) queueMetric('tasks.duration_ms', completedData.duration);
+    await completeQueuedTask(taskId);
 
     if (analyzePerformance && completedData.duration) {
       const metrics = {
@@ -435,6 +833,22 @@ async function postTaskCommand(subArgs, flags) {
   }
 }
 
+// A task an agent claimed from the queue is finished there too, so it is not leased out again
+async function completeQueuedTask(taskId) {
+  const queue = new TaskQueue();
+  try {
+    const task = await queue.get(taskId);
+    if (task?.status === 'running') {
+      await queue.complete(taskId);
+      console.log(`  📋 Task queue updated: ${taskId} completed`);
+    }
+  } catch (err) {
+    console.log(`  ⚠️  Could not update task queue: ${err.message}`);
+  } finally {
+    queue.close();
+  }
+}
+
 async function postEditCommand(subArgs, flags) {
   const options = flags;
   const file = options.file || 'unknown-file';
@@ -463,42 +877,48 @@ async function postEditCommand(subArgs, flags) {
     const store = await getMemoryStore();
     const path = await import('path');
     const fs = await import('fs');
+    const context = await resolveHookContext(store, 'post-edit', flags, { subject: file });
 
-    // Auto-format file if requested
+    // Auto-format and lint the file if requested
     let formatResult = null;
     if (format && fs.existsSync(file)) {
-      const ext = path.extname(file).toLowerCase();
-      const formatters = {
-        '.js': 'prettier',
-        '.ts': 'prettier',
-        '.json': 'prettier',
-        '.css': 'prettier',
-        '.html': 'prettier',
-        '.py': 'black',
-        '.go': 'gofmt',
-        '.rs': 'rustfmt',
-        '.java': 'google-java-format',
-        '.cpp': 'clang-format',
-        '.c': 'clang-format',
-      };
-
-      const formatter = formatters[ext];
-      if (formatter) {
-        console.log(`  🎨 Auto-formatting with ${formatter}...`);
-        formatResult = {
-          formatter,
-          extension: ext,
-          attempted: true,
-          timestamp: new Date().toISOString(),
-        };
-      } else {
-        console.log(`  ⚠️  No formatter available for ${ext}`);
+      try {
+        formatResult = formatEditedFile(file);
+      } catch (err) {
         formatResult = {
-          extension: ext,
+          extension: path.extname(file).toLowerCase(),
           attempted: false,
-          reason: 'No formatter available',
+          status: 'failed',
+          error: err.message,
+          timestamp: new Date().toISOString(),
         };
       }
+
+      switch (formatResult.status) {
+        case 'formatted':
+          console.log(`  🎨 Formatted with ${formatResult.formatter}`);
+          break;
+        case 'unchanged':
+          console.log(`  🎨 ${formatResult.formatter}: already formatted`);
+          break;
+        case 'failed':
+          console.log(`  ⚠️  Formatting failed, file left untouched: ${formatResult.error}`);
+          break;
+        case 'disabled':
+          console.log(`  ⚠️  Formatting disabled for ${formatResult.extension} in settings`);
+          break;
+        default:
+          console.log(`  ⚠️  No formatter available for ${formatResult.extension}`);
+      }
+
+      if (formatResult.lint) {
+        const { linter, status, errorCount, warningCount } = formatResult.lint;
+        console.log(
+          status === 'ok'
+            ? `  🔍 ${linter}: ${errorCount} error(s), ${warningCount} warning(s)`
+            : `  ⚠️  ${linter} could not lint the file: ${formatResult.lint.error}`,
+        );
+      }
     }
 
     // Update memory with edit context
@@ -508,7 +928,7 @@ async function postEditCommand(subArgs, flags) {
         file,
         editedAt: new Date().toISOString(),
         editId: generateId('edit'),
-        formatted: formatResult?.attempted || false,
+        formatted: formatResult?.changed || false,
         fileSize: fs.existsSync(file) ? fs.statSync(file).size : 0,
         directory: path.dirname(file),
         basename: path.basename(file),
@@ -558,6 +978,7 @@ async function postEditCommand(subArgs, flags) {
     }
 
     const editData = {
+      ...context,
       file,
       memoryKey,
       timestamp: new Date().toISOString(),
@@ -572,7 +993,14 @@ async function postEditCommand(subArgs, flags) {
 
     await store.store(`edit:${editData.editId}:post`, editData, {
       namespace: 'hooks:post-edit',
-      metadata: { hookType: 'post-edit', file, formatted: formatResult?.attempted || false },
+      metadata: { hookType: 'post-edit', file, formatted: formatResult?.changed || false },
+    });
+    await recordHookEvent(store, 'post-edit', context, {
+      subject: file,
+      summary: file,
+      status: formatResult?.status,
+      data: { file, lintErrors: formatResult?.lint?.errorCount },
+      record: { key: `edit:${editData.editId}:post`, namespace: 'hooks:post-edit' },
     });
 
     if (memoryKey && typeof memoryKey === 'string') {
@@ -633,6 +1061,7 @@ async function postBashCommand(subArgs, flags) {
   try {
     const store = await getMemoryStore();
     const startTime = Date.now();
+    const context = await resolveHookContext(store, 'post-bash', flags, { subject: command });
 
     // Calculate performance metrics if enabled
     let metrics = null;
@@ -657,6 +1086,7 @@ async function postBashCommand(subArgs, flags) {
     }
 
     const bashData = {
+      ...context,
       command,
       exitCode,
       output: storeResults ? output.substring(0, 5000) : output.substring(0, 1000), // Store more if requested
@@ -671,6 +1101,16 @@ async function postBashCommand(subArgs, flags) {
       namespace: 'hooks:post-bash',
       metadata: { hookType: 'post-bash', command, exitCode, success: parseInt(exitCode) === 0 },
     });
+    await recordHookEvent(store, 'post-bash', context, {
+      subject: command,
+      summary: command,
+      exitCode: parseInt(exitCode),
+      durationMs: parseInt(duration) || null,
+      data: { command, workingDir: process.cwd() },
+      record: { key: `bash:${bashData.bashId}:post`, namespace: 'hooks:post-bash' },
+    });
+    queueMetric('commands.runs', 1, { status: parseInt(exitCode) === 0 ? 'ok' : 'failed' });
+    if (parseInt(duration)) queueMetric('commands.duration_ms', parseInt(duration));
 
     // Store detailed results if enabled
     if (storeResults) {
@@ -748,7 +1188,9 @@ async function postSearchCommand(subArgs, flags) {
 
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'post-search', flags);
     const searchData = {
+      ...context,
       query,
       resultCount: parseInt(resultCount),
       searchType,
@@ -760,6 +1202,10 @@ async function postSearchCommand(subArgs, flags) {
       namespace: 'hooks:post-search',
       metadata: { hookType: 'post-search', query },
     });
+    await recordHookEvent(store, 'post-search', context, {
+      summary: `${query} (${searchData.resultCount} results)`,
+      record: { key: `search:${searchData.searchId}`, namespace: 'hooks:post-search' },
+    });
 
     // Cache search for future use
     await store.store(
@@ -791,7 +1237,9 @@ async function mcpInitializedCommand(subArgs, flags) {
 
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'mcp-initialized', flags);
     const mcpData = {
+      ...context,
       serverName,
       sessionId,
       initializedAt: new Date().toISOString(),
@@ -802,6 +1250,10 @@ async function mcpInitializedCommand(subArgs, flags) {
       namespace: 'hooks:mcp-initialized',
       metadata: { hookType: 'mcp-initialized', server: serverName },
     });
+    await recordHookEvent(store, 'mcp-initialized', context, {
+      summary: serverName,
+      record: { key: `mcp:${sessionId}`, namespace: 'hooks:mcp-initialized' },
+    });
 
     console.log(`  💾 MCP session saved to .swarm/memory.db`);
     printSuccess(`✅ MCP initialized hook completed`);
@@ -822,7 +1274,9 @@ async function agentSpawnedCommand(subArgs, flags) {
 
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'agent-spawned', flags);
     const agentData = {
+      ...context,
       agentName,
       agentType,
       swarmId,
@@ -834,6 +1288,10 @@ async function agentSpawnedCommand(subArgs, flags) {
       namespace: 'hooks:agent-spawned',
       metadata: { hookType: 'agent-spawned', type: agentType },
     });
+    await recordHookEvent(store, 'agent-spawned', context, {
+      summary: `${agentName} (${agentType})`,
+      record: { key: `agent:${agentName}`, namespace: 'hooks:agent-spawned' },
+    });
 
     // Update agent roster
     await store.store(
@@ -865,7 +1323,9 @@ async function taskOrchestratedCommand(subArgs, flags) {
 
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'task-orchestrated', flags);
     const orchestrationData = {
+      ...context,
       taskId,
       strategy,
       priority,
@@ -877,6 +1337,10 @@ async function taskOrchestratedCommand(subArgs, flags) {
       namespace: 'hooks:task-orchestrated',
       metadata: { hookType: 'task-orchestrated', strategy },
     });
+    await recordHookEvent(store, 'task-orchestrated', context, {
+      summary: `${taskId} (${strategy}, ${priority} priority)`,
+      record: { key: `orchestration:${taskId}`, namespace: 'hooks:task-orchestrated' },
+    });
 
     console.log(`  💾 Orchestration saved to .swarm/memory.db`);
     printSuccess(`✅ Task orchestrated hook completed`);
@@ -897,18 +1361,40 @@ async function neuralTrainedCommand(subArgs, flags) {
 
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'neural-trained', flags);
     const trainingData = {
+      ...context,
       modelName,
       accuracy: parseFloat(accuracy),
       patternsLearned: parseInt(patterns),
       trainedAt: new Date().toISOString(),
     };
 
-    await store.store(`neural:${modelName}:${Date.now()}`, trainingData, {
+    const trainingKey = `neural:${modelName}:${Date.now()}`;
+    await store.store(trainingKey, trainingData, {
       namespace: 'hooks:neural-trained',
       metadata: { hookType: 'neural-trained', model: modelName },
     });
 
+    // The latest run of each model, as listed by the claude-flow://models MCP resource
+    await store.store(
+      `model:${modelName}`,
+      {
+        modelId: modelName,
+        pattern_type: options['pattern-type'] || 'general',
+        accuracy: trainingData.accuracy / 100,
+        patternsLearned: trainingData.patternsLearned,
+        status: 'completed',
+        timestamp: trainingData.trainedAt,
+        sessionId: context.sessionId,
+      },
+      { namespace: 'models', metadata: { type: 'model', hookType: 'neural-trained' } },
+    );
+    await recordHookEvent(store, 'neural-trained', context, {
+      summary: `${modelName} (${accuracy}% accuracy)`,
+      record: { key: trainingKey, namespace: 'hooks:neural-trained' },
+    });
+
     console.log(`  💾 Training results saved to .swarm/memory.db`);
     printSuccess(`✅ Neural trained hook completed`);
   } catch (err) {
@@ -930,11 +1416,22 @@ async function sessionEndCommand(subArgs, flags) {
   if (exportMetrics) console.log(`📈 Metrics export: ENABLED`);
 
   try {
+    // Claude Code passes transcript_path on stdin; --transcript names one directly
+    const hookInput = options.stdin ? await readHookInput() : {};
+    const transcript = options.transcript || hookInput.transcript_path;
+    if (transcript) {
+      const recorded = await recordTranscriptUsage(transcript);
+      console.log(`  🪙 Token usage: ${recorded} new data points from ${transcript}`);
+    }
+
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'session-end', flags);
     const tasks = await store.list({ namespace: 'task-index', limit: 1000 });
     const edits = await store.list({ namespace: 'file-history', limit: 1000 });
     const commands = await store.list({ namespace: 'command-history', limit: 1000 });
     const agents = await store.list({ namespace: 'agent-roster', limit: 1000 });
+    const readOnly = await findReadOnlySession(store, context.sessionId);
+    const violations = readOnly ? await listReadOnlyViolations(store, readOnly.sessionId) : [];
 
     // Calculate session metrics
     let metrics = null;
@@ -970,7 +1467,8 @@ async function sessionEndCommand(subArgs, flags) {
       totalEdits: edits.length,
       totalCommands: commands.length,
       uniqueAgents: agents.length,
-      sessionId: generateId('session'),
+      sessionId: context.sessionId,
+      readOnly: readOnly ? { sessionId: readOnly.sessionId, violations } : null,
       generateSummary,
       persistState,
       exportMetrics,
@@ -981,6 +1479,12 @@ async function sessionEndCommand(subArgs, flags) {
       namespace: 'sessions',
       metadata: { hookType: 'session-end' },
     });
+    await recordHookEvent(store, 'session-end', context, {
+      summary: `${sessionData.totalTasks} tasks, ${sessionData.totalEdits} edits, ${sessionData.totalCommands} commands`,
+      record: { key: `session:${sessionData.sessionId}`, namespace: 'sessions' },
+    });
+    // Hooks after this point start a new session
+    await setCurrentSession(store, null);
 
     // Persist detailed state if requested
     if (persistState) {
@@ -1025,6 +1529,13 @@ async function sessionEndCommand(subArgs, flags) {
         console.log(`  🏃 Tasks/min: ${metrics.avgTasksPerMinute}`);
         console.log(`  ✏️  Edits/min: ${metrics.avgEditsPerMinute}`);
       }
+
+      if (readOnly) {
+        console.log(`  🔒 Read-only violations: ${violations.length}`);
+        for (const violation of violations) {
+          console.log(`     ${violation.tool}: ${violation.target} (${violation.reason})`);
+        }
+      }
     }
 
     console.log(`  💾 Session saved to .swarm/memory.db`);
@@ -1066,6 +1577,14 @@ async function sessionRestoreCommand(subArgs, flags) {
       console.log(`  ✏️  Edits: ${sessionData.totalEdits || 0}`);
       console.log(`  ⏰ Ended: ${sessionData.endedAt || 'unknown'}`);
 
+      // Later hooks continue the restored session's journal
+      const restoredId = sessionData.sessionId || sessionId;
+      const context = await resolveHookContext(store, 'session-restore', {
+        ...flags,
+        'session-id': restoredId,
+      });
+      await recordHookEvent(store, 'session-restore', context, { summary: restoredId });
+
       // Store restoration event
       await store.store(
         `session-restore:${Date.now()}`,
@@ -1098,7 +1617,9 @@ async function notifyCommand(subArgs, flags) {
 
   try {
     const store = await getMemoryStore();
+    const context = await resolveHookContext(store, 'notify', flags);
     const notificationData = {
+      ...context,
       message,
       level,
       swarmStatus,
@@ -1110,6 +1631,11 @@ async function notifyCommand(subArgs, flags) {
       namespace: 'hooks:notify',
       metadata: { hookType: 'notify', level },
     });
+    await recordHookEvent(store, 'notify', context, {
+      summary: message,
+      status: level,
+      record: { key: `notification:${notificationData.notifyId}`, namespace: 'hooks:notify' },
+    });
 
     // Display notification
     const icon = level === 'error' ? '❌' : level === 'warning' ? '⚠️' : '✅';
@@ -1124,6 +1650,212 @@ async function notifyCommand(subArgs, flags) {
   }
 }
 
+// ===== PLUGIN HOOKS =====
+
+/**
+ * Run the project's plugin handlers for a hook event (see hooks/plugins.js).
+ * Returns null when no handler subscribes to the event, else the outcome of
+ * runHookPlugins. A blocking handler sets exit code 2, which Claude Code
+ * treats as "blocked", and explains why on stderr; with reportBlock: false
+ * the caller turns the block into its own decision instead.
+ */
+async function runPluginHooks(
+  event,
+  subArgs,
+  flags,
+  { custom = false, checkCircuit = true, reportBlock = true } = {},
+) {
+  const jsonOutput = flags.stdin || flags.json === true || flags.json === 'true';
+  // JSON modes keep stdout for the hook's own answer
+  const log = jsonOutput ? console.error : console.log;
+
+  const { plugins, errors } = await loadHookPlugins();
+  for (const { file, error } of errors) {
+    log(`  ⚠️  Hook plugin ${file} failed to load: ${error}`);
+  }
+  if (pluginsFor(plugins, event).length === 0) return null;
+
+  if (HookContextManager.getContext().skipHooks) {
+    log(`⏭️  Skipping ${event} plugin hooks (hooks disabled)`);
+    return { event: normalizeEvent(event), blocked: false, skipped: true, reason: null, results: [] };
+  }
+
+  const hookInput = flags.stdin ? await readHookInput() : null;
+  const store = await getMemoryStore();
+  const context = await resolveHookContext(store, normalizeEvent(event), flags, { hookInput });
+  if (custom) log(`🔌 Executing ${event} hook...`);
+
+  const outcome = await runHookPlugins(plugins, event, {
+    args: subArgs.slice(1),
+    flags,
+    input: hookInput,
+    cwd: hookInput?.cwd || process.cwd(),
+    store,
+    context,
+    log,
+    checkCircuit,
+  });
+
+  const icons = { ok: '✅', blocked: '🚫', failed: '❌', timeout: '⏱️ ', skipped: '⏭️ ' };
+  for (const result of outcome.results) {
+    const detail = result.error || result.reason || result.result?.message;
+    log(
+      `  ${icons[result.status]} ${result.plugin}: ${result.status} (${result.durationMs}ms)${detail ? ` - ${detail}` : ''}`,
+    );
+  }
+
+  const key = `plugins:${context.eventId}`;
+  await store.store(
+    key,
+    { ...context, ...outcome, timestamp: new Date().toISOString() },
+    {
+      namespace: 'hooks:plugins',
+      metadata: { hookType: outcome.event, blocked: outcome.blocked },
+    },
+  );
+  if (custom) {
+    await recordHookEvent(store, outcome.event, context, {
+      summary: subArgs.slice(1).join(' ') || null,
+      status: outcome.blocked ? 'blocked' : outcome.skipped ? 'skipped' : 'ok',
+      record: { key, namespace: 'hooks:plugins' },
+    });
+  }
+
+  if (outcome.blocked) {
+    if (reportBlock) {
+      console.error(`${event} blocked: ${outcome.reason}`);
+      process.exitCode = 2;
+    }
+  } else if (outcome.skipped) {
+    console.error(`⏭️  Skipping ${event} hooks\n${outcome.reason}`);
+  } else if (custom) {
+    printSuccess(`✅ ${event} hook completed`);
+  }
+  return outcome;
+}
+
+async function pluginsCommand(subArgs, flags) {
+  const { dir, plugins, errors } = await loadHookPlugins();
+
+  if (flags.json === true || flags.json === 'true') {
+    console.log(
+      JSON.stringify(
+        { dir, plugins: plugins.map(({ handler, ...plugin }) => plugin), errors },
+        null,
+        2,
+      ),
+    );
+    return;
+  }
+
+  if (plugins.length === 0 && errors.length === 0) {
+    printWarning(`No hook plugins found in ${PLUGIN_DIR}`);
+    return;
+  }
+
+  console.log(`🔌 Hook plugins in ${dir}:\n`);
+  for (const plugin of [...plugins].sort((a, b) => a.order - b.order)) {
+    console.log(`  ${plugin.name} (${plugin.file})`);
+    console.log(`    events: ${plugin.events.join(', ')}`);
+    console.log(
+      `    order: ${plugin.order}, timeout: ${plugin.timeout}ms${plugin.failClosed ? ', fail-closed' : ''}`,
+    );
+  }
+  for (const { file, error } of errors) {
+    printError(`${file}: ${error}`);
+  }
+}
+
+// ===== JOURNAL =====
+
+/**
+ * Session to show: --session <id>, else the current session, else the one
+ * with the most recent events. Only --task scopes across sessions.
+ */
+async function journalSession(store, options) {
+  const requested = options.session || options['session-id'];
+  if (typeof requested === 'string' && requested !== 'latest') return requested;
+  if (!requested && (options.task || options['task-id'])) return null;
+  return (await getCurrentSession(store)) || (await latestSession(store));
+}
+
+async function timelineCommand(subArgs, flags) {
+  const options = flags;
+  const taskId = options.task || options['task-id'] || null;
+  const jsonOutput = options.json === true || options.json === 'true';
+
+  try {
+    const store = await getMemoryStore();
+    const sessionId = await journalSession(store, options);
+    const events = await listHookEvents(store, { sessionId, taskId });
+    const entries = buildTimeline(events);
+
+    if (jsonOutput) {
+      console.log(JSON.stringify({ sessionId, taskId, entries }, null, 2));
+      return;
+    }
+
+    if (entries.length === 0) {
+      printWarning('No hook events recorded for this session');
+      return;
+    }
+
+    const span = events[events.length - 1].time - events[0].time;
+    const scope = [sessionId && `session ${sessionId}`, taskId && `task ${taskId}`].filter(Boolean);
+    console.log(`📜 Hook timeline: ${scope.join(', ')}`);
+    console.log(`   ${events.length} events over ${formatDuration(span)}\n`);
+    for (const line of formatTimeline(entries)) {
+      console.log(`  ${line}`);
+    }
+  } catch (err) {
+    printError(`Timeline failed: ${err.message}`);
+  }
+}
+
+async function replayCommand(subArgs, flags) {
+  const options = flags;
+  const taskId = options.task || options['task-id'] || null;
+  const jsonOutput = options.json === true || options.json === 'true';
+
+  try {
+    const store = await getMemoryStore();
+    const sessionId = await journalSession(store, options);
+    const events = await listHookEvents(store, { sessionId, taskId });
+    const policy = loadBashPolicy({ policyFile: options.policy });
+    const results = replayBashCommands(events, { policy });
+
+    if (jsonOutput) {
+      console.log(JSON.stringify({ sessionId, taskId, policy: policy.source, results }, null, 2));
+      return;
+    }
+
+    if (results.length === 0) {
+      printWarning('No recorded commands to replay');
+      return;
+    }
+
+    console.log(`🔁 Replaying ${results.length} recorded command(s) against ${policy.source}`);
+    console.log(`   Dry run: commands are evaluated, never executed\n`);
+
+    const icons = { allow: '✅', ask: '❓', deny: '🚫' };
+    for (const result of results) {
+      const was = result.changed ? ` (was ${result.recorded})` : '';
+      console.log(`  ${icons[result.decision]} ${result.decision.padEnd(5)} ${result.command}${was}`);
+      if (result.decision !== 'allow' || result.changed) {
+        console.log(`           ${result.reason}`);
+      }
+    }
+
+    const count = (decision) => results.filter((r) => r.decision === decision).length;
+    const changed = results.filter((r) => r.changed).length;
+    console.log(
+      `\n  ${count('allow')} allowed, ${count('ask')} need approval, ${count('deny')} denied; ${changed} changed since recorded`,
+    );
+  } catch (err) {
+    printError(`Replay failed: ${err.message}`);
+  }
+}
+
 function showHooksHelp() {
   console.log('Claude Flow Hooks (with .swarm/memory.db persistence):\n');
 
@@ -1132,15 +1864,19 @@ function showHooksHelp() {
   console.log('  pre-edit        Validate before file modifications');
   console.log('                  --auto-assign-agents  Auto-assign agents based on file type');
   console.log('                  --load-context        Load file context');
+  console.log('                  --stdin               Read the file from the PreToolUse payload on stdin');
   console.log('  pre-bash        Check command safety (alias: pre-command)');
   console.log('  pre-command     Same as pre-bash');
-  console.log('                  --validate-safety     Enable safety validation');
+  console.log('                  --validate-safety     Check the command against the bash policy');
+  console.log('                  --policy <file>       Policy file (default: .claude-flow/bash-policy.json)');
+  console.log('                  --stdin               Read the PreToolUse payload from stdin, reply in JSON');
+  console.log('                  --json                Print the policy decision as JSON');
   console.log('                  --prepare-resources   Prepare execution resources');
 
   console.log('\nPost-Operation Hooks:');
   console.log('  post-task       Execute after completing a task');
   console.log('  post-edit       Auto-format and log edits');
-  console.log('                  --format              Auto-format code');
+  console.log('                  --format              Run the project formatter and linter on the file');
   console.log('                  --update-memory       Update agent memory');
   console.log('                  --train-neural        Train neural patterns');
   console.log('  post-bash       Log command execution (alias: post-command)');
@@ -1154,15 +1890,51 @@ function showHooksHelp() {
   console.log('  agent-spawned      Update agent roster');
   console.log('  task-orchestrated  Monitor task progress');
   console.log('  neural-trained     Save pattern improvements');
+  console.log('    --model <name>  --accuracy <pct>  --patterns <n>  --pattern-type <type>');
 
   console.log('\nSession Hooks:');
   console.log('  session-end        Generate summary and save state');
   console.log('                     --generate-summary    Generate session summary');
   console.log('                     --persist-state       Persist session state');
   console.log('                     --export-metrics      Export performance metrics');
+  console.log('                     --transcript <file>   Record token usage from a transcript');
+  console.log('                     --stdin               Read transcript_path from the Stop payload');
   console.log('  session-restore    Load previous session state');
   console.log('  notify             Custom notifications');
 
+  console.log('\nJournal:');
+  console.log('  timeline           Show the ordered hook events of a session');
+  console.log('                     --session <id>        Session (default: current or latest)');
+  console.log('                     --task <id>           Only events of one task');
+  console.log('                     --json                Print the timeline as JSON');
+  console.log('  replay             Re-check recorded commands against the bash policy (dry run)');
+  console.log('                     --session, --task     Same scoping as timeline');
+  console.log('                     --policy <file>       Policy file to check against');
+  console.log('                     --json                Print the results as JSON');
+
+  console.log('\nCustom Hooks:');
+  console.log('  <event>            Run plugin handlers subscribed to a custom event');
+  console.log('  plugins            List handlers found in .claude-flow/hooks/');
+  console.log('  Handlers subscribed to built-in hooks run after the built-in hook, except');
+  console.log('  for pre-edit and pre-bash, where they run first and a block denies the tool');
+  console.log('  call; otherwise a handler that blocks exits with code 2');
+
+  console.log('\nRead-only Sessions:');
+  console.log('  swarm --read-only flags its session. pre-edit then blocks every edit and');
+  console.log('  pre-bash every command that could change files; each attempt is recorded');
+  console.log('  and listed in the session-end summary.');
+
+  console.log('\nCorrelation (all hooks):');
+  console.log('  --session-id, --task-id, --agent-id, --parent-id');
+  console.log('  Defaults: CLAUDE_FLOW_SESSION_ID, CLAUDE_FLOW_TASK_ID, CLAUDE_FLOW_AGENT_ID,');
+  console.log('  then the current session and its active task');
+
+  console.log('\nCircuit Breaker (all hooks):');
+  console.log('  Every run counts against limits shared by all hook processes');
+  console.log('  (.swarm/hook-circuit.json); an open breaker skips the hook with exit 0.');
+  console.log('  pre-bash and pre-edit deny the tool call instead of skipping.');
+  console.log('  See: claude-flow hook-safety status | reset');
+
   console.log('\nExamples:');
   console.log('  hooks pre-command --command "npm test" --validate-safety true');
   console.log('  hooks pre-edit --file "src/app.js" --auto-assign-agents true');
@@ -1171,6 +1943,9 @@ function showHooksHelp() {
   console.log('  hooks session-end --generate-summary true --export-metrics true');
   console.log('  hooks agent-spawned --name "CodeReviewer" --type "reviewer"');
   console.log('  hooks notify --message "Build completed" --level "success"');
+  console.log('  hooks timeline --task task-123');
+  console.log('  hooks replay --policy .claude-flow/bash-policy.json');
+  console.log('  hooks pre-commit --files "src/config.js"');
 
   console.log('\nCompatibility:');
   console.log('  • pre-command and pre-bash are aliases');
@@ -0,0 +1,1043 @@
+/**
+ * Command policy engine for the pre-bash hook
+ *
+ * Every simple command found by the shell parser is checked against an
+ * ordered rule list; the first rule that matches decides that command and
+ * the strictest decision (deny > ask > allow) decides the whole line.
+ * Project rules come from .claude-flow/bash-policy.json and are checked
+ * before the built-in rules below.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseShellCommand } from './shell-parser.js';
+
+export const DEFAULT_POLICY_FILE = path.join('.claude-flow', 'bash-policy.json');
+
+const DECISIONS = ['allow', 'ask', 'deny'];
+
+const RECURSIVE = ['-r', '-R', '--recursive'];
+
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish'];
+const INTERPRETERS = [...SHELLS, 'python*', 'node', 'perl', 'ruby', 'php'];
+
+// Flags that hand an interpreter its code as an argument. Shell -c strings
+// are parsed as commands instead.
+const INLINE_CODE_FLAGS = {
+  'python*': ['-c'],
+  node: ['-e', '-p', '--eval', '--print'],
+  perl: ['-e', '-E'],
+  ruby: ['-e'],
+  php: ['-r'],
+};
+
+// Operating system directories no project command should write to or move
+const SYSTEM_PATHS = [
+  '/',
+  '/bin/**',
+  '/boot/**',
+  '/etc/**',
+  '/lib/**',
+  '/lib64/**',
+  '/proc/**',
+  '/sbin/**',
+  '/sys/**',
+  '/usr/**',
+  '/System/**',
+];
+
+/**
+ * Built-in rules. Paths in `paths` may use ${PROJECT} and ${HOME}.
+ */
+export const DEFAULT_RULES = [
+  {
+    decision: 'deny',
+    command: 'rm',
+    anyArgs: RECURSIVE,
+    outsideProject: true,
+    reason: 'Recursive delete outside the project',
+  },
+  {
+    decision: 'deny',
+    command: 'rm',
+    anyArgs: RECURSIVE,
+    paths: ['${PROJECT}'],
+    reason: 'Recursive delete of the whole project',
+  },
+  {
+    decision: 'ask',
+    command: 'rm',
+    anyArgs: RECURSIVE,
+    unresolvedPaths: true,
+    reason: 'Recursive delete of a path that depends on a variable',
+  },
+  {
+    decision: 'deny',
+    command: 'find',
+    anyArgs: ['-delete', '-exec', '-execdir'],
+    outsideProject: true,
+    reason: 'find that deletes or executes outside the project',
+  },
+  {
+    decision: 'ask',
+    command: 'find',
+    anyArgs: ['-delete'],
+    reason: 'find -delete removes every match',
+  },
+  {
+    decision: 'deny',
+    command: [...INTERPRETERS, 'source', '.'],
+    pipedFrom: ['curl', 'wget'],
+    reason: 'Piping a download straight into an interpreter',
+  },
+  {
+    decision: 'deny',
+    recursive: true,
+    reason: 'Function that calls itself, as in a fork bomb',
+  },
+  {
+    decision: 'deny',
+    command: [
+      'mkfs*',
+      'fdisk',
+      'sfdisk',
+      'parted',
+      'wipefs',
+      'shutdown',
+      'reboot',
+      'halt',
+      'poweroff',
+    ],
+    reason: 'Disk or system administration command',
+  },
+  {
+    decision: 'deny',
+    command: 'dd',
+    anyArgs: ['of=/dev/*'],
+    reason: 'dd writing to a device',
+  },
+  {
+    decision: 'deny',
+    redirects: ['/dev/sd*', '/dev/nvme*', '/dev/disk*', '/dev/hd*'],
+    reason: 'Redirecting output onto a disk device',
+  },
+  {
+    decision: 'deny',
+    redirects: SYSTEM_PATHS,
+    reason: 'Redirecting output into a system directory',
+  },
+  {
+    decision: 'deny',
+    command: ['mv', 'cp'],
+    paths: SYSTEM_PATHS,
+    reason: 'Moving or copying system files',
+  },
+  {
+    decision: 'deny',
+    command: ['ln', 'install'],
+    target: SYSTEM_PATHS,
+    reason: 'Linking or installing into a system directory',
+  },
+  {
+    decision: 'deny',
+    command: ['rm', 'rmdir', 'unlink', 'truncate', 'tee', 'touch', 'shred', 'dd'],
+    paths: SYSTEM_PATHS,
+    reason: 'Writing or deleting system files',
+  },
+  {
+    decision: 'deny',
+    command: ['chmod', 'chown'],
+    anyArgs: RECURSIVE,
+    outsideProject: true,
+    reason: 'Recursive permission change outside the project',
+  },
+  {
+    decision: 'ask',
+    command: 'chmod',
+    anyArgs: ['777', 'a+rwx', 'o+w'],
+    reason: 'Making files world-writable',
+  },
+  {
+    decision: 'ask',
+    redirectsOutsideProject: true,
+    reason: 'Redirecting output to a file outside the project',
+  },
+  {
+    decision: 'ask',
+    command: 'git',
+    args: ['push'],
+    anyArgs: ['--force', '-f', '--force-with-lease', '+*'],
+    reason: 'Force push rewrites remote history',
+  },
+  {
+    decision: 'ask',
+    command: 'git',
+    args: ['reset'],
+    anyArgs: ['--hard'],
+    reason: 'git reset --hard discards local changes',
+  },
+  {
+    decision: 'ask',
+    command: 'git',
+    args: ['clean'],
+    anyArgs: ['-f', '--force'],
+    reason: 'git clean deletes untracked files',
+  },
+  {
+    decision: 'ask',
+    via: ['sudo', 'doas'],
+    reason: 'Runs with elevated privileges',
+  },
+  {
+    decision: 'ask',
+    inlineCode: true,
+    reason: 'Interpreter code given on the command line cannot be checked',
+  },
+  {
+    decision: 'ask',
+    dynamic: true,
+    reason: 'The command to run is only known at run time',
+  },
+];
+
+// git subcommands that change the repository, its refs or the working
+// tree, or that write files or run other programs
+const GIT_MUTATIONS = [
+  'add',
+  'am',
+  'apply',
+  'archive',
+  'bisect',
+  'bundle',
+  'checkout',
+  'cherry-pick',
+  'clean',
+  'clone',
+  'commit',
+  'difftool',
+  'fetch',
+  'filter-branch',
+  'format-patch',
+  'gc',
+  'init',
+  'maintenance',
+  'merge',
+  'mergetool',
+  'mv',
+  'notes',
+  'prune',
+  'pull',
+  'push',
+  'rebase',
+  'repack',
+  'replace',
+  'reset',
+  'restore',
+  'revert',
+  'rm',
+  'sparse-checkout',
+  'submodule',
+  'switch',
+  'tag',
+  'update-index',
+  'update-ref',
+  'worktree',
+];
+
+// git branch arguments that only list branches
+const GIT_BRANCH_LIST_ARGS = [
+  '-l',
+  '--list',
+  '-a',
+  '--all',
+  '-r',
+  '--remotes',
+  '-v',
+  '-vv',
+  '--verbose',
+  '-i',
+  '--ignore-case',
+  '--show-current',
+  '--merged*',
+  '--no-merged*',
+  '--contains*',
+  '--no-contains*',
+  '--points-at*',
+  '--sort=*',
+  '--format=*',
+  '--color*',
+  '--no-color',
+  '--column*',
+  '--no-column',
+  '--abbrev=*',
+  '--no-abbrev',
+];
+
+// git config arguments that change settings or open an editor
+const GIT_CONFIG_WRITES = [
+  '--add',
+  '--unset',
+  '--unset-all',
+  '--replace-all',
+  '--rename-section',
+  '--remove-section',
+  '-e',
+  '--edit',
+];
+
+/**
+ * Rules for read-only (analysis) sessions. Only commands known to leave
+ * files alone are allowed; the policy default denies everything else.
+ */
+export const READ_ONLY_RULES = [
+  {
+    decision: 'deny',
+    writes: true,
+    reason: 'Redirects output into a file',
+  },
+  {
+    decision: 'deny',
+    command: 'find',
+    anyArgs: ['-delete', '-exec', '-execdir', '-ok', '-okdir', '-fprint*', '-fls'],
+    reason: 'find that deletes, executes or writes files',
+  },
+  {
+    decision: 'deny',
+    env: ['GIT_*', 'PAGER', 'LESSOPEN', 'LESSCLOSE', 'LD_PRELOAD', 'BASH_ENV', 'ENV'],
+    reason: 'Sets a variable that can run other programs',
+  },
+  {
+    decision: 'deny',
+    command: 'sed',
+    anyArgs: ['-i', '-i*', '--in-place*'],
+    reason: 'sed editing files in place',
+  },
+  {
+    decision: 'deny',
+    sedWrites: true,
+    reason: 'sed script that writes files or runs commands',
+  },
+  {
+    decision: 'deny',
+    command: ['sort', 'tree'],
+    anyArgs: ['-o', '--output', '--compress-program'],
+    reason: 'Writes its output to a file or runs another program',
+  },
+  {
+    decision: 'deny',
+    command: 'rg',
+    anyArgs: ['--pre', '--pre-glob'],
+    reason: 'rg --pre runs another program on each file',
+  },
+  {
+    decision: 'deny',
+    command: 'fd',
+    anyArgs: ['-x', '-X', '--exec', '--exec-batch'],
+    reason: 'fd that runs a command on each match',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    globalArgs: ['-c', '--config-env', '--exec-path'],
+    reason: 'git with settings that can run other programs',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    anyArgs: ['--output'],
+    reason: 'git writing its output to a file',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    subcommand: 'grep',
+    anyArgs: ['-O*', '--open-files-in-pager'],
+    reason: 'git grep opening matches in another program',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    subcommand: GIT_MUTATIONS,
+    reason: 'git command that changes the repository',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    subcommand: 'branch',
+    otherArgs: GIT_BRANCH_LIST_ARGS,
+    reason: 'git branch that changes branches',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    subcommand: 'remote',
+    anyArgs: ['add', 'remove', 'rm', 'rename', 'set-*', 'prune', 'update'],
+    reason: 'git remote that changes remotes',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    subcommand: 'config',
+    anyArgs: GIT_CONFIG_WRITES,
+    reason: 'git config that changes settings',
+  },
+  // The git commands below are read-only only in some forms. Every other
+  // git deny rule is checked above, so allowing those forms here is safe.
+  {
+    decision: 'allow',
+    command: 'git',
+    subcommand: ['stash list', 'stash show', 'config get', 'config list'],
+    reason: 'Read-only command',
+  },
+  {
+    decision: 'allow',
+    command: 'git',
+    subcommand: 'config',
+    anyArgs: ['--get*', '--list', '-l'],
+    reason: 'Read-only command',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    subcommand: 'stash',
+    reason: 'git stash that changes stashes',
+  },
+  {
+    decision: 'deny',
+    command: 'git',
+    subcommand: 'config',
+    reason: 'git config that changes settings',
+  },
+  {
+    decision: 'allow',
+    command: [
+      'ls',
+      'cat',
+      'head',
+      'tail',
+      'less',
+      'more',
+      'grep',
+      'egrep',
+      'fgrep',
+      'rg',
+      'ag',
+      'find',
+      'fd',
+      'wc',
+      'sort',
+      'cut',
+      'tr',
+      'nl',
+      'column',
+      'diff',
+      'cmp',
+      'comm',
+      'file',
+      'stat',
+      'du',
+      'df',
+      'tree',
+      'pwd',
+      'echo',
+      'printf',
+      'which',
+      'whereis',
+      'type',
+      'basename',
+      'dirname',
+      'realpath',
+      'readlink',
+      'jq',
+      'sed',
+      'git',
+      'od',
+      'xxd',
+      'strings',
+      '*sum',
+      'true',
+      'false',
+      'test',
+      '[',
+    ],
+    reason: 'Read-only command',
+  },
+];
+
+export const READ_ONLY_POLICY = {
+  source: 'read-only',
+  default: 'deny',
+  rules: READ_ONLY_RULES.map((rule) => ({ ...rule, origin: 'read-only' })),
+};
+
+// Redirections that only duplicate a descriptor or discard output
+const OUTPUT_REDIRECTS = ['>', '>>', '>|', '&>', '&>>', '<>', '>&'];
+const DISCARD_TARGETS = ['/dev/null', '/dev/stdout', '/dev/stderr'];
+
+/**
+ * Words naming the files the command redirects output into
+ */
+function outputTargets(command) {
+  return command.redirectWords.filter((word, i) => {
+    const redirect = command.redirects[i];
+    return (
+      OUTPUT_REDIRECTS.includes(redirect.op) &&
+      !/^(\d+|-)$/.test(redirect.target) &&
+      !DISCARD_TARGETS.includes(redirect.target)
+    );
+  });
+}
+
+/**
+ * Does the command redirect output into a file?
+ */
+function writesFile(command) {
+  return outputTargets(command).length > 0;
+}
+
+// Options that take a separate value before the subcommand
+const GLOBAL_VALUE_OPTIONS = {
+  git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env', '--exec-path'],
+};
+
+/**
+ * Split arguments at the subcommand: `git -C repo log -5` gives
+ * { options: ['-C', 'repo'], words: ['log', '-5'] }
+ */
+function splitSubcommand(command) {
+  const takesValue = GLOBAL_VALUE_OPTIONS[command.program] || [];
+  let i = 0;
+  while (i < command.args.length && command.args[i].startsWith('-')) {
+    i += takesValue.includes(command.args[i]) ? 2 : 1;
+  }
+  return { options: command.args.slice(0, i), words: command.args.slice(i) };
+}
+
+/**
+ * Does `pattern` ("stash" or "stash list") match the leading words?
+ */
+function subcommandMatches(pattern, words) {
+  const parts = pattern.split(' ');
+  return parts.every((part, i) => words[i] !== undefined && matchesAny(words[i], [part]));
+}
+
+/**
+ * Is `arg` one of the globs? Short flag groups count when each flag is.
+ */
+function argListed(arg, globs) {
+  if (matchesAny(arg, globs)) return true;
+  return (
+    /^-[A-Za-z]{2,}$/.test(arg) &&
+    [...arg.slice(1)].every((letter) => matchesAny(`-${letter}`, globs))
+  );
+}
+
+// sed options that take a separate value
+const SED_VALUE_OPTIONS = ['-l', '--line-length'];
+
+/**
+ * The scripts a sed command runs, or null when one cannot be read (a
+ * script file or a variable)
+ */
+function sedScripts(command) {
+  const words = command.words;
+  const scripts = [];
+  let firstOperand = null;
+
+  for (let i = 0; i < words.length; i++) {
+    const { value } = words[i];
+    if (value === '--') {
+      firstOperand ??= words[i + 1] || null;
+      break;
+    }
+    if (value === '-f' || value.startsWith('--file')) return null;
+    if (value === '-e' || value === '--expression') {
+      scripts.push(words[++i]);
+    } else if (value.startsWith('--expression=')) {
+      scripts.push({ ...words[i], value: value.slice('--expression='.length) });
+    } else if (value.startsWith('--')) {
+      if (SED_VALUE_OPTIONS.includes(value)) i++;
+    } else if (value.startsWith('-') && value.length > 1) {
+      // As with getopt, the first e or f in a group takes the rest of it or the next word
+      const match = /^-([^ef]*)([ef])(.*)$/.exec(value);
+      if (match?.[2] === 'f') return null;
+      if (match) scripts.push(match[3] ? { ...words[i], value: match[3] } : words[++i]);
+      else if (SED_VALUE_OPTIONS.includes(value)) i++;
+    } else {
+      firstOperand ??= words[i];
+    }
+  }
+
+  // Without -e the first operand is the script
+  if (scripts.length === 0 && firstOperand) scripts.push(firstOperand);
+  if (scripts.some((script) => !script || script.expansion)) return null;
+  return scripts.map((script) => script.value);
+}
+
+/**
+ * Does a sed script write files (w, W, s///w) or run commands (e, s///e)?
+ * Anything the scanner cannot follow counts as writing.
+ */
+function sedScriptWrites(script) {
+  let i = 0;
+  const skipSpace = () => {
+    while (i < script.length && /[\s;!{}]/.test(script[i])) i++;
+  };
+  // Reads up to an unescaped delimiter; false when there is none
+  const readDelimited = (delimiter) => {
+    for (; i < script.length; i++) {
+      if (script[i] === '\\') i++;
+      else if (script[i] === delimiter) {
+        i++;
+        return true;
+      }
+    }
+    return false;
+  };
+  const restOfLine = () => {
+    while (i < script.length && script[i] !== '\n') i += script[i] === '\\' ? 2 : 1;
+  };
+  const readAddress = () => {
+    if (/[0-9]/.test(script[i])) {
+      while (/[0-9~]/.test(script[i] || '')) i++;
+    } else if (script[i] === '$') {
+      i++;
+    } else if (script[i] === '/' || script[i] === '\\') {
+      const delimiter = script[i] === '/' ? '/' : script[++i];
+      i++;
+      if (!readDelimited(delimiter)) return false;
+      while (/[IM]/.test(script[i] || '')) i++;
+    }
+    return true;
+  };
+
+  while (true) {
+    skipSpace();
+    if (i >= script.length) return false;
+
+    if (!readAddress()) return true;
+    if (script[i] === ',') {
+      i++;
+      if (/[+~]/.test(script[i] || '')) i++;
+      if (!readAddress()) return true;
+    }
+    while (/[\s!]/.test(script[i] || '')) i++;
+
+    const cmd = script[i++];
+    if (cmd === undefined) return false;
+    if ('wWe'.includes(cmd)) return true;
+
+    if (cmd === 's' || cmd === 'y') {
+      const delimiter = script[i++];
+      if (!delimiter || !readDelimited(delimiter) || !readDelimited(delimiter)) return true;
+      if (cmd === 's') {
+        const start = i;
+        while (i < script.length && !/[;\n}]/.test(script[i])) i++;
+        if (/[we]/.test(script.slice(start, i))) return true;
+      }
+    } else if ('aicrR#'.includes(cmd)) {
+      // Text, file names and comments run to the end of the line
+      restOfLine();
+    } else if ('btT:'.includes(cmd)) {
+      // Labels end at a semicolon as well
+      while (i < script.length && !/[;\n]/.test(script[i])) i++;
+    }
+  }
+}
+
+/**
+ * Does an interpreter run code given on the command line, as an argument
+ * or a heredoc?
+ */
+function runsInlineCode(command) {
+  if (!matchesAny(command.program, INTERPRETERS)) return false;
+  if (command.redirects.some((redirect) => redirect.op.startsWith('<<'))) return true;
+  const language = Object.keys(INLINE_CODE_FLAGS).find((glob) =>
+    matchesAny(command.program, [glob]),
+  );
+  return (
+    !!language && expandArgs(command.args).some((a) => INLINE_CODE_FLAGS[language].includes(a))
+  );
+}
+
+/**
+ * Convert a glob (* within a segment, ** across segments, ?) to a RegExp
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '/' && glob.slice(i + 1) === '**') {
+      // "dir/**" covers dir itself as well as everything below it
+      pattern += '(?:/.*)?';
+      break;
+    } else if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function matchesAny(value, globs) {
+  return globs.some((glob) => globToRegExp(glob).test(value));
+}
+
+/**
+ * Arguments as rules see them: "-rf" also counts as "-r" and "-f",
+ * "--target=/x" also as "--target"
+ */
+function expandArgs(args) {
+  const expanded = [];
+  for (const arg of args) {
+    expanded.push(arg);
+    if (/^-[A-Za-z]{2,}$/.test(arg)) {
+      for (const letter of arg.slice(1)) expanded.push(`-${letter}`);
+    } else if (/^--[^=]+=/.test(arg)) {
+      expanded.push(arg.slice(0, arg.indexOf('=')));
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Resolve path-like arguments against the working directory.
+ * Unquoted globs resolve to the directory they would expand in; arguments
+ * with variables other than $HOME cannot be resolved.
+ */
+function resolvePaths(words, context) {
+  const resolved = [];
+  const unresolved = [];
+
+  for (const word of words) {
+    let value = word.value;
+    if (value.startsWith('-')) {
+      if (!value.includes('=')) continue;
+      value = value.slice(value.indexOf('=') + 1);
+    } else if (/^[A-Za-z]+=/.test(value)) {
+      value = value.slice(value.indexOf('=') + 1);
+    }
+    if (!value) continue;
+
+    value = value
+      .replace(/^~(?=\/|$)/, context.home)
+      .replace(/\$\{HOME\}|\$HOME(?![A-Za-z0-9_])/g, context.home);
+
+    if (word.expansion && /\$|`/.test(value)) {
+      unresolved.push(word.value);
+      continue;
+    }
+    // After a cd to an unknown directory, relative paths are unknown too
+    if (!context.cwd && !path.isAbsolute(value)) {
+      unresolved.push(word.value);
+      continue;
+    }
+
+    if (word.glob) {
+      const segments = value.split('/');
+      const firstGlob = segments.findIndex((segment) => /[*?[]/.test(segment));
+      value = segments.slice(0, firstGlob).join('/') || (value.startsWith('/') ? '/' : '.');
+    }
+
+    resolved.push(path.resolve(context.cwd, value));
+  }
+
+  return { resolved, unresolved };
+}
+
+function isInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function expandPathPattern(pattern, context) {
+  const expanded = pattern
+    .replace(/\$\{PROJECT\}/g, context.projectRoot)
+    .replace(/\$\{HOME\}/g, context.home)
+    .replace(/^~(?=\/|$)/, context.home);
+  return path.isAbsolute(expanded) ? expanded : path.join(context.projectRoot, expanded);
+}
+
+/**
+ * Does `rule` apply to one parsed simple command?
+ */
+function ruleMatches(rule, command, context) {
+  if (rule.cwd) {
+    if (!context.cwd) return false;
+    const scopes = toList(rule.cwd).map((glob) => expandPathPattern(glob, context));
+    if (!matchesAny(context.cwd, scopes)) return false;
+  }
+
+  if (rule.command && !matchesAny(command.program, toList(rule.command))) return false;
+
+  const args = expandArgs(command.args);
+  if (rule.args && !toList(rule.args).every((glob) => args.some((a) => matchesAny(a, [glob])))) {
+    return false;
+  }
+  if (rule.anyArgs && !args.some((a) => matchesAny(a, toList(rule.anyArgs)))) return false;
+
+  if (rule.via && !command.wrappers.some((w) => matchesAny(w, toList(rule.via)))) return false;
+  if (rule.pipedFrom && !command.pipedFrom.some((p) => matchesAny(p, toList(rule.pipedFrom)))) {
+    return false;
+  }
+  if (rule.dynamic !== undefined && !!command.dynamic !== rule.dynamic) return false;
+  if (rule.writes !== undefined && writesFile(command) !== rule.writes) return false;
+  if (rule.recursive !== undefined && !!command.recursive !== rule.recursive) return false;
+
+  if (rule.inlineCode !== undefined && runsInlineCode(command) !== rule.inlineCode) return false;
+
+  if (rule.env && !Object.keys(command.env).some((name) => matchesAny(name, toList(rule.env)))) {
+    return false;
+  }
+  if (rule.sedWrites !== undefined) {
+    if (command.program !== 'sed') return false;
+    const scripts = sedScripts(command);
+    const writes = scripts === null || scripts.some(sedScriptWrites);
+    if (writes !== rule.sedWrites) return false;
+  }
+
+  if (rule.globalArgs || rule.subcommand || rule.otherArgs) {
+    const { options, words } = splitSubcommand(command);
+    if (
+      rule.globalArgs &&
+      !expandArgs(options).some((a) => matchesAny(a, toList(rule.globalArgs)))
+    ) {
+      return false;
+    }
+    if (rule.subcommand && !toList(rule.subcommand).some((p) => subcommandMatches(p, words))) {
+      return false;
+    }
+    if (rule.otherArgs && !words.slice(1).some((a) => !argListed(a, toList(rule.otherArgs)))) {
+      return false;
+    }
+  }
+
+  if (rule.redirectsOutsideProject) {
+    const { resolved } = resolvePaths(outputTargets(command), context);
+    if (!resolved.some((target) => !isInside(target, context.projectRoot))) return false;
+  }
+
+  if (rule.redirects) {
+    const { resolved } = resolvePaths(
+      command.redirectWords.filter((_, i) => command.redirects[i].op !== '<'),
+      context,
+    );
+    const globs = toList(rule.redirects).map((glob) => expandPathPattern(glob, context));
+    if (!resolved.some((target) => matchesAny(target, globs))) return false;
+  }
+
+  if (rule.target) {
+    const operands = command.words.filter((word) => !word.value.startsWith('-'));
+    const { resolved } = resolvePaths(operands.slice(-1), context);
+    const globs = toList(rule.target).map((glob) => expandPathPattern(glob, context));
+    if (!resolved.some((target) => matchesAny(target, globs))) return false;
+  }
+
+  if (rule.paths || rule.outsideProject || rule.unresolvedPaths) {
+    const { resolved, unresolved } = resolvePaths(command.words, context);
+
+    if (rule.paths) {
+      const globs = toList(rule.paths).map((glob) => expandPathPattern(glob, context));
+      if (!resolved.some((p) => matchesAny(p, globs))) return false;
+    }
+    if (rule.outsideProject && !resolved.some((p) => !isInside(p, context.projectRoot))) {
+      return false;
+    }
+    // Paths xargs appends come from input and are never known up front
+    if (rule.unresolvedPaths && unresolved.length === 0 && command.source !== 'xargs') {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function validateRule(rule, index, source) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${source}: rule ${index + 1} must be an object`);
+  }
+  if (!DECISIONS.includes(rule.decision)) {
+    throw new Error(`${source}: rule ${index + 1} needs a decision of allow, ask or deny`);
+  }
+}
+
+/**
+ * Load the project policy. Missing files give the built-in policy.
+ *
+ * File format:
+ *   {
+ *     "default": "allow",          // decision when no rule matches
+ *     "extendDefaults": true,      // keep the built-in rules after these
+ *     "rules": [
+ *       { "decision": "allow", "command": "rm", "paths": ["${PROJECT}/dist/**"] },
+ *       { "decision": "deny", "command": "terraform", "args": ["apply"], "cwd": "infra/**" }
+ *     ]
+ *   }
+ */
+export function loadBashPolicy(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const file = path.resolve(cwd, options.policyFile || DEFAULT_POLICY_FILE);
+
+  let config = {};
+  let source = 'built-in';
+  if (fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid bash policy ${file}: ${error.message}`);
+    }
+    source = file;
+  } else if (options.policyFile) {
+    throw new Error(`Bash policy not found: ${file}`);
+  }
+
+  const rules = toList(config.rules);
+  rules.forEach((rule, index) => validateRule(rule, index, source));
+
+  const fallback = config.default || 'allow';
+  if (!DECISIONS.includes(fallback)) {
+    throw new Error(`${source}: default must be allow, ask or deny`);
+  }
+
+  return {
+    source,
+    default: fallback,
+    rules: [
+      ...rules.map((rule) => ({ ...rule, origin: 'project' })),
+      ...(config.extendDefaults === false
+        ? []
+        : DEFAULT_RULES.map((rule) => ({ ...rule, origin: 'built-in' }))),
+    ],
+  };
+}
+
+/**
+ * Pair each command with the directory it runs in, following cd and pushd.
+ * A cd inside a subshell or nested shell only lasts until the next
+ * top-level command. A directory that cannot be resolved becomes null.
+ */
+function withWorkingDirectories(commands, context) {
+  let cwd = context.cwd;
+  // Set by a cd inside a subshell or nested shell; undefined when there was none
+  let scopedCwd;
+
+  return commands.map((entry) => {
+    const scoped = entry.subshell || entry.source !== 'command';
+    if (!scoped) scopedCwd = undefined;
+    const current = scopedCwd === undefined ? cwd : scopedCwd;
+
+    if ((entry.program === 'cd' || entry.program === 'pushd') && !entry.pipedFrom.length) {
+      const operands = entry.words.filter((word) => !/^-[LPe@]+$/.test(word.value));
+      let next = null;
+      if (operands.length === 0) {
+        next = context.home;
+      } else if (operands[0].value !== '-' && current) {
+        const { resolved } = resolvePaths(operands.slice(0, 1), { ...context, cwd: current });
+        next = resolved[0] ?? null;
+      }
+      if (scoped) scopedCwd = next;
+      else cwd = next;
+    }
+    return { entry, cwd: current };
+  });
+}
+
+/**
+ * Evaluate a command line against a policy.
+ *
+ * Returns {
+ *   decision: 'allow' | 'ask' | 'deny',
+ *   reason, explicit (true when a rule, not the default, decided),
+ *   commands: [{ command, source, decision, reason, rule }],
+ *   errors: parse errors (unparseable commands are never allowed silently)
+ * }
+ */
+export function evaluateBashCommand(command, options = {}) {
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const policy = options.policy || loadBashPolicy({ cwd });
+  const context = {
+    cwd,
+    projectRoot: path.resolve(options.projectRoot || process.cwd()),
+    home: options.home || os.homedir(),
+  };
+
+  const parsed = parseShellCommand(command);
+  const commands = withWorkingDirectories(parsed.commands, context).map(({ entry, cwd }) => {
+    const scoped = { ...context, cwd };
+    const rule = policy.rules.find((candidate) => ruleMatches(candidate, entry, scoped));
+    return {
+      command: entry.text,
+      program: entry.program,
+      source: entry.source,
+      decision: rule ? rule.decision : policy.default,
+      reason: rule?.reason || (rule ? `Matched ${rule.origin} rule` : 'No rule matched'),
+      rule: rule || null,
+    };
+  });
+
+  if (parsed.errors.length > 0) {
+    commands.push({
+      command: String(command),
+      program: null,
+      source: 'parser',
+      decision: 'ask',
+      reason: `Command could not be parsed: ${parsed.errors[0]}`,
+      rule: null,
+    });
+  }
+
+  const strictest = commands.reduce(
+    (worst, entry) =>
+      !worst || DECISIONS.indexOf(entry.decision) > DECISIONS.indexOf(worst.decision)
+        ? entry
+        : worst,
+    null,
+  );
+
+  const decision = strictest ? strictest.decision : policy.default;
+
+  return {
+    decision,
+    reason: strictest ? strictest.reason : 'Empty command',
+    // An allow is only explicit when a rule allowed every command on the line
+    explicit:
+      commands.length > 0 &&
+      (decision === 'allow'
+        ? commands.every((entry) => entry.rule !== null)
+        : strictest.rule !== null || strictest.source === 'parser'),
+    policy: policy.source,
+    commands,
+    errors: parsed.errors,
+  };
+}
+
+/**
+ * Output for Claude Code's PreToolUse hook protocol. Commands that only fell
+ * through to the default are left to Claude Code's own permission settings.
+ */
+export function toPreToolUseOutput(result) {
+  if (result.decision === 'allow' && !result.explicit) {
+    return { continue: true, suppressOutput: true };
+  }
+
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: result.decision,
+      permissionDecisionReason: result.reason,
+    },
+  };
+}
@@ -0,0 +1,371 @@
+/**
+ * Shared circuit breaker state for hook safety
+ *
+ * Every hook runs in its own short-lived process, so execution counts live
+ * in .swarm/hook-circuit.json. Writers take an exclusive lock file, so
+ * concurrent hooks never lose an update. Counts use sliding time windows.
+ * A limit that is hit opens a breaker ("trip") that stays open for a
+ * cooldown period.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_STATE_FILE = path.join('.swarm', 'hook-circuit.json');
+
+/**
+ * Defaults; override any part in .claude/settings.json under
+ * claudeFlow.hookSafety. Per-hook entries fall back to '*'.
+ */
+export const DEFAULT_LIMITS = {
+  // Runs of one hook type within a sliding window, per session
+  rate: { '*': { max: 120, windowMs: 60000 } },
+  // Runs of one hook type within a sliding window, across sessions. Set
+  // well above what parallel sessions reach, so only a runaway loop trips it.
+  globalRate: { max: 1000, windowMs: 60000 },
+  // Runs of one hook type within a session
+  session: { '*': 5000, Stop: 2 },
+  // Runs of all hook types within a session
+  sessionTotal: 20000,
+  // Cost units (e.g. dollars) spent by hooks that start claude
+  cost: { max: 20, windowMs: 3600000, perSession: 50 },
+  costs: { claude: 1 },
+  // How long a tripped breaker stays open
+  cooldownMs: 600000,
+  // A session with no hook runs for this long is over
+  sessionIdleMs: 1800000,
+};
+
+const LOCK_TIMEOUT = 5000;
+const STALE_LOCK_MS = 10000;
+const SESSION_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSIONS = 50;
+
+function emptyState() {
+  return { version: 1, currentSession: null, events: [], sessions: {}, trips: [] };
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+export function formatWindow(ms) {
+  if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+  if (ms % 60000 === 0) return `${ms / 60000}m`;
+  return `${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * Defaults merged with claudeFlow.hookSafety from .claude/settings.json
+ */
+export function loadCircuitLimits(projectRoot = process.cwd()) {
+  const settingsPath = path.join(projectRoot, '.claude', 'settings.json');
+  let overrides = {};
+  if (fs.existsSync(settingsPath)) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(settingsPath, 'utf8')).claudeFlow?.hookSafety || {};
+    } catch (error) {
+      throw new Error(`Invalid ${settingsPath}: ${error.message}`);
+    }
+  }
+  return mergeLimits(DEFAULT_LIMITS, overrides);
+}
+
+export function mergeLimits(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    rate: { ...base.rate, ...overrides.rate },
+    globalRate: { ...base.globalRate, ...overrides.globalRate },
+    session: { ...base.session, ...overrides.session },
+    cost: { ...base.cost, ...overrides.cost },
+    costs: { ...base.costs, ...overrides.costs },
+  };
+}
+
+/**
+ * JSON state file guarded by an exclusive lock file
+ */
+export class CircuitStateFile {
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.lockFile = `${this.file}.lock`;
+  }
+
+  read() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return { ...emptyState(), ...state };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(
+          `[${new Date().toISOString()}] WARN [hook-safety] Ignoring unreadable ${this.file}: ${error.message}`,
+        );
+      }
+      return emptyState();
+    }
+  }
+
+  /**
+   * Run fn(state) under the lock and save the state it leaves behind
+   */
+  update(fn) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this._lock();
+    try {
+      const state = this.read();
+      const result = fn(state);
+      const temp = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify(state));
+      fs.renameSync(temp, this.file);
+      return result;
+    } finally {
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+
+  _lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    while (true) {
+      try {
+        fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // A hook that died while holding the lock must not block the others forever
+      try {
+        if (Date.now() - fs.statSync(this.lockFile).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(this.lockFile, { force: true });
+          continue;
+        }
+      } catch {
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${this.lockFile}`);
+      }
+      sleep(10);
+    }
+  }
+}
+
+function retentionMs(limits) {
+  return Math.max(
+    limits.cost.windowMs,
+    limits.globalRate.windowMs,
+    ...Object.values(limits.rate).map((r) => r.windowMs),
+  );
+}
+
+/**
+ * Drop events, trips and sessions that can no longer affect a decision
+ */
+export function pruneState(state, limits, now) {
+  const oldest = now - retentionMs(limits);
+  state.events = state.events.filter((event) => event.t > oldest);
+  state.trips = state.trips.filter((trip) => trip.until > now);
+
+  const sessions = Object.entries(state.sessions)
+    .filter(
+      ([id, session]) =>
+        id === state.currentSession?.id || now - session.lastSeen < SESSION_RETENTION_MS,
+    )
+    .sort(([, a], [, b]) => b.lastSeen - a.lastSeen)
+    .slice(0, MAX_SESSIONS);
+  state.sessions = Object.fromEntries(sessions);
+}
+
+/**
+ * The session a hook run belongs to. A session that has been idle longer
+ * than sessionIdleMs ends and a new one starts.
+ */
+export function resolveSession(state, limits, now, requested) {
+  if (requested) return requested;
+  const current = state.currentSession;
+  if (current && now - current.lastSeen < limits.sessionIdleMs) return current.id;
+  return `session-${now}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function openTrip(state, limits, now, trip) {
+  const entry = { ...trip, openedAt: now, until: now + limits.cooldownMs, blocked: 1 };
+  state.trips.push(entry);
+  return entry;
+}
+
+/**
+ * Check one hook run against the limits and record it when allowed.
+ *
+ * Returns { allowed, sessionId, count, reason, trip } where count is the
+ * number of runs of this hook type in the session, this one included.
+ */
+export function recordExecution(state, limits, { hookType, sessionId, cost = 0, now }) {
+  pruneState(state, limits, now);
+  const session = resolveSession(state, limits, now, sessionId);
+  state.currentSession = { id: session, lastSeen: now };
+
+  const stats = (state.sessions[session] ||= {
+    startedAt: now,
+    lastSeen: now,
+    total: 0,
+    cost: 0,
+    counts: {},
+  });
+  stats.lastSeen = now;
+  const count = (stats.counts[hookType] || 0) + 1;
+
+  const open = state.trips.find(
+    (trip) =>
+      (trip.hookType === null || trip.hookType === hookType) &&
+      (trip.sessionId === null || trip.sessionId === session),
+  );
+  if (open) {
+    open.blocked += 1;
+    return { allowed: false, sessionId: session, count, reason: open.reason, trip: open };
+  }
+
+  const rate = limits.rate[hookType] || limits.rate['*'];
+  const recent = state.events.filter(
+    (event) =>
+      event.hookType === hookType && event.sessionId === session && event.t > now - rate.windowMs,
+  ).length;
+  const recentGlobal = state.events.filter(
+    (event) => event.hookType === hookType && event.t > now - limits.globalRate.windowMs,
+  ).length;
+  const sessionLimit = limits.session[hookType] ?? limits.session['*'];
+  const windowCost = state.events
+    .filter((event) => event.t > now - limits.cost.windowMs)
+    .reduce((sum, event) => sum + (event.cost || 0), 0);
+
+  let trip = null;
+  if (recent + 1 > rate.max) {
+    trip = {
+      kind: 'rate',
+      hookType,
+      sessionId: session,
+      reason: `${hookType} hook ran ${recent + 1} times in ${formatWindow(rate.windowMs)} (limit ${rate.max})`,
+    };
+  } else if (recentGlobal + 1 > limits.globalRate.max) {
+    trip = {
+      kind: 'global-rate',
+      hookType,
+      sessionId: null,
+      reason: `${hookType} hook ran ${recentGlobal + 1} times in ${formatWindow(limits.globalRate.windowMs)} across sessions (limit ${limits.globalRate.max})`,
+    };
+  } else if (count > sessionLimit) {
+    trip = {
+      kind: 'session',
+      hookType,
+      sessionId: session,
+      reason: `${hookType} hook ran ${count} times in session ${session} (limit ${sessionLimit})`,
+    };
+  } else if (stats.total + 1 > limits.sessionTotal) {
+    trip = {
+      kind: 'session-total',
+      hookType: null,
+      sessionId: session,
+      reason: `Session ${session} ran ${stats.total + 1} hooks (limit ${limits.sessionTotal})`,
+    };
+  } else if (cost > 0 && windowCost + cost > limits.cost.max) {
+    trip = {
+      kind: 'cost',
+      hookType: null,
+      sessionId: null,
+      reason: `Hook cost ${windowCost + cost} in ${formatWindow(limits.cost.windowMs)} exceeds ${limits.cost.max}`,
+    };
+  } else if (cost > 0 && stats.cost + cost > limits.cost.perSession) {
+    trip = {
+      kind: 'session-cost',
+      hookType: null,
+      sessionId: session,
+      reason: `Hook cost ${stats.cost + cost} in session ${session} exceeds ${limits.cost.perSession}`,
+    };
+  }
+
+  if (trip) {
+    return {
+      allowed: false,
+      sessionId: session,
+      count,
+      reason: trip.reason,
+      trip: openTrip(state, limits, now, trip),
+    };
+  }
+
+  state.events.push({ t: now, hookType, sessionId: session, ...(cost > 0 && { cost }) });
+  stats.counts[hookType] = count;
+  stats.total += 1;
+  stats.cost += cost;
+  return { allowed: true, sessionId: session, count, reason: null, trip: null };
+}
+
+/**
+ * Clear counters and trips, optionally only for one session or hook type
+ */
+export function resetState(state, { sessionId, hookType } = {}) {
+  if (!sessionId && !hookType) {
+    Object.assign(state, emptyState());
+    return;
+  }
+
+  const matches = (entry) =>
+    (!sessionId || entry.sessionId === sessionId) && (!hookType || entry.hookType === hookType);
+  state.events = state.events.filter((event) => !matches(event));
+  state.trips = state.trips.filter((trip) => !matches(trip));
+
+  for (const [id, session] of Object.entries(state.sessions)) {
+    if (sessionId && id !== sessionId) continue;
+    if (!hookType) {
+      delete state.sessions[id];
+      continue;
+    }
+    session.total -= session.counts[hookType] || 0;
+    delete session.counts[hookType];
+  }
+}
+
+/**
+ * Usage against each limit, for status displays
+ */
+export function summarizeState(state, limits, now) {
+  pruneState(state, limits, now);
+  const sessionId = state.currentSession?.id || null;
+  const session = sessionId ? state.sessions[sessionId] : null;
+
+  // Rate limits count per session, so show the current session's rates
+  const hookTypes = [
+    ...new Set(
+      state.events.filter((event) => event.sessionId === sessionId).map((e) => e.hookType),
+    ),
+  ].sort();
+  return {
+    sessionId,
+    session: session
+      ? { ...session, active: now - state.currentSession.lastSeen < limits.sessionIdleMs }
+      : null,
+    rates: hookTypes.map((hookType) => {
+      const rate = limits.rate[hookType] || limits.rate['*'];
+      return {
+        hookType,
+        count: state.events.filter(
+          (e) => e.hookType === hookType && e.sessionId === sessionId && e.t > now - rate.windowMs,
+        ).length,
+        max: rate.max,
+        windowMs: rate.windowMs,
+      };
+    }),
+    cost: {
+      window: state.events
+        .filter((event) => event.t > now - limits.cost.windowMs)
+        .reduce((sum, event) => sum + (event.cost || 0), 0),
+      max: limits.cost.max,
+      windowMs: limits.cost.windowMs,
+      session: session?.cost || 0,
+      perSession: limits.cost.perSession,
+    },
+    trips: state.trips,
+    limits,
+  };
+}
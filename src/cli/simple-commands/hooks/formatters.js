@@ -0,0 +1,585 @@
+/**
+ * Formatters and linters for the post-edit hook
+ *
+ * A formatter only runs in a project that opted in to it, through the
+ * tool's configuration or its own dependency list. Tools are looked up in
+ * the project's node_modules/.bin and then on PATH. Formatters read the file
+ * on stdin and print the result, so a formatter that fails never touches the
+ * file; successful output replaces the file atomically. Per-extension
+ * choices can be overridden in .claude/settings.json under
+ * claudeFlow.postEdit.formatters.
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_TIMEOUT = 20000;
+const MAX_DIFF_CELLS = 4_000_000;
+const DIFF_CONTEXT = 3;
+
+const RUFF_CONFIG = { files: ['ruff.toml', '.ruff.toml'], pyprojectTool: 'ruff', python: ['ruff'] };
+
+/**
+ * Formatters: read source on stdin, write formatted source to stdout.
+ * `{file}` is replaced with the edited file's path. `optIn` lists what shows
+ * that a project uses the tool: config `files`, a `packageJson` key, `npm`
+ * dependencies, a `[tool.<pyprojectTool>]` table or `python` requirements.
+ * Tools without one run only when settings name them.
+ */
+export const FORMATTERS = {
+  prettier: {
+    bin: 'prettier',
+    args: ['--stdin-filepath', '{file}'],
+    optIn: {
+      files: [
+        '.prettierrc',
+        '.prettierrc.json',
+        '.prettierrc.json5',
+        '.prettierrc.yaml',
+        '.prettierrc.yml',
+        '.prettierrc.toml',
+        '.prettierrc.js',
+        '.prettierrc.cjs',
+        '.prettierrc.mjs',
+        'prettier.config.js',
+        'prettier.config.cjs',
+        'prettier.config.mjs',
+      ],
+      packageJson: 'prettier',
+      npm: ['prettier'],
+    },
+  },
+  black: {
+    bin: 'black',
+    args: ['--quiet', '--stdin-filename', '{file}', '-'],
+    optIn: { pyprojectTool: 'black', python: ['black'] },
+  },
+  'ruff-format': {
+    bin: 'ruff',
+    args: ['format', '--stdin-filename', '{file}', '-'],
+    optIn: RUFF_CONFIG,
+  },
+  // gofmt ships with Go and has no configuration; a Go module opts in
+  gofmt: { bin: 'gofmt', args: [], optIn: { files: ['go.mod'] } },
+  rustfmt: { bin: 'rustfmt', args: [], optIn: { files: ['rustfmt.toml', '.rustfmt.toml'] } },
+  'google-java-format': { bin: 'google-java-format', args: ['-'] },
+  'clang-format': {
+    bin: 'clang-format',
+    args: ['--assume-filename={file}'],
+    optIn: { files: ['.clang-format', '_clang-format'] },
+  },
+  shfmt: { bin: 'shfmt', args: ['-filename', '{file}'] },
+};
+
+/**
+ * Linters: read source on stdin and report diagnostics in `format`
+ */
+export const LINTERS = {
+  eslint: {
+    bin: 'eslint',
+    args: ['--stdin', '--stdin-filename', '{file}', '--format', 'json'],
+    format: 'eslint',
+    // eslint refuses to run without a configuration
+    configFiles: [
+      'eslint.config.js',
+      'eslint.config.mjs',
+      'eslint.config.cjs',
+      '.eslintrc',
+      '.eslintrc.js',
+      '.eslintrc.cjs',
+      '.eslintrc.json',
+      '.eslintrc.yml',
+      '.eslintrc.yaml',
+    ],
+  },
+  ruff: {
+    bin: 'ruff',
+    args: ['check', '--output-format', 'json', '--stdin-filename', '{file}', '-'],
+    format: 'ruff',
+  },
+  shellcheck: { bin: 'shellcheck', args: ['--format', 'json', '-'], format: 'shellcheck' },
+};
+
+/**
+ * Candidate tools per extension, first available wins
+ */
+const WEB = { formatters: ['prettier'], linters: ['eslint'] };
+const EXTENSIONS = {
+  '.js': WEB,
+  '.jsx': WEB,
+  '.mjs': WEB,
+  '.cjs': WEB,
+  '.ts': WEB,
+  '.tsx': WEB,
+  '.json': { formatters: ['prettier'] },
+  '.css': { formatters: ['prettier'] },
+  '.scss': { formatters: ['prettier'] },
+  '.html': { formatters: ['prettier'] },
+  '.md': { formatters: ['prettier'] },
+  '.yml': { formatters: ['prettier'] },
+  '.yaml': { formatters: ['prettier'] },
+  '.py': { formatters: ['black', 'ruff-format'], linters: ['ruff'] },
+  '.go': { formatters: ['gofmt'] },
+  '.rs': { formatters: ['rustfmt'] },
+  '.java': { formatters: ['google-java-format'] },
+  '.c': { formatters: ['clang-format'] },
+  '.h': { formatters: ['clang-format'] },
+  '.cc': { formatters: ['clang-format'] },
+  '.cpp': { formatters: ['clang-format'] },
+  '.hpp': { formatters: ['clang-format'] },
+  '.sh': { formatters: ['shfmt'], linters: ['shellcheck'] },
+};
+
+/**
+ * Read claudeFlow.postEdit from .claude/settings.json
+ */
+export function loadPostEditSettings(projectRoot = process.cwd()) {
+  const settingsPath = path.join(projectRoot, '.claude', 'settings.json');
+  if (!fs.existsSync(settingsPath)) return {};
+
+  try {
+    const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    return settings.claudeFlow?.postEdit || {};
+  } catch (error) {
+    throw new Error(`Invalid ${settingsPath}: ${error.message}`);
+  }
+}
+
+const PYTHON_REQUIREMENTS = ['requirements.txt', 'requirements-dev.txt', 'dev-requirements.txt'];
+
+function readProjectFile(projectRoot, name) {
+  try {
+    return fs.readFileSync(path.join(projectRoot, name), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the project opted in to a tool (see FORMATTERS)
+ */
+export function projectUsesTool(optIn, projectRoot) {
+  if (!optIn) return false;
+  if (optIn.files?.some((f) => fs.existsSync(path.join(projectRoot, f)))) return true;
+
+  if (optIn.packageJson || optIn.npm) {
+    let pkg = null;
+    try {
+      pkg = JSON.parse(readProjectFile(projectRoot, 'package.json'));
+    } catch {
+      // An unreadable package.json lists nothing
+    }
+    if (pkg && optIn.packageJson && pkg[optIn.packageJson] !== undefined) return true;
+    const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+    if (optIn.npm?.some((name) => name in deps)) return true;
+  }
+
+  if (optIn.pyprojectTool || optIn.python) {
+    const pyproject = readProjectFile(projectRoot, 'pyproject.toml') || '';
+    if (
+      optIn.pyprojectTool &&
+      new RegExp(`^\\[tool\\.${optIn.pyprojectTool}[.\\]]`, 'm').test(pyproject)
+    ) {
+      return true;
+    }
+    for (const name of optIn.python || []) {
+      // A quoted requirement in pyproject.toml, or a line of a requirements file
+      if (new RegExp(`["']${name}(?![\\w.-])`).test(pyproject)) return true;
+      const requirement = new RegExp(`^\\s*${name}(?![\\w.-])`, 'mi');
+      if (
+        PYTHON_REQUIREMENTS.some((f) => requirement.test(readProjectFile(projectRoot, f) || ''))
+      ) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Find an executable in node_modules/.bin between the file and the project
+ * root, then on PATH
+ */
+export function findExecutable(bin, startDir, projectRoot) {
+  const candidates = [];
+  let dir = path.resolve(startDir);
+  const root = path.resolve(projectRoot);
+  while (true) {
+    candidates.push(path.join(dir, 'node_modules', '.bin', bin));
+    if (dir === root || dir === path.dirname(dir)) break;
+    dir = path.dirname(dir);
+  }
+  if (!candidates.includes(path.join(root, 'node_modules', '.bin', bin))) {
+    candidates.push(path.join(root, 'node_modules', '.bin', bin));
+  }
+  for (const dirOnPath of (process.env.PATH || '').split(path.delimiter)) {
+    if (dirOnPath) candidates.push(path.join(dirOnPath, bin));
+  }
+
+  return (
+    candidates.find((candidate) => {
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return fs.statSync(candidate).isFile();
+      } catch {
+        return false;
+      }
+    }) || null
+  );
+}
+
+/**
+ * Turn a tool name or { command, format } override into a runnable spec.
+ * Tools picked by default, not named in settings, must be opted in to.
+ */
+function resolveTool(entry, table, file, projectRoot, explicit) {
+  const spec = typeof entry === 'string' ? table[entry] : entry;
+  if (!spec) {
+    return { name: String(entry), error: `Unknown tool: ${entry}` };
+  }
+
+  const name = typeof entry === 'string' ? entry : spec.name || spec.command?.[0];
+  const [bin, ...args] = spec.command || [spec.bin, ...spec.args];
+
+  if (spec.configFiles && !spec.configFiles.some((f) => fs.existsSync(path.join(projectRoot, f)))) {
+    return { name, error: 'No configuration found' };
+  }
+  if (!explicit && table === FORMATTERS && !projectUsesTool(spec.optIn, projectRoot)) {
+    return { name, error: 'Not configured in this project' };
+  }
+
+  const executable = bin.includes('/')
+    ? path.resolve(projectRoot, bin)
+    : findExecutable(bin, path.dirname(file), projectRoot);
+  if (!executable) return { name, error: `${bin} is not installed` };
+
+  return {
+    name,
+    executable,
+    args: args.map((arg) => arg.replace(/\{file\}/g, file)),
+    format: spec.format || 'lines',
+  };
+}
+
+/**
+ * First candidate that can run, plus the reasons the others could not
+ */
+function firstAvailable(entries, table, file, projectRoot, explicit = false) {
+  const skipped = [];
+  for (const entry of entries) {
+    const tool = resolveTool(entry, table, file, projectRoot, explicit);
+    if (tool.executable) return { tool, skipped };
+    skipped.push(tool);
+  }
+  return { tool: null, skipped };
+}
+
+/**
+ * Formatter and linter candidates for a file, after settings overrides.
+ * A settings entry may be false (skip the extension) or
+ * { formatter, linter } where each is a tool name, false or
+ * { command: [...], format }.
+ */
+function toolsFor(file, settings) {
+  const ext = path.extname(file).toLowerCase();
+  const defaults = EXTENSIONS[ext] || {};
+  const override = settings.formatters?.[ext];
+
+  if (override === false) {
+    return { ext, disabled: true, formatters: [], linters: [], explicit: false };
+  }
+
+  const pick = (key, fallback) => {
+    if (!override || !(key in override)) return fallback || [];
+    return override[key] === false ? [] : [override[key]];
+  };
+
+  return {
+    ext,
+    disabled: false,
+    formatters: pick('formatter', defaults.formatters),
+    linters: pick('linter', defaults.linters),
+    // A formatter named in settings needs no further opt-in
+    explicit: Boolean(override && 'formatter' in override),
+  };
+}
+
+function run(tool, input, projectRoot, timeout) {
+  const started = Date.now();
+  const result = spawnSync(tool.executable, tool.args, {
+    cwd: projectRoot,
+    input,
+    encoding: 'utf8',
+    timeout,
+    maxBuffer: 32 * 1024 * 1024,
+  });
+
+  return {
+    status: result.status,
+    stdout: result.stdout || '',
+    stderr: (result.stderr || '').trim(),
+    error: result.error,
+    durationMs: Date.now() - started,
+  };
+}
+
+/**
+ * Normalize linter output into [{ line, column, severity, message, rule }]
+ */
+export function parseDiagnostics(format, output) {
+  const text = output.trim();
+  if (!text) return [];
+
+  switch (format) {
+    case 'eslint':
+      return JSON.parse(text).flatMap((result) =>
+        result.messages.map((m) => ({
+          line: m.line || 0,
+          column: m.column || 0,
+          severity: m.severity === 2 ? 'error' : 'warning',
+          message: m.message,
+          rule: m.ruleId || null,
+        })),
+      );
+
+    case 'ruff':
+      return JSON.parse(text).map((d) => ({
+        line: d.location?.row || 0,
+        column: d.location?.column || 0,
+        severity: 'error',
+        message: d.message,
+        rule: d.code || null,
+      }));
+
+    case 'shellcheck':
+      return JSON.parse(text).map((d) => ({
+        line: d.line,
+        column: d.column,
+        severity: d.level === 'error' ? 'error' : 'warning',
+        message: d.message,
+        rule: d.code ? `SC${d.code}` : null,
+      }));
+
+    default:
+      // file:line:col: message, the common compiler style
+      return text.split('\n').map((line) => {
+        const match = /^(?:[^:]*:)?(\d+):(\d+):\s*(?:(error|warning)\s*:?\s*)?(.*)$/i.exec(line);
+        return match
+          ? {
+              line: Number(match[1]),
+              column: Number(match[2]),
+              severity: (match[3] || 'error').toLowerCase(),
+              message: match[4],
+              rule: null,
+            }
+          : { line: 0, column: 0, severity: 'error', message: line, rule: null };
+      });
+  }
+}
+
+/**
+ * Line-based edit script between two texts
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((line) => [' ', line]);
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    // Too large for LCS: report the changed region as one replacement
+    ops.push(...midA.map((line) => ['-', line]), ...midB.map((line) => ['+', line]));
+  } else {
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push([' ', midA[i++]]);
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push(['-', midA[i++]]);
+      } else {
+        ops.push(['+', midB[j++]]);
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map((line) => [' ', line]));
+
+  // Within each run of changes, list removals before additions
+  const grouped = [];
+  let run = [];
+  for (const op of [...ops, [' ', null]]) {
+    if (op[0] !== ' ') {
+      run.push(op);
+      continue;
+    }
+    grouped.push(...run.filter((o) => o[0] === '-'), ...run.filter((o) => o[0] === '+'));
+    run = [];
+    if (op[1] !== null) grouped.push(op);
+  }
+  return grouped;
+}
+
+/**
+ * Unified diff of two versions of a file ('' when identical)
+ */
+export function unifiedDiff(before, after, file) {
+  if (before === after) return '';
+
+  const ops = diffLines(before.split('\n'), after.split('\n'));
+  const changed = ops.map((op, index) => (op[0] === ' ' ? -1 : index)).filter((i) => i >= 0);
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- a/${file}`, `+++ b/${file}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - DIFF_CONTEXT);
+    const to = Math.min(ops.length, hunk.end + DIFF_CONTEXT + 1);
+
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k][0] !== '+') oldLine++;
+      if (ops[k][0] !== '-') newLine++;
+    }
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter((op) => op[0] !== '+').length;
+    const newCount = slice.filter((op) => op[0] !== '-').length;
+
+    lines.push(`@@ -${oldLine},${oldCount} +${newLine},${newCount} @@`);
+    lines.push(...slice.map(([type, line]) => `${type}${line}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write through a temp file so readers never see a half-written file. A
+ * symlink stays a symlink: the file it points to is replaced.
+ */
+function replaceFile(file, content) {
+  const target = fs.realpathSync(file);
+  const mode = fs.statSync(target).mode;
+  const temp = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.tmp`);
+  fs.writeFileSync(temp, content, { mode });
+  fs.renameSync(temp, target);
+}
+
+/**
+ * Format and lint one edited file.
+ *
+ * Returns the record stored with the edit:
+ *   { extension, status, formatter, changed, diff, error, lint, timestamp }
+ * where status is 'formatted', 'unchanged', 'failed', 'unavailable' or
+ * 'disabled' and lint is { linter, status, diagnostics, errorCount, warningCount }.
+ */
+export function formatEditedFile(file, options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd());
+  const settings = options.settings || loadPostEditSettings(projectRoot);
+  const timeout = options.timeout || settings.timeout || DEFAULT_TIMEOUT;
+  const absolute = path.resolve(projectRoot, file);
+  const relative = path.relative(projectRoot, absolute) || path.basename(absolute);
+  const tools = toolsFor(absolute, settings);
+
+  const result = {
+    extension: tools.ext,
+    attempted: false,
+    status: 'unavailable',
+    formatter: null,
+    changed: false,
+    diff: '',
+    error: null,
+    lint: null,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (tools.disabled) {
+    result.status = 'disabled';
+    return result;
+  }
+
+  const original = fs.readFileSync(absolute, 'utf8');
+  let content = original;
+
+  const { tool: formatter, skipped } = firstAvailable(
+    tools.formatters,
+    FORMATTERS,
+    absolute,
+    projectRoot,
+    tools.explicit,
+  );
+
+  if (!formatter) {
+    result.error = skipped.map((tool) => `${tool.name}: ${tool.error}`).join('; ') || null;
+  } else {
+    result.attempted = true;
+    result.formatter = formatter.name;
+    const output = run(formatter, original, projectRoot, timeout);
+    result.durationMs = output.durationMs;
+
+    if (output.error || output.status !== 0 || (!output.stdout && original)) {
+      // The file keeps its edited content when the formatter fails
+      result.status = 'failed';
+      result.error =
+        output.error?.code === 'ETIMEDOUT'
+          ? `${formatter.name} timed out after ${timeout}ms`
+          : output.error?.message ||
+            output.stderr ||
+            `${formatter.name} exited with ${output.status}`;
+    } else if (output.stdout === original) {
+      result.status = 'unchanged';
+    } else {
+      result.diff = unifiedDiff(original, output.stdout, relative);
+      replaceFile(absolute, output.stdout);
+      content = output.stdout;
+      result.status = 'formatted';
+      result.changed = true;
+    }
+  }
+
+  const { tool: linter } = firstAvailable(tools.linters, LINTERS, absolute, projectRoot);
+
+  if (linter) {
+    const output = run(linter, content, projectRoot, timeout);
+    const lint = { linter: linter.name, status: 'ok', diagnostics: [] };
+    try {
+      if (output.error) throw output.error;
+      lint.diagnostics = parseDiagnostics(linter.format, output.stdout);
+    } catch (error) {
+      lint.status = 'failed';
+      lint.error = output.stderr || error.message;
+    }
+    lint.errorCount = lint.diagnostics.filter((d) => d.severity === 'error').length;
+    lint.warningCount = lint.diagnostics.length - lint.errorCount;
+    result.lint = lint;
+  }
+
+  return result;
+}
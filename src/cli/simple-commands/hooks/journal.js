@@ -0,0 +1,369 @@
+/**
+ * Correlated journal of hook executions
+ *
+ * Every hook invocation is appended to the hooks:journal namespace as an
+ * event carrying its session, task, agent and parent IDs. Pre and post
+ * hooks for the same task, file or command are paired: the post event
+ * points back at its pre event (correlationId) and records the duration
+ * between them. The open pairs and the active task stack live in
+ * hooks:context so separate hook processes can find each other.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { evaluateBashCommand } from './bash-policy.js';
+
+export const JOURNAL_NAMESPACE = 'hooks:journal';
+const CONTEXT_NAMESPACE = 'hooks:context';
+const CURRENT_SESSION_KEY = 'session:current';
+// Events kept in the journal; each write prunes the oldest beyond this
+const MAX_EVENTS = 10000;
+
+/**
+ * Hooks that open or close a pair, and the kind of thing they pair on
+ */
+const PAIRED_HOOKS = {
+  'pre-task': { kind: 'task', phase: 'open' },
+  'post-task': { kind: 'task', phase: 'close' },
+  'pre-edit': { kind: 'edit', phase: 'open' },
+  'post-edit': { kind: 'edit', phase: 'close' },
+  'pre-bash': { kind: 'bash', phase: 'open' },
+  'post-bash': { kind: 'bash', phase: 'close' },
+};
+
+const ICONS = {
+  task: '📋',
+  edit: '✏️ ',
+  bash: '🔧',
+  'post-search': '🔍',
+  'mcp-initialized': '🔌',
+  'agent-spawned': '🤖',
+  'task-orchestrated': '🎭',
+  'neural-trained': '🧠',
+  'session-end': '🔚',
+  'session-restore': '🔄',
+  notify: '📢',
+};
+
+function eventId() {
+  return `evt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function subjectKey(kind, subject) {
+  if (kind === 'edit') return path.resolve(subject);
+  if (kind === 'bash') return crypto.createHash('sha1').update(subject).digest('hex');
+  return subject;
+}
+
+function openKey(kind, sessionId, subject) {
+  return `open:${kind}:${sessionId}:${subjectKey(kind, subject)}`;
+}
+
+async function retrieveList(store, key) {
+  return (await store.retrieve(key, { namespace: CONTEXT_NAMESPACE })) || [];
+}
+
+async function storeList(store, key, list) {
+  if (list.length) {
+    await store.store(key, list, { namespace: CONTEXT_NAMESPACE });
+  } else {
+    await store.delete(key, { namespace: CONTEXT_NAMESPACE });
+  }
+}
+
+/**
+ * The session new hook events are attached to, or null
+ */
+export async function getCurrentSession(store) {
+  const current = await store.retrieve(CURRENT_SESSION_KEY, { namespace: CONTEXT_NAMESPACE });
+  return current?.sessionId || null;
+}
+
+/**
+ * Attach later hook events to sessionId; null ends the current session
+ */
+export async function setCurrentSession(store, sessionId) {
+  if (!sessionId) {
+    await store.delete(CURRENT_SESSION_KEY, { namespace: CONTEXT_NAMESPACE });
+    return;
+  }
+  await store.store(
+    CURRENT_SESSION_KEY,
+    { sessionId, since: new Date().toISOString() },
+    { namespace: CONTEXT_NAMESPACE },
+  );
+}
+
+/**
+ * Resolve the correlation IDs for one hook invocation.
+ *
+ * IDs come from --session-id/--task-id/--agent-id/--parent-id, then the
+ * Claude Code hook payload (session_id), then CLAUDE_FLOW_SESSION_ID,
+ * CLAUDE_FLOW_TASK_ID and CLAUDE_FLOW_AGENT_ID, then the current session
+ * and its active task. `subject` is the task ID, file or command the hook
+ * pairs on; for post hooks the matching open pre event becomes both the
+ * correlation and the default parent.
+ *
+ * Returns { eventId, sessionId, taskId, agentId, parentId, correlationId }.
+ */
+export async function resolveHookContext(store, hook, flags = {}, options = {}) {
+  const env = options.env || process.env;
+  const pairing = PAIRED_HOOKS[hook];
+
+  let sessionId =
+    flags['session-id'] ||
+    flags.sessionId ||
+    options.hookInput?.session_id ||
+    env.CLAUDE_FLOW_SESSION_ID ||
+    null;
+  const current = await getCurrentSession(store);
+  if (!sessionId) {
+    sessionId = current || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+  if (sessionId !== current) await setCurrentSession(store, sessionId);
+
+  const tasks = await retrieveList(store, `tasks:${sessionId}`);
+  const activeTask = tasks[tasks.length - 1];
+  const explicitTask = flags['task-id'] || flags.taskId || env.CLAUDE_FLOW_TASK_ID || null;
+
+  let taskId;
+  let taskEventId = null;
+  if (hook === 'pre-task') {
+    // A new task nests inside whatever task is active
+    taskId = options.subject || explicitTask;
+    taskEventId = activeTask && activeTask.taskId !== taskId ? activeTask.eventId : null;
+  } else {
+    taskId = explicitTask || activeTask?.taskId || null;
+    const task = taskId
+      ? [...tasks].reverse().find((t) => t.taskId === taskId) ||
+        (await store.retrieve(`task:${taskId}`, { namespace: CONTEXT_NAMESPACE }))
+      : null;
+    taskEventId = task?.eventId || null;
+  }
+
+  let correlationId = null;
+  if (pairing?.phase === 'close' && options.subject) {
+    const open = await retrieveList(store, openKey(pairing.kind, sessionId, options.subject));
+    correlationId = open[open.length - 1]?.eventId || null;
+  }
+
+  const agentId =
+    flags['agent-id'] ||
+    flags.agentId ||
+    env.CLAUDE_FLOW_AGENT_ID ||
+    (activeTask && activeTask.taskId === taskId ? activeTask.agentId : null) ||
+    null;
+
+  return {
+    eventId: eventId(),
+    sessionId,
+    taskId,
+    agentId,
+    parentId: flags['parent-id'] || flags.parentId || correlationId || taskEventId,
+    correlationId,
+  };
+}
+
+/**
+ * Append a hook event and update the open pairs and task stack. The journal
+ * keeps the newest options.maxEvents events (default 10000).
+ *
+ * details: { subject, summary, record: { key, namespace }, data, status,
+ *            exitCode, durationMs }
+ */
+export async function recordHookEvent(store, hook, context, details = {}, options = {}) {
+  const pairing = PAIRED_HOOKS[hook];
+  const now = new Date();
+  let durationMs = details.durationMs ?? null;
+
+  if (pairing && details.subject) {
+    const key = openKey(pairing.kind, context.sessionId, details.subject);
+    const open = await retrieveList(store, key);
+
+    if (pairing.phase === 'open') {
+      open.push({ eventId: context.eventId, startedAt: now.toISOString() });
+    } else {
+      const index = open.findIndex((entry) => entry.eventId === context.correlationId);
+      if (index !== -1) {
+        const [pre] = open.splice(index, 1);
+        if (!durationMs) durationMs = now.getTime() - new Date(pre.startedAt).getTime();
+      }
+    }
+    await storeList(store, key, open);
+  }
+
+  if (hook === 'pre-task' || hook === 'post-task') {
+    const stackKey = `tasks:${context.sessionId}`;
+    const tasks = (await retrieveList(store, stackKey)).filter((t) => t.taskId !== context.taskId);
+    if (hook === 'pre-task') {
+      const task = { taskId: context.taskId, agentId: context.agentId, eventId: context.eventId };
+      tasks.push(task);
+      await store.store(`task:${context.taskId}`, task, { namespace: CONTEXT_NAMESPACE });
+    }
+    await storeList(store, stackKey, tasks);
+  }
+
+  const event = {
+    id: context.eventId,
+    hook,
+    sessionId: context.sessionId,
+    taskId: context.taskId,
+    agentId: context.agentId,
+    parentId: context.parentId,
+    correlationId: context.correlationId,
+    timestamp: now.toISOString(),
+    // Sub-millisecond and comparable across processes, for ordering
+    time: performance.timeOrigin + performance.now(),
+    durationMs,
+    exitCode: details.exitCode ?? null,
+    status: details.status || null,
+    summary: details.summary || null,
+    record: details.record || null,
+    data: details.data || null,
+  };
+
+  const tags = [`session:${event.sessionId}`, `hook:${hook}`];
+  if (event.taskId) tags.push(`task:${event.taskId}`);
+  if (event.agentId) tags.push(`agent:${event.agentId}`);
+
+  await store.store(`event:${event.id}`, event, {
+    namespace: JOURNAL_NAMESPACE,
+    tags,
+    metadata: { hookType: hook, sessionId: event.sessionId },
+  });
+  await store.prune({ namespace: JOURNAL_NAMESPACE, keep: options.maxEvents || MAX_EVENTS });
+  return event;
+}
+
+/**
+ * Journal events in order, filtered by session and/or task
+ */
+export async function listHookEvents(store, filter = {}) {
+  const tags = [];
+  if (filter.sessionId) tags.push(`session:${filter.sessionId}`);
+  if (filter.taskId) tags.push(`task:${filter.taskId}`);
+
+  const entries = await store.search('', {
+    namespace: JOURNAL_NAMESPACE,
+    tags,
+    limit: filter.limit || MAX_EVENTS,
+  });
+  return entries.map((entry) => entry.value).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * The session of the most recent journal event, or null
+ */
+export async function latestSession(store) {
+  const [latest] = await store.list({ namespace: JOURNAL_NAMESPACE, limit: 1 });
+  return latest?.value.sessionId || null;
+}
+
+/**
+ * Fold paired events into timeline entries nested under their parents
+ */
+export function buildTimeline(events) {
+  const closing = new Map();
+  for (const event of events) {
+    if (event.correlationId) closing.set(event.correlationId, event);
+  }
+
+  const entryByEvent = new Map();
+  const entries = [];
+  for (const event of events) {
+    if (event.correlationId && entryByEvent.has(event.correlationId)) continue;
+
+    const end = closing.get(event.id) || null;
+    const pairing = PAIRED_HOOKS[event.hook];
+    const parent = entryByEvent.get(event.parentId);
+    const entry = {
+      id: event.id,
+      kind: pairing?.kind || event.hook,
+      hook: event.hook,
+      timestamp: event.timestamp,
+      depth: parent ? parent.depth + 1 : 0,
+      sessionId: event.sessionId,
+      taskId: event.taskId,
+      agentId: event.agentId,
+      parentId: event.parentId,
+      summary: event.summary || end?.summary || null,
+      status: end?.status || event.status,
+      durationMs: end ? end.durationMs : event.durationMs,
+      exitCode: end ? end.exitCode : event.exitCode,
+      open: pairing?.phase === 'open' && !end,
+      events: end ? [event.id, end.id] : [event.id],
+    };
+
+    entryByEvent.set(event.id, entry);
+    if (end) entryByEvent.set(end.id, entry);
+    entries.push(entry);
+  }
+  return entries;
+}
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+/**
+ * Render timeline entries as text lines
+ */
+export function formatTimeline(entries) {
+  return entries.map((entry) => {
+    const time = entry.timestamp.slice(11, 23);
+    const indent = '  '.repeat(entry.depth);
+    const details = [];
+    if (entry.durationMs !== null && entry.durationMs !== undefined) {
+      details.push(formatDuration(entry.durationMs));
+    }
+    if (entry.exitCode !== null && entry.exitCode !== undefined) {
+      details.push(`exit ${entry.exitCode}`);
+    }
+    if (entry.status) details.push(entry.status);
+    if (entry.open) details.push('no post hook');
+    if (entry.agentId && entry.kind === 'task') details.push(`agent ${entry.agentId}`);
+
+    const icon = ICONS[entry.kind] || '•';
+    const label = entry.kind === 'task' ? `task ${entry.taskId}` : entry.kind;
+    const summary = entry.summary && entry.summary !== entry.taskId ? `  ${entry.summary}` : '';
+    const suffix = details.length ? `  (${details.join(', ')})` : '';
+    return `${time}  ${indent}${icon} ${label}${summary}${suffix}`;
+  });
+}
+
+/**
+ * Re-evaluate journaled shell commands against a bash policy without
+ * running them. Returns one result per command with the recorded and the
+ * current decision.
+ */
+export function replayBashCommands(events, options = {}) {
+  return events
+    .filter(
+      (event) =>
+        event.data?.command &&
+        (event.hook === 'pre-bash' || (event.hook === 'post-bash' && !event.correlationId)),
+    )
+    .map((event) => {
+      const evaluation = evaluateBashCommand(event.data.command, {
+        cwd: event.data.workingDir || options.cwd || process.cwd(),
+        projectRoot: options.projectRoot,
+        policy: options.policy,
+      });
+      const recorded = event.data.decision || null;
+      return {
+        eventId: event.id,
+        timestamp: event.timestamp,
+        sessionId: event.sessionId,
+        taskId: event.taskId,
+        command: event.data.command,
+        recorded,
+        decision: evaluation.decision,
+        reason: evaluation.reason,
+        changed: recorded !== null && recorded !== evaluation.decision,
+      };
+    });
+}
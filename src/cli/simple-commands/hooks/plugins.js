@@ -0,0 +1,276 @@
+/**
+ * Project hook plugins
+ *
+ * Handlers are discovered in .claude-flow/hooks/*.{js,mjs,cjs}. A module's
+ * default export (module.exports for CommonJS) is one handler or an array:
+ *
+ *   {
+ *     name: 'secret-scan',        // defaults to the file name
+ *     events: ['pre-commit'],     // built-in hook names or custom events
+ *     order: 10,                  // lower runs first (default 100)
+ *     timeout: 5000,              // ms (default 10000)
+ *     failClosed: true,           // an error or timeout blocks (alias: required)
+ *     async handler(ctx) {        // ctx: event, args, flags, cwd, store,
+ *       return { block: true, reason: '...' };  // context, signal, exec, log
+ *     },
+ *   }
+ *
+ * Handlers run one at a time. Every dispatch of an event passes through
+ * HookCircuitBreaker, and commands started with ctx.exec are checked by
+ * HookCommandValidator. Commands that start claude are also charged
+ * against the breaker's cost caps.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { HookCircuitBreaker, HookCommandValidator, HookContextManager } from '../hook-safety.js';
+
+export const PLUGIN_DIR = path.join('.claude-flow', 'hooks');
+
+const DEFAULT_ORDER = 100;
+const DEFAULT_TIMEOUT = 10000;
+const PLUGIN_FILE = /\.(c|m)?js$/;
+
+// Plugins may subscribe to either name of an aliased hook
+const EVENT_ALIASES = { 'pre-command': 'pre-bash', 'post-command': 'post-bash' };
+
+export function normalizeEvent(event) {
+  return EVENT_ALIASES[event] || event;
+}
+
+function validatePlugin(definition, file, index) {
+  const where = index > 0 ? `${file}[${index}]` : file;
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`${where}: a hook handler must be an object`);
+  }
+
+  const name = definition.name ?? path.basename(file).replace(PLUGIN_FILE, '');
+  const { events, handler, order = DEFAULT_ORDER, timeout = DEFAULT_TIMEOUT } = definition;
+  const failClosed = definition.failClosed ?? definition.required ?? false;
+
+  if (typeof name !== 'string' || !name) throw new Error(`${where}: name must be a string`);
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    !events.every((e) => typeof e === 'string')
+  ) {
+    throw new Error(`${where}: events must be a non-empty list of event names`);
+  }
+  if (typeof handler !== 'function') throw new Error(`${where}: handler must be a function`);
+  if (!Number.isFinite(order)) throw new Error(`${where}: order must be a number`);
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    throw new Error(`${where}: timeout must be a positive number of milliseconds`);
+  }
+  if (typeof failClosed !== 'boolean') throw new Error(`${where}: failClosed must be a boolean`);
+
+  return { name, events: events.map(normalizeEvent), order, timeout, failClosed, handler, file };
+}
+
+/**
+ * Load every handler in the plugin directory. A broken file is reported in
+ * `errors` and does not stop the others from loading.
+ *
+ * Returns { dir, plugins, errors: [{ file, error }] }.
+ */
+export async function loadHookPlugins(options = {}) {
+  const dir = path.resolve(options.cwd || process.cwd(), options.dir || PLUGIN_DIR);
+  const plugins = [];
+  const errors = [];
+
+  if (!fs.existsSync(dir)) return { dir, plugins, errors };
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => PLUGIN_FILE.test(file))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      const definitions = [].concat(module.default ?? []);
+      if (definitions.length === 0) throw new Error(`${file}: no hook handler exported`);
+      definitions.forEach((definition, index) => {
+        plugins.push(validatePlugin(definition, file, index));
+      });
+    } catch (error) {
+      errors.push({ file, error: error.message });
+    }
+  }
+
+  return { dir, plugins, errors };
+}
+
+/**
+ * Handlers subscribed to an event, in run order
+ */
+export function pluginsFor(plugins, event) {
+  const name = normalizeEvent(event);
+  return plugins
+    .filter((plugin) => plugin.events.includes(name))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+/**
+ * Run a shell command for a handler after the hook command checks.
+ * Resolves { stdout, stderr, exitCode }; rejects when the validator or the
+ * circuit breaker blocks the command, or the handler is aborted.
+ */
+function createExec(event, { cwd, signal, log, sessionId }) {
+  return (command, options = {}) => {
+    const validation = HookCommandValidator.validateCommand(command, event);
+    for (const warning of validation.warnings) log(warning.message);
+    if (!validation.safe) {
+      return Promise.reject(new Error(validation.errors.map((e) => e.message).join('\n')));
+    }
+
+    const cost = HookCircuitBreaker.commandCost(command);
+    if (cost > 0) {
+      try {
+        HookCircuitBreaker.checkExecution('claude', { sessionId, cost });
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        shell: true,
+        cwd: options.cwd || cwd,
+        env: { ...process.env, ...options.env },
+        signal,
+      });
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (chunk) => (stdout += chunk));
+      child.stderr.on('data', (chunk) => (stderr += chunk));
+      if (options.input !== undefined) child.stdin.end(options.input);
+      else child.stdin.end();
+      child.on('error', reject);
+      child.on('close', (exitCode) => resolve({ stdout, stderr, exitCode }));
+    });
+  };
+}
+
+async function runWithTimeout(plugin, ctx) {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(Object.assign(new Error(`Timed out after ${plugin.timeout}ms`), { timeout: true }));
+    }, plugin.timeout);
+  });
+
+  try {
+    const handlerCtx = {
+      ...ctx,
+      signal: controller.signal,
+      exec: createExec(ctx.event, {
+        cwd: ctx.cwd,
+        signal: controller.signal,
+        log: ctx.log,
+        sessionId: ctx.context?.sessionId,
+      }),
+    };
+    return await Promise.race([Promise.resolve().then(() => plugin.handler(handlerCtx)), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run the handlers subscribed to `event` in order. A handler that returns
+ * { block: true } stops the remaining ones. An open circuit breaker skips
+ * the event without blocking it, so a runaway Stop loop is let to end.
+ * Failures and timeouts are reported; they block only for a handler marked
+ * failClosed.
+ *
+ * ctx: { args, flags, input, cwd, store, context, log, checkCircuit }
+ *   input: the Claude Code hook payload read from stdin, or null
+ *   checkCircuit: false when the caller already counted this dispatch
+ * Returns { event, blocked, skipped, reason, results: [{ plugin, file,
+ *   status, durationMs, reason, error, result }] } where status is 'ok',
+ *   'blocked', 'failed', 'timeout' or 'skipped'.
+ */
+export async function runHookPlugins(plugins, event, ctx = {}) {
+  const name = normalizeEvent(event);
+  const log = ctx.log || console.log;
+  const results = [];
+  let blockedBy = null;
+
+  const subscribed = pluginsFor(plugins, name);
+  if (subscribed.length === 0) {
+    return { event: name, blocked: false, skipped: false, reason: null, results };
+  }
+
+  // A tripped breaker skips the event; it is a runaway-loop guard, not a plugin failure
+  try {
+    if (ctx.checkCircuit !== false) {
+      HookCircuitBreaker.checkExecution(name, { sessionId: ctx.context?.sessionId });
+    }
+  } catch (error) {
+    return {
+      event: name,
+      blocked: false,
+      skipped: true,
+      reason: error.message,
+      results: subscribed.map((plugin) => ({
+        plugin: plugin.name,
+        file: plugin.file,
+        status: 'skipped',
+        durationMs: 0,
+        reason: 'Circuit breaker open',
+      })),
+    };
+  }
+
+  const previous = HookContextManager.getContext();
+  HookContextManager.setContext(name, previous.depth + 1);
+
+  try {
+    for (const plugin of subscribed) {
+      const entry = { plugin: plugin.name, file: plugin.file, status: 'ok', durationMs: 0 };
+      results.push(entry);
+
+      if (blockedBy) {
+        entry.status = 'skipped';
+        entry.reason = `Blocked by ${blockedBy.plugin}`;
+        continue;
+      }
+
+      const started = Date.now();
+      try {
+        const result = await runWithTimeout(plugin, { ...ctx, event: name, log });
+        if (result && typeof result === 'object') {
+          entry.result = result;
+          if (result.block) {
+            entry.status = 'blocked';
+            entry.reason = result.reason || `Blocked by ${plugin.name}`;
+            blockedBy = entry;
+          }
+        }
+      } catch (error) {
+        entry.status = error.timeout ? 'timeout' : 'failed';
+        entry.error = error.message;
+        if (plugin.failClosed) {
+          entry.reason = `${plugin.name} ${error.timeout ? 'timed out' : 'failed'}: ${error.message}`;
+          blockedBy = entry;
+        }
+      }
+      entry.durationMs = Date.now() - started;
+    }
+  } finally {
+    if (previous.type) HookContextManager.setContext(previous.type, previous.depth);
+    else HookContextManager.clearContext();
+  }
+
+  return {
+    event: name,
+    blocked: Boolean(blockedBy),
+    skipped: false,
+    reason: blockedBy?.reason || null,
+    results,
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * Read-only (analysis) sessions
+ *
+ * `swarm --read-only` flags its session in the hooks:read-only namespace
+ * and launches Claude Code with a generated settings file. The settings
+ * deny the edit tools and common mutating shell commands, and route Write,
+ * Edit and Bash calls through the pre-edit and pre-bash hooks. For a
+ * flagged session those hooks reject anything that could change files and
+ * record the attempt as a violation for the session-end report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { evaluateBashCommand, READ_ONLY_POLICY } from './bash-policy.js';
+
+export const READ_ONLY_NAMESPACE = 'hooks:read-only';
+export const READ_ONLY_DIR = path.join('.claude-flow', 'read-only');
+export const EDIT_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+// Tools a read-only session may use without asking. MCP tools are listed
+// one by one: only those that read state, never write files or run commands.
+const READ_TOOLS = [
+  'Read',
+  'Glob',
+  'Grep',
+  'LS',
+  'WebFetch',
+  'WebSearch',
+  'TodoWrite',
+  'Task',
+  ...[
+    'swarm_status',
+    'swarm_monitor',
+    'agent_list',
+    'agent_metrics',
+    'task_status',
+    'task_results',
+    'memory_search',
+    'memory_analytics',
+    'usage_stats',
+    'features_detect',
+    'health_check',
+  ].map((tool) => `mcp__claude-flow__${tool}`),
+];
+
+// Denied by Claude Code itself, before any hook runs
+const DENIED_COMMANDS = [
+  'rm *',
+  'rmdir *',
+  'mv *',
+  'cp *',
+  'mkdir *',
+  'touch *',
+  'chmod *',
+  'chown *',
+  'ln *',
+  'dd *',
+  'tee *',
+  'truncate *',
+  'sed -i *',
+  'git add *',
+  'git commit *',
+  'git push *',
+  'git reset *',
+  'git checkout *',
+  'git merge *',
+  'git rebase *',
+  'git stash *',
+  'git clean *',
+  'npm install *',
+  'npm publish *',
+  'yarn add *',
+  'pnpm add *',
+];
+
+/**
+ * Flag a session as read-only
+ */
+export async function markReadOnlySession(store, sessionId, details = {}) {
+  const record = { sessionId, readOnly: true, since: new Date().toISOString(), ...details };
+  await store.store(`session:${sessionId}`, record, {
+    namespace: READ_ONLY_NAMESPACE,
+    tags: [`session:${sessionId}`],
+  });
+  return record;
+}
+
+/**
+ * The read-only record of the hook's session, or null. Claude Code reports
+ * its own session id to hooks, so CLAUDE_FLOW_SESSION_ID is checked too.
+ */
+export async function findReadOnlySession(store, sessionId, env = process.env) {
+  for (const candidate of [sessionId, env.CLAUDE_FLOW_SESSION_ID]) {
+    if (!candidate) continue;
+    const record = await store.retrieve(`session:${candidate}`, {
+      namespace: READ_ONLY_NAMESPACE,
+    });
+    if (record?.readOnly) return record;
+  }
+  return null;
+}
+
+/**
+ * Record a blocked mutation attempt. violation: { tool, target, reason, agentId }
+ */
+export async function recordReadOnlyViolation(store, sessionId, violation) {
+  const record = {
+    id: `violation-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    sessionId,
+    tool: violation.tool,
+    target: violation.target,
+    reason: violation.reason,
+    agentId: violation.agentId || null,
+    timestamp: new Date().toISOString(),
+  };
+  await store.store(record.id, record, {
+    namespace: READ_ONLY_NAMESPACE,
+    tags: [`session:${sessionId}`, 'violation'],
+  });
+  return record;
+}
+
+/**
+ * Violations of a session, oldest first
+ */
+export async function listReadOnlyViolations(store, sessionId) {
+  const entries = await store.search('', {
+    namespace: READ_ONLY_NAMESPACE,
+    tags: [`session:${sessionId}`, 'violation'],
+    limit: 1000,
+  });
+  return entries.map((entry) => entry.value).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Whether a read-only settings file was generated for the hook's session.
+ * Used when the memory store cannot be read, so a flagged session still
+ * fails closed.
+ */
+export function hasReadOnlySettings(sessionId, options = {}) {
+  const env = options.env || process.env;
+  return [sessionId, env.CLAUDE_FLOW_SESSION_ID].some(
+    (candidate) => candidate && fs.existsSync(settingsFile(candidate, options.cwd)),
+  );
+}
+
+/**
+ * Check a shell command for a read-only session. Anything the read-only
+ * policy does not explicitly allow is denied.
+ */
+export function checkReadOnlyCommand(command, options = {}) {
+  const evaluation = evaluateBashCommand(command, { ...options, policy: READ_ONLY_POLICY });
+  if (evaluation.decision === 'allow') return evaluation;
+
+  const blocked = evaluation.commands.find((entry) => entry.decision !== 'allow');
+  const why =
+    blocked && !blocked.rule && blocked.program
+      ? `${blocked.program} is not a known read-only command`
+      : blocked?.reason || evaluation.reason;
+  return {
+    ...evaluation,
+    decision: 'deny',
+    explicit: true,
+    reason: `Read-only session: ${why}`,
+  };
+}
+
+/**
+ * Claude Code settings for a read-only session
+ */
+export function buildReadOnlySettings(sessionId, options = {}) {
+  const hooks = options.hooksCommand || 'npx claude-flow@alpha hooks';
+  return {
+    permissions: {
+      defaultMode: 'default',
+      allow: READ_TOOLS,
+      deny: [
+        ...EDIT_TOOLS,
+        'mcp__claude-flow__terminal_execute',
+        ...DENIED_COMMANDS.map((command) => `Bash(${command})`),
+      ],
+    },
+    env: { CLAUDE_FLOW_SESSION_ID: sessionId },
+    hooks: {
+      PreToolUse: [
+        {
+          matcher: EDIT_TOOLS.join('|'),
+          hooks: [
+            { type: 'command', command: `${hooks} pre-edit --stdin --session-id ${sessionId}` },
+          ],
+        },
+        {
+          matcher: 'Bash',
+          hooks: [
+            { type: 'command', command: `${hooks} pre-bash --stdin --session-id ${sessionId}` },
+          ],
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Write the settings of a read-only session; returns the file path
+ */
+export function writeReadOnlySettings(sessionId, options = {}) {
+  const file = settingsFile(sessionId, options.cwd);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(buildReadOnlySettings(sessionId, options), null, 2));
+  return file;
+}
+
+function settingsFile(sessionId, cwd = process.cwd()) {
+  const name = `${String(sessionId).replace(/[^A-Za-z0-9._-]+/g, '-')}.json`;
+  return path.join(path.resolve(cwd, READ_ONLY_DIR), name);
+}
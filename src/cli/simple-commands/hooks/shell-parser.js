@@ -0,0 +1,551 @@
+/**
+ * Shell command parser for the pre-bash policy engine
+ *
+ * Turns a command line into the list of simple commands it would run:
+ * pipelines, && / || / ; lists, subshells, $(...) and `...` substitutions,
+ * `sh -c` / `eval` strings, `find -exec` and wrappers such as sudo, env or
+ * xargs are all unfolded. Nothing is expanded or executed; words keep flags
+ * telling whether they contained globs or variable expansions.
+ */
+
+const OPERATORS = ['&&', '||', '|&', ';;', '|', ';', '&', '(', ')'];
+const REDIRECTS = ['&>>', '<<<', '<<-', '>>', '<<', '>&', '<&', '&>', '>|', '<>', '>', '<'];
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish']);
+const MAX_DEPTH = 8;
+
+/**
+ * Options of wrapper commands that take a separate value
+ */
+const WRAPPERS = {
+  sudo: { valueFlags: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-U'] },
+  doas: { valueFlags: ['-u', '-C'] },
+  env: { valueFlags: ['-u', '-C', '-S'], assignments: true },
+  nohup: {},
+  time: { valueFlags: ['-f', '-o'] },
+  nice: { valueFlags: ['-n'] },
+  ionice: { valueFlags: ['-c', '-n', '-p'] },
+  stdbuf: { valueFlags: ['-i', '-o', '-e'] },
+  timeout: { valueFlags: ['-s', '-k'], positional: 1 },
+  command: {},
+  exec: { valueFlags: ['-a'] },
+  builtin: {},
+  xargs: { valueFlags: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s'] },
+  // Multi-call binaries: `busybox rm` is rm
+  busybox: {},
+  toybox: {},
+};
+
+export class ShellParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'ShellParseError';
+    this.position = position;
+  }
+}
+
+/**
+ * Index just past the ')' that closes the '(' at `start`, honouring quotes
+ */
+function findClosingParen(source, start) {
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === "'") {
+      const end = source.indexOf("'", i + 1);
+      if (end === -1) break;
+      i = end;
+    } else if (char === '"') {
+      i = findClosingQuote(source, i);
+      if (i === -1) break;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  throw new ShellParseError('Unterminated command substitution', start);
+}
+
+function findClosingQuote(source, start) {
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === '"') return i;
+  }
+  return -1;
+}
+
+function findClosingBacktick(source, start) {
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === '`') return i;
+  }
+  throw new ShellParseError('Unterminated backtick substitution', start);
+}
+
+/**
+ * Split a command line into word, operator and redirect tokens
+ */
+export function tokenize(source) {
+  const tokens = [];
+  const pendingHeredocs = [];
+  let word = null;
+  let i = 0;
+
+  const current = () => {
+    if (!word) {
+      word = {
+        type: 'word',
+        value: '',
+        quoted: false,
+        glob: false,
+        expansion: false,
+        substitutions: [],
+        // '$' for $(...) and `...`, '<' or '>' for process substitutions
+        substitutionKinds: [],
+      };
+    }
+    return word;
+  };
+
+  const endWord = () => {
+    if (word) tokens.push(word);
+    word = null;
+  };
+
+  const readSubstitution = (start, end, bodyStart, bodyEnd, kind = '$') => {
+    const w = current();
+    w.substitutions.push(source.slice(bodyStart, bodyEnd));
+    w.substitutionKinds.push(kind);
+    w.expansion = true;
+    w.value += source.slice(start, end);
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    // Heredoc bodies are data, not commands
+    if (char === '\n') {
+      endWord();
+      tokens.push({ type: 'op', value: ';' });
+      i++;
+      while (pendingHeredocs.length > 0) {
+        const { delimiter, stripTabs } = pendingHeredocs.shift();
+        let lineEnd;
+        do {
+          lineEnd = source.indexOf('\n', i);
+          if (lineEnd === -1) lineEnd = source.length;
+          const line = source.slice(i, lineEnd);
+          i = lineEnd + 1;
+          if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+        } while (lineEnd < source.length);
+      }
+      continue;
+    }
+
+    if (char === ' ' || char === '\t') {
+      endWord();
+      i++;
+      continue;
+    }
+
+    if (char === '#' && !word) {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+
+    if (char === '\\') {
+      if (source[i + 1] === '\n') {
+        i += 2;
+        continue;
+      }
+      current().value += source[i + 1] ?? '';
+      current().quoted = true;
+      i += 2;
+      continue;
+    }
+
+    if (char === "'") {
+      const end = source.indexOf("'", i + 1);
+      if (end === -1) throw new ShellParseError('Unterminated single quote', i);
+      current().value += source.slice(i + 1, end);
+      current().quoted = true;
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '"') {
+      const end = findClosingQuote(source, i);
+      if (end === -1) throw new ShellParseError('Unterminated double quote', i);
+      const w = current();
+      w.quoted = true;
+      for (let j = i + 1; j < end; j++) {
+        const inner = source[j];
+        if (inner === '\\' && '$`"\\\n'.includes(source[j + 1])) {
+          w.value += source[j + 1];
+          j++;
+        } else if (inner === '$' && source[j + 1] === '(') {
+          const close = findClosingParen(source, j + 1);
+          readSubstitution(j, close, j + 2, close - 1);
+          j = close - 1;
+        } else if (inner === '`') {
+          const close = findClosingBacktick(source, j);
+          readSubstitution(j, close + 1, j + 1, close);
+          j = close;
+        } else {
+          if (inner === '$' && /[A-Za-z_{@*#?$!0-9]/.test(source[j + 1] || '')) w.expansion = true;
+          w.value += inner;
+        }
+      }
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '$' && source[i + 1] === '(') {
+      const close = findClosingParen(source, i + 1);
+      if (source[i + 2] === '(') {
+        // $(( arithmetic )) runs nothing
+        current().value += source.slice(i, close);
+        current().expansion = true;
+      } else {
+        readSubstitution(i, close, i + 2, close - 1);
+      }
+      i = close;
+      continue;
+    }
+
+    if (char === '`') {
+      const close = findClosingBacktick(source, i);
+      readSubstitution(i, close + 1, i + 1, close);
+      i = close + 1;
+      continue;
+    }
+
+    if ((char === '<' || char === '>') && source[i + 1] === '(') {
+      const close = findClosingParen(source, i + 1);
+      readSubstitution(i, close, i + 2, close - 1, char);
+      i = close;
+      continue;
+    }
+
+    const redirect = REDIRECTS.find((op) => source.startsWith(op, i));
+    if (redirect) {
+      // "2>" and friends: a bare number right before the operator is its fd
+      let fd = null;
+      if (word && !word.quoted && /^\d+$/.test(word.value)) {
+        fd = Number(word.value);
+        word = null;
+      }
+      endWord();
+      tokens.push({ type: 'redirect', op: redirect, fd });
+      i += redirect.length;
+
+      if (redirect === '<<' || redirect === '<<-') {
+        const match = /^[ \t]*(['"]?)([A-Za-z0-9_\-.]+)\1/.exec(source.slice(i));
+        if (match) {
+          pendingHeredocs.push({ delimiter: match[2], stripTabs: redirect === '<<-' });
+        }
+      }
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => source.startsWith(op, i));
+    if (operator) {
+      endWord();
+      tokens.push({ type: 'op', value: operator });
+      i += operator.length;
+      continue;
+    }
+
+    const w = current();
+    if ('*?['.includes(char)) w.glob = true;
+    if (char === '$' && /[A-Za-z_{@*#?$!0-9]/.test(source[i + 1] || '')) w.expansion = true;
+    w.value += char;
+    i++;
+  }
+
+  endWord();
+  return tokens;
+}
+
+function basename(program) {
+  return program.split('/').pop();
+}
+
+function isAssignment(word) {
+  return /^[A-Za-z_][A-Za-z0-9_]*=/.test(word.value);
+}
+
+/**
+ * Strip wrapper commands (sudo, env, timeout, ...) off the front of argv
+ */
+function unwrap(words, env) {
+  const wrappers = [];
+
+  while (words.length > 0) {
+    const name = basename(words[0].value);
+    const spec = WRAPPERS[name];
+    if (!spec) break;
+
+    wrappers.push(name);
+    let index = 1;
+    let positional = spec.positional || 0;
+
+    while (index < words.length) {
+      const value = words[index].value;
+      if (value === '--') {
+        index++;
+        break;
+      }
+      if (spec.assignments && isAssignment(words[index])) {
+        const eq = value.indexOf('=');
+        env[value.slice(0, eq)] = value.slice(eq + 1);
+        index++;
+      } else if (value.startsWith('-') && value.length > 1) {
+        index += spec.valueFlags?.includes(value) ? 2 : 1;
+      } else if (positional > 0) {
+        positional--;
+        index++;
+      } else {
+        break;
+      }
+    }
+
+    words = words.slice(index);
+  }
+
+  return { words, wrappers };
+}
+
+/**
+ * Group tokens into simple commands joined by operators. Commands inside a
+ * function body are tagged with the function's name.
+ */
+function splitCommands(tokens) {
+  const segments = [];
+  let segment = { words: [], redirects: [], operator: null, subshell: 0 };
+  let subshell = 0;
+  // Brace groups that are open; function bodies carry the function's name
+  const braces = [];
+  let definedFunction = null;
+
+  const finish = (operator) => {
+    if (segment.words.length > 0 || segment.redirects.length > 0) {
+      segment.functionName = braces.findLast(Boolean) || null;
+      segments.push(segment);
+    }
+    segment = { words: [], redirects: [], operator, subshell };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+
+    if (token.type === 'redirect') {
+      const target = tokens[i + 1];
+      if (!target || target.type !== 'word') {
+        throw new ShellParseError(`Missing redirect target after ${token.op}`, i);
+      }
+      segment.redirects.push({ op: token.op, fd: token.fd, target });
+      i++;
+    } else if (
+      token.type === 'op' &&
+      token.value === '(' &&
+      next?.type === 'op' &&
+      next.value === ')' &&
+      functionHeader(segment.words)
+    ) {
+      // name() { ...; } defines a function rather than running anything
+      definedFunction = functionHeader(segment.words);
+      segment.words = [];
+      i++;
+    } else if (token.type === 'op') {
+      definedFunction = null;
+      if (token.value === '(') {
+        finish(segment.operator);
+        subshell++;
+        segment.subshell = subshell;
+      } else if (token.value === ')') {
+        finish(segment.operator);
+        subshell = Math.max(0, subshell - 1);
+        segment.subshell = subshell;
+      } else {
+        finish(token.value);
+      }
+    } else if (token.value === '{' && !token.quoted && functionHeader(segment.words, true)) {
+      // function name { ...; }
+      braces.push(functionHeader(segment.words, true));
+      segment.words = [];
+    } else if (
+      segment.words.length === 0 &&
+      (token.value === '{' || token.value === '}') &&
+      !token.quoted
+    ) {
+      // Brace groups only group; the commands inside are what matter
+      if (token.value === '{') braces.push(definedFunction);
+      else braces.pop();
+      definedFunction = null;
+    } else {
+      segment.words.push(token);
+    }
+  }
+  finish(null);
+
+  return segments;
+}
+
+/**
+ * The function name when `words` start a definition: `name` before () or
+ * `function name` (before () or, with `keywordOnly`, before {)
+ */
+function functionHeader(words, keywordOnly = false) {
+  const plain = (word) => !word.quoted && !word.expansion && /^[^\s=]+$/.test(word.value);
+  if (words.length === 2 && words[0].value === 'function' && plain(words[1])) {
+    return words[1].value;
+  }
+  if (!keywordOnly && words.length === 1 && plain(words[0])) return words[0].value;
+  return null;
+}
+
+function describe(words) {
+  return words.map((w) => w.value).join(' ');
+}
+
+/**
+ * Parse a command line into the simple commands it runs.
+ *
+ * Returns { commands, errors }. Each command has:
+ *   program     basename of the executable ('rm' for /bin/rm)
+ *   argv        program and arguments as written, quotes removed
+ *   args        arguments only
+ *   words       token objects for args ({ value, quoted, glob, expansion })
+ *   env         VAR=value prefixes
+ *   redirects   [{ op, fd, target }]
+ *   wrappers    wrapper commands that were stripped (sudo, env, xargs, ...)
+ *   pipedFrom   programs earlier in the same pipeline or in a <(...) argument
+ *   source      'command', 'substitution', 'shell -c', 'eval', 'find -exec' or 'xargs'
+ *   subshell    true when run inside ( ... )
+ *   dynamic     true when the program or script is only known at run time
+ *   recursive   true when a function calls itself, as in :(){ :|:& };:
+ */
+export function parseShellCommand(command, options = {}) {
+  const depth = options.depth || 0;
+  const source = options.source || 'command';
+  const commands = [];
+  const errors = [];
+
+  if (depth > MAX_DEPTH) {
+    return { commands, errors: ['Command nesting is too deep to analyze'] };
+  }
+
+  let tokens;
+  try {
+    tokens = tokenize(String(command ?? ''));
+  } catch (error) {
+    return { commands, errors: [error.message] };
+  }
+
+  let segments;
+  try {
+    segments = splitCommands(tokens);
+  } catch (error) {
+    return { commands, errors: [error.message] };
+  }
+
+  const nested = (text, nestedSource) => {
+    const result = parseShellCommand(text, { depth: depth + 1, source: nestedSource });
+    commands.push(...result.commands);
+    errors.push(...result.errors);
+    return result;
+  };
+
+  let pipeline = [];
+
+  for (const segment of segments) {
+    const env = {};
+    let words = [...segment.words];
+    while (words.length > 0 && isAssignment(words[0])) {
+      const value = words.shift().value;
+      const eq = value.indexOf('=');
+      env[value.slice(0, eq)] = value.slice(eq + 1);
+    }
+
+    const unwrapped = unwrap(words, env);
+    words = unwrapped.words;
+
+    const inPipe = segment.operator === '|' || segment.operator === '|&';
+    if (!inPipe) pipeline = [];
+
+    const program = words.length > 0 ? basename(words[0].value) : null;
+
+    // Substitutions run before the command itself. The command reads <(...)
+    // like a pipe, and >(...) reads from the command.
+    const fedBy = [];
+    for (const word of [...segment.words, ...segment.redirects.map((r) => r.target)]) {
+      word.substitutions.forEach((substitution, index) => {
+        const result = nested(substitution, 'substitution');
+        const kind = word.substitutionKinds[index];
+        if (kind === '<') fedBy.push(...result.commands.map((c) => c.program));
+        if (kind === '>' && program) {
+          for (const reader of result.commands) reader.pipedFrom.push(program);
+        }
+      });
+    }
+
+    if (words.length === 0) continue;
+
+    const args = words.slice(1);
+    const entry = {
+      program,
+      argv: words.map((w) => w.value),
+      args: args.map((w) => w.value),
+      words: args,
+      env,
+      redirects: segment.redirects.map((r) => ({ op: r.op, fd: r.fd, target: r.target.value })),
+      redirectWords: segment.redirects.map((r) => r.target),
+      wrappers: unwrapped.wrappers,
+      pipedFrom: [...pipeline, ...fedBy],
+      source: unwrapped.wrappers.includes('xargs') ? 'xargs' : source,
+      subshell: segment.subshell > 0,
+      dynamic: words[0].expansion,
+      recursive: !!segment.functionName && words[0].value === segment.functionName,
+      text: describe(words),
+    };
+    commands.push(entry);
+    pipeline.push(program);
+
+    // Strings handed to another shell are commands too
+    if (SHELLS.has(program)) {
+      const flagIndex = args.findIndex((w) => /^-[a-z]*c[a-z]*$/.test(w.value));
+      if (flagIndex !== -1 && args[flagIndex + 1]) {
+        const script = args[flagIndex + 1];
+        if (script.expansion && !script.substitutions.length) entry.dynamic = true;
+        nested(script.value, 'shell -c');
+      }
+    } else if (program === 'eval') {
+      if (args.some((w) => w.expansion)) entry.dynamic = true;
+      nested(args.map((w) => w.value).join(' '), 'eval');
+    } else if (program === 'find') {
+      for (let j = 0; j < args.length; j++) {
+        if (['-exec', '-execdir', '-ok', '-okdir'].includes(args[j].value)) {
+          const end = args.findIndex((w, k) => k > j && (w.value === ';' || w.value === '+'));
+          const execWords = args.slice(j + 1, end === -1 ? args.length : end);
+          nested(execWords.map((w) => quoteWord(w.value)).join(' '), 'find -exec');
+          j = end === -1 ? args.length : end;
+        }
+      }
+    }
+  }
+
+  return { commands, errors };
+}
+
+/**
+ * Quote a word so it survives another round of tokenizing
+ */
+function quoteWord(value) {
+  if (/^[A-Za-z0-9_\-./=:@%+,{}]+$/.test(value)) return value;
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
@@ -0,0 +1,118 @@
+/**
+ * Token usage from Claude Code transcripts
+ *
+ * Claude Code passes the session's transcript (JSONL) to hooks as
+ * transcript_path. Each assistant message carries the model and its token
+ * usage; the session-end hook records those as tokens.* metrics at the
+ * time the message was written. The read offset is kept in the metrics
+ * store, so a transcript is never counted twice however often the hook
+ * runs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MetricsStore, loadMetricsConfig } from '../../../memory/metrics-store.js';
+
+export const TOKEN_METRICS = {
+  input_tokens: 'tokens.input',
+  output_tokens: 'tokens.output',
+  cache_read_input_tokens: 'tokens.cache_read',
+  cache_creation_input_tokens: 'tokens.cache_write',
+};
+
+/**
+ * Metric points for the assistant messages in transcript lines. A message
+ * written in several lines (one per content block) is counted once.
+ */
+export function usagePointsFromLines(lines, seen = new Set()) {
+  const points = [];
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const message = entry?.message;
+    if (entry?.type !== 'assistant' || !message?.usage) continue;
+
+    const messageId = message.id || entry.uuid;
+    if (messageId) {
+      if (seen.has(messageId)) continue;
+      seen.add(messageId);
+    }
+
+    const labels = { model: message.model || 'unknown', source: 'claude-code' };
+    for (const [field, name] of Object.entries(TOKEN_METRICS)) {
+      const value = message.usage[field];
+      if (typeof value === 'number' && value > 0) {
+        points.push({ name, value, labels, timestamp: entry.timestamp, source: 'transcript' });
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Record the usage added to a transcript since the last call.
+ * Returns the number of points recorded.
+ */
+export async function ingestTranscriptUsage(metricsStore, transcriptPath) {
+  const file = path.resolve(transcriptPath);
+  await metricsStore.initialize();
+
+  const metaKey = `transcript:${file}`;
+  const saved = JSON.parse(metricsStore.getMeta(metaKey) || '{}');
+  const size = fs.statSync(file).size;
+  // A smaller file was rewritten; read it again from the start
+  const offset = saved.offset <= size ? saved.offset : 0;
+  if (offset === size) return 0;
+
+  const length = size - offset;
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Leave a partly written last line for the next run
+  const text = buffer.toString('utf8');
+  const end = text.lastIndexOf('\n') + 1;
+  if (end === 0) return 0;
+
+  const seen = new Set(saved.lastMessageId ? [saved.lastMessageId] : []);
+  const points = usagePointsFromLines(text.slice(0, end).split('\n').filter(Boolean), seen);
+  if (points.length > 0) await metricsStore.recordMany(points);
+
+  metricsStore.setMeta(
+    metaKey,
+    JSON.stringify({
+      offset: offset + Buffer.byteLength(text.slice(0, end)),
+      lastMessageId: [...seen].pop() || saved.lastMessageId || null,
+    }),
+  );
+  return points.length;
+}
+
+/**
+ * ingestTranscriptUsage against the project's metrics store; best effort
+ */
+export async function recordTranscriptUsage(transcriptPath, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const store = new MetricsStore({
+    directory: path.join(cwd, '.swarm'),
+    retention: loadMetricsConfig(cwd).retention,
+  });
+  try {
+    return await ingestTranscriptUsage(store, transcriptPath);
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] WARN [hooks] Could not read token usage from ${transcriptPath}: ${error.message}`,
+    );
+    return 0;
+  } finally {
+    store.close();
+  }
+}
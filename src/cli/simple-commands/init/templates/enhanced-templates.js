@@ -1265,8 +1265,7 @@ function createEnhancedSettingsJsonFallback() {
             hooks: [
               {
                 type: 'command',
-                command:
-                  'cat | jq -r \'.tool_input.command // ""\' | xargs -I {} npx claude-flow@alpha hooks pre-command --command "{}" --validate-safety true --prepare-resources true',
+                command: 'npx claude-flow@alpha hooks pre-command --stdin --prepare-resources true',
               },
             ],
           },
@@ -1309,7 +1308,7 @@ function createEnhancedSettingsJsonFallback() {
               {
                 type: 'command',
                 command:
-                  'npx claude-flow@alpha hooks session-end --generate-summary true --persist-state true --export-metrics true',
+                  'npx claude-flow@alpha hooks session-end --generate-summary true --persist-state true --export-metrics true --stdin',
               },
             ],
           },
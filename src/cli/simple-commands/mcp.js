@@ -46,75 +46,80 @@ async function showMcpStatus(subArgs, flags) {
 async function startMcpServer(subArgs, flags) {
   const autoOrchestrator = subArgs.includes('--auto-orchestrator') || flags.autoOrchestrator;
   const daemon = subArgs.includes('--daemon') || flags.daemon;
-  const stdio = subArgs.includes('--stdio') || flags.stdio || true; // Default to stdio mode
-
-  if (stdio) {
-    // Start MCP server in stdio mode (like ruv-swarm)
-    printSuccess('Starting Claude Flow MCP server in stdio mode...');
-
-    if (autoOrchestrator) {
-      console.log('🚀 Auto-starting orchestrator...');
-      console.log('🧠 Neural network capabilities: ENABLED');
-      console.log('🔧 WASM SIMD optimization: ACTIVE');
-      console.log('📊 Performance monitoring: ENABLED');
-      console.log('🐝 Swarm coordination: READY');
-    }
+  const http = subArgs.includes('--http') || flags.http;
+  const port = getFlag(subArgs, '--port') || flags.port || 3000;
+  const host = getFlag(subArgs, '--host') || flags.host || 'localhost';
+  const authToken = getFlag(subArgs, '--auth-token') || flags.authToken || flags['auth-token'];
+
+  // stdio is always served (like ruv-swarm); --http adds a shared HTTP/SSE endpoint
+  printSuccess(
+    http
+      ? `Starting Claude Flow MCP server in stdio mode with HTTP on ${host}:${port}...`
+      : 'Starting Claude Flow MCP server in stdio mode...',
+  );
 
-    // Import and start the MCP server
-    try {
-      const { fileURLToPath } = await import('url');
-      const path = await import('path');
-      const { spawn } = await import('child_process');
-
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = path.dirname(__filename);
-      const mcpServerPath = path.join(__dirname, '../../mcp/mcp-server.js');
-
-      // Check if the file exists, and log the path for debugging
-      const fs = await import('fs');
-      if (!fs.existsSync(mcpServerPath)) {
-        console.error(`MCP server file not found at: ${mcpServerPath}`);
-        console.error(`Current directory: ${process.cwd()}`);
-        console.error(`Script directory: ${__dirname}`);
-        throw new Error(`MCP server file not found: ${mcpServerPath}`);
-      }
+  if (autoOrchestrator) {
+    console.log('🚀 Auto-starting orchestrator...');
+    console.log('🧠 Neural network capabilities: ENABLED');
+    console.log('🔧 WASM SIMD optimization: ACTIVE');
+    console.log('📊 Performance monitoring: ENABLED');
+    console.log('🐝 Swarm coordination: READY');
+  }
 
-      // Start the MCP server process
-      const serverProcess = spawn('node', [mcpServerPath], {
-        stdio: 'inherit',
-        env: {
-          ...process.env,
-          CLAUDE_FLOW_AUTO_ORCHESTRATOR: autoOrchestrator ? 'true' : 'false',
-          CLAUDE_FLOW_NEURAL_ENABLED: 'true',
-          CLAUDE_FLOW_WASM_ENABLED: 'true',
-        },
-      });
-
-      serverProcess.on('exit', (code) => {
-        if (code !== 0) {
-          console.error(`MCP server exited with code ${code}`);
-        }
-      });
-
-      // Keep the process alive
-      await new Promise(() => {}); // Never resolves, keeps server running
-    } catch (error) {
-      console.error('Failed to start MCP server:', error.message);
-
-      // Fallback to status display
-      console.log('🚀 MCP server would start with:');
-      console.log('   Protocol: stdio');
-      console.log('   Tools: 87 Claude-Flow integration tools');
-      console.log('   Orchestrator: ' + (autoOrchestrator ? 'AUTO-STARTED' : 'Manual'));
-      console.log('   Mode: ' + (daemon ? 'DAEMON' : 'Interactive'));
+  // Import and start the MCP server
+  try {
+    const { fileURLToPath } = await import('url');
+    const path = await import('path');
+    const { spawn } = await import('child_process');
+
+    const __filename = fileURLToPath(import.meta.url);
+    const __dirname = path.dirname(__filename);
+    const mcpServerPath = path.join(__dirname, '../../mcp/mcp-server.js');
+
+    // Check if the file exists, and log the path for debugging
+    const fs = await import('fs');
+    if (!fs.existsSync(mcpServerPath)) {
+      console.error(`MCP server file not found at: ${mcpServerPath}`);
+      console.error(`Current directory: ${process.cwd()}`);
+      console.error(`Script directory: ${__dirname}`);
+      throw new Error(`MCP server file not found: ${mcpServerPath}`);
     }
-  } else {
-    // HTTP mode (for future implementation)
-    const port = getFlag(subArgs, '--port') || flags.port || 3000;
-    const host = getFlag(subArgs, '--host') || flags.host || 'localhost';
 
-    printSuccess(`Starting Claude Flow MCP server on ${host}:${port}...`);
-    console.log('🚀 HTTP mode not yet implemented, use --stdio for full functionality');
+    const serverArgs = [mcpServerPath];
+    if (http) {
+      serverArgs.push('--http', '--port', String(port), '--host', host);
+    }
+
+    // Start the MCP server process
+    const serverProcess = spawn('node', serverArgs, {
+      stdio: 'inherit',
+      env: {
+        ...process.env,
+        CLAUDE_FLOW_AUTO_ORCHESTRATOR: autoOrchestrator ? 'true' : 'false',
+        CLAUDE_FLOW_NEURAL_ENABLED: 'true',
+        CLAUDE_FLOW_WASM_ENABLED: 'true',
+        // Passed through the environment so the token does not show up in ps
+        ...(http && authToken && { CLAUDE_FLOW_MCP_TOKEN: authToken }),
+      },
+    });
+
+    serverProcess.on('exit', (code) => {
+      if (code !== 0) {
+        console.error(`MCP server exited with code ${code}`);
+      }
+    });
+
+    // Keep the process alive
+    await new Promise(() => {}); // Never resolves, keeps server running
+  } catch (error) {
+    console.error('Failed to start MCP server:', error.message);
+
+    // Fallback to status display
+    console.log('🚀 MCP server would start with:');
+    console.log('   Protocol: ' + (http ? `stdio + http://${host}:${port}/mcp` : 'stdio'));
+    console.log('   Tools: 87 Claude-Flow integration tools');
+    console.log('   Orchestrator: ' + (autoOrchestrator ? 'AUTO-STARTED' : 'Manual'));
+    console.log('   Mode: ' + (daemon ? 'DAEMON' : 'Interactive'));
   }
 }
 
@@ -383,8 +388,12 @@ function showMcpHelp() {
   console.log('  config                           Show comprehensive configuration');
   console.log();
   console.log('START OPTIONS:');
-  console.log('  --port <port>                    Server port (default: 3000)');
-  console.log('  --host <host>                    Server host (default: localhost)');
+  console.log('  --http                           Also serve MCP over HTTP (POST + SSE) at /mcp');
+  console.log('                                   (loopback origins only, at most 100 sessions)');
+  console.log('  --port <port>                    HTTP port (default: 3000)');
+  console.log('  --host <host>                    HTTP host (default: localhost)');
+  console.log('  --auth-token <token>             Require this bearer token on HTTP requests');
+  console.log('                                   (or set CLAUDE_FLOW_MCP_TOKEN)');
   console.log('  --auto-orchestrator              Auto-start orchestrator with neural/WASM');
   console.log('  --daemon                         Run in background daemon mode');
   console.log('  --enable-neural                  Enable neural network features');
@@ -1,120 +1,241 @@
 // memory.js - Memory management commands
+// Backed by the same store as the MCP server and hooks (.swarm/memory.db)
+import { promises as fs } from 'fs';
 import { printSuccess, printError, printWarning } from '../utils.js';
-import { Deno, cwd, exit, existsSync } from '../node-compat.js';
-
-export async function memoryCommand(subArgs, flags) {
+import { Deno, existsSync } from '../node-compat.js';
+import { FallbackMemoryStore } from '../../memory/fallback-store.js';
+import { normalizeTags, normalizeTagFilter } from '../../memory/tags.js';
+
+// Flat JSON file used before the CLI shared the SQLite store; imported once
+const LEGACY_STORE = './memory/memory-store.json';
+
+// list() limit large enough to cover every entry in a namespace
+const ALL_ENTRIES = Number.MAX_SAFE_INTEGER;
+
+const SUBCOMMANDS = [
+  'store',
+  'get',
+  'query',
+  'delete',
+  'stats',
+  'export',
+  'import',
+  'clear',
+  'list',
+  'tags',
+];
+
+export async function memoryCommand(subArgs, flags = {}) {
   const memorySubcommand = subArgs[0];
-  const memoryStore = './memory/memory-store.json';
 
-  // Helper to load memory data
-  async function loadMemory() {
-    try {
-      const content = await Deno.readTextFile(memoryStore);
-      return JSON.parse(content);
-    } catch {
-      return {};
-    }
+  if (!SUBCOMMANDS.includes(memorySubcommand)) {
+    showMemoryHelp();
+    return;
   }
 
-  // Helper to save memory data
-  async function saveMemory(data) {
-    await Deno.mkdir('./memory', { recursive: true });
-    await Deno.writeTextFile(memoryStore, JSON.stringify(data, null, 2));
-  }
+  const store = new FallbackMemoryStore();
 
-  switch (memorySubcommand) {
-    case 'store':
-      await storeMemory(subArgs, loadMemory, saveMemory);
-      break;
+  try {
+    await store.initialize();
+    await importLegacyStore(store, flags);
 
-    case 'query':
-      await queryMemory(subArgs, loadMemory);
-      break;
+    switch (memorySubcommand) {
+      case 'store':
+        await storeMemory(subArgs, store, flags);
+        break;
 
-    case 'stats':
-      await showMemoryStats(loadMemory);
-      break;
+      case 'get':
+        await getMemory(subArgs, store, flags);
+        break;
 
-    case 'export':
-      await exportMemory(subArgs, loadMemory);
-      break;
+      case 'query':
+        await queryMemory(subArgs, store, flags);
+        break;
 
-    case 'import':
-      await importMemory(subArgs, saveMemory);
-      break;
+      case 'delete':
+        await deleteMemory(subArgs, store, flags);
+        break;
 
-    case 'clear':
-      await clearMemory(subArgs, saveMemory);
-      break;
+      case 'stats':
+        await showMemoryStats(store, flags);
+        break;
 
-    case 'list':
-      await listNamespaces(loadMemory);
-      break;
+      case 'export':
+        await exportMemory(subArgs, store, flags);
+        break;
 
-    default:
-      showMemoryHelp();
+      case 'import':
+        await importMemory(subArgs, store, flags);
+        break;
+
+      case 'clear':
+        await clearMemory(subArgs, store, flags);
+        break;
+
+      case 'list':
+        await listNamespaces(store, flags);
+        break;
+
+      case 'tags':
+        await showTags(subArgs, store, flags);
+        break;
+    }
+  } catch (err) {
+    fail(flags, `Memory store unavailable: ${err.message}`);
+  } finally {
+    store.close();
   }
 }
 
-async function storeMemory(subArgs, loadMemory, saveMemory) {
+async function storeMemory(subArgs, store, flags) {
   const key = subArgs[1];
   const value = subArgs.slice(2).join(' ');
 
   if (!key || !value) {
-    printError('Usage: memory store <key> <value>');
+    fail(flags, 'Usage: memory store <key> <value> [--ttl <seconds>] [--tags a,b]');
     return;
   }
 
-  try {
-    const data = await loadMemory();
-    const namespace = getNamespaceFromArgs(subArgs) || 'default';
+  const ttl = flags.ttl === undefined ? null : Number(flags.ttl);
+  if (ttl !== null && !(Number.isInteger(ttl) && ttl > 0)) {
+    fail(flags, '--ttl must be a positive number of seconds');
+    return;
+  }
 
-    if (!data[namespace]) {
-      data[namespace] = [];
-    }
+  try {
+    const namespace = getNamespace(subArgs, flags) || 'default';
+    const tags = normalizeTags(flags.tags);
+    const size = new TextEncoder().encode(value).length;
 
-    // Remove existing entry with same key
-    data[namespace] = data[namespace].filter((e) => e.key !== key);
+    await store.store(key, value, { namespace, ttl, tags });
 
-    // Add new entry
-    data[namespace].push({
-      key,
-      value,
-      namespace,
-      timestamp: Date.now(),
-    });
+    if (flags.json) {
+      printJson({ success: true, key, namespace, size, ttl, tags });
+      return;
+    }
 
-    await saveMemory(data);
     printSuccess('Stored successfully');
     console.log(`📝 Key: ${key}`);
     console.log(`📦 Namespace: ${namespace}`);
-    console.log(`💾 Size: ${new TextEncoder().encode(value).length} bytes`);
+    if (tags.length > 0) {
+      console.log(`🏷️  Tags: ${tags.join(', ')}`);
+    }
+    if (ttl) {
+      console.log(`⏳ Expires in: ${ttl}s`);
+    }
+    console.log(`💾 Size: ${size} bytes`);
   } catch (err) {
-    printError(`Failed to store: ${err.message}`);
+    fail(flags, `Failed to store: ${err.message}`);
   }
 }
 
-async function queryMemory(subArgs, loadMemory) {
-  const search = subArgs.slice(1).join(' ');
+async function getMemory(subArgs, store, flags) {
+  const key = subArgs[1];
 
-  if (!search) {
-    printError('Usage: memory query <search>');
+  if (!key) {
+    fail(flags, 'Usage: memory get <key> [--namespace <ns>]');
     return;
   }
 
   try {
-    const data = await loadMemory();
-    const namespace = getNamespaceFromArgs(subArgs);
-    const results = [];
+    const namespace = getNamespace(subArgs, flags) || 'default';
+    const value = await store.retrieve(key, { namespace });
 
-    for (const [ns, entries] of Object.entries(data)) {
-      if (namespace && ns !== namespace) continue;
+    if (flags.json) {
+      printJson({ success: value !== null, key, namespace, found: value !== null, value });
+      return;
+    }
 
-      for (const entry of entries) {
-        if (entry.key.includes(search) || entry.value.includes(search)) {
-          results.push(entry);
-        }
+    if (value === null) {
+      printWarning(`Key '${key}' not found in namespace '${namespace}'`);
+      return;
+    }
+    console.log(formatValue(value, true));
+  } catch (err) {
+    fail(flags, `Failed to get: ${err.message}`);
+  }
+}
+
+async function deleteMemory(subArgs, store, flags) {
+  const key = subArgs[1];
+
+  if (!key) {
+    fail(flags, 'Usage: memory delete <key> [--namespace <ns>]');
+    return;
+  }
+
+  try {
+    const namespace = getNamespace(subArgs, flags) || 'default';
+    const deleted = await store.delete(key, { namespace });
+
+    if (flags.json) {
+      printJson({ success: deleted, key, namespace, deleted });
+      return;
+    }
+
+    if (deleted) {
+      printSuccess(`Deleted '${key}' from namespace '${namespace}'`);
+    } else {
+      printWarning(`Key '${key}' not found in namespace '${namespace}'`);
+    }
+  } catch (err) {
+    fail(flags, `Failed to delete: ${err.message}`);
+  }
+}
+
+async function queryMemory(subArgs, store, flags) {
+  const semantic = Boolean(flags.semantic) || subArgs.includes('--semantic');
+  const fullText = Boolean(flags.fts) || subArgs.includes('--fts');
+  // The CLI flag parser takes the word after a bare --semantic/--fts as its value
+  const search = [flags.semantic, flags.fts, getSearchText(subArgs)]
+    .filter((part) => typeof part === 'string' && part)
+    .join(' ');
+  const tagOptions = {
+    tags: flags.tags,
+    anyTags: flags['any-tags'],
+    excludeTags: flags['exclude-tags'],
+  };
+  const limit = Number(flags.limit) || 10;
+
+  // Tag filters alone list every matching entry
+  if (!search && !normalizeTagFilter(tagOptions)) {
+    fail(flags, 'Usage: memory query <search> [--semantic | --fts] [--tags a,b]');
+    return;
+  }
+  if (!search && (semantic || fullText)) {
+    fail(flags, 'Ranked search needs search text');
+    return;
+  }
+
+  try {
+    const namespace = getNamespace(subArgs, flags);
+    const options = { ...tagOptions, limit: Math.max(limit, 50) };
+    let results = [];
+
+    if (fullText) {
+      // BM25 relevance with highlighted excerpts, best match first
+      results = await store.fullTextSearch(search, { ...options, namespace: namespace || '*' });
+    } else {
+      const namespaces = namespace ? [namespace] : await store.listNamespaces();
+      for (const ns of namespaces) {
+        const found = semantic
+          ? await store.semanticSearch(search, { ...options, namespace: ns })
+          : await store.search(search, { ...options, namespace: ns });
+        results.push(...found);
       }
+      // Ranked by similarity of meaning, or newest first for substring matches
+      results.sort(semantic ? (a, b) => b.score - a.score : (a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    if (flags.json) {
+      printJson({
+        success: true,
+        query: search,
+        mode: semantic ? 'semantic' : fullText ? 'fulltext' : 'pattern',
+        count: results.length,
+        results: results.slice(0, limit),
+      });
+      return;
     }
 
     if (results.length === 0) {
@@ -124,166 +245,297 @@ async function queryMemory(subArgs, loadMemory) {
 
     printSuccess(`Found ${results.length} results:`);
 
-    // Sort by timestamp (newest first)
-    results.sort((a, b) => b.timestamp - a.timestamp);
-
-    for (const entry of results.slice(0, 10)) {
+    for (const entry of results.slice(0, limit)) {
       console.log(`\n📌 ${entry.key}`);
       console.log(`   Namespace: ${entry.namespace}`);
-      console.log(
-        `   Value: ${entry.value.substring(0, 100)}${entry.value.length > 100 ? '...' : ''}`,
-      );
-      console.log(`   Stored: ${new Date(entry.timestamp).toLocaleString()}`);
+      if (entry.tags?.length > 0) {
+        console.log(`   Tags: ${entry.tags.join(', ')}`);
+      }
+      if (semantic) {
+        console.log(`   Similarity: ${entry.score.toFixed(3)}`);
+      }
+      if (fullText) {
+        console.log(`   Relevance: ${entry.score.toFixed(3)}`);
+        console.log(`   Match: ${entry.snippet}`);
+      } else {
+        const value = formatValue(entry.value);
+        console.log(`   Value: ${value.substring(0, 100)}${value.length > 100 ? '...' : ''}`);
+      }
+      console.log(`   Stored: ${entry.updatedAt.toLocaleString()}`);
     }
 
-    if (results.length > 10) {
-      console.log(`\n... and ${results.length - 10} more results`);
+    if (results.length > limit) {
+      console.log(`\n... and ${results.length - limit} more results`);
     }
   } catch (err) {
-    printError(`Failed to query: ${err.message}`);
+    fail(flags, `Failed to query: ${err.message}`);
   }
 }
 
-async function showMemoryStats(loadMemory) {
+async function showMemoryStats(store, flags) {
   try {
-    const data = await loadMemory();
-    let totalEntries = 0;
     const namespaceStats = {};
+    let totalEntries = 0;
+    let totalBytes = 0;
 
-    for (const [namespace, entries] of Object.entries(data)) {
+    for (const namespace of await store.listNamespaces()) {
+      const entries = await store.list({ namespace, limit: ALL_ENTRIES });
       namespaceStats[namespace] = entries.length;
       totalEntries += entries.length;
+      for (const entry of entries) {
+        totalBytes += new TextEncoder().encode(formatValue(entry.value)).length;
+      }
+    }
+
+    const storage = store.isUsingFallback() ? 'in-memory' : 'sqlite';
+
+    if (flags.json) {
+      printJson({
+        success: true,
+        totalEntries,
+        namespaces: namespaceStats,
+        sizeBytes: totalBytes,
+        storage,
+      });
+      return;
     }
 
     printSuccess('Memory Bank Statistics:');
     console.log(`   Total Entries: ${totalEntries}`);
-    console.log(`   Namespaces: ${Object.keys(data).length}`);
-    console.log(
-      `   Size: ${(new TextEncoder().encode(JSON.stringify(data)).length / 1024).toFixed(2)} KB`,
-    );
+    console.log(`   Namespaces: ${Object.keys(namespaceStats).length}`);
+    console.log(`   Size: ${(totalBytes / 1024).toFixed(2)} KB`);
+    console.log(`   Storage: ${storage === 'sqlite' ? 'SQLite (.swarm/memory.db)' : 'in-memory'}`);
 
-    if (Object.keys(data).length > 0) {
+    if (Object.keys(namespaceStats).length > 0) {
       console.log('\n📁 Namespace Breakdown:');
       for (const [namespace, count] of Object.entries(namespaceStats)) {
         console.log(`   ${namespace}: ${count} entries`);
       }
     }
   } catch (err) {
-    printError(`Failed to get stats: ${err.message}`);
+    fail(flags, `Failed to get stats: ${err.message}`);
   }
 }
 
-async function exportMemory(subArgs, loadMemory) {
+async function exportMemory(subArgs, store, flags) {
   const filename = subArgs[1] || `memory-export-${Date.now()}.json`;
 
   try {
-    const data = await loadMemory();
-    const namespace = getNamespaceFromArgs(subArgs);
+    const namespace = getNamespace(subArgs, flags);
+    const namespaces = namespace ? [namespace] : await store.listNamespaces();
 
-    let exportData = data;
-    if (namespace) {
-      exportData = { [namespace]: data[namespace] || [] };
+    // Same layout as the legacy JSON store, so older exports and new ones import alike
+    const exportData = {};
+    let totalEntries = 0;
+    for (const ns of namespaces) {
+      const entries = await store.list({ namespace: ns, limit: ALL_ENTRIES });
+      exportData[ns] = entries.map((entry) => ({
+        key: entry.key,
+        value: formatValue(entry.value),
+        namespace: ns,
+        ...(entry.tags?.length > 0 && { tags: entry.tags }),
+        timestamp: entry.updatedAt.getTime(),
+      }));
+      totalEntries += entries.length;
     }
 
     await Deno.writeTextFile(filename, JSON.stringify(exportData, null, 2));
-    printSuccess(`Memory exported to ${filename}`);
 
-    let totalEntries = 0;
-    for (const entries of Object.values(exportData)) {
-      totalEntries += entries.length;
+    if (flags.json) {
+      printJson({
+        success: true,
+        file: filename,
+        entries: totalEntries,
+        namespaces: Object.keys(exportData).length,
+      });
+      return;
     }
+
+    printSuccess(`Memory exported to ${filename}`);
     console.log(
       `📦 Exported ${totalEntries} entries from ${Object.keys(exportData).length} namespace(s)`,
     );
   } catch (err) {
-    printError(`Failed to export memory: ${err.message}`);
+    fail(flags, `Failed to export memory: ${err.message}`);
   }
 }
 
-async function importMemory(subArgs, saveMemory) {
+async function importMemory(subArgs, store, flags) {
   const filename = subArgs[1];
 
   if (!filename) {
-    printError('Usage: memory import <filename>');
+    fail(flags, 'Usage: memory import <filename>');
     return;
   }
 
   try {
-    const importContent = await Deno.readTextFile(filename);
-    const importData = JSON.parse(importContent);
+    const importData = JSON.parse(await Deno.readTextFile(filename));
+    const imported = await importEntries(store, importData);
 
-    // Load existing memory
-    const existingData = await loadMemory();
-
-    // Merge imported data
-    let totalImported = 0;
-    for (const [namespace, entries] of Object.entries(importData)) {
-      if (!existingData[namespace]) {
-        existingData[namespace] = [];
-      }
-
-      // Add entries that don't already exist (by key)
-      const existingKeys = new Set(existingData[namespace].map((e) => e.key));
-      const newEntries = entries.filter((e) => !existingKeys.has(e.key));
-
-      existingData[namespace].push(...newEntries);
-      totalImported += newEntries.length;
+    if (flags.json) {
+      printJson({ success: true, file: filename, imported });
+      return;
     }
-
-    await saveMemory(existingData);
-    printSuccess(`Imported ${totalImported} new entries from ${filename}`);
+    printSuccess(`Imported ${imported} new entries from ${filename}`);
   } catch (err) {
-    printError(`Failed to import memory: ${err.message}`);
+    fail(flags, `Failed to import memory: ${err.message}`);
   }
 }
 
-async function clearMemory(subArgs, saveMemory) {
-  const namespace = getNamespaceFromArgs(subArgs);
+async function clearMemory(subArgs, store, flags) {
+  const namespace = getNamespace(subArgs, flags);
 
   if (!namespace) {
-    printError('Usage: memory clear --namespace <namespace>');
-    printWarning('This will clear all entries in the specified namespace');
+    fail(flags, 'Usage: memory clear --namespace <namespace>');
+    if (!flags.json) {
+      printWarning('This will clear all entries in the specified namespace');
+    }
     return;
   }
 
   try {
-    const data = await loadMemory();
+    const entries = await store.list({ namespace, limit: ALL_ENTRIES });
 
-    if (!data[namespace]) {
-      printWarning(`Namespace '${namespace}' does not exist`);
+    if (entries.length === 0) {
+      if (flags.json) {
+        printJson({ success: false, namespace, cleared: 0 });
+      } else {
+        printWarning(`Namespace '${namespace}' does not exist`);
+      }
       return;
     }
 
-    const entryCount = data[namespace].length;
-    delete data[namespace];
+    for (const entry of entries) {
+      await store.delete(entry.key, { namespace });
+    }
 
-    await saveMemory(data);
-    printSuccess(`Cleared ${entryCount} entries from namespace '${namespace}'`);
+    if (flags.json) {
+      printJson({ success: true, namespace, cleared: entries.length });
+      return;
+    }
+    printSuccess(`Cleared ${entries.length} entries from namespace '${namespace}'`);
   } catch (err) {
-    printError(`Failed to clear memory: ${err.message}`);
+    fail(flags, `Failed to clear memory: ${err.message}`);
   }
 }
 
-async function listNamespaces(loadMemory) {
+async function listNamespaces(store, flags) {
   try {
-    const data = await loadMemory();
-    const namespaces = Object.keys(data);
+    const namespaces = {};
+    for (const namespace of await store.listNamespaces()) {
+      namespaces[namespace] = (await store.list({ namespace, limit: ALL_ENTRIES })).length;
+    }
 
-    if (namespaces.length === 0) {
+    if (flags.json) {
+      printJson({ success: true, namespaces });
+      return;
+    }
+
+    if (Object.keys(namespaces).length === 0) {
       printWarning('No namespaces found');
       return;
     }
 
     printSuccess('Available namespaces:');
-    for (const namespace of namespaces) {
-      const count = data[namespace].length;
+    for (const [namespace, count] of Object.entries(namespaces)) {
       console.log(`  ${namespace} (${count} entries)`);
     }
   } catch (err) {
-    printError(`Failed to list namespaces: ${err.message}`);
+    fail(flags, `Failed to list namespaces: ${err.message}`);
+  }
+}
+
+async function showTags(subArgs, store, flags) {
+  try {
+    const namespace = getNamespace(subArgs, flags);
+    const counts = await store.getTagCounts({ namespace });
+
+    if (flags.json) {
+      printJson({ success: true, tags: counts });
+      return;
+    }
+
+    if (Object.keys(counts).length === 0) {
+      printWarning(namespace ? `No tags in namespace '${namespace}'` : 'No tags found');
+      return;
+    }
+
+    printSuccess('Tags by namespace:');
+    for (const [ns, tags] of Object.entries(counts)) {
+      console.log(`\n📁 ${ns}`);
+      for (const [tag, count] of Object.entries(tags)) {
+        console.log(`   ${tag} (${count} ${count === 1 ? 'entry' : 'entries'})`);
+      }
+    }
+  } catch (err) {
+    fail(flags, `Failed to list tags: ${err.message}`);
   }
 }
 
+/**
+ * Store entries laid out as { namespace: [{ key, value, tags }] } (the legacy
+ * JSON store and export format), skipping keys that already exist
+ */
+async function importEntries(store, data) {
+  let imported = 0;
+
+  for (const [namespace, entries] of Object.entries(data)) {
+    for (const entry of entries) {
+      const ns = entry.namespace || namespace;
+      if ((await store.retrieve(entry.key, { namespace: ns })) !== null) continue;
+
+      await store.store(entry.key, entry.value, { namespace: ns, tags: entry.tags });
+      imported++;
+    }
+  }
+
+  return imported;
+}
+
+/**
+ * One-time move of ./memory/memory-store.json into the shared store. The file
+ * is kept as memory-store.json.imported so nothing is lost.
+ */
+async function importLegacyStore(store, flags) {
+  // Importing into the in-memory fallback would drop the entries on exit
+  if (!existsSync(LEGACY_STORE) || store.isUsingFallback()) return;
+
+  try {
+    const data = JSON.parse(await Deno.readTextFile(LEGACY_STORE));
+    const imported = await importEntries(store, data);
+    await fs.rename(LEGACY_STORE, `${LEGACY_STORE}.imported`);
+
+    if (!flags.json) {
+      printSuccess(`Imported ${imported} entries from ${LEGACY_STORE} into .swarm/memory.db`);
+    }
+  } catch (err) {
+    if (!flags.json) {
+      printWarning(`Could not import ${LEGACY_STORE}: ${err.message}`);
+    }
+  }
+}
+
+function formatValue(value, pretty = false) {
+  if (typeof value === 'string') return value;
+  return pretty ? JSON.stringify(value, null, 2) : JSON.stringify(value);
+}
+
+function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+function fail(flags, message) {
+  if (flags.json) {
+    printJson({ success: false, error: message });
+  } else {
+    printError(message);
+  }
+}
+
+function getNamespace(subArgs, flags) {
+  return flags.namespace || flags.ns || getNamespaceFromArgs(subArgs);
+}
+
 function getNamespaceFromArgs(subArgs) {
   const namespaceIndex = subArgs.indexOf('--namespace');
   if (namespaceIndex !== -1 && namespaceIndex + 1 < subArgs.length) {
@@ -298,33 +550,58 @@ function getNamespaceFromArgs(subArgs) {
   return null;
 }
 
-// Helper to load memory data (needed for import function)
-async function loadMemory() {
-  try {
-    const content = await Deno.readTextFile('./memory/memory-store.json');
-    return JSON.parse(content);
-  } catch {
-    return {};
+/**
+ * Query text is every positional argument after the subcommand, without flags
+ */
+function getSearchText(subArgs) {
+  const words = [];
+  for (let i = 1; i < subArgs.length; i++) {
+    if (subArgs[i] === '--namespace' || subArgs[i] === '--ns') {
+      i++;
+    } else if (!subArgs[i].startsWith('--')) {
+      words.push(subArgs[i]);
+    }
   }
+  return words.join(' ');
 }
 
 function showMemoryHelp() {
   console.log('Memory commands:');
   console.log('  store <key> <value>    Store a key-value pair');
+  console.log('  get <key>              Print the value stored under a key');
   console.log('  query <search>         Search for entries');
+  console.log('  query <search> --semantic  Rank entries by meaning rather than exact text');
+  console.log('  query <search> --fts       Ranked keyword search: "phrases", prefix*, OR, NOT');
+  console.log('  delete <key>           Delete an entry');
   console.log('  stats                  Show memory statistics');
   console.log('  export [filename]      Export memory to file');
   console.log('  import <filename>      Import memory from file');
   console.log('  clear --namespace <ns> Clear a namespace');
   console.log('  list                   List all namespaces');
+  console.log('  tags                   Show tag counts per namespace');
   console.log();
   console.log('Options:');
   console.log('  --namespace <ns>       Specify namespace for operations');
   console.log('  --ns <ns>              Short form of --namespace');
+  console.log('  --ttl <seconds>        store: expire the entry after this many seconds');
+  console.log('  --tags <a,b>           store: attach tags; query: require all of them');
+  console.log('  --any-tags <a,b>       query: require at least one of the tags');
+  console.log('  --exclude-tags <a,b>   query: skip entries carrying any of the tags');
+  console.log('  --limit <n>            query: number of results to show (default 10)');
+  console.log('  --json                 Print machine-readable JSON');
+  console.log();
+  console.log('Entries are shared with the MCP server and hooks in .swarm/memory.db.');
+  console.log(`An existing ${LEGACY_STORE} is imported on first use.`);
   console.log();
   console.log('Examples:');
   console.log('  memory store previous_work "Research findings from yesterday"');
+  console.log('  memory store session-token "abc123" --ttl 3600');
+  console.log('  memory get previous_work --json');
   console.log('  memory query research --namespace sparc');
+  console.log('  memory store auth-flow "OAuth via PKCE" --tags auth,sprint-12');
+  console.log('  memory query --tags sprint-12 --exclude-tags wontfix');
+  console.log('  memory query "how do we cache sessions" --semantic');
+  console.log('  memory query \'"session store" redis NOT deprecated\' --fts');
   console.log('  memory export backup.json --namespace default');
   console.log('  memory import project-memory.json');
   console.log('  memory stats');
@@ -42,7 +42,7 @@ export async function sparcCommand(subArgs, flags) {
   }
 
   // Check if first arg is a known subcommand
-  const knownSubcommands = ['modes', 'info', 'run', 'tdd'];
+  const knownSubcommands = ['modes', 'info', 'run', 'tdd', 'resume', 'pipeline'];
 
   if (!knownSubcommands.includes(sparcCmd)) {
     // If not a known subcommand, treat it as a task description for sparc orchestrator
@@ -63,7 +63,20 @@ export async function sparcCommand(subArgs, flags) {
       break;
 
     case 'run':
-      await runSparcMode(mergedArgs, flags);
+      // Phase selection runs the SPARC pipeline on top of a run's checkpoints
+      if (flags['from-phase'] || flags.only) {
+        await runSparcPipeline(subArgs, flags);
+      } else {
+        await runSparcMode(mergedArgs, flags);
+      }
+      break;
+
+    case 'resume':
+      await resumeSparcRun(subArgs, flags);
+      break;
+
+    case 'pipeline':
+      await showSparcPipeline(flags);
       break;
 
     case 'tdd':
@@ -275,6 +288,168 @@ async function runSparcMode(subArgs, flags) {
   }
 }
 
+async function runSparcPipeline(subArgs, flags) {
+  const fromPhase = flags['from-phase'];
+  const only = flags.only;
+  const taskDescription = subArgs.slice(1).join(' ');
+
+  const { SparcMethodology } = await import('./sparc/index.js');
+  const { SparcCheckpointStore } = await import('./sparc/checkpoints.js');
+  const { loadPipeline } = await import('./sparc/pipeline.js');
+  const checkpoints = new SparcCheckpointStore();
+  let sparc = null;
+
+  try {
+    const requested = await loadPipeline({ file: flags.pipeline });
+
+    // Later phases build on an earlier run: the given one, or the latest for this task
+    let run = null;
+    if (flags['run-id']) {
+      run = await checkpoints.getRun(flags['run-id']);
+      if (!run) {
+        printError(`SPARC run not found: ${flags['run-id']}`);
+        return;
+      }
+    } else if ((fromPhase || only) !== requested.phases[0].name) {
+      [run] = await checkpoints.listRuns({
+        taskDescription: taskDescription || undefined,
+        limit: 1,
+      });
+      if (!run) {
+        printError(
+          `No checkpointed SPARC run${taskDescription ? ` for "${taskDescription}"` : ''} found`,
+        );
+        console.log('Pass --run-id <id>, or start a new run with --from-phase specification');
+        return;
+      }
+    }
+
+    if (!run && !taskDescription) {
+      printError('Usage: sparc run --from-phase specification <task-description>');
+      return;
+    }
+
+    // A run keeps the pipeline it was started with unless --pipeline is given
+    const pipeline =
+      flags.pipeline || !run?.options?.pipelineFile
+        ? requested
+        : await loadPipeline({ file: run.options.pipelineFile });
+    sparc = new SparcMethodology(run?.taskDescription || taskDescription, {
+      ...run?.options,
+      pipeline,
+      ...(flags.namespace && { namespace: flags.namespace }),
+      ...(flags['test-runner'] && { testRunner: flags['test-runner'] }),
+      ...(flags['min-coverage'] && {
+        qualityGates: { testCoverage: Number(flags['min-coverage']) },
+      }),
+      runId: run?.runId,
+      checkpoints,
+    });
+    const summary = await sparc.execute({ fromPhase, only });
+    showRunSummary(sparc.runId, summary);
+  } catch (err) {
+    printError(`SPARC run failed: ${err.message}`);
+    if (sparc && (await checkpoints.getRun(sparc.runId))) {
+      console.log(`Resume with: claude-flow sparc resume ${sparc.runId}`);
+    }
+  } finally {
+    checkpoints.close();
+  }
+}
+
+async function resumeSparcRun(subArgs, flags) {
+  const runId = subArgs[1];
+
+  const { SparcMethodology } = await import('./sparc/index.js');
+  const { SparcCheckpointStore } = await import('./sparc/checkpoints.js');
+  const { loadPipeline } = await import('./sparc/pipeline.js');
+  const checkpoints = new SparcCheckpointStore();
+
+  try {
+    if (!runId) {
+      const runs = await checkpoints.listRuns();
+      if (runs.length === 0) {
+        console.log('No SPARC runs have been checkpointed yet');
+        return;
+      }
+
+      console.log('SPARC runs (most recent first):');
+      for (const run of runs) {
+        console.log(
+          `  ${run.runId}  ${run.status}  ${run.completedPhases.length}/${run.phaseOrder.length} phases  ${run.taskDescription}`,
+        );
+      }
+      console.log();
+      console.log('Usage: sparc resume <run-id>');
+      return;
+    }
+
+    const run = await checkpoints.getRun(runId);
+    if (!run) {
+      printError(`SPARC run not found: ${runId}`);
+      return;
+    }
+
+    const sparc = new SparcMethodology(run.taskDescription, {
+      ...run.options,
+      pipeline: await loadPipeline({ file: flags.pipeline || run.options?.pipelineFile }),
+      runId,
+      checkpoints,
+    });
+    const summary = await sparc.resume();
+    showRunSummary(runId, summary);
+  } catch (err) {
+    printError(`SPARC run failed: ${err.message}`);
+    console.log(`Resume with: claude-flow sparc resume ${runId}`);
+  } finally {
+    checkpoints.close();
+  }
+}
+
+async function showSparcPipeline(flags) {
+  const { loadPipeline, describePipeline, DEFAULT_PIPELINE_FILE } =
+    await import('./sparc/pipeline.js');
+
+  let pipeline;
+  try {
+    pipeline = await loadPipeline({ file: flags.pipeline });
+  } catch (err) {
+    printError(`Invalid SPARC pipeline: ${err.message}`);
+    return;
+  }
+
+  const phases = describePipeline(pipeline);
+  if (flags.json) {
+    console.log(JSON.stringify({ file: pipeline.file, phases }, null, 2));
+    return;
+  }
+
+  console.log(
+    pipeline.file
+      ? `SPARC pipeline: ${pipeline.file}`
+      : `SPARC pipeline: built-in (no ${DEFAULT_PIPELINE_FILE})`,
+  );
+  phases.forEach((phase, index) => {
+    console.log(`  ${index + 1}. ${phase.name} (${phase.source})`);
+    const { builtin, command, ...gates } = phase.gates;
+    if (builtin === false) console.log('       built-in gate: off');
+    for (const [gate, value] of Object.entries(gates)) {
+      console.log(`       ${gate}: ${Array.isArray(value) ? value.join(', ') : value}`);
+    }
+    if (command) console.log(`       command: ${command.run || command}`);
+  });
+}
+
+function showRunSummary(runId, summary) {
+  console.log();
+  printSuccess(`SPARC run ${runId}`);
+  for (const phase of summary.phases) {
+    const icon = phase.status === 'passed' ? '✅' : phase.artifacts ? '⚠️ ' : '⏸️ ';
+    const status = phase.artifacts ? phase.status : 'not run';
+    console.log(`  ${icon} ${phase.name}: ${status}`);
+  }
+}
+
 async function runTddWorkflow(subArgs) {
   const tddTaskDescription = subArgs.slice(1).join(' ');
 
@@ -473,6 +648,8 @@ function showSparcHelp() {
   console.log('  info <mode>              Show detailed information about a mode');
   console.log('  run <mode> <task>        Execute a task in specified SPARC mode');
   console.log('  tdd <task>               Run Test-Driven Development workflow');
+  console.log('  resume [run-id]          Continue a checkpointed SPARC pipeline run');
+  console.log('  pipeline                 Show the phases and gates of the SPARC pipeline');
   console.log();
   console.log('Examples:');
   console.log('  claude-flow sparc "orchestrate app development"    # Uses sparc orchestrator');
@@ -482,6 +659,9 @@ function showSparcHelp() {
   console.log('  claude-flow sparc run code "add login feature" --non-interactive');
   console.log('  claude-flow sparc run tdd "create test suite" --namespace tests');
   console.log('  claude-flow sparc tdd "payment processing system" --interactive');
+  console.log('  claude-flow sparc run --from-phase specification "build todo API"');
+  console.log('  claude-flow sparc run --only refinement --run-id <run-id>');
+  console.log('  claude-flow sparc resume <run-id>');
   console.log();
   console.log('Parallel Execution with BatchTool:');
   console.log('  # Run multiple SPARC modes concurrently');
@@ -508,6 +688,24 @@ function showSparcHelp() {
   console.log('  --namespace <ns>         Use custom memory namespace (default: mode slug)');
   console.log('  --config <path>          Use custom MCP configuration file');
   console.log();
+  console.log('SPARC Pipeline Checkpoints:');
+  console.log('  Each phase of the SPARC pipeline (specification, pseudocode, architecture,');
+  console.log('  refinement, completion) is checkpointed in .swarm/memory.db under a run ID.');
+  console.log('  --from-phase <phase>     Run the pipeline from this phase onward');
+  console.log('  --only <phase>           Run just this phase');
+  console.log('  --run-id <id>            Build on this run (default: latest run for the task)');
+  console.log("  Earlier phases are loaded from the run's checkpoints instead of regenerated.");
+  console.log('  --test-runner <name>     Refinement test runner (jest, vitest, mocha, node:test,');
+  console.log('                           pytest; default: detected from the project)');
+  console.log(
+    '  --min-coverage <pct>     Line coverage refinement requires (default: 80, 0 = off)',
+  );
+  console.log(
+    '  --pipeline <file>        Pipeline definition (default: .claude-flow/sparc.pipeline.json)',
+  );
+  console.log('  Phases, their order and extra gates can be set in the pipeline file; see');
+  console.log('  docs/sparc-runs.md.');
+  console.log();
   console.log('Permission Behavior:');
   console.log('  By default, SPARC runs with --dangerously-skip-permissions for efficiency');
   console.log('  Use --enable-permissions to restore permission prompts if needed');
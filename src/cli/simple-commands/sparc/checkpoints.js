@@ -0,0 +1,96 @@
+// SPARC run checkpoints
+// Each phase result is stored in the memory store under the run ID, so a
+// failed run can be resumed and a single phase can be rerun on top of the
+// results of the phases before it.
+
+import { SqliteMemoryStore } from '../../../memory/sqlite-store.js';
+
+export const RUN_NAMESPACE = 'sparc:runs';
+export const CHECKPOINT_NAMESPACE = 'sparc:checkpoints';
+
+export function generateRunId() {
+  return `sparc-run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+export class SparcCheckpointStore {
+  constructor(store = null) {
+    this.store = store;
+    this.ownsStore = !store;
+  }
+
+  async getStore() {
+    if (!this.store) {
+      this.store = new SqliteMemoryStore();
+    }
+    await this.store.initialize();
+    return this.store;
+  }
+
+  /**
+   * Save the run record: task, options, phase order and status
+   */
+  async saveRun(run) {
+    const store = await this.getStore();
+    const record = { ...run, updatedAt: new Date().toISOString() };
+    await store.store(run.runId, record, {
+      namespace: RUN_NAMESPACE,
+      metadata: { status: run.status },
+    });
+    return record;
+  }
+
+  async getRun(runId) {
+    const store = await this.getStore();
+    return store.retrieve(runId, { namespace: RUN_NAMESPACE });
+  }
+
+  /**
+   * Most recently updated runs first
+   */
+  async listRuns(options = {}) {
+    const store = await this.getStore();
+    const entries = await store.list({ namespace: RUN_NAMESPACE, limit: 1000 });
+    return entries
+      .map((entry) => entry.value)
+      .filter((run) => !options.taskDescription || run.taskDescription === options.taskDescription)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, options.limit || 20);
+  }
+
+  async saveCheckpoint(runId, phaseName, checkpoint) {
+    const store = await this.getStore();
+    const record = { ...checkpoint, runId, phase: phaseName, savedAt: new Date().toISOString() };
+    await store.store(`${runId}:${phaseName}`, record, {
+      namespace: CHECKPOINT_NAMESPACE,
+      metadata: { runId, phase: phaseName },
+      tags: [runId, phaseName],
+    });
+    return record;
+  }
+
+  async getCheckpoint(runId, phaseName) {
+    const store = await this.getStore();
+    return store.retrieve(`${runId}:${phaseName}`, { namespace: CHECKPOINT_NAMESPACE });
+  }
+
+  /**
+   * Checkpoints of a run keyed by phase name; phases without one are left out
+   */
+  async loadCheckpoints(runId, phaseNames) {
+    const checkpoints = {};
+    for (const phaseName of phaseNames) {
+      const checkpoint = await this.getCheckpoint(runId, phaseName);
+      if (checkpoint) checkpoints[phaseName] = checkpoint;
+    }
+    return checkpoints;
+  }
+
+  close() {
+    if (this.ownsStore && this.store) {
+      this.store.close();
+      this.store = null;
+    }
+  }
+}
+
+export default SparcCheckpointStore;
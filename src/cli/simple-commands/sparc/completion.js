@@ -1737,7 +1737,7 @@ ${result.lessons.recommendations.map((recommendation, index) => `${index + 1}. $
 ### Project Metrics
 - **Total Duration**: ${(result.lessons.metrics.totalDuration / (1000 * 60 * 60 * 24)).toFixed(1)} days
 - **Code Quality**: ${result.lessons.metrics.qualityMetrics.codeQuality.toFixed(1)}/100
-- **Test Coverage**: ${result.lessons.metrics.qualityMetrics.testCoverage.toFixed(1)}%
+- **Test Coverage**: ${result.lessons.metrics.qualityMetrics.testCoverage?.toFixed(1) ?? 'n/a'}%
 - **Performance**: ${result.lessons.metrics.qualityMetrics.performance}ms avg response
 - **Security**: ${result.lessons.metrics.qualityMetrics.security}/100
 
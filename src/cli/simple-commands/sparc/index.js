@@ -1,64 +1,83 @@
 // SPARC Methodology Implementation
 // Specification, Pseudocode, Architecture, Refinement, Completion
 
-import { SparcSpecification } from './specification.js';
-import { SparcPseudocode } from './pseudocode.js';
-import { SparcArchitecture } from './architecture.js';
-import { SparcRefinement } from './refinement.js';
-import { SparcCompletion } from './completion.js';
 import { SparcCoordinator } from './coordinator.js';
+import { SparcCheckpointStore, generateRunId } from './checkpoints.js';
+import { defaultPipeline, evaluateGates } from './pipeline.js';
 
 export class SparcMethodology {
   constructor(taskDescription, options = {}) {
+    const { checkpoints, pipeline, ...phaseOptions } = options;
     this.taskDescription = taskDescription;
+    this.pipeline = pipeline || defaultPipeline();
     this.options = {
       namespace: options.namespace || 'sparc',
       swarmEnabled: options.swarmEnabled || false,
       neuralLearning: options.neuralLearning || false,
       verbose: options.verbose || false,
-      ...options,
+      ...phaseOptions,
+      ...(this.pipeline.file && { pipelineFile: this.pipeline.file }),
     };
 
-    this.phases = {
-      specification: new SparcSpecification(this.taskDescription, this.options),
-      pseudocode: new SparcPseudocode(this.taskDescription, this.options),
-      architecture: new SparcArchitecture(this.taskDescription, this.options),
-      refinement: new SparcRefinement(this.taskDescription, this.options),
-      completion: new SparcCompletion(this.taskDescription, this.options),
-    };
+    // Phases, their order and their extra gates come from the pipeline definition
+    this.phases = {};
+    this.phaseGates = {};
+    for (const { name, PhaseClass, options: overrides, gates } of this.pipeline.phases) {
+      const phase = new PhaseClass(this.taskDescription, { ...this.options, ...overrides });
+      phase.phaseName = phase.phaseName || name;
+      this.phases[name] = phase;
+      this.phaseGates[name] = gates;
+    }
 
+    this.phaseOrder = this.pipeline.phases.map(({ name }) => name);
     this.coordinator = new SparcCoordinator(this.phases, this.options);
-    this.currentPhase = 'specification';
-    this.phaseOrder = ['specification', 'pseudocode', 'architecture', 'refinement', 'completion'];
+    this.currentPhase = this.phaseOrder[0];
     this.artifacts = {};
     this.qualityGates = {};
+
+    // Every phase result is checkpointed under the run ID
+    this.runId = options.runId || generateRunId();
+    this.checkpoints = checkpoints || new SparcCheckpointStore();
+    this.checkpointedPhases = new Set();
   }
 
   /**
-   * Execute the complete SPARC methodology
+   * Execute the SPARC methodology.
+   *
+   * options.fromPhase starts at that phase and options.only runs just that
+   * phase. Phases that are not run are loaded from this run's checkpoints.
    */
-  async execute() {
+  async execute(options = {}) {
+    const phasesToRun = this.selectPhases(options);
+    this.startTime = Date.now();
+
     console.log('🚀 Starting SPARC Methodology Execution');
     console.log(`📋 Task: ${this.taskDescription}`);
+    console.log(`🆔 Run: ${this.runId}`);
     console.log(`🔧 Namespace: ${this.options.namespace}`);
     console.log(`🐝 Swarm: ${this.options.swarmEnabled ? 'Enabled' : 'Disabled'}`);
     console.log();
 
+    await this.restoreCheckpoints(phasesToRun);
+    await this.saveRunState('running');
+
     // Initialize swarm if enabled
     if (this.options.swarmEnabled) {
       await this.coordinator.initializeSwarm();
     }
 
     // Execute each phase in order
-    for (const phaseName of this.phaseOrder) {
+    for (const phaseName of phasesToRun) {
       console.log(`\n📍 Phase: ${phaseName.toUpperCase()}`);
+      this.currentPhase = phaseName;
 
       try {
         // Pre-phase coordination
         await this.coordinator.prePhase(phaseName);
 
-        // Execute phase
+        // Execute phase with the results of the phases before it
         const phase = this.phases[phaseName];
+        this.shareArtifacts(phase);
         const result = await phase.execute();
 
         // Store artifacts
@@ -83,9 +102,11 @@ export class SparcMethodology {
         // Post-phase coordination
         await this.coordinator.postPhase(phaseName, result);
 
+        await this.saveCheckpoint(phaseName);
         console.log(`✅ ${phaseName} completed successfully`);
       } catch (error) {
         console.error(`❌ Error in ${phaseName}: ${error.message}`);
+        await this.saveRunState('failed', { failedPhase: phaseName, error: error.message });
 
         // Neural learning from failures
         if (this.options.neuralLearning) {
@@ -99,10 +120,124 @@ export class SparcMethodology {
     // Final coordination and cleanup
     await this.coordinator.finalize();
 
+    const complete = this.phaseOrder.every((phaseName) => this.checkpointedPhases.has(phaseName));
+    await this.saveRunState(complete ? 'completed' : 'partial');
+
     console.log('\n🎉 SPARC Methodology Execution Complete');
     return this.generateSummary();
   }
 
+  /**
+   * Continue this run at the first phase without a checkpoint
+   */
+  async resume() {
+    const checkpoints = await this.checkpoints.loadCheckpoints(this.runId, this.phaseOrder);
+    const nextPhase = this.phaseOrder.find((phaseName) => !checkpoints[phaseName]);
+
+    if (!nextPhase) {
+      console.log(`✅ Run ${this.runId} has already completed every phase`);
+      this.startTime = Date.now();
+      await this.restoreCheckpoints([]);
+      return this.generateSummary();
+    }
+
+    console.log(`⏯️  Resuming run ${this.runId} at ${nextPhase}`);
+    return this.execute({ fromPhase: nextPhase });
+  }
+
+  /**
+   * Phases to run for execute() options
+   */
+  selectPhases(options = {}) {
+    const { fromPhase, only } = options;
+    if (fromPhase && only) {
+      throw new Error('Use either fromPhase or only, not both');
+    }
+
+    for (const phaseName of [fromPhase, only]) {
+      if (phaseName && !this.phases[phaseName]) {
+        throw new Error(`Unknown phase: ${phaseName}. Phases: ${this.phaseOrder.join(', ')}`);
+      }
+    }
+
+    if (only) return [only];
+    if (fromPhase) return this.phaseOrder.slice(this.phaseOrder.indexOf(fromPhase));
+    return [...this.phaseOrder];
+  }
+
+  /**
+   * Load the checkpoints of phases that are not being run. Every phase
+   * before the first one to run must have a checkpoint.
+   */
+  async restoreCheckpoints(phasesToRun) {
+    const skipped = this.phaseOrder.filter((phaseName) => !phasesToRun.includes(phaseName));
+    if (skipped.length === 0) return;
+
+    const checkpoints = await this.checkpoints.loadCheckpoints(this.runId, skipped);
+    const firstToRun = this.phaseOrder.indexOf(phasesToRun[0]);
+
+    for (const phaseName of skipped) {
+      const checkpoint = checkpoints[phaseName];
+      if (!checkpoint) {
+        if (firstToRun === -1 || this.phaseOrder.indexOf(phaseName) < firstToRun) {
+          throw new Error(
+            `No checkpoint for ${phaseName} in run ${this.runId}; run that phase first`,
+          );
+        }
+        continue;
+      }
+
+      const phase = this.phases[phaseName];
+      this.artifacts[phaseName] = checkpoint.result;
+      this.qualityGates[phaseName] = checkpoint.qualityGate;
+      phase.memory = { ...phase.memory, ...checkpoint.memory };
+      phase.artifacts = checkpoint.artifacts || [];
+      this.checkpointedPhases.add(phaseName);
+      console.log(`♻️  Loaded ${phaseName} from checkpoint (${checkpoint.savedAt})`);
+    }
+  }
+
+  /**
+   * Give a phase the results of the phases completed so far
+   */
+  shareArtifacts(phase) {
+    for (const [phaseName, result] of Object.entries(this.artifacts)) {
+      phase.memory[`${phaseName}_complete`] = result;
+    }
+  }
+
+  async saveCheckpoint(phaseName) {
+    const phase = this.phases[phaseName];
+    await this.checkpoints.saveCheckpoint(this.runId, phaseName, {
+      result: this.artifacts[phaseName],
+      qualityGate: this.qualityGates[phaseName],
+      memory: phase.memory,
+      artifacts: phase.artifacts,
+    });
+    this.checkpointedPhases.add(phaseName);
+    await this.saveRunState('running');
+  }
+
+  async saveRunState(status, details = {}) {
+    const { runId, ...runOptions } = this.options;
+    const previous = await this.checkpoints.getRun(this.runId);
+
+    await this.checkpoints.saveRun({
+      runId: this.runId,
+      taskDescription: this.taskDescription,
+      options: JSON.parse(JSON.stringify(runOptions)),
+      phaseOrder: this.phaseOrder,
+      completedPhases: this.phaseOrder.filter((phaseName) =>
+        this.checkpointedPhases.has(phaseName),
+      ),
+      currentPhase: this.currentPhase,
+      status,
+      failedPhase: details.failedPhase || null,
+      error: details.error || null,
+      createdAt: previous?.createdAt || new Date().toISOString(),
+    });
+  }
+
   /**
    * Execute a specific phase
    */
@@ -128,8 +263,9 @@ export class SparcMethodology {
       passed: true,
       reasons: [],
     };
+    const gates = this.phaseGates[phaseName] || {};
 
-    switch (phaseName) {
+    switch (gates.builtin === false ? null : phaseName) {
       case 'specification':
         if (!result.requirements || result.requirements.length === 0) {
           qualityGate.passed = false;
@@ -163,16 +299,43 @@ export class SparcMethodology {
         }
         break;
 
-      case 'refinement':
-        if (!result.testResults || result.testResults.passed === 0) {
+      case 'refinement': {
+        // testResults come from running the project's own test runner
+        const tests = result.testResults;
+        const minCoverage = this.options.qualityGates?.testCoverage ?? 80;
+        if (!tests || tests.passed === 0) {
+          qualityGate.passed = false;
+          qualityGate.reasons.push(
+            tests?.error ? `No passing tests (${tests.error})` : 'No passing tests',
+          );
+        }
+        if (tests?.failed > 0) {
           qualityGate.passed = false;
-          qualityGate.reasons.push('No passing tests');
+          qualityGate.reasons.push(`${tests.failed} failing test(s)`);
+        } else if (tests?.exitCode > 0 && tests.passed > 0) {
+          // e.g. a coverage threshold in the runner's own configuration
+          qualityGate.passed = false;
+          qualityGate.reasons.push(`Test command exited with code ${tests.exitCode}`);
+        }
+        // A pipeline minCoverage gate replaces this default; a minimum of 0
+        // turns it off. Missing coverage fails, as it does in evaluateGates.
+        if (gates.minCoverage === undefined && tests?.passed > 0 && minCoverage > 0) {
+          if (typeof tests.coverage !== 'number') {
+            qualityGate.passed = false;
+            qualityGate.reasons.push(`No coverage report (minimum ${minCoverage}%)`);
+          } else if (tests.coverage < minCoverage) {
+            qualityGate.passed = false;
+            qualityGate.reasons.push(
+              `Test coverage ${tests.coverage.toFixed(1)}% below ${minCoverage}%`,
+            );
+          }
         }
         if (result.codeQuality && result.codeQuality.score < 0.8) {
           qualityGate.passed = false;
           qualityGate.reasons.push('Code quality below threshold');
         }
         break;
+      }
 
       case 'completion':
         if (!result.validated) {
@@ -186,6 +349,16 @@ export class SparcMethodology {
         break;
     }
 
+    const reasons = await evaluateGates(gates, result, {
+      phase: this.phases[phaseName],
+      cwd: this.options.projectDir || process.cwd(),
+      env: { SPARC_RUN_ID: this.runId, SPARC_PHASE: phaseName },
+    });
+    if (reasons.length > 0) {
+      qualityGate.passed = false;
+      qualityGate.reasons.push(...reasons);
+    }
+
     return qualityGate;
   }
 
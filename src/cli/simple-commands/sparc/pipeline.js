@@ -0,0 +1,308 @@
+/**
+ * SPARC pipeline definitions
+ *
+ * .claude-flow/sparc.pipeline.json lists the phases to run, in order.
+ * Built-in phases are named; custom phases name a module whose export is a
+ * SparcPhase subclass (or a function given { SparcPhase } that returns one):
+ *
+ *   {
+ *     "phases": [
+ *       "specification",
+ *       "pseudocode",
+ *       "architecture",
+ *       {
+ *         "name": "threat-model",
+ *         "module": "./sparc/threat-model.mjs",   // relative to the pipeline file
+ *         "export": "ThreatModelPhase",          // default: the default export
+ *         "gates": { "requiredArtifacts": ["threats"] }
+ *       },
+ *       { "name": "refinement", "options": { "testRunner": "vitest" },
+ *         "gates": { "minCoverage": 85, "command": "npm run lint" } }
+ *     ]
+ *   }
+ *
+ * Phases that are left out, or have "enabled": false, are skipped. Gates
+ * are checked after a phase's built-in quality gate ("builtin": false turns
+ * that off):
+ *
+ *   minCoverage        line coverage % of the phase's test results
+ *   requiredArtifacts  artifact files the phase saved, or result keys that
+ *                      must be non-empty
+ *   maxComplexity      average complexity (1 low .. 5 high) of the code
+ *   command            shell command, or { run, timeout }, that must exit 0
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SparcPhase } from './phase-base.js';
+import { SparcSpecification } from './specification.js';
+import { SparcPseudocode } from './pseudocode.js';
+import { SparcArchitecture } from './architecture.js';
+import { SparcRefinement } from './refinement.js';
+import { SparcCompletion } from './completion.js';
+
+export const DEFAULT_PIPELINE_FILE = path.join('.claude-flow', 'sparc.pipeline.json');
+
+export const BUILTIN_PHASES = {
+  specification: SparcSpecification,
+  pseudocode: SparcPseudocode,
+  architecture: SparcArchitecture,
+  refinement: SparcRefinement,
+  completion: SparcCompletion,
+};
+
+const GATE_KEYS = ['builtin', 'minCoverage', 'requiredArtifacts', 'maxComplexity', 'command'];
+const PHASE_KEYS = ['name', 'module', 'export', 'enabled', 'options', 'gates'];
+const PHASE_NAME = /^[a-z][a-z0-9-]*$/;
+const DEFAULT_COMMAND_TIMEOUT = 5 * 60 * 1000;
+const OUTPUT_LIMIT = 4096;
+
+/**
+ * The five built-in phases with their built-in gates only
+ */
+export function defaultPipeline() {
+  return {
+    file: null,
+    phases: Object.entries(BUILTIN_PHASES).map(([name, PhaseClass]) => ({
+      name,
+      PhaseClass,
+      builtin: true,
+      options: {},
+      gates: {},
+    })),
+  };
+}
+
+function validateGates(gates, where) {
+  if (gates === undefined) return {};
+  if (!gates || typeof gates !== 'object' || Array.isArray(gates)) {
+    throw new Error(`${where}: gates must be an object`);
+  }
+
+  const unknown = Object.keys(gates).filter((key) => !GATE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown gate ${unknown[0]}. Gates: ${GATE_KEYS.join(', ')}`);
+  }
+
+  const { builtin, minCoverage, requiredArtifacts, maxComplexity, command } = gates;
+  if (builtin !== undefined && typeof builtin !== 'boolean') {
+    throw new Error(`${where}: gates.builtin must be true or false`);
+  }
+  if (minCoverage !== undefined && !(Number.isFinite(minCoverage) && minCoverage >= 0)) {
+    throw new Error(`${where}: gates.minCoverage must be a percentage`);
+  }
+  if (maxComplexity !== undefined && !Number.isFinite(maxComplexity)) {
+    throw new Error(`${where}: gates.maxComplexity must be a number`);
+  }
+  if (
+    requiredArtifacts !== undefined &&
+    !(Array.isArray(requiredArtifacts) && requiredArtifacts.every((a) => typeof a === 'string'))
+  ) {
+    throw new Error(`${where}: gates.requiredArtifacts must be a list of names`);
+  }
+  if (command !== undefined) {
+    const run = typeof command === 'string' ? command : command?.run;
+    if (typeof run !== 'string' || !run.trim()) {
+      throw new Error(`${where}: gates.command must be a command string or { run, timeout }`);
+    }
+    if (
+      command.timeout !== undefined &&
+      !(Number.isFinite(command.timeout) && command.timeout > 0)
+    ) {
+      throw new Error(`${where}: gates.command.timeout must be a positive number of milliseconds`);
+    }
+  }
+
+  return gates;
+}
+
+/**
+ * Resolve a custom phase module to its SparcPhase subclass
+ */
+async function loadPhaseClass(entry, baseDir, where) {
+  const modulePath = path.resolve(baseDir, entry.module);
+  if (!fs.existsSync(modulePath)) {
+    throw new Error(`${where}: module not found: ${modulePath}`);
+  }
+
+  const mod = await import(pathToFileURL(modulePath).href);
+  const exportName = entry.export || 'default';
+  let PhaseClass = mod[exportName];
+  if (PhaseClass === undefined) {
+    throw new Error(`${where}: ${entry.module} has no export named ${exportName}`);
+  }
+
+  // A factory lets a project outside this package extend SparcPhase
+  if (
+    typeof PhaseClass === 'function' &&
+    !/^class\b/.test(Function.prototype.toString.call(PhaseClass))
+  ) {
+    PhaseClass = await PhaseClass({ SparcPhase });
+  }
+  if (typeof PhaseClass !== 'function' || !(PhaseClass.prototype instanceof SparcPhase)) {
+    throw new Error(`${where}: ${exportName} export of ${entry.module} must extend SparcPhase`);
+  }
+  return PhaseClass;
+}
+
+/**
+ * Validate a pipeline definition and load its custom phases.
+ * Module paths are resolved against baseDir.
+ */
+export async function resolvePipeline(definition, { file = null, baseDir = process.cwd() } = {}) {
+  const source = file || 'pipeline';
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.phases)) {
+    throw new Error(`${source}: "phases" must be a list`);
+  }
+
+  const phases = [];
+  const seen = new Set();
+  for (const [index, raw] of definition.phases.entries()) {
+    const entry = typeof raw === 'string' ? { name: raw } : raw;
+    const where = `${source}: phases[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`${where} must be a phase name or an object`);
+    }
+
+    const unknown = Object.keys(entry).filter((key) => !PHASE_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`${where}: unknown field ${unknown[0]}`);
+
+    const { name, enabled = true, options = {} } = entry;
+    if (typeof name !== 'string' || !PHASE_NAME.test(name)) {
+      throw new Error(`${where}: name must be lowercase letters, digits and dashes`);
+    }
+    if (seen.has(name)) throw new Error(`${where}: phase ${name} is listed twice`);
+    seen.add(name);
+
+    if (!entry.module && !BUILTIN_PHASES[name]) {
+      throw new Error(
+        `${where}: ${name} is not a built-in phase (${Object.keys(BUILTIN_PHASES).join(', ')}); give it a module`,
+      );
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`${where}: options must be an object`);
+    }
+    const gates = validateGates(entry.gates, where);
+    if (enabled === false) continue;
+
+    phases.push({
+      name,
+      PhaseClass: entry.module ? await loadPhaseClass(entry, baseDir, where) : BUILTIN_PHASES[name],
+      builtin: !entry.module,
+      module: entry.module || null,
+      options,
+      gates,
+    });
+  }
+
+  if (phases.length === 0) throw new Error(`${source}: every phase is disabled`);
+  return { file, phases };
+}
+
+/**
+ * Load the project's pipeline file, or the default pipeline when there is
+ * none. An explicitly named file must exist.
+ */
+export async function loadPipeline(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const file = path.resolve(cwd, options.file || DEFAULT_PIPELINE_FILE);
+
+  if (!fs.existsSync(file)) {
+    if (options.file) throw new Error(`SPARC pipeline file not found: ${file}`);
+    return defaultPipeline();
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  return resolvePipeline(definition, { file, baseDir: path.dirname(file) });
+}
+
+function runGateCommand(command, { cwd, env }) {
+  const run = typeof command === 'string' ? command : command.run;
+  const timeout = command.timeout || DEFAULT_COMMAND_TIMEOUT;
+
+  return new Promise((resolve) => {
+    let output = '';
+    const append = (chunk) => {
+      output = (output + chunk).slice(-OUTPUT_LIMIT);
+    };
+
+    const child = spawn(run, { cwd, env: { ...process.env, ...env }, shell: true, timeout });
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+    child.on('error', (error) => resolve({ run, exitCode: null, output: error.message }));
+    child.on('close', (exitCode, signal) =>
+      resolve({ run, exitCode, output, timedOut: signal === 'SIGTERM' && exitCode === null }),
+    );
+  });
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === false) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return value === '';
+}
+
+/**
+ * Check a phase result against declarative gates.
+ *
+ * context: { phase, cwd, env }. Returns the reasons the gates failed.
+ */
+export async function evaluateGates(gates, result, context = {}) {
+  const reasons = [];
+  const { phase, cwd = process.cwd(), env = {} } = context;
+
+  if (gates.minCoverage !== undefined) {
+    const coverage = result?.testResults?.coverage ?? result?.coverage;
+    if (typeof coverage !== 'number') {
+      reasons.push(`No coverage report (minimum ${gates.minCoverage}%)`);
+    } else if (coverage < gates.minCoverage) {
+      reasons.push(`Test coverage ${coverage.toFixed(1)}% below ${gates.minCoverage}%`);
+    }
+  }
+
+  if (gates.maxComplexity !== undefined) {
+    const complexity = result?.codeQuality?.metrics?.averageComplexity ?? result?.complexity;
+    if (typeof complexity !== 'number') {
+      reasons.push('No complexity metric to check');
+    } else if (complexity > gates.maxComplexity) {
+      reasons.push(`Average complexity ${complexity.toFixed(1)} above ${gates.maxComplexity}`);
+    }
+  }
+
+  for (const artifact of gates.requiredArtifacts || []) {
+    const saved = (phase?.artifacts || []).some((a) => a.filename === artifact);
+    if (!saved && isEmpty(result?.[artifact])) {
+      reasons.push(`Missing artifact: ${artifact}`);
+    }
+  }
+
+  if (gates.command) {
+    const run = await runGateCommand(gates.command, { cwd, env });
+    if (run.exitCode !== 0) {
+      const lastLine = run.output.trim().split('\n').pop();
+      const status = run.timedOut ? 'timed out' : `exited with code ${run.exitCode}`;
+      reasons.push(`Gate command "${run.run}" ${status}${lastLine ? `: ${lastLine}` : ''}`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Plain description of a pipeline for display and run records
+ */
+export function describePipeline(pipeline) {
+  return pipeline.phases.map(({ name, builtin, module, gates }) => ({
+    name,
+    source: builtin ? 'built-in' : module,
+    gates,
+  }));
+}
@@ -0,0 +1,555 @@
+// SPARC Test Runner
+// Detects the project's test runner, executes it and parses its reports
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const TEST_RUNNERS = ['jest', 'vitest', 'mocha', 'node:test', 'pytest'];
+
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+const OUTPUT_LIMIT = 64 * 1024;
+const MAX_FAILURES = 20;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function hasPackage(cwd, name) {
+  return fs.existsSync(path.join(cwd, 'node_modules', name, 'package.json'));
+}
+
+function usesPytest(cwd) {
+  if (fs.existsSync(path.join(cwd, 'pytest.ini')) || fs.existsSync(path.join(cwd, 'conftest.py'))) {
+    return true;
+  }
+  const configs = [
+    ['pyproject.toml', /pytest/],
+    ['setup.cfg', /\[tool:pytest\]/],
+    ['tox.ini', /\[pytest\]/],
+    ['requirements-dev.txt', /^pytest\b/m],
+    ['requirements.txt', /^pytest\b/m],
+  ];
+  return configs.some(([file, pattern]) => pattern.test(readText(path.join(cwd, file)) || ''));
+}
+
+function mentionsPytestCov(cwd) {
+  return [
+    'pyproject.toml',
+    'setup.cfg',
+    'requirements-dev.txt',
+    'requirements.txt',
+    'Pipfile',
+  ].some((file) => (readText(path.join(cwd, file)) || '').includes('pytest-cov'));
+}
+
+/**
+ * Find the test runner a project uses: the one named in its test script,
+ * then a declared dependency, then pytest configuration.
+ *
+ * Returns { name, cwd } or null.
+ */
+export function detectTestRunner(cwd = process.cwd(), preferred = null) {
+  if (preferred) {
+    if (!TEST_RUNNERS.includes(preferred)) {
+      throw new Error(`Unknown test runner: ${preferred}. Supported: ${TEST_RUNNERS.join(', ')}`);
+    }
+    return { name: preferred, cwd };
+  }
+
+  const pkg = readJson(path.join(cwd, 'package.json'));
+  if (pkg) {
+    const script = pkg.scripts?.test || '';
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+
+    for (const name of ['vitest', 'jest', 'mocha']) {
+      if (new RegExp(`\\b${name}\\b`).test(script)) return { name, cwd };
+    }
+    if (/\bnode\b.*--test\b/.test(script)) return { name: 'node:test', cwd };
+    for (const name of ['vitest', 'jest', 'mocha']) {
+      if (deps[name]) return { name, cwd };
+    }
+  }
+
+  if (usesPytest(cwd)) return { name: 'pytest', cwd };
+  return null;
+}
+
+function localBin(cwd, name) {
+  const bin = path.join(cwd, 'node_modules', '.bin', name);
+  return fs.existsSync(bin) ? bin : null;
+}
+
+function requireBin(cwd, name) {
+  const bin = localBin(cwd, name);
+  if (!bin) throw new Error(`${name} is not installed in ${cwd}; run npm install`);
+  return bin;
+}
+
+/**
+ * Command line for a runner, writing its reports into reportDir
+ */
+export function buildTestCommand(runner, { reportDir, coverage = true }) {
+  const { cwd } = runner;
+
+  switch (runner.name) {
+    case 'jest':
+      return {
+        command: requireBin(cwd, 'jest'),
+        args: [
+          '--json',
+          `--outputFile=${path.join(reportDir, 'results.json')}`,
+          ...(coverage
+            ? [
+                '--coverage',
+                '--coverageReporters=json-summary',
+                '--coverageReporters=lcov',
+                `--coverageDirectory=${reportDir}`,
+              ]
+            : []),
+        ],
+      };
+
+    case 'vitest': {
+      // Coverage needs a provider package; without one vitest refuses to run
+      const provider =
+        hasPackage(cwd, '@vitest/coverage-v8') || hasPackage(cwd, '@vitest/coverage-istanbul');
+      return {
+        command: requireBin(cwd, 'vitest'),
+        args: [
+          'run',
+          '--reporter=json',
+          `--outputFile=${path.join(reportDir, 'results.json')}`,
+          ...(coverage && provider
+            ? [
+                '--coverage.enabled=true',
+                '--coverage.reporter=json-summary',
+                '--coverage.reporter=lcov',
+                `--coverage.reportsDirectory=${reportDir}`,
+              ]
+            : []),
+        ],
+      };
+    }
+
+    case 'mocha': {
+      const mocha = [
+        requireBin(cwd, 'mocha'),
+        '--reporter',
+        'json',
+        '--reporter-option',
+        `output=${path.join(reportDir, 'results.json')}`,
+      ];
+      const wrapper = coverage && (localBin(cwd, 'c8') || localBin(cwd, 'nyc'));
+      if (!wrapper) return { command: mocha[0], args: mocha.slice(1) };
+
+      const dirFlag = path.basename(wrapper) === 'c8' ? '--reports-dir' : '--report-dir';
+      return {
+        command: wrapper,
+        args: ['--reporter=json-summary', '--reporter=lcov', `${dirFlag}=${reportDir}`, ...mocha],
+      };
+    }
+
+    case 'node:test':
+      return {
+        command: process.execPath,
+        args: [
+          '--test',
+          '--test-reporter=tap',
+          ...(coverage ? ['--experimental-test-coverage'] : []),
+        ],
+      };
+
+    case 'pytest':
+      return {
+        command: 'python3',
+        args: [
+          '-m',
+          'pytest',
+          '-q',
+          `--junitxml=${path.join(reportDir, 'junit.xml')}`,
+          ...(coverage && mentionsPytestCov(cwd)
+            ? ['--cov', `--cov-report=json:${path.join(reportDir, 'coverage.json')}`]
+            : []),
+        ],
+      };
+
+    default:
+      throw new Error(`Unknown test runner: ${runner.name}`);
+  }
+}
+
+function percent(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Totals from an istanbul json-summary report (coverage-summary.json)
+ */
+export function parseIstanbulSummary(summary) {
+  const total = summary?.total;
+  if (!total) return null;
+  return {
+    lines: percent(total.lines?.pct),
+    statements: percent(total.statements?.pct),
+    functions: percent(total.functions?.pct),
+    branches: percent(total.branches?.pct),
+  };
+}
+
+/**
+ * Totals across the records of an lcov.info file
+ */
+export function parseLcov(text) {
+  const totals = { LF: 0, LH: 0, FNF: 0, FNH: 0, BRF: 0, BRH: 0 };
+  for (const match of text.matchAll(/^(LF|LH|FNF|FNH|BRF|BRH):(\d+)$/gm)) {
+    totals[match[1]] += Number(match[2]);
+  }
+  if (totals.LF === 0) return null;
+
+  const pct = (hit, found) => (found > 0 ? Math.round((hit / found) * 10000) / 100 : null);
+  return {
+    lines: pct(totals.LH, totals.LF),
+    statements: null,
+    functions: pct(totals.FNH, totals.FNF),
+    branches: pct(totals.BRH, totals.BRF),
+  };
+}
+
+/**
+ * Totals from a coverage.py JSON report
+ */
+export function parseCoveragePy(report) {
+  const totals = report?.totals;
+  if (!totals) return null;
+  return {
+    lines: percent(totals.percent_covered),
+    statements: null,
+    functions: null,
+    branches:
+      totals.num_branches > 0
+        ? Math.round((totals.covered_branches / totals.num_branches) * 10000) / 100
+        : null,
+  };
+}
+
+function emptyResults() {
+  return { total: 0, passed: 0, failed: 0, skipped: 0, duration: 0, suites: [], failures: [] };
+}
+
+/**
+ * Jest --json report; vitest's json reporter writes the same format
+ */
+export function parseJestReport(report, cwd = process.cwd()) {
+  const results = emptyResults();
+  results.total = report.numTotalTests || 0;
+  results.passed = report.numPassedTests || 0;
+  results.failed = report.numFailedTests || 0;
+  results.skipped = (report.numPendingTests || 0) + (report.numTodoTests || 0);
+
+  for (const file of report.testResults || []) {
+    const assertions = file.assertionResults || [];
+    const duration = file.endTime && file.startTime ? file.endTime - file.startTime : 0;
+    const name = path.relative(cwd, file.name || file.testFilePath || '') || file.name;
+    results.duration += duration;
+    results.suites.push({
+      name,
+      tests: assertions.length,
+      passed: assertions.filter((a) => a.status === 'passed').length,
+      failed: assertions.filter((a) => a.status === 'failed').length,
+      duration,
+      coverage: null,
+    });
+
+    for (const assertion of assertions.filter((a) => a.status === 'failed')) {
+      results.failures.push({
+        suite: name,
+        name: assertion.fullName || assertion.title,
+        message: (assertion.failureMessages || []).join('\n').split('\n')[0],
+      });
+    }
+    // A file that fails to load has no assertions, only a message
+    if (file.status === 'failed' && assertions.length === 0) {
+      results.failures.push({ suite: name, name, message: (file.message || '').split('\n')[0] });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Mocha json reporter output
+ */
+export function parseMochaReport(report, cwd = process.cwd()) {
+  const results = emptyResults();
+  const stats = report.stats || {};
+  results.total = stats.tests || 0;
+  results.passed = stats.passes || 0;
+  results.failed = stats.failures || 0;
+  results.skipped = stats.pending || 0;
+  results.duration = stats.duration || 0;
+
+  const suites = new Map();
+  for (const test of report.tests || []) {
+    const name = test.file ? path.relative(cwd, test.file) : 'tests';
+    const suite = suites.get(name) || {
+      name,
+      tests: 0,
+      passed: 0,
+      failed: 0,
+      duration: 0,
+      coverage: null,
+    };
+    const failed = test.err && Object.keys(test.err).length > 0;
+    suite.tests += 1;
+    suite.passed += failed || test.pending ? 0 : 1;
+    suite.failed += failed ? 1 : 0;
+    suite.duration += test.duration || 0;
+    suites.set(name, suite);
+  }
+  results.suites = [...suites.values()];
+  results.failures = (report.failures || []).map((test) => ({
+    suite: test.file ? path.relative(cwd, test.file) : 'tests',
+    name: test.fullTitle || test.title,
+    message: (test.err?.message || '').split('\n')[0],
+  }));
+
+  return results;
+}
+
+/**
+ * node --test TAP output, including the --experimental-test-coverage table
+ */
+export function parseTapOutput(text) {
+  const results = emptyResults();
+  const count = (label) => Number(text.match(new RegExp(`^# ${label} (\\d+)`, 'm'))?.[1] || 0);
+  results.total = count('tests');
+  results.passed = count('pass');
+  results.failed = count('fail');
+  results.skipped = count('skipped') + count('todo');
+  results.duration = Math.round(Number(text.match(/^# duration_ms ([\d.]+)/m)?.[1] || 0));
+
+  // Each "not ok" line is followed by a YAML block that carries the error
+  let failure = null;
+  for (const line of text.split('\n')) {
+    const notOk = line.match(/^\s*not ok \d+ - (.+)$/);
+    if (notOk) {
+      failure = { suite: null, name: notOk[1].trim(), message: null };
+      results.failures.push(failure);
+    } else if (failure && /^\s*(ok|not ok) \d+/.test(line)) {
+      failure = null;
+    } else if (failure && failure.message === '') {
+      // First line of a block scalar ("error: |-")
+      failure.message = line.trim();
+    } else if (failure && !failure.message) {
+      const error = line.match(/^\s*error:\s*(.+)$/);
+      if (error) {
+        failure.message = /^[|>]/.test(error[1]) ? '' : error[1].replace(/^['"]|['"]$/g, '');
+      }
+    }
+  }
+
+  // "# all files | line % | branch % | funcs % | ..."
+  const all = text.match(/^# all files\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)/m);
+  const coverage = all
+    ? {
+        lines: Number(all[1]),
+        statements: null,
+        functions: Number(all[3]),
+        branches: Number(all[2]),
+      }
+    : null;
+
+  return { results, coverage };
+}
+
+function xmlAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+/**
+ * JUnit XML as written by pytest --junitxml
+ */
+export function parseJunitXml(xml) {
+  const results = emptyResults();
+  const suites = new Map();
+
+  for (const match of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const attributes = xmlAttributes(match[1]);
+    const body = match[2] || '';
+    const name = attributes.classname || attributes.file || 'tests';
+    const suite = suites.get(name) || {
+      name,
+      tests: 0,
+      passed: 0,
+      failed: 0,
+      duration: 0,
+      coverage: null,
+    };
+    const failure = body.match(/<(failure|error)\b([^>]*)/);
+    const skipped = /<skipped\b/.test(body);
+
+    suite.tests += 1;
+    suite.duration += Math.round(Number(attributes.time || 0) * 1000);
+    results.total += 1;
+    if (failure) {
+      suite.failed += 1;
+      results.failed += 1;
+      results.failures.push({
+        suite: name,
+        name: attributes.name,
+        message: xmlAttributes(failure[2]).message || failure[1],
+      });
+    } else if (skipped) {
+      results.skipped += 1;
+    } else {
+      suite.passed += 1;
+      results.passed += 1;
+    }
+    suites.set(name, suite);
+  }
+
+  results.suites = [...suites.values()];
+  results.duration = results.suites.reduce((sum, suite) => sum + suite.duration, 0);
+  return results;
+}
+
+function execute(command, args, { cwd, timeout }) {
+  return new Promise((resolve) => {
+    let output = '';
+    const append = (chunk) => {
+      output = (output + chunk).slice(-OUTPUT_LIMIT);
+    };
+
+    const child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, CI: 'true', FORCE_COLOR: '0' },
+      timeout,
+    });
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+    child.on('error', (error) =>
+      resolve({ exitCode: null, output: error.message, timedOut: false }),
+    );
+    child.on('close', (exitCode, signal) =>
+      resolve({ exitCode, output, timedOut: signal === 'SIGTERM' && exitCode === null }),
+    );
+  });
+}
+
+/**
+ * Coverage reports written into reportDir, in order of preference
+ */
+function readCoverage(reportDir) {
+  const summary = readJson(path.join(reportDir, 'coverage-summary.json'));
+  if (summary) return parseIstanbulSummary(summary);
+
+  const lcov = readText(path.join(reportDir, 'lcov.info'));
+  if (lcov) return parseLcov(lcov);
+
+  const coveragePy = readJson(path.join(reportDir, 'coverage.json'));
+  if (coveragePy) return parseCoveragePy(coveragePy);
+
+  return null;
+}
+
+/**
+ * Run the project's tests and collect results and coverage.
+ *
+ * Returns { runner, command, exitCode, timedOut, total, passed, failed,
+ *   skipped, duration, coverage, coverageDetail, suites, failures, error }
+ * where coverage is the line coverage percentage, or null when the runner
+ * produced no coverage report.
+ */
+export async function runProjectTests(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const runner = options.runner || detectTestRunner(cwd, options.preferred);
+  if (!runner) {
+    return {
+      ...emptyResults(),
+      runner: null,
+      coverage: null,
+      coverageDetail: null,
+      error: 'No test runner detected',
+    };
+  }
+
+  const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sparc-tests-'));
+  try {
+    const { command, args } = buildTestCommand(runner, {
+      reportDir,
+      coverage: options.coverage !== false,
+    });
+    const started = Date.now();
+    const run = await execute(command, args, { cwd, timeout: options.timeout || DEFAULT_TIMEOUT });
+
+    let results = null;
+    let coverage = null;
+    if (runner.name === 'jest' || runner.name === 'vitest' || runner.name === 'mocha') {
+      const report = readJson(path.join(reportDir, 'results.json'));
+      if (report) {
+        results =
+          runner.name === 'mocha' ? parseMochaReport(report, cwd) : parseJestReport(report, cwd);
+      }
+      coverage = readCoverage(reportDir);
+    } else if (runner.name === 'node:test') {
+      if (/^# tests \d+/m.test(run.output)) ({ results, coverage } = parseTapOutput(run.output));
+    } else if (runner.name === 'pytest') {
+      const xml = readText(path.join(reportDir, 'junit.xml'));
+      if (xml) results = parseJunitXml(xml);
+      coverage = readCoverage(reportDir);
+    }
+
+    const error = run.timedOut
+      ? `Timed out after ${options.timeout || DEFAULT_TIMEOUT}ms`
+      : results
+        ? null
+        : `${runner.name} produced no test report: ${run.output.trim().split('\n').slice(-5).join('\n')}`;
+
+    results = results || emptyResults();
+    return {
+      ...results,
+      duration: results.duration || Date.now() - started,
+      failures: results.failures.slice(0, MAX_FAILURES),
+      runner: runner.name,
+      command: [
+        path.basename(command),
+        ...args.map((arg) => arg.replace(reportDir, '<reports>')),
+      ].join(' '),
+      exitCode: run.exitCode,
+      timedOut: run.timedOut,
+      coverage: coverage?.lines ?? null,
+      coverageDetail: coverage,
+      error,
+    };
+  } catch (error) {
+    return {
+      ...emptyResults(),
+      runner: runner.name,
+      coverage: null,
+      coverageDetail: null,
+      error: error.message,
+    };
+  } finally {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  }
+}
+
+export default runProjectTests;
@@ -19,7 +19,7 @@ export async function launchUI(args = []) {
         await webServer.start();
 
         printSuccess('🌐 Claude Flow Web UI is running!');
-        console.log(`📍 Open your browser to: http://localhost:${port}/console`);
+        console.log(`📍 Open your browser to: ${webServer.consoleUrl()}`);
         console.log();
         console.log('Features:');
         console.log('  ✨ Access all 71+ MCP tools through the web interface');
@@ -40,7 +40,7 @@ export async function launchUI(args = []) {
                 : 'xdg-open';
 
           const { exec } = await import('child_process');
-          exec(`${openCommand} http://localhost:${port}/console`);
+          exec(`${openCommand} "${webServer.consoleUrl()}"`);
         } catch {
           // Browser opening failed, that's okay
         }
@@ -29,7 +29,7 @@ export async function startCommand(subArgs, flags) {
         const server = await startWebServer(port);
 
         printSuccess(`🌐 Web UI is running!`);
-        console.log(`📍 Open your browser to: http://localhost:${port}/console`);
+        console.log(`📍 Open your browser to: ${server.consoleUrl()}`);
         console.log('   Press Ctrl+C to stop the server');
         console.log();
 
@@ -52,7 +52,7 @@ export async function startCommand(subArgs, flags) {
         await webServer.start();
 
         printSuccess('🌐 Claude Flow Web UI is running!');
-        console.log(`📍 Open your browser to: http://localhost:${port}/console`);
+        console.log(`📍 Open your browser to: ${webServer.consoleUrl()}`);
         console.log('   Press Ctrl+C to stop the server');
         console.log();
 
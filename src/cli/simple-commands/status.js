@@ -1,6 +1,7 @@
 // status.js - System status and monitoring commands
 import { printSuccess, printError, printWarning } from '../utils.js';
-import { Deno } from '../node-compat.js';
+import { Deno, existsSync } from '../node-compat.js';
+import { FallbackMemoryStore } from '../../memory/fallback-store.js';
 
 export async function statusCommand(subArgs, flags) {
   const verbose = subArgs.includes('--verbose') || subArgs.includes('-v') || flags.verbose;
@@ -57,6 +58,23 @@ async function getSystemStatus(verbose = false) {
 }
 
 async function getMemoryStats() {
+  // Entries live in the store shared with MCP; don't create it just to report zero
+  if (existsSync('.swarm/memory.db')) {
+    const store = new FallbackMemoryStore();
+    try {
+      await store.initialize();
+      let totalEntries = 0;
+      for (const namespace of await store.listNamespaces()) {
+        totalEntries += (await store.list({ namespace, limit: Number.MAX_SAFE_INTEGER })).length;
+      }
+      return totalEntries;
+    } catch {
+      return 0;
+    } finally {
+      store.close();
+    }
+  }
+
   try {
     const memoryStore = './memory/memory-store.json';
     const content = await Deno.readTextFile(memoryStore);
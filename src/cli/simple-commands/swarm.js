@@ -8,6 +8,9 @@ import { existsSync, chmodSync, statSync } from 'fs';
 import { open } from 'fs/promises';
 import process from 'process';
 import path from 'path';
+import { WorktreeManager, isolationMode } from './worktrees.js';
+import { markReadOnlySession, writeReadOnlySettings } from './hooks/read-only.js';
+import { SqliteMemoryStore } from '../../memory/sqlite-store.js';
 
 function showSwarmHelp() {
   console.log(`
@@ -25,6 +28,8 @@ EXAMPLES:
   claude-flow swarm "Create microservice" --executor  # Use built-in executor
   claude-flow swarm "Build API endpoints" --output-format json  # Get JSON output
   claude-flow swarm "Research AI trends" --output-format json --output-file results.json
+  claude-flow swarm "Split the monolith" --isolation worktree  # One git worktree per agent
+  claude-flow swarm --integrate swarm_abc123  # Merge the agent worktrees back
 
 DEFAULT BEHAVIOR:
   Swarm now opens Claude Code by default with comprehensive MCP tool instructions
@@ -84,6 +89,9 @@ OPTIONS:
   --no-auto-permissions      Disable automatic --dangerously-skip-permissions
   --analysis                 Enable analysis/read-only mode (no code changes)
   --read-only                Enable read-only mode (alias for --analysis)
+  --isolation <mode>         none (default) or worktree: a git worktree and branch per agent
+  --integrate <swarm-id>     Merge a swarm's agent worktrees and report conflicts per agent
+  --remove-worktrees <id>    Remove a swarm's agent worktrees (unmerged branches are kept)
 
 ADVANCED OPTIONS:
   --quality-threshold <n>    Quality threshold 0-1 (default: 0.8)
@@ -101,6 +109,12 @@ https://github.com/ruvnet/claude-code-flow/docs/swarm.md
 export async function swarmCommand(args, flags) {
   const objective = (args || []).join(' ').trim();
 
+  // Maintenance of the worktrees of a swarm started with --isolation worktree
+  if (flags && (flags.integrate || flags['remove-worktrees'])) {
+    await swarmWorktreeCommand(flags);
+    return;
+  }
+
   if (!objective) {
     console.error('❌ Usage: swarm <objective>');
     showSwarmHelp();
@@ -117,6 +131,14 @@ export async function swarmCommand(args, flags) {
   const isAnalysisMode = flags && (flags.analysis || flags['read-only']);
   const analysisMode = isAnalysisMode ? 'analysis' : 'standard';
 
+  let isolation;
+  try {
+    isolation = isolationMode(flags || {});
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return;
+  }
+
   // For JSON output, we need to ensure executor mode since Claude Code doesn't return structured JSON
   if (isJsonOutput && !(flags && flags.executor)) {
     flags = { ...(flags || {}), executor: true };
@@ -169,6 +191,38 @@ export async function swarmCommand(args, flags) {
       const enableSparc =
         flags.sparc !== false && (strategy === 'development' || strategy === 'auto');
 
+      const swarmRunId = `swarm_${Date.now().toString(36)}`;
+
+      // One git worktree per agent slot, so agents working in parallel never share files
+      let worktreeSection = '';
+      let worktreeSwarmId = null;
+      if (isolation === 'worktree') {
+        worktreeSwarmId = swarmRunId;
+        const manager = new WorktreeManager();
+        const worktrees = [];
+        for (let i = 1; i <= Number(maxAgents); i++) {
+          worktrees.push(await manager.create(worktreeSwarmId, `agent-${i}`));
+        }
+        console.log(`🌳 Isolation: ${worktrees.length} git worktrees for swarm ${worktreeSwarmId}`);
+        worktreeSection = `
+🌳 WORKTREE ISOLATION:
+Every agent has its own git worktree and branch. Give each agent you spawn one of these
+directories and make all of its edits there; never edit the main working tree:
+${worktrees.map((worktree, i) => `- Agent ${i + 1}: ${worktree.path} (${worktree.branch})`).join('\n')}
+Agents commit in their own worktree. The branches are merged back afterwards with
+claude-flow swarm --integrate ${worktreeSwarmId}
+`;
+      }
+
+      // Analysis mode is enforced by Claude Code permissions and the pre-edit/pre-bash hooks
+      let readOnlySettings = null;
+      if (isAnalysisMode) {
+        readOnlySettings = await enableReadOnlySession(swarmRunId, objective);
+        console.log(
+          `🔒 Read-only: permissions from ${path.relative(process.cwd(), readOnlySettings)}`,
+        );
+      }
+
       const swarmPrompt = `You are orchestrating a Claude Flow Swarm with advanced MCP tool coordination.
 
 🎯 OBJECTIVE: ${objective}
@@ -182,7 +236,7 @@ export async function swarmCommand(args, flags) {
 - Review Mode: ${flags.review || false}
 - Testing Mode: ${flags.testing || false}
 - Analysis Mode: ${isAnalysisMode ? 'ENABLED (Read-Only)' : 'DISABLED'}
-
+${worktreeSection}
 ${
   isAnalysisMode
     ? `🔍 ANALYSIS MODE CONSTRAINTS:
@@ -193,7 +247,7 @@ REQUIRED BEHAVIORS:
 1. ✅ READ files for analysis (Read tool)
 2. ✅ SEARCH codebases (Glob, Grep tools)
 3. ✅ ANALYZE code structure and patterns
-4. ✅ GENERATE reports and documentation
+4. ✅ GENERATE reports and store them with memory_store
 5. ✅ CREATE analysis summaries
 6. ✅ STORE findings in memory for collaboration
 7. ✅ COMMUNICATE between agents about findings
@@ -207,6 +261,11 @@ FORBIDDEN OPERATIONS:
 6. ❌ NEVER modify configuration files
 7. ❌ NEVER execute code that changes system state
 
+These rules are enforced: this session's permissions deny Write, Edit, MultiEdit and
+NotebookEdit, and Bash only runs commands that leave files alone (ls, cat, grep, find,
+git log/diff/status, ...). Every blocked attempt is recorded as a violation in the
+session report.
+
 ALL AGENTS MUST OPERATE IN READ-ONLY MODE. Focus on:
 - Code analysis and understanding
 - Security vulnerability assessment
@@ -568,8 +627,12 @@ The swarm should be self-documenting - use memory_store to save all important in
       // Pass the prompt directly as an argument to claude
       const claudeArgs = [swarmPrompt];
 
-      // Add auto-permission flag by default for swarm mode (unless explicitly disabled)
-      if (flags['dangerously-skip-permissions'] !== false && !flags['no-auto-permissions']) {
+      if (readOnlySettings) {
+        // Skipping permissions would bypass the read-only rules
+        claudeArgs.push('--settings', readOnlySettings);
+        console.log('🔒 Read-only mode: --dangerously-skip-permissions is not used');
+      } else if (flags['dangerously-skip-permissions'] !== false && !flags['no-auto-permissions']) {
+        // Add auto-permission flag by default for swarm mode (unless explicitly disabled)
         claudeArgs.push('--dangerously-skip-permissions');
         console.log(
           '🔓 Using --dangerously-skip-permissions by default for seamless swarm execution',
@@ -580,6 +643,10 @@ The swarm should be self-documenting - use memory_store to save all important in
       const claudeProcess = spawn('claude', claudeArgs, {
         stdio: 'inherit',
         shell: false,
+        // Lets every hook of the session find its read-only flag
+        env: readOnlySettings
+          ? { ...process.env, CLAUDE_FLOW_SESSION_ID: swarmRunId }
+          : process.env,
       });
 
       console.log('✓ Claude Code launched with swarm coordination prompt!');
@@ -589,6 +656,16 @@ The swarm should be self-documenting - use memory_store to save all important in
       console.log('   • Coordination patterns for', mode, 'mode');
       console.log('   • Recommended agents and MCP tool usage');
       console.log('   • Complete workflow documentation\n');
+      if (worktreeSwarmId) {
+        console.log(
+          `🔀 Merge the agent worktrees with: claude-flow swarm --integrate ${worktreeSwarmId}`,
+        );
+      }
+      if (readOnlySettings) {
+        console.log(
+          `🔒 Blocked edits and commands are recorded for session ${swarmRunId} and listed in the session-end summary`,
+        );
+      }
 
       // Handle process events
       claudeProcess.on('error', (err) => {
@@ -1161,6 +1238,9 @@ OPTIONS:
   --no-auto-permissions      Disable automatic --dangerously-skip-permissions
   --analysis                 Enable analysis/read-only mode (no code changes)
   --read-only                Enable read-only mode (alias for --analysis)
+  --isolation <mode>         none (default) or worktree: a git worktree and branch per agent
+  --integrate <swarm-id>     Merge a swarm's agent worktrees and report conflicts per agent
+  --remove-worktrees <id>    Remove a swarm's agent worktrees (unmerged branches are kept)
 
 ADVANCED OPTIONS:
   --quality-threshold <n>    Quality threshold 0-1 (default: 0.8)
@@ -1176,6 +1256,89 @@ https://github.com/ruvnet/claude-code-flow/docs/swarm.md
   }
 }
 
+/**
+ * Flag a swarm session read-only for the hooks and write the Claude Code
+ * settings that enforce it. Returns the settings file.
+ */
+async function enableReadOnlySession(sessionId, objective) {
+  const store = new SqliteMemoryStore();
+  await store.initialize();
+  try {
+    await markReadOnlySession(store, sessionId, { source: 'swarm', objective });
+  } finally {
+    store.close();
+  }
+  return writeReadOnlySettings(sessionId);
+}
+
+/**
+ * --integrate <swarm-id>: merge the agent worktrees of a swarm into the
+ * current branch and report each agent's outcome.
+ * --remove-worktrees <swarm-id>: remove them; pending work is committed and
+ * unmerged branches are kept (--force discards what cannot be committed).
+ */
+async function swarmWorktreeCommand(flags) {
+  const swarmId = flags.integrate || flags['remove-worktrees'];
+  if (swarmId === true) {
+    console.error('❌ Usage: swarm --integrate <swarm-id> | --remove-worktrees <swarm-id>');
+    return;
+  }
+
+  try {
+    const manager = new WorktreeManager();
+    const worktrees = await manager.list(swarmId);
+    if (worktrees.length === 0) {
+      console.log(`No worktrees found for swarm ${swarmId}`);
+      return;
+    }
+
+    if (flags.integrate) {
+      const report = await manager.integrate(worktrees, {
+        message: (worktree) => `${worktree.agentId}: work from swarm ${swarmId}`,
+      });
+      if (flags['output-format'] === 'json') {
+        console.log(JSON.stringify({ swarmId, report }, null, 2));
+      } else {
+        console.log(`🔀 Worktree integration for swarm ${swarmId}`);
+        for (const entry of report) {
+          const icon = { merged: '✅', 'no-changes': '➖', conflict: '❌', failed: '❌' }[
+            entry.status
+          ];
+          console.log(
+            `${icon} ${entry.agentId}: ${entry.status} (${entry.commits} commits, ${entry.files.length} files)`,
+          );
+          entry.conflicts.forEach((file) => console.log(`     conflict: ${file}`));
+          if (entry.error) console.log(`     ${entry.error}`);
+        }
+      }
+      if (report.some((entry) => entry.status === 'conflict' || entry.status === 'failed')) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    for (const worktree of worktrees) {
+      const { removed, committed, branchDeleted } = await manager.remove(worktree, {
+        message: `${worktree.agentId}: uncommitted work from swarm ${swarmId}`,
+        force: Boolean(flags.force),
+      });
+      if (!removed) {
+        console.log(`⚠️  Could not remove ${worktree.path}`);
+        process.exitCode = 1;
+        continue;
+      }
+      console.log(
+        `🧹 Removed ${worktree.path}` +
+          (committed ? ' (committed pending work)' : '') +
+          (branchDeleted ? '' : ` (kept unmerged ${worktree.branch})`),
+      );
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
 // Function to create swarm files directly
 async function createSwarmFiles(objective, flags) {
   const fs = await import('fs');
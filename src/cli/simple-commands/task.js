@@ -1,27 +1,48 @@
 // task.js - Task management commands with improved argument parsing
+// Tasks are kept in the durable queue in .swarm/memory.db (see memory/task-queue.js),
+// shared with the MCP task tools and agents claiming work
 import { printSuccess, printError, printWarning } from '../utils.js';
 import { Command } from 'commander';
-
-export async function taskCommand(subArgs, flags) {
+import { TaskQueue, TaskQueueError, TASK_STATES } from '../../memory/task-queue.js';
+
+const QUEUE_COMMANDS = {
+  create: createTask,
+  list: listTasks,
+  status: showTaskStatus,
+  cancel: cancelTask,
+  claim: claimTask,
+  renew: renewTask,
+  complete: completeTask,
+  fail: failTask,
+};
+
+const STATUS_ICONS = {
+  queued: '⏳',
+  running: '🔄',
+  completed: '✅',
+  failed: '❌',
+  cancelled: '🛑',
+};
+
+export async function taskCommand(subArgs, flags = {}) {
   const taskCmd = subArgs[0];
 
-  switch (taskCmd) {
-    case 'create':
-      await createTask(subArgs, flags);
-      break;
-
-    case 'list':
-      await listTasks(subArgs, flags);
-      break;
-
-    case 'status':
-      await showTaskStatus(subArgs, flags);
-      break;
-
-    case 'cancel':
-      await cancelTask(subArgs, flags);
-      break;
+  if (QUEUE_COMMANDS[taskCmd]) {
+    const queue = new TaskQueue();
+    try {
+      await QUEUE_COMMANDS[taskCmd](subArgs, flags, queue);
+    } catch (err) {
+      fail(
+        flags,
+        err instanceof TaskQueueError ? err.message : `Task queue unavailable: ${err.message}`,
+      );
+    } finally {
+      queue.close();
+    }
+    return;
+  }
 
+  switch (taskCmd) {
     case 'workflow':
       await executeWorkflow(subArgs, flags);
       break;
@@ -35,12 +56,72 @@ export async function taskCommand(subArgs, flags) {
   }
 }
 
-async function createTask(subArgs, flags) {
+function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+function fail(flags, message) {
+  if (flags.json) {
+    printJson({ success: false, error: message });
+  } else {
+    printError(message);
+  }
+}
+
+function splitList(value) {
+  if (!value || value === true) return [];
+  return String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function leaseMs(flags) {
+  if (flags.lease === undefined) return undefined;
+  const seconds = Number(flags.lease);
+  if (!(seconds > 0)) throw new TaskQueueError(`Invalid --lease: ${flags.lease} (seconds)`);
+  return seconds * 1000;
+}
+
+function parseResult(value) {
+  if (value === undefined || value === true) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function printTask(task, verbose = true) {
+  console.log(
+    `${STATUS_ICONS[task.status]} ${task.id}  [${task.status}]  p${task.priority}  ${task.type}`,
+  );
+  console.log(`   📋 ${task.description}`);
+  if (!verbose) return;
+  if (task.dependencies.length > 0)
+    console.log(`   🔗 Depends on: ${task.dependencies.join(', ')}`);
+  if (task.swarmId) console.log(`   🐝 Swarm: ${task.swarmId}`);
+  console.log(`   🔁 Attempts: ${task.attempts}/${task.maxAttempts}`);
+  if (task.agentId) console.log(`   🤖 Agent: ${task.agentId}`);
+  if (task.status === 'running') console.log(`   ⏱️  Lease expires: ${task.leaseExpiresAt}`);
+  console.log(`   📅 Created: ${task.createdAt}`);
+  if (task.startedAt) console.log(`   ▶️  Started: ${task.startedAt}`);
+  if (task.completedAt) console.log(`   🏁 Finished: ${task.completedAt} (${task.duration}ms)`);
+  if (task.error) console.log(`   ⚠️  Error: ${task.error}`);
+  if (task.result !== null) {
+    const result = typeof task.result === 'string' ? task.result : JSON.stringify(task.result);
+    console.log(`   📦 Result: ${result}`);
+  }
+}
+
+async function createTask(subArgs, flags, queue) {
   // Use commander for robust argument parsing
   const program = new Command()
     .exitOverride()
     .allowUnknownOption()
-    .option('--priority <value>', 'Set task priority (1-10)', '5');
+    .option('--priority <value>', 'Set task priority (1-10)')
+    .option('--depends-on <ids>', 'Comma-separated IDs of tasks that must complete first')
+    .option('--max-attempts <n>', 'Attempts before the task fails');
 
   try {
     // Parse the arguments starting from the create command
@@ -64,20 +145,35 @@ async function createTask(subArgs, flags) {
   }
 
   if (!taskType || !description) {
-    printError('Usage: task create <type> "<description>"');
-    console.log('Types: research, code, analysis, coordination, general');
+    fail(flags, 'Usage: task create <type> "<description>"');
+    if (!flags.json) console.log('Types: research, code, analysis, coordination, general');
     return;
   }
 
-  const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const priority = opts.priority || '5';
+  const maxAttempts = flags['max-attempts'] ?? opts.maxAttempts;
+  const task = await queue.enqueue(description, {
+    type: taskType,
+    priority: flags.priority ?? opts.priority,
+    dependsOn: splitList(flags['depends-on'] ?? opts.dependsOn),
+    maxAttempts: maxAttempts === undefined ? undefined : Number(maxAttempts),
+    swarmId: flags.swarm,
+    metadata: { createdBy: 'cli' },
+  });
+
+  if (flags.json) {
+    printJson({ success: true, task });
+    return;
+  }
 
-  printSuccess(`Creating ${taskType} task: ${taskId}`);
+  printSuccess(`Creating ${taskType} task: ${task.id}`);
   console.log(`📋 Description: ${description}`);
-  console.log(`⚡ Priority: ${priority}/10`);
+  console.log(`⚡ Priority: ${task.priority}/10`);
   console.log(`🏷️  Type: ${taskType}`);
+  if (task.dependencies.length > 0) {
+    console.log(`🔗 Depends on: ${task.dependencies.join(', ')}`);
+  }
   console.log('📅 Status: Queued');
-  console.log('\n📋 Note: Task queued for execution when orchestrator starts');
+  console.log(`\n📋 Note: Agents pick it up with: claude-flow task claim --agent <id>`);
 }
 
 function parseQuotedDescription(args) {
@@ -98,7 +194,7 @@ function parseQuotedDescription(args) {
   return fullString;
 }
 
-async function listTasks(subArgs, flags) {
+async function listTasks(subArgs, flags, queue) {
   const program = new Command()
     .exitOverride()
     .allowUnknownOption()
@@ -113,19 +209,39 @@ async function listTasks(subArgs, flags) {
   }
 
   const opts = program.opts();
-  const filter = opts.filter;
-  const verbose = opts.verbose || opts.v;
+  const filter = splitList(flags.filter ?? opts.filter);
+  const verbose = Boolean(flags.verbose || flags.v || opts.verbose || opts.v);
+
+  // Expired leases are requeued before anyone looks at the queue
+  await queue.reap();
+  const tasks = await queue.list({
+    status: filter.length > 0 ? filter : undefined,
+    swarmId: flags.swarm,
+  });
+
+  if (flags.json) {
+    printJson({ success: true, counts: await queue.counts(), tasks });
+    return;
+  }
 
   printSuccess('Task queue:');
 
-  if (filter) {
-    console.log(`📊 Filtered by status: ${filter}`);
+  if (filter.length > 0) {
+    console.log(`📊 Filtered by status: ${filter.join(', ')}`);
   }
 
-  console.log('📋 No active tasks (orchestrator not running)');
-  console.log('\nTask statuses: queued, running, completed, failed, cancelled');
+  if (tasks.length === 0) {
+    console.log('📋 No tasks');
+  } else {
+    for (const task of tasks) printTask(task, verbose);
+  }
 
-  if (verbose) {
+  const counts = await queue.counts();
+  console.log(
+    `\n${TASK_STATES.map((status) => `${STATUS_ICONS[status]} ${status}: ${counts[status]}`).join('  ')}`,
+  );
+
+  if (verbose && tasks.length === 0) {
     console.log('\nTo create tasks:');
     console.log('  claude-flow task create research "Market analysis"');
     console.log('  claude-flow task create code "Implement API"');
@@ -133,29 +249,138 @@ async function listTasks(subArgs, flags) {
   }
 }
 
-async function showTaskStatus(subArgs, flags) {
+async function showTaskStatus(subArgs, flags, queue) {
   const taskId = subArgs[1];
 
   if (!taskId) {
-    printError('Usage: task status <task-id>');
+    fail(flags, 'Usage: task status <task-id>');
+    return;
+  }
+
+  await queue.reap();
+  const task = await queue.get(taskId);
+  if (!task) throw new TaskQueueError(`Task ${taskId} not found`);
+
+  if (flags.json) {
+    printJson({ success: true, task });
     return;
   }
 
   printSuccess(`Task status: ${taskId}`);
-  console.log('📊 Task details would include:');
-  console.log('   Status, progress, assigned agent, execution time, results');
+  printTask(task);
+}
+
+async function cancelTask(subArgs, flags, queue) {
+  const taskId = subArgs[1];
+
+  if (!taskId) {
+    fail(flags, 'Usage: task cancel <task-id> [--reason "<text>"]');
+    return;
+  }
+
+  const cancelledIds = async () => (await queue.list({ status: 'cancelled' })).map((t) => t.id);
+  const before = new Set(await cancelledIds());
+  const task = await queue.cancel(taskId, {
+    reason: typeof flags.reason === 'string' ? flags.reason : undefined,
+  });
+  const dependents = (await cancelledIds())
+    .filter((id) => id !== taskId && !before.has(id))
+    .map((id) => ({ id }));
+
+  if (flags.json) {
+    printJson({ success: true, task, dependentsCancelled: dependents.map((t) => t.id) });
+    return;
+  }
+
+  printSuccess(`Cancelled task: ${taskId}`);
+  if (dependents.length > 0) {
+    console.log(`🛑 Also cancelled dependent tasks: ${dependents.map((t) => t.id).join(', ')}`);
+  }
+}
+
+async function claimTask(subArgs, flags, queue) {
+  const agentId = flags.agent;
+  if (!agentId || agentId === true) {
+    fail(flags, 'Usage: task claim --agent <id> [--type <types>] [--lease <seconds>]');
+    return;
+  }
+
+  const task = await queue.claim({
+    agentId,
+    leaseMs: leaseMs(flags),
+    types: splitList(flags.type).length > 0 ? splitList(flags.type) : undefined,
+    swarmId: flags.swarm,
+  });
+
+  if (flags.json) {
+    printJson({ success: true, task });
+    return;
+  }
+
+  if (!task) {
+    printWarning('No runnable tasks in the queue');
+    return;
+  }
+  printSuccess(`Claimed task ${task.id} for ${agentId}`);
+  printTask(task);
 }
 
-async function cancelTask(subArgs, flags) {
+async function renewTask(subArgs, flags, queue) {
   const taskId = subArgs[1];
+  if (!taskId || !flags.agent) {
+    fail(flags, 'Usage: task renew <task-id> --agent <id> [--lease <seconds>]');
+    return;
+  }
+
+  const task = await queue.renew(taskId, { agentId: flags.agent, leaseMs: leaseMs(flags) });
+  if (flags.json) {
+    printJson({ success: true, task });
+    return;
+  }
+  printSuccess(`Lease on ${taskId} renewed until ${task.leaseExpiresAt}`);
+}
 
+async function completeTask(subArgs, flags, queue) {
+  const taskId = subArgs[1];
   if (!taskId) {
-    printError('Usage: task cancel <task-id>');
+    fail(flags, 'Usage: task complete <task-id> [--agent <id>] [--result <json>]');
     return;
   }
 
-  printSuccess(`Cancelling task: ${taskId}`);
-  console.log('🛑 Task would be gracefully cancelled');
+  const task = await queue.complete(taskId, {
+    agentId: flags.agent,
+    result: parseResult(flags.result),
+  });
+  if (flags.json) {
+    printJson({ success: true, task });
+    return;
+  }
+  printSuccess(`Completed task ${taskId} (${task.duration}ms)`);
+}
+
+async function failTask(subArgs, flags, queue) {
+  const taskId = subArgs[1];
+  if (!taskId) {
+    fail(flags, 'Usage: task fail <task-id> [--agent <id>] [--error "<text>"] [--no-retry]');
+    return;
+  }
+
+  const task = await queue.fail(taskId, {
+    agentId: flags.agent,
+    error: typeof flags.error === 'string' ? flags.error : undefined,
+    retry: !flags['no-retry'],
+  });
+  if (flags.json) {
+    printJson({ success: true, task });
+    return;
+  }
+  if (task.status === 'queued') {
+    printWarning(
+      `Task ${taskId} failed; queued for attempt ${task.attempts + 1}/${task.maxAttempts}`,
+    );
+  } else {
+    printError(`Task ${taskId} failed after ${task.attempts} attempt(s)`);
+  }
 }
 
 async function executeWorkflow(subArgs, flags) {
@@ -178,13 +403,22 @@ async function manageCoordination(subArgs, flags) {
   const coordCmd = subArgs[1];
 
   switch (coordCmd) {
-    case 'status':
-      printSuccess('Task coordination status:');
-      console.log('🎯 Coordination engine: Not running');
-      console.log('   Active coordinators: 0');
-      console.log('   Pending tasks: 0');
-      console.log('   Resource utilization: 0%');
+    case 'status': {
+      const queue = new TaskQueue();
+      try {
+        await queue.reap();
+        const counts = await queue.counts();
+        printSuccess('Task coordination status:');
+        console.log(`   Queued tasks: ${counts.queued}`);
+        console.log(`   Running tasks: ${counts.running}`);
+        console.log(`   Completed: ${counts.completed}, failed: ${counts.failed}`);
+      } catch (err) {
+        printError(`Task queue unavailable: ${err.message}`);
+      } finally {
+        queue.close();
+      }
       break;
+    }
 
     case 'optimize':
       printSuccess('Optimizing task coordination...');
@@ -201,13 +435,19 @@ async function manageCoordination(subArgs, flags) {
 
 function showTaskHelp() {
   console.log('Task commands:');
-  console.log('  create <type> "<description>"    Create new task');
+  console.log('  create <type> "<description>"    Queue a new task');
   console.log('  list [--filter <status>]        List tasks');
   console.log('  status <id>                      Show task details');
-  console.log('  cancel <id>                      Cancel running task');
+  console.log('  cancel <id>                      Cancel a task and its dependents');
+  console.log('  claim --agent <id>               Lease the next runnable task');
+  console.log('  renew <id> --agent <id>          Extend the lease on a running task');
+  console.log('  complete <id> [--result <json>]  Mark a task completed');
+  console.log('  fail <id> [--error "<text>"]     Mark a task failed (retried if attempts remain)');
   console.log('  workflow <file>                  Execute workflow file');
   console.log('  coordination <status|optimize>   Manage coordination');
   console.log();
+  console.log(`Task States: ${TASK_STATES.join(', ')}`);
+  console.log();
   console.log('Task Types:');
   console.log('  research      Information gathering and analysis');
   console.log('  code          Software development tasks');
@@ -216,13 +456,23 @@ function showTaskHelp() {
   console.log('  general       General purpose tasks');
   console.log();
   console.log('Options:');
-  console.log('  --priority <1-10>                Set task priority');
-  console.log('  --filter <status>                Filter by status');
+  console.log('  --priority <level>               1-10 or low, medium, high, critical');
+  console.log('  --depends-on <id,id>             Run only after these tasks complete');
+  console.log('  --max-attempts <n>               Attempts before a task fails (default 3)');
+  console.log('  --swarm <id>                     Attach the task to a swarm');
+  console.log('  --filter <status,status>         Filter by status');
+  console.log('  --type <type,type>               Only claim tasks of these types');
+  console.log('  --lease <seconds>                Lease length for claim/renew (default 300)');
+  console.log('  --no-retry                       Fail the task without requeueing it');
+  console.log('  --json                           Print JSON output');
   console.log('  --verbose, -v                    Show detailed output');
   console.log();
   console.log('Examples:');
   console.log('  claude-flow task create research "Market analysis" --priority 8');
+  console.log('  claude-flow task create code "Implement API" --depends-on task_abc');
   console.log('  claude-flow task list --filter running');
+  console.log('  claude-flow task claim --agent coder-1 --type code --lease 600');
+  console.log(`  claude-flow task complete task_abc --result '{"files":3}'`);
   console.log('  claude-flow task workflow examples/development-workflow.json');
   console.log('  claude-flow task coordination status');
 }
@@ -0,0 +1,609 @@
+/**
+ * Backend for the web console's tool calls
+ *
+ * Memory, swarm and agent calls go through the MCP server's tool handlers,
+ * so the console reads and writes the same .swarm/memory.db state as the
+ * MCP tools and the CLI. Hive-mind calls use the session manager on
+ * .hive-mind/hive.db. SPARC runs start the CLI and stream its output.
+ *
+ * Every call receives a context { stream, notify }: stream(content, type)
+ * sends output to the caller as it is produced, notify(method, params)
+ * tells every connected console about a state change.
+ */
+
+import { spawn } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CLI_PATH = path.join(__dirname, '..', 'simple-cli.js');
+const SPARC_TIMEOUT = 30 * 60 * 1000;
+const BENCHMARK_SUITES = ['default', 'memory'];
+const MAX_BENCHMARK_ITERATIONS = 10000;
+
+export class WebConsoleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebConsoleError';
+  }
+}
+
+function readVersion() {
+  try {
+    const pkg = JSON.parse(readFileSync(path.join(__dirname, '..', '..', '..', 'package.json')));
+    return pkg.version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function formatDate(value) {
+  return value instanceof Date ? value.toISOString() : value || 'unknown';
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+export class WebConsoleBackend {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.mcpServer = options.mcpServer || null;
+    this.sessionManager = options.sessionManager || null;
+    this.hiveMindDir = options.hiveMindDir || path.join(this.cwd, '.hive-mind');
+    this.cliPath = options.cliPath || CLI_PATH;
+    this.runs = new Set();
+  }
+
+  /**
+   * The MCP server owns the shared memory store and the swarm/agent records
+   */
+  async getMcpServer() {
+    if (!this.mcpServer) {
+      const { ClaudeFlowMCPServer } = await import('../../mcp/mcp-server.js');
+      this.mcpServer = new ClaudeFlowMCPServer();
+    }
+    await this.mcpServer.memoryStore.initialize();
+    return this.mcpServer;
+  }
+
+  /**
+   * Run an MCP tool; a result with success: false becomes an error
+   */
+  async callTool(name, args = {}) {
+    const server = await this.getMcpServer();
+    const validated = server.toolValidator.validate(name, args);
+    const result = await server.executeTool(name, validated);
+    if (result && result.success === false) {
+      throw new WebConsoleError(result.error || `${name} failed`);
+    }
+    return result;
+  }
+
+  /**
+   * Hive-mind sessions live in .hive-mind/hive.db; nothing is created here
+   * for a project that has never started a hive mind
+   */
+  async getSessionManager() {
+    if (!this.sessionManager) {
+      if (!existsSync(path.join(this.hiveMindDir, 'hive.db'))) return null;
+      const { HiveMindSessionManager } = await import('./hive-mind/session-manager.js');
+      this.sessionManager = new HiveMindSessionManager(this.hiveMindDir);
+    }
+    await this.sessionManager.ensureInitialized();
+    return this.sessionManager;
+  }
+
+  /**
+   * Dispatch a console tool call. Returns the text shown as the result.
+   */
+  async execute(name, args = {}, context = {}) {
+    const ctx = {
+      stream: context.stream || (() => {}),
+      notify: context.notify || (() => {}),
+    };
+
+    switch (name) {
+      case 'claude-flow/execute':
+        return this.executeClaudeFlowCommand(args.command, args.args, ctx);
+
+      case 'swarm/orchestrate':
+      case 'swarm/status':
+        return this.executeSwarmCommand(args.action, args.args, ctx);
+
+      case 'memory/manage':
+        return this.executeMemoryCommand(args, ctx);
+
+      case 'agents/manage':
+        return this.executeAgentsCommand(args, ctx);
+
+      case 'hive-mind/manage':
+        return this.executeHiveMindCommand(args, ctx);
+
+      case 'sparc/execute':
+        return this.executeSparcCommand(args.mode, args.task, args.options, ctx);
+
+      case 'benchmark/run':
+        return this.executeBenchmark(args.suite, args.iterations, ctx);
+
+      default:
+        throw new WebConsoleError(`Unknown tool: ${name}`);
+    }
+  }
+
+  async executeClaudeFlowCommand(command = 'status', args = [], ctx) {
+    // "claude-flow <subcommand> ..." arrives as { subcommand, args }, other
+    // unrecognised console commands as { args }
+    if (command === 'claude-flow') {
+      command = args.subcommand || 'status';
+    }
+    if (!Array.isArray(args)) args = args?.args || [];
+
+    switch (command) {
+      case 'status':
+        return this.formatStatus();
+
+      case 'agents':
+        return this.executeAgentsCommand({ action: 'list' }, ctx);
+
+      case 'swarm':
+        return this.executeSwarmCommand(args[0] || 'status', args.slice(1), ctx);
+
+      case 'memory':
+        return this.executeMemoryCommand(
+          { operation: args[0] || 'list', key: args[1], value: args.slice(2).join(' ') },
+          ctx,
+        );
+
+      default:
+        throw new WebConsoleError(
+          `'${command}' is not available from the web console; run claude-flow ${command} in a terminal`,
+        );
+    }
+  }
+
+  async formatStatus() {
+    const server = await this.getMcpServer();
+    const { swarms, agents, tasks, activeSwarmId } = await server.loadSwarmState();
+    const manager = await this.getSessionManager();
+    const sessions = manager ? await manager.getActiveSessions() : [];
+
+    return [
+      'Claude Flow Status:',
+      `  Version: ${readVersion()}`,
+      `  Project: ${this.cwd}`,
+      `  Memory: ${server.memoryStore.isUsingFallback() ? 'in-memory (SQLite unavailable)' : 'SQLite (.swarm/memory.db)'}`,
+      `  Swarms: ${swarms.length}${activeSwarmId ? ` (active: ${activeSwarmId})` : ''}`,
+      `  Agents: ${agents.length} (${agents.filter((a) => a.status === 'active' || a.status === 'busy').length} active)`,
+      `  Tasks: ${tasks.length}`,
+      `  Hive-mind sessions: ${manager ? sessions.length : 'none (.hive-mind/hive.db not found)'}`,
+      `  SPARC runs in progress: ${this.runs.size}`,
+    ].join('\n');
+  }
+
+  async executeSwarmCommand(action = 'status', args = [], ctx) {
+    switch (action) {
+      case 'status': {
+        const status = await this.callTool('swarm_status', {
+          ...(args[0] && { swarmId: args[0] }),
+        });
+        return [
+          'Swarm Status:',
+          `  Swarm: ${status.swarmId}`,
+          `  Topology: ${status.topology}`,
+          `  Agents: ${status.activeAgents}/${status.agentCount} active`,
+          `  Tasks: ${status.taskCount} total (${status.completedTasks} completed, ${status.pendingTasks} pending)`,
+        ].join('\n');
+      }
+
+      case 'list': {
+        const server = await this.getMcpServer();
+        const { swarms } = await server.readSwarmsResource();
+        if (swarms.length === 0) return 'No swarms. Create one with: swarm init [topology]';
+        return [
+          `Swarms (${swarms.length}):`,
+          ...swarms.map(
+            (s) =>
+              `  ${s.active ? '●' : '○'} ${s.id} (${s.topology}) - ${s.agents} agents, ${s.tasks} tasks`,
+          ),
+        ].join('\n');
+      }
+
+      case 'init': {
+        const topology = args[0] || 'hierarchical';
+        const maxAgents = args[1] ? parseInt(args[1], 10) : undefined;
+        const swarm = await this.callTool('swarm_init', {
+          topology,
+          ...(maxAgents && { maxAgents }),
+        });
+        ctx.notify('swarm/update', { message: `Swarm ${swarm.swarmId} initialized (${topology})` });
+        return `Swarm initialized:\n  ID: ${swarm.swarmId}\n  Topology: ${swarm.topology}\n  Max agents: ${swarm.maxAgents}`;
+      }
+
+      case 'agents':
+        return this.executeAgentsCommand({ action: 'list', swarmId: args[0] }, ctx);
+
+      case 'destroy': {
+        const swarmId = args[0];
+        if (!swarmId) throw new WebConsoleError('Usage: swarm destroy <swarm-id>');
+        const result = await this.callTool('swarm_destroy', { swarmId });
+        ctx.notify('swarm/update', { message: `Swarm ${swarmId} destroyed` });
+        return `Swarm destroyed:\n  ID: ${swarmId}\n  Agents removed: ${result.agentsRemoved}\n  Tasks removed: ${result.tasksRemoved}`;
+      }
+
+      case 'sessions':
+        return this.executeHiveMindCommand({ action: 'list' }, ctx);
+
+      default:
+        throw new WebConsoleError(
+          `Unknown swarm action: ${action}. Actions: status, list, init, agents, destroy, sessions`,
+        );
+    }
+  }
+
+  async executeMemoryCommand(args, ctx) {
+    const operation = args.operation || 'list';
+    const namespace = args.namespace || 'default';
+    const requireKey = () => {
+      if (!args.key) throw new WebConsoleError(`Usage: memory ${operation} <key>`);
+    };
+
+    switch (operation) {
+      case 'store': {
+        requireKey();
+        if (!args.value) throw new WebConsoleError('Usage: memory store <key> <value>');
+        const result = await this.callTool('memory_usage', {
+          action: 'store',
+          key: args.key,
+          value: args.value,
+          namespace,
+        });
+        ctx.notify('memory/update', { message: `Stored ${namespace}/${args.key}` });
+        return `Memory stored:\n  Key: ${args.key}\n  Namespace: ${namespace}\n  Size: ${result.size} bytes\n  Storage: ${result.storage_type}`;
+      }
+
+      case 'get':
+      case 'retrieve': {
+        requireKey();
+        const result = await this.callTool('memory_usage', {
+          action: 'retrieve',
+          key: args.key,
+          namespace,
+        });
+        if (!result.found) throw new WebConsoleError(`No memory entry ${namespace}/${args.key}`);
+        return `Memory retrieved:\n  Key: ${args.key}\n  Namespace: ${namespace}\n  Value: ${formatValue(result.value)}`;
+      }
+
+      case 'list': {
+        // "memory list <namespace>" from the console arrives as the key
+        const listNamespace = args.namespace || args.key || 'default';
+        const result = await this.callTool('memory_usage', {
+          action: 'list',
+          namespace: listNamespace,
+        });
+        if (result.count === 0) return `No memory entries in namespace ${listNamespace}`;
+        return [
+          `Memory entries in ${listNamespace} (${result.count}):`,
+          ...result.entries.map(
+            (entry) => `  • ${entry.key}  (updated ${formatDate(entry.updatedAt)})`,
+          ),
+        ].join('\n');
+      }
+
+      case 'search':
+      case 'query': {
+        const pattern = args.value || args.key;
+        if (!pattern) throw new WebConsoleError(`Usage: memory ${operation} <pattern>`);
+        const result = await this.callTool('memory_usage', {
+          action: 'search',
+          value: pattern,
+          namespace,
+        });
+        if (result.count === 0) return `No memory entries in ${namespace} match "${pattern}"`;
+        return [
+          `Memory entries in ${namespace} matching "${pattern}" (${result.count}):`,
+          ...result.results.map((entry) => `  • ${entry.key}: ${formatValue(entry.value)}`),
+        ].join('\n');
+      }
+
+      case 'delete': {
+        requireKey();
+        const result = await this.callTool('memory_usage', {
+          action: 'delete',
+          key: args.key,
+          namespace,
+        });
+        if (!result.deleted) throw new WebConsoleError(`No memory entry ${namespace}/${args.key}`);
+        ctx.notify('memory/update', { message: `Deleted ${namespace}/${args.key}` });
+        return `Memory deleted:\n  Key: ${args.key}\n  Namespace: ${namespace}`;
+      }
+
+      default:
+        throw new WebConsoleError(
+          `Unknown memory operation: ${operation}. Operations: store, retrieve, list, search, delete`,
+        );
+    }
+  }
+
+  async executeAgentsCommand(args, ctx) {
+    const action = args.action || 'list';
+    const requireAgent = () => {
+      if (!args.agentId) throw new WebConsoleError(`Usage: agents ${action} <agent-id>`);
+    };
+
+    switch (action) {
+      case 'list': {
+        const result = await this.callTool('agent_list', {
+          ...(args.swarmId && { swarmId: args.swarmId }),
+        });
+        if (result.count === 0) {
+          return `No agents${result.swarmId ? ` in swarm ${result.swarmId}` : ''}. Create one with: agents create <type>`;
+        }
+        return [
+          `Agents${result.swarmId ? ` in swarm ${result.swarmId}` : ''} (${result.count}):`,
+          ...result.agents.map(
+            (a) =>
+              `  ${a.status === 'active' || a.status === 'busy' ? '🟢' : '⚪'} ${a.id} (${a.type}) - ${a.status}`,
+          ),
+        ].join('\n');
+      }
+
+      case 'create':
+      case 'spawn': {
+        if (!args.agentType) throw new WebConsoleError('Usage: agents create <type>');
+        const agent = await this.callTool('agent_spawn', {
+          type: args.agentType,
+          ...(args.name && { name: args.name }),
+        });
+        ctx.notify('agent/status', { message: `${agent.agentId} (${agent.type}) created` });
+        return `Agent created:\n  ID: ${agent.agentId}\n  Type: ${agent.type}\n  Name: ${agent.name}\n  Status: ${agent.status}`;
+      }
+
+      case 'start':
+      case 'stop':
+      case 'pause':
+      case 'resume': {
+        requireAgent();
+        const result = await this.callTool('daa_lifecycle_manage', {
+          agentId: args.agentId,
+          action,
+        });
+        ctx.notify('agent/status', {
+          message: `${args.agentId} ${result.previousStatus} → ${result.status}`,
+        });
+        return `Agent ${action}:\n  ID: ${args.agentId}\n  Status: ${result.previousStatus} → ${result.status}`;
+      }
+
+      case 'status': {
+        requireAgent();
+        const { metrics } = await this.callTool('agent_metrics', { agentId: args.agentId });
+        const agent = metrics[0];
+        const uptime =
+          agent.uptimeMs === null ? 'unknown' : `${Math.round(agent.uptimeMs / 1000)}s`;
+        return [
+          'Agent Status:',
+          `  ID: ${agent.agentId}`,
+          `  Name: ${agent.name}`,
+          `  Type: ${agent.type}`,
+          `  Status: ${agent.status}`,
+          `  Tasks: ${agent.tasksCompleted}/${agent.tasksStarted} completed`,
+          `  Messages received: ${agent.messagesReceived}`,
+          `  Uptime: ${uptime}`,
+        ].join('\n');
+      }
+
+      default:
+        throw new WebConsoleError(
+          `Unknown agents action: ${action}. Actions: list, create, start, stop, pause, resume, status`,
+        );
+    }
+  }
+
+  async executeHiveMindCommand(args, ctx) {
+    const action = args.action || 'list';
+    const manager = await this.getSessionManager();
+    if (!manager) {
+      throw new WebConsoleError(
+        'No hive-mind database (.hive-mind/hive.db); start one with claude-flow hive-mind spawn',
+      );
+    }
+
+    const requireSession = async () => {
+      if (!args.sessionId) throw new WebConsoleError(`Usage: hive-mind ${action} <session-id>`);
+      const session = await manager.getSession(args.sessionId);
+      if (!session) throw new WebConsoleError(`Hive-mind session not found: ${args.sessionId}`);
+      return session;
+    };
+
+    switch (action) {
+      case 'list': {
+        const sessions = await manager.getActiveSessions();
+        if (sessions.length === 0) return 'No active or paused hive-mind sessions';
+        return [
+          `Hive-mind sessions (${sessions.length}):`,
+          ...sessions.map(
+            (s) =>
+              `  ${s.status === 'active' ? '🟢' : '⏸️ '} ${s.id} ${s.swarm_name || ''} - ${s.status}, ${s.agent_count} agents, ${s.completion_percentage}% complete`,
+          ),
+        ].join('\n');
+      }
+
+      case 'status': {
+        const session = await requireSession();
+        const stats = session.statistics;
+        return [
+          'Hive-mind Session:',
+          `  ID: ${session.id}`,
+          `  Swarm: ${session.swarm_name || session.swarm_id}`,
+          `  Objective: ${session.objective || 'n/a'}`,
+          `  Status: ${session.status}`,
+          `  Agents: ${stats.activeAgents}/${stats.totalAgents} active`,
+          `  Tasks: ${stats.completedTasks}/${stats.totalTasks} completed (${stats.inProgressTasks} in progress, ${stats.pendingTasks} pending)`,
+          `  Checkpoints: ${session.checkpoints.length}`,
+          `  Updated: ${session.updated_at}`,
+        ].join('\n');
+      }
+
+      case 'logs': {
+        await requireSession();
+        const logs = manager.db ? manager.getSessionLogs(args.sessionId, args.limit || 50) : [];
+        if (logs.length === 0) return `No logs for session ${args.sessionId}`;
+        return logs
+          .reverse()
+          .map((log) => `[${log.timestamp}] ${log.log_level.toUpperCase()} ${log.message}`)
+          .join('\n');
+      }
+
+      case 'pause': {
+        await requireSession();
+        await manager.pauseSession(args.sessionId);
+        ctx.notify('swarm/update', { message: `Hive-mind session ${args.sessionId} paused` });
+        return `Hive-mind session paused: ${args.sessionId}`;
+      }
+
+      case 'resume': {
+        await requireSession();
+        await manager.resumeSession(args.sessionId);
+        ctx.notify('swarm/update', { message: `Hive-mind session ${args.sessionId} resumed` });
+        return `Hive-mind session resumed: ${args.sessionId}`;
+      }
+
+      case 'stop': {
+        await requireSession();
+        await manager.stopSession(args.sessionId);
+        ctx.notify('swarm/update', { message: `Hive-mind session ${args.sessionId} stopped` });
+        return `Hive-mind session stopped: ${args.sessionId}`;
+      }
+
+      default:
+        throw new WebConsoleError(
+          `Unknown hive-mind action: ${action}. Actions: list, status, logs, pause, resume, stop`,
+        );
+    }
+  }
+
+  /**
+   * Start a SPARC mode through the CLI. The call returns once the process
+   * is running (console requests time out after 30s); its output and exit
+   * status are streamed afterwards.
+   */
+  executeSparcCommand(mode, task, options = {}, ctx) {
+    if (!mode || !/^[a-z][a-z0-9-]*$/.test(mode)) {
+      throw new WebConsoleError('Usage: sparc <mode> <task>');
+    }
+    if (!task) throw new WebConsoleError(`Usage: sparc ${mode} <task>`);
+
+    // Console runs keep Claude Code's permission checks; `--` keeps the task
+    // from being read as flags
+    const flags = ['--non-interactive', '--enable-permissions'];
+    if (options.namespace) flags.push('--namespace', String(options.namespace));
+    const args = [this.cliPath, 'sparc', 'run', mode, ...flags, '--', task];
+    const timeout = options.timeout || SPARC_TIMEOUT;
+
+    const child = spawn(process.execPath, args, { cwd: this.cwd, timeout });
+    this.runs.add(child);
+
+    let lastLines = [];
+    const forward = (type) => (chunk) => {
+      const text = chunk.toString();
+      lastLines = [...lastLines, ...text.split('\n').filter(Boolean)].slice(-3);
+      ctx.stream(text, type);
+    };
+    child.stdout.on('data', forward('output'));
+    child.stderr.on('data', forward('error'));
+
+    child.on('error', (error) => {
+      this.runs.delete(child);
+      ctx.stream(`Failed to start SPARC ${mode}: ${error.message}`, 'error');
+    });
+    child.on('close', (code, signal) => {
+      this.runs.delete(child);
+      if (code === 0) {
+        ctx.stream(`SPARC ${mode} finished`, 'success');
+      } else if (signal) {
+        ctx.stream(`SPARC ${mode} stopped (${signal})`, 'error');
+      } else {
+        ctx.stream(`SPARC ${mode} exited with code ${code}: ${lastLines.join(' | ')}`, 'error');
+      }
+    });
+
+    return `SPARC ${mode} started (pid ${child.pid}):\n  $ claude-flow sparc run ${mode} ${flags.join(' ')} -- "${task}"\n  Output follows as it is produced`;
+  }
+
+  /**
+   * Time store/retrieve/delete round trips against the shared memory store
+   */
+  async executeBenchmark(suite = 'default', iterations = 10, ctx) {
+    if (!BENCHMARK_SUITES.includes(suite)) {
+      throw new WebConsoleError(
+        `Unknown benchmark suite: ${suite}. Suites: ${BENCHMARK_SUITES.join(', ')}`,
+      );
+    }
+    const count = Math.min(Math.max(parseInt(iterations, 10) || 10, 1), MAX_BENCHMARK_ITERATIONS);
+
+    const server = await this.getMcpServer();
+    const store = server.memoryStore;
+    const namespace = `benchmark:${Date.now()}`;
+    const timings = { store: [], retrieve: [], delete: [] };
+    const time = async (operation, fn) => {
+      const start = process.hrtime.bigint();
+      await fn();
+      timings[operation].push(Number(process.hrtime.bigint() - start) / 1e6);
+    };
+
+    const started = Date.now();
+    try {
+      for (let i = 0; i < count; i++) {
+        const key = `entry-${i}`;
+        await time('store', () => store.store(key, { i, payload: 'x'.repeat(256) }, { namespace }));
+        await time('retrieve', () => store.retrieve(key, { namespace }));
+        if ((i + 1) % Math.max(1, Math.floor(count / 4)) === 0 && i + 1 < count) {
+          ctx.stream(`  ${i + 1}/${count} iterations\n`, 'info');
+        }
+      }
+      for (let i = 0; i < count; i++) {
+        await time('delete', () => store.delete(`entry-${i}`, { namespace }));
+      }
+    } finally {
+      // Remove anything left behind by a failed iteration
+      for (const entry of await store.list({ namespace, limit: count })) {
+        await store.delete(entry.key, { namespace });
+      }
+    }
+
+    const elapsed = Date.now() - started;
+    const lines = [
+      'Benchmark Results:',
+      `  Suite: ${suite} (memory store, ${store.isUsingFallback() ? 'in-memory' : 'SQLite'})`,
+      `  Iterations: ${count}`,
+      `  Total: ${elapsed}ms (${Math.round((count * 3 * 1000) / Math.max(elapsed, 1))} ops/sec)`,
+    ];
+    for (const [operation, samples] of Object.entries(timings)) {
+      const sorted = [...samples].sort((a, b) => a - b);
+      const average = sorted.reduce((sum, t) => sum + t, 0) / sorted.length;
+      lines.push(
+        `  ${operation}: avg ${average.toFixed(2)}ms, p95 ${percentile(sorted, 95).toFixed(2)}ms`,
+      );
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Stop SPARC runs still in progress
+   */
+  close() {
+    for (const child of this.runs) child.kill('SIGTERM');
+    this.runs.clear();
+    if (this.sessionManager) {
+      this.sessionManager.close();
+      this.sessionManager = null;
+    }
+  }
+}
@@ -4,24 +4,34 @@
  */
 
 import { createServer } from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { readFileSync, existsSync } from 'fs';
 import { WebSocketServer } from 'ws';
 import { printSuccess, printError, printWarning, printInfo } from '../utils.js';
 import { compat } from '../runtime-detector.js';
+import { WebConsoleBackend } from './web-console-backend.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 export class ClaudeCodeWebServer {
-  constructor(port = 3000) {
+  /**
+   * options: { host, token }. The server binds to 127.0.0.1 unless a host is
+   * given, and WebSocket clients must present the session token.
+   */
+  constructor(port = 3000, options = {}) {
     this.port = port;
+    this.host = options.host || process.env.CLAUDE_FLOW_WEB_HOST || '127.0.0.1';
+    this.token =
+      options.token || process.env.CLAUDE_FLOW_WEB_TOKEN || randomBytes(24).toString('hex');
     this.server = null;
     this.wss = null;
     this.connections = new Set();
     this.uiPath = join(__dirname, '../../ui/console');
     this.isRunning = false;
+    this.backend = new WebConsoleBackend();
   }
 
   async createAPIRoutes() {
@@ -45,6 +55,52 @@ export class ClaudeCodeWebServer {
     return router;
   }
 
+  /**
+   * Whether a browser origin may talk to the console. Requests without an
+   * Origin header come from non-browser clients and are left to the token.
+   */
+  isAllowedOrigin(origin) {
+    if (!origin) return true;
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      return false;
+    }
+    const hosts = new Set(['localhost', '127.0.0.1', '[::1]', this.host]);
+    return (
+      (url.protocol === 'http:' || url.protocol === 'https:') &&
+      hosts.has(url.hostname) &&
+      Number(url.port || (url.protocol === 'https:' ? 443 : 80)) === this.port
+    );
+  }
+
+  /**
+   * Whether a request carries the session token, as ?token= or a Bearer header
+   */
+  hasValidToken(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const header = req.headers.authorization || '';
+    const supplied =
+      url.searchParams.get('token') || (header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(supplied);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * CORS headers for allowed origins only
+   */
+  setCorsHeaders(req, res, methods) {
+    const origin = req.headers.origin;
+    if (origin && this.isAllowedOrigin(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', methods);
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+  }
+
   /**
    * Start the web server
    */
@@ -59,11 +115,9 @@ export class ClaudeCodeWebServer {
       const express = await import('express');
       const app = express.default();
 
-      // Enable CORS
+      // CORS for the console's own origin only
       app.use((req, res, next) => {
-        res.header('Access-Control-Allow-Origin', '*');
-        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        this.setCorsHeaders(req, res, 'GET, POST, PUT, DELETE, OPTIONS');
         next();
       });
 
@@ -82,25 +136,25 @@ export class ClaudeCodeWebServer {
       this.wss = new WebSocketServer({
         server: this.server,
         path: '/ws',
+        verifyClient: ({ origin, req }) => this.isAllowedOrigin(origin) && this.hasValidToken(req),
       });
 
       this.setupWebSocketServer();
 
       // Start listening
       await new Promise((resolve, reject) => {
-        this.server.listen(this.port, (err) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve();
-          }
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, () => {
+          this.server.off('error', reject);
+          resolve();
         });
       });
+      this.port = this.server.address().port;
 
       this.isRunning = true;
       printSuccess(`🌐 Claude Code Web UI started successfully`);
-      console.log(`📍 Web Interface: http://localhost:${this.port}/console`);
-      console.log(`🔗 WebSocket: ws://localhost:${this.port}/ws`);
+      console.log(`📍 Web Interface: ${this.consoleUrl()}`);
+      console.log(`🔗 WebSocket: ws://${this.displayHost()}:${this.port}/ws`);
       console.log(`📁 Serving UI from: ${this.uiPath}`);
       console.log();
     } catch (error) {
@@ -109,6 +163,17 @@ export class ClaudeCodeWebServer {
     }
   }
 
+  displayHost() {
+    return this.host === '127.0.0.1' || this.host === '0.0.0.0' ? 'localhost' : this.host;
+  }
+
+  /**
+   * Console URL including the session token
+   */
+  consoleUrl() {
+    return `http://${this.displayHost()}:${this.port}/console?token=${this.token}`;
+  }
+
   /**
    * Stop the web server
    */
@@ -134,6 +199,7 @@ export class ClaudeCodeWebServer {
       });
     }
 
+    this.backend.close();
     this.isRunning = false;
     printInfo('Web server stopped');
   }
@@ -142,12 +208,9 @@ export class ClaudeCodeWebServer {
    * Handle HTTP requests
    */
   handleRequest(req, res) {
-    const url = req.url;
+    const url = req.url.split('?')[0];
 
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    this.setCorsHeaders(req, res, 'GET, POST, OPTIONS');
 
     if (req.method === 'OPTIONS') {
       res.writeHead(200);
@@ -486,11 +549,29 @@ export class ClaudeCodeWebServer {
   /**
    * Handle tool call request
    */
-  handleToolCall(ws, message) {
-    const { name, arguments: args } = message.params;
+  async handleToolCall(ws, message) {
+    const { name, arguments: args = {} } = message.params || {};
+
+    const context = {
+      stream: (content, type = 'output') =>
+        this.sendMessage(ws, {
+          jsonrpc: '2.0',
+          method: 'output/stream',
+          params: { requestId: message.id, tool: name, content, type },
+        }),
+      notify: (method, params) => this.broadcast({ jsonrpc: '2.0', method, params }),
+    };
 
-    // Mock tool execution for demonstration
-    const result = this.executeMockTool(name, args);
+    let result;
+    try {
+      result =
+        name === 'system/health'
+          ? this.getHealthReport(args)
+          : await this.backend.execute(name, args, context);
+    } catch (error) {
+      this.sendError(ws, message.id, error.message);
+      return;
+    }
 
     const response = {
       jsonrpc: '2.0',
@@ -515,19 +596,19 @@ export class ClaudeCodeWebServer {
     const tools = [
       {
         name: 'claude-flow/execute',
-        description: 'Execute Claude Flow commands (start, stop, status, modes)',
+        description: 'Execute Claude Flow commands (status, agents, swarm, memory)',
         inputSchema: {
           type: 'object',
           properties: {
             command: { type: 'string', description: 'Command to execute' },
-            args: { type: 'object', description: 'Command arguments' },
+            args: { type: 'array', description: 'Command arguments' },
           },
           required: ['command'],
         },
       },
       {
         name: 'swarm/orchestrate',
-        description: 'Manage swarm orchestration (create, start, stop, status)',
+        description: 'Manage swarms (status, list, init, agents, destroy, sessions)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -553,9 +634,13 @@ export class ClaudeCodeWebServer {
         inputSchema: {
           type: 'object',
           properties: {
-            operation: { type: 'string', description: 'Operation: store, retrieve, list, delete' },
-            key: { type: 'string', description: 'Memory key' },
-            value: { type: 'string', description: 'Value to store' },
+            operation: {
+              type: 'string',
+              description: 'Operation: store, retrieve, list, search, delete',
+            },
+            key: { type: 'string', description: 'Memory key (namespace for list)' },
+            value: { type: 'string', description: 'Value to store or search pattern' },
+            namespace: { type: 'string', description: 'Memory namespace (default: default)' },
           },
           required: ['operation'],
         },
@@ -566,13 +651,31 @@ export class ClaudeCodeWebServer {
         inputSchema: {
           type: 'object',
           properties: {
-            action: { type: 'string', description: 'Action: list, create, start, stop, status' },
+            action: {
+              type: 'string',
+              description: 'Action: list, create, start, stop, pause, resume, status',
+            },
             agentType: { type: 'string', description: 'Agent type for creation' },
             agentId: { type: 'string', description: 'Agent ID for operations' },
           },
           required: ['action'],
         },
       },
+      {
+        name: 'hive-mind/manage',
+        description: 'Inspect and control hive-mind sessions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            action: {
+              type: 'string',
+              description: 'Action: list, status, logs, pause, resume, stop',
+            },
+            sessionId: { type: 'string', description: 'Session ID for operations' },
+          },
+          required: ['action'],
+        },
+      },
       {
         name: 'sparc/execute',
         description: 'Execute SPARC mode operations',
@@ -583,7 +686,7 @@ export class ClaudeCodeWebServer {
             task: { type: 'string', description: 'Task description' },
             options: { type: 'object', description: 'Additional options' },
           },
-          required: ['mode'],
+          required: ['mode', 'task'],
         },
       },
       {
@@ -592,7 +695,7 @@ export class ClaudeCodeWebServer {
         inputSchema: {
           type: 'object',
           properties: {
-            suite: { type: 'string', description: 'Benchmark suite to run' },
+            suite: { type: 'string', description: 'Benchmark suite: memory (default)' },
             iterations: { type: 'number', description: 'Number of iterations' },
           },
         },
@@ -616,218 +719,29 @@ export class ClaudeCodeWebServer {
   }
 
   /**
-   * Execute mock tool for demonstration
-   */
-  executeMockTool(name, args) {
-    switch (name) {
-      case 'claude-flow/execute':
-        return this.executeClaudeFlowCommand(args.command, args.args);
-
-      case 'system/health':
-        const healthData = {
-          status: 'healthy',
-          uptime: Math.floor(process.uptime()),
-          memory: process.memoryUsage(),
-          connections: this.connections.size,
-          platform: compat.platform,
-          timestamp: new Date().toISOString(),
-        };
-
-        if (args.detailed) {
-          healthData.detailed = {
-            nodeVersion: process.version,
-            architecture: process.arch,
-            pid: process.pid,
-            cpuUsage: process.cpuUsage(),
-            resourceUsage: process.resourceUsage ? process.resourceUsage() : 'N/A',
-          };
-        }
-
-        return JSON.stringify(healthData, null, 2);
-
-      case 'swarm/orchestrate':
-        return this.executeSwarmCommand(args.action, args.args);
-
-      case 'swarm/status':
-        return this.executeSwarmCommand('status', args.args);
-
-      case 'memory/manage':
-        return this.executeMemoryCommand(args.operation, args.key, args.value);
-
-      case 'agents/manage':
-        return this.executeAgentsCommand(args.action, args.agentType, args.agentId);
-
-      case 'sparc/execute':
-        return this.executeSPARCCommand(args.mode, args.task, args.options);
-
-      case 'benchmark/run':
-        return this.executeBenchmarkCommand(args.suite, args.iterations);
-
-      default:
-        return `Tool '${name}' executed successfully with args: ${JSON.stringify(args)}`;
-    }
-  }
-
-  /**
-   * Execute Claude Flow command simulation
-   */
-  executeClaudeFlowCommand(command, args = {}) {
-    switch (command) {
-      case 'status':
-        return `Claude Flow Status:
-  Version: 2.0.0
-  Mode: Web Console
-  Active Processes: 3
-  Memory Usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
-  Uptime: ${Math.floor(process.uptime())}s`;
-
-      case 'init':
-        return `Claude Flow initialization complete:
-  ✅ Project structure created
-  ✅ Configuration files generated
-  ✅ Memory bank initialized
-  ✅ Ready for development`;
-
-      case 'agents':
-        return `Active Agents:
-  • Research Agent (idle) - 0 tasks
-  • Code Developer (working) - 2 tasks  
-  • Data Analyst (idle) - 0 tasks
-  
-  Total: 3 agents`;
-
-      default:
-        return `Claude Flow command '${command}' executed successfully`;
-    }
-  }
-
-  /**
-   * Execute swarm command simulation
-   */
-  executeSwarmCommand(action = 'status', args = []) {
-    switch (action) {
-      case 'status':
-        return `Swarm Orchestration Status:
-  🐝 Swarm: ACTIVE
-  🏗️ Topology: hierarchical
-  👥 Agents: 5/8 active
-  📊 Tasks: 12 total (4 complete, 6 in-progress, 2 pending)
-  ⚡ Mode: parallel execution
-  🧠 Memory: 15 coordination points stored
-  📈 Efficiency: 78%`;
-
-      case 'init':
-        return `Swarm initialization complete:
-  ✅ Hierarchical topology established
-  ✅ 5 agents spawned successfully
-  ✅ Coordination protocols active
-  ✅ Memory synchronization enabled`;
-
-      case 'agents':
-        return `Swarm Agent Status:
-  🟢 architect: Designing system components...
-  🟢 coder-1: Implementing user authentication...
-  🟢 coder-2: Building API endpoints...
-  🟡 analyst: Analyzing performance metrics...
-  🔴 tester: Waiting for code completion...`;
-
-      case 'test':
-        return `Swarm Test Results:
-  ✅ Agent communication: PASS
-  ✅ Task distribution: PASS  
-  ✅ Memory coordination: PASS
-  ✅ Error handling: PASS
-  📊 Overall health: 95%`;
-
-      default:
-        return `Swarm ${action} completed successfully`;
-    }
-  }
-
-  /**
-   * Execute memory command simulation
+   * Process health for the system/health tool
    */
-  executeMemoryCommand(operation, key, value) {
-    switch (operation) {
-      case 'store':
-        return `Memory stored successfully:\n  Key: ${key}\n  Value: ${value}\n  Timestamp: ${new Date().toISOString()}`;
-
-      case 'retrieve':
-        return `Memory retrieved:\n  Key: ${key}\n  Value: "example stored value"\n  Last Modified: ${new Date().toISOString()}`;
-
-      case 'list':
-        return `Memory Keys:\n  • project/settings\n  • swarm/topology\n  • agents/coordination\n  • session/state\n  • benchmark/results\n  \n  Total: 5 entries`;
-
-      case 'delete':
-        return `Memory deleted:\n  Key: ${key}\n  Status: Success`;
-
-      default:
-        return `Memory operation '${operation}' completed`;
-    }
-  }
-
-  /**
-   * Execute agents command simulation
-   */
-  executeAgentsCommand(action, agentType, agentId) {
-    switch (action) {
-      case 'list':
-        return `Active Agents:\n  🟢 agent-001 (architect) - Designing system components\n  🟢 agent-002 (coder) - Implementing features\n  🟡 agent-003 (analyst) - Analyzing performance\n  🔴 agent-004 (tester) - Waiting for code\n  🟢 agent-005 (coordinator) - Managing workflow\n  \n  Total: 5 agents`;
-
-      case 'create':
-        return `Agent created successfully:\n  Type: ${agentType}\n  ID: agent-${Math.floor(
-          Math.random() * 1000,
-        )
-          .toString()
-          .padStart(3, '0')}\n  Status: Active\n  Capabilities: Full ${agentType} functionality`;
-
-      case 'start':
-        return `Agent started:\n  ID: ${agentId}\n  Status: Running\n  Tasks: Ready to accept work`;
-
-      case 'stop':
-        return `Agent stopped:\n  ID: ${agentId}\n  Status: Stopped\n  Tasks: Completed gracefully`;
-
-      case 'status':
-        return `Agent Status:\n  ID: ${agentId}\n  Status: Active\n  Type: researcher\n  Current Task: Data analysis\n  Uptime: 2h 15m\n  Tasks Completed: 12\n  Efficiency: 92%`;
-
-      default:
-        return `Agent ${action} completed for ${agentId || agentType}`;
-    }
-  }
-
-  /**
-   * Execute SPARC command simulation
-   */
-  executeSPARCCommand(mode, task, options = {}) {
-    const modes = {
-      coder: 'Code development and implementation',
-      architect: 'System design and architecture',
-      analyzer: 'Data analysis and insights',
-      researcher: 'Research and information gathering',
-      reviewer: 'Code review and quality assurance',
-      tester: 'Testing and validation',
-      debugger: 'Bug finding and resolution',
-      documenter: 'Documentation and specifications',
-      optimizer: 'Performance optimization',
-      designer: 'UI/UX design and prototyping',
+  getHealthReport(args = {}) {
+    const healthData = {
+      status: 'healthy',
+      uptime: Math.floor(process.uptime()),
+      memory: process.memoryUsage(),
+      connections: this.connections.size,
+      platform: compat.platform,
+      timestamp: new Date().toISOString(),
     };
 
-    return `SPARC Mode Execution:\n  Mode: ${mode} (${modes[mode] || 'Unknown mode'})\n  Task: ${task || 'No task specified'}\n  Status: Initialized\n  Estimated Duration: 15-30 minutes\n  Resources Allocated: 2 agents\n  Options: ${JSON.stringify(options)}\n  \n  Ready to begin execution...`;
-  }
-
-  /**
-   * Execute benchmark command simulation
-   */
-  executeBenchmarkCommand(suite = 'default', iterations = 10) {
-    const suites = {
-      default: 'General performance benchmark',
-      memory: 'Memory usage and allocation',
-      cpu: 'CPU intensive operations',
-      network: 'Network communication speed',
-      swarm: 'Swarm coordination efficiency',
-    };
+    if (args.detailed) {
+      healthData.detailed = {
+        nodeVersion: process.version,
+        architecture: process.arch,
+        pid: process.pid,
+        cpuUsage: process.cpuUsage(),
+        resourceUsage: process.resourceUsage ? process.resourceUsage() : 'N/A',
+      };
+    }
 
-    return `Benchmark Results:\n  Suite: ${suite} (${suites[suite] || 'Custom suite'})\n  Iterations: ${iterations}\n  \n  📊 Results:\n  • Average Response Time: 245ms\n  • Memory Usage: 128MB\n  • CPU Utilization: 15%\n  • Success Rate: 98.5%\n  • Throughput: 420 ops/sec\n  \n  🏆 Performance Grade: A+\n  ⚡ Optimization Suggestions: Enable caching for 12% improvement`;
+    return JSON.stringify(healthData, null, 2);
   }
 
   /**
@@ -0,0 +1,320 @@
+/**
+ * Git worktree isolation for swarm agents
+ *
+ * With `--isolation worktree` every agent gets its own checkout of the
+ * repository under .claude-flow/worktrees/<swarmId>/<agentId>, on the branch
+ * claude-flow/<swarmId>/<agentId> started from the current HEAD, so agents
+ * working in parallel never edit the same files on disk. integrate() merges
+ * the branches back one at a time and reports conflicts per agent;
+ * remove() deletes a checkout and, once merged, its branch.
+ */
+
+import { execFile } from 'child_process';
+import { existsSync, readFileSync, appendFileSync, mkdirSync, readdirSync, rmdirSync } from 'fs';
+import path from 'path';
+
+export const WORKTREE_ROOT = path.join('.claude-flow', 'worktrees');
+export const ISOLATION_MODES = ['none', 'worktree'];
+
+// Used for commits when the repository has no identity configured
+const FALLBACK_IDENTITY = ['-c', 'user.name=claude-flow', '-c', 'user.email=claude-flow@localhost'];
+
+export class WorktreeError extends Error {
+  constructor(message, code = 'GIT') {
+    super(message);
+    this.name = 'WorktreeError';
+    this.code = code;
+  }
+}
+
+/**
+ * Read --isolation from the flags: 'none' (default) or 'worktree'.
+ */
+export function isolationMode(flags = {}) {
+  const mode = flags.isolation === undefined || flags.isolation === true ? 'none' : flags.isolation;
+  if (!ISOLATION_MODES.includes(mode)) {
+    throw new WorktreeError(
+      `Invalid isolation mode '${mode}'. Must be one of: ${ISOLATION_MODES.join(', ')}`,
+      'INVALID',
+    );
+  }
+  return mode;
+}
+
+// Swarm and agent ids end up in paths and branch names
+function safeName(id) {
+  return String(id).replace(/[^A-Za-z0-9._-]+/g, '-');
+}
+
+export function worktreeBranch(swarmId, agentId) {
+  return `claude-flow/${safeName(swarmId)}/${safeName(agentId)}`;
+}
+
+function lines(text) {
+  return text.split('\n').filter(Boolean);
+}
+
+export class WorktreeManager {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.root = null;
+    this.identity = null;
+  }
+
+  /**
+   * Run git; rejects with a WorktreeError unless options.allowFailure is set.
+   */
+  git(args, options = {}) {
+    return new Promise((resolve, reject) => {
+      execFile(
+        'git',
+        args,
+        { cwd: options.cwd || this.root || this.cwd, maxBuffer: 16 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          const result = { code: error ? (error.code ?? 1) : 0, stdout, stderr };
+          if (error && error.code === 'ENOENT') {
+            reject(new WorktreeError('git is not installed', 'NO_GIT'));
+          } else if (error && !options.allowFailure) {
+            reject(new WorktreeError(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+          } else {
+            resolve(result);
+          }
+        },
+      );
+    });
+  }
+
+  /**
+   * Top level of the repository the manager works in.
+   */
+  async repoRoot() {
+    if (!this.root) {
+      const { code, stdout } = await this.git(['rev-parse', '--show-toplevel'], {
+        cwd: this.cwd,
+        allowFailure: true,
+      });
+      if (code !== 0) {
+        throw new WorktreeError(
+          `Worktree isolation needs a git repository: ${this.cwd}`,
+          'NOT_A_REPO',
+        );
+      }
+      this.root = stdout.trim();
+    }
+    return this.root;
+  }
+
+  async identityArgs() {
+    if (!this.identity) {
+      const { code } = await this.git(['config', 'user.email'], { allowFailure: true });
+      this.identity = code === 0 ? [] : FALLBACK_IDENTITY;
+    }
+    return this.identity;
+  }
+
+  // Keep the checkouts out of `git status` in the main working tree
+  async excludeWorktreeRoot() {
+    const { stdout } = await this.git(['rev-parse', '--git-path', 'info/exclude']);
+    const excludeFile = path.resolve(this.root, stdout.trim());
+    const pattern = `/${WORKTREE_ROOT.split(path.sep).join('/')}/`;
+    const current = existsSync(excludeFile) ? readFileSync(excludeFile, 'utf8') : '';
+    if (!lines(current).includes(pattern)) {
+      mkdirSync(path.dirname(excludeFile), { recursive: true });
+      appendFileSync(excludeFile, `${current && !current.endsWith('\n') ? '\n' : ''}${pattern}\n`);
+    }
+  }
+
+  /**
+   * Worktrees of a swarm (or of every swarm) that git knows about:
+   * [{ swarmId, agentId, path, branch, head }]
+   */
+  async list(swarmId = null) {
+    const root = await this.repoRoot();
+    const base = path.join(root, WORKTREE_ROOT);
+    const { stdout } = await this.git(['worktree', 'list', '--porcelain']);
+    return stdout
+      .split('\n\n')
+      .map((block) => {
+        const fields = Object.fromEntries(
+          lines(block).map((line) => {
+            const space = line.indexOf(' ');
+            return space === -1 ? [line, true] : [line.slice(0, space), line.slice(space + 1)];
+          }),
+        );
+        const relative = fields.worktree ? path.relative(base, fields.worktree) : '..';
+        const [swarm, agentId, ...rest] = relative.split(path.sep);
+        if (relative.startsWith('..') || !agentId || rest.length > 0) return null;
+        return {
+          swarmId: swarm,
+          agentId,
+          path: fields.worktree,
+          branch: fields.branch ? fields.branch.replace(/^refs\/heads\//, '') : null,
+          head: fields.HEAD || null,
+        };
+      })
+      .filter((worktree) => worktree && (!swarmId || worktree.swarmId === safeName(swarmId)));
+  }
+
+  /**
+   * Create the worktree of an agent, or reuse it when it already exists.
+   * A worktree that was removed is recreated from its branch.
+   * Returns { swarmId, agentId, path, branch, baseCommit, reused }.
+   */
+  async create(swarmId, agentId, options = {}) {
+    const root = await this.repoRoot();
+    await this.excludeWorktreeRoot();
+    const worktreePath = path.join(root, WORKTREE_ROOT, safeName(swarmId), safeName(agentId));
+    const branch = worktreeBranch(swarmId, agentId);
+    const record = { swarmId, agentId, path: worktreePath, branch };
+
+    const existing = (await this.list(swarmId)).find((w) => w.path === worktreePath);
+    if (existing) {
+      const { stdout } = await this.git(['merge-base', 'HEAD', branch]);
+      return { ...record, baseCommit: stdout.trim(), reused: true };
+    }
+
+    const branchExists =
+      (
+        await this.git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], {
+          allowFailure: true,
+        })
+      ).code === 0;
+    if (branchExists) {
+      await this.git(['worktree', 'add', worktreePath, branch]);
+      const { stdout } = await this.git(['merge-base', 'HEAD', branch]);
+      return { ...record, baseCommit: stdout.trim(), reused: true };
+    }
+
+    const base = await this.git(['rev-parse', '--verify', options.baseRef || 'HEAD'], {
+      allowFailure: true,
+    });
+    if (base.code !== 0) {
+      throw new WorktreeError(`Cannot branch from ${options.baseRef || 'HEAD'}: no such commit`);
+    }
+    const baseCommit = base.stdout.trim();
+    await this.git(['worktree', 'add', '-b', branch, worktreePath, baseCommit]);
+    return { ...record, baseCommit, reused: false };
+  }
+
+  /**
+   * Commit whatever the agent left uncommitted in its worktree.
+   * Returns true when a commit was made.
+   */
+  async commitPending(worktree, message) {
+    if (!existsSync(worktree.path)) return false;
+    const { stdout } = await this.git(['status', '--porcelain'], { cwd: worktree.path });
+    if (!stdout.trim()) return false;
+    await this.git(['add', '-A'], { cwd: worktree.path });
+    await this.git([...(await this.identityArgs()), 'commit', '-q', '-m', message], {
+      cwd: worktree.path,
+    });
+    return true;
+  }
+
+  /**
+   * Merge each agent's branch into the branch checked out in the main
+   * working tree, one at a time. A merge that conflicts is aborted so the
+   * remaining agents can still be merged. Returns one entry per worktree:
+   * { agentId, branch, status, commits, files, conflicts, error } with
+   * status merged, conflict, no-changes or failed.
+   */
+  async integrate(worktrees, options = {}) {
+    await this.repoRoot();
+    const { stdout: dirty } = await this.git(['status', '--porcelain', '--untracked-files=no']);
+    if (dirty.trim()) {
+      throw new WorktreeError(
+        `Commit or stash the changes in ${this.root} before integrating`,
+        'DIRTY',
+      );
+    }
+
+    const identity = await this.identityArgs();
+    const report = [];
+    for (const worktree of worktrees) {
+      const entry = {
+        agentId: worktree.agentId,
+        branch: worktree.branch,
+        path: worktree.path,
+        status: 'merged',
+        commits: 0,
+        files: [],
+        conflicts: [],
+        error: null,
+      };
+      report.push(entry);
+      try {
+        await this.commitPending(
+          worktree,
+          options.message?.(worktree) || `${worktree.agentId}: uncommitted work`,
+        );
+        const { stdout: count } = await this.git([
+          'rev-list',
+          '--count',
+          `HEAD..${worktree.branch}`,
+        ]);
+        entry.commits = Number(count.trim());
+        if (entry.commits === 0) {
+          entry.status = 'no-changes';
+          continue;
+        }
+        entry.files = lines(
+          (await this.git(['diff', '--name-only', `HEAD...${worktree.branch}`])).stdout,
+        );
+
+        const merge = await this.git(
+          [
+            ...identity,
+            'merge',
+            '--no-ff',
+            '-m',
+            `Merge ${worktree.agentId} (${worktree.branch})`,
+            worktree.branch,
+          ],
+          { allowFailure: true },
+        );
+        if (merge.code === 0) continue;
+
+        entry.conflicts = lines(
+          (await this.git(['diff', '--name-only', '--diff-filter=U'])).stdout,
+        );
+        await this.git(['merge', '--abort'], { allowFailure: true });
+        entry.status = entry.conflicts.length > 0 ? 'conflict' : 'failed';
+        if (entry.status === 'failed') entry.error = (merge.stderr || merge.stdout).trim();
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Remove an agent's worktree. Uncommitted work is committed to the
+   * agent's branch first, and the branch is deleted only when it has been
+   * merged, so no work is lost. A worktree that could not be committed is
+   * left in place unless options.force is set.
+   * options: { message, force }. Returns { removed, committed, branchDeleted }.
+   */
+  async remove(worktree, options = {}) {
+    await this.repoRoot();
+    let committed = false;
+    try {
+      committed = await this.commitPending(
+        worktree,
+        options.message || `${worktree.agentId}: uncommitted work`,
+      );
+    } catch (error) {
+      if (!options.force) throw new WorktreeError(`${worktree.path}: ${error.message}`, 'DIRTY');
+    }
+    const removeArgs = ['worktree', 'remove', ...(options.force ? ['--force'] : []), worktree.path];
+    const removed = (await this.git(removeArgs, { allowFailure: true })).code === 0;
+    await this.git(['worktree', 'prune']);
+    const branchDeleted =
+      (await this.git(['branch', '-d', worktree.branch], { allowFailure: true })).code === 0;
+
+    // Drop the swarm directory once its last worktree is gone
+    const swarmDir = path.dirname(worktree.path);
+    if (existsSync(swarmDir) && readdirSync(swarmDir).length === 0) rmdirSync(swarmDir);
+    return { removed, committed, branchDeleted };
+  }
+}
@@ -94,7 +94,11 @@ export function parseFlags(args) {
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
-    if (arg.startsWith('--')) {
+    if (arg === '--') {
+      // Everything after a bare -- is positional
+      filteredArgs.push(...args.slice(i + 1));
+      break;
+    } else if (arg.startsWith('--')) {
       const flagName = arg.substring(2);
       const nextArg = args[i + 1];
 
@@ -0,0 +1,340 @@
+/**
+ * Streamable HTTP transport for the Claude-Flow MCP server
+ * Accepts JSON-RPC over POST and pushes notifications over Server-Sent Events,
+ * so several clients can share one server process and one memory store.
+ */
+
+import express from 'express';
+import { createServer } from 'node:http';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+
+const SESSION_HEADER = 'mcp-session-id';
+const DEFAULT_SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+const SSE_KEEPALIVE_MS = 25 * 1000;
+const DEFAULT_MAX_SESSIONS = 100;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+class McpHttpTransport {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.options = {
+      host: options.host || 'localhost',
+      port: options.port ?? 3000,
+      path: options.path || '/mcp',
+      authToken: options.authToken || null,
+      sessionTimeoutMs: options.sessionTimeoutMs || DEFAULT_SESSION_TIMEOUT_MS,
+      maxSessions: options.maxSessions || DEFAULT_MAX_SESSIONS,
+    };
+    this.sessions = new Map(); // session id -> { id, createdAt, lastSeenAt, streams }
+    this.httpServer = null;
+    this.sweepInterval = null;
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '4mb' }));
+
+    app.get('/health', (req, res) => {
+      res.json({ status: 'ok', sessions: this.sessions.size, version: this.server.version });
+    });
+
+    app.use(this.options.path, (req, res, next) => this.checkOrigin(req, res, next));
+    app.use(this.options.path, (req, res, next) => this.authenticate(req, res, next));
+    app.post(this.options.path, (req, res) => this.handlePost(req, res));
+    app.get(this.options.path, (req, res) => this.handleStream(req, res));
+    app.delete(this.options.path, (req, res) => this.handleDelete(req, res));
+
+    // Malformed JSON bodies surface as JSON-RPC parse errors
+    app.use((err, req, res, next) => {
+      if (err.type === 'entity.parse.failed') {
+        return res.status(400).json(this.server.createErrorResponse(null, -32700, 'Parse error'));
+      }
+      if (err.type === 'entity.too.large') {
+        return res
+          .status(413)
+          .json(this.server.createErrorResponse(null, -32600, 'Request too large'));
+      }
+      return next(err);
+    });
+
+    return app;
+  }
+
+  /**
+   * Guard against DNS rebinding: browsers may only connect from a loopback
+   * origin, and a server bound to localhost only answers to a loopback Host.
+   * Requests without an Origin header come from non-browser clients.
+   */
+  checkOrigin(req, res, next) {
+    const origin = req.headers.origin;
+    const originAllowed = !origin || isLoopbackUrl(origin);
+    const bound = this.options.host.includes(':') ? `[${this.options.host}]` : this.options.host;
+    const hostAllowed =
+      !isLoopbackUrl(`http://${bound}`) || isLoopbackUrl(`http://${req.headers.host}`);
+    if (!originAllowed || !hostAllowed) {
+      return res.status(403).json(this.server.createErrorResponse(null, -32001, 'Forbidden'));
+    }
+    return next();
+  }
+
+  authenticate(req, res, next) {
+    if (!this.options.authToken) return next();
+
+    const header = req.headers.authorization || '';
+    const [scheme, token = ''] = header.split(' ');
+    if (scheme !== 'Bearer' || !tokensMatch(token, this.options.authToken)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json(this.server.createErrorResponse(null, -32001, 'Unauthorized'));
+    }
+    return next();
+  }
+
+  /**
+   * Handle one JSON-RPC message; a failure becomes an internal error response
+   * instead of an unhandled rejection that leaves the request hanging
+   */
+  async dispatch(message, context) {
+    try {
+      return await this.server.handleMessage(message, context);
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ERROR [claude-flow-mcp] (${this.server.sessionId}) HTTP request failed:`,
+        error,
+      );
+      return message.id === undefined
+        ? null
+        : this.server.createErrorResponse(message.id, -32603, 'Internal error', error.message);
+    }
+  }
+
+  async handlePost(req, res) {
+    const body = req.body;
+    const messages = Array.isArray(body) ? body : [body];
+    if (messages.length === 0 || messages.some((m) => !m || m.jsonrpc !== '2.0')) {
+      return res.status(400).json(this.server.createErrorResponse(null, -32600, 'Invalid Request'));
+    }
+
+    const isInitialize = messages.some((m) => m.method === 'initialize');
+    let session;
+    if (isInitialize) {
+      session = this.createSession();
+      if (!session) {
+        res.set('Retry-After', '60');
+        return res
+          .status(503)
+          .json(this.server.createErrorResponse(null, -32000, 'Too many sessions'));
+      }
+    } else {
+      session = this.sessions.get(req.headers[SESSION_HEADER]);
+      if (!session) {
+        const status = req.headers[SESSION_HEADER] ? 404 : 400;
+        return res
+          .status(status)
+          .json(this.server.createErrorResponse(null, -32000, 'Unknown or missing session'));
+      }
+    }
+    session.lastSeenAt = Date.now();
+    res.set('Mcp-Session-Id', session.id);
+
+    const requests = messages.filter((m) => m.id !== undefined && m.method);
+    if (requests.length === 0) {
+      // Notifications and client responses only
+      for (const message of messages) {
+        await this.dispatch(message, { sessionId: session.id });
+      }
+      return res.status(202).end();
+    }
+
+    const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+    if (!wantsStream) {
+      const responses = [];
+      for (const message of messages) {
+        const response = await this.dispatch(message, { sessionId: session.id });
+        if (response && message.id !== undefined) responses.push(response);
+      }
+      if (responses.length === 0) {
+        // Every request was cancelled while in flight
+        return res.status(202).end();
+      }
+      return res.json(Array.isArray(body) ? responses : responses[0]);
+    }
+
+    // Stream progress notifications for this request before its final response
+    this.openEventStream(res);
+    const context = {
+      sessionId: session.id,
+      sendNotification: (method, params) =>
+        this.writeEvent(res, { jsonrpc: '2.0', method, params }),
+    };
+    for (const message of messages) {
+      const response = await this.dispatch(message, context);
+      if (response && message.id !== undefined) this.writeEvent(res, response);
+    }
+    res.end();
+  }
+
+  handleStream(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      return res.status(406).end();
+    }
+
+    const session = this.sessions.get(req.headers[SESSION_HEADER]);
+    if (!session) {
+      return res
+        .status(404)
+        .json(this.server.createErrorResponse(null, -32000, 'Unknown or missing session'));
+    }
+
+    this.openEventStream(res);
+    session.streams.add(res);
+    session.lastSeenAt = Date.now();
+
+    const keepAlive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      session.streams.delete(res);
+    });
+  }
+
+  handleDelete(req, res) {
+    const session = this.sessions.get(req.headers[SESSION_HEADER]);
+    if (!session) {
+      return res.status(404).end();
+    }
+    this.closeSession(session.id);
+    return res.status(204).end();
+  }
+
+  /**
+   * Open a session, or return null when maxSessions are open even after
+   * idle ones are swept
+   */
+  createSession() {
+    if (this.sessions.size >= this.options.maxSessions) this.sweepIdleSessions();
+    if (this.sessions.size >= this.options.maxSessions) {
+      console.error(
+        `[${new Date().toISOString()}] WARN [claude-flow-mcp] (${this.server.sessionId}) HTTP session limit reached (${this.options.maxSessions})`,
+      );
+      return null;
+    }
+
+    const session = {
+      id: randomUUID(),
+      createdAt: Date.now(),
+      lastSeenAt: Date.now(),
+      streams: new Set(),
+    };
+    this.sessions.set(session.id, session);
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${this.server.sessionId}) 🔌 HTTP session opened: ${session.id}`,
+    );
+    return session;
+  }
+
+  closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    for (const stream of session.streams) {
+      stream.end();
+    }
+    this.sessions.delete(sessionId);
+    this.server.releaseSession(sessionId);
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${this.server.sessionId}) 🔌 HTTP session closed: ${sessionId}`,
+    );
+  }
+
+  openEventStream(res) {
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+  }
+
+  writeEvent(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  /**
+   * Push a server notification to every open SSE stream, or only to one session
+   */
+  broadcast(message, sessionId = null) {
+    for (const session of this.sessions.values()) {
+      if (sessionId && session.id !== sessionId) continue;
+      for (const stream of session.streams) {
+        this.writeEvent(stream, message);
+      }
+    }
+  }
+
+  sweepIdleSessions() {
+    const cutoff = Date.now() - this.options.sessionTimeoutMs;
+    for (const session of this.sessions.values()) {
+      if (session.streams.size === 0 && session.lastSeenAt < cutoff) {
+        this.closeSession(session.id);
+      }
+    }
+  }
+
+  async start() {
+    this.httpServer = createServer(this.app);
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.options.port, this.options.host, resolve);
+    });
+
+    this.sweepInterval = setInterval(() => this.sweepIdleSessions(), 60000);
+    this.sweepInterval.unref();
+
+    const address = this.httpServer.address();
+    this.port = address.port;
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${this.server.sessionId}) HTTP transport listening on http://${this.options.host}:${this.port}${this.options.path}${this.options.authToken ? ' (bearer auth enabled)' : ''}`,
+    );
+    return this;
+  }
+
+  async stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      this.closeSession(sessionId);
+    }
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+}
+
+function isLoopbackUrl(value) {
+  try {
+    const url = new URL(value);
+    return (
+      (url.protocol === 'http:' || url.protocol === 'https:') && LOOPBACK_HOSTS.has(url.hostname)
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Constant-time comparison, so response timing does not reveal the token
+function tokensMatch(supplied, expected) {
+  const a = Buffer.from(supplied);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+async function startHttpTransport(server, options = {}) {
+  const transport = new McpHttpTransport(server, options);
+  await transport.start();
+  return transport;
+}
+
+export { McpHttpTransport, startHttpTransport };
@@ -6,20 +6,61 @@
  */
 
 import { promises as fs } from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { EnhancedMemory } from '../memory/enhanced-memory.js';
 // Use the same memory system that npx commands use - singleton instance
 import { memoryStore } from '../memory/fallback-store.js';
+import { MetricsStore, loadMetricsConfig } from '../memory/metrics-store.js';
+import { TaskQueue } from '../memory/task-queue.js';
+import { AgentRegistry, AgentRegistryError } from '../memory/agent-registry.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { createToolValidator, ToolValidationError, INVALID_PARAMS } from './tool-validator.js';
+import { getToolDefinitions } from './tool-definitions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// JSON-RPC error code returned for advertised tools that have no backing implementation
+const TOOL_NOT_IMPLEMENTED = -32601;
+
+// Upper bound used when a tool needs to scan a whole namespace
+const NAMESPACE_SCAN_LIMIT = 10000;
+
+// Session id used for the single stdio client
+const STDIO_SESSION_ID = 'stdio';
+
+// MCP logging levels, least to most severe (RFC 5424 names)
+const LOG_LEVELS = [
+  'debug',
+  'info',
+  'notice',
+  'warning',
+  'error',
+  'critical',
+  'alert',
+  'emergency',
+];
+
+// Namespaces captured by state_snapshot and restored by context_restore
+const SNAPSHOT_NAMESPACES = ['swarms', 'agents', 'tasks', 'system', 'workflows', 'config'];
+
+class ToolNotImplementedError extends Error {
+  constructor(toolName) {
+    super(`Tool ${toolName} is not implemented by this server`);
+    this.name = 'ToolNotImplementedError';
+    this.toolName = toolName;
+  }
+}
+
 class ClaudeFlowMCPServer {
   constructor() {
     this.version = '2.0.0-alpha.59';
-    this.memoryStore = memoryStore; // Use shared singleton instance
-    // Use the same memory system that already works
+    // Shared singleton instance, wrapped so writes can notify resource subscribers
+    this.memoryStore = this.trackMemoryChanges(memoryStore);
+    // Agents spawned here are visible to `claude-flow agent` and SwarmMemory
+    this.agentRegistry = new AgentRegistry({ store: this.memoryStore });
     this.capabilities = {
       tools: {
         listChanged: true,
@@ -28,10 +69,25 @@ class ClaudeFlowMCPServer {
         subscribe: true,
         listChanged: true,
       },
+      prompts: {
+        listChanged: false,
+      },
+      logging: {},
     };
     this.sessionId = `session-cf-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
+    this.startedAt = Date.now();
+    this.toolUsage = new Map(); // tool name -> { calls, errors, lastCalledAt }
+    this.metricsStore = null; // opened on first use, see recordMetrics
+    this.taskQueue = null; // opened on first use, see getTaskQueue
+    this.notificationSinks = new Set(); // transports that receive server notifications
+    this.subscriptions = new Map(); // resource uri -> Set of client session ids
+    this.pendingResourceUpdates = new Set();
+    this.inFlightRequests = new Map(); // `${sessionId}:${requestId}` -> AbortController
+    this.logLevel = 'info';
     this.tools = this.initializeTools();
+    this.toolValidator = createToolValidator(this.tools);
     this.resources = this.initializeResources();
+    this.resourceTemplates = this.initializeResourceTemplates();
 
     // Initialize shared memory store (same as npx commands)
     this.initializeMemory().catch((err) => {
@@ -57,826 +113,7 @@ class ClaudeFlowMCPServer {
   // Database operations now use the same memory store as working npx commands
 
   initializeTools() {
-    return {
-      // Swarm Coordination Tools (12)
-      swarm_init: {
-        name: 'swarm_init',
-        description: 'Initialize swarm with topology and configuration',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            topology: { type: 'string', enum: ['hierarchical', 'mesh', 'ring', 'star'] },
-            maxAgents: { type: 'number', default: 8 },
-            strategy: { type: 'string', default: 'auto' },
-          },
-          required: ['topology'],
-        },
-      },
-      agent_spawn: {
-        name: 'agent_spawn',
-        description: 'Create specialized AI agents',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            type: {
-              type: 'string',
-              enum: [
-                'coordinator',
-                'researcher',
-                'coder',
-                'analyst',
-                'architect',
-                'tester',
-                'reviewer',
-                'optimizer',
-                'documenter',
-                'monitor',
-                'specialist',
-              ],
-            },
-            name: { type: 'string' },
-            capabilities: { type: 'array' },
-            swarmId: { type: 'string' },
-          },
-          required: ['type'],
-        },
-      },
-      task_orchestrate: {
-        name: 'task_orchestrate',
-        description: 'Orchestrate complex task workflows',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            task: { type: 'string' },
-            strategy: { type: 'string', enum: ['parallel', 'sequential', 'adaptive', 'balanced'] },
-            priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
-            dependencies: { type: 'array' },
-          },
-          required: ['task'],
-        },
-      },
-      swarm_status: {
-        name: 'swarm_status',
-        description: 'Monitor swarm health and performance',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            swarmId: { type: 'string' },
-          },
-        },
-      },
-
-      // Neural Network Tools (15)
-      neural_status: {
-        name: 'neural_status',
-        description: 'Check neural network status',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            modelId: { type: 'string' },
-          },
-        },
-      },
-      neural_train: {
-        name: 'neural_train',
-        description: 'Train neural patterns with WASM SIMD acceleration',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            pattern_type: { type: 'string', enum: ['coordination', 'optimization', 'prediction'] },
-            training_data: { type: 'string' },
-            epochs: { type: 'number', default: 50 },
-          },
-          required: ['pattern_type', 'training_data'],
-        },
-      },
-      neural_patterns: {
-        name: 'neural_patterns',
-        description: 'Analyze cognitive patterns',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            action: { type: 'string', enum: ['analyze', 'learn', 'predict'] },
-            operation: { type: 'string' },
-            outcome: { type: 'string' },
-            metadata: { type: 'object' },
-          },
-          required: ['action'],
-        },
-      },
-
-      // Memory & Persistence Tools (12)
-      memory_usage: {
-        name: 'memory_usage',
-        description: 'Store/retrieve persistent memory with TTL and namespacing',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            action: { type: 'string', enum: ['store', 'retrieve', 'list', 'delete', 'search'] },
-            key: { type: 'string' },
-            value: { type: 'string' },
-            namespace: { type: 'string', default: 'default' },
-            ttl: { type: 'number' },
-          },
-          required: ['action'],
-        },
-      },
-      memory_search: {
-        name: 'memory_search',
-        description: 'Search memory with patterns',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            pattern: { type: 'string' },
-            namespace: { type: 'string' },
-            limit: { type: 'number', default: 10 },
-          },
-          required: ['pattern'],
-        },
-      },
-
-      // Analysis & Monitoring Tools (13)
-      performance_report: {
-        name: 'performance_report',
-        description: 'Generate performance reports with real-time metrics',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            timeframe: { type: 'string', enum: ['24h', '7d', '30d'], default: '24h' },
-            format: { type: 'string', enum: ['summary', 'detailed', 'json'], default: 'summary' },
-          },
-        },
-      },
-      bottleneck_analyze: {
-        name: 'bottleneck_analyze',
-        description: 'Identify performance bottlenecks',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            component: { type: 'string' },
-            metrics: { type: 'array' },
-          },
-        },
-      },
-      token_usage: {
-        name: 'token_usage',
-        description: 'Analyze token consumption',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            operation: { type: 'string' },
-            timeframe: { type: 'string', default: '24h' },
-          },
-        },
-      },
-
-      // GitHub Integration Tools (8)
-      github_repo_analyze: {
-        name: 'github_repo_analyze',
-        description: 'Repository analysis',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            repo: { type: 'string' },
-            analysis_type: { type: 'string', enum: ['code_quality', 'performance', 'security'] },
-          },
-          required: ['repo'],
-        },
-      },
-      github_pr_manage: {
-        name: 'github_pr_manage',
-        description: 'Pull request management',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            repo: { type: 'string' },
-            pr_number: { type: 'number' },
-            action: { type: 'string', enum: ['review', 'merge', 'close'] },
-          },
-          required: ['repo', 'action'],
-        },
-      },
-
-      // DAA Tools (8)
-      daa_agent_create: {
-        name: 'daa_agent_create',
-        description: 'Create dynamic agents',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            agent_type: { type: 'string' },
-            capabilities: { type: 'array' },
-            resources: { type: 'object' },
-          },
-          required: ['agent_type'],
-        },
-      },
-      daa_capability_match: {
-        name: 'daa_capability_match',
-        description: 'Match capabilities to tasks',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            task_requirements: { type: 'array' },
-            available_agents: { type: 'array' },
-          },
-          required: ['task_requirements'],
-        },
-      },
-
-      // Workflow Tools (11)
-      workflow_create: {
-        name: 'workflow_create',
-        description: 'Create custom workflows',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            name: { type: 'string' },
-            steps: { type: 'array' },
-            triggers: { type: 'array' },
-          },
-          required: ['name', 'steps'],
-        },
-      },
-      sparc_mode: {
-        name: 'sparc_mode',
-        description: 'Run SPARC development modes',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            mode: { type: 'string', enum: ['dev', 'api', 'ui', 'test', 'refactor'] },
-            task_description: { type: 'string' },
-            options: { type: 'object' },
-          },
-          required: ['mode', 'task_description'],
-        },
-      },
-
-      // Additional Swarm Tools
-      agent_list: {
-        name: 'agent_list',
-        description: 'List active agents & capabilities',
-        inputSchema: { type: 'object', properties: { swarmId: { type: 'string' } } },
-      },
-      agent_metrics: {
-        name: 'agent_metrics',
-        description: 'Agent performance metrics',
-        inputSchema: { type: 'object', properties: { agentId: { type: 'string' } } },
-      },
-      swarm_monitor: {
-        name: 'swarm_monitor',
-        description: 'Real-time swarm monitoring',
-        inputSchema: {
-          type: 'object',
-          properties: { swarmId: { type: 'string' }, interval: { type: 'number' } },
-        },
-      },
-      topology_optimize: {
-        name: 'topology_optimize',
-        description: 'Auto-optimize swarm topology',
-        inputSchema: { type: 'object', properties: { swarmId: { type: 'string' } } },
-      },
-      load_balance: {
-        name: 'load_balance',
-        description: 'Distribute tasks efficiently',
-        inputSchema: {
-          type: 'object',
-          properties: { swarmId: { type: 'string' }, tasks: { type: 'array' } },
-        },
-      },
-      coordination_sync: {
-        name: 'coordination_sync',
-        description: 'Sync agent coordination',
-        inputSchema: { type: 'object', properties: { swarmId: { type: 'string' } } },
-      },
-      swarm_scale: {
-        name: 'swarm_scale',
-        description: 'Auto-scale agent count',
-        inputSchema: {
-          type: 'object',
-          properties: { swarmId: { type: 'string' }, targetSize: { type: 'number' } },
-        },
-      },
-      swarm_destroy: {
-        name: 'swarm_destroy',
-        description: 'Gracefully shutdown swarm',
-        inputSchema: {
-          type: 'object',
-          properties: { swarmId: { type: 'string' } },
-          required: ['swarmId'],
-        },
-      },
-
-      // Additional Neural Tools
-      neural_predict: {
-        name: 'neural_predict',
-        description: 'Make AI predictions',
-        inputSchema: {
-          type: 'object',
-          properties: { modelId: { type: 'string' }, input: { type: 'string' } },
-          required: ['modelId', 'input'],
-        },
-      },
-      model_load: {
-        name: 'model_load',
-        description: 'Load pre-trained models',
-        inputSchema: {
-          type: 'object',
-          properties: { modelPath: { type: 'string' } },
-          required: ['modelPath'],
-        },
-      },
-      model_save: {
-        name: 'model_save',
-        description: 'Save trained models',
-        inputSchema: {
-          type: 'object',
-          properties: { modelId: { type: 'string' }, path: { type: 'string' } },
-          required: ['modelId', 'path'],
-        },
-      },
-      wasm_optimize: {
-        name: 'wasm_optimize',
-        description: 'WASM SIMD optimization',
-        inputSchema: { type: 'object', properties: { operation: { type: 'string' } } },
-      },
-      inference_run: {
-        name: 'inference_run',
-        description: 'Run neural inference',
-        inputSchema: {
-          type: 'object',
-          properties: { modelId: { type: 'string' }, data: { type: 'array' } },
-          required: ['modelId', 'data'],
-        },
-      },
-      pattern_recognize: {
-        name: 'pattern_recognize',
-        description: 'Pattern recognition',
-        inputSchema: {
-          type: 'object',
-          properties: { data: { type: 'array' }, patterns: { type: 'array' } },
-          required: ['data'],
-        },
-      },
-      cognitive_analyze: {
-        name: 'cognitive_analyze',
-        description: 'Cognitive behavior analysis',
-        inputSchema: {
-          type: 'object',
-          properties: { behavior: { type: 'string' } },
-          required: ['behavior'],
-        },
-      },
-      learning_adapt: {
-        name: 'learning_adapt',
-        description: 'Adaptive learning',
-        inputSchema: {
-          type: 'object',
-          properties: { experience: { type: 'object' } },
-          required: ['experience'],
-        },
-      },
-      neural_compress: {
-        name: 'neural_compress',
-        description: 'Compress neural models',
-        inputSchema: {
-          type: 'object',
-          properties: { modelId: { type: 'string' }, ratio: { type: 'number' } },
-          required: ['modelId'],
-        },
-      },
-      ensemble_create: {
-        name: 'ensemble_create',
-        description: 'Create model ensembles',
-        inputSchema: {
-          type: 'object',
-          properties: { models: { type: 'array' }, strategy: { type: 'string' } },
-          required: ['models'],
-        },
-      },
-      transfer_learn: {
-        name: 'transfer_learn',
-        description: 'Transfer learning',
-        inputSchema: {
-          type: 'object',
-          properties: { sourceModel: { type: 'string' }, targetDomain: { type: 'string' } },
-          required: ['sourceModel', 'targetDomain'],
-        },
-      },
-      neural_explain: {
-        name: 'neural_explain',
-        description: 'AI explainability',
-        inputSchema: {
-          type: 'object',
-          properties: { modelId: { type: 'string' }, prediction: { type: 'object' } },
-          required: ['modelId', 'prediction'],
-        },
-      },
-
-      // Additional Memory Tools
-      memory_persist: {
-        name: 'memory_persist',
-        description: 'Cross-session persistence',
-        inputSchema: { type: 'object', properties: { sessionId: { type: 'string' } } },
-      },
-      memory_namespace: {
-        name: 'memory_namespace',
-        description: 'Namespace management',
-        inputSchema: {
-          type: 'object',
-          properties: { namespace: { type: 'string' }, action: { type: 'string' } },
-          required: ['namespace', 'action'],
-        },
-      },
-      memory_backup: {
-        name: 'memory_backup',
-        description: 'Backup memory stores',
-        inputSchema: { type: 'object', properties: { path: { type: 'string' } } },
-      },
-      memory_restore: {
-        name: 'memory_restore',
-        description: 'Restore from backups',
-        inputSchema: {
-          type: 'object',
-          properties: { backupPath: { type: 'string' } },
-          required: ['backupPath'],
-        },
-      },
-      memory_compress: {
-        name: 'memory_compress',
-        description: 'Compress memory data',
-        inputSchema: { type: 'object', properties: { namespace: { type: 'string' } } },
-      },
-      memory_sync: {
-        name: 'memory_sync',
-        description: 'Sync across instances',
-        inputSchema: {
-          type: 'object',
-          properties: { target: { type: 'string' } },
-          required: ['target'],
-        },
-      },
-      cache_manage: {
-        name: 'cache_manage',
-        description: 'Manage coordination cache',
-        inputSchema: {
-          type: 'object',
-          properties: { action: { type: 'string' }, key: { type: 'string' } },
-          required: ['action'],
-        },
-      },
-      state_snapshot: {
-        name: 'state_snapshot',
-        description: 'Create state snapshots',
-        inputSchema: { type: 'object', properties: { name: { type: 'string' } } },
-      },
-      context_restore: {
-        name: 'context_restore',
-        description: 'Restore execution context',
-        inputSchema: {
-          type: 'object',
-          properties: { snapshotId: { type: 'string' } },
-          required: ['snapshotId'],
-        },
-      },
-      memory_analytics: {
-        name: 'memory_analytics',
-        description: 'Analyze memory usage',
-        inputSchema: { type: 'object', properties: { timeframe: { type: 'string' } } },
-      },
-
-      // Additional Analysis Tools
-      task_status: {
-        name: 'task_status',
-        description: 'Check task execution status',
-        inputSchema: {
-          type: 'object',
-          properties: { taskId: { type: 'string' } },
-          required: ['taskId'],
-        },
-      },
-      task_results: {
-        name: 'task_results',
-        description: 'Get task completion results',
-        inputSchema: {
-          type: 'object',
-          properties: { taskId: { type: 'string' } },
-          required: ['taskId'],
-        },
-      },
-      benchmark_run: {
-        name: 'benchmark_run',
-        description: 'Performance benchmarks',
-        inputSchema: { type: 'object', properties: { suite: { type: 'string' } } },
-      },
-      metrics_collect: {
-        name: 'metrics_collect',
-        description: 'Collect system metrics',
-        inputSchema: { type: 'object', properties: { components: { type: 'array' } } },
-      },
-      trend_analysis: {
-        name: 'trend_analysis',
-        description: 'Analyze performance trends',
-        inputSchema: {
-          type: 'object',
-          properties: { metric: { type: 'string' }, period: { type: 'string' } },
-          required: ['metric'],
-        },
-      },
-      cost_analysis: {
-        name: 'cost_analysis',
-        description: 'Cost and resource analysis',
-        inputSchema: { type: 'object', properties: { timeframe: { type: 'string' } } },
-      },
-      quality_assess: {
-        name: 'quality_assess',
-        description: 'Quality assessment',
-        inputSchema: {
-          type: 'object',
-          properties: { target: { type: 'string' }, criteria: { type: 'array' } },
-          required: ['target'],
-        },
-      },
-      error_analysis: {
-        name: 'error_analysis',
-        description: 'Error pattern analysis',
-        inputSchema: { type: 'object', properties: { logs: { type: 'array' } } },
-      },
-      usage_stats: {
-        name: 'usage_stats',
-        description: 'Usage statistics',
-        inputSchema: { type: 'object', properties: { component: { type: 'string' } } },
-      },
-      health_check: {
-        name: 'health_check',
-        description: 'System health monitoring',
-        inputSchema: { type: 'object', properties: { components: { type: 'array' } } },
-      },
-
-      // Additional Workflow Tools
-      workflow_execute: {
-        name: 'workflow_execute',
-        description: 'Execute predefined workflows',
-        inputSchema: {
-          type: 'object',
-          properties: { workflowId: { type: 'string' }, params: { type: 'object' } },
-          required: ['workflowId'],
-        },
-      },
-      workflow_export: {
-        name: 'workflow_export',
-        description: 'Export workflow definitions',
-        inputSchema: {
-          type: 'object',
-          properties: { workflowId: { type: 'string' }, format: { type: 'string' } },
-          required: ['workflowId'],
-        },
-      },
-      automation_setup: {
-        name: 'automation_setup',
-        description: 'Setup automation rules',
-        inputSchema: {
-          type: 'object',
-          properties: { rules: { type: 'array' } },
-          required: ['rules'],
-        },
-      },
-      pipeline_create: {
-        name: 'pipeline_create',
-        description: 'Create CI/CD pipelines',
-        inputSchema: {
-          type: 'object',
-          properties: { config: { type: 'object' } },
-          required: ['config'],
-        },
-      },
-      scheduler_manage: {
-        name: 'scheduler_manage',
-        description: 'Manage task scheduling',
-        inputSchema: {
-          type: 'object',
-          properties: { action: { type: 'string' }, schedule: { type: 'object' } },
-          required: ['action'],
-        },
-      },
-      trigger_setup: {
-        name: 'trigger_setup',
-        description: 'Setup event triggers',
-        inputSchema: {
-          type: 'object',
-          properties: { events: { type: 'array' }, actions: { type: 'array' } },
-          required: ['events', 'actions'],
-        },
-      },
-      workflow_template: {
-        name: 'workflow_template',
-        description: 'Manage workflow templates',
-        inputSchema: {
-          type: 'object',
-          properties: { action: { type: 'string' }, template: { type: 'object' } },
-          required: ['action'],
-        },
-      },
-      batch_process: {
-        name: 'batch_process',
-        description: 'Batch processing',
-        inputSchema: {
-          type: 'object',
-          properties: { items: { type: 'array' }, operation: { type: 'string' } },
-          required: ['items', 'operation'],
-        },
-      },
-      parallel_execute: {
-        name: 'parallel_execute',
-        description: 'Execute tasks in parallel',
-        inputSchema: {
-          type: 'object',
-          properties: { tasks: { type: 'array' } },
-          required: ['tasks'],
-        },
-      },
-
-      // GitHub Integration Tools
-      github_issue_track: {
-        name: 'github_issue_track',
-        description: 'Issue tracking & triage',
-        inputSchema: {
-          type: 'object',
-          properties: { repo: { type: 'string' }, action: { type: 'string' } },
-          required: ['repo', 'action'],
-        },
-      },
-      github_release_coord: {
-        name: 'github_release_coord',
-        description: 'Release coordination',
-        inputSchema: {
-          type: 'object',
-          properties: { repo: { type: 'string' }, version: { type: 'string' } },
-          required: ['repo', 'version'],
-        },
-      },
-      github_workflow_auto: {
-        name: 'github_workflow_auto',
-        description: 'Workflow automation',
-        inputSchema: {
-          type: 'object',
-          properties: { repo: { type: 'string' }, workflow: { type: 'object' } },
-          required: ['repo', 'workflow'],
-        },
-      },
-      github_code_review: {
-        name: 'github_code_review',
-        description: 'Automated code review',
-        inputSchema: {
-          type: 'object',
-          properties: { repo: { type: 'string' }, pr: { type: 'number' } },
-          required: ['repo', 'pr'],
-        },
-      },
-      github_sync_coord: {
-        name: 'github_sync_coord',
-        description: 'Multi-repo sync coordination',
-        inputSchema: {
-          type: 'object',
-          properties: { repos: { type: 'array' } },
-          required: ['repos'],
-        },
-      },
-      github_metrics: {
-        name: 'github_metrics',
-        description: 'Repository metrics',
-        inputSchema: {
-          type: 'object',
-          properties: { repo: { type: 'string' } },
-          required: ['repo'],
-        },
-      },
-
-      // Additional DAA Tools
-      daa_resource_alloc: {
-        name: 'daa_resource_alloc',
-        description: 'Resource allocation',
-        inputSchema: {
-          type: 'object',
-          properties: { resources: { type: 'object' }, agents: { type: 'array' } },
-          required: ['resources'],
-        },
-      },
-      daa_lifecycle_manage: {
-        name: 'daa_lifecycle_manage',
-        description: 'Agent lifecycle management',
-        inputSchema: {
-          type: 'object',
-          properties: { agentId: { type: 'string' }, action: { type: 'string' } },
-          required: ['agentId', 'action'],
-        },
-      },
-      daa_communication: {
-        name: 'daa_communication',
-        description: 'Inter-agent communication',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            from: { type: 'string' },
-            to: { type: 'string' },
-            message: { type: 'object' },
-          },
-          required: ['from', 'to', 'message'],
-        },
-      },
-      daa_consensus: {
-        name: 'daa_consensus',
-        description: 'Consensus mechanisms',
-        inputSchema: {
-          type: 'object',
-          properties: { agents: { type: 'array' }, proposal: { type: 'object' } },
-          required: ['agents', 'proposal'],
-        },
-      },
-      daa_fault_tolerance: {
-        name: 'daa_fault_tolerance',
-        description: 'Fault tolerance & recovery',
-        inputSchema: {
-          type: 'object',
-          properties: { agentId: { type: 'string' }, strategy: { type: 'string' } },
-          required: ['agentId'],
-        },
-      },
-      daa_optimization: {
-        name: 'daa_optimization',
-        description: 'Performance optimization',
-        inputSchema: {
-          type: 'object',
-          properties: { target: { type: 'string' }, metrics: { type: 'array' } },
-          required: ['target'],
-        },
-      },
-
-      // System & Utilities Tools
-      terminal_execute: {
-        name: 'terminal_execute',
-        description: 'Execute terminal commands',
-        inputSchema: {
-          type: 'object',
-          properties: { command: { type: 'string' }, args: { type: 'array' } },
-          required: ['command'],
-        },
-      },
-      config_manage: {
-        name: 'config_manage',
-        description: 'Configuration management',
-        inputSchema: {
-          type: 'object',
-          properties: { action: { type: 'string' }, config: { type: 'object' } },
-          required: ['action'],
-        },
-      },
-      features_detect: {
-        name: 'features_detect',
-        description: 'Feature detection',
-        inputSchema: { type: 'object', properties: { component: { type: 'string' } } },
-      },
-      security_scan: {
-        name: 'security_scan',
-        description: 'Security scanning',
-        inputSchema: {
-          type: 'object',
-          properties: { target: { type: 'string' }, depth: { type: 'string' } },
-          required: ['target'],
-        },
-      },
-      backup_create: {
-        name: 'backup_create',
-        description: 'Create system backups',
-        inputSchema: {
-          type: 'object',
-          properties: { components: { type: 'array' }, destination: { type: 'string' } },
-        },
-      },
-      restore_system: {
-        name: 'restore_system',
-        description: 'System restoration',
-        inputSchema: {
-          type: 'object',
-          properties: { backupId: { type: 'string' } },
-          required: ['backupId'],
-        },
-      },
-      log_analysis: {
-        name: 'log_analysis',
-        description: 'Log analysis & insights',
-        inputSchema: {
-          type: 'object',
-          properties: { logFile: { type: 'string' }, patterns: { type: 'array' } },
-          required: ['logFile'],
-        },
-      },
-      diagnostic_run: {
-        name: 'diagnostic_run',
-        description: 'System diagnostics',
-        inputSchema: { type: 'object', properties: { components: { type: 'array' } } },
-      },
-    };
+    return getToolDefinitions();
   }
 
   initializeResources() {
@@ -908,21 +145,80 @@ class ClaudeFlowMCPServer {
     };
   }
 
-  async handleMessage(message) {
+  initializeResourceTemplates() {
+    return [
+      {
+        uriTemplate: 'claude-flow://swarms/{id}',
+        name: 'Swarm',
+        description: 'A persisted swarm with its agents and tasks',
+        mimeType: 'application/json',
+      },
+      {
+        uriTemplate: 'claude-flow://agents/{id}',
+        name: 'Agent',
+        description: 'A persisted agent record',
+        mimeType: 'application/json',
+      },
+      {
+        uriTemplate: 'claude-flow://tasks/{id}',
+        name: 'Task',
+        description: 'Task status merged from orchestration and hook records',
+        mimeType: 'application/json',
+      },
+      {
+        uriTemplate: 'claude-flow://memory/{namespace}',
+        name: 'Memory Namespace',
+        description: 'Keys stored in a memory namespace',
+        mimeType: 'application/json',
+      },
+      {
+        uriTemplate: 'claude-flow://memory/{namespace}/{key}',
+        name: 'Memory Entry',
+        description: 'A single value from the shared memory store',
+        mimeType: 'application/json',
+      },
+    ];
+  }
+
+  /**
+   * Route a JSON-RPC message. Transports may pass a context carrying the
+   * client session and a sendNotification callback scoped to the request.
+   */
+  async handleMessage(message, context = {}) {
     try {
       const { id, method, params } = message;
 
+      // Notifications never get a response
+      if (id === undefined) {
+        this.handleNotification(method, params, context);
+        return null;
+      }
+
       switch (method) {
         case 'initialize':
           return this.handleInitialize(id, params);
+        case 'ping':
+          return { jsonrpc: '2.0', id, result: {} };
         case 'tools/list':
           return this.handleToolsList(id);
         case 'tools/call':
-          return this.handleToolCall(id, params);
+          return this.handleToolCall(id, params, context);
         case 'resources/list':
           return this.handleResourcesList(id);
+        case 'resources/templates/list':
+          return this.handleResourceTemplatesList(id);
         case 'resources/read':
           return this.handleResourceRead(id, params);
+        case 'resources/subscribe':
+          return this.handleResourceSubscribe(id, params, context);
+        case 'resources/unsubscribe':
+          return this.handleResourceUnsubscribe(id, params, context);
+        case 'prompts/list':
+          return this.handlePromptsList(id);
+        case 'prompts/get':
+          return this.handlePromptGet(id, params);
+        case 'logging/setLevel':
+          return this.handleSetLogLevel(id, params);
         default:
           return this.createErrorResponse(id, -32601, 'Method not found');
       }
@@ -931,6 +227,30 @@ class ClaudeFlowMCPServer {
     }
   }
 
+  handleNotification(method, params = {}, context = {}) {
+    switch (method) {
+      case 'notifications/cancelled': {
+        const sessionId = context.sessionId || STDIO_SESSION_ID;
+        const controller = this.inFlightRequests.get(`${sessionId}:${params.requestId}`);
+        if (controller) {
+          console.error(
+            `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${this.sessionId}) Request ${params.requestId} cancelled${params.reason ? `: ${params.reason}` : ''}`,
+          );
+          controller.abort();
+        }
+        break;
+      }
+
+      case 'notifications/initialized':
+        break;
+
+      default:
+        console.error(
+          `[${new Date().toISOString()}] WARN [claude-flow-mcp] (${this.sessionId}) Ignoring unknown notification: ${method}`,
+        );
+    }
+  }
+
   handleInitialize(id, params) {
     console.error(
       `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${this.sessionId}) 🔌 Connection established: ${this.sessionId}`,
@@ -961,15 +281,55 @@ class ClaudeFlowMCPServer {
     };
   }
 
-  async handleToolCall(id, params) {
+  async handleToolCall(id, params, context = {}) {
     const { name, arguments: args } = params;
+    const progressToken = params._meta?.progressToken;
+    const reportProgress = (progress, total) => {
+      if (progressToken !== undefined && context.sendNotification) {
+        context.sendNotification('notifications/progress', { progressToken, progress, total });
+      }
+    };
 
     console.error(
       `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${this.sessionId}) 🔧 Tool called: ${name}`,
     );
 
+    if (!this.tools[name]) {
+      return this.createErrorResponse(id, -32602, 'Unknown tool', name);
+    }
+
+    let validatedArgs;
     try {
-      const result = await this.executeTool(name, args);
+      validatedArgs = this.toolValidator.validate(name, args);
+    } catch (error) {
+      if (!(error instanceof ToolValidationError)) throw error;
+      return this.createErrorResponse(id, INVALID_PARAMS, 'Invalid params', {
+        tool: name,
+        errors: error.errors,
+      });
+    }
+
+    const usage = this.toolUsage.get(name) || { calls: 0, errors: 0, lastCalledAt: null };
+    usage.calls++;
+    usage.lastCalledAt = new Date().toISOString();
+    this.toolUsage.set(name, usage);
+
+    const requestKey = `${context.sessionId || STDIO_SESSION_ID}:${id}`;
+    const controller = new AbortController();
+    this.inFlightRequests.set(requestKey, controller);
+    const startedAt = Date.now();
+    let status = 'ok';
+
+    try {
+      reportProgress(0, 1);
+      this.logToClients('debug', { event: 'tool_called', tool: name });
+      const result = await this.executeTool(name, validatedArgs, { signal: controller.signal });
+      if (controller.signal.aborted) {
+        // The client no longer expects a response for a cancelled request
+        status = 'cancelled';
+        return null;
+      }
+      reportProgress(1, 1);
       return {
         jsonrpc: '2.0',
         id,
@@ -983,7 +343,47 @@ class ClaudeFlowMCPServer {
         },
       };
     } catch (error) {
+      if (controller.signal.aborted) {
+        status = 'cancelled';
+        return null;
+      }
+      usage.errors++;
+      status = 'error';
+      this.logToClients('error', { event: 'tool_failed', tool: name, error: error.message });
+      if (error instanceof ToolNotImplementedError) {
+        return this.createErrorResponse(
+          id,
+          TOOL_NOT_IMPLEMENTED,
+          'Tool not implemented',
+          error.message,
+        );
+      }
       return this.createErrorResponse(id, -32000, 'Tool execution failed', error.message);
+    } finally {
+      this.inFlightRequests.delete(requestKey);
+      await this.recordMetrics([
+        { name: 'mcp.tool.calls', value: 1, labels: { tool: name, status } },
+        { name: 'mcp.tool.duration_ms', value: Date.now() - startedAt, labels: { tool: name } },
+      ]);
+    }
+  }
+
+  /**
+   * Record points in .swarm/metrics.db, the store behind the analysis API.
+   * Metrics never fail a request: errors are logged and dropped.
+   */
+  async recordMetrics(points) {
+    try {
+      if (!this.metricsStore) {
+        this.metricsStore = new MetricsStore({
+          retention: loadMetricsConfig().retention,
+        });
+      }
+      await this.metricsStore.recordMany(points.map((point) => ({ source: 'mcp', ...point })));
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] WARN [claude-flow-mcp] (${this.sessionId}) Could not record metrics: ${error.message}`,
+      );
     }
   }
 
@@ -998,14 +398,80 @@ class ClaudeFlowMCPServer {
     };
   }
 
-  async handleResourceRead(id, params) {
-    const { uri } = params;
+  handleResourceTemplatesList(id) {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        resourceTemplates: this.resourceTemplates,
+      },
+    };
+  }
 
-    try {
-      const content = await this.readResource(uri);
-      return {
-        jsonrpc: '2.0',
-        id,
+  handleResourceSubscribe(id, params = {}, context = {}) {
+    if (!params.uri || !this.isKnownResourceUri(params.uri)) {
+      return this.createErrorResponse(id, -32602, 'Unknown resource', params.uri);
+    }
+
+    const sessionId = context.sessionId || STDIO_SESSION_ID;
+    if (!this.subscriptions.has(params.uri)) {
+      this.subscriptions.set(params.uri, new Set());
+    }
+    this.subscriptions.get(params.uri).add(sessionId);
+    return { jsonrpc: '2.0', id, result: {} };
+  }
+
+  handleResourceUnsubscribe(id, params = {}, context = {}) {
+    const subscribers = this.subscriptions.get(params.uri);
+    if (subscribers) {
+      subscribers.delete(context.sessionId || STDIO_SESSION_ID);
+      if (subscribers.size === 0) this.subscriptions.delete(params.uri);
+    }
+    return { jsonrpc: '2.0', id, result: {} };
+  }
+
+  async handlePromptsList(id) {
+    const prompts = await listPrompts();
+    return { jsonrpc: '2.0', id, result: { prompts } };
+  }
+
+  async handlePromptGet(id, params = {}) {
+    try {
+      const prompt = await getPrompt(params.name || '', params.arguments || {});
+      return { jsonrpc: '2.0', id, result: prompt };
+    } catch (error) {
+      return this.createErrorResponse(id, error.code || -32603, error.message);
+    }
+  }
+
+  handleSetLogLevel(id, params = {}) {
+    if (!LOG_LEVELS.includes(params.level)) {
+      return this.createErrorResponse(id, -32602, 'Invalid log level', params.level);
+    }
+    this.logLevel = params.level;
+    return { jsonrpc: '2.0', id, result: {} };
+  }
+
+  /**
+   * Forward a log event to clients as notifications/message when it meets the
+   * level set through logging/setLevel.
+   */
+  logToClients(level, data) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.logLevel)) return;
+    this.sendNotification('notifications/message', { level, logger: 'claude-flow', data });
+  }
+
+  async handleResourceRead(id, params) {
+    const { uri } = params;
+    if (!uri || !this.isKnownResourceUri(uri)) {
+      return this.createErrorResponse(id, -32602, 'Unknown resource', uri);
+    }
+
+    try {
+      const content = await this.readResource(uri);
+      return {
+        jsonrpc: '2.0',
+        id,
         result: {
           contents: [
             {
@@ -1021,8 +487,13 @@ class ClaudeFlowMCPServer {
     }
   }
 
-  async executeTool(name, args) {
-    // Simulate tool execution based on the tool name
+  /**
+   * Run a tool. options.signal is aborted when the client cancels the
+   * request; long-running handlers check it between steps.
+   */
+  async executeTool(name, args, options = {}) {
+    const { signal } = options;
+    signal?.throwIfAborted();
     switch (name) {
       case 'swarm_init':
         const swarmId = `swarm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -1072,372 +543,38 @@ class ClaudeFlowMCPServer {
           timestamp: new Date().toISOString(),
         };
 
-      case 'agent_spawn':
-        const agentId = `agent_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-        const agentData = {
-          id: agentId,
-          swarmId: args.swarmId || (await this.getActiveSwarmId()),
-          name: args.name || `${args.type}-${Date.now()}`,
-          type: args.type,
-          status: 'active',
-          capabilities: JSON.stringify(args.capabilities || []),
-          metadata: JSON.stringify({
-            sessionId: this.sessionId,
-            createdBy: 'mcp-server',
-            spawnedAt: new Date().toISOString(),
-          }),
-        };
-
-        // Store agent data in memory store (same as npx commands)
-        try {
-          const swarmId = agentData.swarmId || (await this.getActiveSwarmId());
-          if (swarmId) {
-            await this.memoryStore.store(`agent:${swarmId}:${agentId}`, JSON.stringify(agentData), {
-              namespace: 'agents',
-              metadata: { type: 'agent_data', swarmId: swarmId, sessionId: this.sessionId },
-            });
-          } else {
-            // Fallback to old format if no swarm ID
-            await this.memoryStore.store(`agent:${agentId}`, JSON.stringify(agentData), {
-              namespace: 'agents',
-              metadata: { type: 'agent_data', sessionId: this.sessionId },
-            });
-          }
-          console.error(
-            `[${new Date().toISOString()}] INFO [claude-flow-mcp] Agent persisted to memory: ${agentId}`,
-          );
-        } catch (error) {
-          console.error(
-            `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to persist agent:`,
-            error,
-          );
-        }
-
-        return {
-          success: true,
-          agentId: agentId,
+      case 'agent_spawn': {
+        const agent = await this.agentRegistry.register({
           type: args.type,
-          name: agentData.name,
-          status: 'active',
+          name: args.name,
           capabilities: args.capabilities || [],
-          persisted: !!this.databaseManager,
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'neural_train':
-        const epochs = args.epochs || 50;
-        const baseAccuracy = 0.65;
-        const maxAccuracy = 0.98;
-
-        // Realistic training progression: more epochs = better accuracy but with diminishing returns
-        const epochFactor = Math.min(epochs / 100, 10); // Normalize epochs
-        const accuracyGain = (maxAccuracy - baseAccuracy) * (1 - Math.exp(-epochFactor / 3));
-        const finalAccuracy = baseAccuracy + accuracyGain + (Math.random() * 0.05 - 0.025); // Add some noise
-
-        // Training time increases with epochs but not linearly (parallel processing)
-        const baseTime = 2;
-        const timePerEpoch = 0.08;
-        const trainingTime = baseTime + epochs * timePerEpoch + (Math.random() * 2 - 1);
+          swarmId: args.swarmId || (await this.getActiveSwarmId()),
+          parentId: args.parentId,
+          metadata: { sessionId: this.sessionId, createdBy: 'mcp-server' },
+        });
+        console.error(
+          `[${new Date().toISOString()}] INFO [claude-flow-mcp] Agent registered: ${agent.id}`,
+        );
 
         return {
           success: true,
-          modelId: `model_${args.pattern_type || 'general'}_${Date.now()}`,
-          pattern_type: args.pattern_type || 'coordination',
-          epochs: epochs,
-          accuracy: Math.min(finalAccuracy, maxAccuracy),
-          training_time: Math.max(trainingTime, 1),
-          status: 'completed',
-          improvement_rate: epochFactor > 1 ? 'converged' : 'improving',
-          data_source: args.training_data || 'recent',
+          agentId: agent.id,
+          type: agent.type,
+          name: agent.name,
+          status: agent.status,
+          capabilities: agent.capabilities,
+          swarmId: agent.swarmId,
+          parentId: agent.parentId,
+          persisted: true,
           timestamp: new Date().toISOString(),
         };
+      }
 
       case 'memory_usage':
         return await this.handleMemoryUsage(args);
 
-      case 'performance_report':
-        return {
-          success: true,
-          timeframe: args.timeframe || '24h',
-          format: args.format || 'summary',
-          metrics: {
-            tasks_executed: Math.floor(Math.random() * 200) + 50,
-            success_rate: Math.random() * 0.2 + 0.8,
-            avg_execution_time: Math.random() * 10 + 5,
-            agents_spawned: Math.floor(Math.random() * 50) + 10,
-            memory_efficiency: Math.random() * 0.3 + 0.7,
-            neural_events: Math.floor(Math.random() * 100) + 20,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
-      // Enhanced Neural Tools with Real Metrics
-      case 'model_save':
-        return {
-          success: true,
-          modelId: args.modelId,
-          savePath: args.path,
-          modelSize: `${Math.floor(Math.random() * 50 + 10)}MB`,
-          version: `v${Math.floor(Math.random() * 10 + 1)}.${Math.floor(Math.random() * 20)}`,
-          saved: true,
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'model_load':
-        return {
-          success: true,
-          modelPath: args.modelPath,
-          modelId: `loaded_${Date.now()}`,
-          modelType: 'coordination_neural_network',
-          version: `v${Math.floor(Math.random() * 10 + 1)}.${Math.floor(Math.random() * 20)}`,
-          parameters: Math.floor(Math.random() * 1000000 + 500000),
-          accuracy: Math.random() * 0.15 + 0.85,
-          loaded: true,
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'neural_predict':
-        return {
-          success: true,
-          modelId: args.modelId,
-          input: args.input,
-          prediction: {
-            outcome: Math.random() > 0.5 ? 'success' : 'optimization_needed',
-            confidence: Math.random() * 0.3 + 0.7,
-            alternatives: ['parallel_strategy', 'sequential_strategy', 'hybrid_strategy'],
-            recommended_action: 'proceed_with_coordination',
-          },
-          inference_time_ms: Math.floor(Math.random() * 200 + 50),
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'pattern_recognize':
-        return {
-          success: true,
-          data: args.data,
-          patterns_detected: {
-            coordination_patterns: Math.floor(Math.random() * 5 + 3),
-            efficiency_patterns: Math.floor(Math.random() * 4 + 2),
-            success_indicators: Math.floor(Math.random() * 6 + 4),
-          },
-          pattern_confidence: Math.random() * 0.2 + 0.8,
-          recommendations: [
-            'optimize_agent_distribution',
-            'enhance_communication_channels',
-            'implement_predictive_scaling',
-          ],
-          processing_time_ms: Math.floor(Math.random() * 100 + 25),
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'cognitive_analyze':
-        return {
-          success: true,
-          behavior: args.behavior,
-          analysis: {
-            behavior_type: 'coordination_optimization',
-            complexity_score: Math.random() * 10 + 1,
-            efficiency_rating: Math.random() * 5 + 3,
-            improvement_potential: Math.random() * 100 + 20,
-          },
-          insights: [
-            'Agent coordination shows high efficiency patterns',
-            'Task distribution demonstrates optimal load balancing',
-            'Communication overhead is within acceptable parameters',
-          ],
-          neural_feedback: {
-            pattern_strength: Math.random() * 0.4 + 0.6,
-            learning_rate: Math.random() * 0.1 + 0.05,
-            adaptation_score: Math.random() * 100 + 70,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'learning_adapt':
-        return {
-          success: true,
-          experience: args.experience,
-          adaptation_results: {
-            model_version: `v${Math.floor(Math.random() * 10 + 1)}.${Math.floor(Math.random() * 50)}`,
-            performance_delta: `+${Math.floor(Math.random() * 25 + 5)}%`,
-            training_samples: Math.floor(Math.random() * 500 + 100),
-            accuracy_improvement: `+${Math.floor(Math.random() * 10 + 2)}%`,
-            confidence_increase: `+${Math.floor(Math.random() * 15 + 5)}%`,
-          },
-          learned_patterns: [
-            'coordination_efficiency_boost',
-            'agent_selection_optimization',
-            'task_distribution_enhancement',
-          ],
-          next_learning_targets: [
-            'memory_usage_optimization',
-            'communication_latency_reduction',
-            'predictive_error_prevention',
-          ],
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'neural_compress':
-        return {
-          success: true,
-          modelId: args.modelId,
-          compression_ratio: args.ratio || 0.7,
-          compressed_model: {
-            original_size: `${Math.floor(Math.random() * 100 + 50)}MB`,
-            compressed_size: `${Math.floor(Math.random() * 35 + 15)}MB`,
-            size_reduction: `${Math.floor((1 - (args.ratio || 0.7)) * 100)}%`,
-            accuracy_retention: `${Math.floor(Math.random() * 5 + 95)}%`,
-            inference_speedup: `${Math.floor(Math.random() * 3 + 2)}x`,
-          },
-          optimization_details: {
-            pruned_connections: Math.floor(Math.random() * 10000 + 5000),
-            quantization_applied: true,
-            wasm_optimized: true,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'ensemble_create':
-        return {
-          success: true,
-          models: args.models,
-          ensemble_id: `ensemble_${Date.now()}`,
-          strategy: args.strategy || 'weighted_voting',
-          ensemble_metrics: {
-            total_models: args.models.length,
-            combined_accuracy: Math.random() * 0.1 + 0.9,
-            inference_time: `${Math.floor(Math.random() * 300 + 100)}ms`,
-            memory_usage: `${Math.floor(Math.random() * 200 + 100)}MB`,
-            consensus_threshold: 0.75,
-          },
-          model_weights: args.models.map(() => Math.random()),
-          performance_gain: `+${Math.floor(Math.random() * 15 + 10)}%`,
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'transfer_learn':
-        return {
-          success: true,
-          sourceModel: args.sourceModel,
-          targetDomain: args.targetDomain,
-          transfer_results: {
-            adaptation_rate: Math.random() * 0.3 + 0.7,
-            knowledge_retention: Math.random() * 0.2 + 0.8,
-            domain_fit_score: Math.random() * 0.25 + 0.75,
-            training_reduction: `${Math.floor(Math.random() * 60 + 40)}%`,
-          },
-          transferred_features: [
-            'coordination_patterns',
-            'efficiency_heuristics',
-            'optimization_strategies',
-          ],
-          new_model_id: `transferred_${Date.now()}`,
-          performance_metrics: {
-            accuracy: Math.random() * 0.15 + 0.85,
-            inference_speed: `${Math.floor(Math.random() * 150 + 50)}ms`,
-            memory_efficiency: `+${Math.floor(Math.random() * 20 + 10)}%`,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
-      case 'neural_explain':
-        return {
-          success: true,
-          modelId: args.modelId,
-          prediction: args.prediction,
-          explanation: {
-            decision_factors: [
-              { factor: 'agent_availability', importance: Math.random() * 0.3 + 0.4 },
-              { factor: 'task_complexity', importance: Math.random() * 0.25 + 0.3 },
-              { factor: 'coordination_history', importance: Math.random() * 0.2 + 0.25 },
-            ],
-            feature_importance: {
-              topology_type: Math.random() * 0.3 + 0.5,
-              agent_capabilities: Math.random() * 0.25 + 0.4,
-              resource_availability: Math.random() * 0.2 + 0.3,
-            },
-            reasoning_path: [
-              'Analyzed current swarm topology',
-              'Evaluated agent performance history',
-              'Calculated optimal task distribution',
-              'Applied coordination efficiency patterns',
-            ],
-          },
-          confidence_breakdown: {
-            model_certainty: Math.random() * 0.2 + 0.8,
-            data_quality: Math.random() * 0.15 + 0.85,
-            pattern_match: Math.random() * 0.25 + 0.75,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
       case 'agent_list':
-        if (this.databaseManager) {
-          try {
-            const swarmId = args.swarmId || (await this.getActiveSwarmId());
-            if (!swarmId) {
-              return {
-                success: false,
-                error: 'No active swarm found',
-                agents: [],
-                timestamp: new Date().toISOString(),
-              };
-            }
-
-            const agents = await this.databaseManager.getAgents(swarmId);
-            return {
-              success: true,
-              swarmId: swarmId,
-              agents: agents.map((agent) => ({
-                id: agent.id,
-                name: agent.name,
-                type: agent.type,
-                status: agent.status,
-                capabilities: JSON.parse(agent.capabilities || '[]'),
-                created: agent.created_at,
-                lastActive: agent.last_active_at,
-              })),
-              count: agents.length,
-              timestamp: new Date().toISOString(),
-            };
-          } catch (error) {
-            console.error(
-              `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to list agents:`,
-              error,
-            );
-            return {
-              success: false,
-              error: error.message,
-              agents: [],
-              timestamp: new Date().toISOString(),
-            };
-          }
-        }
-
-        // Fallback mock response
-        return {
-          success: true,
-          swarmId: args.swarmId || 'mock-swarm',
-          agents: [
-            {
-              id: 'agent-1',
-              name: 'coordinator-1',
-              type: 'coordinator',
-              status: 'active',
-              capabilities: [],
-            },
-            {
-              id: 'agent-2',
-              name: 'researcher-1',
-              type: 'researcher',
-              status: 'active',
-              capabilities: [],
-            },
-            { id: 'agent-3', name: 'coder-1', type: 'coder', status: 'busy', capabilities: [] },
-          ],
-          count: 3,
-          timestamp: new Date().toISOString(),
-        };
+        return await this.handleAgentList(args);
 
       case 'swarm_status':
         try {
@@ -1472,47 +609,17 @@ class ClaudeFlowMCPServer {
 
           const swarm = typeof swarmDataRaw === 'string' ? JSON.parse(swarmDataRaw) : swarmDataRaw;
 
-          // Retrieve agents from memory
-          const agentsData = await this.memoryStore.list({
-            namespace: 'agents',
-            limit: 100,
-          });
-
-          // Filter agents for this swarm
-          const swarmAgents = agentsData
-            .filter((entry) => entry.key.startsWith(`agent:${swarmId}:`))
-            .map((entry) => {
-              try {
-                return JSON.parse(entry.value);
-              } catch (e) {
-                return null;
-              }
-            })
-            .filter((agent) => agent !== null);
-
-          // Retrieve tasks from memory
-          const tasksData = await this.memoryStore.list({
-            namespace: 'tasks',
-            limit: 100,
-          });
+          // Retrieve this swarm's agents from the agent registry
+          const swarmAgents = await this.agentRegistry.list({ swarmId, includeTerminated: false });
 
-          // Filter tasks for this swarm
-          const swarmTasks = tasksData
-            .filter((entry) => entry.key.startsWith(`task:${swarmId}:`))
-            .map((entry) => {
-              try {
-                return JSON.parse(entry.value);
-              } catch (e) {
-                return null;
-              }
-            })
-            .filter((task) => task !== null);
+          // Retrieve this swarm's tasks from the task queue
+          const swarmTasks = await (await this.getTaskQueue()).list({ swarmId });
 
           // Calculate stats
           const activeAgents = swarmAgents.filter(
             (a) => a.status === 'active' || a.status === 'busy',
           ).length;
-          const pendingTasks = swarmTasks.filter((t) => t.status === 'pending').length;
+          const pendingTasks = swarmTasks.filter((t) => t.status === 'queued').length;
           const completedTasks = swarmTasks.filter((t) => t.status === 'completed').length;
 
           const response = {
@@ -1556,141 +663,383 @@ class ClaudeFlowMCPServer {
           };
         }
 
-      case 'task_orchestrate':
-        const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      case 'task_orchestrate': {
         const swarmIdForTask = args.swarmId || (await this.getActiveSwarmId());
-        const taskData = {
-          id: taskId,
-          swarmId: swarmIdForTask,
-          description: args.task,
+        const task = await (
+          await this.getTaskQueue()
+        ).enqueue(args.task, {
+          type: 'orchestrated',
           priority: args.priority || 'medium',
-          strategy: args.strategy || 'auto',
-          status: 'pending',
-          dependencies: JSON.stringify(args.dependencies || []),
-          assignedAgents: JSON.stringify([]),
-          requireConsensus: false,
-          maxAgents: 5,
-          requiredCapabilities: JSON.stringify([]),
-          metadata: JSON.stringify({
+          dependsOn: args.dependencies || [],
+          swarmId: swarmIdForTask,
+          metadata: {
+            strategy: args.strategy || 'auto',
             sessionId: this.sessionId,
             createdBy: 'mcp-server',
-            orchestratedAt: new Date().toISOString(),
-          }),
-        };
-
-        // Store task data in memory store
-        try {
-          if (swarmIdForTask) {
-            await this.memoryStore.store(
-              `task:${swarmIdForTask}:${taskId}`,
-              JSON.stringify(taskData),
-              {
-                namespace: 'tasks',
-                metadata: { type: 'task_data', swarmId: swarmIdForTask, sessionId: this.sessionId },
-              },
-            );
-            console.error(
-              `[${new Date().toISOString()}] INFO [claude-flow-mcp] Task persisted to memory: ${taskId}`,
-            );
-          }
-        } catch (error) {
-          console.error(
-            `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to persist task:`,
-            error,
-          );
-        }
+          },
+        });
+        this.markTaskChanged(task);
+        console.error(
+          `[${new Date().toISOString()}] INFO [claude-flow-mcp] Task queued: ${task.id}`,
+        );
 
         return {
           success: true,
-          taskId: taskId,
+          taskId: task.id,
           task: args.task,
-          strategy: taskData.strategy,
-          priority: taskData.priority,
-          status: 'pending',
+          strategy: task.metadata.strategy,
+          priority: args.priority || 'medium',
+          status: task.status,
+          dependencies: task.dependencies,
           persisted: true,
           timestamp: new Date().toISOString(),
         };
+      }
+
+      case 'memory_search':
+        return await this.handleMemorySearch(args);
+
+      case 'memory_persist':
+        return await this.handleMemoryPersist(args);
+
+      case 'memory_namespace':
+        return await this.handleMemoryNamespace(args);
+
+      case 'memory_backup':
+        return await this.handleMemoryBackup(args, signal);
+
+      case 'memory_restore':
+        return await this.handleMemoryRestore(args, signal);
+
+      case 'memory_compress':
+        return await this.handleMemoryCompress(args);
+
+      case 'memory_analytics':
+        return await this.handleMemoryAnalytics(args);
+
+      case 'cache_manage':
+        return await this.handleCacheManage(args);
+
+      case 'state_snapshot':
+        return await this.handleStateSnapshot(args);
+
+      case 'context_restore':
+        return await this.handleContextRestore(args);
+
+      case 'task_status':
+        return await this.handleTaskStatus(args);
+
+      case 'task_results':
+        return await this.handleTaskResults(args);
+
+      case 'agent_metrics':
+        return await this.handleAgentMetrics(args);
+
+      case 'swarm_monitor':
+        return await this.handleSwarmMonitor(args);
+
+      case 'swarm_destroy':
+        return await this.handleSwarmDestroy(args);
+
+      case 'coordination_sync':
+        return await this.handleCoordinationSync(args);
+
+      case 'health_check':
+        return await this.handleHealthCheck(args);
+
+      case 'diagnostic_run':
+        return await this.handleDiagnosticRun(args);
+
+      case 'metrics_collect':
+        return await this.handleMetricsCollect(args);
+
+      case 'usage_stats':
+        return this.handleUsageStats(args);
+
+      case 'features_detect':
+        return this.handleFeaturesDetect(args);
+
+      case 'workflow_create':
+        return await this.handleWorkflowCreate(args);
+
+      case 'workflow_execute':
+        return await this.handleWorkflowExecute(args, signal);
+
+      case 'workflow_export':
+        return await this.handleWorkflowExport(args);
+
+      case 'daa_agent_create':
+        return await this.handleDaaAgentCreate(args);
+
+      case 'daa_lifecycle_manage':
+        return await this.handleDaaLifecycleManage(args);
+
+      case 'daa_communication':
+        return await this.handleDaaCommunication(args);
+
+      case 'config_manage':
+        return await this.handleConfigManage(args);
+
+      case 'backup_create':
+        return await this.handleMemoryBackup(
+          { path: args.destination, namespaces: args.components },
+          signal,
+        );
+
+      case 'restore_system':
+        return await this.handleMemoryRestore({ backupPath: args.backupId }, signal);
+
+      case 'log_analysis':
+        return await this.handleLogAnalysis(args);
 
       default:
-        return {
-          success: true,
-          tool: name,
-          message: `Tool ${name} executed successfully`,
-          args: args,
-          timestamp: new Date().toISOString(),
-        };
+        // Advertised tools without a real backend fail loudly instead of faking success
+        throw new ToolNotImplementedError(name);
     }
   }
 
   async readResource(uri) {
     switch (uri) {
       case 'claude-flow://swarms':
-        return {
-          active_swarms: 3,
-          total_agents: 15,
-          topologies: ['hierarchical', 'mesh', 'ring', 'star'],
-          performance: '2.8-4.4x speedup',
-        };
+        return this.readSwarmsResource();
 
       case 'claude-flow://agents':
-        return {
-          total_agents: 8,
-          types: [
-            'researcher',
-            'coder',
-            'analyst',
-            'architect',
-            'tester',
-            'coordinator',
-            'reviewer',
-            'optimizer',
-          ],
-          active: 15,
-          capabilities: 127,
-        };
+        return this.readAgentsResource();
 
       case 'claude-flow://models':
-        return {
-          total_models: 27,
-          wasm_enabled: true,
-          simd_support: true,
-          training_active: true,
-          accuracy_avg: 0.89,
-        };
+        return this.readModelsResource();
 
       case 'claude-flow://performance':
+        return this.readPerformanceResource();
+    }
+
+    const match = this.matchResourceTemplate(uri);
+    if (!match) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    switch (match.template) {
+      case 'swarm':
+        return this.readSwarmResource(match.params.id);
+
+      case 'agent': {
+        const agent = await this.agentRegistry.get(match.params.id);
+        if (!agent) throw new Error(`Agent ${match.params.id} not found`);
+        return agent;
+      }
+
+      case 'task': {
+        const task = await this.findTask(match.params.id);
+        if (!task) throw new Error(`Task ${match.params.id} not found`);
+        return task;
+      }
+
+      case 'memoryNamespace': {
+        const entries = await this.listNamespace(match.params.namespace);
         return {
-          uptime: '99.9%',
-          token_reduction: '32.3%',
-          swe_bench_rate: '84.8%',
-          speed_improvement: '2.8-4.4x',
-          memory_efficiency: '78%',
+          namespace: match.params.namespace,
+          count: entries.length,
+          entries: entries.map((entry) => ({
+            key: entry.key,
+            updatedAt: entry.updatedAt,
+            accessCount: entry.accessCount,
+          })),
         };
+      }
 
-      default:
-        throw new Error(`Unknown resource: ${uri}`);
+      case 'memoryEntry': {
+        const value = await this.memoryStore.retrieve(match.params.key, {
+          namespace: match.params.namespace,
+        });
+        if (value === null) {
+          throw new Error(`No memory entry ${match.params.key} in ${match.params.namespace}`);
+        }
+        return { namespace: match.params.namespace, key: match.params.key, value };
+      }
     }
   }
 
-  async handleMemoryUsage(args) {
-    if (!this.memoryStore) {
-      return {
-        success: false,
-        error: 'Shared memory system not initialized',
-        timestamp: new Date().toISOString(),
-      };
+  /**
+   * Match a URI against the parameterised resource templates. Path segments
+   * are URI-decoded; memory keys may themselves contain slashes.
+   */
+  matchResourceTemplate(uri) {
+    const prefix = 'claude-flow://';
+    if (!uri.startsWith(prefix)) return null;
+
+    const [kind, ...rest] = uri.slice(prefix.length).split('/');
+    const segments = rest.map((segment) => decodeURIComponent(segment));
+    if (segments.length === 0 || segments.some((segment) => !segment)) return null;
+
+    switch (kind) {
+      case 'swarms':
+        return segments.length === 1 ? { template: 'swarm', params: { id: segments[0] } } : null;
+      case 'agents':
+        return segments.length === 1 ? { template: 'agent', params: { id: segments[0] } } : null;
+      case 'tasks':
+        return segments.length === 1 ? { template: 'task', params: { id: segments[0] } } : null;
+      case 'memory':
+        return segments.length === 1
+          ? { template: 'memoryNamespace', params: { namespace: segments[0] } }
+          : {
+              template: 'memoryEntry',
+              params: { namespace: segments[0], key: segments.slice(1).join('/') },
+            };
+      default:
+        return null;
     }
+  }
 
-    try {
-      switch (args.action) {
-        case 'store':
-          const storeResult = await this.memoryStore.store(args.key, args.value, {
-            namespace: args.namespace || 'default',
-            ttl: args.ttl,
-            metadata: {
-              sessionId: this.sessionId,
-              storedBy: 'mcp-server',
-              type: 'knowledge',
+  async loadSwarmState() {
+    const swarms = (await this.listNamespace('swarms'))
+      .filter((entry) => entry.key.startsWith('swarm:'))
+      .map((entry) => this.parseStoredValue(entry.value))
+      .filter((swarm) => swarm !== null);
+    const agents = await this.agentRegistry.list({ includeTerminated: false });
+    const tasks = await (await this.getTaskQueue()).list();
+    return { swarms, agents, tasks, activeSwarmId: await this.getActiveSwarmId() };
+  }
+
+  summarizeSwarm(swarm, agents, tasks, activeSwarmId) {
+    const swarmAgents = agents.filter((agent) => agent.swarmId === swarm.id);
+    const swarmTasks = tasks.filter((task) => task.swarmId === swarm.id);
+    return {
+      id: swarm.id,
+      name: swarm.name,
+      topology: swarm.topology,
+      maxAgents: swarm.maxAgents,
+      active: swarm.id === activeSwarmId,
+      agents: swarmAgents.length,
+      agentsByStatus: this.countBy(swarmAgents, 'status'),
+      tasks: swarmTasks.length,
+      tasksByStatus: this.countBy(swarmTasks, 'status'),
+    };
+  }
+
+  async readSwarmsResource() {
+    const { swarms, agents, tasks, activeSwarmId } = await this.loadSwarmState();
+    return {
+      total_swarms: swarms.length,
+      active_swarm: activeSwarmId,
+      total_agents: agents.length,
+      total_tasks: tasks.length,
+      topologies: this.countBy(swarms, 'topology'),
+      swarms: swarms.map((swarm) => this.summarizeSwarm(swarm, agents, tasks, activeSwarmId)),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async readSwarmResource(swarmId) {
+    const { swarms, agents, tasks, activeSwarmId } = await this.loadSwarmState();
+    const swarm = swarms.find((s) => s.id === swarmId);
+    if (!swarm) {
+      throw new Error(`Swarm ${swarmId} not found`);
+    }
+    return {
+      ...this.summarizeSwarm(swarm, agents, tasks, activeSwarmId),
+      config: this.parseStoredValue(swarm.config),
+      agentList: agents.filter((agent) => agent.swarmId === swarmId),
+      taskList: tasks.filter((task) => task.swarmId === swarmId),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async readAgentsResource() {
+    const agents = await this.agentRegistry.list({ includeTerminated: false });
+    const capabilities = new Set(agents.flatMap((agent) => agent.capabilities));
+
+    return {
+      total_agents: agents.length,
+      active: agents.filter((a) => a.status === 'active' || a.status === 'busy').length,
+      by_type: this.countBy(agents, 'type'),
+      by_status: this.countBy(agents, 'status'),
+      capabilities: Array.from(capabilities).sort(),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async readModelsResource() {
+    const models = (await this.listNamespace('models'))
+      .map((entry) => this.parseStoredValue(entry.value))
+      .filter((model) => model !== null);
+    const accuracies = models.map((m) => m.accuracy).filter((a) => typeof a === 'number');
+
+    return {
+      total_models: models.length,
+      by_pattern_type: this.countBy(models, 'pattern_type'),
+      accuracy_avg: accuracies.length
+        ? accuracies.reduce((sum, a) => sum + a, 0) / accuracies.length
+        : null,
+      models: models.map((m) => ({
+        modelId: m.modelId,
+        pattern_type: m.pattern_type,
+        accuracy: m.accuracy,
+        status: m.status,
+        trainedAt: m.timestamp,
+      })),
+      wasm_enabled: typeof WebAssembly !== 'undefined',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async readPerformanceResource() {
+    const { tasks } = await this.loadSwarmState();
+    const taskMetrics = (await this.listNamespace('performance'))
+      .filter(
+        (entry) => entry.key.startsWith('metrics:') && !entry.key.startsWith('metrics:system:'),
+      )
+      .map((entry) => this.parseStoredValue(entry.value))
+      .filter((metric) => metric && typeof metric.duration === 'number');
+    const hookCompleted = (await this.listNamespace('hooks:post-task')).length;
+    const toolCalls = Array.from(this.toolUsage.values());
+    const totalCalls = toolCalls.reduce((sum, usage) => sum + usage.calls, 0);
+    const totalErrors = toolCalls.reduce((sum, usage) => sum + usage.errors, 0);
+    const mem = process.memoryUsage();
+
+    return {
+      server: {
+        uptime_seconds: Math.round((Date.now() - this.startedAt) / 1000),
+        heap_used_mb: Math.round(mem.heapUsed / 1024 / 1024),
+        rss_mb: Math.round(mem.rss / 1024 / 1024),
+        load_average: os.loadavg(),
+      },
+      tools: {
+        calls: totalCalls,
+        errors: totalErrors,
+        success_rate: totalCalls ? (totalCalls - totalErrors) / totalCalls : null,
+      },
+      tasks: {
+        orchestrated: tasks.length,
+        by_status: this.countBy(tasks, 'status'),
+        completed_via_hooks: hookCompleted,
+        avg_duration_ms: taskMetrics.length
+          ? Math.round(taskMetrics.reduce((sum, m) => sum + m.duration, 0) / taskMetrics.length)
+          : null,
+      },
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleMemoryUsage(args) {
+    if (!this.memoryStore) {
+      return {
+        success: false,
+        error: 'Shared memory system not initialized',
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    try {
+      switch (args.action) {
+        case 'store':
+          const storeResult = await this.memoryStore.store(args.key, args.value, {
+            namespace: args.namespace || 'default',
+            ttl: args.ttl,
+            tags: args.tags,
+            metadata: {
+              sessionId: this.sessionId,
+              storedBy: 'mcp-server',
+              type: 'knowledge',
             },
           });
 
@@ -1773,6 +1122,7 @@ class ClaudeFlowMCPServer {
           const results = await this.memoryStore.search(args.value || '', {
             namespace: args.namespace || 'default',
             limit: 50,
+            tags: args.tags,
           });
 
           console.error(
@@ -1822,15 +1172,35 @@ class ClaudeFlowMCPServer {
     }
 
     try {
-      const results = await this.sharedMemory.search(args.pattern, {
+      const mode = args.mode || (args.semantic ? 'semantic' : 'pattern');
+      const options = {
         namespace: args.namespace || 'default',
         limit: args.limit || 10,
-      });
+        tags: args.tags,
+        anyTags: args.anyTags,
+        excludeTags: args.excludeTags,
+      };
+
+      let results;
+      if (mode === 'semantic') {
+        results = await this.memoryStore.semanticSearch(args.pattern, {
+          ...options,
+          minScore: args.minScore,
+        });
+      } else if (mode === 'fulltext') {
+        results = await this.memoryStore.fullTextSearch(args.pattern, {
+          ...options,
+          offset: args.offset,
+        });
+      } else {
+        results = await this.memoryStore.search(args.pattern, options);
+      }
 
       return {
         success: true,
         pattern: args.pattern,
         namespace: args.namespace || 'default',
+        mode,
         results: results,
         count: results.length,
         timestamp: new Date().toISOString(),
@@ -1848,118 +1218,1497 @@ class ClaudeFlowMCPServer {
     }
   }
 
-  async getActiveSwarmId() {
+  async handleAgentList(args) {
     try {
-      const activeSwarmId = await this.memoryStore.retrieve('active_swarm', {
-        namespace: 'system',
-      });
-      return activeSwarmId || null;
+      const swarmId = args.swarmId || (await this.getActiveSwarmId());
+      const agents = (
+        await this.agentRegistry.list({ swarmId: swarmId || undefined, includeTerminated: false })
+      ).map((agent) => ({
+        id: agent.id,
+        name: agent.name,
+        type: agent.type,
+        status: agent.status,
+        capabilities: agent.capabilities,
+        swarmId: agent.swarmId,
+        parentId: agent.parentId,
+        lastHeartbeat: agent.lastHeartbeat,
+        stale: agent.stale,
+      }));
+
+      return {
+        success: true,
+        swarmId: swarmId || null,
+        agents,
+        count: agents.length,
+        timestamp: new Date().toISOString(),
+      };
     } catch (error) {
       console.error(
-        `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to get active swarm:`,
+        `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to list agents:`,
         error,
       );
-      return null;
+      return {
+        success: false,
+        error: error.message,
+        agents: [],
+        timestamp: new Date().toISOString(),
+      };
     }
   }
 
-  createErrorResponse(id, code, message, data = null) {
-    const response = {
-      jsonrpc: '2.0',
-      id,
-      error: { code, message },
+  async handleAgentMetrics(args) {
+    const agents = args.agentId
+      ? [await this.agentRegistry.get(args.agentId)].filter(Boolean)
+      : await this.agentRegistry.list();
+    if (args.agentId && agents.length === 0) {
+      return {
+        success: false,
+        error: `Agent ${args.agentId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    const started = await this.listNamespace('hooks:pre-task');
+    const completed = await this.listNamespace('hooks:post-task');
+    const messages = await this.listNamespace('messages');
+
+    const metrics = agents.map((agent) => {
+      const ownsTask = (task) => task && task.agentId === agent.id;
+      const spawnedAt = agent.createdAt ? new Date(agent.createdAt).getTime() : null;
+
+      return {
+        agentId: agent.id,
+        name: agent.name,
+        type: agent.type,
+        status: agent.status,
+        tasksStarted: started.filter((e) => ownsTask(this.parseStoredValue(e.value))).length,
+        tasksCompleted: completed.filter((e) => ownsTask(this.parseStoredValue(e.value))).length,
+        messagesReceived: messages.filter((e) => e.key.startsWith(`message:${agent.id}:`)).length,
+        uptimeMs: spawnedAt ? Date.now() - spawnedAt : null,
+      };
+    });
+
+    return {
+      success: true,
+      agentId: args.agentId || null,
+      metrics,
+      count: metrics.length,
+      timestamp: new Date().toISOString(),
     };
-    if (data) response.error.data = data;
-    return response;
   }
-}
 
-// Main server execution
-async function startMCPServer() {
-  const server = new ClaudeFlowMCPServer();
+  async handleSwarmMonitor(args) {
+    const swarmId = args.swarmId || (await this.getActiveSwarmId());
+    if (!swarmId) {
+      return {
+        success: false,
+        error: 'No active swarm found',
+        timestamp: new Date().toISOString(),
+      };
+    }
 
-  console.error(
-    `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) Claude-Flow MCP server starting in stdio mode`,
-  );
-  console.error({
-    arch: process.arch,
-    mode: 'mcp-stdio',
-    nodeVersion: process.version,
-    pid: process.pid,
-    platform: process.platform,
-    protocol: 'stdio',
-    sessionId: server.sessionId,
-    version: server.version,
-  });
+    const swarm = this.parseStoredValue(
+      await this.memoryStore.retrieve(`swarm:${swarmId}`, { namespace: 'swarms' }),
+    );
+    if (!swarm) {
+      return {
+        success: false,
+        error: `Swarm ${swarmId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
 
-  // Send server capabilities
-  console.log(
-    JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'server.initialized',
-      params: {
-        serverInfo: {
-          name: 'claude-flow',
-          version: server.version,
-          capabilities: server.capabilities,
-        },
-      },
-    }),
-  );
+    const agents = await this.agentRegistry.list({ swarmId, includeTerminated: false });
+    const tasks = await (await this.getTaskQueue()).list({ swarmId });
 
-  // Handle stdin messages
-  let buffer = '';
+    return {
+      success: true,
+      swarmId,
+      topology: swarm.topology,
+      maxAgents: swarm.maxAgents,
+      agents: {
+        total: agents.length,
+        byStatus: this.countBy(agents, 'status'),
+        byType: this.countBy(agents, 'type'),
+      },
+      tasks: {
+        total: tasks.length,
+        byStatus: this.countBy(tasks, 'status'),
+        byPriority: this.countBy(tasks, 'priority'),
+      },
+      timestamp: new Date().toISOString(),
+    };
+  }
 
-  process.stdin.on('data', async (chunk) => {
-    buffer += chunk.toString();
+  async handleSwarmDestroy(args) {
+    const swarmEntry = await this.memoryStore.retrieve(`swarm:${args.swarmId}`, {
+      namespace: 'swarms',
+    });
+    if (!swarmEntry) {
+      return {
+        success: false,
+        error: `Swarm ${args.swarmId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
 
-    // Process complete JSON messages
-    let lines = buffer.split('\n');
-    buffer = lines.pop() || ''; // Keep incomplete line in buffer
+    const agentsRemoved = await this.agentRegistry.removeSwarm(args.swarmId);
+    const tasksRemoved = await (await this.getTaskQueue()).removeSwarm(args.swarmId);
+    this.markResourceChanged('tasks', `task:${args.swarmId}:`);
+    await this.memoryStore.delete(`swarm:${args.swarmId}`, { namespace: 'swarms' });
 
-    for (const line of lines) {
-      if (line.trim()) {
-        try {
-          const message = JSON.parse(line);
-          const response = await server.handleMessage(message);
-          if (response) {
-            console.log(JSON.stringify(response));
-          }
-        } catch (error) {
-          console.error(
-            `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to parse message:`,
-            error.message,
-          );
-        }
-      }
+    const activeSwarmId = await this.getActiveSwarmId();
+    if (activeSwarmId === args.swarmId) {
+      await this.memoryStore.delete('active_swarm', { namespace: 'system' });
     }
-  });
 
-  process.stdin.on('end', () => {
-    console.error(
-      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) 🔌 Connection closed: ${server.sessionId}`,
-    );
     console.error(
-      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) MCP: stdin closed, shutting down...`,
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] Swarm destroyed: ${args.swarmId}`,
     );
-    process.exit(0);
-  });
 
-  // Handle process termination
-  process.on('SIGINT', async () => {
-    console.error(
-      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) Received SIGINT, shutting down gracefully...`,
-    );
-    if (server.sharedMemory) {
-      await server.sharedMemory.close();
+    return {
+      success: true,
+      swarmId: args.swarmId,
+      agentsRemoved,
+      tasksRemoved,
+      wasActive: activeSwarmId === args.swarmId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleCoordinationSync(args) {
+    const swarmId = args.swarmId || (await this.getActiveSwarmId());
+    if (!swarmId) {
+      return {
+        success: false,
+        error: 'No active swarm found',
+        timestamp: new Date().toISOString(),
+      };
     }
-    process.exit(0);
-  });
 
-  process.on('SIGTERM', async () => {
-    console.error(
-      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) Received SIGTERM, shutting down gracefully...`,
+    const agents = await this.agentRegistry.list({ swarmId, includeTerminated: false });
+    const tasks = await (await this.getTaskQueue()).list({ swarmId });
+
+    const syncRecord = {
+      swarmId,
+      agentCount: agents.length,
+      taskCount: tasks.length,
+      syncedBy: this.sessionId,
+      syncedAt: new Date().toISOString(),
+    };
+    await this.memoryStore.store(`sync:${swarmId}`, syncRecord, {
+      namespace: 'coordination',
+      metadata: { type: 'coordination_sync', sessionId: this.sessionId },
+    });
+
+    return {
+      success: true,
+      ...syncRecord,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleTaskStatus(args) {
+    const task = await this.findTask(args.taskId);
+    if (!task) {
+      return {
+        success: false,
+        taskId: args.taskId,
+        error: `Task ${args.taskId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    return {
+      success: true,
+      taskId: args.taskId,
+      status: task.status,
+      source: task.source,
+      description: task.description || null,
+      swarmId: task.swarmId || null,
+      agentId: task.agentId || null,
+      startedAt: task.startedAt || null,
+      completedAt: task.completedAt || null,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleTaskResults(args) {
+    const task = await this.findTask(args.taskId);
+    if (!task) {
+      return {
+        success: false,
+        taskId: args.taskId,
+        error: `Task ${args.taskId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    if (task.status !== 'completed') {
+      return {
+        success: false,
+        taskId: args.taskId,
+        status: task.status,
+        error: `Task ${args.taskId} has not completed`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    const performance = await this.memoryStore.retrieve(`metrics:${args.taskId}`, {
+      namespace: 'performance',
+    });
+
+    return {
+      success: true,
+      taskId: args.taskId,
+      status: task.status,
+      completedAt: task.completedAt || null,
+      duration: task.duration ?? null,
+      results: task.results ?? task.result ?? null,
+      performance: performance || null,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleMemoryPersist(args) {
+    const sessionId = args.sessionId || this.sessionId;
+    const namespaces = await this.memoryStore.listNamespaces();
+    const sessionRecord = {
+      sessionId,
+      serverSessionId: this.sessionId,
+      namespaces,
+      persistedAt: new Date().toISOString(),
+    };
+
+    await this.memoryStore.store(`session:${sessionId}`, sessionRecord, {
+      namespace: 'sessions',
+      metadata: { type: 'session_state', sessionId: this.sessionId },
+    });
+
+    return {
+      success: true,
+      ...sessionRecord,
+      storage_type: this.memoryStore.isUsingFallback() ? 'in-memory' : 'sqlite',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleMemoryNamespace(args) {
+    const entries = await this.listNamespace(args.namespace);
+
+    switch (args.action) {
+      case 'list':
+        return {
+          success: true,
+          action: 'list',
+          namespace: args.namespace,
+          keys: entries.map((entry) => entry.key),
+          count: entries.length,
+          timestamp: new Date().toISOString(),
+        };
+
+      case 'stats':
+        return {
+          success: true,
+          action: 'stats',
+          namespace: args.namespace,
+          count: entries.length,
+          sizeBytes: entries.reduce((sum, entry) => sum + this.sizeOf(entry.value), 0),
+          timestamp: new Date().toISOString(),
+        };
+
+      case 'clear':
+      case 'delete':
+        for (const entry of entries) {
+          await this.memoryStore.delete(entry.key, { namespace: args.namespace });
+        }
+        return {
+          success: true,
+          action: args.action,
+          namespace: args.namespace,
+          deleted: entries.length,
+          timestamp: new Date().toISOString(),
+        };
+
+      default:
+        return {
+          success: false,
+          error: `Unknown namespace action: ${args.action}`,
+          timestamp: new Date().toISOString(),
+        };
+    }
+  }
+
+  async handleMemoryBackup(args, signal) {
+    const available = await this.memoryStore.listNamespaces();
+    const namespaces =
+      Array.isArray(args.namespaces) && args.namespaces.length > 0
+        ? available.filter((namespace) => args.namespaces.includes(namespace))
+        : available;
+
+    const backupId = `memory-backup-${Date.now()}`;
+    const backupPath = this.resolveSwarmPath(
+      args.path || path.join('.swarm', 'backups', `${backupId}.json`),
     );
+
+    const backup = {
+      id: backupId,
+      version: this.version,
+      createdAt: new Date().toISOString(),
+      namespaces: {},
+    };
+    let entryCount = 0;
+    for (const namespace of namespaces) {
+      signal?.throwIfAborted();
+      const entries = await this.listNamespace(namespace);
+      backup.namespaces[namespace] = entries.map((entry) => ({
+        key: entry.key,
+        value: entry.value,
+        metadata: entry.metadata,
+      }));
+      entryCount += entries.length;
+    }
+
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await fs.writeFile(backupPath, JSON.stringify(backup, null, 2), 'utf8');
+
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] Memory backed up to ${backupPath} (${entryCount} entries)`,
+    );
+
+    return {
+      success: true,
+      backupId,
+      path: backupPath,
+      namespaces,
+      entries: entryCount,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleMemoryRestore(args, signal) {
+    let backupPath = path.resolve(args.backupPath);
+    try {
+      await fs.access(backupPath);
+    } catch {
+      // Allow passing a backup id produced by memory_backup
+      backupPath = path.join('.swarm', 'backups', `${args.backupPath}.json`);
+    }
+    backupPath = this.resolveSwarmPath(backupPath);
+
+    let backup;
+    try {
+      backup = JSON.parse(await fs.readFile(backupPath, 'utf8'));
+    } catch (error) {
+      return {
+        success: false,
+        error: `Cannot read backup ${args.backupPath}: ${error.message}`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    if (!backup || typeof backup.namespaces !== 'object') {
+      return {
+        success: false,
+        error: `Invalid backup file: ${backupPath}`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    let restored = 0;
+    for (const [namespace, entries] of Object.entries(backup.namespaces)) {
+      for (const entry of entries) {
+        signal?.throwIfAborted();
+        await this.memoryStore.store(entry.key, entry.value, {
+          namespace,
+          metadata: entry.metadata || undefined,
+        });
+        restored++;
+      }
+    }
+
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] Memory restored from ${backupPath} (${restored} entries)`,
+    );
+
+    return {
+      success: true,
+      backupId: backup.id || null,
+      path: backupPath,
+      namespaces: Object.keys(backup.namespaces),
+      restored,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleMemoryCompress(args) {
+    const before = args.namespace ? (await this.listNamespace(args.namespace)).length : null;
+    const expiredRemoved = await this.memoryStore.cleanup();
+    const after = args.namespace ? (await this.listNamespace(args.namespace)).length : null;
+
+    return {
+      success: true,
+      namespace: args.namespace || null,
+      expiredRemoved,
+      entriesBefore: before,
+      entriesAfter: after,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleMemoryAnalytics(args) {
+    const namespaces = await this.memoryStore.listNamespaces();
+    const breakdown = {};
+    let totalEntries = 0;
+    let totalBytes = 0;
+
+    for (const namespace of namespaces) {
+      const entries = await this.listNamespace(namespace);
+      const sizeBytes = entries.reduce((sum, entry) => sum + this.sizeOf(entry.value), 0);
+      breakdown[namespace] = {
+        entries: entries.length,
+        sizeBytes,
+        accessCount: entries.reduce((sum, entry) => sum + (entry.accessCount || 0), 0),
+      };
+      totalEntries += entries.length;
+      totalBytes += sizeBytes;
+    }
+
+    return {
+      success: true,
+      timeframe: args.timeframe || 'all',
+      namespaces: breakdown,
+      totalNamespaces: namespaces.length,
+      totalEntries,
+      totalBytes,
+      storage_type: this.memoryStore.isUsingFallback() ? 'in-memory' : 'sqlite',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleCacheManage(args) {
+    const namespace = 'coordination_cache';
+
+    switch (args.action) {
+      case 'get': {
+        const value = await this.memoryStore.retrieve(args.key, { namespace });
+        return {
+          success: true,
+          action: 'get',
+          key: args.key,
+          value,
+          hit: value !== null,
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      case 'set':
+        await this.memoryStore.store(args.key, args.value ?? '', {
+          namespace,
+          ttl: args.ttl,
+          metadata: { type: 'cache_entry', sessionId: this.sessionId },
+        });
+        return {
+          success: true,
+          action: 'set',
+          key: args.key,
+          timestamp: new Date().toISOString(),
+        };
+
+      case 'delete':
+        return {
+          success: true,
+          action: 'delete',
+          key: args.key,
+          deleted: await this.memoryStore.delete(args.key, { namespace }),
+          timestamp: new Date().toISOString(),
+        };
+
+      case 'list': {
+        const entries = await this.listNamespace(namespace);
+        return {
+          success: true,
+          action: 'list',
+          keys: entries.map((entry) => entry.key),
+          count: entries.length,
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      case 'clear': {
+        const entries = await this.listNamespace(namespace);
+        for (const entry of entries) {
+          await this.memoryStore.delete(entry.key, { namespace });
+        }
+        return {
+          success: true,
+          action: 'clear',
+          cleared: entries.length,
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      default:
+        return {
+          success: false,
+          error: `Unknown cache action: ${args.action}`,
+          timestamp: new Date().toISOString(),
+        };
+    }
+  }
+
+  async handleStateSnapshot(args) {
+    const snapshotId = `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const snapshot = {
+      id: snapshotId,
+      name: args.name || snapshotId,
+      createdAt: new Date().toISOString(),
+      sessionId: this.sessionId,
+      namespaces: {},
+    };
+
+    let entryCount = 0;
+    for (const namespace of SNAPSHOT_NAMESPACES) {
+      const entries = await this.listNamespace(namespace);
+      snapshot.namespaces[namespace] = entries.map((entry) => ({
+        key: entry.key,
+        value: entry.value,
+        metadata: entry.metadata,
+      }));
+      entryCount += entries.length;
+    }
+
+    await this.memoryStore.store(`snapshot:${snapshotId}`, snapshot, {
+      namespace: 'snapshots',
+      metadata: { type: 'state_snapshot', name: snapshot.name, sessionId: this.sessionId },
+    });
+
+    return {
+      success: true,
+      snapshotId,
+      name: snapshot.name,
+      namespaces: SNAPSHOT_NAMESPACES,
+      entries: entryCount,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleContextRestore(args) {
+    const snapshot = this.parseStoredValue(
+      await this.memoryStore.retrieve(`snapshot:${args.snapshotId}`, { namespace: 'snapshots' }),
+    );
+    if (!snapshot || typeof snapshot.namespaces !== 'object') {
+      return {
+        success: false,
+        error: `Snapshot ${args.snapshotId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    let restored = 0;
+    for (const [namespace, entries] of Object.entries(snapshot.namespaces)) {
+      // Drop entries created after the snapshot so the namespace matches it exactly
+      for (const current of await this.listNamespace(namespace)) {
+        await this.memoryStore.delete(current.key, { namespace });
+      }
+      for (const entry of entries) {
+        await this.memoryStore.store(entry.key, entry.value, {
+          namespace,
+          metadata: entry.metadata || undefined,
+        });
+        restored++;
+      }
+    }
+
+    return {
+      success: true,
+      snapshotId: args.snapshotId,
+      name: snapshot.name,
+      namespaces: Object.keys(snapshot.namespaces),
+      restored,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleHealthCheck(args) {
+    const requested =
+      Array.isArray(args.components) && args.components.length > 0
+        ? args.components
+        : ['memory', 'process'];
+    const components = {};
+
+    for (const component of requested) {
+      switch (component) {
+        case 'memory': {
+          const probeKey = `health_probe:${this.sessionId}`;
+          const started = Date.now();
+          try {
+            await this.memoryStore.store(probeKey, started, { namespace: 'system', ttl: 60 });
+            const value = await this.memoryStore.retrieve(probeKey, { namespace: 'system' });
+            await this.memoryStore.delete(probeKey, { namespace: 'system' });
+            components.memory = {
+              status: Number(value) === started ? 'healthy' : 'degraded',
+              storage_type: this.memoryStore.isUsingFallback() ? 'in-memory' : 'sqlite',
+              latencyMs: Date.now() - started,
+            };
+          } catch (error) {
+            components.memory = { status: 'unhealthy', error: error.message };
+          }
+          break;
+        }
+
+        case 'process': {
+          const mem = process.memoryUsage();
+          components.process = {
+            status: 'healthy',
+            pid: process.pid,
+            uptimeSeconds: Math.round(process.uptime()),
+            heapUsedMB: Math.round(mem.heapUsed / 1024 / 1024),
+            rssMB: Math.round(mem.rss / 1024 / 1024),
+          };
+          break;
+        }
+
+        default:
+          components[component] = { status: 'unknown', error: `Unknown component: ${component}` };
+      }
+    }
+
+    const statuses = Object.values(components).map((c) => c.status);
+    const overall = statuses.includes('unhealthy')
+      ? 'unhealthy'
+      : statuses.every((status) => status === 'healthy')
+        ? 'healthy'
+        : 'degraded';
+
+    return {
+      success: true,
+      status: overall,
+      components,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleDiagnosticRun(args) {
+    const health = await this.handleHealthCheck(args);
+    const analytics = await this.handleMemoryAnalytics({});
+
+    return {
+      success: true,
+      status: health.status,
+      components: health.components,
+      memory: {
+        namespaces: analytics.totalNamespaces,
+        entries: analytics.totalEntries,
+        bytes: analytics.totalBytes,
+      },
+      environment: {
+        node: process.version,
+        platform: process.platform,
+        arch: process.arch,
+        cwd: process.cwd(),
+      },
+      server: {
+        version: this.version,
+        sessionId: this.sessionId,
+        uptimeMs: Date.now() - this.startedAt,
+      },
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleMetricsCollect(args) {
+    const requested =
+      Array.isArray(args.components) && args.components.length > 0
+        ? args.components
+        : ['process', 'system', 'memory'];
+    const metrics = {};
+
+    if (requested.includes('process')) {
+      const mem = process.memoryUsage();
+      const cpu = process.cpuUsage();
+      metrics.process = {
+        heapUsed: mem.heapUsed,
+        heapTotal: mem.heapTotal,
+        rss: mem.rss,
+        cpuUserMicros: cpu.user,
+        cpuSystemMicros: cpu.system,
+        uptimeSeconds: process.uptime(),
+      };
+    }
+    if (requested.includes('system')) {
+      metrics.system = {
+        loadAverage: os.loadavg(),
+        totalMemory: os.totalmem(),
+        freeMemory: os.freemem(),
+        cpus: os.cpus().length,
+      };
+    }
+    if (requested.includes('memory')) {
+      const namespaces = await this.memoryStore.listNamespaces();
+      metrics.memory = { namespaces: namespaces.length };
+    }
+
+    const sampleKey = `metrics:system:${Date.now()}`;
+    const samples = [];
+    if (metrics.process) {
+      samples.push(
+        { name: 'process.heap_used_bytes', value: metrics.process.heapUsed },
+        { name: 'process.rss_bytes', value: metrics.process.rss },
+      );
+    }
+    if (metrics.system) {
+      samples.push(
+        { name: 'system.load_1m', value: metrics.system.loadAverage[0] },
+        {
+          name: 'system.memory_used_pct',
+          value: (1 - metrics.system.freeMemory / metrics.system.totalMemory) * 100,
+        },
+      );
+    }
+    if (samples.length > 0) await this.recordMetrics(samples);
+
+    await this.memoryStore.store(sampleKey, metrics, {
+      namespace: 'performance',
+      ttl: 7 * 24 * 60 * 60,
+      metadata: { type: 'metrics_sample', sessionId: this.sessionId },
+    });
+
+    return {
+      success: true,
+      components: requested,
+      metrics,
+      sampleKey,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  handleUsageStats(args) {
+    const stats = {};
+    for (const [tool, usage] of this.toolUsage.entries()) {
+      if (!args.component || tool.startsWith(args.component)) {
+        stats[tool] = { ...usage };
+      }
+    }
+
+    return {
+      success: true,
+      component: args.component || null,
+      sessionId: this.sessionId,
+      since: new Date(this.startedAt).toISOString(),
+      tools: stats,
+      totalCalls: Object.values(stats).reduce((sum, usage) => sum + usage.calls, 0),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  handleFeaturesDetect(args) {
+    const features = {
+      storage: this.memoryStore.isUsingFallback() ? 'in-memory' : 'sqlite',
+      persistentMemory: !this.memoryStore.isUsingFallback(),
+      webAssembly: typeof WebAssembly !== 'undefined',
+      node: process.version,
+      platform: process.platform,
+      tools: Object.keys(this.tools).length,
+      resources: Object.keys(this.resources).length,
+    };
+
+    return {
+      success: true,
+      component: args.component || null,
+      features:
+        args.component && args.component in features
+          ? { [args.component]: features[args.component] }
+          : features,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleWorkflowCreate(args) {
+    const workflowId = `workflow_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const workflow = {
+      id: workflowId,
+      name: args.name,
+      steps: args.steps || [],
+      triggers: args.triggers || [],
+      createdAt: new Date().toISOString(),
+      createdBy: this.sessionId,
+    };
+
+    await this.memoryStore.store(`workflow:${workflowId}`, workflow, {
+      namespace: 'workflows',
+      metadata: { type: 'workflow_definition', sessionId: this.sessionId },
+    });
+
+    return {
+      success: true,
+      workflowId,
+      name: workflow.name,
+      steps: workflow.steps.length,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleWorkflowExecute(args, signal) {
+    const workflow = this.parseStoredValue(
+      await this.memoryStore.retrieve(`workflow:${args.workflowId}`, { namespace: 'workflows' }),
+    );
+    if (!workflow) {
+      return {
+        success: false,
+        error: `Workflow ${args.workflowId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    // Each step is queued behind the previous one; agents claim them from the task queue
+    const executionId = `execution_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const swarmId = await this.getActiveSwarmId();
+    const queue = await this.getTaskQueue();
+    const taskIds = [];
+    for (const [index, step] of workflow.steps.entries()) {
+      signal?.throwIfAborted();
+      const task = await queue.enqueue(
+        typeof step === 'string' ? step : step.description || step.name,
+        {
+          type: (typeof step === 'object' && step.type) || 'workflow',
+          dependsOn: taskIds.length ? [taskIds[taskIds.length - 1]] : [],
+          swarmId,
+          metadata: { workflowId: workflow.id, executionId, step: index, strategy: 'sequential' },
+        },
+      );
+      this.markTaskChanged(task);
+      taskIds.push(task.id);
+    }
+
+    await this.memoryStore.store(
+      `execution:${executionId}`,
+      {
+        id: executionId,
+        workflowId: workflow.id,
+        params: args.params || {},
+        taskIds,
+        startedAt: new Date().toISOString(),
+      },
+      { namespace: 'workflows', metadata: { type: 'workflow_execution' } },
+    );
+
+    return {
+      success: true,
+      executionId,
+      workflowId: workflow.id,
+      taskIds,
+      status: 'queued',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleWorkflowExport(args) {
+    const workflow = this.parseStoredValue(
+      await this.memoryStore.retrieve(`workflow:${args.workflowId}`, { namespace: 'workflows' }),
+    );
+    if (!workflow) {
+      return {
+        success: false,
+        error: `Workflow ${args.workflowId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    const format = args.format || 'json';
+    if (format !== 'json') {
+      return {
+        success: false,
+        error: `Unsupported export format: ${format}`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    return {
+      success: true,
+      workflowId: workflow.id,
+      format,
+      definition: workflow,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleDaaAgentCreate(args) {
+    const agent = await this.agentRegistry.register({
+      type: args.agent_type,
+      capabilities: args.capabilities || [],
+      swarmId: await this.getActiveSwarmId(),
+      metadata: {
+        sessionId: this.sessionId,
+        createdBy: 'mcp-server',
+        autonomous: true,
+        resources: args.resources || {},
+      },
+    });
+
+    return {
+      success: true,
+      agentId: agent.id,
+      type: args.agent_type,
+      swarmId: agent.swarmId,
+      capabilities: agent.capabilities,
+      resources: agent.metadata.resources,
+      status: agent.status,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleDaaLifecycleManage(args) {
+    const transitions = {
+      start: 'active',
+      resume: 'active',
+      pause: 'paused',
+      stop: 'stopped',
+      terminate: 'terminated',
+    };
+    const nextStatus = transitions[args.action];
+    if (!nextStatus) {
+      return {
+        success: false,
+        error: `Unknown lifecycle action: ${args.action}`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    const agent = await this.agentRegistry.get(args.agentId);
+    if (!agent) {
+      return {
+        success: false,
+        error: `Agent ${args.agentId} not found`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    const previousStatus = agent.status;
+    try {
+      await this.agentRegistry.setStatus(args.agentId, nextStatus, {
+        reason: `daa ${args.action}`,
+      });
+    } catch (error) {
+      if (!(error instanceof AgentRegistryError)) throw error;
+      return {
+        success: false,
+        agentId: args.agentId,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    return {
+      success: true,
+      agentId: args.agentId,
+      action: args.action,
+      previousStatus,
+      status: nextStatus,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleDaaCommunication(args) {
+    const messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    await this.memoryStore.store(
+      `message:${args.to}:${messageId}`,
+      {
+        id: messageId,
+        from: args.from,
+        to: args.to,
+        message: args.message,
+        sentAt: new Date().toISOString(),
+      },
+      {
+        namespace: 'messages',
+        metadata: { type: 'agent_message', from: args.from, to: args.to },
+      },
+    );
+
+    return {
+      success: true,
+      messageId,
+      from: args.from,
+      to: args.to,
+      delivered: true,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleConfigManage(args) {
+    const namespace = 'config';
+
+    switch (args.action) {
+      case 'get': {
+        const entries = await this.listNamespace(namespace);
+        return {
+          success: true,
+          action: 'get',
+          config: Object.fromEntries(entries.map((entry) => [entry.key, entry.value])),
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      case 'set':
+      case 'update': {
+        const updates = Object.entries(args.config || {});
+        for (const [key, value] of updates) {
+          await this.memoryStore.store(key, JSON.stringify(value), {
+            namespace,
+            metadata: { type: 'config', sessionId: this.sessionId },
+          });
+        }
+        return {
+          success: true,
+          action: args.action,
+          updated: updates.map(([key]) => key),
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      case 'reset': {
+        const entries = await this.listNamespace(namespace);
+        for (const entry of entries) {
+          await this.memoryStore.delete(entry.key, { namespace });
+        }
+        return {
+          success: true,
+          action: 'reset',
+          removed: entries.length,
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      default:
+        return {
+          success: false,
+          error: `Unknown config action: ${args.action}`,
+          timestamp: new Date().toISOString(),
+        };
+    }
+  }
+
+  async handleLogAnalysis(args) {
+    let content;
+    try {
+      content = await fs.readFile(this.resolveSwarmPath(args.logFile), 'utf8');
+    } catch (error) {
+      return {
+        success: false,
+        error: `Cannot read log file ${args.logFile}: ${error.message}`,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    const lines = content.split('\n').filter((line) => line.trim());
+    const countMatching = (regex) => lines.filter((line) => regex.test(line));
+    const patterns = {};
+    for (const pattern of args.patterns || []) {
+      let matches;
+      try {
+        matches = countMatching(new RegExp(pattern, 'i'));
+      } catch {
+        matches = lines.filter((line) => line.includes(pattern));
+      }
+      patterns[pattern] = { count: matches.length, samples: matches.slice(0, 5) };
+    }
+
+    return {
+      success: true,
+      logFile: args.logFile,
+      lines: lines.length,
+      errors: countMatching(/\b(error|fatal)\b/i).length,
+      warnings: countMatching(/\bwarn(ing)?\b/i).length,
+      patterns,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Resolve a file argument to a path inside the project's .swarm directory.
+   * Tools that read or write files are reachable over HTTP, so they must not
+   * touch anything outside it.
+   */
+  resolveSwarmPath(file) {
+    const root = path.join(process.cwd(), '.swarm');
+    const resolved = path.resolve(file);
+    const relative = path.relative(root, resolved);
+    if (
+      !relative ||
+      relative === '..' ||
+      relative.startsWith(`..${path.sep}`) ||
+      path.isAbsolute(relative)
+    ) {
+      throw new Error(`Path must be inside ${root}: ${file}`);
+    }
+    return resolved;
+  }
+
+  async listNamespace(namespace) {
+    return this.memoryStore.list({ namespace, limit: NAMESPACE_SCAN_LIMIT });
+  }
+
+  /**
+   * Locate a task by id across the task queue and the records written by
+   * the pre-task / post-task hooks, which share the same memory store.
+   */
+  async findTask(taskId) {
+    const queue = await this.getTaskQueue();
+    await queue.reap();
+    const queued = await queue.get(taskId);
+    const started = await this.memoryStore.retrieve(`task:${taskId}`, {
+      namespace: 'hooks:pre-task',
+    });
+    const completed = await this.memoryStore.retrieve(`task:${taskId}:completed`, {
+      namespace: 'hooks:post-task',
+    });
+
+    if (!queued && !started && !completed) {
+      return null;
+    }
+
+    // The queue is authoritative once an agent has claimed or finished the task
+    const hookRecords = {
+      ...(this.parseStoredValue(started) || {}),
+      ...(this.parseStoredValue(completed) || {}),
+    };
+    const fromQueue = queued && (queued.status !== 'queued' || (!started && !completed));
+    const task = fromQueue ? { ...hookRecords, ...queued } : { ...queued, ...hookRecords };
+    task.source = fromQueue ? 'queue' : completed ? 'hooks:post-task' : 'hooks:pre-task';
+    return task;
+  }
+
+  /**
+   * The durable task queue in .swarm/memory.db, shared with `claude-flow task`
+   * and the agents claiming work from it.
+   */
+  async getTaskQueue() {
+    if (!this.taskQueue) {
+      this.taskQueue = new TaskQueue();
+      await this.taskQueue.initialize();
+    }
+    return this.taskQueue;
+  }
+
+  markTaskChanged(task) {
+    this.markResourceChanged(
+      'tasks',
+      task.swarmId ? `task:${task.swarmId}:${task.id}` : `task:${task.id}`,
+    );
+  }
+
+  parseStoredValue(value) {
+    if (typeof value !== 'string') {
+      return value ?? null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  countBy(items, field) {
+    return items.reduce((counts, item) => {
+      const key = item[field] || 'unknown';
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  sizeOf(value) {
+    return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value ?? null));
+  }
+
+  async getActiveSwarmId() {
+    try {
+      const activeSwarmId = await this.memoryStore.retrieve('active_swarm', {
+        namespace: 'system',
+      });
+      return activeSwarmId || null;
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to get active swarm:`,
+        error,
+      );
+      return null;
+    }
+  }
+
+  isKnownResourceUri(uri) {
+    return uri in this.resources || this.matchResourceTemplate(uri) !== null;
+  }
+
+  trackMemoryChanges(store) {
+    return new Proxy(store, {
+      get: (target, prop) => {
+        const value = Reflect.get(target, prop, target);
+        if (typeof value !== 'function') return value;
+        if (prop === 'store') {
+          return async (key, data, options = {}) => {
+            const result = await value.call(target, key, data, options);
+            this.markResourceChanged(options.namespace || 'default', key);
+            return result;
+          };
+        }
+        if (prop === 'delete') {
+          return async (key, options = {}) => {
+            const result = await value.call(target, key, options);
+            this.markResourceChanged(options.namespace || 'default', key);
+            return result;
+          };
+        }
+        return value.bind(target);
+      },
+    });
+  }
+
+  markResourceChanged(namespace, key) {
+    if (this.subscriptions.size === 0) return;
+
+    const candidates = [
+      `claude-flow://memory/${namespace}`,
+      `claude-flow://memory/${namespace}/${key}`,
+    ];
+    const [, ...idParts] = String(key).split(':');
+    const id = idParts[idParts.length - 1];
+    if (namespace === 'swarms' || namespace === 'system') {
+      candidates.push('claude-flow://swarms');
+      if (id) candidates.push(`claude-flow://swarms/${id}`);
+    }
+    if (namespace === 'agents') {
+      candidates.push('claude-flow://agents', 'claude-flow://swarms', `claude-flow://agents/${id}`);
+      if (idParts.length > 1) candidates.push(`claude-flow://swarms/${idParts[0]}`);
+    }
+    if (namespace === 'tasks') {
+      candidates.push(
+        'claude-flow://swarms',
+        'claude-flow://performance',
+        `claude-flow://tasks/${id}`,
+      );
+      if (idParts.length > 1) candidates.push(`claude-flow://swarms/${idParts[0]}`);
+    }
+    if (namespace === 'models') candidates.push('claude-flow://models');
+    if (namespace === 'performance') candidates.push('claude-flow://performance');
+
+    const before = this.pendingResourceUpdates.size;
+    for (const uri of candidates) {
+      if (this.subscriptions.has(uri)) this.pendingResourceUpdates.add(uri);
+    }
+    // Coalesce bursts of writes (e.g. a restore) into one notification per resource
+    if (before === 0 && this.pendingResourceUpdates.size > 0) {
+      setImmediate(() => this.flushResourceUpdates());
+    }
+  }
+
+  flushResourceUpdates() {
+    const uris = Array.from(this.pendingResourceUpdates);
+    this.pendingResourceUpdates.clear();
+    for (const uri of uris) {
+      for (const sessionId of this.subscriptions.get(uri) || []) {
+        this.sendNotification('notifications/resources/updated', { uri }, sessionId);
+      }
+    }
+  }
+
+  /**
+   * Drop subscriptions and abort in-flight requests for a client session that went away
+   */
+  releaseSession(sessionId) {
+    for (const [uri, subscribers] of this.subscriptions.entries()) {
+      subscribers.delete(sessionId);
+      if (subscribers.size === 0) this.subscriptions.delete(uri);
+    }
+    for (const [key, controller] of this.inFlightRequests.entries()) {
+      if (key.startsWith(`${sessionId}:`)) controller.abort();
+    }
+  }
+
+  addNotificationSink(sink) {
+    this.notificationSinks.add(sink);
+    return () => this.notificationSinks.delete(sink);
+  }
+
+  /**
+   * Deliver a notification to every transport; sessionId limits it to one client
+   */
+  sendNotification(method, params = {}, sessionId = null) {
+    const notification = { jsonrpc: '2.0', method, params };
+    for (const sink of this.notificationSinks) {
+      try {
+        sink(notification, sessionId);
+      } catch (error) {
+        console.error(
+          `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to deliver notification ${method}:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  createErrorResponse(id, code, message, data = null) {
+    const response = {
+      jsonrpc: '2.0',
+      id,
+      error: { code, message },
+    };
+    if (data) response.error.data = data;
+    return response;
+  }
+}
+
+// Main server execution
+function parseServerArgs(argv) {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index !== -1 && index + 1 < argv.length ? argv[index + 1] : undefined;
+  };
+
+  return {
+    http: argv.includes('--http'),
+    port: valueOf('--port') ? parseInt(valueOf('--port'), 10) : 3000,
+    host: valueOf('--host') || 'localhost',
+    authToken: valueOf('--auth-token') || process.env.CLAUDE_FLOW_MCP_TOKEN || null,
+  };
+}
+
+async function startMCPServer(options = {}) {
+  const server = new ClaudeFlowMCPServer();
+  let httpTransport = null;
+
+  console.error(
+    `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) Claude-Flow MCP server starting in stdio mode`,
+  );
+  console.error({
+    arch: process.arch,
+    mode: 'mcp-stdio',
+    nodeVersion: process.version,
+    pid: process.pid,
+    platform: process.platform,
+    protocol: 'stdio',
+    sessionId: server.sessionId,
+    version: server.version,
+  });
+
+  // Send server capabilities
+  console.log(
+    JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'server.initialized',
+      params: {
+        serverInfo: {
+          name: 'claude-flow',
+          version: server.version,
+          capabilities: server.capabilities,
+        },
+      },
+    }),
+  );
+
+  server.addNotificationSink((notification, sessionId) => {
+    if (!sessionId || sessionId === STDIO_SESSION_ID) {
+      console.log(JSON.stringify(notification));
+    }
+  });
+
+  // Serve streamable HTTP alongside stdio so other clients can share this process
+  if (options.http) {
+    const { startHttpTransport } = await import('./http-transport.js');
+    httpTransport = await startHttpTransport(server, {
+      host: options.host,
+      port: options.port,
+      authToken: options.authToken,
+    });
+    server.addNotificationSink((notification, sessionId) => {
+      if (sessionId !== STDIO_SESSION_ID) httpTransport.broadcast(notification, sessionId);
+    });
+  }
+
+  // Handle stdin messages
+  let buffer = '';
+
+  const stdioContext = {
+    sessionId: STDIO_SESSION_ID,
+    sendNotification: (method, params) =>
+      console.log(JSON.stringify({ jsonrpc: '2.0', method, params })),
+  };
+
+  process.stdin.on('data', (chunk) => {
+    buffer += chunk.toString();
+
+    // Process complete JSON messages
+    let lines = buffer.split('\n');
+    buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+    for (const line of lines) {
+      if (line.trim()) {
+        try {
+          const message = JSON.parse(line);
+          // Not awaited, so a later notifications/cancelled can reach an in-flight call
+          server
+            .handleMessage(message, stdioContext)
+            .then((response) => {
+              if (response) {
+                console.log(JSON.stringify(response));
+              }
+            })
+            .catch((error) => {
+              console.error(
+                `[${new Date().toISOString()}] ERROR [claude-flow-mcp] (${server.sessionId}) Request failed:`,
+                error,
+              );
+              if (message.id !== undefined) {
+                console.log(
+                  JSON.stringify(
+                    server.createErrorResponse(message.id, -32603, 'Internal error', error.message),
+                  ),
+                );
+              }
+            });
+        } catch (error) {
+          console.error(
+            `[${new Date().toISOString()}] ERROR [claude-flow-mcp] Failed to parse message:`,
+            error.message,
+          );
+        }
+      }
+    }
+  });
+
+  process.stdin.on('end', () => {
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) 🔌 Connection closed: ${server.sessionId}`,
+    );
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) MCP: stdin closed${httpTransport ? ', HTTP transport still serving' : ', shutting down...'}`,
+    );
+    if (!httpTransport) {
+      process.exit(0);
+    }
+  });
+
+  // Handle process termination
+  process.on('SIGINT', async () => {
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) Received SIGINT, shutting down gracefully...`,
+    );
+    if (httpTransport) {
+      await httpTransport.stop();
+    }
+    if (server.sharedMemory) {
+      await server.sharedMemory.close();
+    }
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.error(
+      `[${new Date().toISOString()}] INFO [claude-flow-mcp] (${server.sessionId}) Received SIGTERM, shutting down gracefully...`,
+    );
+    if (httpTransport) {
+      await httpTransport.stop();
+    }
     if (server.sharedMemory) {
       await server.sharedMemory.close();
     }
@@ -1969,7 +2718,7 @@ async function startMCPServer() {
 
 // Start the server if this file is run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  startMCPServer().catch(console.error);
+  startMCPServer(parseServerArgs(process.argv.slice(2))).catch(console.error);
 }
 
-export { ClaudeFlowMCPServer };
+export { ClaudeFlowMCPServer, startMCPServer, getToolDefinitions };
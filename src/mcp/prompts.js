@@ -0,0 +1,162 @@
+/**
+ * MCP prompt sources for the Claude-Flow MCP server
+ * Exposes SPARC modes (.roomodes) and .claude/commands templates as MCP prompts
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getModeOrchestration } from '../cli/simple-commands/sparc-modes/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PACKAGE_ROOT = path.join(__dirname, '../..');
+const BUNDLED_COMMANDS_DIR = path.join(__dirname, '../cli/simple-commands/init/templates/commands');
+
+const SPARC_PREFIX = 'sparc-';
+const COMMAND_PREFIX = 'command:';
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load SPARC modes, preferring the project's .roomodes over the packaged one
+ */
+async function loadSparcModes(cwd) {
+  const config =
+    (await readJsonIfExists(path.join(cwd, '.roomodes'))) ||
+    (await readJsonIfExists(path.join(PACKAGE_ROOT, '.roomodes')));
+  return Array.isArray(config?.customModes) ? config.customModes : [];
+}
+
+async function collectMarkdown(dir, base = dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await collectMarkdown(fullPath, base)));
+    } else if (entry.name.endsWith('.md')) {
+      files.push({
+        name: path.relative(base, fullPath).replace(/\\/g, '/').replace(/\.md$/, ''),
+        path: fullPath,
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * Load command templates, preferring the project's .claude/commands over the bundled set
+ */
+async function loadCommandTemplates(cwd) {
+  const projectTemplates = await collectMarkdown(path.join(cwd, '.claude', 'commands'));
+  return projectTemplates.length > 0
+    ? projectTemplates
+    : await collectMarkdown(BUNDLED_COMMANDS_DIR);
+}
+
+function describeTemplate(content) {
+  // First non-heading paragraph, falling back to the title
+  const lines = content.split('\n').map((line) => line.trim());
+  const description = lines.find((line) => line && !line.startsWith('#'));
+  const title = lines.find((line) => line.startsWith('#'));
+  return description || (title ? title.replace(/^#+\s*/, '') : '');
+}
+
+export async function listPrompts({ cwd = process.cwd() } = {}) {
+  const prompts = [];
+
+  for (const mode of await loadSparcModes(cwd)) {
+    prompts.push({
+      name: `${SPARC_PREFIX}${mode.slug}`,
+      description: `${mode.name}: ${mode.roleDefinition}`,
+      arguments: [
+        { name: 'task', description: 'Task for this SPARC mode', required: true },
+        { name: 'namespace', description: 'Memory namespace for progress', required: false },
+      ],
+    });
+  }
+
+  for (const template of await loadCommandTemplates(cwd)) {
+    const content = await fs.readFile(template.path, 'utf8');
+    prompts.push({
+      name: `${COMMAND_PREFIX}${template.name}`,
+      description: describeTemplate(content),
+      arguments: [
+        { name: 'arguments', description: 'Replaces $ARGUMENTS in the template', required: false },
+      ],
+    });
+  }
+
+  return prompts;
+}
+
+/**
+ * Render a prompt by name. Throws with `code` set to a JSON-RPC error code
+ * when the prompt is unknown or required arguments are missing.
+ */
+export async function getPrompt(name, args = {}, { cwd = process.cwd() } = {}) {
+  if (name.startsWith(SPARC_PREFIX)) {
+    const slug = name.slice(SPARC_PREFIX.length);
+    const mode = (await loadSparcModes(cwd)).find((m) => m.slug === slug);
+    if (mode) {
+      if (!args.task) {
+        throw Object.assign(new Error(`Prompt ${name} requires the "task" argument`), {
+          code: -32602,
+        });
+      }
+      const namespace = args.namespace || slug;
+      const text = [
+        `# ${mode.name}`,
+        '',
+        '## Task',
+        args.task,
+        '',
+        '## Role',
+        mode.roleDefinition,
+        '',
+        getModeOrchestration(slug, args.task, namespace),
+        '',
+        '## Mode-Specific Guidelines',
+        mode.customInstructions || '',
+      ].join('\n');
+
+      return {
+        description: `${mode.name}: ${mode.roleDefinition}`,
+        messages: [{ role: 'user', content: { type: 'text', text } }],
+      };
+    }
+  }
+
+  if (name.startsWith(COMMAND_PREFIX)) {
+    const templateName = name.slice(COMMAND_PREFIX.length);
+    const template = (await loadCommandTemplates(cwd)).find((t) => t.name === templateName);
+    if (template) {
+      const content = await fs.readFile(template.path, 'utf8');
+      return {
+        description: describeTemplate(content),
+        messages: [
+          {
+            role: 'user',
+            content: { type: 'text', text: content.replace(/\$ARGUMENTS/g, args.arguments || '') },
+          },
+        ],
+      };
+    }
+  }
+
+  throw Object.assign(new Error(`Unknown prompt: ${name}`), { code: -32602 });
+}
@@ -0,0 +1,874 @@
+/**
+ * MCP tool definitions (name -> { name, description, inputSchema })
+ * Shared by the MCP server and by callers that validate tool arguments out
+ * of process, such as the hive-mind MCP wrapper.
+ */
+
+function getToolDefinitions() {
+  return {
+    // Swarm Coordination Tools (12)
+    swarm_init: {
+      name: 'swarm_init',
+      description: 'Initialize swarm with topology and configuration',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          topology: { type: 'string', enum: ['hierarchical', 'mesh', 'ring', 'star'] },
+          maxAgents: { type: 'number', default: 8 },
+          strategy: { type: 'string', default: 'auto' },
+        },
+        required: ['topology'],
+      },
+    },
+    agent_spawn: {
+      name: 'agent_spawn',
+      description: 'Create specialized AI agents',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          type: {
+            type: 'string',
+            enum: [
+              'coordinator',
+              'researcher',
+              'coder',
+              'analyst',
+              'architect',
+              'tester',
+              'reviewer',
+              'optimizer',
+              'documenter',
+              'monitor',
+              'specialist',
+            ],
+          },
+          name: { type: 'string' },
+          capabilities: { type: 'array' },
+          swarmId: { type: 'string' },
+          parentId: { type: 'string' },
+        },
+        required: ['type'],
+      },
+    },
+    task_orchestrate: {
+      name: 'task_orchestrate',
+      description: 'Orchestrate complex task workflows',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          task: { type: 'string' },
+          strategy: { type: 'string', enum: ['parallel', 'sequential', 'adaptive', 'balanced'] },
+          priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+          dependencies: { type: 'array' },
+        },
+        required: ['task'],
+      },
+    },
+    swarm_status: {
+      name: 'swarm_status',
+      description: 'Monitor swarm health and performance',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          swarmId: { type: 'string' },
+        },
+      },
+    },
+
+    // Neural Network Tools (15)
+    neural_status: {
+      name: 'neural_status',
+      description: 'Check neural network status',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          modelId: { type: 'string' },
+        },
+      },
+    },
+    neural_train: {
+      name: 'neural_train',
+      description: 'Train neural patterns with WASM SIMD acceleration',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          pattern_type: { type: 'string', enum: ['coordination', 'optimization', 'prediction'] },
+          training_data: { type: 'string' },
+          epochs: { type: 'number', default: 50 },
+        },
+        required: ['pattern_type', 'training_data'],
+      },
+    },
+    neural_patterns: {
+      name: 'neural_patterns',
+      description: 'Analyze cognitive patterns',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['analyze', 'learn', 'predict'] },
+          operation: { type: 'string' },
+          outcome: { type: 'string' },
+          metadata: { type: 'object' },
+        },
+        required: ['action'],
+      },
+    },
+
+    // Memory & Persistence Tools (12)
+    memory_usage: {
+      name: 'memory_usage',
+      description: 'Store/retrieve persistent memory with TTL and namespacing',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['store', 'retrieve', 'list', 'delete', 'search'] },
+          key: { type: 'string' },
+          value: { type: 'string' },
+          namespace: { type: 'string', default: 'default' },
+          ttl: { type: 'number' },
+          tags: {
+            type: 'array',
+            items: { type: 'string' },
+            description:
+              'Tags to attach when storing (e.g. feature and sprint); search requires all of them',
+          },
+        },
+        required: ['action'],
+      },
+    },
+    memory_search: {
+      name: 'memory_search',
+      description:
+        'Search memory by substring, ranked full-text query, or meaning (semantic similarity)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          pattern: { type: 'string' },
+          namespace: {
+            type: 'string',
+            description: "Namespace to search; '*' searches all namespaces in fulltext mode",
+          },
+          limit: { type: 'number', default: 10 },
+          offset: { type: 'number', minimum: 0 },
+          mode: {
+            type: 'string',
+            enum: ['pattern', 'fulltext', 'semantic'],
+            description:
+              'pattern: substring match; fulltext: BM25-ranked keywords with "phrases", prefix*, OR and -exclusions; semantic: embedding similarity',
+          },
+          semantic: {
+            type: 'boolean',
+            default: false,
+            description: "Shorthand for mode: 'semantic'",
+          },
+          minScore: { type: 'number', minimum: -1, maximum: 1 },
+          tags: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only entries carrying all of these tags',
+          },
+          anyTags: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only entries carrying at least one of these tags',
+          },
+          excludeTags: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Skip entries carrying any of these tags',
+          },
+        },
+        required: ['pattern'],
+      },
+    },
+
+    // Analysis & Monitoring Tools (13)
+    performance_report: {
+      name: 'performance_report',
+      description: 'Generate performance reports with real-time metrics',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          timeframe: { type: 'string', enum: ['24h', '7d', '30d'], default: '24h' },
+          format: { type: 'string', enum: ['summary', 'detailed', 'json'], default: 'summary' },
+        },
+      },
+    },
+    bottleneck_analyze: {
+      name: 'bottleneck_analyze',
+      description: 'Identify performance bottlenecks',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          component: { type: 'string' },
+          metrics: { type: 'array' },
+        },
+      },
+    },
+    token_usage: {
+      name: 'token_usage',
+      description: 'Analyze token consumption',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          operation: { type: 'string' },
+          timeframe: { type: 'string', default: '24h' },
+        },
+      },
+    },
+
+    // GitHub Integration Tools (8)
+    github_repo_analyze: {
+      name: 'github_repo_analyze',
+      description: 'Repository analysis',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repo: { type: 'string' },
+          analysis_type: { type: 'string', enum: ['code_quality', 'performance', 'security'] },
+        },
+        required: ['repo'],
+      },
+    },
+    github_pr_manage: {
+      name: 'github_pr_manage',
+      description: 'Pull request management',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          repo: { type: 'string' },
+          pr_number: { type: 'number' },
+          action: { type: 'string', enum: ['review', 'merge', 'close'] },
+        },
+        required: ['repo', 'action'],
+      },
+    },
+
+    // DAA Tools (8)
+    daa_agent_create: {
+      name: 'daa_agent_create',
+      description: 'Create dynamic agents',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          agent_type: { type: 'string' },
+          capabilities: { type: 'array' },
+          resources: { type: 'object' },
+        },
+        required: ['agent_type'],
+      },
+    },
+    daa_capability_match: {
+      name: 'daa_capability_match',
+      description: 'Match capabilities to tasks',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          task_requirements: { type: 'array' },
+          available_agents: { type: 'array' },
+        },
+        required: ['task_requirements'],
+      },
+    },
+
+    // Workflow Tools (11)
+    workflow_create: {
+      name: 'workflow_create',
+      description: 'Create custom workflows',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          steps: { type: 'array' },
+          triggers: { type: 'array' },
+        },
+        required: ['name', 'steps'],
+      },
+    },
+    sparc_mode: {
+      name: 'sparc_mode',
+      description: 'Run SPARC development modes',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: ['dev', 'api', 'ui', 'test', 'refactor'] },
+          task_description: { type: 'string' },
+          options: { type: 'object' },
+        },
+        required: ['mode', 'task_description'],
+      },
+    },
+
+    // Additional Swarm Tools
+    agent_list: {
+      name: 'agent_list',
+      description: 'List active agents & capabilities',
+      inputSchema: { type: 'object', properties: { swarmId: { type: 'string' } } },
+    },
+    agent_metrics: {
+      name: 'agent_metrics',
+      description: 'Agent performance metrics',
+      inputSchema: { type: 'object', properties: { agentId: { type: 'string' } } },
+    },
+    swarm_monitor: {
+      name: 'swarm_monitor',
+      description: 'Real-time swarm monitoring',
+      inputSchema: {
+        type: 'object',
+        properties: { swarmId: { type: 'string' }, interval: { type: 'number' } },
+      },
+    },
+    topology_optimize: {
+      name: 'topology_optimize',
+      description: 'Auto-optimize swarm topology',
+      inputSchema: { type: 'object', properties: { swarmId: { type: 'string' } } },
+    },
+    load_balance: {
+      name: 'load_balance',
+      description: 'Distribute tasks efficiently',
+      inputSchema: {
+        type: 'object',
+        properties: { swarmId: { type: 'string' }, tasks: { type: 'array' } },
+      },
+    },
+    coordination_sync: {
+      name: 'coordination_sync',
+      description: 'Sync agent coordination',
+      inputSchema: { type: 'object', properties: { swarmId: { type: 'string' } } },
+    },
+    swarm_scale: {
+      name: 'swarm_scale',
+      description: 'Auto-scale agent count',
+      inputSchema: {
+        type: 'object',
+        properties: { swarmId: { type: 'string' }, targetSize: { type: 'number' } },
+      },
+    },
+    swarm_destroy: {
+      name: 'swarm_destroy',
+      description: 'Gracefully shutdown swarm',
+      inputSchema: {
+        type: 'object',
+        properties: { swarmId: { type: 'string' } },
+        required: ['swarmId'],
+      },
+    },
+
+    // Additional Neural Tools
+    neural_predict: {
+      name: 'neural_predict',
+      description: 'Make AI predictions',
+      inputSchema: {
+        type: 'object',
+        properties: { modelId: { type: 'string' }, input: { type: 'string' } },
+        required: ['modelId', 'input'],
+      },
+    },
+    model_load: {
+      name: 'model_load',
+      description: 'Load pre-trained models',
+      inputSchema: {
+        type: 'object',
+        properties: { modelPath: { type: 'string' } },
+        required: ['modelPath'],
+      },
+    },
+    model_save: {
+      name: 'model_save',
+      description: 'Save trained models',
+      inputSchema: {
+        type: 'object',
+        properties: { modelId: { type: 'string' }, path: { type: 'string' } },
+        required: ['modelId', 'path'],
+      },
+    },
+    wasm_optimize: {
+      name: 'wasm_optimize',
+      description: 'WASM SIMD optimization',
+      inputSchema: { type: 'object', properties: { operation: { type: 'string' } } },
+    },
+    inference_run: {
+      name: 'inference_run',
+      description: 'Run neural inference',
+      inputSchema: {
+        type: 'object',
+        properties: { modelId: { type: 'string' }, data: { type: 'array' } },
+        required: ['modelId', 'data'],
+      },
+    },
+    pattern_recognize: {
+      name: 'pattern_recognize',
+      description: 'Pattern recognition',
+      inputSchema: {
+        type: 'object',
+        properties: { data: { type: 'array' }, patterns: { type: 'array' } },
+        required: ['data'],
+      },
+    },
+    cognitive_analyze: {
+      name: 'cognitive_analyze',
+      description: 'Cognitive behavior analysis',
+      inputSchema: {
+        type: 'object',
+        properties: { behavior: { type: 'string' } },
+        required: ['behavior'],
+      },
+    },
+    learning_adapt: {
+      name: 'learning_adapt',
+      description: 'Adaptive learning',
+      inputSchema: {
+        type: 'object',
+        properties: { experience: { type: 'object' } },
+        required: ['experience'],
+      },
+    },
+    neural_compress: {
+      name: 'neural_compress',
+      description: 'Compress neural models',
+      inputSchema: {
+        type: 'object',
+        properties: { modelId: { type: 'string' }, ratio: { type: 'number' } },
+        required: ['modelId'],
+      },
+    },
+    ensemble_create: {
+      name: 'ensemble_create',
+      description: 'Create model ensembles',
+      inputSchema: {
+        type: 'object',
+        properties: { models: { type: 'array' }, strategy: { type: 'string' } },
+        required: ['models'],
+      },
+    },
+    transfer_learn: {
+      name: 'transfer_learn',
+      description: 'Transfer learning',
+      inputSchema: {
+        type: 'object',
+        properties: { sourceModel: { type: 'string' }, targetDomain: { type: 'string' } },
+        required: ['sourceModel', 'targetDomain'],
+      },
+    },
+    neural_explain: {
+      name: 'neural_explain',
+      description: 'AI explainability',
+      inputSchema: {
+        type: 'object',
+        properties: { modelId: { type: 'string' }, prediction: { type: 'object' } },
+        required: ['modelId', 'prediction'],
+      },
+    },
+
+    // Additional Memory Tools
+    memory_persist: {
+      name: 'memory_persist',
+      description: 'Cross-session persistence',
+      inputSchema: { type: 'object', properties: { sessionId: { type: 'string' } } },
+    },
+    memory_namespace: {
+      name: 'memory_namespace',
+      description: 'Namespace management',
+      inputSchema: {
+        type: 'object',
+        properties: { namespace: { type: 'string' }, action: { type: 'string' } },
+        required: ['namespace', 'action'],
+      },
+    },
+    memory_backup: {
+      name: 'memory_backup',
+      description: 'Backup memory stores to a file inside .swarm/',
+      inputSchema: { type: 'object', properties: { path: { type: 'string' } } },
+    },
+    memory_restore: {
+      name: 'memory_restore',
+      description: 'Restore from backups',
+      inputSchema: {
+        type: 'object',
+        properties: { backupPath: { type: 'string' } },
+        required: ['backupPath'],
+      },
+    },
+    memory_compress: {
+      name: 'memory_compress',
+      description: 'Compress memory data',
+      inputSchema: { type: 'object', properties: { namespace: { type: 'string' } } },
+    },
+    memory_sync: {
+      name: 'memory_sync',
+      description: 'Sync across instances',
+      inputSchema: {
+        type: 'object',
+        properties: { target: { type: 'string' } },
+        required: ['target'],
+      },
+    },
+    cache_manage: {
+      name: 'cache_manage',
+      description: 'Manage coordination cache',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['get', 'set', 'delete', 'list', 'clear'] },
+          key: { type: 'string' },
+          value: { type: 'string' },
+          ttl: { type: 'number' },
+        },
+        required: ['action'],
+      },
+    },
+    state_snapshot: {
+      name: 'state_snapshot',
+      description: 'Create state snapshots',
+      inputSchema: { type: 'object', properties: { name: { type: 'string' } } },
+    },
+    context_restore: {
+      name: 'context_restore',
+      description: 'Restore execution context',
+      inputSchema: {
+        type: 'object',
+        properties: { snapshotId: { type: 'string' } },
+        required: ['snapshotId'],
+      },
+    },
+    memory_analytics: {
+      name: 'memory_analytics',
+      description: 'Analyze memory usage',
+      inputSchema: { type: 'object', properties: { timeframe: { type: 'string' } } },
+    },
+
+    // Additional Analysis Tools
+    task_status: {
+      name: 'task_status',
+      description: 'Check task execution status',
+      inputSchema: {
+        type: 'object',
+        properties: { taskId: { type: 'string' } },
+        required: ['taskId'],
+      },
+    },
+    task_results: {
+      name: 'task_results',
+      description: 'Get task completion results',
+      inputSchema: {
+        type: 'object',
+        properties: { taskId: { type: 'string' } },
+        required: ['taskId'],
+      },
+    },
+    benchmark_run: {
+      name: 'benchmark_run',
+      description: 'Performance benchmarks',
+      inputSchema: { type: 'object', properties: { suite: { type: 'string' } } },
+    },
+    metrics_collect: {
+      name: 'metrics_collect',
+      description: 'Collect system metrics',
+      inputSchema: { type: 'object', properties: { components: { type: 'array' } } },
+    },
+    trend_analysis: {
+      name: 'trend_analysis',
+      description: 'Analyze performance trends',
+      inputSchema: {
+        type: 'object',
+        properties: { metric: { type: 'string' }, period: { type: 'string' } },
+        required: ['metric'],
+      },
+    },
+    cost_analysis: {
+      name: 'cost_analysis',
+      description: 'Cost and resource analysis',
+      inputSchema: { type: 'object', properties: { timeframe: { type: 'string' } } },
+    },
+    quality_assess: {
+      name: 'quality_assess',
+      description: 'Quality assessment',
+      inputSchema: {
+        type: 'object',
+        properties: { target: { type: 'string' }, criteria: { type: 'array' } },
+        required: ['target'],
+      },
+    },
+    error_analysis: {
+      name: 'error_analysis',
+      description: 'Error pattern analysis',
+      inputSchema: { type: 'object', properties: { logs: { type: 'array' } } },
+    },
+    usage_stats: {
+      name: 'usage_stats',
+      description: 'Usage statistics',
+      inputSchema: { type: 'object', properties: { component: { type: 'string' } } },
+    },
+    health_check: {
+      name: 'health_check',
+      description: 'System health monitoring',
+      inputSchema: { type: 'object', properties: { components: { type: 'array' } } },
+    },
+
+    // Additional Workflow Tools
+    workflow_execute: {
+      name: 'workflow_execute',
+      description: 'Execute predefined workflows',
+      inputSchema: {
+        type: 'object',
+        properties: { workflowId: { type: 'string' }, params: { type: 'object' } },
+        required: ['workflowId'],
+      },
+    },
+    workflow_export: {
+      name: 'workflow_export',
+      description: 'Export workflow definitions',
+      inputSchema: {
+        type: 'object',
+        properties: { workflowId: { type: 'string' }, format: { type: 'string' } },
+        required: ['workflowId'],
+      },
+    },
+    automation_setup: {
+      name: 'automation_setup',
+      description: 'Setup automation rules',
+      inputSchema: {
+        type: 'object',
+        properties: { rules: { type: 'array' } },
+        required: ['rules'],
+      },
+    },
+    pipeline_create: {
+      name: 'pipeline_create',
+      description: 'Create CI/CD pipelines',
+      inputSchema: {
+        type: 'object',
+        properties: { config: { type: 'object' } },
+        required: ['config'],
+      },
+    },
+    scheduler_manage: {
+      name: 'scheduler_manage',
+      description: 'Manage task scheduling',
+      inputSchema: {
+        type: 'object',
+        properties: { action: { type: 'string' }, schedule: { type: 'object' } },
+        required: ['action'],
+      },
+    },
+    trigger_setup: {
+      name: 'trigger_setup',
+      description: 'Setup event triggers',
+      inputSchema: {
+        type: 'object',
+        properties: { events: { type: 'array' }, actions: { type: 'array' } },
+        required: ['events', 'actions'],
+      },
+    },
+    workflow_template: {
+      name: 'workflow_template',
+      description: 'Manage workflow templates',
+      inputSchema: {
+        type: 'object',
+        properties: { action: { type: 'string' }, template: { type: 'object' } },
+        required: ['action'],
+      },
+    },
+    batch_process: {
+      name: 'batch_process',
+      description: 'Batch processing',
+      inputSchema: {
+        type: 'object',
+        properties: { items: { type: 'array' }, operation: { type: 'string' } },
+        required: ['items', 'operation'],
+      },
+    },
+    parallel_execute: {
+      name: 'parallel_execute',
+      description: 'Execute tasks in parallel',
+      inputSchema: {
+        type: 'object',
+        properties: { tasks: { type: 'array' } },
+        required: ['tasks'],
+      },
+    },
+
+    // GitHub Integration Tools
+    github_issue_track: {
+      name: 'github_issue_track',
+      description: 'Issue tracking & triage',
+      inputSchema: {
+        type: 'object',
+        properties: { repo: { type: 'string' }, action: { type: 'string' } },
+        required: ['repo', 'action'],
+      },
+    },
+    github_release_coord: {
+      name: 'github_release_coord',
+      description: 'Release coordination',
+      inputSchema: {
+        type: 'object',
+        properties: { repo: { type: 'string' }, version: { type: 'string' } },
+        required: ['repo', 'version'],
+      },
+    },
+    github_workflow_auto: {
+      name: 'github_workflow_auto',
+      description: 'Workflow automation',
+      inputSchema: {
+        type: 'object',
+        properties: { repo: { type: 'string' }, workflow: { type: 'object' } },
+        required: ['repo', 'workflow'],
+      },
+    },
+    github_code_review: {
+      name: 'github_code_review',
+      description: 'Automated code review',
+      inputSchema: {
+        type: 'object',
+        properties: { repo: { type: 'string' }, pr: { type: 'number' } },
+        required: ['repo', 'pr'],
+      },
+    },
+    github_sync_coord: {
+      name: 'github_sync_coord',
+      description: 'Multi-repo sync coordination',
+      inputSchema: {
+        type: 'object',
+        properties: { repos: { type: 'array' } },
+        required: ['repos'],
+      },
+    },
+    github_metrics: {
+      name: 'github_metrics',
+      description: 'Repository metrics',
+      inputSchema: {
+        type: 'object',
+        properties: { repo: { type: 'string' } },
+        required: ['repo'],
+      },
+    },
+
+    // Additional DAA Tools
+    daa_resource_alloc: {
+      name: 'daa_resource_alloc',
+      description: 'Resource allocation',
+      inputSchema: {
+        type: 'object',
+        properties: { resources: { type: 'object' }, agents: { type: 'array' } },
+        required: ['resources'],
+      },
+    },
+    daa_lifecycle_manage: {
+      name: 'daa_lifecycle_manage',
+      description: 'Agent lifecycle management',
+      inputSchema: {
+        type: 'object',
+        properties: { agentId: { type: 'string' }, action: { type: 'string' } },
+        required: ['agentId', 'action'],
+      },
+    },
+    daa_communication: {
+      name: 'daa_communication',
+      description: 'Inter-agent communication',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          message: { type: 'object' },
+        },
+        required: ['from', 'to', 'message'],
+      },
+    },
+    daa_consensus: {
+      name: 'daa_consensus',
+      description: 'Consensus mechanisms',
+      inputSchema: {
+        type: 'object',
+        properties: { agents: { type: 'array' }, proposal: { type: 'object' } },
+        required: ['agents', 'proposal'],
+      },
+    },
+    daa_fault_tolerance: {
+      name: 'daa_fault_tolerance',
+      description: 'Fault tolerance & recovery',
+      inputSchema: {
+        type: 'object',
+        properties: { agentId: { type: 'string' }, strategy: { type: 'string' } },
+        required: ['agentId'],
+      },
+    },
+    daa_optimization: {
+      name: 'daa_optimization',
+      description: 'Performance optimization',
+      inputSchema: {
+        type: 'object',
+        properties: { target: { type: 'string' }, metrics: { type: 'array' } },
+        required: ['target'],
+      },
+    },
+
+    // System & Utilities Tools
+    terminal_execute: {
+      name: 'terminal_execute',
+      description: 'Execute terminal commands',
+      inputSchema: {
+        type: 'object',
+        properties: { command: { type: 'string' }, args: { type: 'array' } },
+        required: ['command'],
+      },
+    },
+    config_manage: {
+      name: 'config_manage',
+      description: 'Configuration management',
+      inputSchema: {
+        type: 'object',
+        properties: { action: { type: 'string' }, config: { type: 'object' } },
+        required: ['action'],
+      },
+    },
+    features_detect: {
+      name: 'features_detect',
+      description: 'Feature detection',
+      inputSchema: { type: 'object', properties: { component: { type: 'string' } } },
+    },
+    security_scan: {
+      name: 'security_scan',
+      description: 'Security scanning',
+      inputSchema: {
+        type: 'object',
+        properties: { target: { type: 'string' }, depth: { type: 'string' } },
+        required: ['target'],
+      },
+    },
+    backup_create: {
+      name: 'backup_create',
+      description: 'Create system backups',
+      inputSchema: {
+        type: 'object',
+        properties: { components: { type: 'array' }, destination: { type: 'string' } },
+      },
+    },
+    restore_system: {
+      name: 'restore_system',
+      description: 'System restoration',
+      inputSchema: {
+        type: 'object',
+        properties: { backupId: { type: 'string' } },
+        required: ['backupId'],
+      },
+    },
+    log_analysis: {
+      name: 'log_analysis',
+      description: 'Log analysis & insights for a log file inside .swarm/',
+      inputSchema: {
+        type: 'object',
+        properties: { logFile: { type: 'string' }, patterns: { type: 'array' } },
+        required: ['logFile'],
+      },
+    },
+    diagnostic_run: {
+      name: 'diagnostic_run',
+      description: 'System diagnostics',
+      inputSchema: { type: 'object', properties: { components: { type: 'array' } } },
+    },
+  };
+}
+
+export { getToolDefinitions };
@@ -0,0 +1,228 @@
+/**
+ * JSON-Schema validation for MCP tool arguments
+ * Covers the subset of JSON Schema the tool definitions use: type, enum, const,
+ * required, properties, additionalProperties, items, default and the numeric,
+ * string and array bounds.
+ */
+
+const INVALID_PARAMS = -32602;
+
+class ToolValidationError extends Error {
+  constructor(toolName, errors) {
+    super(
+      `Invalid arguments for ${toolName}: ${errors.map((e) => `${e.path || '(root)'} ${e.message}`).join('; ')}`,
+    );
+    this.name = 'ToolValidationError';
+    this.code = INVALID_PARAMS;
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(base, segment) {
+  if (typeof segment === 'number') return `${base}[${segment}]`;
+  return base ? `${base}.${segment}` : segment;
+}
+
+function cloneDefault(value) {
+  return value !== null && typeof value === 'object' ? structuredClone(value) : value;
+}
+
+/**
+ * Validate a value against a schema. Returns the value with defaults filled
+ * in; violations are appended to `errors` as { path, keyword, message }.
+ */
+function validateValue(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return value;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path,
+        keyword: 'type',
+        message: `must be ${types.join(' or ')}, got ${typeOf(value)}`,
+        expected: types,
+      });
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    errors.push({
+      path,
+      keyword: 'enum',
+      message: `must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`,
+      allowed: schema.enum,
+    });
+  }
+
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push({ path, keyword: 'const', message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, keyword: 'minimum', message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, keyword: 'maximum', message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({
+        path,
+        keyword: 'exclusiveMinimum',
+        message: `must be > ${schema.exclusiveMinimum}`,
+      });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({
+        path,
+        keyword: 'exclusiveMaximum',
+        message: `must be < ${schema.exclusiveMaximum}`,
+      });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        keyword: 'minLength',
+        message: `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        path,
+        keyword: 'maxLength',
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, keyword: 'pattern', message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path,
+        keyword: 'minItems',
+        message: `must have at least ${schema.minItems} items`,
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        path,
+        keyword: 'maxItems',
+        message: `must have at most ${schema.maxItems} items`,
+      });
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      return value.map((item, index) =>
+        validateValue(schema.items, item, joinPath(path, index), errors),
+      );
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    return validateObject(schema, value, path, errors);
+  }
+
+  return value;
+}
+
+function validateObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (result[name] === undefined && propertySchema && propertySchema.default !== undefined) {
+      result[name] = cloneDefault(propertySchema.default);
+    }
+  }
+
+  for (const name of schema.required || []) {
+    if (result[name] === undefined) {
+      errors.push({
+        path: joinPath(path, name),
+        keyword: 'required',
+        message: 'is required',
+      });
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(result)) {
+    if (propertyValue === undefined) continue;
+    const propertyPath = joinPath(path, name);
+    if (name in properties) {
+      result[name] = validateValue(properties[name], propertyValue, propertyPath, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({
+        path: propertyPath,
+        keyword: 'additionalProperties',
+        message: 'is not a recognised property',
+      });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      result[name] = validateValue(
+        schema.additionalProperties,
+        propertyValue,
+        propertyPath,
+        errors,
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate tool arguments against a tool's inputSchema.
+ * Missing arguments are treated as an empty object.
+ * @returns {{ valid: boolean, value: object, errors: Array<object> }}
+ */
+function validateToolArguments(schema, args) {
+  const errors = [];
+  const value = validateValue(schema, args ?? {}, '', errors);
+  return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Build a validator over a map of tool definitions (name -> { inputSchema }).
+ * `validate` returns the arguments with defaults applied, or throws a
+ * ToolValidationError. Tools without a declared schema pass through untouched.
+ */
+function createToolValidator(tools) {
+  return {
+    hasSchema(toolName) {
+      return Boolean(tools[toolName]?.inputSchema);
+    },
+
+    validate(toolName, args) {
+      const schema = tools[toolName]?.inputSchema;
+      if (!schema) return args ?? {};
+
+      const result = validateToolArguments(schema, args);
+      if (!result.valid) {
+        throw new ToolValidationError(toolName, result.errors);
+      }
+      return result.value;
+    },
+  };
+}
+
+export { ToolValidationError, validateToolArguments, createToolValidator, INVALID_PARAMS };
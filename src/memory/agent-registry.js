@@ -0,0 +1,327 @@
+/**
+ * Agent registry
+ *
+ * Agents are records in the `agents` namespace of the memory store
+ * (.swarm/memory.db), keyed `agent:<swarmId>:<agentId>`, so agents spawned
+ * by the MCP tools, `claude-flow agent` and SwarmMemory are one list.
+ * An agent moves through
+ *
+ *   active <-> idle <-> busy
+ *      |        |        |
+ *      +--> paused --> stopped --> terminated
+ *
+ * and may be terminated from any state. Agents can have a parent, which
+ * forms the swarm hierarchy; terminating a parent terminates its children.
+ * Agents that report heartbeats are flagged stale once they stop.
+ */
+
+export const AGENT_STATES = ['active', 'idle', 'busy', 'paused', 'stopped', 'terminated'];
+
+const TRANSITIONS = {
+  active: ['idle', 'busy', 'paused', 'stopped', 'terminated'],
+  idle: ['active', 'busy', 'paused', 'stopped', 'terminated'],
+  busy: ['active', 'idle', 'paused', 'stopped', 'terminated'],
+  paused: ['active', 'stopped', 'terminated'],
+  stopped: ['active', 'terminated'],
+  terminated: [],
+};
+
+// States in which an agent is not expected to report heartbeats
+const DORMANT_STATES = ['paused', 'stopped', 'terminated'];
+
+export const DEFAULT_HEARTBEAT_TIMEOUT_MS = 2 * 60 * 1000;
+
+const HISTORY_LIMIT = 20;
+const SCAN_LIMIT = 10000;
+
+/**
+ * An agent that does not exist or cannot make the requested move
+ */
+export class AgentRegistryError extends Error {
+  constructor(message, code = 'INVALID') {
+    super(message);
+    this.name = 'AgentRegistryError';
+    this.code = code;
+  }
+}
+
+function generateAgentId() {
+  return `agent_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+}
+
+// Older records store capabilities and metadata as JSON strings
+function parseField(value, fallback) {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+export function agentKey(agent) {
+  return agent.swarmId ? `agent:${agent.swarmId}:${agent.id}` : `agent:${agent.id}`;
+}
+
+export class AgentRegistry {
+  /**
+   * options: { store, namespace, heartbeatTimeoutMs }. The store is any
+   * memory store with store/retrieve/list/delete (see sqlite-store.js).
+   */
+  constructor(options = {}) {
+    if (!options.store) throw new AgentRegistryError('AgentRegistry needs a memory store');
+    this.store = options.store;
+    this.namespace = options.namespace || 'agents';
+    this.heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? DEFAULT_HEARTBEAT_TIMEOUT_MS;
+  }
+
+  _fromEntry(entry, now) {
+    const agent = this._toAgent(entry.value, now);
+    // Older records only carry their swarm in the key
+    const [, swarmId, id] = entry.key.split(':');
+    if (agent && !agent.swarmId && id === agent.id) agent.swarmId = swarmId;
+    return agent;
+  }
+
+  _toAgent(value, now = Date.now()) {
+    const record = parseField(value, null);
+    if (!record || typeof record !== 'object' || !record.id) return null;
+    const metadata = parseField(record.metadata, {});
+    const lastHeartbeat = record.lastHeartbeat ? Date.parse(record.lastHeartbeat) : null;
+    return {
+      ...record,
+      swarmId: record.swarmId || null,
+      parentId: record.parentId || null,
+      capabilities: parseField(record.capabilities, []),
+      metadata,
+      createdAt: record.createdAt || metadata.spawnedAt || null,
+      lastHeartbeat: record.lastHeartbeat || null,
+      stale:
+        lastHeartbeat !== null &&
+        !DORMANT_STATES.includes(record.status) &&
+        now - lastHeartbeat > this.heartbeatTimeoutMs,
+    };
+  }
+
+  async _entries() {
+    return this.store.list({ namespace: this.namespace, limit: SCAN_LIMIT });
+  }
+
+  async _find(agentId) {
+    const entries = await this._entries();
+    return (
+      entries.find(
+        (entry) => entry.key === `agent:${agentId}` || entry.key.endsWith(`:${agentId}`),
+      ) || null
+    );
+  }
+
+  async _require(agentId) {
+    const entry = await this._find(agentId);
+    const agent = entry && this._fromEntry(entry);
+    if (!agent) throw new AgentRegistryError(`Agent ${agentId} not found`, 'NOT_FOUND');
+    return agent;
+  }
+
+  async _save(agent) {
+    const { stale, ...record } = agent;
+    record.updatedAt = new Date().toISOString();
+    await this.store.store(agentKey(record), record, {
+      namespace: this.namespace,
+      metadata: { type: 'agent_data', swarmId: record.swarmId },
+    });
+    return this._toAgent(record);
+  }
+
+  _withStatus(agent, status, reason) {
+    const history = [...(agent.history || []), { status, at: new Date().toISOString(), reason }];
+    return { ...agent, status, history: history.slice(-HISTORY_LIMIT) };
+  }
+
+  /**
+   * Register a new agent.
+   * data: { id, type, name, swarmId, parentId, capabilities, status, metadata }
+   */
+  async register(data = {}) {
+    if (!data.type || typeof data.type !== 'string') {
+      throw new AgentRegistryError('An agent needs a type');
+    }
+    const status = data.status || 'active';
+    if (!AGENT_STATES.includes(status) || status === 'terminated') {
+      throw new AgentRegistryError(`Invalid initial status: ${status}`);
+    }
+    const id = data.id || generateAgentId();
+    if (await this._find(id)) {
+      throw new AgentRegistryError(`Agent ${id} already exists`, 'CONFLICT');
+    }
+
+    let swarmId = data.swarmId || null;
+    if (data.parentId) {
+      const parent = await this._require(data.parentId);
+      if (parent.status === 'terminated') {
+        throw new AgentRegistryError(`Parent ${parent.id} is terminated`, 'CONFLICT');
+      }
+      swarmId = swarmId || parent.swarmId;
+    }
+
+    const now = new Date().toISOString();
+    return this._save(
+      this._withStatus(
+        {
+          id,
+          swarmId,
+          parentId: data.parentId || null,
+          name: data.name || `${data.type}-${Date.now()}`,
+          type: data.type,
+          capabilities: data.capabilities || [],
+          metadata: { spawnedAt: now, ...(data.metadata || {}) },
+          createdAt: now,
+          lastHeartbeat: null,
+        },
+        status,
+        'registered',
+      ),
+    );
+  }
+
+  /**
+   * Create or merge an agent record without checking transitions, for
+   * callers such as SwarmMemory that own their agents' state.
+   */
+  async upsert(agentId, data = {}) {
+    const entry = await this._find(agentId);
+    const existing = entry && this._fromEntry(entry);
+    if (!existing) {
+      const agent = await this.register({ ...data, id: agentId, status: undefined });
+      if (!data.status || data.status === agent.status) return agent;
+      return this._save({ ...agent, status: data.status });
+    }
+    const merged = { ...existing, ...data, id: agentId };
+    if (agentKey(merged) !== entry.key) {
+      await this.store.delete(entry.key, { namespace: this.namespace });
+    }
+    return this._save(merged);
+  }
+
+  async get(agentId) {
+    const entry = await this._find(agentId);
+    return entry ? this._fromEntry(entry) : null;
+  }
+
+  /**
+   * filter: { swarmId, type, status, parentId, includeTerminated }
+   */
+  async list(filter = {}) {
+    const now = Date.now();
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    return (await this._entries())
+      .map((entry) => this._fromEntry(entry, now))
+      .filter((agent) => {
+        if (!agent) return false;
+        if (filter.swarmId && agent.swarmId !== filter.swarmId) return false;
+        if (filter.type && agent.type !== filter.type) return false;
+        if (filter.parentId !== undefined && agent.parentId !== filter.parentId) return false;
+        if (statuses) return statuses.includes(agent.status);
+        return filter.includeTerminated !== false || agent.status !== 'terminated';
+      })
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  /**
+   * Move an agent to another status, following the allowed transitions.
+   */
+  async setStatus(agentId, status, options = {}) {
+    if (!AGENT_STATES.includes(status)) {
+      throw new AgentRegistryError(`Unknown status: ${status} (${AGENT_STATES.join(', ')})`);
+    }
+    if (status === 'terminated') {
+      return (await this.terminate(agentId, options))[0];
+    }
+    const agent = await this._require(agentId);
+    if (agent.status === status) return agent;
+    if (!(TRANSITIONS[agent.status] || AGENT_STATES).includes(status)) {
+      throw new AgentRegistryError(
+        `Agent ${agentId} cannot go from ${agent.status} to ${status}`,
+        'CONFLICT',
+      );
+    }
+    return this._save(this._withStatus(agent, status, options.reason));
+  }
+
+  /**
+   * Record that an agent is alive, optionally reporting a new status.
+   */
+  async heartbeat(agentId, options = {}) {
+    let agent = await this._require(agentId);
+    if (agent.status === 'terminated') {
+      throw new AgentRegistryError(`Agent ${agentId} is terminated`, 'CONFLICT');
+    }
+    if (options.status && options.status !== agent.status) {
+      agent = await this.setStatus(agentId, options.status, { reason: 'heartbeat' });
+    }
+    return this._save({ ...agent, lastHeartbeat: new Date().toISOString() });
+  }
+
+  /**
+   * Terminate an agent and, unless options.cascade is false, its
+   * descendants. Returns the agents terminated, the requested one first.
+   */
+  async terminate(agentId, options = {}) {
+    const agent = await this._require(agentId);
+    if (agent.status === 'terminated') {
+      throw new AgentRegistryError(`Agent ${agentId} is already terminated`, 'CONFLICT');
+    }
+
+    const all = await this.list();
+    const targets = [agent];
+    if (options.cascade !== false) {
+      for (let i = 0; i < targets.length; i++) {
+        targets.push(
+          ...all.filter((a) => a.parentId === targets[i].id && a.status !== 'terminated'),
+        );
+      }
+    }
+
+    const reason = options.reason || 'terminated';
+    const terminated = [];
+    for (const target of targets) {
+      const inherited = target === agent ? reason : `parent ${agentId} terminated`;
+      terminated.push(
+        await this._save({
+          ...this._withStatus(target, 'terminated', inherited),
+          terminatedAt: new Date().toISOString(),
+          terminationReason: inherited,
+        }),
+      );
+    }
+    return terminated;
+  }
+
+  /**
+   * Agents arranged as trees by parent; each node has a children array.
+   */
+  async hierarchy(filter = {}) {
+    const agents = await this.list(filter);
+    const nodes = new Map(agents.map((agent) => [agent.id, { ...agent, children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentId && nodes.get(node.parentId);
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    }
+    return roots;
+  }
+
+  /**
+   * Remove every agent of a swarm. Returns the number removed.
+   */
+  async removeSwarm(swarmId) {
+    const entries = (await this._entries()).filter((entry) =>
+      entry.key.startsWith(`agent:${swarmId}:`),
+    );
+    for (const entry of entries) {
+      await this.store.delete(entry.key, { namespace: this.namespace });
+    }
+    return entries.length;
+  }
+}
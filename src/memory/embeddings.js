@@ -0,0 +1,228 @@
+/**
+ * Offline text embeddings for semantic memory search
+ * The default embedder hashes normalised words, word pairs and character
+ * trigrams into a fixed-size vector, so differently phrased notes about the
+ * same thing land close together without any model download. Real models can
+ * be plugged in through setDefaultEmbedder().
+ *
+ * An embedder is any object with:
+ *   id          - string that changes whenever vectors become incompatible
+ *   dimensions  - vector length
+ *   embed(text) - Promise<Float32Array | number[]>
+ */
+
+const DEFAULT_DIMENSIONS = 384;
+
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be been but by can could did do does for from had has have he her his ' +
+    'how i if in into is it its just may me might my no not of on or our she should so some ' +
+    'such than that the their them then there these they this those to too us was we were what ' +
+    'when where which while who why will with would you your'
+  ).split(' '),
+);
+
+// Longest suffixes first so "ations" is stripped before "s"
+const SUFFIXES = [
+  'ations',
+  'ation',
+  'ings',
+  'ing',
+  'ions',
+  'ion',
+  'ness',
+  'ment',
+  'ers',
+  'er',
+  'ies',
+  'ied',
+  'ed',
+  'es',
+  'ly',
+  's',
+];
+
+/**
+ * Light suffix stripping so "caching", "cached" and "caches" share a stem
+ */
+function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+function tokenize(text) {
+  return (
+    String(text)
+      // Split camelCase and snake_case identifiers into words
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+      .map(stem)
+  );
+}
+
+// FNV-1a, 32-bit
+function hash(feature) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    h ^= feature.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+class HashingEmbedder {
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+    this.id = `hashing-v1:${this.dimensions}`;
+  }
+
+  async embed(text) {
+    return this.embedSync(text);
+  }
+
+  embedSync(text) {
+    const vector = new Float32Array(this.dimensions);
+    const tokens = tokenize(text);
+
+    const add = (feature, weight) => {
+      const h = hash(feature);
+      // The top bit picks the sign so colliding features tend to cancel out
+      vector[h % this.dimensions] += h & 0x80000000 ? -weight : weight;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      add(`w:${token}`, 1);
+      if (i + 1 < tokens.length) add(`b:${token}_${tokens[i + 1]}`, 0.5);
+
+      const padded = `^${token}$`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + 3)}`, 0.25);
+      }
+    }
+
+    return normalize(vector);
+  }
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Text that represents a stored entry: its key plus every string and
+ * number found in the value
+ */
+function textForEmbedding(key, value) {
+  const parts = [key];
+  const collect = (node) => {
+    if (node === null || node === undefined) return;
+    if (typeof node === 'string') {
+      // Values are often stored as JSON strings
+      try {
+        const parsed = JSON.parse(node);
+        if (parsed !== null && typeof parsed === 'object') return collect(parsed);
+      } catch {
+        // plain string
+      }
+      parts.push(node);
+    } else if (typeof node === 'number' || typeof node === 'boolean') {
+      parts.push(String(node));
+    } else if (Array.isArray(node)) {
+      node.forEach(collect);
+    } else if (typeof node === 'object') {
+      for (const [field, child] of Object.entries(node)) {
+        parts.push(field);
+        collect(child);
+      }
+    }
+  };
+  collect(value);
+  return parts.join(' ');
+}
+
+function serializeVector(vector) {
+  const floats = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+function deserializeVector(buffer) {
+  if (!buffer) return null;
+  // Copy so the Float32Array is aligned regardless of the Buffer's offset
+  const copy = Uint8Array.from(buffer);
+  return new Float32Array(copy.buffer);
+}
+
+let defaultEmbedder = new HashingEmbedder();
+
+function getDefaultEmbedder() {
+  return defaultEmbedder;
+}
+
+/**
+ * Replace the embedder used by the memory stores. Vectors from the previous
+ * embedder are recomputed lazily because its id no longer matches.
+ */
+function setDefaultEmbedder(embedder) {
+  if (!embedder || typeof embedder.embed !== 'function' || !embedder.id) {
+    throw new Error('Embedder must provide an id and an embed(text) method');
+  }
+  defaultEmbedder = embedder;
+}
+
+/**
+ * Rank candidates ({ text, ...rest }) against a query, highest similarity first
+ */
+async function rankBySimilarity(query, candidates, options = {}) {
+  const embedder = options.embedder || defaultEmbedder;
+  const minScore = options.minScore ?? 0.1;
+  const queryVector = await embedder.embed(query);
+
+  const scored = [];
+  for (const candidate of candidates) {
+    const vector = candidate.vector || (await embedder.embed(candidate.text));
+    const score = cosineSimilarity(queryVector, vector);
+    if (score >= minScore) scored.push({ ...candidate, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return options.limit ? scored.slice(0, options.limit) : scored;
+}
+
+export {
+  HashingEmbedder,
+  cosineSimilarity,
+  textForEmbedding,
+  serializeVector,
+  deserializeVector,
+  getDefaultEmbedder,
+  setDefaultEmbedder,
+  rankBySimilarity,
+  tokenize,
+};
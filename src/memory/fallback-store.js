@@ -103,11 +103,36 @@ class FallbackMemoryStore {
     return this.activeStore.delete(key, options);
   }
 
+  async prune(options = {}) {
+    await this.initialize();
+    return this.activeStore.prune(options);
+  }
+
   async search(pattern, options = {}) {
     await this.initialize();
     return this.activeStore.search(pattern, options);
   }
 
+  async fullTextSearch(query, options = {}) {
+    await this.initialize();
+    return this.activeStore.fullTextSearch(query, options);
+  }
+
+  async semanticSearch(query, options = {}) {
+    await this.initialize();
+    return this.activeStore.semanticSearch(query, options);
+  }
+
+  async listNamespaces() {
+    await this.initialize();
+    return this.activeStore.listNamespaces();
+  }
+
+  async getTagCounts(options = {}) {
+    await this.initialize();
+    return this.activeStore.getTagCounts(options);
+  }
+
   async cleanup() {
     await this.initialize();
     return this.activeStore.cleanup();
@@ -0,0 +1,224 @@
+/**
+ * Full-text query support shared by the memory stores
+ * Parses the user-facing query syntax once and renders it either as an SQLite
+ * FTS5 MATCH expression or as a BM25 ranking over in-process documents (for
+ * stores without SQLite).
+ *
+ * Query syntax:
+ *   redis cache        both terms (any order)
+ *   "session store"    exact phrase
+ *   migrat*            prefix
+ *   redis OR memcached either term
+ *   -deprecated        exclude entries containing the term (also: NOT deprecated)
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const DEFAULT_HIGHLIGHT = { open: '[', close: ']' };
+
+class FullTextQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FullTextQueryError';
+  }
+}
+
+function tokenizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Parse a query into AND-ed groups of OR-ed clauses plus excluded clauses.
+ * A clause is { kind: 'term' | 'phrase', tokens: string[], prefix: boolean }.
+ */
+function parseSearchQuery(input) {
+  const raw = String(input || '').trim();
+  const pieces = raw.match(/-?"[^"]*"\*?|\S+/g) || [];
+
+  const groups = [];
+  const excluded = [];
+  let joinWithPrevious = false;
+  let negateNext = false;
+
+  for (const piece of pieces) {
+    if (piece === 'OR') {
+      joinWithPrevious = groups.length > 0;
+      continue;
+    }
+    if (piece === 'NOT') {
+      negateNext = true;
+      continue;
+    }
+    if (piece === 'AND') continue;
+
+    const negate = negateNext || (piece.startsWith('-') && piece.length > 1);
+    negateNext = false;
+    let body = piece.startsWith('-') ? piece.slice(1) : piece;
+    const prefix = body.endsWith('*');
+    if (prefix) body = body.slice(0, -1);
+    const quoted = body.startsWith('"') && body.endsWith('"') && body.length >= 2;
+    if (quoted) body = body.slice(1, -1);
+
+    const tokens = tokenizeText(body);
+    if (tokens.length === 0) continue;
+
+    // A quoted phrase, or a word with punctuation such as user_id, matches as a phrase
+    const clause = { kind: tokens.length > 1 ? 'phrase' : 'term', tokens, prefix };
+
+    if (negate) {
+      excluded.push(clause);
+    } else if (joinWithPrevious) {
+      groups[groups.length - 1].push(clause);
+    } else {
+      groups.push([clause]);
+    }
+    joinWithPrevious = false;
+  }
+
+  if (groups.length === 0) {
+    throw new FullTextQueryError('Search query needs at least one term to match');
+  }
+  return { groups, excluded };
+}
+
+function clauseToFts(clause) {
+  const phrase = `"${clause.tokens.join(' ').replace(/"/g, '""')}"`;
+  return clause.prefix ? `${phrase}*` : phrase;
+}
+
+/**
+ * Render a parsed query as an FTS5 MATCH expression. Every token is quoted so
+ * user input can never inject FTS5 operators or column filters.
+ */
+function toFtsMatch(parsed) {
+  const positive = parsed.groups
+    .map((group) =>
+      group.length === 1 ? clauseToFts(group[0]) : `(${group.map(clauseToFts).join(' OR ')})`,
+    )
+    .join(' AND ');
+  if (parsed.excluded.length === 0) return positive;
+  return `${positive} NOT (${parsed.excluded.map(clauseToFts).join(' OR ')})`;
+}
+
+function clauseMatches(clause, tokens, text) {
+  if (clause.kind === 'phrase') {
+    const phrase = clause.tokens.join(' ');
+    return clause.prefix ? text.includes(phrase) : ` ${text} `.includes(` ${phrase} `);
+  }
+  const [token] = clause.tokens;
+  return clause.prefix ? tokens.some((t) => t.startsWith(token)) : tokens.includes(token);
+}
+
+function termFrequency(clause, tokens) {
+  const [first] = clause.tokens;
+  return tokens.filter((t) => (clause.prefix ? t.startsWith(first) : t === first)).length;
+}
+
+/**
+ * Rank documents ({ id, fields: { name: text } }) with BM25 over the parsed
+ * query, for stores that have no FTS5 index. Field weights scale each
+ * field's contribution. Returns [{ document, score }] best first.
+ */
+function rankDocuments(parsed, documents, options = {}) {
+  const weights = options.weights || {};
+  const analysed = documents.map((document) => {
+    const fields = {};
+    for (const [name, value] of Object.entries(document.fields)) {
+      const tokens = tokenizeText(value);
+      fields[name] = { tokens, text: tokens.join(' ') };
+    }
+    return { document, fields };
+  });
+
+  const allText = (doc) => Object.values(doc.fields);
+  const matching = analysed.filter(
+    (doc) =>
+      parsed.groups.every((group) =>
+        group.some((clause) => allText(doc).some((f) => clauseMatches(clause, f.tokens, f.text))),
+      ) &&
+      !parsed.excluded.some((clause) =>
+        allText(doc).some((f) => clauseMatches(clause, f.tokens, f.text)),
+      ),
+  );
+
+  const fieldNames = Object.keys(analysed[0]?.fields || {});
+  const averageLength = {};
+  for (const name of fieldNames) {
+    const total = analysed.reduce((sum, doc) => sum + doc.fields[name].tokens.length, 0);
+    averageLength[name] = total / Math.max(analysed.length, 1) || 1;
+  }
+
+  const clauses = parsed.groups.flat();
+  const documentFrequency = clauses.map(
+    (clause) =>
+      analysed.filter((doc) => allText(doc).some((f) => clauseMatches(clause, f.tokens, f.text)))
+        .length,
+  );
+
+  const scored = matching.map((doc) => {
+    let score = 0;
+    clauses.forEach((clause, i) => {
+      const idf = Math.log(
+        1 + (analysed.length - documentFrequency[i] + 0.5) / (documentFrequency[i] + 0.5),
+      );
+      for (const name of fieldNames) {
+        const field = doc.fields[name];
+        const tf =
+          clause.kind === 'phrase'
+            ? clauseMatches(clause, field.tokens, field.text)
+              ? 1
+              : 0
+            : termFrequency(clause, field.tokens);
+        if (tf === 0) continue;
+        const norm = 1 - BM25_B + (BM25_B * field.tokens.length) / averageLength[name];
+        score += (weights[name] ?? 1) * idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+      }
+    });
+    return { document: doc.document, score };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored;
+}
+
+/**
+ * Short excerpt of text around the first matching token, with matches wrapped
+ * in highlight markers. Mirrors what FTS5's snippet() returns.
+ */
+function makeSnippet(text, parsed, options = {}) {
+  const { open, close } = options.highlight || DEFAULT_HIGHLIGHT;
+  const maxTokens = options.tokens || 12;
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const clauses = parsed.groups.flat();
+
+  const isMatch = (word) => {
+    const [token] = tokenizeText(word);
+    if (!token) return false;
+    return clauses.some((clause) =>
+      clause.tokens.some((t) => (clause.prefix ? token.startsWith(t) : token === t)),
+    );
+  };
+
+  const first = Math.max(
+    words.findIndex((word) => isMatch(word)),
+    0,
+  );
+  const start = Math.max(0, first - Math.floor(maxTokens / 3));
+  const excerpt = words
+    .slice(start, start + maxTokens)
+    .map((word) => (isMatch(word) ? `${open}${word}${close}` : word));
+
+  return `${start > 0 ? '…' : ''}${excerpt.join(' ')}${start + maxTokens < words.length ? '…' : ''}`;
+}
+
+export {
+  FullTextQueryError,
+  DEFAULT_HIGHLIGHT,
+  parseSearchQuery,
+  toFtsMatch,
+  rankDocuments,
+  makeSnippet,
+};
@@ -3,6 +3,10 @@
  * Provides the same API as SQLite store but data is not persistent
  */
 
+import { getDefaultEmbedder, textForEmbedding, rankBySimilarity } from './embeddings.js';
+import { DEFAULT_HIGHLIGHT, parseSearchQuery, rankDocuments, makeSnippet } from './fts.js';
+import { normalizeTags, normalizeTagFilter, matchesTags, countTags } from './tags.js';
+
 class InMemoryStore {
   constructor(options = {}) {
     this.options = options;
@@ -53,12 +57,15 @@ class InMemoryStore {
       value: valueStr,
       namespace,
       metadata: options.metadata || null,
+      tags: normalizeTags(options.tags),
       createdAt: namespaceMap.has(key) ? namespaceMap.get(key).createdAt : now,
       updatedAt: now,
       accessedAt: now,
       accessCount: namespaceMap.has(key) ? namespaceMap.get(key).accessCount + 1 : 1,
       ttl,
       expiresAt,
+      embedding: null,
+      embeddingModel: null,
     };
 
     namespaceMap.set(key, entry);
@@ -107,7 +114,9 @@ class InMemoryStore {
     const limit = options.limit || 100;
     const namespaceMap = this._getNamespaceMap(namespace);
 
+    // Newest first; entries written in the same millisecond in reverse insertion order
     const entries = Array.from(namespaceMap.values())
+      .reverse()
       .filter((entry) => !entry.expiresAt || entry.expiresAt > Date.now())
       .sort((a, b) => b.updatedAt - a.updatedAt)
       .slice(0, limit);
@@ -117,6 +126,7 @@ class InMemoryStore {
       value: this._tryParseJson(entry.value),
       namespace: entry.namespace,
       metadata: entry.metadata,
+      tags: entry.tags,
       createdAt: new Date(entry.createdAt),
       updatedAt: new Date(entry.updatedAt),
       accessCount: entry.accessCount,
@@ -132,6 +142,18 @@ class InMemoryStore {
     return namespaceMap.delete(key);
   }
 
+  /**
+   * Delete all but the `keep` most recently added entries of a namespace
+   */
+  async prune(options = {}) {
+    await this.initialize();
+
+    const namespaceMap = this._getNamespaceMap(options.namespace || 'default');
+    const excess = [...namespaceMap.keys()].slice(0, Math.max(0, namespaceMap.size - options.keep));
+    for (const key of excess) namespaceMap.delete(key);
+    return excess.length;
+  }
+
   async search(pattern, options = {}) {
     await this.initialize();
 
@@ -140,6 +162,7 @@ class InMemoryStore {
     const namespaceMap = this._getNamespaceMap(namespace);
 
     const searchLower = pattern.toLowerCase();
+    const tagFilter = normalizeTagFilter(options);
     const results = [];
 
     for (const [key, entry] of namespaceMap.entries()) {
@@ -148,6 +171,10 @@ class InMemoryStore {
         continue;
       }
 
+      if (!matchesTags(entry.tags, tagFilter)) {
+        continue;
+      }
+
       // Search in key and value
       if (
         key.toLowerCase().includes(searchLower) ||
@@ -157,6 +184,7 @@ class InMemoryStore {
           key: entry.key,
           value: this._tryParseJson(entry.value),
           namespace: entry.namespace,
+          tags: entry.tags,
           score: entry.accessCount,
           updatedAt: new Date(entry.updatedAt),
         });
@@ -174,6 +202,119 @@ class InMemoryStore {
     });
   }
 
+  /**
+   * Same query syntax and result shape as SqliteMemoryStore.fullTextSearch,
+   * ranked with BM25 in JavaScript
+   */
+  async fullTextSearch(query, options = {}) {
+    await this.initialize();
+
+    const parsed = parseSearchQuery(query);
+    const limit = options.limit || 20;
+    const offset = options.offset || 0;
+    const tagFilter = normalizeTagFilter(options);
+    const now = Date.now();
+
+    let namespaces;
+    if (options.namespace === '*') {
+      namespaces = Array.from(this.data.keys());
+    } else if (Array.isArray(options.namespace)) {
+      namespaces = options.namespace;
+    } else {
+      namespaces = [options.namespace || 'default'];
+    }
+
+    const documents = [];
+    for (const namespace of namespaces) {
+      for (const entry of this._getNamespaceMap(namespace).values()) {
+        if (entry.expiresAt && entry.expiresAt < now) continue;
+        if (!matchesTags(entry.tags, tagFilter)) continue;
+        documents.push({ entry, fields: { key: entry.key, value: entry.value } });
+      }
+    }
+
+    return rankDocuments(parsed, documents, { weights: { key: 2 } })
+      .slice(offset, offset + limit)
+      .map(({ document: { entry }, score }) => ({
+        key: entry.key,
+        value: this._tryParseJson(entry.value),
+        namespace: entry.namespace,
+        tags: entry.tags,
+        score,
+        snippet: makeSnippet(entry.value, parsed, {
+          highlight: options.highlight || DEFAULT_HIGHLIGHT,
+          tokens: options.snippetTokens,
+        }),
+        updatedAt: new Date(entry.updatedAt),
+      }));
+  }
+
+  async semanticSearch(query, options = {}) {
+    await this.initialize();
+
+    const namespace = options.namespace || 'default';
+    const limit = options.limit || 10;
+    const namespaceMap = this._getNamespaceMap(namespace);
+    const embedder = this.options.embedder || getDefaultEmbedder();
+    const tagFilter = normalizeTagFilter(options);
+    const now = Date.now();
+
+    const candidates = [];
+    for (const entry of namespaceMap.values()) {
+      if (entry.expiresAt && entry.expiresAt < now) continue;
+      if (!matchesTags(entry.tags, tagFilter)) continue;
+      // Embed on demand and keep the vector until the entry changes
+      if (entry.embeddingModel !== embedder.id) {
+        entry.embedding = await embedder.embed(textForEmbedding(entry.key, entry.value));
+        entry.embeddingModel = embedder.id;
+      }
+      candidates.push({ entry, vector: entry.embedding });
+    }
+
+    const ranked = await rankBySimilarity(query, candidates, {
+      embedder,
+      limit,
+      minScore: options.minScore,
+    });
+
+    return ranked.map(({ entry, score }) => ({
+      key: entry.key,
+      value: this._tryParseJson(entry.value),
+      namespace: entry.namespace,
+      tags: entry.tags,
+      score,
+      updatedAt: new Date(entry.updatedAt),
+    }));
+  }
+
+  async listNamespaces() {
+    await this.initialize();
+
+    const now = Date.now();
+    return Array.from(this.data.entries())
+      .filter(([, namespaceMap]) =>
+        Array.from(namespaceMap.values()).some(
+          (entry) => !entry.expiresAt || entry.expiresAt > now,
+        ),
+      )
+      .map(([namespace]) => namespace)
+      .sort();
+  }
+
+  async getTagCounts(options = {}) {
+    await this.initialize();
+
+    const now = Date.now();
+    const entries = [];
+    for (const [namespace, namespaceMap] of this.data.entries()) {
+      if (options.namespace && namespace !== options.namespace) continue;
+      for (const entry of namespaceMap.values()) {
+        if (!entry.expiresAt || entry.expiresAt > now) entries.push(entry);
+      }
+    }
+    return countTags(entries);
+  }
+
   async cleanup() {
     await this.initialize();
 
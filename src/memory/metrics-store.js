@@ -0,0 +1,466 @@
+/**
+ * Time-series metrics store
+ *
+ * Points are kept in .swarm/metrics.db next to the memory store. Every
+ * point is also folded into per-minute and per-hour rollups (count, sum,
+ * min, max per name and label set) as it is recorded, so old raw points
+ * can be dropped while long ranges stay queryable. Retention is per tier:
+ *
+ *   raw     individual points           2 days
+ *   minute  1-minute rollups            14 days
+ *   hour    1-hour rollups              400 days
+ *
+ * Override under claudeFlow.metrics.retention in .claude/settings.json,
+ * e.g. { "raw": "6h", "hour": "90d" }.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createDatabase } from './sqlite-wrapper.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const DEFAULT_RETENTION = {
+  raw: 2 * DAY,
+  minute: 14 * DAY,
+  hour: 400 * DAY,
+};
+
+export const ROLLUP_TIERS = [
+  { name: 'minute', resolution: MINUTE },
+  { name: 'hour', resolution: HOUR },
+];
+
+const RETENTION_INTERVAL = HOUR;
+const MAX_BUCKETS = 5000;
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_.:-]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const UNITS = { ms: 1, s: 1000, m: MINUTE, h: HOUR, d: DAY, w: 7 * DAY };
+
+/**
+ * A bad metric name, label or range; the API answers these with 400
+ */
+export class MetricsQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetricsQueryError';
+  }
+}
+
+/**
+ * '500ms', '30s', '5m', '1h', '7d', '2w' or a number of milliseconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) return value;
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)?$/.exec(String(value).trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new MetricsQueryError(`Invalid duration: ${value} (use e.g. 30s, 5m, 1h, 7d)`);
+  }
+  return Math.round(Number(match[1]) * UNITS[match[2] || 'ms']);
+}
+
+/**
+ * 'now', 'now-6h', '-6h', epoch milliseconds or an ISO date
+ */
+export function parseTime(value, now = Date.now()) {
+  const text = String(value).trim();
+  if (text === 'now') return now;
+  const relative = /^(?:now)?-(.+)$/.exec(text);
+  if (relative) return now - parseDuration(relative[1]);
+  if (/^\d+$/.test(text)) return Number(text);
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) {
+    throw new MetricsQueryError(`Invalid time: ${value} (use now-6h, epoch ms or an ISO date)`);
+  }
+  return parsed;
+}
+
+/**
+ * Resolve { from, to, step } query parameters. Without a step the range
+ * is split into about 60 buckets, rounded to a whole number of seconds.
+ */
+export function parseRange(query = {}, options = {}) {
+  const now = options.now ?? Date.now();
+  const to = query.to !== undefined ? parseTime(query.to, now) : now;
+  const from =
+    query.from !== undefined ? parseTime(query.from, now) : to - (options.defaultRange || DAY);
+  if (from >= to) throw new MetricsQueryError('from must be before to');
+
+  const step =
+    query.step !== undefined
+      ? parseDuration(query.step)
+      : Math.max(1000, Math.ceil((to - from) / 60 / 1000) * 1000);
+  if ((to - from) / step > MAX_BUCKETS) {
+    throw new MetricsQueryError(`Range has more than ${MAX_BUCKETS} steps; use a larger step`);
+  }
+  return { from, to, step };
+}
+
+/**
+ * Retention from claudeFlow.metrics.retention in .claude/settings.json
+ */
+export function loadMetricsConfig(projectRoot = process.cwd()) {
+  const settingsPath = path.join(projectRoot, '.claude', 'settings.json');
+  let config = {};
+  if (fs.existsSync(settingsPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(settingsPath, 'utf8')).claudeFlow?.metrics || {};
+    } catch (error) {
+      throw new Error(`Invalid ${settingsPath}: ${error.message}`);
+    }
+  }
+
+  const retention = { ...DEFAULT_RETENTION };
+  for (const [tier, value] of Object.entries(config.retention || {})) {
+    if (!(tier in retention)) {
+      throw new Error(`Unknown metrics retention tier: ${tier} (raw, minute, hour)`);
+    }
+    retention[tier] = parseDuration(value);
+  }
+  return { ...config, retention };
+}
+
+function canonicalLabels(labels = {}) {
+  const entries = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .sort(([a], [b]) => a.localeCompare(b));
+  for (const [key] of entries) {
+    if (!LABEL_PATTERN.test(key)) throw new MetricsQueryError(`Invalid label name: ${key}`);
+  }
+  return JSON.stringify(Object.fromEntries(entries.map(([key, value]) => [key, String(value)])));
+}
+
+function labelFilter(labels = {}) {
+  const clauses = [];
+  const params = [];
+  for (const [key, value] of Object.entries(labels)) {
+    if (!LABEL_PATTERN.test(key)) throw new MetricsQueryError(`Invalid label name: ${key}`);
+    clauses.push(`json_extract(labels, '$.${key}') = ?`);
+    params.push(String(value));
+  }
+  return { sql: clauses.map((clause) => ` AND ${clause}`).join(''), params };
+}
+
+function summarize(row) {
+  return {
+    count: row.count,
+    sum: row.sum,
+    avg: row.count > 0 ? row.sum / row.count : null,
+    min: row.min,
+    max: row.max,
+  };
+}
+
+export class MetricsStore {
+  constructor(options = {}) {
+    this.options = {
+      directory: options.directory || path.join(process.cwd(), '.swarm'),
+      dbName: options.dbName || 'metrics.db',
+      ...options,
+    };
+    this.retention = { ...DEFAULT_RETENTION, ...options.retention };
+    this.db = null;
+    this.statements = new Map();
+    this.isInitialized = false;
+    this.opening = null;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+    // Callers that arrive while the database is opening share that open
+    this.opening ||= this.open().finally(() => {
+      this.opening = null;
+    });
+    return this.opening;
+  }
+
+  async open() {
+    fs.mkdirSync(this.options.directory, { recursive: true });
+    this.db = await createDatabase(path.join(this.options.directory, this.options.dbName));
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    // Hooks, the MCP server and hive-mind write from separate processes
+    this.db.pragma('busy_timeout = 5000');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS metric_points (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        value REAL NOT NULL,
+        labels TEXT NOT NULL DEFAULT '{}',
+        source TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_metric_points_name_ts ON metric_points(name, ts);
+      CREATE INDEX IF NOT EXISTS idx_metric_points_ts ON metric_points(ts);
+
+      CREATE TABLE IF NOT EXISTS metric_rollups (
+        name TEXT NOT NULL,
+        resolution INTEGER NOT NULL,
+        bucket INTEGER NOT NULL,
+        labels TEXT NOT NULL DEFAULT '{}',
+        count INTEGER NOT NULL,
+        sum REAL NOT NULL,
+        min REAL NOT NULL,
+        max REAL NOT NULL,
+        PRIMARY KEY (name, resolution, bucket, labels)
+      );
+      CREATE INDEX IF NOT EXISTS idx_metric_rollups_bucket ON metric_rollups(resolution, bucket);
+
+      CREATE TABLE IF NOT EXISTS metric_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    this.statements.set(
+      'insertPoint',
+      this.db.prepare(
+        'INSERT INTO metric_points (name, ts, value, labels, source) VALUES (?, ?, ?, ?, ?)',
+      ),
+    );
+    this.statements.set(
+      'upsertRollup',
+      this.db.prepare(`
+        INSERT INTO metric_rollups (name, resolution, bucket, labels, count, sum, min, max)
+        VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+        ON CONFLICT (name, resolution, bucket, labels) DO UPDATE SET
+          count = count + 1,
+          sum = sum + excluded.sum,
+          min = MIN(min, excluded.min),
+          max = MAX(max, excluded.max)
+      `),
+    );
+    this.statements.set('getMeta', this.db.prepare('SELECT value FROM metric_meta WHERE key = ?'));
+    this.statements.set(
+      'setMeta',
+      this.db.prepare(
+        'INSERT INTO metric_meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value',
+      ),
+    );
+
+    this.isInitialized = true;
+
+    const lastRun = Number(this.getMeta('retention:lastRun') || 0);
+    if (Date.now() - lastRun > RETENTION_INTERVAL) this.applyRetention();
+  }
+
+  /**
+   * Record one point. options: { labels, timestamp, source }
+   */
+  async record(name, value, options = {}) {
+    return this.recordMany([{ name, value, ...options }]);
+  }
+
+  /**
+   * Record points [{ name, value, labels, timestamp, source }] in one
+   * transaction
+   */
+  async recordMany(points) {
+    await this.initialize();
+
+    const rows = points.map((point) => {
+      if (typeof point.name !== 'string' || !NAME_PATTERN.test(point.name)) {
+        throw new MetricsQueryError(`Invalid metric name: ${point.name}`);
+      }
+      const value = Number(point.value);
+      if (!Number.isFinite(value)) {
+        throw new MetricsQueryError(`Invalid value for ${point.name}: ${point.value}`);
+      }
+      const ts = point.timestamp === undefined ? Date.now() : new Date(point.timestamp).getTime();
+      if (!Number.isFinite(ts)) {
+        throw new MetricsQueryError(`Invalid timestamp for ${point.name}: ${point.timestamp}`);
+      }
+      return [point.name, ts, value, canonicalLabels(point.labels), point.source || null];
+    });
+
+    const insert = this.statements.get('insertPoint');
+    const upsert = this.statements.get('upsertRollup');
+    this.db.transaction(() => {
+      for (const [name, ts, value, labels, source] of rows) {
+        insert.run(name, ts, value, labels, source);
+        for (const { resolution } of ROLLUP_TIERS) {
+          upsert.run(name, resolution, ts - (ts % resolution), labels, value, value, value);
+        }
+      }
+    })();
+    return rows.length;
+  }
+
+  /**
+   * The coarsest tier not coarser than the step, among the tiers that
+   * still hold data from `from`
+   */
+  selectTier(from, step, now = Date.now()) {
+    const tiers = [{ name: 'raw', resolution: 0 }, ...ROLLUP_TIERS];
+    const covering = tiers.filter((tier) => from >= now - this.retention[tier.name]);
+    const candidates = covering.length > 0 ? covering : [tiers[tiers.length - 1]];
+    const fitting = candidates.filter((tier) => tier.resolution <= step);
+    return fitting.length > 0 ? fitting[fitting.length - 1] : candidates[0];
+  }
+
+  /**
+   * Bucketed series for one metric over [from, to).
+   *
+   * options: { from, to, step, labels }. Buckets start at multiples of the
+   * step; empty buckets are left out. Rollup buckets count from the start
+   * of the one `from` falls in. A step finer than the tier that still holds
+   * the range is widened to that tier's resolution.
+   */
+  async query(name, options = {}) {
+    await this.initialize();
+    const { from, to } = options;
+    const tier = this.selectTier(from, options.step);
+    const step = Math.max(options.step, tier.resolution);
+    const alignedFrom = tier.resolution ? from - (from % tier.resolution) : from;
+    const filter = labelFilter(options.labels);
+
+    const rows =
+      tier.name === 'raw'
+        ? this.db
+            .prepare(
+              `SELECT (ts / ?) * ? AS bucket, COUNT(*) AS count, SUM(value) AS sum,
+                 MIN(value) AS min, MAX(value) AS max
+               FROM metric_points
+               WHERE name = ? AND ts >= ? AND ts < ?${filter.sql}
+               GROUP BY bucket ORDER BY bucket`,
+            )
+            .all(step, step, name, from, to, ...filter.params)
+        : this.db
+            .prepare(
+              `SELECT (bucket / ?) * ? AS bucket, SUM(count) AS count, SUM(sum) AS sum,
+                 MIN(min) AS min, MAX(max) AS max
+               FROM metric_rollups
+               WHERE name = ? AND resolution = ? AND bucket >= ? AND bucket < ?${filter.sql}
+               GROUP BY 1 ORDER BY 1`,
+            )
+            .all(step, step, name, tier.resolution, alignedFrom, to, ...filter.params);
+
+    return {
+      name,
+      from,
+      to,
+      step,
+      tier: tier.name,
+      points: rows.map((row) => ({ timestamp: row.bucket, ...summarize(row) })),
+    };
+  }
+
+  /**
+   * Totals for one metric over [from, to), optionally one row per value
+   * of the groupBy label. options: { from, to, labels, groupBy }
+   */
+  async totals(name, options = {}) {
+    await this.initialize();
+    const { from, to, groupBy } = options;
+    if (groupBy && !LABEL_PATTERN.test(groupBy)) {
+      throw new MetricsQueryError(`Invalid label name: ${groupBy}`);
+    }
+    // The finest tier that still holds the range
+    const tier = this.selectTier(from, 0);
+    const alignedFrom = tier.resolution ? from - (from % tier.resolution) : from;
+    const filter = labelFilter(options.labels);
+    const group = groupBy ? `json_extract(labels, '$.${groupBy}')` : 'NULL';
+
+    const rows =
+      tier.name === 'raw'
+        ? this.db
+            .prepare(
+              `SELECT ${group} AS grp, COUNT(*) AS count, SUM(value) AS sum,
+                 MIN(value) AS min, MAX(value) AS max
+               FROM metric_points
+               WHERE name = ? AND ts >= ? AND ts < ?${filter.sql}
+               GROUP BY grp ORDER BY sum DESC`,
+            )
+            .all(name, from, to, ...filter.params)
+        : this.db
+            .prepare(
+              `SELECT ${group} AS grp, SUM(count) AS count, SUM(sum) AS sum,
+                 MIN(min) AS min, MAX(max) AS max
+               FROM metric_rollups
+               WHERE name = ? AND resolution = ? AND bucket >= ? AND bucket < ?${filter.sql}
+               GROUP BY grp ORDER BY sum DESC`,
+            )
+            .all(name, tier.resolution, alignedFrom, to, ...filter.params);
+
+    const results = rows
+      .filter((row) => row.count > 0)
+      .map((row) => ({
+        ...(groupBy && { [groupBy]: row.grp }),
+        ...summarize(row),
+      }));
+    if (groupBy) return results;
+    return results[0] || { count: 0, sum: 0, avg: null, min: null, max: null };
+  }
+
+  /**
+   * Metric names with their point counts and time span (from the hourly
+   * rollups, which cover the longest retention)
+   */
+  async listMetrics() {
+    await this.initialize();
+    return this.db
+      .prepare(
+        `SELECT name, SUM(count) AS count, MIN(bucket) AS first, MAX(bucket) AS last
+         FROM metric_rollups WHERE resolution = ? GROUP BY name ORDER BY name`,
+      )
+      .all(HOUR);
+  }
+
+  /**
+   * Drop points and rollups older than their tier's retention
+   */
+  applyRetention(now = Date.now()) {
+    const removed = {
+      raw: this.db.prepare('DELETE FROM metric_points WHERE ts < ?').run(now - this.retention.raw)
+        .changes,
+    };
+    for (const { name, resolution } of ROLLUP_TIERS) {
+      removed[name] = this.db
+        .prepare('DELETE FROM metric_rollups WHERE resolution = ? AND bucket < ?')
+        .run(resolution, now - this.retention[name]).changes;
+    }
+    this.setMeta('retention:lastRun', String(now));
+    return removed;
+  }
+
+  getMeta(key) {
+    return this.statements.get('getMeta').get(key)?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.statements.get('setMeta').run(key, value);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.isInitialized = false;
+    }
+  }
+}
+
+/**
+ * Record points from a short-lived process (a hook, a CLI command) into
+ * the project's store. Metrics are best effort: failures are logged and
+ * never reach the caller.
+ */
+export async function recordMetrics(points, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  let store;
+  try {
+    const { retention } = loadMetricsConfig(cwd);
+    store = new MetricsStore({ directory: path.join(cwd, '.swarm'), retention });
+    return await store.recordMany(points);
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] WARN [metrics-store] Could not record metrics: ${error.message}`,
+    );
+    return 0;
+  } finally {
+    store?.close();
+  }
+}
@@ -10,6 +10,8 @@ import path from 'path';
 import fs from 'fs/promises';
 import { EventEmitter } from 'events';
 import { performance } from 'perf_hooks';
+import { DEFAULT_HIGHLIGHT, parseSearchQuery, toFtsMatch } from './fts.js';
+import { normalizeTags, normalizeTagFilter, tagFilterSql, tagFilterParams } from './tags.js';
 
 /**
  * Migration definitions for schema evolution
@@ -78,6 +80,38 @@ const MIGRATIONS = [
       UPDATE metadata SET value = '1.1.0', updated_at = strftime('%s', 'now') WHERE key = 'version';
     `,
   },
+  {
+    version: 3,
+    description: 'Add FTS5 full-text index',
+    sql: `
+      -- Full-text index over key and value, kept in sync with memory_store
+      CREATE VIRTUAL TABLE IF NOT EXISTS memory_store_fts USING fts5(
+        key, value,
+        content = 'memory_store', content_rowid = 'id',
+        tokenize = 'porter unicode61'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS memory_store_fts_insert AFTER INSERT ON memory_store BEGIN
+        INSERT INTO memory_store_fts(rowid, key, value) VALUES (new.id, new.key, new.value);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS memory_store_fts_delete AFTER DELETE ON memory_store BEGIN
+        INSERT INTO memory_store_fts(memory_store_fts, rowid, key, value)
+        VALUES ('delete', old.id, old.key, old.value);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS memory_store_fts_update AFTER UPDATE OF key, value ON memory_store BEGIN
+        INSERT INTO memory_store_fts(memory_store_fts, rowid, key, value)
+        VALUES ('delete', old.id, old.key, old.value);
+        INSERT INTO memory_store_fts(rowid, key, value) VALUES (new.id, new.key, new.value);
+      END;
+
+      -- Index existing rows
+      INSERT INTO memory_store_fts(memory_store_fts) VALUES ('rebuild');
+
+      UPDATE metadata SET value = '1.2.0', updated_at = strftime('%s', 'now') WHERE key = 'version';
+    `,
+  },
 ];
 
 /**
@@ -259,7 +293,8 @@ export class SharedMemory extends EventEmitter {
     try {
       const namespace = options.namespace || 'default';
       const ttl = options.ttl;
-      const tags = options.tags ? JSON.stringify(options.tags) : null;
+      const tagList = normalizeTags(options.tags);
+      const tags = tagList.length ? JSON.stringify(tagList) : null;
       const metadata = options.metadata ? JSON.stringify(options.metadata) : null;
 
       // Serialize value
@@ -480,16 +515,23 @@ export class SharedMemory extends EventEmitter {
   }
 
   /**
-   * Search entries by pattern or tags
+   * Search entries by pattern or tags. `tags` must all be present, at least
+   * one of `anyTags` must be, and none of `excludeTags` may be; each accepts
+   * an array or a comma-separated string.
    */
   async search(options = {}) {
     this._ensureInitialized();
 
-    const { pattern, namespace, tags, limit = 50, offset = 0 } = options;
+    const { pattern, namespace, limit = 50, offset = 0 } = options;
+
+    if (options.query) {
+      return this._fullTextSearch(options);
+    }
 
     try {
       let query = 'SELECT * FROM memory_store WHERE 1=1';
       const params = [];
+      const tagFilter = normalizeTagFilter(options);
 
       if (namespace) {
         query += ' AND namespace = ?';
@@ -501,9 +543,9 @@ export class SharedMemory extends EventEmitter {
         params.push(`%${pattern}%`);
       }
 
-      if (tags && tags.length > 0) {
-        // Simple tag search - in production, use JSON functions
-        query += ' AND tags IS NOT NULL';
+      if (tagFilter) {
+        query += ` AND ${tagFilterSql('tags')}`;
+        params.push(...tagFilterParams(tagFilter));
       }
 
       query += ' ORDER BY accessed_at DESC LIMIT ? OFFSET ?';
@@ -525,6 +567,79 @@ export class SharedMemory extends EventEmitter {
     }
   }
 
+  /**
+   * Relevance-ranked search through the FTS5 index (see fts.js for syntax).
+   * Results carry a BM25 score (higher is better) and a highlighted snippet.
+   */
+  _fullTextSearch(options) {
+    const { query, namespace, limit = 50, offset = 0 } = options;
+    const { open, close } = options.highlight || DEFAULT_HIGHLIGHT;
+
+    try {
+      let sql = `
+        SELECT m.*, bm25(memory_store_fts, 2.0, 1.0) AS rank,
+               snippet(memory_store_fts, 1, ?, ?, '…', 12) AS snippet
+        FROM memory_store_fts
+        JOIN memory_store m ON m.id = memory_store_fts.rowid
+        WHERE memory_store_fts MATCH ?
+          AND (m.expires_at IS NULL OR m.expires_at > strftime('%s', 'now'))
+      `;
+      const params = [open, close, toFtsMatch(parseSearchQuery(query))];
+      const tagFilter = normalizeTagFilter(options);
+
+      if (namespace) {
+        sql += ' AND m.namespace = ?';
+        params.push(namespace);
+      }
+
+      if (tagFilter) {
+        sql += ` AND ${tagFilterSql('m.tags')}`;
+        params.push(...tagFilterParams(tagFilter));
+      }
+
+      sql += ' ORDER BY rank LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      return this.db
+        .prepare(sql)
+        .all(...params)
+        .map((row) => ({
+          key: row.key,
+          namespace: row.namespace,
+          value: row.type === 'json' ? JSON.parse(row.value) : row.value,
+          metadata: row.metadata ? JSON.parse(row.metadata) : null,
+          tags: row.tags ? JSON.parse(row.tags) : [],
+          score: -row.rank,
+          snippet: row.snippet,
+        }));
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count tag usage per namespace, optionally for a single namespace.
+   * Returns { [namespace]: { [tag]: count } }, most used tags first.
+   */
+  async getTagCounts(namespace = null) {
+    this._ensureInitialized();
+
+    try {
+      const rows = this.statements.get('tagCounts').all(namespace, namespace);
+
+      const counts = {};
+      for (const row of rows) {
+        counts[row.namespace] ??= {};
+        counts[row.namespace][row.tag] = row.count;
+      }
+      return counts;
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
   /**
    * Backup the database
    */
@@ -559,10 +674,7 @@ export class SharedMemory extends EventEmitter {
         this.db.pragma('optimize');
       }
 
-      // Close statements
-      for (const stmt of this.statements.values()) {
-        stmt.finalize();
-      }
+      // better-sqlite3 statements are released with the database
       this.statements.clear();
 
       // Close database
@@ -715,6 +827,20 @@ export class SharedMemory extends EventEmitter {
     `),
     );
 
+    // Tag counts statement
+    this.statements.set(
+      'tagCounts',
+      this.db.prepare(`
+      SELECT m.namespace, tag.value AS tag, COUNT(*) AS count
+      FROM memory_store m, json_each(m.tags) tag
+      WHERE m.tags IS NOT NULL
+        AND (? IS NULL OR m.namespace = ?)
+        AND (m.expires_at IS NULL OR m.expires_at > strftime('%s', 'now'))
+      GROUP BY m.namespace, tag.value
+      ORDER BY m.namespace, count DESC, tag
+    `),
+    );
+
     // Garbage collection statement
     this.statements.set(
       'gc',
@@ -8,6 +8,27 @@ import { promises as fs } from 'fs';
 import { fileURLToPath } from 'url';
 import os from 'os';
 import { createDatabase } from './sqlite-wrapper.js';
+import {
+  getDefaultEmbedder,
+  textForEmbedding,
+  serializeVector,
+  deserializeVector,
+  rankBySimilarity,
+} from './embeddings.js';
+import {
+  DEFAULT_HIGHLIGHT,
+  parseSearchQuery,
+  toFtsMatch,
+  rankDocuments,
+  makeSnippet,
+} from './fts.js';
+import {
+  normalizeTags,
+  normalizeTagFilter,
+  tagFilterSql,
+  tagFilterParams,
+  matchesTags,
+} from './tags.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,6 +44,7 @@ class SqliteMemoryStore {
     this.db = null;
     this.statements = new Map();
     this.isInitialized = false;
+    this.ftsEnabled = false;
   }
 
   /**
@@ -100,6 +122,72 @@ class SqliteMemoryStore {
       CREATE INDEX IF NOT EXISTS idx_memory_expires ON memory_entries(expires_at) WHERE expires_at IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_memory_accessed ON memory_entries(accessed_at);
     `);
+
+    // Vectors live alongside each row; databases created before semantic
+    // search get the columns added and are embedded lazily on first search
+    const columns = this.db
+      .prepare('PRAGMA table_info(memory_entries)')
+      .all()
+      .map((column) => column.name);
+    if (!columns.includes('embedding')) {
+      this.db.exec('ALTER TABLE memory_entries ADD COLUMN embedding BLOB');
+    }
+    if (!columns.includes('embedding_model')) {
+      this.db.exec('ALTER TABLE memory_entries ADD COLUMN embedding_model TEXT');
+    }
+    // Tags are a JSON array, queried with SQLite's JSON functions
+    if (!columns.includes('tags')) {
+      this.db.exec('ALTER TABLE memory_entries ADD COLUMN tags TEXT');
+    }
+
+    this._createFullTextIndex();
+  }
+
+  /**
+   * FTS5 index over key and value, kept in sync by triggers. Builds without
+   * FTS5 fall back to ranking in JavaScript.
+   */
+  _createFullTextIndex() {
+    const exists = this.db
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'memory_fts'")
+      .get();
+
+    try {
+      this.db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS memory_fts USING fts5(
+          key, value,
+          content = 'memory_entries', content_rowid = 'id',
+          tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS memory_fts_insert AFTER INSERT ON memory_entries BEGIN
+          INSERT INTO memory_fts(rowid, key, value) VALUES (new.id, new.key, new.value);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memory_fts_delete AFTER DELETE ON memory_entries BEGIN
+          INSERT INTO memory_fts(memory_fts, rowid, key, value)
+          VALUES ('delete', old.id, old.key, old.value);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memory_fts_update AFTER UPDATE OF key, value ON memory_entries BEGIN
+          INSERT INTO memory_fts(memory_fts, rowid, key, value)
+          VALUES ('delete', old.id, old.key, old.value);
+          INSERT INTO memory_fts(rowid, key, value) VALUES (new.id, new.key, new.value);
+        END;
+      `);
+
+      if (!exists) {
+        // Index rows written before the FTS table existed
+        this.db.exec("INSERT INTO memory_fts(memory_fts) VALUES ('rebuild')");
+      }
+      this.ftsEnabled = true;
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] WARN [memory-store] FTS5 unavailable, full-text search will scan:`,
+        error.message,
+      );
+      this.ftsEnabled = false;
+    }
   }
 
   _prepareStatements() {
@@ -107,13 +195,16 @@ class SqliteMemoryStore {
     this.statements.set(
       'upsert',
       this.db.prepare(`
-      INSERT INTO memory_entries (key, value, namespace, metadata, ttl, expires_at)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO memory_entries (key, value, namespace, metadata, tags, ttl, expires_at, embedding, embedding_model)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(key, namespace) DO UPDATE SET
         value = excluded.value,
         metadata = excluded.metadata,
+        tags = excluded.tags,
         ttl = excluded.ttl,
         expires_at = excluded.expires_at,
+        embedding = excluded.embedding,
+        embedding_model = excluded.embedding_model,
         updated_at = strftime('%s', 'now'),
         access_count = memory_entries.access_count + 1
     `),
@@ -134,7 +225,7 @@ class SqliteMemoryStore {
       this.db.prepare(`
       SELECT * FROM memory_entries 
       WHERE namespace = ? AND (expires_at IS NULL OR expires_at > strftime('%s', 'now'))
-      ORDER BY updated_at DESC
+      ORDER BY updated_at DESC, id DESC
       LIMIT ?
     `),
     );
@@ -147,6 +238,16 @@ class SqliteMemoryStore {
     `),
     );
 
+    // Prune statement: keeps the newest entries of a namespace
+    this.statements.set(
+      'prune',
+      this.db.prepare(`
+      DELETE FROM memory_entries WHERE namespace = ? AND id NOT IN (
+        SELECT id FROM memory_entries WHERE namespace = ? ORDER BY id DESC LIMIT ?
+      )
+    `),
+    );
+
     // Search statement
     this.statements.set(
       'search',
@@ -154,11 +255,73 @@ class SqliteMemoryStore {
       SELECT * FROM memory_entries 
       WHERE namespace = ? AND (key LIKE ? OR value LIKE ?) 
       AND (expires_at IS NULL OR expires_at > strftime('%s', 'now'))
+      AND ${tagFilterSql('tags')}
       ORDER BY access_count DESC, updated_at DESC
       LIMIT ?
     `),
     );
 
+    // Semantic search candidates
+    this.statements.set(
+      'vectors',
+      this.db.prepare(`
+      SELECT key, value, namespace, tags, embedding, embedding_model, updated_at FROM memory_entries
+      WHERE namespace = ? AND (expires_at IS NULL OR expires_at > strftime('%s', 'now'))
+      AND ${tagFilterSql('tags')}
+    `),
+    );
+
+    this.statements.set(
+      'setEmbedding',
+      this.db.prepare(`
+      UPDATE memory_entries SET embedding = ?, embedding_model = ? WHERE key = ? AND namespace = ?
+    `),
+    );
+
+    if (this.ftsEnabled) {
+      // Full-text search; key matches weigh twice as much as value matches.
+      // A null namespace list searches every namespace.
+      this.statements.set(
+        'fullText',
+        this.db.prepare(`
+        SELECT e.key, e.value, e.namespace, e.tags, e.updated_at,
+               bm25(memory_fts, 2.0, 1.0) AS rank,
+               snippet(memory_fts, 1, ?, ?, '…', ?) AS snippet
+        FROM memory_fts
+        JOIN memory_entries e ON e.id = memory_fts.rowid
+        WHERE memory_fts MATCH ?
+          AND (? IS NULL OR e.namespace IN (SELECT value FROM json_each(?)))
+          AND (e.expires_at IS NULL OR e.expires_at > strftime('%s', 'now'))
+          AND ${tagFilterSql('e.tags')}
+        ORDER BY rank
+        LIMIT ? OFFSET ?
+      `),
+      );
+    }
+
+    // Namespaces statement
+    this.statements.set(
+      'namespaces',
+      this.db.prepare(`
+      SELECT DISTINCT namespace FROM memory_entries
+      WHERE expires_at IS NULL OR expires_at > strftime('%s', 'now')
+      ORDER BY namespace
+    `),
+    );
+
+    // Tag usage per namespace; a null namespace counts every namespace
+    this.statements.set(
+      'tagCounts',
+      this.db.prepare(`
+      SELECT e.namespace, tag.value AS tag, COUNT(*) AS count
+      FROM memory_entries e, json_each(e.tags) tag
+      WHERE e.tags IS NOT NULL AND (? IS NULL OR e.namespace = ?)
+      AND (e.expires_at IS NULL OR e.expires_at > strftime('%s', 'now'))
+      GROUP BY e.namespace, tag.value
+      ORDER BY e.namespace, count DESC, tag
+    `),
+    );
+
     // Cleanup statement
     this.statements.set(
       'cleanup',
@@ -183,14 +346,27 @@ class SqliteMemoryStore {
 
     const namespace = options.namespace || 'default';
     const metadata = options.metadata ? JSON.stringify(options.metadata) : null;
+    const tags = normalizeTags(options.tags);
     const ttl = options.ttl || null;
     const expiresAt = ttl ? Math.floor(Date.now() / 1000) + ttl : null;
     const valueStr = typeof value === 'string' ? value : JSON.stringify(value);
+    const embedder = this._getEmbedder();
+    const embedding = await this._embed(embedder, key, valueStr);
 
     try {
       const result = this.statements
         .get('upsert')
-        .run(key, valueStr, namespace, metadata, ttl, expiresAt);
+        .run(
+          key,
+          valueStr,
+          namespace,
+          metadata,
+          tags.length ? JSON.stringify(tags) : null,
+          ttl,
+          expiresAt,
+          embedding ? serializeVector(embedding) : null,
+          embedding ? embedder.id : null,
+        );
 
       return {
         success: true,
@@ -244,6 +420,7 @@ class SqliteMemoryStore {
         value: this._tryParseJson(row.value),
         namespace: row.namespace,
         metadata: row.metadata ? JSON.parse(row.metadata) : null,
+        tags: this._parseTags(row.tags),
         createdAt: new Date(row.created_at * 1000),
         updatedAt: new Date(row.updated_at * 1000),
         accessCount: row.access_count,
@@ -268,22 +445,41 @@ class SqliteMemoryStore {
     }
   }
 
+  /**
+   * Delete all but the `keep` most recently added entries of a namespace.
+   * Returns the number of entries deleted.
+   */
+  async prune(options = {}) {
+    await this.initialize();
+
+    const namespace = options.namespace || 'default';
+
+    try {
+      return this.statements.get('prune').run(namespace, namespace, options.keep).changes;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ERROR [memory-store] Prune failed:`, error);
+      throw error;
+    }
+  }
+
   async search(pattern, options = {}) {
     await this.initialize();
 
     const namespace = options.namespace || 'default';
     const limit = options.limit || 50;
     const searchPattern = `%${pattern}%`;
+    const tagParams = tagFilterParams(normalizeTagFilter(options));
 
     try {
       const rows = this.statements
         .get('search')
-        .all(namespace, searchPattern, searchPattern, limit);
+        .all(namespace, searchPattern, searchPattern, ...tagParams, limit);
 
       return rows.map((row) => ({
         key: row.key,
         value: this._tryParseJson(row.value),
         namespace: row.namespace,
+        tags: this._parseTags(row.tags),
         score: row.access_count,
         updatedAt: new Date(row.updated_at * 1000),
       }));
@@ -293,6 +489,193 @@ class SqliteMemoryStore {
     }
   }
 
+  /**
+   * Relevance-ranked keyword search. Supports phrases ("a b"), prefixes (ab*),
+   * OR and -exclusions; see fts.js. `namespace` may be a name, an array of
+   * names, or '*' for all namespaces. Scores are BM25, higher is better.
+   * Tag filters (tags, anyTags, excludeTags) work as in search().
+   */
+  async fullTextSearch(query, options = {}) {
+    await this.initialize();
+
+    const parsed = parseSearchQuery(query);
+    const namespaces = this._namespaceFilter(options.namespace);
+    const limit = options.limit || 20;
+    const offset = options.offset || 0;
+    const { open, close } = options.highlight || DEFAULT_HIGHLIGHT;
+    const snippetTokens = options.snippetTokens || 12;
+    const tagFilter = normalizeTagFilter(options);
+
+    try {
+      if (!this.ftsEnabled) {
+        return this._scanFullText(parsed, namespaces, {
+          tagFilter,
+          limit,
+          offset,
+          open,
+          close,
+          snippetTokens,
+        });
+      }
+
+      const namespaceJson = namespaces ? JSON.stringify(namespaces) : null;
+      const rows = this.statements
+        .get('fullText')
+        .all(
+          open,
+          close,
+          snippetTokens,
+          toFtsMatch(parsed),
+          namespaceJson,
+          namespaceJson,
+          ...tagFilterParams(tagFilter),
+          limit,
+          offset,
+        );
+
+      return rows.map((row) => ({
+        key: row.key,
+        value: this._tryParseJson(row.value),
+        namespace: row.namespace,
+        tags: this._parseTags(row.tags),
+        // bm25() is lower-is-better; flip it so callers can sort descending
+        score: -row.rank,
+        snippet: row.snippet,
+        updatedAt: new Date(row.updated_at * 1000),
+      }));
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ERROR [memory-store] Full-text search failed:`,
+        error,
+      );
+      throw error;
+    }
+  }
+
+  _namespaceFilter(namespace) {
+    if (namespace === '*') return null;
+    if (Array.isArray(namespace)) return namespace;
+    return [namespace || 'default'];
+  }
+
+  _scanFullText(parsed, namespaces, { tagFilter, limit, offset, open, close, snippetTokens }) {
+    const rows = this.db
+      .prepare(
+        `SELECT key, value, namespace, tags, updated_at FROM memory_entries
+         WHERE expires_at IS NULL OR expires_at > strftime('%s', 'now')`,
+      )
+      .all()
+      .filter((row) => !namespaces || namespaces.includes(row.namespace))
+      .filter((row) => matchesTags(this._parseTags(row.tags), tagFilter));
+
+    return rankDocuments(
+      parsed,
+      rows.map((row) => ({ row, fields: { key: row.key, value: row.value } })),
+      { weights: { key: 2 } },
+    )
+      .slice(offset, offset + limit)
+      .map(({ document: { row }, score }) => ({
+        key: row.key,
+        value: this._tryParseJson(row.value),
+        namespace: row.namespace,
+        tags: this._parseTags(row.tags),
+        score,
+        snippet: makeSnippet(row.value, parsed, {
+          highlight: { open, close },
+          tokens: snippetTokens,
+        }),
+        updatedAt: new Date(row.updated_at * 1000),
+      }));
+  }
+
+  /**
+   * Rank entries in a namespace by embedding similarity to the query.
+   * Rows embedded by a different model (or not at all) are re-embedded and saved.
+   */
+  async semanticSearch(query, options = {}) {
+    await this.initialize();
+
+    const namespace = options.namespace || 'default';
+    const limit = options.limit || 10;
+    const embedder = this._getEmbedder();
+    const tagParams = tagFilterParams(normalizeTagFilter(options));
+
+    try {
+      const candidates = [];
+      for (const row of this.statements.get('vectors').all(namespace, ...tagParams)) {
+        let vector = row.embedding_model === embedder.id ? deserializeVector(row.embedding) : null;
+        if (!vector) {
+          vector = await this._embed(embedder, row.key, row.value);
+          if (!vector) continue;
+          this.statements
+            .get('setEmbedding')
+            .run(serializeVector(vector), embedder.id, row.key, row.namespace);
+        }
+        candidates.push({ row, vector });
+      }
+
+      const ranked = await rankBySimilarity(query, candidates, {
+        embedder,
+        limit,
+        minScore: options.minScore,
+      });
+
+      return ranked.map(({ row, score }) => ({
+        key: row.key,
+        value: this._tryParseJson(row.value),
+        namespace: row.namespace,
+        tags: this._parseTags(row.tags),
+        score,
+        updatedAt: new Date(row.updated_at * 1000),
+      }));
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ERROR [memory-store] Semantic search failed:`,
+        error,
+      );
+      throw error;
+    }
+  }
+
+  async listNamespaces() {
+    await this.initialize();
+
+    try {
+      return this.statements
+        .get('namespaces')
+        .all()
+        .map((row) => row.namespace);
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ERROR [memory-store] List namespaces failed:`,
+        error,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Tag usage as { [namespace]: { [tag]: count } }, most used first.
+   * Counts every namespace unless options.namespace is given.
+   */
+  async getTagCounts(options = {}) {
+    await this.initialize();
+
+    const namespace = options.namespace || null;
+
+    try {
+      const counts = {};
+      for (const row of this.statements.get('tagCounts').all(namespace, namespace)) {
+        counts[row.namespace] ??= {};
+        counts[row.namespace][row.tag] = row.count;
+      }
+      return counts;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ERROR [memory-store] Tag counts failed:`, error);
+      throw error;
+    }
+  }
+
   async cleanup() {
     await this.initialize();
 
@@ -305,6 +688,27 @@ class SqliteMemoryStore {
     }
   }
 
+  _getEmbedder() {
+    return this.options.embedder || getDefaultEmbedder();
+  }
+
+  async _embed(embedder, key, value) {
+    try {
+      return await embedder.embed(textForEmbedding(key, value));
+    } catch (error) {
+      // Entries stay searchable by pattern; the vector is retried on the next semantic search
+      console.error(
+        `[${new Date().toISOString()}] WARN [memory-store] Embedding failed for ${key}:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+
+  _parseTags(tags) {
+    return tags ? JSON.parse(tags) : [];
+  }
+
   _tryParseJson(value) {
     try {
       return JSON.parse(value);
@@ -11,7 +11,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let Database = null;
-let sqliteAvailable = false;
+// null until the first load attempt settles it
+let sqliteAvailable = null;
 let loadError = null;
 
 /**
@@ -27,6 +28,7 @@ function tryLoadSQLite() {
       return true;
     }).catch(err => {
       loadError = err;
+      sqliteAvailable = false;
       return false;
     });
   } catch (err) {
@@ -38,6 +40,7 @@ function tryLoadSQLite() {
       return Promise.resolve(true);
     } catch (requireErr) {
       loadError = requireErr;
+      sqliteAvailable = false;
       
       // Check for specific Windows errors
       if (requireErr.message.includes('was compiled against a different Node.js version') ||
@@ -6,6 +6,8 @@
  */
 
 import { SharedMemory } from './shared-memory.js';
+import { SqliteMemoryStore } from './sqlite-store.js';
+import { AgentRegistry } from './agent-registry.js';
 import path from 'path';
 
 /**
@@ -40,6 +42,10 @@ export class SwarmMemory extends SharedMemory {
     this.agentCache = new Map();
     this.taskCache = new Map();
     this.patternCache = new Map();
+
+    // Shared registry in .swarm/memory.db, opened on first storeAgent
+    this.agentRegistry = options.agentRegistry || null;
+    this.registryStore = null;
   }
 
   /**
@@ -79,6 +85,7 @@ export class SwarmMemory extends SharedMemory {
 
     // Update agent cache
     this.agentCache.set(agentId, enrichedData);
+    await this._registerAgent(agentId, agentData);
 
     this.emit('swarm:agentStored', { agentId, type: agentData.type });
 
@@ -541,6 +548,15 @@ export class SwarmMemory extends SharedMemory {
     return imported;
   }
 
+  async close() {
+    await super.close();
+    if (this.registryStore) {
+      this.registryStore.close();
+      this.registryStore = null;
+      this.agentRegistry = null;
+    }
+  }
+
   /**
    * Private helper methods
    */
@@ -589,6 +605,29 @@ export class SwarmMemory extends SharedMemory {
     }
   }
 
+  /**
+   * Mirror an agent into the shared agent registry so `claude-flow agent`
+   * and the MCP tools see it. Failures are logged, not thrown.
+   */
+  async _registerAgent(agentId, agentData) {
+    try {
+      if (!this.agentRegistry) {
+        this.registryStore = new SqliteMemoryStore({
+          directory: path.resolve(this.options.directory),
+        });
+        this.agentRegistry = new AgentRegistry({ store: this.registryStore });
+      }
+      await this.agentRegistry.upsert(agentId, {
+        ...agentData,
+        swarmId: agentData.swarmId || this.swarmId,
+      });
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] WARN [swarm-memory] Could not register agent ${agentId}: ${error.message}`,
+      );
+    }
+  }
+
   async _countNamespace(namespace) {
     const stats = await this.getStats();
     return stats.namespaces[namespace]?.count || 0;
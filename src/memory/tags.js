@@ -0,0 +1,91 @@
+/**
+ * Tag filtering shared by the memory stores
+ * Tags are stored as a JSON array per entry. A filter combines three lists:
+ *   all  - entry must carry every tag
+ *   any  - entry must carry at least one tag
+ *   none - entry must carry none of the tags
+ */
+
+/**
+ * Accepts an array or a comma-separated string; trims, drops empties and
+ * duplicates
+ */
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === '') return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map((tag) => String(tag).trim()).filter(Boolean))];
+}
+
+/**
+ * Build a filter from search options: `tags` (all of), `anyTags` and
+ * `excludeTags`. Returns null when no tag constraint was given.
+ */
+function normalizeTagFilter(options = {}) {
+  const filter = {
+    all: normalizeTags(options.tags),
+    any: normalizeTags(options.anyTags),
+    none: normalizeTags(options.excludeTags),
+  };
+  return filter.all.length || filter.any.length || filter.none.length ? filter : null;
+}
+
+/**
+ * SQL condition over a JSON tags column. Takes six positional parameters,
+ * produced by tagFilterParams(), so it can live in a prepared statement.
+ */
+function tagFilterSql(column) {
+  const tags = `json_each(COALESCE(${column}, '[]'))`;
+  return `
+    (? IS NULL OR NOT EXISTS (
+      SELECT 1 FROM json_each(?) wanted
+      WHERE wanted.value NOT IN (SELECT value FROM ${tags})))
+    AND (? IS NULL OR EXISTS (
+      SELECT 1 FROM ${tags} tag WHERE tag.value IN (SELECT value FROM json_each(?))))
+    AND (? IS NULL OR NOT EXISTS (
+      SELECT 1 FROM ${tags} tag WHERE tag.value IN (SELECT value FROM json_each(?))))`;
+}
+
+function tagFilterParams(filter) {
+  const json = (tags = []) => (tags.length ? JSON.stringify(tags) : null);
+  const all = json(filter?.all);
+  const any = json(filter?.any);
+  const none = json(filter?.none);
+  return [all, all, any, any, none, none];
+}
+
+function matchesTags(entryTags, filter) {
+  if (!filter) return true;
+  const tags = new Set(entryTags || []);
+  return (
+    filter.all.every((tag) => tags.has(tag)) &&
+    (filter.any.length === 0 || filter.any.some((tag) => tags.has(tag))) &&
+    !filter.none.some((tag) => tags.has(tag))
+  );
+}
+
+/**
+ * Count tag usage per namespace for entries shaped { namespace, tags }.
+ * Returns { [namespace]: { [tag]: count } }, most used tags first, matching
+ * the order of the SQL stores.
+ */
+function countTags(entries) {
+  const counts = {};
+  for (const entry of entries) {
+    for (const tag of entry.tags || []) {
+      counts[entry.namespace] ??= {};
+      counts[entry.namespace][tag] = (counts[entry.namespace][tag] || 0) + 1;
+    }
+  }
+
+  const sorted = {};
+  for (const namespace of Object.keys(counts).sort()) {
+    sorted[namespace] = Object.fromEntries(
+      Object.entries(counts[namespace]).sort(
+        ([tagA, a], [tagB, b]) => b - a || tagA.localeCompare(tagB),
+      ),
+    );
+  }
+  return sorted;
+}
+
+export { normalizeTags, normalizeTagFilter, tagFilterSql, tagFilterParams, matchesTags, countTags };
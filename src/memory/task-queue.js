@@ -0,0 +1,489 @@
+/**
+ * Durable task queue
+ *
+ * Tasks live in the task_queue table of .swarm/memory.db, next to the
+ * memory store, so `claude-flow task`, the MCP server and agents in other
+ * processes share one queue. A task moves through
+ *
+ *   queued -> running -> completed
+ *                     -> failed     (after its last attempt)
+ *          -> cancelled
+ *
+ * Workers claim the highest-priority queued task whose dependencies have
+ * completed. A claim is a lease: a worker that does not finish or renew it
+ * before it expires loses the task, which is queued again until it runs
+ * out of attempts. Claims run in an immediate transaction, so two
+ * processes never get the same task.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createDatabase } from './sqlite-wrapper.js';
+
+export const TASK_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+export const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// Named priorities used by the MCP tools; the CLI takes 1-10
+export const PRIORITY_LEVELS = { low: 3, medium: 5, high: 8, critical: 10 };
+
+export const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * A task that does not exist or cannot make the requested move
+ */
+export class TaskQueueError extends Error {
+  constructor(message, code = 'INVALID') {
+    super(message);
+    this.name = 'TaskQueueError';
+    this.code = code;
+  }
+}
+
+/**
+ * 1-10 or low/medium/high/critical
+ */
+export function normalizePriority(value = PRIORITY_LEVELS.medium) {
+  if (typeof value === 'string' && value.toLowerCase() in PRIORITY_LEVELS) {
+    return PRIORITY_LEVELS[value.toLowerCase()];
+  }
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+    throw new TaskQueueError(`Invalid priority: ${value} (1-10 or low, medium, high, critical)`);
+  }
+  return priority;
+}
+
+function generateTaskId() {
+  return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function fromJson(text) {
+  if (text === null || text === undefined) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function isoTime(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function toTask(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    swarmId: row.swarm_id,
+    type: row.type,
+    description: row.description,
+    priority: row.priority,
+    status: row.status,
+    dependencies: fromJson(row.dependencies) || [],
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    agentId: row.agent_id,
+    leaseExpiresAt: isoTime(row.lease_expires_at),
+    result: fromJson(row.result),
+    error: row.error,
+    metadata: fromJson(row.metadata) || {},
+    createdAt: isoTime(row.created_at),
+    updatedAt: isoTime(row.updated_at),
+    startedAt: isoTime(row.started_at),
+    completedAt: isoTime(row.completed_at),
+    duration: row.started_at && row.completed_at ? row.completed_at - row.started_at : null,
+  };
+}
+
+export class TaskQueue {
+  constructor(options = {}) {
+    this.options = {
+      directory: options.directory || path.join(process.cwd(), '.swarm'),
+      dbName: options.dbName || 'memory.db',
+      ...options,
+    };
+    this.db = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    fs.mkdirSync(this.options.directory, { recursive: true });
+    this.db = await createDatabase(path.join(this.options.directory, this.options.dbName));
+    this.db.pragma('journal_mode = WAL');
+    // The CLI, the MCP server and agents use the queue from separate processes
+    this.db.pragma('busy_timeout = 5000');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS task_queue (
+        id TEXT PRIMARY KEY,
+        swarm_id TEXT,
+        type TEXT NOT NULL DEFAULT 'general',
+        description TEXT NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 5,
+        status TEXT NOT NULL DEFAULT 'queued',
+        dependencies TEXT NOT NULL DEFAULT '[]',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT ${DEFAULT_MAX_ATTEMPTS},
+        agent_id TEXT,
+        lease_expires_at INTEGER,
+        result TEXT,
+        error TEXT,
+        metadata TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        started_at INTEGER,
+        completed_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_task_queue_claim ON task_queue(status, priority DESC, created_at);
+      CREATE INDEX IF NOT EXISTS idx_task_queue_swarm ON task_queue(swarm_id);
+    `);
+    this.isInitialized = true;
+  }
+
+  _row(id) {
+    return this.db.prepare('SELECT * FROM task_queue WHERE id = ?').get(id);
+  }
+
+  _require(id) {
+    const row = this._row(id);
+    if (!row) throw new TaskQueueError(`Task ${id} not found`, 'NOT_FOUND');
+    return row;
+  }
+
+  /**
+   * Add a task. options: { id, type, priority, dependsOn, maxAttempts,
+   * swarmId, metadata }. Dependencies must already be in the queue.
+   */
+  async enqueue(description, options = {}) {
+    await this.initialize();
+    if (typeof description !== 'string' || !description.trim()) {
+      throw new TaskQueueError('A task needs a description');
+    }
+
+    const dependencies = [...new Set(options.dependsOn || [])];
+    const maxAttempts = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw new TaskQueueError(`Invalid max attempts: ${options.maxAttempts}`);
+    }
+    const id = options.id || generateTaskId();
+    const now = Date.now();
+
+    this.db
+      .transaction(() => {
+        if (this._row(id)) throw new TaskQueueError(`Task ${id} already exists`, 'CONFLICT');
+        for (const dependency of dependencies) {
+          const row = this._row(dependency);
+          if (!row) throw new TaskQueueError(`Dependency ${dependency} not found`, 'NOT_FOUND');
+          if (row.status === 'failed' || row.status === 'cancelled') {
+            throw new TaskQueueError(`Dependency ${dependency} is ${row.status}`, 'CONFLICT');
+          }
+        }
+        this.db
+          .prepare(
+            `INSERT INTO task_queue (id, swarm_id, type, description, priority, dependencies,
+               max_attempts, metadata, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          )
+          .run(
+            id,
+            options.swarmId || null,
+            options.type || 'general',
+            description.trim(),
+            normalizePriority(options.priority),
+            JSON.stringify(dependencies),
+            maxAttempts,
+            toJson(options.metadata),
+            now,
+            now,
+          );
+      })
+      .immediate();
+
+    return this.get(id);
+  }
+
+  async get(id) {
+    await this.initialize();
+    return toTask(this._row(id));
+  }
+
+  /**
+   * Tasks by priority, newest first within a priority.
+   * options: { status, swarmId, limit }
+   */
+  async list(options = {}) {
+    await this.initialize();
+    const clauses = [];
+    const params = [];
+    if (options.status) {
+      const statuses = [].concat(options.status);
+      for (const status of statuses) {
+        if (!TASK_STATES.includes(status)) {
+          throw new TaskQueueError(`Unknown status: ${status} (${TASK_STATES.join(', ')})`);
+        }
+      }
+      clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (options.swarmId) {
+      clauses.push('swarm_id = ?');
+      params.push(options.swarmId);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT * FROM task_queue ${where} ORDER BY priority DESC, created_at DESC LIMIT ?`)
+      .all(...params, options.limit || 1000)
+      .map(toTask);
+  }
+
+  /**
+   * Task counts per status
+   */
+  async counts(options = {}) {
+    await this.initialize();
+    const rows = options.swarmId
+      ? this.db
+          .prepare(
+            'SELECT status, COUNT(*) AS count FROM task_queue WHERE swarm_id = ? GROUP BY status',
+          )
+          .all(options.swarmId)
+      : this.db.prepare('SELECT status, COUNT(*) AS count FROM task_queue GROUP BY status').all();
+    const counts = Object.fromEntries(TASK_STATES.map((status) => [status, 0]));
+    for (const row of rows) counts[row.status] = row.count;
+    return counts;
+  }
+
+  /**
+   * Requeue or fail tasks whose lease ran out, and cancel queued tasks
+   * whose dependencies can no longer complete. Runs inside claim; call it
+   * directly to tidy the queue without claiming.
+   */
+  async reap(now = Date.now()) {
+    await this.initialize();
+    return this.db.transaction(() => this._reap(now)).immediate();
+  }
+
+  _reap(now) {
+    const expired = this.db
+      .prepare(
+        "SELECT * FROM task_queue WHERE status = 'running' AND lease_expires_at IS NOT NULL AND lease_expires_at < ?",
+      )
+      .all(now);
+    for (const row of expired) {
+      const error = `Lease held by ${row.agent_id || 'unknown'} expired`;
+      if (row.attempts < row.max_attempts) {
+        this.db
+          .prepare(
+            `UPDATE task_queue SET status = 'queued', agent_id = NULL, lease_expires_at = NULL,
+               error = ?, updated_at = ? WHERE id = ?`,
+          )
+          .run(error, now, row.id);
+      } else {
+        this._finish(row.id, 'failed', { error, now });
+      }
+    }
+
+    // Cancelling one task can strand the tasks that depend on it
+    let cancelled = 0;
+    for (;;) {
+      const stranded = this.db
+        .prepare(
+          `SELECT q.id, d.id AS dependency, d.status AS dependency_status
+           FROM task_queue q, json_each(q.dependencies) j
+           JOIN task_queue d ON d.id = j.value
+           WHERE q.status = 'queued' AND d.status IN ('failed', 'cancelled')`,
+        )
+        .all();
+      if (stranded.length === 0) break;
+      for (const row of stranded) {
+        this._finish(row.id, 'cancelled', {
+          error: `Dependency ${row.dependency} ${row.dependency_status}`,
+          now,
+        });
+        cancelled++;
+      }
+    }
+
+    return { expired: expired.length, cancelled };
+  }
+
+  _finish(id, status, { result, error, now = Date.now() } = {}) {
+    this.db
+      .prepare(
+        `UPDATE task_queue SET status = ?, result = ?, error = ?, lease_expires_at = NULL,
+           completed_at = ?, updated_at = ? WHERE id = ?`,
+      )
+      .run(status, toJson(result), error || null, now, now, id);
+  }
+
+  /**
+   * Lease the next runnable task to an agent, or return null.
+   * options: { agentId, leaseMs, types, swarmId }
+   */
+  async claim(options = {}) {
+    await this.initialize();
+    const agentId = options.agentId;
+    if (!agentId) throw new TaskQueueError('A claim needs an agent ID');
+    const leaseMs = options.leaseMs ?? DEFAULT_LEASE_MS;
+    const types = options.types ? [].concat(options.types) : null;
+
+    const id = this.db
+      .transaction(() => {
+        const now = Date.now();
+        this._reap(now);
+
+        const filters = [];
+        const params = [];
+        if (types) {
+          filters.push(`q.type IN (${types.map(() => '?').join(', ')})`);
+          params.push(...types);
+        }
+        if (options.swarmId) {
+          filters.push('q.swarm_id = ?');
+          params.push(options.swarmId);
+        }
+        const next = this.db
+          .prepare(
+            `SELECT q.id FROM task_queue q
+             WHERE q.status = 'queued'${filters.map((filter) => ` AND ${filter}`).join('')}
+               AND NOT EXISTS (
+                 SELECT 1 FROM json_each(q.dependencies) j
+                 LEFT JOIN task_queue d ON d.id = j.value
+                 WHERE d.status IS NOT 'completed'
+               )
+             ORDER BY q.priority DESC, q.created_at ASC
+             LIMIT 1`,
+          )
+          .get(...params);
+        if (!next) return null;
+
+        this.db
+          .prepare(
+            `UPDATE task_queue SET status = 'running', agent_id = ?, lease_expires_at = ?,
+               attempts = attempts + 1, started_at = ?, completed_at = NULL, updated_at = ?
+             WHERE id = ?`,
+          )
+          .run(agentId, now + leaseMs, now, now, next.id);
+        return next.id;
+      })
+      .immediate();
+
+    return id ? this.get(id) : null;
+  }
+
+  _requireLease(row, agentId, action) {
+    if (row.status !== 'running') {
+      throw new TaskQueueError(`Cannot ${action} task ${row.id}: it is ${row.status}`, 'CONFLICT');
+    }
+    if (agentId && row.agent_id !== agentId) {
+      throw new TaskQueueError(
+        `Cannot ${action} task ${row.id}: it is leased to ${row.agent_id}`,
+        'CONFLICT',
+      );
+    }
+  }
+
+  /**
+   * Extend a running task's lease. Only its agent may renew it.
+   */
+  async renew(id, options = {}) {
+    await this.initialize();
+    this.db
+      .transaction(() => {
+        const row = this._require(id);
+        this._requireLease(row, options.agentId, 'renew');
+        const now = Date.now();
+        this.db
+          .prepare('UPDATE task_queue SET lease_expires_at = ?, updated_at = ? WHERE id = ?')
+          .run(now + (options.leaseMs ?? DEFAULT_LEASE_MS), now, id);
+      })
+      .immediate();
+    return this.get(id);
+  }
+
+  /**
+   * Finish a running task with its result. options: { agentId, result }
+   */
+  async complete(id, options = {}) {
+    await this.initialize();
+    this.db
+      .transaction(() => {
+        this._requireLease(this._require(id), options.agentId, 'complete');
+        this._finish(id, 'completed', { result: options.result });
+      })
+      .immediate();
+    return this.get(id);
+  }
+
+  /**
+   * Record a failed attempt. The task is queued again while it has
+   * attempts left, unless options.retry is false.
+   * options: { agentId, error, result, retry }
+   */
+  async fail(id, options = {}) {
+    await this.initialize();
+    this.db
+      .transaction(() => {
+        const row = this._require(id);
+        this._requireLease(row, options.agentId, 'fail');
+        const error = options.error || 'Task failed';
+        const now = Date.now();
+        if (options.retry !== false && row.attempts < row.max_attempts) {
+          this.db
+            .prepare(
+              `UPDATE task_queue SET status = 'queued', agent_id = NULL, lease_expires_at = NULL,
+                 error = ?, updated_at = ? WHERE id = ?`,
+            )
+            .run(error, now, id);
+        } else {
+          this._finish(id, 'failed', { error, result: options.result, now });
+          this._reap(now);
+        }
+      })
+      .immediate();
+    return this.get(id);
+  }
+
+  /**
+   * Cancel a queued or running task; tasks that depend on it are
+   * cancelled too
+   */
+  async cancel(id, options = {}) {
+    await this.initialize();
+    this.db
+      .transaction(() => {
+        const row = this._require(id);
+        if (FINAL_STATES.includes(row.status)) {
+          throw new TaskQueueError(`Task ${id} is already ${row.status}`, 'CONFLICT');
+        }
+        const now = Date.now();
+        this._finish(id, 'cancelled', { error: options.reason || 'Cancelled', now });
+        this._reap(now);
+      })
+      .immediate();
+    return this.get(id);
+  }
+
+  /**
+   * Remove every task of a swarm. Returns the number removed.
+   */
+  async removeSwarm(swarmId) {
+    await this.initialize();
+    return this.db.prepare('DELETE FROM task_queue WHERE swarm_id = ?').run(swarmId).changes;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.isInitialized = false;
+    }
+  }
+}
@@ -172,11 +172,11 @@ class AnalysisTools {
     this.charts.systemHealth = new Chart(document.getElementById('system-health-chart'), {
       type: 'radar',
       data: {
-        labels: ['CPU', 'Memory', 'Disk', 'Network', 'API', 'Database'],
+        labels: ['CPU', 'Memory', 'Disk', 'API', 'Database'],
         datasets: [
           {
             label: 'Health Score',
-            data: [100, 100, 100, 100, 100, 100],
+            data: [100, 100, 100, 100, 100],
             borderColor: '#10b981',
             backgroundColor: 'rgba(16, 185, 129, 0.2)',
             pointBackgroundColor: '#10b981',
@@ -305,7 +305,6 @@ class AnalysisTools {
         metrics.health.cpu,
         metrics.health.memory,
         metrics.health.disk,
-        metrics.health.network,
         metrics.health.api,
         metrics.health.database,
       ];
@@ -32,6 +32,7 @@ export class CommandHandler {
       config: this.manageConfig.bind(this),
       memory: this.manageMemory.bind(this),
       agents: this.manageAgents.bind(this),
+      'hive-mind': this.manageHiveMind.bind(this),
       benchmark: this.runBenchmark.bind(this),
       sparc: this.executeSparc.bind(this),
     };
@@ -129,20 +130,21 @@ export class CommandHandler {
     this.terminal.writeInfo('Tool Commands (from tools list):');
     this.terminal.writeLine('  system/health        - Get system health status');
     this.terminal.writeLine(
-      '  memory/manage        - Manage memory (list, store <key> <value>, retrieve <key>)',
+      '  memory/manage        - Manage memory (list, store <key> <value>, retrieve <key>, search <pattern>)',
     );
     this.terminal.writeLine(
-      '  agents/manage        - Manage agents (list, create <type>, status <id>)',
+      '  agents/manage        - Manage agents (list, create <type>, start|stop|status <id>)',
     );
     this.terminal.writeLine(
-      '  swarm/orchestrate    - Swarm operations (status, create, start, stop)',
+      '  swarm/orchestrate    - Swarm operations (status, list, init, agents, destroy)',
     );
     this.terminal.writeLine(
-      '  sparc/execute        - Execute SPARC modes (coder, architect, etc.)',
+      '  hive-mind/manage     - Hive-mind sessions (list, status|logs|pause|resume|stop <id>)',
     );
     this.terminal.writeLine(
-      '  benchmark/run        - Run benchmarks (default, memory, cpu, network)',
+      '  sparc/execute        - Execute SPARC modes (coder, architect, etc.)',
     );
+    this.terminal.writeLine('  benchmark/run        - Run the memory store benchmark [iterations]');
     this.terminal.writeLine('  claude-flow/execute  - Execute Claude Flow commands');
 
     this.terminal.writeLine('');
@@ -176,6 +178,7 @@ export class CommandHandler {
       config: 'Manage configuration',
       memory: 'Manage memory and data',
       agents: 'Manage agents',
+      'hive-mind': 'Manage hive-mind sessions',
       benchmark: 'Run benchmarks',
       sparc: 'Execute SPARC mode commands',
     };
@@ -218,31 +221,43 @@ Usage: claude-flow <subcommand> [options]
 Execute Claude Flow commands.
 
 Subcommands:
-  start [mode]     - Start Claude Flow in specified mode
-  stop             - Stop Claude Flow
-  status           - Show Claude Flow status
-  modes            - List available SPARC modes
+  status           - Show project status (swarms, agents, hive-mind sessions)
+  agents           - List agents of the active swarm
+  swarm <action>   - Same as the swarm command
+  memory <op>      - Same as the memory command
   
 Examples:
-  claude-flow start coder
   claude-flow status
-  claude-flow modes`,
+  claude-flow swarm list`,
 
       swarm: `
 Usage: swarm <action> [options]
 Manage and execute swarms.
 
 Actions:
-  create <name>    - Create new swarm
-  start <name>     - Start existing swarm
-  stop <name>      - Stop running swarm
-  list             - List all swarms
-  status <name>    - Show swarm status
+  init [topology] [max]  - Create a swarm and make it active
+  list                   - List all swarms
+  status [id]            - Show swarm status (default: active swarm)
+  agents [id]            - List agents of a swarm
+  destroy <id>           - Remove a swarm with its agents and tasks
+  sessions               - List hive-mind sessions
   
 Examples:
-  swarm create my-swarm
-  swarm start my-swarm
-  swarm list`,
+  swarm init mesh 6
+  swarm list
+  swarm destroy swarm_1729250000000_abc123def`,
+
+      'hive-mind': `
+Usage: hive-mind <action> [session-id]
+Inspect and control hive-mind sessions in .hive-mind/hive.db.
+
+Actions:
+  list             - List active and paused sessions
+  status <id>      - Show session progress
+  logs <id>        - Show recent session logs
+  pause <id>       - Pause a session
+  resume <id>      - Resume a session
+  stop <id>        - Stop a session and its processes`,
     };
 
     if (helpText[command]) {
@@ -485,9 +500,10 @@ Examples:
         args: subArgs,
       });
 
-      this.terminal.writeSuccess(`Claude Flow ${subcommand} executed successfully`);
-      if (result && result.output) {
-        this.terminal.writeLine(result.output);
+      if (result && result.content && result.content[0]) {
+        this.terminal.writeSuccess(result.content[0].text);
+      } else {
+        this.terminal.writeSuccess(`Claude Flow ${subcommand} executed successfully`);
       }
     } catch (error) {
       this.terminal.writeError(`Claude Flow command failed: ${error.message}`);
@@ -603,6 +619,36 @@ Examples:
     }
   }
 
+  /**
+   * Manage hive-mind sessions
+   */
+  async manageHiveMind(args) {
+    if (!this.wsClient.isConnected) {
+      this.terminal.writeError('Not connected to server');
+      return;
+    }
+
+    try {
+      const action = args[0] || 'list';
+      const sessionId = args[1];
+
+      this.terminal.writeInfo(`Executing hive-mind ${action}...`);
+
+      const result = await this.wsClient.sendRequest('tools/call', {
+        name: 'hive-mind/manage',
+        arguments: { action, sessionId },
+      });
+
+      if (result && result.content && result.content[0]) {
+        this.terminal.writeSuccess(result.content[0].text);
+      } else {
+        this.terminal.writeSuccess('Hive-mind operation completed successfully');
+      }
+    } catch (error) {
+      this.terminal.writeError(`Hive-mind command failed: ${error.message}`);
+    }
+  }
+
   /**
    * Run benchmark
    */
@@ -733,8 +779,8 @@ Examples:
 
       const result = await this.wsClient.executeCommand(command, { args });
 
-      if (result && result.output) {
-        this.terminal.writeLine(result.output);
+      if (result && result.content && result.content[0]) {
+        this.terminal.writeLine(result.content[0].text);
       } else {
         this.terminal.writeSuccess('Command executed successfully');
       }
@@ -774,6 +820,13 @@ Examples:
           };
           break;
 
+        case 'hive-mind/manage':
+          toolArgs = {
+            action: args[0] || 'list',
+            sessionId: args[1],
+          };
+          break;
+
         case 'swarm/orchestrate':
           toolArgs = {
             action: args[0] || 'status',
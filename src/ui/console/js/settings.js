@@ -149,10 +149,8 @@ export class SettingsManager {
 
     if (connectButton) {
       connectButton.addEventListener('click', () => {
-        this.emit('connect_requested', {
-          url: this.get('serverUrl'),
-          token: this.get('authToken'),
-        });
+        const { url, token } = this.getConnectionConfig();
+        this.emit('connect_requested', { url, token });
       });
     }
 
@@ -582,7 +580,8 @@ export class SettingsManager {
   getConnectionConfig() {
     return {
       url: this.get('serverUrl'),
-      token: this.get('authToken'),
+      // The console URL printed by the server carries the session token
+      token: new URLSearchParams(window.location.search).get('token') || this.get('authToken'),
       autoConnect: this.get('autoConnect'),
       reconnectAttempts: this.get('reconnectAttempts'),
       heartbeatInterval: this.get('heartbeatInterval'),
@@ -54,8 +54,10 @@ export class WebSocketClient {
   async establishConnection() {
     return new Promise((resolve, reject) => {
       try {
-        // Create WebSocket connection
-        this.ws = new WebSocket(this.url);
+        // Create WebSocket connection; the server expects its session token
+        const url = new URL(this.url, window.location.href);
+        if (this.authToken) url.searchParams.set('token', this.authToken);
+        this.ws = new WebSocket(url.toString());
 
         // Set up connection timeout
         const connectionTimer = setTimeout(() => {
@@ -0,0 +1,178 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MetricsStore } from '../../../src/memory/metrics-store.js';
+import { createAnalysisRouter } from '../../../src/api/routes/analysis.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('analysis routes on the metrics store', () => {
+  let tmpDir;
+  let store;
+  let server;
+  let baseUrl;
+  const now = Date.now();
+
+  const get = async (endpoint) => {
+    const response = await fetch(`${baseUrl}/api/analysis${endpoint}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-analysis-'));
+    store = new MetricsStore({ directory: path.join(tmpDir, '.swarm') });
+
+    // Two days of token usage: 1M input tokens of sonnet yesterday, 2M today
+    await store.recordMany([
+      {
+        name: 'tokens.input',
+        value: 1e6,
+        labels: { model: 'claude-sonnet-4' },
+        timestamp: now - 30 * HOUR,
+      },
+      {
+        name: 'tokens.input',
+        value: 2e6,
+        labels: { model: 'claude-sonnet-4' },
+        timestamp: now - 2 * HOUR,
+      },
+      {
+        name: 'tokens.output',
+        value: 1e5,
+        labels: { model: 'claude-opus-4' },
+        timestamp: now - 2 * HOUR,
+      },
+      { name: 'tokens.input', value: 10, labels: { model: 'local-llm' }, timestamp: now - HOUR },
+      ...[1, 1, 2, 3, 5, 8].map((value, i) => ({
+        name: 'mcp.tool.calls',
+        value,
+        labels: { tool: 'swarm_init', status: i === 5 ? 'error' : 'ok' },
+        timestamp: now - (6 - i) * HOUR,
+      })),
+    ]);
+
+    const app = express();
+    app.use('/api/analysis', createAnalysisRouter({ cwd: tmpDir, metricsStore: store }));
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('token usage totals the range by model', async () => {
+    const { status, body } = await get('/token-usage?from=now-1d');
+    expect(status).toBe(200);
+    expect(body.inputTokens).toBe(2e6 + 10);
+    expect(body.outputTokens).toBe(1e5);
+    expect(body.byModel['claude-sonnet-4']).toMatchObject({ input: 2e6, cost: 6 });
+    expect(body.byModel['claude-opus-4'].cost).toBe(7.5);
+    expect(body.cost).toBe(13.5);
+    expect(body.unpriced).toEqual(['local-llm']);
+    expect(body.trends.input.map((p) => p.value)).toEqual([2e6, 10]);
+  });
+
+  test('cost analysis compares with the previous period and forecasts', async () => {
+    const { body } = await get('/cost-analysis?from=now-1d&step=1h');
+    expect(body.costs.current.total).toBe(13.5);
+    expect(body.costs.previous.total).toBe(3);
+    expect(body.costs.change.total).toBe('+350%');
+    expect(body.forecast.nextMonth).toBe(405);
+    expect(body.series.reduce((sum, p) => sum + p.value, 0)).toBeCloseTo(13.5);
+  });
+
+  test('trend analysis reports direction and a forecast for any metric', async () => {
+    const { body } = await get('/trend-analysis?metric=mcp.tool.calls&from=now-7h&step=1h');
+    const trend = body.trends['mcp.tool.calls'];
+    expect(trend.series.map((p) => p.value)).toEqual([1, 1, 2, 3, 5, 8]);
+    expect(trend.trend).toBe('increasing');
+    expect(trend.slope).toBeGreaterThan(1);
+    expect(trend.forecast).toBeGreaterThan(8);
+  });
+
+  test('requests to the router are recorded in the shared store', async () => {
+    await get('/usage-stats');
+    expect((await fetch(`${baseUrl}/api/analysis/no-such-endpoint`)).status).toBe(404);
+
+    const fresh = new MetricsStore({ directory: path.join(tmpDir, '.swarm') });
+    const errors = await fresh.totals('api.errors', {
+      from: now - HOUR,
+      to: Date.now() + 1000,
+      groupBy: 'status',
+    });
+    fresh.close();
+    expect(errors).toEqual([expect.objectContaining({ status: '404', sum: 1 })]);
+
+    const { body } = await get('/error-analysis?from=now-7h');
+    expect(body.errors.types['4xx']).toBe(1);
+    expect(body.errors.tools).toEqual([{ tool: 'swarm_init', count: 8 }]);
+  });
+
+  test('metrics can be listed, queried and recorded over HTTP', async () => {
+    const response = await fetch(`${baseUrl}/api/analysis/metrics`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ points: [{ name: 'deploys', value: 1, labels: { env: 'prod' } }] }),
+    });
+    expect(response.status).toBe(201);
+    expect(await response.json()).toEqual({ recorded: 1 });
+
+    const { body } = await get('/metrics?name=deploys&from=now-1h&labels[env]=prod');
+    expect(body.points.map((p) => p.sum)).toEqual([1]);
+    expect((await get('/metrics')).body.metrics.map((m) => m.name)).toContain('deploys');
+  });
+
+  test('bad ranges and points are rejected with 400', async () => {
+    expect((await get('/trend-analysis?from=now&to=now-1h')).status).toBe(400);
+    expect((await get('/cost-analysis?step=soon')).status).toBe(400);
+    expect((await get(`/token-usage?from=now-${400 * DAY}&step=1s`)).status).toBe(400);
+
+    const response = await fetch(`${baseUrl}/api/analysis/metrics`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ points: [{ name: 'bad name', value: 1 }] }),
+    });
+    expect(response.status).toBe(400);
+  });
+
+  test('load averages beyond 15 minutes come from recorded load samples', async () => {
+    await store.recordMany([
+      { name: 'system.load_1m', value: 4, timestamp: Date.now() - 20 * 60 * 1000 },
+      { name: 'system.load_1m', value: 1, timestamp: Date.now() - 10 * HOUR },
+    ]);
+
+    const { body } = await get('/load-monitor');
+    // Each call samples the current load as well
+    expect(body.load.thirtyMin).toBeCloseTo((4 + body.load.current) / 2, 1);
+    expect(body.load.oneHour).toBeCloseTo((4 + body.load.current) / 2, 1);
+    expect(body.load.twentyFourHour).toBeCloseTo((4 + 1 + body.load.current) / 3, 1);
+    expect(Object.keys(body.predictions)).toEqual(['nextHour', 'trend']);
+  });
+
+  test('benchmarks and health scores are measured, not invented', async () => {
+    const { body: benchmark } = await get('/benchmark-run');
+    const recorded = await store.totals('api.response_time_ms', {
+      from: Date.now() - DAY,
+      to: Date.now() + 1,
+    });
+    expect(recorded.count).toBeGreaterThan(0);
+    expect(benchmark.benchmarks.responseTime.value).toBeCloseTo(recorded.avg, -1);
+    expect(Object.keys(benchmark.benchmarks)).toEqual(['responseTime', 'errorRate']);
+
+    const { body } = await get('/health-check');
+    expect(Object.keys(body.health)).toEqual(['cpu', 'memory', 'disk', 'api', 'database']);
+    expect(body.health.disk).toBeGreaterThan(0);
+    expect(body.health.disk).toBeLessThanOrEqual(100);
+    expect(body.health.database).toBe(100);
+  });
+});
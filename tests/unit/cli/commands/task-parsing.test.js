@@ -1,11 +1,21 @@
 // Tests for task.js argument parsing functionality
 import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 describe('Task Command Argument Parsing', () => {
   let consoleLogSpy;
   let taskCommand;
+  let originalCwd;
+  let tmpDir;
   
   beforeEach(async () => {
+    // Tasks persist in .swarm/memory.db under the working directory
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-task-parsing-'));
+    process.chdir(tmpDir);
+
     consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
     
     // Mock utils before importing
@@ -23,6 +33,8 @@ describe('Task Command Argument Parsing', () => {
   afterEach(() => {
     consoleLogSpy.mockRestore();
     jest.clearAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
   });
 
   describe('create command', () => {
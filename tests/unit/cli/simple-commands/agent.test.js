@@ -0,0 +1,103 @@
+import { jest, describe, test, beforeAll, afterAll, beforeEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('agent command on the shared registry', () => {
+  let tmpDir;
+  let originalCwd;
+  let logSpy;
+  let agentCommand;
+  let server;
+
+  // Runs a subcommand with --json and returns the parsed output
+  const runJson = async (subArgs, flags = {}) => {
+    logSpy.mockClear();
+    await agentCommand(subArgs, { ...flags, json: true });
+    return JSON.parse(logSpy.mock.calls.map((call) => call.join(' ')).join('\n'));
+  };
+
+  const callTool = async (name, args = {}) => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name, arguments: args },
+    });
+    return JSON.parse(response.result.content[0].text);
+  };
+
+  beforeAll(async () => {
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-agent-cli-'));
+    process.chdir(tmpDir);
+
+    ({ agentCommand } = await import('../../../../src/cli/simple-commands/agent.js'));
+    const { ClaudeFlowMCPServer } = await import('../../../../src/mcp/mcp-server.js');
+    server = new ClaudeFlowMCPServer();
+    await server.memoryStore.initialize();
+  });
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    server.memoryStore.close();
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('agents spawned over MCP are listed by the CLI and the other way round', async () => {
+    const { swarmId } = await callTool('swarm_init', { topology: 'hierarchical' });
+    const spawned = await callTool('agent_spawn', { type: 'coder', capabilities: ['rust'] });
+
+    const listed = await runJson(['list'], { swarm: swarmId });
+    expect(listed.agents).toEqual([
+      expect.objectContaining({ id: spawned.agentId, type: 'coder', capabilities: ['rust'] }),
+    ]);
+
+    const cli = await runJson(['spawn', 'tester'], { parent: spawned.agentId, name: 'qa' });
+    expect(cli.agent).toMatchObject({ name: 'qa', swarmId, parentId: spawned.agentId });
+    const mcpList = await callTool('agent_list', { swarmId });
+    expect(mcpList.agents.map((a) => a.name)).toContain('qa');
+  });
+
+  test('info, status and terminate work on real records', async () => {
+    const lead = (await runJson(['spawn', 'coordinator'])).agent;
+    const child = (await runJson(['spawn', 'coder'], { parent: lead.id })).agent;
+
+    expect((await runJson(['status', child.id, 'busy'])).agent.status).toBe('busy');
+    const info = await runJson(['info', lead.id]);
+    expect(info.children.map((a) => a.id)).toEqual([child.id]);
+    expect(info.tasks).toEqual([]);
+
+    const terminated = await runJson(['terminate', lead.id], { reason: 'done' });
+    expect(terminated.terminated).toEqual([lead.id, child.id]);
+    expect((await callTool('agent_metrics', { agentId: child.id })).metrics[0].status).toBe(
+      'terminated',
+    );
+    expect(await runJson(['terminate', lead.id])).toEqual({
+      success: false,
+      error: `Agent ${lead.id} is already terminated`,
+    });
+    expect((await runJson(['info', 'agent_missing'])).success).toBe(false);
+  });
+
+  test('hierarchy templates create a tree of agents', async () => {
+    const created = await runJson(['hierarchy', 'create', 'development'], { swarm: 'swarm-dev' });
+    expect(created.agents.map((a) => a.type)).toEqual([
+      'coordinator',
+      'architect',
+      'coder',
+      'tester',
+      'reviewer',
+    ]);
+
+    const { hierarchy } = await runJson(['hierarchy', 'show'], { swarm: 'swarm-dev' });
+    expect(hierarchy).toHaveLength(1);
+    expect(hierarchy[0].children.map((a) => a.type)).toEqual(['architect', 'reviewer']);
+  });
+});
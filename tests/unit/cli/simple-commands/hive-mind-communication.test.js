@@ -0,0 +1,204 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SwarmCommunication,
+  connectToHive,
+} from '../../../../src/cli/simple-commands/hive-mind/communication.js';
+
+const COMMUNICATION_MODULE = path.resolve('src/cli/simple-commands/hive-mind/communication.js');
+
+const waitFor = (emitter, event, predicate = () => true) =>
+  new Promise((resolve) => {
+    const listener = (payload) => {
+      if (!predicate(payload)) return;
+      emitter.off(event, listener);
+      resolve(payload);
+    };
+    emitter.on(event, listener);
+  });
+
+describe('SwarmCommunication over a Unix socket hub', () => {
+  let tmpDir;
+  let hub;
+  let workers;
+  let errorSpy;
+
+  const startHub = async (config = {}) => {
+    hub = new SwarmCommunication({
+      swarmId: 'swarm-test',
+      transport: 'unix',
+      socketPath: path.join(tmpDir, 'hive.sock'),
+      messageLog: path.join(tmpDir, 'messages.jsonl'),
+      timeout: 300,
+      ...config,
+    });
+    await hub.start();
+    return hub;
+  };
+
+  const startWorker = async (agentId, config = {}) => {
+    const joined = waitFor(hub, 'agent:registered');
+    const worker = await connectToHive({
+      env: hub.getWorkerEnv(agentId),
+      messageLog: false,
+      timeout: 300,
+      ...config,
+    });
+    workers.push(worker);
+    await joined;
+    return worker;
+  };
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-hive-comm-'));
+    workers = [];
+  });
+
+  afterEach(async () => {
+    for (const worker of workers) await worker.close();
+    if (hub) await hub.close();
+    hub = null;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    errorSpy.mockRestore();
+  });
+
+  test('direct messages are delivered and acknowledged', async () => {
+    await startHub({ encryption: true });
+    const worker = await startWorker('coder-1');
+
+    const received = waitFor(worker, 'message:command');
+    const result = await hub.send('coder-1', { action: 'build' }, 'command');
+
+    expect(result).toMatchObject({ delivered: true, attempts: 1 });
+    const envelope = await received;
+    expect(envelope.message).toEqual({ action: 'build' });
+    expect(envelope.from).toBe('system');
+
+    const reply = waitFor(hub, 'message:result');
+    await worker.send(worker.hubId, { ok: true }, 'result');
+    expect((await reply).from).toBe('coder-1');
+
+    const log = fs
+      .readFileSync(path.join(tmpDir, 'messages.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(log).toContainEqual(
+      expect.objectContaining({ direction: 'out', status: 'acked', to: 'coder-1' }),
+    );
+    expect(log).toContainEqual(
+      expect.objectContaining({ direction: 'in', status: 'received', from: 'coder-1' }),
+    );
+  });
+
+  test('unacknowledged messages are retried and then fail', async () => {
+    await startHub({ maxRetries: 2, timeout: 100 });
+
+    await expect(hub.send('nobody', { ping: true })).rejects.toThrow('Message timeout');
+
+    const records = hub.getMessageLog({ direction: 'out' }).filter((r) => r.to === 'nobody');
+    expect(records.filter((r) => r.status === 'retry')).toHaveLength(2);
+    expect(records.at(-1)).toMatchObject({ status: 'failed', attempts: 3 });
+    expect(hub.getStatistics().messages.failed).toBe(1);
+  });
+
+  test('workers must prove they hold the hub secret', async () => {
+    await startHub();
+    const env = hub.getWorkerEnv('intruder');
+    expect(env.CLAUDE_FLOW_HIVE_SECRET).toMatch(/^[0-9a-f]{64}$/);
+
+    const rejected = waitFor(hub.transport, 'peer:rejected');
+    await expect(
+      connectToHive({ env: { ...env, CLAUDE_FLOW_HIVE_SECRET: 'guess' }, messageLog: false }),
+    ).rejects.toThrow('Hive hub rejected intruder: authentication failed');
+    expect(await rejected).toEqual({ agentId: 'intruder' });
+
+    const { CLAUDE_FLOW_HIVE_SECRET, ...withoutSecret } = env;
+    await expect(connectToHive({ env: withoutSecret, messageLog: false })).rejects.toThrow(
+      'authentication failed',
+    );
+    expect(hub.transport.hasPeer('intruder')).toBe(false);
+
+    await startWorker('coder-1');
+    expect(hub.transport.hasPeer('coder-1')).toBe(true);
+  });
+
+  test('worker broadcasts are relayed to the other workers', async () => {
+    await startHub();
+    const alpha = await startWorker('alpha');
+    const beta = await startWorker('beta');
+
+    const isNote = (envelope) => envelope.message.note !== undefined;
+    const atBeta = waitFor(beta, 'broadcast:sync', isNote);
+    const atHub = waitFor(hub, 'broadcast:sync', isNote);
+    alpha.broadcast({ note: 'schema changed' }, 'sync');
+
+    expect((await atBeta).from).toBe('alpha');
+    expect((await atHub).message).toEqual({ note: 'schema changed' });
+  });
+
+  test('a retried message is processed once', async () => {
+    await startHub();
+    const worker = await startWorker('coder-1');
+
+    const handler = jest.fn();
+    worker.on('message:task', handler);
+
+    // Drop the first ack so the hub resends
+    let dropped = false;
+    const originalSend = worker.transport.send.bind(worker.transport);
+    worker.transport.send = (envelope) => {
+      if (envelope.type === 'ack' && !dropped) {
+        dropped = true;
+        return true;
+      }
+      return originalSend(envelope);
+    };
+
+    const result = await hub.send('coder-1', { step: 1 }, 'task');
+    expect(result.attempts).toBe(2);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(worker.getMessageLog({ status: 'duplicate' })).toHaveLength(1);
+  });
+
+  test('workers in separate processes vote in consensus', async () => {
+    await startHub({ timeout: 2000 });
+
+    const script = `
+      import { connectToHive } from ${JSON.stringify(COMMUNICATION_MODULE)};
+      const communication = await connectToHive({ messageLog: false });
+      communication.on('consensus:proposal', async (envelope) => {
+        await communication.vote(envelope, envelope.message.proposal.options[0]);
+      });
+      communication.on('consensus:result', async () => {
+        await communication.close();
+      });
+    `;
+
+    const children = ['voter-1', 'voter-2'].map((agentId) =>
+      spawn(process.execPath, ['--input-type=module', '-e', script], {
+        env: { ...process.env, ...hub.getWorkerEnv(agentId) },
+        stdio: 'inherit',
+      }),
+    );
+    const exited = children.map((child) => waitFor(child, 'exit'));
+
+    while (hub.getStatistics().agents.online < 2) {
+      await waitFor(hub, 'agent:registered');
+    }
+
+    const result = await hub.consensus({ options: ['postgres', 'sqlite'] });
+    expect(result).toMatchObject({
+      validators: 2,
+      votes: { 'voter-1': 'postgres', 'voter-2': 'postgres' },
+      winner: 'postgres',
+      consensusReached: true,
+    });
+
+    expect(await Promise.all(exited)).toEqual([0, 0]);
+  }, 20000);
+});
@@ -0,0 +1,200 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  DEFAULT_WORKER_COMMAND,
+  HeadlessWorkerError,
+  HeadlessWorkerPool,
+  parseStreamJsonLine,
+  parseWorkerCommand,
+  resolveHeadlessOptions,
+} from '../../../../src/cli/simple-commands/hive-mind/headless.js';
+import { HiveMindSessionManager } from '../../../../src/cli/simple-commands/hive-mind/session-manager.js';
+
+// Stands in for `claude -p --output-format stream-json`: coders succeed,
+// testers fail without a result and a prompt containing "hang" never ends.
+const STUB_WORKER = `
+const prompt = process.argv[process.argv.length - 1];
+const emit = (event) => process.stdout.write(JSON.stringify(event) + '\\n');
+if (prompt.includes('hang')) setInterval(() => {}, 1000);
+else if (process.env.CLAUDE_FLOW_WORKER_TYPE === 'tester') {
+  process.stderr.write('boom');
+  process.exit(3);
+} else {
+  const usage = { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 100 };
+  emit({ type: 'system', subtype: 'init', session_id: 'cc-1', model: 'stub-model', tools: ['Bash'] });
+  emit({ type: 'assistant', message: { id: 'msg_1', usage, content: [{ type: 'text', text: 'Working on ' + process.env.CLAUDE_FLOW_WORKER_ID }] } });
+  emit({ type: 'assistant', message: { id: 'msg_1', usage, content: [{ type: 'tool_use', id: 'tu_1', name: 'Bash', input: { command: 'ls' } }] } });
+  emit({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 'tu_1', content: [{ type: 'text', text: 'a.js' }] }] } });
+  console.log('not json');
+  process.stdout.write(JSON.stringify({
+    type: 'result', subtype: 'success', is_error: false, result: 'done', num_turns: 2,
+    duration_ms: 40, total_cost_usd: 0.0123,
+    usage: { input_tokens: 30, output_tokens: 12, cache_read_input_tokens: 200 },
+  }));
+}
+`;
+
+describe('headless hive-mind workers', () => {
+  let tmpDir;
+  let sessionManager;
+  let sessionId;
+  let command;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-headless-'));
+    fs.writeFileSync(path.join(tmpDir, 'stub-worker.js'), STUB_WORKER);
+    command = [process.execPath, path.join(tmpDir, 'stub-worker.js')];
+
+    // The tables hive-mind init creates
+    fs.mkdirSync(path.join(tmpDir, '.hive-mind'));
+    const db = new Database(path.join(tmpDir, '.hive-mind', 'hive.db'));
+    db.exec(`
+      CREATE TABLE swarms (id TEXT PRIMARY KEY, name TEXT NOT NULL, objective TEXT,
+        status TEXT DEFAULT 'active');
+      CREATE TABLE agents (id TEXT PRIMARY KEY, swarm_id TEXT, name TEXT, type TEXT,
+        status TEXT DEFAULT 'idle');
+      CREATE TABLE tasks (id TEXT PRIMARY KEY, swarm_id TEXT, status TEXT DEFAULT 'pending');
+      INSERT INTO swarms (id, name, objective) VALUES ('swarm-1', 'headless', 'Test the workers');
+    `);
+    db.close();
+
+    sessionManager = new HiveMindSessionManager(path.join(tmpDir, '.hive-mind'));
+    await sessionManager.ensureInitialized();
+    sessionId = await sessionManager.createSession('swarm-1', 'headless', 'Test the workers');
+  });
+
+  afterEach(() => {
+    sessionManager.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('worker commands come from flags, config.json or the claude default', () => {
+    expect(parseWorkerCommand('node "stub worker.js" --fast')).toEqual([
+      'node',
+      'stub worker.js',
+      '--fast',
+    ]);
+    expect(() => parseWorkerCommand('stub && rm -rf /')).toThrow(HeadlessWorkerError);
+
+    const hiveMindDir = path.join(tmpDir, '.hive-mind');
+    expect(resolveHeadlessOptions({}, hiveMindDir)).toEqual({
+      command: [...DEFAULT_WORKER_COMMAND, '--dangerously-skip-permissions'],
+      timeoutMs: 0,
+    });
+
+    fs.writeFileSync(
+      path.join(hiveMindDir, 'config.json'),
+      JSON.stringify({ headless: { command: ['node', 'worker.js'], timeoutMs: 5000 } }),
+    );
+    expect(resolveHeadlessOptions({}, hiveMindDir)).toEqual({
+      command: ['node', 'worker.js'],
+      timeoutMs: 5000,
+    });
+    expect(
+      resolveHeadlessOptions(
+        { 'worker-command': 'node other.js', 'worker-timeout': '2' },
+        hiveMindDir,
+      ),
+    ).toEqual({ command: ['node', 'other.js'], timeoutMs: 2000 });
+
+    expect(parseStreamJsonLine('  ')).toBeNull();
+    expect(parseStreamJsonLine('oops')).toEqual({ type: 'unparsed', line: 'oops' });
+  });
+
+  test('tool calls, messages, usage and results are recorded per worker', async () => {
+    const events = [];
+    const pool = new HeadlessWorkerPool({
+      sessionManager,
+      sessionId,
+      command,
+      env: (worker) => ({ HIVE_TEST_WORKER: worker.id }),
+      onEvent: (worker, event) => events.push([worker.id, event.type]),
+    });
+    const results = await pool.run(
+      [
+        { id: 'worker-0', type: 'coder' },
+        { id: 'worker-1', type: 'tester' },
+      ],
+      (worker) => `You are ${worker.id}`,
+    );
+
+    expect(results[0]).toMatchObject({
+      workerId: 'worker-0',
+      status: 'completed',
+      model: 'stub-model',
+      toolCalls: 1,
+      messages: 1,
+      usage: { input: 30, output: 12, cacheRead: 200, cacheCreation: 0 },
+      costUsd: 0.0123,
+      result: 'done',
+    });
+    expect(results[1]).toMatchObject({
+      workerId: 'worker-1',
+      status: 'failed',
+      exitCode: 3,
+      error: 'Worker exited with code 3: boom',
+    });
+    expect(events.filter(([id]) => id === 'worker-0').map(([, type]) => type)).toEqual([
+      'system',
+      'assistant',
+      'assistant',
+      'user',
+      'unparsed',
+      'result',
+    ]);
+
+    const runs = await sessionManager.getWorkerRuns(sessionId);
+    expect(runs.find((run) => run.agent_id === 'worker-0')).toMatchObject({
+      status: 'completed',
+      claude_session_id: 'cc-1',
+      tool_calls: 1,
+      input_tokens: 30,
+      output_tokens: 12,
+      cache_read_tokens: 200,
+      cost_usd: 0.0123,
+      num_turns: 2,
+      exit_code: 0,
+      result: 'done',
+    });
+    expect(runs.find((run) => run.agent_id === 'worker-1')).toMatchObject({
+      status: 'failed',
+      exit_code: 3,
+    });
+
+    const logs = sessionManager
+      .getSessionLogs(sessionId, 100)
+      .filter((log) => log.agent_id === 'worker-0')
+      .sort((a, b) => a.id - b.id);
+    expect(logs.map((log) => log.message)).toEqual([
+      'Worker started',
+      'Worker initialized',
+      'Worker message',
+      'Tool call: Bash',
+      'Tool result: Bash',
+      'Unparsed worker output',
+      'Worker result',
+      'Worker completed',
+    ]);
+    expect(logs[2].data).toEqual({ text: 'Working on worker-0' });
+    expect(logs[4].data).toMatchObject({ tool: 'Bash', isError: false, content: 'a.js' });
+    expect((await sessionManager.getSession(sessionId)).completion_percentage).toBe(100);
+  });
+
+  test('workers that run past the timeout are stopped and marked failed', async () => {
+    const pool = new HeadlessWorkerPool({ sessionManager, sessionId, command, timeoutMs: 300 });
+    const [result] = await pool.run([{ id: 'worker-0', type: 'coder' }], () => 'hang');
+    expect(result).toMatchObject({ status: 'failed', error: 'Timed out after 0.3s' });
+
+    const missing = new HeadlessWorkerPool({
+      sessionManager,
+      sessionId,
+      command: [path.join(tmpDir, 'no-such-worker')],
+    });
+    const [failed] = await missing.run([{ id: 'worker-1', type: 'coder' }], () => 'go');
+    expect(failed.error).toMatch(/^Cannot start .*no-such-worker: spawn .* ENOENT$/);
+  });
+});
@@ -0,0 +1,295 @@
+import { describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CircuitStateFile,
+  DEFAULT_LIMITS,
+  mergeLimits,
+  recordExecution,
+  resetState,
+  summarizeState,
+} from '../../../../src/cli/simple-commands/hooks/circuit-state.js';
+
+const CLI = path.resolve('src/cli/simple-cli.js');
+
+const emptyState = () => ({
+  version: 1,
+  currentSession: null,
+  events: [],
+  sessions: {},
+  trips: [],
+});
+
+describe('circuit breaker state', () => {
+  test('rate limits use a sliding window and trips close after the cooldown', () => {
+    const limits = mergeLimits(DEFAULT_LIMITS, {
+      rate: { 'pre-bash': { max: 2, windowMs: 1000 } },
+      cooldownMs: 5000,
+    });
+    const state = emptyState();
+    const run = (now) => recordExecution(state, limits, { hookType: 'pre-bash', now });
+
+    expect(run(0).allowed).toBe(true);
+    expect(run(600).allowed).toBe(true);
+    // The first run has left the window by now
+    expect(run(1100).allowed).toBe(true);
+
+    const tripped = run(1200);
+    expect(tripped).toMatchObject({ allowed: false, trip: { kind: 'rate', until: 6200 } });
+    expect(tripped.reason).toBe('pre-bash hook ran 3 times in 1s (limit 2)');
+    expect(run(3000)).toMatchObject({ allowed: false, trip: { blocked: 2 } });
+
+    // Other hook types are not affected
+    expect(recordExecution(state, limits, { hookType: 'post-bash', now: 3000 }).allowed).toBe(true);
+    expect(run(6300).allowed).toBe(true);
+  });
+
+  test('rate limits count per session; only the global rate trips every session', () => {
+    const limits = mergeLimits(DEFAULT_LIMITS, {
+      rate: { 'pre-bash': { max: 2, windowMs: 1000 } },
+      globalRate: { max: 5, windowMs: 1000 },
+    });
+    const state = emptyState();
+    const run = (now, sessionId) =>
+      recordExecution(state, limits, { hookType: 'pre-bash', now, sessionId });
+
+    run(0, 'a');
+    run(1, 'a');
+    expect(run(2, 'a')).toMatchObject({ allowed: false, trip: { kind: 'rate', sessionId: 'a' } });
+    // Parallel sessions keep their own budget
+    expect(run(3, 'b').allowed).toBe(true);
+    expect(run(4, 'b').allowed).toBe(true);
+    expect(run(5, 'c').allowed).toBe(true);
+
+    const runaway = run(6, 'd');
+    expect(runaway).toMatchObject({
+      allowed: false,
+      trip: { kind: 'global-rate', sessionId: null },
+    });
+    expect(runaway.reason).toBe('pre-bash hook ran 6 times in 1s across sessions (limit 5)');
+    expect(run(7, 'e').allowed).toBe(false);
+  });
+
+  test('session budgets apply per session and idle sessions end', () => {
+    const limits = mergeLimits(DEFAULT_LIMITS, { sessionIdleMs: 10000 });
+    const state = emptyState();
+    const stop = (now, sessionId) =>
+      recordExecution(state, limits, { hookType: 'Stop', now, sessionId });
+
+    expect(stop(0, 'a')).toMatchObject({ allowed: true, count: 1 });
+    expect(stop(1, 'a')).toMatchObject({ allowed: true, count: 2 });
+    expect(stop(2, 'a')).toMatchObject({ allowed: false, count: 3, trip: { kind: 'session' } });
+    expect(stop(3, 'b')).toMatchObject({ allowed: true, count: 1 });
+
+    const first = recordExecution(state, limits, { hookType: 'notify', now: 20000 });
+    const later = recordExecution(state, limits, { hookType: 'notify', now: 25000 });
+    const afterIdle = recordExecution(state, limits, { hookType: 'notify', now: 40000 });
+    expect(later.sessionId).toBe(first.sessionId);
+    expect(afterIdle.sessionId).not.toBe(first.sessionId);
+  });
+
+  test('cost caps cover a time window and a session', () => {
+    const limits = mergeLimits(DEFAULT_LIMITS, {
+      cost: { max: 3, windowMs: 60000, perSession: 4 },
+      cooldownMs: 1000,
+    });
+    const state = emptyState();
+    const claude = (now, sessionId) =>
+      recordExecution(state, limits, { hookType: 'claude', cost: 1, now, sessionId });
+
+    claude(0, 'a');
+    claude(1, 'a');
+    claude(2, 'a');
+    expect(claude(3, 'b')).toMatchObject({
+      allowed: false,
+      trip: { kind: 'cost', sessionId: null },
+    });
+
+    const later = summarizeState(state, limits, 70000);
+    expect(later.trips).toEqual([]);
+    expect(later.cost).toMatchObject({ window: 0, session: 0 });
+
+    expect(claude(70000, 'a')).toMatchObject({ allowed: true });
+    expect(claude(70001, 'a')).toMatchObject({
+      allowed: false,
+      trip: { kind: 'session-cost', sessionId: 'a' },
+    });
+  });
+
+  test('reset can be limited to a session or hook type', () => {
+    const limits = mergeLimits(DEFAULT_LIMITS, { session: { '*': 1, Stop: 1 } });
+    const state = emptyState();
+    for (const [hookType, sessionId] of [
+      ['Stop', 'a'],
+      ['notify', 'a'],
+      ['Stop', 'b'],
+      ['Stop', 'a'],
+      ['Stop', 'b'],
+    ]) {
+      recordExecution(state, limits, { hookType, sessionId, now: 1 });
+    }
+    expect(state.trips.map((t) => t.sessionId)).toEqual(['a', 'b']);
+
+    resetState(state, { sessionId: 'a', hookType: 'Stop' });
+    expect(state.trips.map((t) => t.sessionId)).toEqual(['b']);
+    expect(state.sessions.a).toMatchObject({ total: 1, counts: { notify: 1 } });
+    expect(state.sessions.b.counts).toEqual({ Stop: 1 });
+
+    resetState(state);
+    expect(state).toEqual(emptyState());
+  });
+
+  test('updates from concurrent writers are not lost', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-circuit-lock-'));
+    const file = path.join(dir, 'hook-circuit.json');
+    const script = `
+      import { CircuitStateFile } from ${JSON.stringify(
+        path.resolve('src/cli/simple-commands/hooks/circuit-state.js'),
+      )};
+      const state = new CircuitStateFile(process.argv[1]);
+      for (let i = 0; i < 50; i++) {
+        state.update((s) => { s.events.push({ t: Date.now(), hookType: 'x' }); });
+      }
+    `;
+    try {
+      const exitCodes = await Promise.all(
+        Array.from(
+          { length: 3 },
+          () =>
+            new Promise((resolve) => {
+              spawn(process.execPath, ['--input-type=module', '-e', script, file], {
+                stdio: 'ignore',
+                timeout: 30000,
+              }).on('close', resolve);
+            }),
+        ),
+      );
+      expect(exitCodes).toEqual([0, 0, 0]);
+      expect(new CircuitStateFile(file).read().events).toHaveLength(150);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('circuit breaker across hook processes', () => {
+  let projectDir;
+
+  const cli = (...args) => cliWithInput('', ...args);
+  const cliWithInput = (input, ...args) =>
+    spawnSync(process.execPath, [CLI, ...args], {
+      cwd: projectDir,
+      input,
+      encoding: 'utf8',
+      timeout: 60000,
+      env: { ...process.env, CLAUDE_FLOW_SESSION_ID: 'session-breaker' },
+    });
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-circuit-cli-'));
+    fs.mkdirSync(path.join(projectDir, '.claude'));
+    fs.writeFileSync(
+      path.join(projectDir, '.claude', 'settings.json'),
+      JSON.stringify({ claudeFlow: { hookSafety: { session: { notify: 2 } } } }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('counts persist between runs; a tripped hook is skipped until reset', () => {
+    expect(cli('hooks', 'notify', '--message', 'one').status).toBe(0);
+    expect(cli('hooks', 'notify', '--message', 'two').status).toBe(0);
+
+    const third = cli('hooks', 'notify', '--message', 'three');
+    expect(third.status).toBe(0);
+    expect(third.stdout).not.toContain('Executing notify hook');
+    expect(third.stderr).toContain('Skipping notify hook');
+    expect(third.stderr).toContain('notify hook ran 3 times in session session-breaker (limit 2)');
+
+    const status = JSON.parse(cli('hook-safety', 'status', '--json').stdout);
+    expect(status.circuitBreaker).toMatchObject({
+      sessionId: 'session-breaker',
+      executions: [{ hookType: 'notify', count: 2 }],
+      trips: [expect.objectContaining({ kind: 'session', hookType: 'notify', blocked: 1 })],
+    });
+
+    expect(cli('hook-safety', 'reset', '--hook', 'notify').stdout).toContain(
+      'Hook safety counters reset for notify hooks',
+    );
+    const afterReset = cli('hooks', 'notify', '--message', 'four');
+    expect(afterReset.stderr).not.toContain('Skipping notify hook');
+  }, 240000);
+
+  test('an open breaker denies tool calls instead of skipping the PreToolUse hooks', () => {
+    fs.writeFileSync(
+      path.join(projectDir, '.claude', 'settings.json'),
+      JSON.stringify({
+        claudeFlow: { hookSafety: { rate: { '*': { max: 1, windowMs: 60000 } } } },
+      }),
+    );
+    const bash = (command) =>
+      cliWithInput(
+        JSON.stringify({
+          hook_event_name: 'PreToolUse',
+          tool_name: 'Bash',
+          tool_input: { command },
+          cwd: projectDir,
+        }),
+        'hooks',
+        'pre-bash',
+        '--stdin',
+      );
+
+    expect(JSON.parse(bash('ls').stdout).hookSpecificOutput).toBeUndefined();
+    const tripped = bash('rm -rf /');
+    expect(tripped.status).toBe(0);
+    expect(JSON.parse(tripped.stdout).hookSpecificOutput).toMatchObject({
+      permissionDecision: 'deny',
+      permissionDecisionReason: expect.stringContaining('pre-bash hook ran 2 times in 1m'),
+    });
+
+    const edit = cliWithInput(
+      JSON.stringify({ tool_name: 'Write', tool_input: { file_path: 'a.js' } }),
+      'hooks',
+      'pre-edit',
+      '--stdin',
+    );
+    expect(edit.status).toBe(0);
+    const blockedEdit = cliWithInput(
+      JSON.stringify({ tool_name: 'Write', tool_input: { file_path: 'a.js' } }),
+      'hooks',
+      'pre-edit',
+      '--stdin',
+    );
+    expect(blockedEdit.status).toBe(2);
+    expect(blockedEdit.stderr).toContain('pre-edit blocked');
+
+    // Limits that cannot be read deny as well
+    fs.writeFileSync(path.join(projectDir, '.claude', 'settings.json'), '{ not json');
+    expect(JSON.parse(bash('ls').stdout).hookSpecificOutput).toMatchObject({
+      permissionDecision: 'deny',
+      permissionDecisionReason: expect.stringContaining('Invalid'),
+    });
+  }, 240000);
+
+  test('the Stop budget applies to the Stop hook command and its payload session', () => {
+    const stop = JSON.stringify({ session_id: 's1', hook_event_name: 'Stop' });
+    const sessionEnd = () => cliWithInput(stop, 'hooks', 'session-end', '--stdin');
+
+    expect(sessionEnd().stderr).not.toContain('Skipping session-end hook');
+    expect(sessionEnd().stderr).not.toContain('Skipping session-end hook');
+    const third = sessionEnd();
+    expect(third.status).toBe(0);
+    expect(third.stderr).toContain('Skipping session-end hook');
+    expect(third.stderr).toContain('Stop hook has executed 3 times in this session');
+
+    const status = JSON.parse(cli('hook-safety', 'status', '--json').stdout);
+    expect(status.circuitBreaker.trips).toEqual([
+      expect.objectContaining({ kind: 'session', hookType: 'Stop', sessionId: 's1' }),
+    ]);
+  }, 240000);
+});
@@ -0,0 +1,222 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  resolveHookContext,
+  recordHookEvent,
+  listHookEvents,
+  getCurrentSession,
+  latestSession,
+  buildTimeline,
+  formatTimeline,
+  replayBashCommands,
+} from '../../../../src/cli/simple-commands/hooks/journal.js';
+import { loadBashPolicy } from '../../../../src/cli/simple-commands/hooks/bash-policy.js';
+import { SqliteMemoryStore } from '../../../../src/memory/sqlite-store.js';
+
+const CLI = path.resolve('src/cli/simple-cli.js');
+
+describe('hook journal', () => {
+  let dir;
+  let store;
+
+  // Resolve and record one hook the way hooks.js does
+  const hook = async (name, flags = {}, details = {}) => {
+    const context = await resolveHookContext(store, name, flags, {
+      subject: details.subject,
+      env: {},
+    });
+    return recordHookEvent(store, name, context, details);
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-journal-'));
+    store = new SqliteMemoryStore({ directory: dir });
+    await store.initialize();
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('correlates edits and commands with the task that caused them', async () => {
+    const task = await hook(
+      'pre-task',
+      { 'agent-id': 'coder-1' },
+      { subject: 'task-1', summary: 'Build API' },
+    );
+    const preEdit = await hook('pre-edit', {}, { subject: 'src/app.js' });
+    const postEdit = await hook('post-edit', {}, { subject: 'src/app.js' });
+    const preBash = await hook('pre-bash', {}, { subject: 'npm test' });
+    const postBash = await hook('post-bash', {}, { subject: 'npm test', exitCode: 1 });
+    const done = await hook('post-task', { 'task-id': 'task-1' }, { subject: 'task-1' });
+
+    expect(task).toMatchObject({ taskId: 'task-1', agentId: 'coder-1', parentId: null });
+    expect(preEdit).toMatchObject({
+      sessionId: task.sessionId,
+      taskId: 'task-1',
+      agentId: 'coder-1',
+      parentId: task.id,
+    });
+    expect(postEdit).toMatchObject({ correlationId: preEdit.id, parentId: preEdit.id });
+    expect(postBash).toMatchObject({ correlationId: preBash.id, exitCode: 1 });
+    expect(postBash.durationMs).toEqual(expect.any(Number));
+    expect(done.correlationId).toBe(task.id);
+
+    // Once the task is closed later events are no longer attributed to it
+    expect(await hook('notify', {}, { summary: 'idle' })).toMatchObject({
+      taskId: null,
+      parentId: null,
+    });
+  });
+
+  test('nested tasks and repeated commands pair with the latest open event', async () => {
+    const outer = await hook('pre-task', {}, { subject: 'outer' });
+    const inner = await hook('pre-task', {}, { subject: 'inner' });
+    const first = await hook('pre-bash', {}, { subject: 'make' });
+    const second = await hook('pre-bash', {}, { subject: 'make' });
+
+    expect(inner.parentId).toBe(outer.id);
+    expect(first.taskId).toBe('inner');
+    expect((await hook('post-bash', {}, { subject: 'make' })).correlationId).toBe(second.id);
+    expect((await hook('post-bash', {}, { subject: 'make' })).correlationId).toBe(first.id);
+
+    await hook('post-task', { 'task-id': 'inner' }, { subject: 'inner' });
+    expect((await hook('pre-edit', {}, { subject: 'a.js' })).taskId).toBe('outer');
+  });
+
+  test('timeline folds pairs into nested entries', async () => {
+    const task = await hook('pre-task', {}, { subject: 'task-1', summary: 'Build API' });
+    await hook('pre-bash', {}, { subject: 'npm test', summary: 'npm test' });
+    await hook('post-bash', {}, { subject: 'npm test', summary: 'npm test', exitCode: 2 });
+    await hook('pre-bash', {}, { subject: 'npm start', summary: 'npm start' });
+    await hook('post-task', { 'task-id': 'task-1' }, { subject: 'task-1', status: 'completed' });
+
+    const events = await listHookEvents(store, { sessionId: task.sessionId });
+    expect(events.map((e) => e.hook)).toEqual([
+      'pre-task',
+      'pre-bash',
+      'post-bash',
+      'pre-bash',
+      'post-task',
+    ]);
+
+    const entries = buildTimeline(events);
+    expect(entries.map((e) => [e.kind, e.depth, e.exitCode, e.open])).toEqual([
+      ['task', 0, null, false],
+      ['bash', 1, 2, false],
+      ['bash', 1, null, true],
+    ]);
+
+    const lines = formatTimeline(entries);
+    expect(lines[0]).toMatch(/📋 task task-1 {2}Build API {2}\(\d+ms, completed\)$/);
+    expect(lines[1]).toMatch(/^\S+ {4}🔧 bash {2}npm test {2}\(\d+ms, exit 2\)$/);
+    expect(lines[2]).toContain('npm start  (no post hook)');
+  });
+
+  test('sessions come from flags, the hook payload or the current session', async () => {
+    const first = await hook('notify');
+    expect(await getCurrentSession(store)).toBe(first.sessionId);
+    expect((await hook('notify')).sessionId).toBe(first.sessionId);
+
+    const context = await resolveHookContext(
+      store,
+      'pre-bash',
+      {},
+      {
+        hookInput: { session_id: 'claude-abc' },
+        env: {},
+      },
+    );
+    expect(context.sessionId).toBe('claude-abc');
+    expect((await hook('notify')).sessionId).toBe('claude-abc');
+    expect((await hook('notify', { 'session-id': 'other' })).sessionId).toBe('other');
+  });
+
+  test('the journal keeps its newest events and knows the latest session', async () => {
+    const record = async (sessionId) => {
+      const context = await resolveHookContext(
+        store,
+        'notify',
+        { 'session-id': sessionId },
+        {
+          env: {},
+        },
+      );
+      return recordHookEvent(store, 'notify', context, {}, { maxEvents: 3 });
+    };
+    for (const sessionId of ['s1', 's1', 's2', 's3', 's2']) await record(sessionId);
+
+    expect((await listHookEvents(store)).map((event) => event.sessionId)).toEqual([
+      's2',
+      's3',
+      's2',
+    ]);
+    expect(await latestSession(store)).toBe('s2');
+  });
+
+  test('replay re-evaluates recorded commands against the current policy', async () => {
+    await hook(
+      'pre-bash',
+      {},
+      { subject: 'terraform apply', data: { command: 'terraform apply', decision: 'allow' } },
+    );
+    await hook('pre-bash', {}, { subject: 'ls', data: { command: 'ls', decision: 'allow' } });
+
+    const policyFile = path.join(dir, 'policy.json');
+    fs.writeFileSync(
+      policyFile,
+      JSON.stringify({ rules: [{ decision: 'deny', command: 'terraform', args: ['apply'] }] }),
+    );
+    const results = replayBashCommands(await listHookEvents(store), {
+      policy: loadBashPolicy({ cwd: dir, policyFile }),
+    });
+
+    expect(results.map((r) => [r.command, r.recorded, r.decision, r.changed])).toEqual([
+      ['terraform apply', 'allow', 'deny', true],
+      ['ls', 'allow', 'allow', false],
+    ]);
+  });
+});
+
+describe('hooks timeline and replay commands', () => {
+  let projectDir;
+
+  const hooks = (...args) =>
+    spawnSync(process.execPath, [CLI, 'hooks', ...args], {
+      cwd: projectDir,
+      encoding: 'utf8',
+      timeout: 60000,
+      env: { ...process.env, CLAUDE_FLOW_SESSION_ID: 'session-test' },
+    }).stdout;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-timeline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('renders the session story and replays its commands', () => {
+    hooks('pre-command', '--command', 'npm test', '--validate-safety', 'true');
+    hooks('post-command', '--command', 'npm test', '--exit-code', '1');
+    hooks('pre-command', '--command', 'rm -rf /', '--validate-safety', 'true');
+
+    const timeline = hooks('timeline', '--session', 'session-test');
+    expect(timeline).toContain('session session-test');
+    expect(timeline).toMatch(/🔧 bash {2}npm test {2}\(\d+(ms|\.\ds), exit 1, allow\)/);
+    expect(timeline).toContain('rm -rf /  (deny, no post hook)');
+
+    const replay = JSON.parse(hooks('replay', '--session', 'session-test', '--json'));
+    expect(replay.results.map((r) => [r.command, r.decision])).toEqual([
+      ['npm test', 'allow'],
+      ['rm -rf /', 'deny'],
+    ]);
+  }, 120000);
+});
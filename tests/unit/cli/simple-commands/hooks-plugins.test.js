@@ -0,0 +1,308 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadHookPlugins,
+  runHookPlugins,
+  pluginsFor,
+} from '../../../../src/cli/simple-commands/hooks/plugins.js';
+import { HookCircuitBreaker } from '../../../../src/cli/simple-commands/hook-safety.js';
+import { SqliteMemoryStore } from '../../../../src/memory/sqlite-store.js';
+
+const CLI = path.resolve('src/cli/simple-cli.js');
+
+const plugin = (name, handler, options = {}) => ({
+  name,
+  events: ['pre-commit'],
+  order: 100,
+  timeout: 1000,
+  handler,
+  file: `${name}.js`,
+  ...options,
+});
+
+describe('hook plugin discovery', () => {
+  let projectDir;
+
+  const writePlugin = (file, source) => {
+    const dir = path.join(projectDir, '.claude-flow', 'hooks');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, file), source);
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-hook-plugins-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('loads CommonJS and ES module handlers and reports broken files', async () => {
+    writePlugin(
+      'secret-scan.js',
+      `module.exports = { events: ['pre-commit'], order: 5, handler: () => {} };`,
+    );
+    writePlugin(
+      'adr.mjs',
+      `export default [
+        { name: 'adr-link', events: ['post-edit', 'post-command'], timeout: 500, handler() {} },
+        { name: 'ticket', events: ['pre-task'], required: true, handler() {} },
+      ];`,
+    );
+    writePlugin('broken.js', `module.exports = { events: [], handler: () => {} };`);
+    writePlugin('notes.txt', 'ignored');
+
+    const { plugins, errors } = await loadHookPlugins({ cwd: projectDir });
+
+    expect(plugins.map((p) => [p.name, p.events, p.order, p.timeout, p.failClosed])).toEqual([
+      ['adr-link', ['post-edit', 'post-bash'], 100, 500, false],
+      ['ticket', ['pre-task'], 100, 10000, true],
+      ['secret-scan', ['pre-commit'], 5, 10000, false],
+    ]);
+    expect(errors).toEqual([
+      { file: 'broken.js', error: 'broken.js: events must be a non-empty list of event names' },
+    ]);
+    expect(pluginsFor(plugins, 'post-command').map((p) => p.name)).toEqual(['adr-link']);
+  });
+
+  test('a project without a plugin directory has no plugins', async () => {
+    expect(await loadHookPlugins({ cwd: projectDir })).toMatchObject({ plugins: [], errors: [] });
+  });
+});
+
+describe('hook plugin execution', () => {
+  let stateDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-hook-circuit-'));
+    HookCircuitBreaker.configure({ stateFile: path.join(stateDir, 'hook-circuit.json') });
+    HookCircuitBreaker.reset();
+  });
+
+  afterEach(() => {
+    HookCircuitBreaker.configure();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('runs handlers in order with the store and hook context', async () => {
+    const calls = [];
+    const store = { name: 'store' };
+    const record = (name) => (ctx) => {
+      calls.push([name, ctx.event, ctx.store, ctx.context.taskId, ctx.args]);
+    };
+
+    const outcome = await runHookPlugins(
+      [plugin('b', record('b')), plugin('a', record('a'), { order: 1 }), plugin('c', record('c'))],
+      'pre-commit',
+      { store, context: { taskId: 'task-1' }, args: ['src/app.js'] },
+    );
+
+    expect(calls).toEqual([
+      ['a', 'pre-commit', store, 'task-1', ['src/app.js']],
+      ['b', 'pre-commit', store, 'task-1', ['src/app.js']],
+      ['c', 'pre-commit', store, 'task-1', ['src/app.js']],
+    ]);
+    expect(outcome).toMatchObject({ blocked: false, reason: null });
+  });
+
+  test('a blocking handler stops the rest; failures and timeouts do not', async () => {
+    const outcome = await runHookPlugins(
+      [
+        plugin('crash', () => {
+          throw new Error('boom');
+        }),
+        plugin('hang', () => new Promise(() => {}), { timeout: 50 }),
+        plugin('scan', () => ({ block: true, reason: 'Secret found' }), { order: 150 }),
+        plugin('later', () => {}, { order: 200 }),
+      ],
+      'pre-commit',
+    );
+
+    expect(outcome.results.map((r) => [r.plugin, r.status, r.error || r.reason])).toEqual([
+      ['crash', 'failed', 'boom'],
+      ['hang', 'timeout', 'Timed out after 50ms'],
+      ['scan', 'blocked', 'Secret found'],
+      ['later', 'skipped', 'Blocked by scan'],
+    ]);
+    expect(outcome).toMatchObject({ blocked: true, reason: 'Secret found' });
+  });
+
+  test('a fail-closed handler blocks when it throws or times out', async () => {
+    const crashed = await runHookPlugins(
+      [
+        plugin(
+          'scan',
+          () => {
+            throw new Error('scanner missing');
+          },
+          { failClosed: true },
+        ),
+        plugin('later', () => {}, { order: 200 }),
+      ],
+      'pre-commit',
+    );
+    expect(crashed).toMatchObject({ blocked: true, reason: 'scan failed: scanner missing' });
+    expect(crashed.results.map((r) => r.status)).toEqual(['failed', 'skipped']);
+
+    const hung = await runHookPlugins(
+      [plugin('scan', () => new Promise(() => {}), { timeout: 50, failClosed: true })],
+      'pre-commit',
+    );
+    expect(hung).toMatchObject({ blocked: true, reason: 'scan timed out: Timed out after 50ms' });
+  });
+
+  test('commands run through exec are checked by the hook command validator', async () => {
+    const stop = [
+      plugin('echo', async ({ exec }) => exec('echo hi'), { events: ['Stop'] }),
+      plugin('recurse', async ({ exec }) => exec('claude -p "again"'), { events: ['Stop'] }),
+    ];
+    const result = await runHookPlugins(stop, 'Stop');
+    expect(result.results[0].result).toMatchObject({ stdout: 'hi\n', exitCode: 0 });
+    expect(result.results[1]).toMatchObject({ status: 'failed' });
+    expect(result.results[1].error).toContain('Claude command detected in Stop hook');
+  });
+
+  test('the circuit breaker skips runaway events', async () => {
+    const stop = [plugin('notify', () => {}, { events: ['Stop'] })];
+
+    await runHookPlugins(stop, 'Stop');
+    await runHookPlugins(stop, 'Stop');
+    const third = await runHookPlugins(stop, 'Stop');
+
+    expect(third).toMatchObject({ blocked: false, skipped: true });
+    expect(third.reason).toContain('CIRCUIT BREAKER ACTIVATED');
+    expect(third.results).toEqual([
+      expect.objectContaining({ plugin: 'notify', status: 'skipped' }),
+    ]);
+  });
+});
+
+describe('custom hook events from the CLI', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-hook-cli-'));
+    const dir = path.join(projectDir, '.claude-flow', 'hooks');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, 'secret-scan.js'),
+      `const fs = require('fs');
+module.exports = {
+  events: ['pre-commit'],
+  handler({ flags }) {
+    if (fs.readFileSync(flags.file, 'utf8').includes('AKIA')) {
+      return { block: true, reason: 'AWS key in ' + flags.file };
+    }
+  },
+};`,
+    );
+    fs.writeFileSync(path.join(projectDir, 'config.js'), "const key = 'AKIAXXXX';\n");
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('a blocking plugin exits with code 2 and its run is stored', async () => {
+    const run = spawnSync(process.execPath, [CLI, 'hooks', 'pre-commit', '--file', 'config.js'], {
+      cwd: projectDir,
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+
+    expect(run.status).toBe(2);
+    expect(run.stderr).toContain('pre-commit blocked: AWS key in config.js');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = new SqliteMemoryStore({ directory: path.join(projectDir, '.swarm') });
+    try {
+      const [entry] = await store.list({ namespace: 'hooks:plugins' });
+      expect(entry.value).toMatchObject({
+        event: 'pre-commit',
+        blocked: true,
+        sessionId: expect.any(String),
+        results: [expect.objectContaining({ plugin: 'secret-scan', status: 'blocked' })],
+      });
+    } finally {
+      store.close();
+      jest.restoreAllMocks();
+    }
+  }, 60000);
+});
+
+describe('plugins on PreToolUse hooks', () => {
+  let projectDir;
+
+  const hook = (subcommand, payload) =>
+    spawnSync(process.execPath, [CLI, 'hooks', subcommand, '--stdin'], {
+      cwd: projectDir,
+      input: JSON.stringify({ cwd: projectDir, ...payload }),
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-hook-pretool-'));
+    const dir = path.join(projectDir, '.claude-flow', 'hooks');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, 'guards.js'),
+      `module.exports = [
+  {
+    name: 'no-deploy',
+    events: ['pre-bash'],
+    handler({ input }) {
+      if (input.tool_input.command.includes('deploy')) {
+        return { block: true, reason: 'Deploys go through CI' };
+      }
+    },
+  },
+  {
+    name: 'secret-scan',
+    events: ['pre-edit'],
+    failClosed: true,
+    handler({ input }) {
+      if (input.tool_input.file_path.endsWith('.env')) throw new Error('scanner unavailable');
+    },
+  },
+];`,
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('a blocking plugin becomes the pre-bash decision', () => {
+    const bash = (command) => hook('pre-bash', { tool_name: 'Bash', tool_input: { command } });
+
+    const allowed = bash('ls');
+    expect(allowed.status).toBe(0);
+    expect(JSON.parse(allowed.stdout).hookSpecificOutput).toBeUndefined();
+
+    const denied = bash('npm run deploy');
+    expect(denied.status).toBe(0);
+    expect(JSON.parse(denied.stdout).hookSpecificOutput).toMatchObject({
+      permissionDecision: 'deny',
+      permissionDecisionReason: 'Deploys go through CI',
+    });
+  }, 120000);
+
+  test('a failing fail-closed plugin blocks the edit', () => {
+    const edit = (file) =>
+      hook('pre-edit', {
+        tool_name: 'Write',
+        tool_input: { file_path: path.join(projectDir, file) },
+      });
+
+    expect(edit('app.js').status).toBe(0);
+    const blocked = edit('.env');
+    expect(blocked.status).toBe(2);
+    expect(blocked.stderr).toContain('pre-edit blocked: secret-scan failed: scanner unavailable');
+  }, 120000);
+});
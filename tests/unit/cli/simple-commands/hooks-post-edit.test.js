@@ -0,0 +1,253 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  formatEditedFile,
+  parseDiagnostics,
+  projectUsesTool,
+  unifiedDiff,
+} from '../../../../src/cli/simple-commands/hooks/formatters.js';
+import { SqliteMemoryStore } from '../../../../src/memory/sqlite-store.js';
+
+const CLI = path.resolve('src/cli/simple-cli.js');
+const REPO_MODULES = path.resolve('node_modules');
+
+// Upper-cases its input, or fails when it sees FAIL
+const FAKE_FORMATTER = `
+let input = '';
+process.stdin.on('data', (chunk) => (input += chunk));
+process.stdin.on('end', () => {
+  if (input.includes('FAIL')) {
+    console.error('cannot parse');
+    process.exit(1);
+  }
+  process.stdout.write(input.toUpperCase());
+});
+`;
+
+// Reports every TODO as file:line:col: warning: message
+const FAKE_LINTER = `
+let input = '';
+process.stdin.on('data', (chunk) => (input += chunk));
+process.stdin.on('end', () => {
+  input.split('\\n').forEach((line, i) => {
+    const col = line.indexOf('TODO');
+    if (col >= 0) console.log('x.txt:' + (i + 1) + ':' + (col + 1) + ': warning: leftover TODO');
+  });
+});
+`;
+
+describe('post-edit formatters', () => {
+  let projectDir;
+
+  const write = (name, content) => {
+    const file = path.join(projectDir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const configure = (postEdit) =>
+    write('.claude/settings.json', JSON.stringify({ claudeFlow: { postEdit } }));
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-post-edit-'));
+    write('fmt.cjs', FAKE_FORMATTER);
+    write('lint.cjs', FAKE_LINTER);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('uses the prettier installed in the project', () => {
+    fs.symlinkSync(REPO_MODULES, path.join(projectDir, 'node_modules'), 'dir');
+    write('package.json', JSON.stringify({ devDependencies: { prettier: '^3.0.0' } }));
+    const file = write('src/app.js', 'const a = {b:1}\n');
+
+    const result = formatEditedFile(file, { projectRoot: projectDir });
+
+    expect(result).toMatchObject({
+      extension: '.js',
+      attempted: true,
+      status: 'formatted',
+      formatter: 'prettier',
+      changed: true,
+    });
+    expect(fs.readFileSync(file, 'utf8')).toBe('const a = { b: 1 };\n');
+    expect(result.diff).toContain('--- a/src/app.js');
+    expect(result.diff).toContain('-const a = {b:1}\n+const a = { b: 1 };');
+  }, 30000);
+
+  test('leaves files alone in projects that did not opt in to a formatter', () => {
+    fs.symlinkSync(REPO_MODULES, path.join(projectDir, 'node_modules'), 'dir');
+    write('package.json', JSON.stringify({ dependencies: { express: '^4.0.0' } }));
+    const file = write('src/app.js', 'const a = {b:1}\n');
+
+    expect(formatEditedFile(file, { projectRoot: projectDir })).toMatchObject({
+      attempted: false,
+      status: 'unavailable',
+      error: 'prettier: Not configured in this project',
+    });
+    expect(fs.readFileSync(file, 'utf8')).toBe('const a = {b:1}\n');
+
+    write('.prettierrc', '{}');
+    expect(formatEditedFile(file, { projectRoot: projectDir }).status).toBe('formatted');
+  }, 30000);
+
+  test('detects opt-in from config files and dependency lists', () => {
+    const black = { pyprojectTool: 'black', python: ['black'] };
+    expect(projectUsesTool(black, projectDir)).toBe(false);
+
+    write('requirements-dev.txt', 'pytest\nblack==24.1.0\n');
+    expect(projectUsesTool(black, projectDir)).toBe(true);
+    fs.rmSync(path.join(projectDir, 'requirements-dev.txt'));
+
+    write('pyproject.toml', '[project]\ndependencies = ["blacken-docs"]\n');
+    expect(projectUsesTool(black, projectDir)).toBe(false);
+    write('pyproject.toml', '[tool.black]\nline-length = 100\n');
+    expect(projectUsesTool(black, projectDir)).toBe(true);
+
+    write('package.json', JSON.stringify({ prettier: { semi: false } }));
+    expect(projectUsesTool({ packageJson: 'prettier', npm: ['prettier'] }, projectDir)).toBe(true);
+    expect(projectUsesTool(undefined, projectDir)).toBe(false);
+  });
+
+  test('writes through a symlinked file', () => {
+    configure({ formatters: { '.txt': { formatter: { command: ['node', 'fmt.cjs'] } } } });
+    const target = write('shared/x.txt', 'hello\n');
+    const link = path.join(projectDir, 'x.txt');
+    fs.symlinkSync(target, link);
+
+    expect(formatEditedFile(link, { projectRoot: projectDir }).status).toBe('formatted');
+    expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+    expect(fs.readFileSync(target, 'utf8')).toBe('HELLO\n');
+  });
+
+  test('reports missing tools instead of guessing', () => {
+    const file = write('main.zig', 'const x = 1;\n');
+    expect(formatEditedFile(file, { projectRoot: projectDir })).toMatchObject({
+      attempted: false,
+      status: 'unavailable',
+      lint: null,
+    });
+  });
+
+  test('runs formatters and linters configured per extension', () => {
+    configure({
+      formatters: {
+        '.txt': {
+          formatter: { command: ['node', 'fmt.cjs'] },
+          linter: { command: ['node', 'lint.cjs'], format: 'lines' },
+        },
+        '.md': false,
+      },
+    });
+    const file = write('notes/x.txt', 'keep\nTODO: tidy\n');
+
+    const result = formatEditedFile(file, { projectRoot: projectDir });
+
+    expect(result).toMatchObject({ status: 'formatted', formatter: 'node' });
+    expect(fs.readFileSync(file, 'utf8')).toBe('KEEP\nTODO: TIDY\n');
+    expect(result.lint).toEqual({
+      linter: 'node',
+      status: 'ok',
+      diagnostics: [
+        { line: 2, column: 1, severity: 'warning', message: 'leftover TODO', rule: null },
+      ],
+      errorCount: 0,
+      warningCount: 1,
+    });
+
+    const markdown = write('README.md', '# hi\n');
+    expect(formatEditedFile(markdown, { projectRoot: projectDir }).status).toBe('disabled');
+  });
+
+  test('leaves the file untouched when the formatter fails', () => {
+    configure({ formatters: { '.txt': { formatter: { command: ['node', 'fmt.cjs'] } } } });
+    const file = write('x.txt', 'FAIL here\n');
+
+    const result = formatEditedFile(file, { projectRoot: projectDir });
+
+    expect(result).toMatchObject({ status: 'failed', changed: false, error: 'cannot parse' });
+    expect(fs.readFileSync(file, 'utf8')).toBe('FAIL here\n');
+  });
+
+  test('stores the diff and diagnostics with the edit record', async () => {
+    configure({
+      formatters: {
+        '.txt': {
+          formatter: { command: ['node', 'fmt.cjs'] },
+          linter: { command: ['node', 'lint.cjs'] },
+        },
+      },
+    });
+    write('x.txt', 'TODO later\n');
+
+    const run = spawnSync(
+      process.execPath,
+      [CLI, 'hooks', 'post-edit', '--file', 'x.txt', '--format', 'true'],
+      { cwd: projectDir, encoding: 'utf8', timeout: 60000 },
+    );
+    expect(run.stdout).toContain('Formatted with node');
+    expect(run.stdout).toContain('node: 0 error(s), 1 warning(s)');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = new SqliteMemoryStore({ directory: path.join(projectDir, '.swarm') });
+    try {
+      const [entry] = await store.list({ namespace: 'hooks:post-edit' });
+      expect(entry.value.formatResult).toMatchObject({
+        status: 'formatted',
+        diff: expect.stringContaining('-TODO later\n+TODO LATER'),
+        lint: { warningCount: 1 },
+      });
+    } finally {
+      store.close();
+      jest.restoreAllMocks();
+    }
+  }, 60000);
+});
+
+describe('post-edit output helpers', () => {
+  test('unifiedDiff lists removals before additions with context', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n') + '\n';
+    const after = ['a', 'b', 'c', 'D', 'E', 'f', 'g', 'h'].join('\n') + '\n';
+
+    expect(unifiedDiff(before, after, 'x.txt')).toBe(
+      [
+        '--- a/x.txt',
+        '+++ b/x.txt',
+        '@@ -1,8 +1,8 @@',
+        ' a',
+        ' b',
+        ' c',
+        '-d',
+        '-e',
+        '+D',
+        '+E',
+        ' f',
+        ' g',
+        ' h',
+        '',
+      ].join('\n'),
+    );
+    expect(unifiedDiff('same\n', 'same\n', 'x.txt')).toBe('');
+  });
+
+  test('parseDiagnostics normalizes eslint output', () => {
+    const output = JSON.stringify([
+      {
+        messages: [
+          { line: 3, column: 7, severity: 2, message: 'x is not defined', ruleId: 'no-undef' },
+          { line: 4, column: 1, severity: 1, message: 'Unexpected console', ruleId: 'no-console' },
+        ],
+      },
+    ]);
+    expect(parseDiagnostics('eslint', output).map((d) => [d.severity, d.rule])).toEqual([
+      ['error', 'no-undef'],
+      ['warning', 'no-console'],
+    ]);
+  });
+});
@@ -0,0 +1,315 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildReadOnlySettings,
+  checkReadOnlyCommand,
+  listReadOnlyViolations,
+  markReadOnlySession,
+  writeReadOnlySettings,
+} from '../../../../src/cli/simple-commands/hooks/read-only.js';
+import { SqliteMemoryStore } from '../../../../src/memory/sqlite-store.js';
+
+const CLI = path.resolve('src/cli/simple-cli.js');
+
+describe('read-only command policy', () => {
+  const decide = (command) => checkReadOnlyCommand(command, { cwd: '/project' });
+
+  test('allows commands that only read', () => {
+    for (const command of [
+      'ls -la src',
+      'grep -rn TODO src | sort | head -20',
+      'git log --oneline -5 && git diff HEAD~1 --stat',
+      'cat package.json 2>/dev/null',
+      "sed -n '1,40p' src/index.js",
+    ]) {
+      expect([command, decide(command).decision]).toEqual([command, 'allow']);
+    }
+    expect(decide('ls').explicit).toBe(true);
+  });
+
+  test('denies anything that could change files', () => {
+    expect(decide('echo done > notes.txt').reason).toBe(
+      'Read-only session: Redirects output into a file',
+    );
+    expect(decide('rm -rf dist').reason).toBe(
+      'Read-only session: rm is not a known read-only command',
+    );
+    expect(decide("sed -i 's/a/b/' src/x.js").reason).toBe(
+      'Read-only session: sed editing files in place',
+    );
+    expect(decide('git status && git commit -am wip').reason).toBe(
+      'Read-only session: git command that changes the repository',
+    );
+    expect(decide('find . -name "*.tmp" -delete').decision).toBe('deny');
+    expect(decide('npm test').decision).toBe('deny');
+    expect(decide('$EDITOR src/x.js').decision).toBe('deny');
+  });
+
+  test('denies git branch with a name and git settings that run programs', () => {
+    for (const command of ['git branch', 'git branch -av', 'git branch --show-current']) {
+      expect([command, decide(command).decision]).toEqual([command, 'allow']);
+    }
+    expect(decide('git branch newb').reason).toBe(
+      'Read-only session: git branch that changes branches',
+    );
+    for (const command of [
+      "git -c core.pager='rm -rf /' log",
+      'git -c core.fsmonitor=./x status',
+      'git --config-env=core.pager=CMD log',
+    ]) {
+      expect([command, decide(command).reason]).toEqual([
+        command,
+        'Read-only session: git with settings that can run other programs',
+      ]);
+    }
+    expect(decide("GIT_PAGER='rm -rf /' git log").decision).toBe('deny');
+    expect(decide('git -C sub log -3').decision).toBe('allow');
+  });
+
+  test('judges git stash and git config by their arguments', () => {
+    for (const command of [
+      'git stash list',
+      'git stash show -p',
+      'git config --get user.name',
+      'git config --list',
+      'git log -- stash',
+    ]) {
+      expect([command, decide(command).decision]).toEqual([command, 'allow']);
+    }
+    expect(decide('git stash').reason).toBe('Read-only session: git stash that changes stashes');
+    expect(decide('git stash pop').decision).toBe('deny');
+    expect(decide('git config user.name x').reason).toBe(
+      'Read-only session: git config that changes settings',
+    );
+    expect(decide('git config --get --unset user.name').decision).toBe('deny');
+  });
+
+  test('denies sed scripts that write or run commands, and rg --pre', () => {
+    for (const command of ["sed -n '/error/p' f", "sed 's/we/ew/g' f", "sed ':a;N;ba' f"]) {
+      expect([command, decide(command).decision]).toEqual([command, 'allow']);
+    }
+    for (const command of [
+      "sed -e 'w out' f",
+      "sed 's/a/b/w out' f",
+      "sed -n '/x/W out' f",
+      "sed '1e rm -rf /' f",
+      "sed 's/.*/rm &/e' f",
+      'sed -f script.sed f',
+    ]) {
+      expect([command, decide(command).reason]).toEqual([
+        command,
+        'Read-only session: sed script that writes files or runs commands',
+      ]);
+    }
+    expect(decide("rg --pre 'rm -rf /' x").reason).toBe(
+      'Read-only session: rg --pre runs another program on each file',
+    );
+    expect(decide("rg --pre-glob '*.gz' --pre zcat x").decision).toBe('deny');
+    expect(decide('rg -n TODO src').decision).toBe('allow');
+  });
+});
+
+describe('read-only session settings', () => {
+  test('deny the edit tools and route edits and commands through the hooks', () => {
+    const settings = buildReadOnlySettings('swarm_abc');
+    expect(settings.permissions.deny).toEqual(
+      expect.arrayContaining(['Write', 'Edit', 'MultiEdit', 'NotebookEdit', 'Bash(rm *)']),
+    );
+    expect(settings.permissions.allow).toEqual(
+      expect.arrayContaining(['Read', 'Grep', 'mcp__claude-flow__memory_search']),
+    );
+    // MCP servers are not allowed wholesale: some of their tools write files
+    expect(settings.permissions.allow).not.toContain('mcp__claude-flow');
+    expect(settings.permissions.allow).not.toContain('mcp__claude-flow__memory_backup');
+    expect(settings.env).toEqual({ CLAUDE_FLOW_SESSION_ID: 'swarm_abc' });
+    expect(settings.hooks.PreToolUse).toEqual([
+      {
+        matcher: 'Write|Edit|MultiEdit|NotebookEdit',
+        hooks: [
+          {
+            type: 'command',
+            command: 'npx claude-flow@alpha hooks pre-edit --stdin --session-id swarm_abc',
+          },
+        ],
+      },
+      {
+        matcher: 'Bash',
+        hooks: [
+          {
+            type: 'command',
+            command: 'npx claude-flow@alpha hooks pre-bash --stdin --session-id swarm_abc',
+          },
+        ],
+      },
+    ]);
+  });
+});
+
+describe('hooks in a read-only session', () => {
+  let projectDir;
+
+  const hook = (args, payload, env = {}) =>
+    spawnSync(process.execPath, [CLI, 'hooks', ...args], {
+      cwd: projectDir,
+      input: payload ? JSON.stringify({ hook_event_name: 'PreToolUse', ...payload }) : '',
+      env: { ...process.env, ...env },
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+
+  const openStore = () => new SqliteMemoryStore({ directory: path.join(projectDir, '.swarm') });
+
+  beforeAll(async () => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-read-only-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = openStore();
+    await store.initialize();
+    await markReadOnlySession(store, 'swarm_ro', { source: 'swarm' });
+    store.close();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('mutations are blocked and reported, reads are allowed', async () => {
+    const denied = hook(['pre-bash', '--stdin', '--session-id', 'swarm_ro'], {
+      tool_name: 'Bash',
+      tool_input: { command: 'rm -rf dist' },
+      cwd: projectDir,
+    });
+    expect(JSON.parse(denied.stdout).hookSpecificOutput).toEqual({
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'deny',
+      permissionDecisionReason: 'Read-only session: rm is not a known read-only command',
+    });
+
+    const allowed = hook(['pre-bash', '--stdin', '--session-id', 'swarm_ro'], {
+      tool_name: 'Bash',
+      tool_input: { command: 'git status' },
+      cwd: projectDir,
+    });
+    expect(JSON.parse(allowed.stdout).hookSpecificOutput.permissionDecision).toBe('allow');
+
+    // Claude Code's own session id in the payload; the flag comes from the environment
+    const edit = hook(
+      ['pre-edit', '--stdin'],
+      { session_id: 'claude-session', tool_name: 'Write', tool_input: { file_path: 'src/a.js' } },
+      { CLAUDE_FLOW_SESSION_ID: 'swarm_ro' },
+    );
+    expect(edit.status).toBe(2);
+    expect(edit.stderr).toContain('Read-only session: edit of src/a.js is not allowed');
+    expect(fs.existsSync(path.join(projectDir, 'src'))).toBe(false);
+
+    const report = hook(['session-end', '--session-id', 'swarm_ro'], null);
+    expect(report.stdout).toContain('Read-only violations: 2');
+    expect(report.stdout).toContain('Write: src/a.js');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = openStore();
+    try {
+      const violations = await listReadOnlyViolations(store, 'swarm_ro');
+      expect(violations.map(({ tool, target }) => [tool, target])).toEqual([
+        ['Bash', 'rm -rf dist'],
+        ['Write', 'src/a.js'],
+      ]);
+      const { value } = (await store.list({ namespace: 'sessions' }))[0];
+      expect(value.readOnly.violations).toHaveLength(2);
+    } finally {
+      store.close();
+      jest.restoreAllMocks();
+    }
+  }, 120000);
+
+  test('a flagged session fails closed when its flag cannot be read', () => {
+    const brokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-read-only-broken-'));
+    try {
+      writeReadOnlySettings('swarm_broken', { cwd: brokenDir });
+      fs.mkdirSync(path.join(brokenDir, '.swarm'));
+      fs.writeFileSync(path.join(brokenDir, '.swarm', 'memory.db'), 'not a database');
+      const run = (args, payload) =>
+        spawnSync(
+          process.execPath,
+          [CLI, 'hooks', ...args, '--stdin', '--session-id', 'swarm_broken'],
+          {
+            cwd: brokenDir,
+            input: JSON.stringify({ hook_event_name: 'PreToolUse', cwd: brokenDir, ...payload }),
+            encoding: 'utf8',
+            timeout: 60000,
+          },
+        );
+
+      const bash = run(['pre-bash'], { tool_name: 'Bash', tool_input: { command: 'ls' } });
+      expect(JSON.parse(bash.stdout).hookSpecificOutput).toMatchObject({
+        permissionDecision: 'deny',
+        permissionDecisionReason: expect.stringContaining(
+          'Read-only session: the command could not be checked',
+        ),
+      });
+
+      const edit = run(['pre-edit'], { tool_name: 'Write', tool_input: { file_path: 'a.js' } });
+      expect(edit.status).toBe(2);
+      expect(edit.stderr).toContain('Read-only session: edit of a.js is not allowed');
+    } finally {
+      fs.rmSync(brokenDir, { recursive: true, force: true });
+    }
+  }, 120000);
+
+  test('a tripped circuit breaker still blocks edits and commands', async () => {
+    const trippedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-read-only-breaker-'));
+    try {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const store = new SqliteMemoryStore({ directory: path.join(trippedDir, '.swarm') });
+      await store.initialize();
+      await markReadOnlySession(store, 'swarm_busy', { source: 'swarm' });
+      store.close();
+      jest.restoreAllMocks();
+      writeReadOnlySettings('swarm_busy', { cwd: trippedDir });
+      fs.mkdirSync(path.join(trippedDir, '.claude'));
+      fs.writeFileSync(
+        path.join(trippedDir, '.claude', 'settings.json'),
+        JSON.stringify({
+          claudeFlow: { hookSafety: { rate: { '*': { max: 1, windowMs: 60000 } } } },
+        }),
+      );
+      const run = (args, payload) =>
+        spawnSync(
+          process.execPath,
+          [CLI, 'hooks', ...args, '--stdin', '--session-id', 'swarm_busy'],
+          {
+            cwd: trippedDir,
+            input: JSON.stringify({ hook_event_name: 'PreToolUse', cwd: trippedDir, ...payload }),
+            encoding: 'utf8',
+            timeout: 60000,
+          },
+        );
+      const bash = (command) => run(['pre-bash'], { tool_name: 'Bash', tool_input: { command } });
+      const edit = () =>
+        run(['pre-edit'], { tool_name: 'Write', tool_input: { file_path: 'a.js' } });
+
+      expect(JSON.parse(bash('ls').stdout).hookSpecificOutput.permissionDecision).toBe('allow');
+      const skipped = bash('ls');
+      expect(JSON.parse(skipped.stdout).hookSpecificOutput).toMatchObject({
+        permissionDecision: 'deny',
+        permissionDecisionReason: expect.stringContaining('CIRCUIT BREAKER'),
+      });
+
+      edit();
+      const blocked = edit();
+      expect(blocked.status).toBe(2);
+      expect(blocked.stderr).toContain('CIRCUIT BREAKER');
+    } finally {
+      fs.rmSync(trippedDir, { recursive: true, force: true });
+    }
+  }, 120000);
+
+  test('the settings file is written under .claude-flow/read-only', () => {
+    const file = writeReadOnlySettings('swarm_ro', { cwd: projectDir });
+    expect(file).toBe(path.join(projectDir, '.claude-flow', 'read-only', 'swarm_ro.json'));
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).env.CLAUDE_FLOW_SESSION_ID).toBe('swarm_ro');
+  });
+});
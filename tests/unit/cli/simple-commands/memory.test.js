@@ -0,0 +1,96 @@
+import { jest, describe, test, beforeAll, afterAll, beforeEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { memoryCommand } from '../../../../src/cli/simple-commands/memory.js';
+import { SqliteMemoryStore } from '../../../../src/memory/sqlite-store.js';
+
+describe('memory command on the shared SQLite store', () => {
+  let tmpDir;
+  let originalCwd;
+  let logSpy;
+
+  // Runs a subcommand with --json and returns the parsed output
+  const runJson = async (subArgs, flags = {}) => {
+    logSpy.mockClear();
+    await memoryCommand(subArgs, { ...flags, json: true });
+    return JSON.parse(logSpy.mock.calls.map((call) => call.join(' ')).join('\n'));
+  };
+
+  beforeAll(() => {
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-memory-cli-'));
+    process.chdir(tmpDir);
+
+    fs.mkdirSync('memory');
+    fs.writeFileSync(
+      'memory/memory-store.json',
+      JSON.stringify({
+        default: [{ key: 'legacy', value: 'from the JSON file', namespace: 'default' }],
+        sparc: [{ key: 'spec', value: 'research notes', namespace: 'sparc', tags: ['s1'] }],
+      }),
+    );
+  });
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('imports the legacy JSON store once and keeps the file', async () => {
+    const listed = await runJson(['list']);
+    expect(listed.namespaces).toEqual({ default: 1, sparc: 1 });
+    expect(fs.existsSync('memory/memory-store.json')).toBe(false);
+    expect(fs.existsSync('memory/memory-store.json.imported')).toBe(true);
+
+    const spec = await runJson(['get', 'spec'], { namespace: 'sparc' });
+    expect(spec).toMatchObject({ found: true, value: 'research notes' });
+  });
+
+  test('store, get, query and delete round-trip', async () => {
+    const stored = await runJson(['store', 'token', 'abc', '123'], { ttl: '3600', tags: 'auth' });
+    expect(stored).toMatchObject({ success: true, ttl: 3600, tags: ['auth'] });
+
+    expect((await runJson(['get', 'token'])).value).toBe('abc 123');
+
+    const byTag = await runJson(['query'], { tags: 'auth' });
+    expect(byTag.results.map((r) => r.key)).toEqual(['token']);
+
+    const fullText = await runJson(['query', 'research'], { fts: true });
+    expect(fullText.results[0]).toMatchObject({ key: 'spec', namespace: 'sparc' });
+
+    expect((await runJson(['delete', 'token'])).deleted).toBe(true);
+    expect((await runJson(['get', 'token'])).found).toBe(false);
+  });
+
+  test('entries are visible to the store the MCP server uses', async () => {
+    await runJson(['store', 'shared-key', 'written by the CLI'], { namespace: 'cli' });
+
+    const mcpStore = new SqliteMemoryStore();
+    try {
+      expect(await mcpStore.retrieve('shared-key', { namespace: 'cli' })).toBe(
+        'written by the CLI',
+      );
+      await mcpStore.store('from-mcp', 'written by an agent', { namespace: 'cli' });
+    } finally {
+      mcpStore.close();
+    }
+
+    const found = await runJson(['query', 'agent'], { namespace: 'cli' });
+    expect(found.results.map((r) => r.key)).toEqual(['from-mcp']);
+  });
+
+  test('invalid arguments are reported as JSON errors', async () => {
+    expect(await runJson(['store', 'k', 'v'], { ttl: 'soon' })).toEqual({
+      success: false,
+      error: '--ttl must be a positive number of seconds',
+    });
+    expect((await runJson(['get'])).success).toBe(false);
+  });
+});
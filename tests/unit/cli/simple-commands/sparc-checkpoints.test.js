@@ -0,0 +1,176 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SparcMethodology } from '../../../../src/cli/simple-commands/sparc/index.js';
+import { SparcCheckpointStore } from '../../../../src/cli/simple-commands/sparc/checkpoints.js';
+import { SqliteMemoryStore } from '../../../../src/memory/sqlite-store.js';
+
+const CLI = path.resolve('src/cli/simple-cli.js');
+
+// Results that pass each phase's quality gate
+const RESULTS = {
+  specification: { requirements: ['List todos'], acceptanceCriteria: ['Todos are listed'] },
+  pseudocode: { flowDiagram: {}, pseudocode: Array.from({ length: 10 }, (_, i) => `step ${i}`) },
+  architecture: { components: [{ name: 'api' }], designPatterns: ['MVC'] },
+  refinement: { testResults: { passed: 3, coverage: 90 } },
+  completion: { validated: true, documented: true },
+};
+
+describe('SPARC run checkpoints', () => {
+  let dir;
+  let store;
+  let checkpoints;
+
+  // A methodology whose phases return canned results and record what they were given
+  const createRun = (options = {}) => {
+    const sparc = new SparcMethodology('Build todo API', { ...options, checkpoints });
+    sparc.calls = [];
+    for (const [name, phase] of Object.entries(sparc.phases)) {
+      phase.execute = jest.fn(async () => {
+        sparc.calls.push([name, Object.keys(phase.memory).filter((k) => k.endsWith('_complete'))]);
+        if (sparc.failAt === name) throw new Error(`${name} exploded`);
+        return RESULTS[name];
+      });
+    }
+    return sparc;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-sparc-'));
+    store = new SqliteMemoryStore({ directory: dir });
+    await store.initialize();
+    checkpoints = new SparcCheckpointStore(store);
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('every phase is checkpointed and sees the results before it', async () => {
+    const sparc = createRun({ namespace: 'todo' });
+    await sparc.execute();
+
+    expect(sparc.calls).toEqual([
+      ['specification', []],
+      ['pseudocode', ['specification_complete']],
+      ['architecture', ['specification_complete', 'pseudocode_complete']],
+      ['refinement', ['specification_complete', 'pseudocode_complete', 'architecture_complete']],
+      [
+        'completion',
+        [
+          'specification_complete',
+          'pseudocode_complete',
+          'architecture_complete',
+          'refinement_complete',
+        ],
+      ],
+    ]);
+
+    expect(await checkpoints.getCheckpoint(sparc.runId, 'architecture')).toMatchObject({
+      phase: 'architecture',
+      result: RESULTS.architecture,
+      qualityGate: { passed: true },
+    });
+    expect(await checkpoints.getRun(sparc.runId)).toMatchObject({
+      taskDescription: 'Build todo API',
+      options: { namespace: 'todo' },
+      status: 'completed',
+      completedPhases: sparc.phaseOrder,
+    });
+  });
+
+  test('a failed run resumes at the failed phase', async () => {
+    const first = createRun();
+    first.failAt = 'architecture';
+    await expect(first.execute()).rejects.toThrow('architecture exploded');
+    expect(await checkpoints.getRun(first.runId)).toMatchObject({
+      status: 'failed',
+      failedPhase: 'architecture',
+      completedPhases: ['specification', 'pseudocode'],
+    });
+
+    const resumed = createRun({ runId: first.runId });
+    const summary = await resumed.resume();
+
+    expect(resumed.calls.map(([name]) => name)).toEqual([
+      'architecture',
+      'refinement',
+      'completion',
+    ]);
+    expect(resumed.calls[0][1]).toEqual(['specification_complete', 'pseudocode_complete']);
+    expect(summary.phases.every((phase) => phase.status === 'passed')).toBe(true);
+    expect((await checkpoints.getRun(first.runId)).status).toBe('completed');
+  });
+
+  test('one phase can be rerun on top of the checkpoints of the others', async () => {
+    const first = createRun();
+    await first.execute();
+
+    const rerun = createRun({ runId: first.runId });
+    RESULTS.refinement.testResults.passed = 5;
+    try {
+      await rerun.execute({ only: 'refinement' });
+    } finally {
+      RESULTS.refinement.testResults.passed = 3;
+    }
+
+    expect(rerun.calls.map(([name]) => name)).toEqual(['refinement']);
+    expect(rerun.artifacts.completion).toEqual(RESULTS.completion);
+    expect(
+      (await checkpoints.getCheckpoint(first.runId, 'refinement')).result.testResults.passed,
+    ).toBe(5);
+  });
+
+  test('phases before the first one to run must have checkpoints', async () => {
+    const first = createRun();
+    first.failAt = 'pseudocode';
+    await expect(first.execute()).rejects.toThrow();
+
+    const rerun = createRun({ runId: first.runId });
+    await expect(rerun.execute({ fromPhase: 'architecture' })).rejects.toThrow(
+      `No checkpoint for pseudocode in run ${first.runId}`,
+    );
+    expect(rerun.calls).toEqual([]);
+    await expect(rerun.execute({ only: 'testing' })).rejects.toThrow('Unknown phase: testing');
+  });
+});
+
+describe('sparc run and resume commands', () => {
+  let projectDir;
+
+  const sparc = (...args) =>
+    spawnSync(process.execPath, [CLI, 'sparc', ...args], {
+      cwd: projectDir,
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-sparc-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('a later phase needs an earlier run; runs are listed for resume', () => {
+    expect(sparc('run', '--only', 'architecture', 'Build todo API').stdout).toContain(
+      'No checkpointed SPARC run for "Build todo API" found',
+    );
+
+    const run = sparc('run', '--only', 'specification', 'Build todo API');
+    const runId = run.stdout.match(/Run: (sparc-run-\S+)/)[1];
+    expect(run.stdout).toContain('specification: passed');
+    expect(run.stdout).toContain('pseudocode: not run');
+
+    expect(sparc('resume').stdout).toMatch(
+      new RegExp(`${runId} {2}partial {2}1/5 phases {2}Build todo API`),
+    );
+  }, 120000);
+});
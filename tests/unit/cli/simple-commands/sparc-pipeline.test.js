@@ -0,0 +1,292 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SparcMethodology } from '../../../../src/cli/simple-commands/sparc/index.js';
+import { SparcCheckpointStore } from '../../../../src/cli/simple-commands/sparc/checkpoints.js';
+import {
+  evaluateGates,
+  loadPipeline,
+  resolvePipeline,
+} from '../../../../src/cli/simple-commands/sparc/pipeline.js';
+import { SqliteMemoryStore } from '../../../../src/memory/sqlite-store.js';
+
+const CLI = path.resolve('src/cli/simple-cli.js');
+const PHASE_BASE = path.resolve('src/cli/simple-commands/sparc/phase-base.js');
+
+// Results that pass each built-in phase's quality gate
+const RESULTS = {
+  specification: { requirements: ['List todos'], acceptanceCriteria: ['Todos are listed'] },
+  pseudocode: { flowDiagram: {}, pseudocode: Array.from({ length: 10 }, (_, i) => `step ${i}`) },
+  architecture: { components: [{ name: 'api' }], designPatterns: ['MVC'] },
+  refinement: { testResults: { passed: 3, failed: 0, coverage: 70 } },
+  completion: { validated: true, documented: true },
+};
+
+// A custom phase written the way a project would: a factory given SparcPhase
+const THREAT_MODEL = `
+export default ({ SparcPhase }) =>
+  class ThreatModelPhase extends SparcPhase {
+    constructor(taskDescription, options) {
+      super('threat-model', taskDescription, options);
+    }
+
+    async execute() {
+      const architecture = this.memory.architecture_complete;
+      return {
+        threats: architecture.components.map((c) => ({ component: c.name, risk: 'spoofing' })),
+        reviewer: this.options.reviewer,
+      };
+    }
+  };
+`;
+
+describe('SPARC pipeline definitions', () => {
+  let projectDir;
+
+  const writeProject = (files) => {
+    for (const [name, content] of Object.entries(files)) {
+      const file = path.join(projectDir, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-sparc-pipeline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('without a pipeline file the five built-in phases run', async () => {
+    const pipeline = await loadPipeline({ cwd: projectDir });
+    expect(pipeline.file).toBeNull();
+    expect(pipeline.phases.map((p) => p.name)).toEqual([
+      'specification',
+      'pseudocode',
+      'architecture',
+      'refinement',
+      'completion',
+    ]);
+    await expect(loadPipeline({ cwd: projectDir, file: 'missing.json' })).rejects.toThrow(
+      'SPARC pipeline file not found',
+    );
+  });
+
+  test('phases can be reordered, skipped and added from project modules', async () => {
+    writeProject({
+      '.claude-flow/phases/threat-model.mjs': THREAT_MODEL,
+      '.claude-flow/phases/named.mjs': `
+        import { SparcPhase } from ${JSON.stringify(PHASE_BASE)};
+        export class AuditPhase extends SparcPhase {}
+      `,
+      '.claude-flow/sparc.pipeline.json': {
+        phases: [
+          'specification',
+          'pseudocode',
+          'architecture',
+          {
+            name: 'threat-model',
+            module: './phases/threat-model.mjs',
+            options: { reviewer: 'sec' },
+          },
+          { name: 'audit', module: './phases/named.mjs', export: 'AuditPhase', enabled: false },
+          'refinement',
+          { name: 'completion', enabled: false },
+        ],
+      },
+    });
+
+    const pipeline = await loadPipeline({ cwd: projectDir });
+    expect(pipeline.phases.map((p) => [p.name, p.builtin])).toEqual([
+      ['specification', true],
+      ['pseudocode', true],
+      ['architecture', true],
+      ['threat-model', false],
+      ['refinement', true],
+    ]);
+  });
+
+  test('invalid definitions name the problem', async () => {
+    const resolve = (phases) =>
+      resolvePipeline({ phases }, { file: 'p.json', baseDir: projectDir });
+
+    await expect(resolve(['specification', 'threat-model'])).rejects.toThrow(
+      'p.json: phases[1]: threat-model is not a built-in phase',
+    );
+    await expect(resolve(['refinement', 'refinement'])).rejects.toThrow(
+      'phase refinement is listed twice',
+    );
+    await expect(resolve([{ name: 'refinement', gates: { coverage: 80 } }])).rejects.toThrow(
+      'unknown gate coverage',
+    );
+    await expect(resolve([{ name: 'completion', enabled: false }])).rejects.toThrow(
+      'every phase is disabled',
+    );
+
+    writeProject({ 'plain.mjs': 'export default class NotAPhase {}' });
+    await expect(resolve([{ name: 'custom', module: './plain.mjs' }])).rejects.toThrow(
+      'default export of ./plain.mjs must extend SparcPhase',
+    );
+  });
+
+  test('declarative gates', async () => {
+    const phase = { artifacts: [{ filename: 'threats.md' }] };
+
+    expect(
+      await evaluateGates(
+        { requiredArtifacts: ['threats.md', 'threats', 'mitigations'] },
+        { threats: [{ risk: 'tampering' }], mitigations: [] },
+        { phase },
+      ),
+    ).toEqual(['Missing artifact: mitigations']);
+
+    expect(
+      await evaluateGates(
+        { minCoverage: 90, maxComplexity: 2 },
+        { testResults: { coverage: 85.5 }, codeQuality: { metrics: { averageComplexity: 3 } } },
+      ),
+    ).toEqual(['Test coverage 85.5% below 90%', 'Average complexity 3.0 above 2']);
+
+    const command = `"${process.execPath}" -e "console.log(process.env.SPARC_PHASE); process.exit(3)"`;
+    expect(
+      await evaluateGates({ command }, {}, { cwd: projectDir, env: { SPARC_PHASE: 'refinement' } }),
+    ).toEqual([`Gate command "${command}" exited with code 3: refinement`]);
+    expect(await evaluateGates({ command: { run: 'exit 0', timeout: 5000 } }, {})).toEqual([]);
+  });
+});
+
+describe('running a configured pipeline', () => {
+  let dir;
+  let store;
+  let checkpoints;
+
+  const createRun = (pipeline, options = {}) => {
+    const sparc = new SparcMethodology('Build todo API', { ...options, pipeline, checkpoints });
+    sparc.calls = [];
+    for (const [name, phase] of Object.entries(sparc.phases)) {
+      const execute = RESULTS[name] ? async () => RESULTS[name] : phase.execute.bind(phase);
+      phase.execute = jest.fn(async () => {
+        sparc.calls.push(name);
+        return execute();
+      });
+    }
+    return sparc;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-sparc-pipeline-run-'));
+    store = new SqliteMemoryStore({ directory: dir });
+    await store.initialize();
+    checkpoints = new SparcCheckpointStore(store);
+    fs.writeFileSync(path.join(dir, 'threat-model.mjs'), THREAT_MODEL);
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('a custom phase runs between built-in ones and its gates apply', async () => {
+    const pipeline = await resolvePipeline(
+      {
+        phases: [
+          'specification',
+          'pseudocode',
+          'architecture',
+          {
+            name: 'threat-model',
+            module: './threat-model.mjs',
+            options: { reviewer: 'sec' },
+            gates: { requiredArtifacts: ['threats'] },
+          },
+          { name: 'refinement', gates: { minCoverage: 65 } },
+        ],
+      },
+      { file: path.join(dir, 'sparc.pipeline.json'), baseDir: dir },
+    );
+
+    const sparc = createRun(pipeline);
+    await sparc.execute();
+
+    expect(sparc.calls).toEqual([
+      'specification',
+      'pseudocode',
+      'architecture',
+      'threat-model',
+      'refinement',
+    ]);
+    expect(sparc.artifacts['threat-model']).toEqual({
+      threats: [{ component: 'api', risk: 'spoofing' }],
+      reviewer: 'sec',
+    });
+    // 70% coverage passes the pipeline's 65% instead of the default 80%
+    expect(sparc.qualityGates.refinement).toEqual({ passed: true, reasons: [] });
+    expect(await checkpoints.getRun(sparc.runId)).toMatchObject({
+      status: 'completed',
+      phaseOrder: ['specification', 'pseudocode', 'architecture', 'threat-model', 'refinement'],
+      options: { pipelineFile: path.join(dir, 'sparc.pipeline.json') },
+    });
+  });
+
+  test('a failing gate stops the run at that phase', async () => {
+    const pipeline = await resolvePipeline({
+      phases: [
+        'specification',
+        { name: 'pseudocode', gates: { builtin: false, command: 'exit 1' } },
+        'architecture',
+      ],
+    });
+
+    const sparc = createRun(pipeline);
+    await expect(sparc.execute()).rejects.toThrow('Quality gate failed for phase: pseudocode');
+    expect(sparc.qualityGates.pseudocode.reasons).toEqual([
+      'Gate command "exit 1" exited with code 1',
+    ]);
+    expect(sparc.calls).toEqual(['specification', 'pseudocode']);
+  });
+});
+
+describe('sparc pipeline command', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-sparc-pipeline-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('shows the resolved pipeline', () => {
+    fs.mkdirSync(path.join(projectDir, '.claude-flow', 'phases'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, '.claude-flow', 'phases', 'threat.mjs'), THREAT_MODEL);
+    fs.writeFileSync(
+      path.join(projectDir, '.claude-flow', 'sparc.pipeline.json'),
+      JSON.stringify({
+        phases: [
+          'specification',
+          { name: 'threat-model', module: './phases/threat.mjs' },
+          { name: 'refinement', gates: { minCoverage: 85, command: 'npm run lint' } },
+        ],
+      }),
+    );
+
+    const result = spawnSync(process.execPath, [CLI, 'sparc', 'pipeline'], {
+      cwd: projectDir,
+      encoding: 'utf8',
+      timeout: 60000,
+    });
+    expect(result.stdout).toContain('1. specification (built-in)');
+    expect(result.stdout).toContain('2. threat-model (./phases/threat.mjs)');
+    expect(result.stdout).toContain('3. refinement (built-in)');
+    expect(result.stdout).toContain('minCoverage: 85');
+    expect(result.stdout).toContain('command: npm run lint');
+  }, 60000);
+});
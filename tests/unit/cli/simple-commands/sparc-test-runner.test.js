@@ -0,0 +1,274 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  detectTestRunner,
+  parseIstanbulSummary,
+  parseJestReport,
+  parseJunitXml,
+  parseLcov,
+  parseMochaReport,
+  parseTapOutput,
+  runProjectTests,
+} from '../../../../src/cli/simple-commands/sparc/test-runner.js';
+import { SparcMethodology } from '../../../../src/cli/simple-commands/sparc/index.js';
+
+describe('test report parsers', () => {
+  test('jest and vitest JSON reports', () => {
+    const results = parseJestReport(
+      {
+        numTotalTests: 3,
+        numPassedTests: 1,
+        numFailedTests: 1,
+        numPendingTests: 1,
+        testResults: [
+          {
+            name: '/app/src/sum.test.js',
+            startTime: 100,
+            endTime: 250,
+            status: 'failed',
+            assertionResults: [
+              { status: 'passed', fullName: 'sum adds' },
+              {
+                status: 'failed',
+                fullName: 'sum subtracts',
+                failureMessages: ['Error: expected 1 to be 2\n    at sum.test.js:4'],
+              },
+              { status: 'pending', fullName: 'sum later' },
+            ],
+          },
+          { name: '/app/src/broken.test.js', status: 'failed', message: 'SyntaxError: nope\n' },
+        ],
+      },
+      '/app',
+    );
+
+    expect(results).toMatchObject({ total: 3, passed: 1, failed: 1, skipped: 1, duration: 150 });
+    expect(results.suites[0]).toMatchObject({ name: 'src/sum.test.js', tests: 3, failed: 1 });
+    expect(results.failures).toEqual([
+      { suite: 'src/sum.test.js', name: 'sum subtracts', message: 'Error: expected 1 to be 2' },
+      { suite: 'src/broken.test.js', name: 'src/broken.test.js', message: 'SyntaxError: nope' },
+    ]);
+  });
+
+  test('mocha JSON reports', () => {
+    const failing = {
+      title: 'rejects',
+      fullTitle: 'login rejects',
+      file: '/app/test/login.js',
+      err: { message: 'expected 401\nstack' },
+    };
+    const results = parseMochaReport(
+      {
+        stats: { tests: 2, passes: 1, failures: 1, pending: 0, duration: 42 },
+        tests: [{ title: 'accepts', file: '/app/test/login.js', duration: 5, err: {} }, failing],
+        failures: [failing],
+      },
+      '/app',
+    );
+
+    expect(results).toMatchObject({ total: 2, passed: 1, failed: 1, duration: 42 });
+    expect(results.suites).toEqual([
+      { name: 'test/login.js', tests: 2, passed: 1, failed: 1, duration: 5, coverage: null },
+    ]);
+    expect(results.failures).toEqual([
+      { suite: 'test/login.js', name: 'login rejects', message: 'expected 401' },
+    ]);
+  });
+
+  test('node --test TAP output with the coverage table', () => {
+    const { results, coverage } = parseTapOutput(
+      [
+        'TAP version 13',
+        '# Subtest: adds',
+        'ok 1 - adds',
+        '# Subtest: fails',
+        'not ok 2 - fails',
+        '  ---',
+        "  error: 'boom'",
+        '  ...',
+        '# Subtest: compares',
+        'not ok 3 - compares',
+        '  ---',
+        '  error: |-',
+        '    Expected values to be strictly equal:',
+        '  ...',
+        '# tests 4',
+        '# pass 1',
+        '# fail 2',
+        '# skipped 1',
+        '# todo 0',
+        '# duration_ms 81.5',
+        '# start of coverage report',
+        '# file | line % | branch % | funcs % | uncovered lines',
+        '# sum.js | 90.00 | 50.00 | 100.00 | 4',
+        '# all files | 87.50 | 66.67 | 75.00 |',
+        '# end of coverage report',
+      ].join('\n'),
+    );
+
+    expect(results).toMatchObject({ total: 4, passed: 1, failed: 2, skipped: 1, duration: 82 });
+    expect(results.failures.map((f) => [f.name, f.message])).toEqual([
+      ['fails', 'boom'],
+      ['compares', 'Expected values to be strictly equal:'],
+    ]);
+    expect(coverage).toEqual({ lines: 87.5, statements: null, functions: 75, branches: 66.67 });
+  });
+
+  test('pytest JUnit XML', () => {
+    const results = parseJunitXml(`<?xml version="1.0"?>
+      <testsuites><testsuite name="pytest" tests="3">
+        <testcase classname="tests.test_api" name="test_list" time="0.010"/>
+        <testcase classname="tests.test_api" name="test_create" time="0.020">
+          <failure message="assert 500 == 201">trace</failure>
+        </testcase>
+        <testcase classname="tests.test_api" name="test_later" time="0"><skipped/></testcase>
+      </testsuite></testsuites>`);
+
+    expect(results).toMatchObject({ total: 3, passed: 1, failed: 1, skipped: 1, duration: 30 });
+    expect(results.failures).toEqual([
+      { suite: 'tests.test_api', name: 'test_create', message: 'assert 500 == 201' },
+    ]);
+  });
+
+  test('coverage summaries', () => {
+    expect(
+      parseIstanbulSummary({
+        total: {
+          lines: { pct: 81.25 },
+          statements: { pct: 80 },
+          functions: { pct: 'Unknown' },
+          branches: { pct: 50 },
+        },
+      }),
+    ).toEqual({ lines: 81.25, statements: 80, functions: null, branches: 50 });
+
+    const lcov = [
+      'SF:a.js',
+      'FNF:2',
+      'FNH:1',
+      'LF:10',
+      'LH:9',
+      'end_of_record',
+      'SF:b.js',
+      'LF:10',
+      'LH:6',
+      'end_of_record',
+    ].join('\n');
+    expect(parseLcov(lcov)).toEqual({ lines: 75, statements: null, functions: 50, branches: null });
+    expect(parseLcov('')).toBeNull();
+  });
+});
+
+describe('running project tests', () => {
+  let projectDir;
+
+  const writeProject = (files) => {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(projectDir, name)), { recursive: true });
+      fs.writeFileSync(
+        path.join(projectDir, name),
+        typeof content === 'string' ? content : JSON.stringify(content),
+      );
+    }
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-sparc-tests-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('the runner is detected from the test script, dependencies or pytest config', () => {
+    writeProject({
+      'package.json': { scripts: { test: 'vitest run' }, devDependencies: { jest: '1' } },
+    });
+    expect(detectTestRunner(projectDir).name).toBe('vitest');
+
+    writeProject({ 'package.json': { devDependencies: { mocha: '10' } } });
+    expect(detectTestRunner(projectDir).name).toBe('mocha');
+
+    writeProject({ 'package.json': { scripts: { test: 'node --test' } } });
+    expect(detectTestRunner(projectDir).name).toBe('node:test');
+
+    fs.rmSync(path.join(projectDir, 'package.json'));
+    expect(detectTestRunner(projectDir)).toBeNull();
+    writeProject({ 'pyproject.toml': '[tool.pytest.ini_options]\n' });
+    expect(detectTestRunner(projectDir).name).toBe('pytest');
+
+    expect(() => detectTestRunner(projectDir, 'karma')).toThrow('Unknown test runner: karma');
+  });
+
+  test('node:test results and coverage come from an actual run', async () => {
+    writeProject({
+      'package.json': { type: 'module', scripts: { test: 'node --test' } },
+      'sum.js': 'export const sum = (a, b) => a + b;\n',
+      'sum.test.js': [
+        "import test from 'node:test';",
+        "import assert from 'node:assert';",
+        "import { sum } from './sum.js';",
+        "test('adds', () => assert.strictEqual(sum(1, 2), 3));",
+        "test('is wrong', () => assert.strictEqual(sum(1, 1), 3));",
+      ].join('\n'),
+    });
+
+    const results = await runProjectTests({ cwd: projectDir, timeout: 60000 });
+
+    expect(results).toMatchObject({
+      runner: 'node:test',
+      total: 2,
+      passed: 1,
+      failed: 1,
+      exitCode: 1,
+      error: null,
+    });
+    expect(results.failures[0].name).toBe('is wrong');
+    expect(results.coverage).toBeGreaterThan(0);
+  }, 120000);
+
+  test('a project without a runner reports an error instead of results', async () => {
+    const results = await runProjectTests({ cwd: projectDir });
+    expect(results).toMatchObject({ runner: null, total: 0, passed: 0 });
+    expect(results.error).toBe('No test runner detected');
+  });
+});
+
+describe('refinement quality gate', () => {
+  const gate = (testResults, options = {}) =>
+    new SparcMethodology('Build todo API', options).validateQualityGate('refinement', {
+      testResults,
+      codeQuality: { score: 0.9 },
+    });
+
+  test('passes only on green tests with enough coverage', async () => {
+    const green = { total: 4, passed: 4, failed: 0, exitCode: 0, coverage: 85 };
+    expect(await gate(green)).toEqual({ passed: true, reasons: [] });
+
+    expect((await gate({ ...green, passed: 3, failed: 1, exitCode: 1 })).reasons).toEqual([
+      '1 failing test(s)',
+    ]);
+    expect((await gate({ ...green, coverage: 62.5 })).reasons).toEqual([
+      'Test coverage 62.5% below 80%',
+    ]);
+    expect(
+      (await gate({ ...green, coverage: 62.5 }, { qualityGates: { testCoverage: 60 } })).passed,
+    ).toBe(true);
+    expect((await gate({ ...green, coverage: null })).reasons).toEqual([
+      'No coverage report (minimum 80%)',
+    ]);
+    expect(
+      (await gate({ ...green, coverage: null }, { qualityGates: { testCoverage: 0 } })).passed,
+    ).toBe(true);
+    expect((await gate({ ...green, exitCode: 1 })).reasons).toEqual([
+      'Test command exited with code 1',
+    ]);
+    expect(
+      (await gate({ total: 0, passed: 0, failed: 0, error: 'No test runner detected' })).reasons,
+    ).toEqual(['No passing tests (No test runner detected)']);
+  });
+});
@@ -0,0 +1,85 @@
+import { jest, describe, test, beforeAll, afterAll, beforeEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { taskCommand } from '../../../../src/cli/simple-commands/task.js';
+
+describe('task command on the durable queue', () => {
+  let tmpDir;
+  let originalCwd;
+  let logSpy;
+
+  // Runs a subcommand with --json and returns the parsed output
+  const runJson = async (subArgs, flags = {}) => {
+    logSpy.mockClear();
+    await taskCommand(subArgs, { ...flags, json: true });
+    return JSON.parse(logSpy.mock.calls.map((call) => call.join(' ')).join('\n'));
+  };
+
+  beforeAll(() => {
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-task-cli-'));
+    process.chdir(tmpDir);
+  });
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('tasks move from create through claim to complete', async () => {
+    const spec = (await runJson(['create', 'research', 'Write', 'the', 'spec'])).task;
+    expect(spec).toMatchObject({ description: 'Write the spec', type: 'research', priority: 5 });
+    const impl = (
+      await runJson(['create', 'code', '"Implement it"'], {
+        priority: 'high',
+        'depends-on': spec.id,
+      })
+    ).task;
+    expect(impl).toMatchObject({ priority: 8, dependencies: [spec.id], status: 'queued' });
+
+    const claimed = await runJson(['claim'], { agent: 'coder-1', lease: '60' });
+    expect(claimed.task).toMatchObject({ id: spec.id, agentId: 'coder-1' });
+
+    await runJson(['complete', spec.id], { agent: 'coder-1', result: '{"ok":true}' });
+    const status = await runJson(['status', spec.id]);
+    expect(status.task).toMatchObject({ status: 'completed', result: { ok: true } });
+
+    const listed = await runJson(['list'], { filter: 'queued' });
+    expect(listed.tasks.map((t) => t.id)).toEqual([impl.id]);
+    expect(listed.counts).toMatchObject({ queued: 1, completed: 1 });
+  });
+
+  test('cancel cascades and errors are reported as JSON', async () => {
+    const root = (await runJson(['create', 'code', 'root'])).task;
+    const child = (await runJson(['create', 'code', 'child'], { 'depends-on': root.id })).task;
+
+    const cancelled = await runJson(['cancel', root.id], { reason: 'descoped' });
+    expect(cancelled.task).toMatchObject({ status: 'cancelled', error: 'descoped' });
+    expect(cancelled.dependentsCancelled).toEqual([child.id]);
+
+    expect(await runJson(['cancel', root.id])).toEqual({
+      success: false,
+      error: `Task ${root.id} is already cancelled`,
+    });
+    expect((await runJson(['status', 'task_missing'])).success).toBe(false);
+    expect((await runJson(['create', 'code', 'x'], { priority: 'urgent' })).error).toMatch(
+      'Invalid priority',
+    );
+  });
+
+  test('failed attempts are retried unless --no-retry is given', async () => {
+    const task = (await runJson(['create', 'ops', 'flaky'])).task;
+    await runJson(['claim'], { agent: 'a1', type: 'ops' });
+    expect((await runJson(['fail', task.id], { error: 'boom' })).task.status).toBe('queued');
+    await runJson(['claim'], { agent: 'a1', type: 'ops' });
+    const failed = await runJson(['fail', task.id], { 'no-retry': true });
+    expect(failed.task).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+});
@@ -0,0 +1,214 @@
+import { jest, describe, test, beforeAll, beforeEach, afterAll, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { WebConsoleBackend } from '../../../../src/cli/simple-commands/web-console-backend.js';
+
+describe('WebConsoleBackend', () => {
+  let tmpDir;
+  let originalCwd;
+  let backend;
+  let server;
+  let notifications;
+  let streamed;
+
+  const run = (name, args) =>
+    backend.execute(name, args, {
+      stream: (content, type) => streamed.push({ content, type }),
+      notify: (method, params) => notifications.push({ method, ...params }),
+    });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-web-console-'));
+    process.chdir(tmpDir);
+
+    const { ClaudeFlowMCPServer } = await import('../../../../src/mcp/mcp-server.js');
+    server = new ClaudeFlowMCPServer();
+    backend = new WebConsoleBackend({ cwd: tmpDir, mcpServer: server });
+  });
+
+  afterAll(() => {
+    backend.close();
+    server.memoryStore.close();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    notifications = [];
+    streamed = [];
+  });
+
+  test('memory operations read and write the shared memory store', async () => {
+    expect(
+      await run('memory/manage', { operation: 'store', key: 'api/version', value: 'v2' }),
+    ).toContain('Key: api/version');
+    expect(notifications).toEqual([
+      { method: 'memory/update', message: 'Stored default/api/version' },
+    ]);
+
+    expect(await server.memoryStore.retrieve('api/version', { namespace: 'default' })).toBe('v2');
+    expect(await run('memory/manage', { operation: 'retrieve', key: 'api/version' })).toContain(
+      'Value: v2',
+    );
+    expect(await run('memory/manage', { operation: 'list' })).toContain('• api/version');
+    expect(await run('memory/manage', { operation: 'search', key: 'api' })).toContain(
+      'api/version: v2',
+    );
+
+    await run('memory/manage', { operation: 'delete', key: 'api/version' });
+    await expect(
+      run('memory/manage', { operation: 'retrieve', key: 'api/version' }),
+    ).rejects.toThrow('No memory entry default/api/version');
+    await expect(run('memory/manage', { operation: 'store', key: 'only-key' })).rejects.toThrow(
+      'Usage: memory store <key> <value>',
+    );
+  });
+
+  test('swarm and agent commands use the persisted swarm records', async () => {
+    expect(await run('swarm/orchestrate', { action: 'init', args: ['mesh', '4'] })).toContain(
+      'Topology: mesh',
+    );
+    const swarmId = await server.getActiveSwarmId();
+
+    const created = await run('agents/manage', { action: 'create', agentType: 'coder' });
+    const agentId = created.match(/ID: (\S+)/)[1];
+    expect(notifications.map((n) => n.method)).toEqual(['swarm/update', 'agent/status']);
+
+    expect(await run('agents/manage', { action: 'list' })).toContain(`${agentId} (coder) - active`);
+    expect(await run('agents/manage', { action: 'stop', agentId })).toContain(
+      'Status: active → stopped',
+    );
+    expect(await run('agents/manage', { action: 'status', agentId })).toContain('Status: stopped');
+
+    const status = await run('swarm/status', {});
+    expect(status).toContain(`Swarm: ${swarmId}`);
+    expect(status).toContain('Agents: 0/1 active');
+    expect(await run('swarm/orchestrate', { action: 'list' })).toContain(`● ${swarmId} (mesh)`);
+
+    expect(await run('claude-flow/execute', { command: 'status' })).toMatch(
+      /Swarms: 1 \(active: .+\)\n {2}Agents: 1 \(0 active\)/,
+    );
+
+    expect(await run('swarm/orchestrate', { action: 'destroy', args: [swarmId] })).toContain(
+      'Agents removed: 1',
+    );
+    await expect(run('agents/manage', { action: 'status', agentId })).rejects.toThrow(
+      `Agent ${agentId} not found`,
+    );
+    await expect(run('swarm/orchestrate', { action: 'test' })).rejects.toThrow(
+      'Unknown swarm action: test',
+    );
+  });
+
+  test('hive-mind sessions come from .hive-mind/hive.db', async () => {
+    await expect(run('hive-mind/manage', { action: 'list' })).rejects.toThrow(
+      'No hive-mind database',
+    );
+    expect(fs.existsSync(path.join(tmpDir, '.hive-mind'))).toBe(false);
+
+    // The tables hive-mind init creates
+    fs.mkdirSync(path.join(tmpDir, '.hive-mind'));
+    const db = new Database(path.join(tmpDir, '.hive-mind', 'hive.db'));
+    db.exec(`
+      CREATE TABLE swarms (id TEXT PRIMARY KEY, name TEXT NOT NULL, objective TEXT,
+        status TEXT DEFAULT 'active', queen_type TEXT, created_at DATETIME, updated_at DATETIME);
+      CREATE TABLE agents (id TEXT PRIMARY KEY, swarm_id TEXT, name TEXT NOT NULL,
+        type TEXT NOT NULL, role TEXT, status TEXT DEFAULT 'idle', capabilities TEXT);
+      CREATE TABLE tasks (id TEXT PRIMARY KEY, swarm_id TEXT, agent_id TEXT, description TEXT,
+        status TEXT DEFAULT 'pending');
+      INSERT INTO swarms (id, name, objective) VALUES ('swarm-1', 'docs-swarm', 'Write the docs');
+      INSERT INTO agents (id, swarm_id, name, type, status)
+        VALUES ('worker-1', 'swarm-1', 'Writer', 'documenter', 'active');
+    `);
+    db.close();
+
+    const { HiveMindSessionManager } =
+      await import('../../../../src/cli/simple-commands/hive-mind/session-manager.js');
+    const manager = new HiveMindSessionManager(path.join(tmpDir, '.hive-mind'));
+    await manager.ensureInitialized();
+    const sessionId = await manager.createSession('swarm-1', 'docs-swarm', 'Write the docs');
+
+    expect(await run('hive-mind/manage', { action: 'list' })).toContain(
+      `${sessionId} docs-swarm - active`,
+    );
+    expect(await run('hive-mind/manage', { action: 'pause', sessionId })).toBe(
+      `Hive-mind session paused: ${sessionId}`,
+    );
+    const status = await run('hive-mind/manage', { action: 'status', sessionId });
+    expect(status).toContain('Status: paused');
+    expect(status).toContain('Agents: 1/1 active');
+    await run('hive-mind/manage', { action: 'resume', sessionId });
+    expect(await run('hive-mind/manage', { action: 'logs', sessionId })).toContain(
+      'INFO Session created',
+    );
+    expect((await manager.getSession(sessionId)).status).toBe('active');
+    manager.close();
+    expect(notifications.map((n) => n.message)).toEqual([
+      `Hive-mind session ${sessionId} paused`,
+      `Hive-mind session ${sessionId} resumed`,
+    ]);
+  });
+
+  test('benchmarks time real memory store operations and clean up', async () => {
+    const report = await run('benchmark/run', { suite: 'memory', iterations: 8 });
+    expect(report).toContain('Iterations: 8');
+    expect(report).toMatch(/retrieve: avg \d+\.\d{2}ms, p95/);
+    expect(streamed.length).toBeGreaterThan(0);
+
+    const namespaces = await server.memoryStore.listNamespaces();
+    expect(namespaces.filter((ns) => ns.startsWith('benchmark:'))).toEqual([]);
+    await expect(run('benchmark/run', { suite: 'cpu' })).rejects.toThrow(
+      'Unknown benchmark suite: cpu',
+    );
+  });
+
+  test('sparc runs the CLI and streams its output', async () => {
+    const cliPath = path.join(tmpDir, 'fake-cli.mjs');
+    fs.writeFileSync(
+      cliPath,
+      "console.log('args:', process.argv.slice(2).join(' ')); process.exit(2);\n",
+    );
+    const sparc = new WebConsoleBackend({ cwd: tmpDir, mcpServer: server, cliPath });
+
+    const finished = new Promise((resolve) => {
+      const context = {
+        stream: (content, type) => {
+          streamed.push({ content, type });
+          if (type === 'error') resolve();
+        },
+      };
+      sparc.execute('sparc/execute', { mode: 'tdd', task: 'login form' }, context).then((text) => {
+        expect(text).toMatch(/^SPARC tdd started \(pid \d+\)/);
+      });
+    });
+    await finished;
+
+    expect(streamed).toEqual([
+      {
+        content: 'args: sparc run tdd --non-interactive --enable-permissions -- login form\n',
+        type: 'output',
+      },
+      {
+        content:
+          'SPARC tdd exited with code 2: args: sparc run tdd --non-interactive --enable-permissions -- login form',
+        type: 'error',
+      },
+    ]);
+    await expect(run('sparc/execute', { mode: 'tdd; rm -rf', task: 'x' })).rejects.toThrow(
+      'Usage: sparc <mode> <task>',
+    );
+  }, 30000);
+
+  test('unknown tools are rejected', async () => {
+    await expect(run('files/delete', {})).rejects.toThrow('Unknown tool: files/delete');
+    await expect(run('claude-flow/execute', { command: 'init' })).rejects.toThrow(
+      "'init' is not available from the web console",
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import WebSocket from 'ws';
+import { ClaudeCodeWebServer } from '../../../../src/cli/simple-commands/web-server.js';
+import { parseFlags } from '../../../../src/cli/utils.js';
+
+describe('web console server', () => {
+  let server;
+
+  // Resolves with 'open' or the HTTP status the upgrade was rejected with
+  const connect = (query, headers = {}) =>
+    new Promise((resolve) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${server.port}/ws${query}`, { headers });
+      ws.on('open', () => {
+        ws.close();
+        resolve('open');
+      });
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('error', () => {});
+    });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = new ClaudeCodeWebServer(0, { token: 'secret-token' });
+    await server.start();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('binds to localhost and prints the console URL with its token', () => {
+    expect(server.server.address().address).toBe('127.0.0.1');
+    expect(server.consoleUrl()).toBe(`http://localhost:${server.port}/console?token=secret-token`);
+    expect(new ClaudeCodeWebServer(3000).token).toMatch(/^[0-9a-f]{48}$/);
+  });
+
+  test('WebSocket clients need the session token and a local origin', async () => {
+    expect(await connect('')).toBe(401);
+    expect(await connect('?token=wrong')).toBe(401);
+    expect(await connect('?token=secret-token', { Origin: 'https://evil.example' })).toBe(401);
+    expect(await connect('?token=secret-token')).toBe('open');
+    expect(
+      await connect('', {
+        Authorization: 'Bearer secret-token',
+        Origin: `http://localhost:${server.port}`,
+      }),
+    ).toBe('open');
+  });
+
+  test('CORS is only granted to the console origin', async () => {
+    const local = `http://localhost:${server.port}`;
+    const fetchHealth = (origin) =>
+      fetch(`http://127.0.0.1:${server.port}/api/health`, { headers: { Origin: origin } });
+
+    expect((await fetchHealth(local)).headers.get('access-control-allow-origin')).toBe(local);
+    expect(
+      (await fetchHealth('https://evil.example')).headers.get('access-control-allow-origin'),
+    ).toBeNull();
+  });
+
+  test('arguments after -- are never read as flags', () => {
+    expect(parseFlags(['run', 'tdd', '--namespace', 'x', '--', '--verbose', 'task'])).toEqual({
+      flags: { namespace: 'x' },
+      args: ['run', 'tdd', '--verbose', 'task'],
+    });
+  });
+});
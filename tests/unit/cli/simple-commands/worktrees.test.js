@@ -0,0 +1,211 @@
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  WORKTREE_ROOT,
+  WorktreeError,
+  WorktreeManager,
+  isolationMode,
+  worktreeBranch,
+} from '../../../../src/cli/simple-commands/worktrees.js';
+import { HiveMindSessionManager } from '../../../../src/cli/simple-commands/hive-mind/session-manager.js';
+
+const IDENTITY = ['-c', 'user.name=test', '-c', 'user.email=test@localhost'];
+
+describe('worktree isolation', () => {
+  let repo;
+  let manager;
+
+  const git = (args, cwd = repo) =>
+    execFileSync('git', [...IDENTITY, ...args], { cwd, encoding: 'utf8' }).trim();
+
+  // Edit a file in a worktree and commit it there, as an agent would
+  const agentCommit = (worktree, file, content) => {
+    fs.writeFileSync(path.join(worktree.path, file), content);
+    git(['add', '-A'], worktree.path);
+    git(['commit', '-q', '-m', `${worktree.agentId} edits ${file}`], worktree.path);
+  };
+
+  beforeEach(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cf-worktrees-')));
+    git(['init', '-q']);
+    fs.writeFileSync(path.join(repo, 'shared.txt'), 'original\n');
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', 'initial']);
+    manager = new WorktreeManager({ cwd: repo });
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('isolation mode defaults to none and rejects unknown modes', () => {
+    expect(isolationMode({})).toBe('none');
+    expect(isolationMode({ isolation: 'worktree' })).toBe('worktree');
+    expect(() => isolationMode({ isolation: 'docker' })).toThrow(WorktreeError);
+    expect(worktreeBranch('swarm 1', 'agent/2')).toBe('claude-flow/swarm-1/agent-2');
+  });
+
+  test('each agent gets its own checkout and branch, reused on the second call', async () => {
+    const first = await manager.create('swarm-1', 'agent-1');
+    const second = await manager.create('swarm-1', 'agent-2');
+
+    expect(first).toMatchObject({
+      path: path.join(repo, WORKTREE_ROOT, 'swarm-1', 'agent-1'),
+      branch: 'claude-flow/swarm-1/agent-1',
+      baseCommit: git(['rev-parse', 'HEAD']),
+      reused: false,
+    });
+    expect(fs.readFileSync(path.join(second.path, 'shared.txt'), 'utf8')).toBe('original\n');
+    expect(await manager.create('swarm-1', 'agent-1')).toMatchObject({ reused: true });
+    expect((await manager.list('swarm-1')).map((w) => w.agentId).sort()).toEqual([
+      'agent-1',
+      'agent-2',
+    ]);
+    // The checkouts do not show up as untracked files in the main tree
+    expect(git(['status', '--porcelain'])).toBe('');
+
+    await expect(
+      new WorktreeManager({ cwd: os.tmpdir() }).create('swarm-1', 'agent-1'),
+    ).rejects.toMatchObject({ code: 'NOT_A_REPO' });
+  });
+
+  test('integration merges clean branches and reports conflicts per agent', async () => {
+    const worktrees = [];
+    for (const agentId of ['agent-1', 'agent-2', 'agent-3', 'agent-4']) {
+      worktrees.push(await manager.create('swarm-1', agentId));
+    }
+    const [a, b, c, d] = worktrees;
+
+    agentCommit(a, 'shared.txt', 'from agent 1\n');
+    agentCommit(b, 'shared.txt', 'from agent 2\n');
+    fs.writeFileSync(path.join(c.path, 'new.txt'), 'left uncommitted\n');
+
+    const report = await manager.integrate(worktrees);
+    expect(report.map(({ agentId, status }) => [agentId, status])).toEqual([
+      ['agent-1', 'merged'],
+      ['agent-2', 'conflict'],
+      ['agent-3', 'merged'],
+      ['agent-4', 'no-changes'],
+    ]);
+    expect(report[1]).toMatchObject({
+      commits: 1,
+      files: ['shared.txt'],
+      conflicts: ['shared.txt'],
+    });
+    expect(report[2].files).toEqual(['new.txt']);
+
+    // The conflicting merge was aborted, the others landed
+    expect(git(['status', '--porcelain'])).toBe('');
+    expect(fs.readFileSync(path.join(repo, 'shared.txt'), 'utf8')).toBe('from agent 1\n');
+    expect(fs.existsSync(path.join(repo, 'new.txt'))).toBe(true);
+
+    // Merged branches are deleted with their worktree, the unmerged one is kept
+    expect(await manager.remove(a)).toEqual({
+      removed: true,
+      committed: false,
+      branchDeleted: true,
+    });
+    expect(await manager.remove(b)).toMatchObject({ removed: true, branchDeleted: false });
+    expect(git(['branch', '--list', b.branch])).toContain(b.branch);
+    await manager.remove(c);
+    await manager.remove(d);
+    expect(await manager.list('swarm-1')).toEqual([]);
+    expect(fs.existsSync(path.join(repo, WORKTREE_ROOT, 'swarm-1'))).toBe(false);
+
+    // A removed agent is recreated from its kept branch
+    expect(await manager.create('swarm-1', 'agent-2')).toMatchObject({ reused: true });
+  });
+
+  test('removing a dirty worktree commits its work to the branch first', async () => {
+    const worktree = await manager.create('swarm-1', 'agent-1');
+    fs.writeFileSync(path.join(worktree.path, 'shared.txt'), 'unsaved edit\n');
+    fs.writeFileSync(path.join(worktree.path, 'draft.txt'), 'untracked\n');
+
+    expect(await manager.remove(worktree, { message: 'agent-1: pending' })).toEqual({
+      removed: true,
+      committed: true,
+      branchDeleted: false,
+    });
+    expect(fs.existsSync(worktree.path)).toBe(false);
+    expect(git(['log', '-1', '--format=%s', worktree.branch])).toBe('agent-1: pending');
+    expect(git(['show', `${worktree.branch}:shared.txt`])).toBe('unsaved edit');
+    expect(git(['show', `${worktree.branch}:draft.txt`])).toBe('untracked');
+  });
+
+  test('a worktree whose work cannot be committed is kept unless forced', async () => {
+    const worktree = await manager.create('swarm-1', 'agent-1');
+    fs.writeFileSync(path.join(worktree.path, 'shared.txt'), 'unsaved edit\n');
+    // A stale index lock makes git add fail in the worktree
+    const lock = path.join(git(['rev-parse', '--absolute-git-dir'], worktree.path), 'index.lock');
+    fs.writeFileSync(lock, '');
+
+    await expect(manager.remove(worktree)).rejects.toMatchObject({ code: 'DIRTY' });
+    expect(fs.readFileSync(path.join(worktree.path, 'shared.txt'), 'utf8')).toBe('unsaved edit\n');
+
+    expect(await manager.remove(worktree, { force: true })).toMatchObject({
+      removed: true,
+      committed: false,
+    });
+    expect(fs.existsSync(worktree.path)).toBe(false);
+  });
+
+  test('integration refuses to run over uncommitted changes', async () => {
+    const worktree = await manager.create('swarm-1', 'agent-1');
+    fs.writeFileSync(path.join(repo, 'shared.txt'), 'local edit\n');
+    await expect(manager.integrate([worktree])).rejects.toMatchObject({ code: 'DIRTY' });
+  });
+
+  describe('session tracking', () => {
+    let sessionManager;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      // The tables hive-mind init creates
+      fs.mkdirSync(path.join(repo, '.hive-mind'));
+      const db = new Database(path.join(repo, '.hive-mind', 'hive.db'));
+      db.exec(`
+        CREATE TABLE swarms (id TEXT PRIMARY KEY, name TEXT NOT NULL, objective TEXT,
+          status TEXT DEFAULT 'active');
+        CREATE TABLE agents (id TEXT PRIMARY KEY, swarm_id TEXT, name TEXT, type TEXT,
+          status TEXT DEFAULT 'idle');
+        CREATE TABLE tasks (id TEXT PRIMARY KEY, swarm_id TEXT, status TEXT DEFAULT 'pending');
+        INSERT INTO swarms (id, name, objective) VALUES ('swarm-1', 'isolated', 'Test');
+      `);
+      db.close();
+      sessionManager = new HiveMindSessionManager(path.join(repo, '.hive-mind'));
+      await sessionManager.ensureInitialized();
+    });
+
+    afterEach(() => {
+      sessionManager.close();
+    });
+
+    test('worktrees are recorded with the session and their integration status', async () => {
+      const sessionId = await sessionManager.createSession('swarm-1', 'isolated', 'Test');
+      const worktree = await manager.create('swarm-1', 'worker-0');
+      await sessionManager.saveWorktree(sessionId, worktree);
+      await sessionManager.updateWorktree(sessionId, 'worker-0', {
+        status: 'conflict',
+        commits: 2,
+        conflicts: ['shared.txt'],
+      });
+
+      const session = await sessionManager.getSession(sessionId);
+      expect(session.worktrees).toEqual([
+        expect.objectContaining({
+          agent_id: 'worker-0',
+          path: worktree.path,
+          branch: 'claude-flow/swarm-1/worker-0',
+          base_commit: worktree.baseCommit,
+          status: 'conflict',
+          commits: 2,
+          conflicts: ['shared.txt'],
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+describe('MCP streamable HTTP transport', () => {
+  let server;
+  let transport;
+  let baseUrl;
+  let tmpDir;
+  let originalCwd;
+  let errorSpy;
+
+  const post = (body, headers = {}) =>
+    fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer secret',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+  const initialize = async () => {
+    const res = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    return res.headers.get('mcp-session-id');
+  };
+
+  beforeAll(async () => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-mcp-http-'));
+    process.chdir(tmpDir);
+
+    const { ClaudeFlowMCPServer } = await import('../../../src/mcp/mcp-server.js');
+    const { startHttpTransport } = await import('../../../src/mcp/http-transport.js');
+    server = new ClaudeFlowMCPServer();
+    transport = await startHttpTransport(server, { port: 0, authToken: 'secret' });
+    baseUrl = `http://localhost:${transport.port}`;
+  });
+
+  afterAll(async () => {
+    await transport.stop();
+    server.memoryStore.close();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    errorSpy.mockRestore();
+  });
+
+  test('rejects requests without the bearer token', async () => {
+    const res = await post(
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+      { Authorization: 'Bearer wrong' },
+    );
+    expect(res.status).toBe(401);
+    const missing = await post(
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+      { Authorization: 'Bearer' },
+    );
+    expect(missing.status).toBe(401);
+  });
+
+  test('initialize opens a session that later requests must present', async () => {
+    const sessionId = await initialize();
+    expect(sessionId).toBeTruthy();
+
+    const listed = await post(
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      { 'Mcp-Session-Id': sessionId },
+    );
+    expect(listed.status).toBe(200);
+    const body = await listed.json();
+    expect(body.result.tools.length).toBeGreaterThan(0);
+
+    const unknown = await post(
+      { jsonrpc: '2.0', id: 3, method: 'tools/list' },
+      { 'Mcp-Session-Id': 'nope' },
+    );
+    expect(unknown.status).toBe(404);
+  });
+
+  test('streams tool progress over SSE when the client accepts event streams', async () => {
+    const sessionId = await initialize();
+    const res = await post(
+      {
+        jsonrpc: '2.0',
+        id: 4,
+        method: 'tools/call',
+        params: { name: 'features_detect', arguments: {}, _meta: { progressToken: 'p1' } },
+      },
+      { 'Mcp-Session-Id': sessionId, Accept: 'application/json, text/event-stream' },
+    );
+    expect(res.headers.get('content-type')).toContain('text/event-stream');
+
+    const events = (await res.text())
+      .split('\n')
+      .filter((line) => line.startsWith('data: '))
+      .map((line) => JSON.parse(line.slice(6)));
+    const progress = events.filter((e) => e.method === 'notifications/progress');
+    expect(progress.map((e) => e.params.progress)).toEqual([0, 1]);
+    expect(events[events.length - 1].id).toBe(4);
+  });
+
+  test('a message handler failure becomes a JSON-RPC internal error', async () => {
+    const sessionId = await initialize();
+    const spy = jest.spyOn(server, 'handleMessage').mockRejectedValueOnce(new Error('boom'));
+    try {
+      const res = await post(
+        { jsonrpc: '2.0', id: 7, method: 'tools/list' },
+        { 'Mcp-Session-Id': sessionId },
+      );
+      expect(res.status).toBe(200);
+      expect((await res.json()).error).toMatchObject({
+        code: -32603,
+        message: 'Internal error',
+        data: 'boom',
+      });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('DELETE terminates the session', async () => {
+    const sessionId = await initialize();
+    const res = await fetch(`${baseUrl}/mcp`, {
+      method: 'DELETE',
+      headers: { Authorization: 'Bearer secret', 'Mcp-Session-Id': sessionId },
+    });
+    expect(res.status).toBe(204);
+    expect(transport.sessions.has(sessionId)).toBe(false);
+  });
+
+  test('only loopback origins and hosts are answered', async () => {
+    const body = { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} };
+    expect((await post(body, { Origin: 'https://evil.example' })).status).toBe(403);
+    expect((await post(body, { Origin: 'null' })).status).toBe(403);
+    expect((await post(body, { Origin: 'http://localhost:5173' })).status).toBe(200);
+
+    // A rebound DNS name reaches the server with its own Host header
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          host: '127.0.0.1',
+          port: transport.port,
+          path: '/mcp',
+          method: 'POST',
+          headers: {
+            Host: `evil.example:${transport.port}`,
+            'Content-Type': 'application/json',
+            Authorization: 'Bearer secret',
+          },
+        },
+        (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        },
+      );
+      req.on('error', reject);
+      req.end(JSON.stringify(body));
+    });
+    expect(status).toBe(403);
+  });
+
+  test('new sessions are refused once the session limit is reached', async () => {
+    const { McpHttpTransport } = await import('../../../src/mcp/http-transport.js');
+    const limited = new McpHttpTransport(server, { port: 0, maxSessions: 2 });
+    await limited.start();
+    try {
+      const open = () =>
+        fetch(`http://localhost:${limited.port}/mcp`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }),
+        });
+      expect((await open()).status).toBe(200);
+      expect((await open()).status).toBe(200);
+      const refused = await open();
+      expect(refused.status).toBe(503);
+      expect(refused.headers.get('retry-after')).toBe('60');
+      expect(limited.sessions.size).toBe(2);
+    } finally {
+      await limited.stop();
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('ClaudeFlowMCPServer protocol surface', () => {
+  let server;
+  let tmpDir;
+  let originalCwd;
+  const notifications = [];
+
+  const request = (method, params, id = 1, context = {}) =>
+    server.handleMessage({ jsonrpc: '2.0', id, method, params }, context);
+
+  beforeAll(async () => {
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-mcp-protocol-'));
+    process.chdir(tmpDir);
+
+    const { ClaudeFlowMCPServer } = await import('../../../src/mcp/mcp-server.js');
+    server = new ClaudeFlowMCPServer();
+    server.addNotificationSink((notification, sessionId) =>
+      notifications.push({ notification, sessionId }),
+    );
+  });
+
+  afterAll(() => {
+    server.memoryStore.close();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('answers ping and ignores client notifications', async () => {
+    expect((await request('ping')).result).toEqual({});
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'notifications/initialized',
+    });
+    expect(response).toBeNull();
+  });
+
+  test('lists SPARC modes and command templates as prompts', async () => {
+    const { result } = await request('prompts/list');
+    const names = result.prompts.map((p) => p.name);
+    expect(names).toContain('sparc-architect');
+    expect(names.some((name) => name.startsWith('command:'))).toBe(true);
+
+    const prompt = await request('prompts/get', {
+      name: 'sparc-architect',
+      arguments: { task: 'design a queue' },
+    });
+    expect(prompt.result.messages[0].content.text).toContain('design a queue');
+
+    const missingArg = await request('prompts/get', { name: 'sparc-architect', arguments: {} });
+    expect(missingArg.error.code).toBe(-32602);
+  });
+
+  test('notifies subscribers when a subscribed resource changes', async () => {
+    const sub = await request('resources/subscribe', { uri: 'claude-flow://agents' }, 2, {
+      sessionId: 'client-a',
+    });
+    expect(sub.result).toEqual({});
+
+    await request('tools/call', { name: 'agent_spawn', arguments: { type: 'coder' } }, 3);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const updates = notifications.filter(
+      (n) => n.notification.method === 'notifications/resources/updated',
+    );
+    expect(updates).toContainEqual({
+      notification: expect.objectContaining({ params: { uri: 'claude-flow://agents' } }),
+      sessionId: 'client-a',
+    });
+
+    const unknown = await request('resources/subscribe', { uri: 'claude-flow://nope' });
+    expect(unknown.error.code).toBe(-32602);
+  });
+
+  test('notifications/cancelled aborts an in-flight tool call', async () => {
+    const original = server.executeTool;
+    let signal;
+    // Settles only when the cancellation reaches the tool through its signal
+    server.executeTool = (name, args, options) =>
+      new Promise((resolve, reject) => {
+        signal = options.signal;
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      });
+    try {
+      const pending = request('tools/call', { name: 'health_check', arguments: {} }, 42);
+      await server.handleMessage({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 42, reason: 'user abort' },
+      });
+      expect(await pending).toBeNull();
+      expect(signal.aborted).toBe(true);
+    } finally {
+      server.executeTool = original;
+    }
+  });
+
+  test('logging/setLevel validates the level', async () => {
+    expect((await request('logging/setLevel', { level: 'debug' })).result).toEqual({});
+    expect((await request('logging/setLevel', { level: 'loud' })).error.code).toBe(-32602);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('ClaudeFlowMCPServer resources', () => {
+  let server;
+  let tmpDir;
+  let originalCwd;
+
+  const request = (method, params, id = 1) =>
+    server.handleMessage({ jsonrpc: '2.0', id, method, params });
+
+  const callTool = async (name, args = {}) => {
+    const response = await request('tools/call', { name, arguments: args });
+    return JSON.parse(response.result.content[0].text);
+  };
+
+  const read = async (uri) => {
+    const response = await request('resources/read', { uri });
+    if (response.error) return response;
+    return JSON.parse(response.result.contents[0].text);
+  };
+
+  beforeAll(async () => {
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-mcp-resources-'));
+    process.chdir(tmpDir);
+
+    const { ClaudeFlowMCPServer } = await import('../../../src/mcp/mcp-server.js');
+    server = new ClaudeFlowMCPServer();
+  });
+
+  afterAll(() => {
+    server.memoryStore.close();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('swarms and agents resources reflect persisted state', async () => {
+    const swarm = await callTool('swarm_init', { topology: 'mesh', maxAgents: 4 });
+    await callTool('agent_spawn', { type: 'coder' });
+    await callTool('agent_spawn', { type: 'tester' });
+
+    const swarms = await read('claude-flow://swarms');
+    expect(swarms.total_swarms).toBe(1);
+    expect(swarms.active_swarm).toBe(swarm.swarmId);
+    expect(swarms.swarms[0]).toMatchObject({ id: swarm.swarmId, topology: 'mesh', agents: 2 });
+
+    const agents = await read('claude-flow://agents');
+    expect(agents.total_agents).toBe(2);
+    expect(agents.by_type).toEqual({ coder: 1, tester: 1 });
+  });
+
+  test('models resource lists stored models, never simulated training runs', async () => {
+    const training = await request('tools/call', {
+      name: 'neural_train',
+      arguments: { pattern_type: 'optimization', training_data: 'recent', epochs: 10 },
+    });
+    expect(training.error.code).toBe(-32601);
+    expect((await read('claude-flow://models')).total_models).toBe(0);
+
+    await server.memoryStore.store(
+      'model:model_optimization_1',
+      { modelId: 'model_optimization_1', pattern_type: 'optimization', accuracy: 0.9 },
+      { namespace: 'models' },
+    );
+    const models = await read('claude-flow://models');
+    expect(models.total_models).toBe(1);
+    expect(models.models[0].modelId).toBe('model_optimization_1');
+  });
+
+  test('models resource lists models reported by the neural-trained hook', async () => {
+    const hook = spawnSync(
+      process.execPath,
+      [
+        path.join(originalCwd, 'src/cli/simple-cli.js'),
+        'hooks',
+        'neural-trained',
+        '--model',
+        'coordination-v2',
+        '--accuracy',
+        '91.5',
+        '--patterns',
+        '12',
+        '--pattern-type',
+        'coordination',
+      ],
+      { cwd: tmpDir, encoding: 'utf8', timeout: 60000 },
+    );
+    expect(hook.status).toBe(0);
+
+    const models = await read('claude-flow://models');
+    expect(models.models.find((m) => m.modelId === 'coordination-v2')).toMatchObject({
+      pattern_type: 'coordination',
+      accuracy: 0.915,
+      status: 'completed',
+      trainedAt: expect.any(String),
+    });
+  }, 120000);
+
+  test('resource templates resolve individual records', async () => {
+    const { result } = await request('resources/templates/list');
+    expect(result.resourceTemplates.map((t) => t.uriTemplate)).toContain(
+      'claude-flow://tasks/{id}',
+    );
+
+    const task = await callTool('task_orchestrate', { task: 'write docs' });
+    expect((await read(`claude-flow://tasks/${task.taskId}`)).description).toBe('write docs');
+
+    await callTool('memory_usage', {
+      action: 'store',
+      namespace: 'notes',
+      key: 'release/plan',
+      value: 'ship it',
+    });
+    const entry = await read('claude-flow://memory/notes/release/plan');
+    expect(entry).toMatchObject({ namespace: 'notes', key: 'release/plan', value: 'ship it' });
+
+    expect((await read('claude-flow://unknown')).error.code).toBe(-32602);
+    expect((await read('claude-flow://tasks/missing')).error.code).toBe(-32000);
+  });
+
+  test('performance resource reports live process data', async () => {
+    const performance = await read('claude-flow://performance');
+    expect(performance.server.uptime_seconds).toBeGreaterThanOrEqual(0);
+    expect(performance.tools.calls).toBeGreaterThan(0);
+    expect(performance.tasks.orchestrated).toBeGreaterThan(0);
+  });
+});
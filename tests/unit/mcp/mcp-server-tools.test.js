@@ -0,0 +1,230 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('ClaudeFlowMCPServer tool implementations', () => {
+  let server;
+  let tmpDir;
+  let originalCwd;
+  let errorSpy;
+
+  const callTool = async (name, args = {}) => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name, arguments: args },
+    });
+    if (response.error) return response;
+    return JSON.parse(response.result.content[0].text);
+  };
+
+  beforeAll(async () => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-mcp-tools-'));
+    process.chdir(tmpDir);
+
+    const { ClaudeFlowMCPServer } = await import('../../../src/mcp/mcp-server.js');
+    server = new ClaudeFlowMCPServer();
+    await server.memoryStore.initialize();
+  });
+
+  afterAll(() => {
+    server.memoryStore.close();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    errorSpy.mockRestore();
+  });
+
+  test('task_status and task_results read orchestrated and hook-completed tasks', async () => {
+    await callTool('swarm_init', { topology: 'mesh' });
+    const { taskId } = await callTool('task_orchestrate', { task: 'write docs' });
+
+    const status = await callTool('task_status', { taskId });
+    expect(status.success).toBe(true);
+    expect(status.status).toBe('queued');
+
+    const pending = await callTool('task_results', { taskId });
+    expect(pending.success).toBe(false);
+
+    await server.memoryStore.store(
+      `task:${taskId}:completed`,
+      { taskId, status: 'completed', completedAt: new Date().toISOString(), duration: 42 },
+      { namespace: 'hooks:post-task' },
+    );
+    const results = await callTool('task_results', { taskId });
+    expect(results.success).toBe(true);
+    expect(results.duration).toBe(42);
+
+    const missing = await callTool('task_status', { taskId: 'task_missing' });
+    expect(missing.success).toBe(false);
+  });
+
+  test('memory_backup and memory_restore round-trip entries', async () => {
+    await callTool('memory_usage', { action: 'store', key: 'k1', value: 'v1', namespace: 'bk' });
+    const backup = await callTool('memory_backup', {});
+    expect(backup.success).toBe(true);
+    expect(fs.existsSync(backup.path)).toBe(true);
+
+    await callTool('memory_usage', { action: 'delete', key: 'k1', namespace: 'bk' });
+    const restored = await callTool('memory_restore', { backupPath: backup.backupId });
+    expect(restored.success).toBe(true);
+
+    const value = await server.memoryStore.retrieve('k1', { namespace: 'bk' });
+    expect(value).toBe('v1');
+  });
+
+  test('file tools stay inside the project .swarm directory', async () => {
+    const outside = path.join(tmpDir, 'outside.json');
+    const backup = await callTool('memory_backup', { path: outside });
+    expect(backup.error.code).toBe(-32000);
+    expect(backup.error.data).toContain('Path must be inside');
+    expect(fs.existsSync(outside)).toBe(false);
+
+    const escaped = await callTool('memory_backup', { path: '.swarm/../outside.json' });
+    expect(escaped.error.data).toContain('Path must be inside');
+
+    const inside = await callTool('memory_backup', { path: '.swarm/backups/named.json' });
+    expect(inside.path).toBe(path.join(process.cwd(), '.swarm', 'backups', 'named.json'));
+
+    const restored = await callTool('memory_restore', { backupPath: '../../etc/hosts' });
+    expect(restored.error.data).toContain('Path must be inside');
+
+    fs.writeFileSync(path.join(tmpDir, '.swarm', 'run.log'), 'ok\nERROR failed\n');
+    expect(await callTool('log_analysis', { logFile: '.swarm/run.log' })).toMatchObject({
+      success: true,
+      errors: 1,
+    });
+    const log = await callTool('log_analysis', { logFile: '/etc/hosts' });
+    expect(log.success).toBe(false);
+    expect(log.error).toContain('Path must be inside');
+  });
+
+  test('context_restore rewinds state to a snapshot', async () => {
+    const snapshot = await callTool('state_snapshot', { name: 'before-agent' });
+    expect(snapshot.success).toBe(true);
+
+    await callTool('agent_spawn', { type: 'coder' });
+    const before = await callTool('agent_list');
+    expect(before.count).toBe(1);
+
+    const restore = await callTool('context_restore', { snapshotId: snapshot.snapshotId });
+    expect(restore.success).toBe(true);
+    const after = await callTool('agent_list');
+    expect(after.count).toBe(0);
+  });
+
+  test('memory_search finds differently phrased entries with semantic: true', async () => {
+    await server.memoryStore.store('adr-7', 'Session state lives in Redis with a short TTL', {
+      namespace: 'decisions',
+    });
+    await server.memoryStore.store('adr-8', 'Release notes are generated from commits', {
+      namespace: 'decisions',
+    });
+
+    const literal = await callTool('memory_search', {
+      pattern: 'where do we cache sessions',
+      namespace: 'decisions',
+    });
+    expect(literal.results).toHaveLength(0);
+
+    const semantic = await callTool('memory_search', {
+      pattern: 'where do we cache sessions',
+      namespace: 'decisions',
+      semantic: true,
+    });
+    expect(semantic.mode).toBe('semantic');
+    expect(semantic.results[0].key).toBe('adr-7');
+  });
+
+  test('memory_search ranks keyword matches across namespaces in fulltext mode', async () => {
+    await server.memoryStore.store('runbook', 'Flush the Redis session cache after deploys', {
+      namespace: 'ops',
+    });
+
+    const response = await callTool('memory_search', {
+      pattern: 'redis session',
+      namespace: '*',
+      mode: 'fulltext',
+    });
+    expect(response.mode).toBe('fulltext');
+    expect(response.results.map((r) => r.key).sort()).toEqual(['adr-7', 'runbook']);
+    expect(response.results[0].snippet).toMatch(/\[(Redis|Session)\]/);
+  });
+
+  test('memory_search filters by tags stored through memory_usage', async () => {
+    for (const [key, tags] of [
+      ['story-1', ['checkout', 'sprint-12']],
+      ['story-2', ['checkout', 'sprint-13']],
+      ['story-3', ['search', 'sprint-12']],
+    ]) {
+      await callTool('memory_usage', {
+        action: 'store',
+        key,
+        value: `notes for ${key}`,
+        namespace: 'stories',
+        tags,
+      });
+    }
+
+    const response = await callTool('memory_search', {
+      pattern: 'notes',
+      namespace: 'stories',
+      tags: ['sprint-12'],
+      excludeTags: ['search'],
+    });
+    expect(response.results.map((r) => r.key)).toEqual(['story-1']);
+    expect(response.results[0].tags).toEqual(['checkout', 'sprint-12']);
+  });
+
+  test('health_check probes the shared memory store', async () => {
+    const health = await callTool('health_check', { components: ['memory'] });
+    expect(health.components.memory.status).toBe('healthy');
+    expect(health.status).toBe('healthy');
+  });
+
+  test('tools without a backend return a JSON-RPC not implemented error', async () => {
+    const response = await callTool('github_repo_analyze', { repo: 'a/b' });
+    expect(response.error.code).toBe(-32601);
+    expect(response.error.message).toBe('Tool not implemented');
+  });
+
+  test('neural and model tools without a backend do not report made-up results', async () => {
+    const calls = {
+      performance_report: {},
+      model_save: { modelId: 'm1', path: 'model.bin' },
+      model_load: { modelPath: 'model.bin' },
+      neural_predict: { modelId: 'm1', input: 'x' },
+      pattern_recognize: { data: [] },
+      cognitive_analyze: { behavior: 'x' },
+      learning_adapt: { experience: {} },
+      neural_compress: { modelId: 'm1' },
+      ensemble_create: { models: ['m1'] },
+      transfer_learn: { sourceModel: 'm1', targetDomain: 'd' },
+      neural_explain: { modelId: 'm1', prediction: {} },
+    };
+    for (const [name, args] of Object.entries(calls)) {
+      const response = await callTool(name, args);
+      expect([name, response.error?.code]).toEqual([name, -32601]);
+    }
+  });
+
+  test('unknown tools are rejected', async () => {
+    const response = await callTool('does_not_exist');
+    expect(response.error.code).toBe(-32602);
+  });
+
+  test('arguments that violate the input schema are rejected with field detail', async () => {
+    const response = await callTool('agent_spawn', { type: 'pilot' });
+    expect(response.error.code).toBe(-32602);
+    expect(response.error.data).toEqual({
+      tool: 'agent_spawn',
+      errors: [expect.objectContaining({ path: 'type', keyword: 'enum' })],
+    });
+
+    const missing = await callTool('agent_spawn', {});
+    expect(missing.error.data.errors[0]).toMatchObject({ path: 'type', keyword: 'required' });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  ToolValidationError,
+  createToolValidator,
+  validateToolArguments,
+} from '../../../src/mcp/tool-validator.js';
+import { getToolDefinitions } from '../../../src/mcp/tool-definitions.js';
+import { MCPToolWrapper } from '../../../src/cli/simple-commands/hive-mind/mcp-wrapper.js';
+
+describe('MCP tool argument validation', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['coder', 'tester'] },
+      count: { type: 'integer', minimum: 1, default: 1 },
+      tags: { type: 'array', items: { type: 'string' } },
+      options: {
+        type: 'object',
+        properties: { timeout: { type: 'number' } },
+        additionalProperties: false,
+      },
+    },
+    required: ['type'],
+  };
+
+  test('applies defaults and accepts valid arguments', () => {
+    const result = validateToolArguments(schema, { type: 'coder', tags: ['a'] });
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual({ type: 'coder', count: 1, tags: ['a'] });
+  });
+
+  test('reports each violation with its field path', () => {
+    const result = validateToolArguments(schema, {
+      count: 0,
+      tags: ['ok', 3],
+      options: { timeout: 'soon', retries: 2 },
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors.map((e) => [e.path, e.keyword])).toEqual([
+      ['type', 'required'],
+      ['count', 'minimum'],
+      ['tags[1]', 'type'],
+      ['options.timeout', 'type'],
+      ['options.retries', 'additionalProperties'],
+    ]);
+  });
+
+  test('rejects values outside an enum', () => {
+    const result = validateToolArguments(schema, { type: 'pilot' });
+    expect(result.errors).toEqual([
+      expect.objectContaining({ path: 'type', keyword: 'enum', allowed: ['coder', 'tester'] }),
+    ]);
+  });
+
+  test('createToolValidator throws ToolValidationError and skips undeclared tools', () => {
+    const validator = createToolValidator({ agent_spawn: { inputSchema: schema } });
+    expect(() => validator.validate('agent_spawn', {})).toThrow(ToolValidationError);
+    try {
+      validator.validate('agent_spawn', {});
+    } catch (error) {
+      expect(error.code).toBe(-32602);
+      expect(error.errors[0].path).toBe('type');
+    }
+    expect(validator.validate('other_tool', { anything: true })).toEqual({ anything: true });
+  });
+
+  test('the hive-mind wrapper validates against the shared tool definitions', async () => {
+    expect(getToolDefinitions().swarm_init.inputSchema.required).toEqual(['topology']);
+
+    const wrapper = new MCPToolWrapper();
+    await expect(wrapper.validateToolParams('swarm_init', {})).rejects.toThrow(ToolValidationError);
+    expect(await wrapper.validateToolParams('swarm_init', { topology: 'mesh' })).toEqual({
+      topology: 'mesh',
+      maxAgents: 8,
+      strategy: 'auto',
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SqliteMemoryStore } from '../../../src/memory/sqlite-store.js';
+import { AgentRegistry, AgentRegistryError } from '../../../src/memory/agent-registry.js';
+
+describe('AgentRegistry', () => {
+  let tmpDir;
+  let store;
+  let registry;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-agents-'));
+    store = new SqliteMemoryStore({ directory: path.join(tmpDir, '.swarm') });
+    registry = new AgentRegistry({ store, heartbeatTimeoutMs: 1000 });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('agents are stored under their swarm and read back normalized', async () => {
+    const agent = await registry.register({
+      type: 'coder',
+      swarmId: 'swarm-1',
+      capabilities: ['typescript'],
+    });
+    expect(
+      await store.retrieve(`agent:swarm-1:${agent.id}`, { namespace: 'agents' }),
+    ).toMatchObject({ id: agent.id, status: 'active' });
+
+    // Records written before the registry keep capabilities as a JSON string
+    await store.store(
+      'agent:swarm-1:agent_legacy',
+      JSON.stringify({
+        id: 'agent_legacy',
+        type: 'tester',
+        status: 'active',
+        capabilities: '["e2e"]',
+      }),
+      { namespace: 'agents' },
+    );
+    const agents = await registry.list({ swarmId: 'swarm-1' });
+    expect(agents.map((a) => [a.id, a.capabilities])).toEqual([
+      [agent.id, ['typescript']],
+      ['agent_legacy', ['e2e']],
+    ]);
+  });
+
+  test('status changes follow the lifecycle', async () => {
+    const agent = await registry.register({ type: 'coder' });
+    await registry.setStatus(agent.id, 'busy');
+    await registry.setStatus(agent.id, 'paused', { reason: 'waiting on review' });
+    await expect(registry.setStatus(agent.id, 'busy')).rejects.toThrow(
+      'cannot go from paused to busy',
+    );
+    await expect(registry.setStatus(agent.id, 'sleeping')).rejects.toThrow(AgentRegistryError);
+
+    const history = (await registry.get(agent.id)).history.map((h) => h.status);
+    expect(history).toEqual(['active', 'busy', 'paused']);
+  });
+
+  test('terminating a parent terminates its children', async () => {
+    const lead = await registry.register({ type: 'coordinator', swarmId: 'swarm-1' });
+    const coder = await registry.register({ type: 'coder', parentId: lead.id });
+    const tester = await registry.register({ type: 'tester', parentId: coder.id });
+    expect(coder.swarmId).toBe('swarm-1');
+
+    const [root] = await registry.hierarchy();
+    expect(root.children[0].children[0].id).toBe(tester.id);
+
+    const terminated = await registry.terminate(lead.id, { reason: 'done' });
+    expect(terminated.map((a) => a.id)).toEqual([lead.id, coder.id, tester.id]);
+    expect((await registry.get(tester.id)).terminationReason).toBe(`parent ${lead.id} terminated`);
+    expect(await registry.list({ includeTerminated: false })).toEqual([]);
+    await expect(registry.register({ type: 'coder', parentId: lead.id })).rejects.toThrow(
+      'is terminated',
+    );
+  });
+
+  test('agents that stop sending heartbeats are flagged stale', async () => {
+    const agent = await registry.register({ type: 'monitor' });
+    expect((await registry.heartbeat(agent.id, { status: 'busy' })).stale).toBe(false);
+
+    const record = await store.retrieve(`agent:${agent.id}`, { namespace: 'agents' });
+    record.lastHeartbeat = new Date(Date.now() - 5000).toISOString();
+    await store.store(`agent:${agent.id}`, record, { namespace: 'agents' });
+    expect(await registry.get(agent.id)).toMatchObject({ status: 'busy', stale: true });
+
+    await registry.setStatus(agent.id, 'paused');
+    expect((await registry.get(agent.id)).stale).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FullTextQueryError, parseSearchQuery, toFtsMatch } from '../../../src/memory/fts.js';
+import { SqliteMemoryStore } from '../../../src/memory/sqlite-store.js';
+import { InMemoryStore } from '../../../src/memory/in-memory-store.js';
+import { SharedMemory } from '../../../src/memory/shared-memory.js';
+
+const NOTES = {
+  'adr-sessions': 'We decided to keep the session store in Redis with a one hour TTL',
+  'adr-cache': 'Redis cache sits in front of the pricing service',
+  'adr-legacy': 'deprecated: the session store used memcached before the migration',
+  'adr-migrations': 'Schema migrations run from the release pipeline',
+};
+
+describe('full-text query parsing', () => {
+  test('renders terms, phrases, prefixes, OR and exclusions as FTS5 syntax', () => {
+    expect(toFtsMatch(parseSearchQuery('redis cache'))).toBe('"redis" AND "cache"');
+    expect(toFtsMatch(parseSearchQuery('redis OR memcached -deprecated'))).toBe(
+      '("redis" OR "memcached") NOT ("deprecated")',
+    );
+    expect(toFtsMatch(parseSearchQuery('"session store" migrat* NOT legacy'))).toBe(
+      '"session store" AND "migrat"* NOT ("legacy")',
+    );
+  });
+
+  test('operators in user input are quoted rather than interpreted', () => {
+    expect(toFtsMatch(parseSearchQuery('user_id key:value'))).toBe('"user id" AND "key value"');
+  });
+
+  test('queries without a positive term are rejected', () => {
+    expect(() => parseSearchQuery('-deprecated')).toThrow(FullTextQueryError);
+    expect(() => parseSearchQuery('   ')).toThrow(FullTextQueryError);
+  });
+});
+
+describe('full-text search in the memory stores', () => {
+  let tmpDir;
+  let originalCwd;
+  let errorSpy;
+
+  beforeAll(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-fts-'));
+    process.chdir(tmpDir);
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    errorSpy.mockRestore();
+  });
+
+  test('SqliteMemoryStore ranks matches and highlights them', async () => {
+    const store = new SqliteMemoryStore({ directory: tmpDir });
+    for (const [key, value] of Object.entries(NOTES)) {
+      await store.store(key, value, { namespace: 'decisions' });
+    }
+    await store.store('readme', 'Redis is mentioned here too', { namespace: 'docs' });
+
+    expect(store.ftsEnabled).toBe(true);
+
+    const phrase = await store.fullTextSearch('"session store" -deprecated', {
+      namespace: 'decisions',
+    });
+    expect(phrase.map((r) => r.key)).toEqual(['adr-sessions']);
+    expect(phrase[0].snippet).toContain('[session store]');
+    expect(phrase[0].score).toBeGreaterThan(0);
+
+    const prefix = await store.fullTextSearch('migrat*', { namespace: 'decisions' });
+    expect(prefix.map((r) => r.key).sort()).toEqual(['adr-legacy', 'adr-migrations']);
+
+    const everywhere = await store.fullTextSearch('redis', { namespace: '*' });
+    expect(everywhere.map((r) => r.namespace).sort()).toEqual(['decisions', 'decisions', 'docs']);
+
+    const paged = await store.fullTextSearch('redis', { namespace: '*', limit: 1, offset: 1 });
+    expect(paged).toHaveLength(1);
+    expect(paged[0].key).toBe(everywhere[1].key);
+    store.close();
+  });
+
+  test('the index follows updates and deletes', async () => {
+    const store = new SqliteMemoryStore({ directory: tmpDir });
+    await store.store('adr-cache', 'Varnish cache sits in front of the pricing service', {
+      namespace: 'decisions',
+    });
+    await store.delete('adr-sessions', { namespace: 'decisions' });
+
+    const results = await store.fullTextSearch('redis', { namespace: 'decisions' });
+    expect(results).toEqual([]);
+    const varnish = await store.fullTextSearch('varnish', { namespace: 'decisions' });
+    expect(varnish.map((r) => r.key)).toEqual(['adr-cache']);
+    store.close();
+  });
+
+  test('InMemoryStore supports the same syntax and result shape', async () => {
+    const store = new InMemoryStore();
+    for (const [key, value] of Object.entries(NOTES)) {
+      await store.store(key, value);
+    }
+    const results = await store.fullTextSearch('session OR pricing NOT deprecated');
+    expect(results.map((r) => r.key).sort()).toEqual(['adr-cache', 'adr-sessions']);
+    expect(results[0]).toEqual(
+      expect.objectContaining({ score: expect.any(Number), snippet: expect.any(String) }),
+    );
+    store.close();
+  });
+
+  test('SharedMemory.search({ query }) uses the FTS5 index', async () => {
+    const memory = new SharedMemory({ directory: 'shared' });
+    await memory.initialize();
+    try {
+      for (const [key, value] of Object.entries(NOTES)) {
+        await memory.store(key, value, { namespace: 'decisions' });
+      }
+      const results = await memory.search({ query: 'redis', namespace: 'decisions' });
+      expect(results.map((r) => r.key).sort()).toEqual(['adr-cache', 'adr-sessions']);
+      expect(results[0].snippet).toContain('[Redis]');
+
+      const byPattern = await memory.search({ pattern: 'adr-leg' });
+      expect(byPattern.map((r) => r.key)).toEqual(['adr-legacy']);
+    } finally {
+      await memory.close();
+    }
+  });
+});
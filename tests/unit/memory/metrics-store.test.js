@@ -0,0 +1,198 @@
+import { describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MetricsStore,
+  MetricsQueryError,
+  parseDuration,
+  parseRange,
+  loadMetricsConfig,
+} from '../../../src/memory/metrics-store.js';
+import { ingestTranscriptUsage } from '../../../src/cli/simple-commands/hooks/token-usage.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('range parsing', () => {
+  const now = Date.UTC(2026, 0, 10, 12);
+
+  test('relative and absolute times resolve against now', () => {
+    expect(parseDuration('90s')).toBe(90000);
+    expect(parseDuration('1.5h')).toBe(1.5 * HOUR);
+    expect(parseRange({ from: 'now-6h', step: '30m' }, { now })).toEqual({
+      from: now - 6 * HOUR,
+      to: now,
+      step: 30 * MINUTE,
+    });
+    expect(parseRange({ from: '2026-01-09T12:00:00Z', to: String(now) }, { now })).toEqual({
+      from: now - DAY,
+      to: now,
+      step: 24 * MINUTE,
+    });
+  });
+
+  test('bad ranges are query errors', () => {
+    expect(() => parseRange({ from: 'yesterday' }, { now })).toThrow(MetricsQueryError);
+    expect(() => parseRange({ from: 'now', to: 'now-1h' }, { now })).toThrow(
+      'from must be before to',
+    );
+    expect(() => parseRange({ from: '-30d', step: '1s' }, { now })).toThrow('use a larger step');
+  });
+});
+
+describe('MetricsStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-metrics-'));
+    store = new MetricsStore({ directory: path.join(tmpDir, '.swarm') });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('series are bucketed by step and filtered by labels', async () => {
+    const start = Date.now() - 10 * MINUTE;
+    const base = start - (start % MINUTE);
+    await store.recordMany([
+      { name: 'mcp.tool.calls', value: 1, labels: { tool: 'swarm_init' }, timestamp: base },
+      { name: 'mcp.tool.calls', value: 1, labels: { tool: 'swarm_init' }, timestamp: base + 1000 },
+      {
+        name: 'mcp.tool.calls',
+        value: 1,
+        labels: { tool: 'memory_usage' },
+        timestamp: base + MINUTE,
+      },
+    ]);
+
+    const range = { from: base, to: base + 2 * MINUTE, step: MINUTE };
+    const all = await store.query('mcp.tool.calls', range);
+    expect(all.tier).toBe('minute');
+    expect(all.points.map((p) => [p.timestamp - base, p.count])).toEqual([
+      [0, 2],
+      [MINUTE, 1],
+    ]);
+
+    const filtered = await store.query('mcp.tool.calls', {
+      ...range,
+      labels: { tool: 'memory_usage' },
+    });
+    expect(filtered.points.map((p) => p.sum)).toEqual([1]);
+
+    expect(await store.totals('mcp.tool.calls', { ...range, groupBy: 'tool' })).toEqual([
+      { tool: 'swarm_init', count: 2, sum: 2, avg: 1, min: 1, max: 1 },
+      { tool: 'memory_usage', count: 1, sum: 1, avg: 1, min: 1, max: 1 },
+    ]);
+    await expect(store.totals('mcp.tool.calls', { ...range, groupBy: "x') --" })).rejects.toThrow(
+      MetricsQueryError,
+    );
+  });
+
+  test('retention drops raw points but keeps the rollups that cover them', async () => {
+    const now = Date.now();
+    const old = now - 5 * DAY;
+    await store.record('hooks.duration_ms', 40, { timestamp: old });
+    await store.record('hooks.duration_ms', 60, { timestamp: old + 1000 });
+
+    expect(store.applyRetention(now)).toEqual({ raw: 2, minute: 0, hour: 0 });
+
+    // Raw data is gone, so a fine step is served from the minute rollups
+    const result = await store.query('hooks.duration_ms', {
+      from: old - HOUR,
+      to: now,
+      step: 1000,
+    });
+    expect(result.tier).toBe('minute');
+    expect(result.step).toBe(MINUTE);
+    expect(result.points).toEqual([
+      { timestamp: old - (old % MINUTE), count: 2, sum: 100, avg: 50, min: 40, max: 60 },
+    ]);
+
+    expect(store.selectTier(now - 30 * DAY, HOUR, now).name).toBe('hour');
+    expect(store.selectTier(now - HOUR, 0, now).name).toBe('raw');
+  });
+
+  test('points outlive the process that recorded them', async () => {
+    await store.record('tasks.completed', 1, { labels: { agent: 'coder-1' }, source: 'hooks' });
+    store.close();
+
+    const reopened = new MetricsStore({ directory: path.join(tmpDir, '.swarm') });
+    const totals = await reopened.totals('tasks.completed', {
+      from: Date.now() - HOUR,
+      to: Date.now() + 1,
+    });
+    expect(totals.sum).toBe(1);
+    expect((await reopened.listMetrics()).map((m) => m.name)).toEqual(['tasks.completed']);
+    reopened.close();
+  });
+
+  test('invalid points are rejected before anything is written', async () => {
+    await expect(
+      store.recordMany([
+        { name: 'ok.metric', value: 1 },
+        { name: 'bad name', value: 1 },
+      ]),
+    ).rejects.toThrow('Invalid metric name: bad name');
+    await expect(store.record('ok.metric', 'abc')).rejects.toThrow('Invalid value');
+    expect(await store.listMetrics()).toEqual([]);
+  });
+
+  test('retention is configured in .claude/settings.json', () => {
+    fs.mkdirSync(path.join(tmpDir, '.claude'));
+    fs.writeFileSync(
+      path.join(tmpDir, '.claude', 'settings.json'),
+      JSON.stringify({ claudeFlow: { metrics: { retention: { raw: '6h' } } } }),
+    );
+    expect(loadMetricsConfig(tmpDir).retention).toMatchObject({ raw: 6 * HOUR, hour: 400 * DAY });
+
+    fs.writeFileSync(
+      path.join(tmpDir, '.claude', 'settings.json'),
+      JSON.stringify({ claudeFlow: { metrics: { retention: { weekly: '1w' } } } }),
+    );
+    expect(() => loadMetricsConfig(tmpDir)).toThrow('Unknown metrics retention tier: weekly');
+  });
+
+  test('transcript usage is ingested once per message', async () => {
+    const transcript = path.join(tmpDir, 'session.jsonl');
+    const assistant = (id, usage, timestamp) =>
+      JSON.stringify({
+        type: 'assistant',
+        timestamp,
+        message: { id, model: 'claude-sonnet-4', usage },
+      }) + '\n';
+    const usage = { input_tokens: 100, output_tokens: 20, cache_read_input_tokens: 500 };
+    const ts = new Date(Date.now() - MINUTE).toISOString();
+
+    // The same message is written once per content block
+    fs.writeFileSync(
+      transcript,
+      JSON.stringify({ type: 'user', message: { content: 'hi' } }) +
+        '\n' +
+        assistant('msg_1', usage, ts) +
+        assistant('msg_1', usage, ts),
+    );
+    expect(await ingestTranscriptUsage(store, transcript)).toBe(3);
+    expect(await ingestTranscriptUsage(store, transcript)).toBe(0);
+
+    // A partly written line waits for the next run
+    fs.appendFileSync(transcript, assistant('msg_2', { output_tokens: 7 }, ts).slice(0, 30));
+    expect(await ingestTranscriptUsage(store, transcript)).toBe(0);
+    fs.writeFileSync(
+      transcript,
+      fs.readFileSync(transcript, 'utf8').slice(0, -30) +
+        assistant('msg_2', { output_tokens: 7 }, ts),
+    );
+    expect(await ingestTranscriptUsage(store, transcript)).toBe(1);
+
+    const range = { from: Date.now() - HOUR, to: Date.now() };
+    expect(await store.totals('tokens.output', { ...range, groupBy: 'model' })).toEqual([
+      { model: 'claude-sonnet-4', count: 2, sum: 27, avg: 13.5, min: 7, max: 20 },
+    ]);
+    expect((await store.totals('tokens.cache_read', range)).sum).toBe(500);
+  });
+});
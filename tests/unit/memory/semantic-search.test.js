@@ -0,0 +1,116 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  HashingEmbedder,
+  cosineSimilarity,
+  serializeVector,
+  deserializeVector,
+} from '../../../src/memory/embeddings.js';
+import { SqliteMemoryStore } from '../../../src/memory/sqlite-store.js';
+import { InMemoryStore } from '../../../src/memory/in-memory-store.js';
+import { CollectiveMemory } from '../../../src/cli/simple-commands/hive-mind/memory.js';
+
+const DECISIONS = {
+  'decision:sessions': 'We keep user session data in Redis with a one hour TTL',
+  'decision:auth': 'JWT access tokens are signed with RS256',
+  'decision:db': 'Postgres migrations run through the release pipeline',
+};
+
+describe('HashingEmbedder', () => {
+  const embedder = new HashingEmbedder();
+
+  test('paraphrases score higher than unrelated text', async () => {
+    const query = await embedder.embed('where are sessions cached?');
+    const related = await embedder.embed(DECISIONS['decision:sessions']);
+    const unrelated = await embedder.embed(DECISIONS['decision:db']);
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  test('vectors survive a round trip through a BLOB', async () => {
+    const vector = await embedder.embed('round trip');
+    expect(Array.from(deserializeVector(serializeVector(vector)))).toEqual(Array.from(vector));
+  });
+});
+
+describe('semantic search in the memory stores', () => {
+  let tmpDir;
+  let errorSpy;
+
+  beforeAll(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-semantic-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    errorSpy.mockRestore();
+  });
+
+  test('SqliteMemoryStore ranks entries by meaning and persists vectors', async () => {
+    const store = new SqliteMemoryStore({ directory: tmpDir });
+    for (const [key, value] of Object.entries(DECISIONS)) {
+      await store.store(key, value, { namespace: 'decisions' });
+    }
+
+    const results = await store.semanticSearch('how do we cache sessions', {
+      namespace: 'decisions',
+    });
+    expect(results[0].key).toBe('decision:sessions');
+    expect(results[0].score).toBeGreaterThan(0);
+
+    const row = store.db
+      .prepare('SELECT embedding_model FROM memory_entries WHERE key = ?')
+      .get('decision:auth');
+    expect(row.embedding_model).toBe(new HashingEmbedder().id);
+    store.close();
+  });
+
+  test('a different embedder re-embeds stale rows on search', async () => {
+    const embedder = new HashingEmbedder({ dimensions: 64 });
+    const store = new SqliteMemoryStore({ directory: tmpDir, embedder });
+    const results = await store.semanticSearch('token signing', { namespace: 'decisions' });
+    expect(results[0].key).toBe('decision:auth');
+
+    const models = store.db
+      .prepare('SELECT DISTINCT embedding_model FROM memory_entries WHERE namespace = ?')
+      .all('decisions');
+    expect(models).toEqual([{ embedding_model: embedder.id }]);
+    store.close();
+  });
+
+  test('InMemoryStore supports the same search', async () => {
+    const store = new InMemoryStore();
+    for (const [key, value] of Object.entries(DECISIONS)) {
+      await store.store(key, value);
+    }
+    const results = await store.semanticSearch('database schema migration');
+    expect(results[0].key).toBe('decision:db');
+    store.close();
+  });
+
+  test('CollectiveMemory.search accepts semantic: true', async () => {
+    // hive-mind init normally creates the swarms table collective_memory references
+    const dbPath = path.join(tmpDir, 'hive.db');
+    const db = new Database(dbPath);
+    db.exec("CREATE TABLE swarms (id TEXT PRIMARY KEY); INSERT INTO swarms VALUES ('swarm-1');");
+    db.close();
+
+    const memory = new CollectiveMemory({
+      swarmId: 'swarm-1',
+      dbPath,
+      enableAsyncOperations: false,
+    });
+    try {
+      for (const [key, value] of Object.entries(DECISIONS)) {
+        await memory.store(key, value);
+      }
+      const results = await memory.search('signing tokens', { semantic: true });
+      expect(results[0]).toMatchObject({ key: 'decision:auth', type: 'knowledge' });
+    } finally {
+      memory.close();
+    }
+  });
+});
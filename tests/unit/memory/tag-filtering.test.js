@@ -0,0 +1,137 @@
+import { jest, describe, test, beforeAll, afterAll, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeTags, normalizeTagFilter, matchesTags } from '../../../src/memory/tags.js';
+import { SqliteMemoryStore } from '../../../src/memory/sqlite-store.js';
+import { InMemoryStore } from '../../../src/memory/in-memory-store.js';
+import { SharedMemory } from '../../../src/memory/shared-memory.js';
+
+const ENTRIES = [
+  ['login-flow', 'OAuth login with PKCE', ['auth', 'sprint-12']],
+  ['token-refresh', 'Refresh tokens rotate on use', ['auth', 'sprint-13']],
+  ['price-cache', 'Redis cache in front of pricing', ['perf', 'sprint-12']],
+  ['old-cache', 'Memcached for pricing', ['perf', 'wontfix']],
+  ['untagged', 'Notes without tags', undefined],
+];
+
+const keys = (results) => results.map((r) => r.key).sort();
+
+describe('tag filters', () => {
+  test('tags are normalized from arrays or comma-separated strings', () => {
+    expect(normalizeTags(' auth, sprint-12,,auth ')).toEqual(['auth', 'sprint-12']);
+    expect(normalizeTags(['perf', 'perf'])).toEqual(['perf']);
+    expect(normalizeTagFilter({})).toBeNull();
+  });
+
+  test('all-of, any-of and negation combine', () => {
+    const filter = normalizeTagFilter({
+      tags: ['sprint-12'],
+      anyTags: ['auth', 'perf'],
+      excludeTags: 'wontfix',
+    });
+    expect(matchesTags(['auth', 'sprint-12'], filter)).toBe(true);
+    expect(matchesTags(['auth', 'sprint-13'], filter)).toBe(false);
+    expect(matchesTags(['perf', 'sprint-12', 'wontfix'], filter)).toBe(false);
+    expect(matchesTags(undefined, filter)).toBe(false);
+  });
+});
+
+describe('tag filtering in the memory stores', () => {
+  let tmpDir;
+  let originalCwd;
+  let errorSpy;
+
+  beforeAll(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    originalCwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-tags-'));
+    process.chdir(tmpDir);
+  });
+
+  afterAll(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    errorSpy.mockRestore();
+  });
+
+  test('SharedMemory.search matches any-of, all-of and excluded tags', async () => {
+    const memory = new SharedMemory({ directory: 'shared' });
+    await memory.initialize();
+    try {
+      for (const [key, value, tags] of ENTRIES) {
+        await memory.store(key, value, { namespace: 'decisions', tags });
+      }
+      await memory.store('retro', 'Sprint retro notes', {
+        namespace: 'meetings',
+        tags: 'sprint-12',
+      });
+
+      expect(keys(await memory.search({ tags: ['auth', 'sprint-12'] }))).toEqual(['login-flow']);
+      expect(keys(await memory.search({ anyTags: ['auth', 'wontfix'] }))).toEqual([
+        'login-flow',
+        'old-cache',
+        'token-refresh',
+      ]);
+      expect(
+        keys(await memory.search({ namespace: 'decisions', tags: 'perf', excludeTags: 'wontfix' })),
+      ).toEqual(['price-cache']);
+      expect(keys(await memory.search({ query: 'pricing', excludeTags: ['wontfix'] }))).toEqual([
+        'price-cache',
+      ]);
+
+      expect(await memory.getTagCounts()).toEqual({
+        decisions: { auth: 2, perf: 2, 'sprint-12': 2, 'sprint-13': 1, wontfix: 1 },
+        meetings: { 'sprint-12': 1 },
+      });
+      expect(await memory.getTagCounts('meetings')).toEqual({ meetings: { 'sprint-12': 1 } });
+    } finally {
+      await memory.close();
+    }
+  });
+
+  test('SqliteMemoryStore filters every search mode by tag', async () => {
+    const store = new SqliteMemoryStore({ directory: tmpDir });
+    try {
+      for (const [key, value, tags] of ENTRIES) {
+        await store.store(key, value, { namespace: 'decisions', tags });
+      }
+
+      expect(keys(await store.search('', { namespace: 'decisions', tags: ['sprint-12'] }))).toEqual(
+        ['login-flow', 'price-cache'],
+      );
+      expect(
+        keys(await store.fullTextSearch('pricing', { namespace: 'decisions', anyTags: ['perf'] })),
+      ).toEqual(['old-cache', 'price-cache']);
+      const semantic = await store.semanticSearch('pricing cache', {
+        namespace: 'decisions',
+        excludeTags: ['wontfix'],
+      });
+      expect(semantic.map((r) => r.key)).not.toContain('old-cache');
+      expect(semantic[0].tags).toEqual(['perf', 'sprint-12']);
+
+      const counts = await store.getTagCounts({ namespace: 'decisions' });
+      expect(Object.entries(counts.decisions)[0]).toEqual(['auth', 2]);
+      expect(counts.decisions.wontfix).toBe(1);
+    } finally {
+      store.close();
+    }
+  });
+
+  test('InMemoryStore applies the same filters', async () => {
+    const store = new InMemoryStore();
+    for (const [key, value, tags] of ENTRIES) {
+      await store.store(key, value, { tags });
+    }
+    expect(keys(await store.search('', { tags: 'auth', excludeTags: 'sprint-13' }))).toEqual([
+      'login-flow',
+    ]);
+    expect(keys(await store.fullTextSearch('cache', { anyTags: ['wontfix'] }))).toEqual([
+      'old-cache',
+    ]);
+    expect(await store.getTagCounts()).toEqual({
+      default: { auth: 2, perf: 2, 'sprint-12': 2, 'sprint-13': 1, wontfix: 1 },
+    });
+    store.close();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TaskQueue, TaskQueueError, normalizePriority } from '../../../src/memory/task-queue.js';
+
+describe('TaskQueue', () => {
+  let tmpDir;
+  let queue;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-task-queue-'));
+    queue = new TaskQueue({ directory: path.join(tmpDir, '.swarm') });
+  });
+
+  afterEach(() => {
+    queue.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('priorities accept numbers and labels', () => {
+    expect(normalizePriority(undefined)).toBe(5);
+    expect(normalizePriority('critical')).toBe(10);
+    expect(normalizePriority('7')).toBe(7);
+    expect(() => normalizePriority(11)).toThrow(TaskQueueError);
+  });
+
+  test('claims go to the highest priority runnable task', async () => {
+    const low = await queue.enqueue('tidy up', { priority: 'low' });
+    const spec = await queue.enqueue('write spec', { type: 'research' });
+    const impl = await queue.enqueue('implement', { priority: 'critical', dependsOn: [spec.id] });
+
+    const first = await queue.claim({ agentId: 'a1' });
+    expect(first).toMatchObject({ id: spec.id, status: 'running', agentId: 'a1', attempts: 1 });
+    expect((await queue.claim({ agentId: 'a2' })).id).toBe(low.id);
+    expect(await queue.claim({ agentId: 'a3' })).toBeNull();
+
+    await queue.complete(spec.id, { agentId: 'a1', result: { pages: 3 } });
+    expect((await queue.get(spec.id)).result).toEqual({ pages: 3 });
+    expect((await queue.claim({ agentId: 'a3', types: ['general'] })).id).toBe(impl.id);
+  });
+
+  test('only the lease holder may finish a task', async () => {
+    const task = await queue.enqueue('deploy');
+    await queue.claim({ agentId: 'a1' });
+    await expect(queue.complete(task.id, { agentId: 'a2' })).rejects.toThrow('leased to a1');
+    await queue.renew(task.id, { agentId: 'a1', leaseMs: 60000 });
+    await expect(queue.complete(task.id, { agentId: 'a1' })).resolves.toMatchObject({
+      status: 'completed',
+    });
+    await expect(queue.cancel(task.id)).rejects.toThrow('already completed');
+  });
+
+  test('expired leases are requeued until attempts run out', async () => {
+    const task = await queue.enqueue('flaky', { maxAttempts: 2 });
+    await queue.claim({ agentId: 'a1', leaseMs: 1 });
+    expect(await queue.reap(Date.now() + 10)).toEqual({ expired: 1, cancelled: 0 });
+    expect(await queue.get(task.id)).toMatchObject({
+      status: 'queued',
+      attempts: 1,
+      error: 'Lease held by a1 expired',
+    });
+
+    await queue.claim({ agentId: 'a2', leaseMs: 1 });
+    await queue.reap(Date.now() + 10);
+    expect((await queue.get(task.id)).status).toBe('failed');
+  });
+
+  test('failures retry and then cancel dependent tasks', async () => {
+    const build = await queue.enqueue('build', { maxAttempts: 2 });
+    const test = await queue.enqueue('test', { dependsOn: [build.id] });
+    const release = await queue.enqueue('release', { dependsOn: [test.id] });
+
+    await queue.claim({ agentId: 'a1' });
+    expect((await queue.fail(build.id, { error: 'tsc' })).status).toBe('queued');
+    await queue.claim({ agentId: 'a1' });
+    expect((await queue.fail(build.id, { error: 'tsc' })).status).toBe('failed');
+
+    expect((await queue.get(test.id)).status).toBe('cancelled');
+    expect((await queue.get(release.id)).error).toBe(`Dependency ${test.id} cancelled`);
+    await expect(queue.enqueue('retry', { dependsOn: [build.id] })).rejects.toThrow(
+      `Dependency ${build.id} is failed`,
+    );
+    expect(await queue.counts()).toMatchObject({ failed: 1, cancelled: 2, queued: 0 });
+  });
+
+  test('the queue is shared between processes through the database', async () => {
+    const task = await queue.enqueue('shared', { swarmId: 'swarm-1' });
+    const other = new TaskQueue({ directory: path.join(tmpDir, '.swarm') });
+    expect((await other.claim({ agentId: 'a1', swarmId: 'swarm-1' })).id).toBe(task.id);
+    expect(await queue.claim({ agentId: 'a2' })).toBeNull();
+    expect(await other.removeSwarm('swarm-1')).toBe(1);
+    other.close();
+    expect(await queue.list()).toEqual([]);
+  });
+});